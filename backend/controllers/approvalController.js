@@ -0,0 +1,524 @@
+const Approval = require('../models/Approval');
+const User = require('../models/User');
+const StaffMember = require('../models/StaffMember');
+const { hasPermission, resolveHouseAccess, belongsToHouse } = require('../middleware/permissions');
+const {
+  APPROVAL_TOKEN_HEADER,
+  APPROVAL_ACTIONS,
+  isApprovalRequired,
+  setPin,
+  verifyPin,
+  createApproval,
+  approveRequest
+} = require('../services/approvalService');
+
+const fullName = (user) => `${user.firstName || ''} ${user.lastName || ''}`.trim();
+
+// Find the approval in the route within the request's house (sends the error response and returns null if not)
+const findApprovalForRequest = async (req, res) => {
+  const approval = await Approval.findById(req.params.approvalId);
+  if (!approval) {
+    res.status(404).json({
+      success: false,
+      message: 'Approval not found'
+    });
+    return null;
+  }
+
+  if (!belongsToHouse(approval, req)) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied. This approval belongs to another snooker house.'
+    });
+    return null;
+  }
+
+  return approval;
+};
+
+// Reason an approval request can't be made (null if it can)
+const getRequestBlocker = (req, action) => {
+  if (!isApprovalRequired(req.snookerHouse, action)) {
+    return `${APPROVAL_ACTIONS[action]} does not need approval in this snooker house`;
+  }
+
+  if (hasPermission(req.staffRole, 'approvals.grant')) {
+    return 'Managers and owners do not need approval';
+  }
+
+  return null;
+};
+
+class ApprovalController {
+  // @desc    Get the people who can approve in this house and whether each has a PIN
+  // @access  Private (approvals.request)
+  async getApprovers(req, res) {
+    try {
+      const snookerHouse = req.snookerHouse;
+
+      const managers = await StaffMember.find({
+        snookerHouse: snookerHouse._id,
+        status: 'active',
+        role: 'manager'
+      }).select('user role');
+
+      const roleByUser = new Map([
+        [snookerHouse.owner.toString(), 'owner'],
+        ...managers.map(staffMember => [staffMember.user.toString(), staffMember.role])
+      ]);
+
+      const users = await User.find({ _id: { $in: [...roleByUser.keys()] } })
+        .select('firstName lastName approvalPin');
+
+      const approvers = users.map(user => ({
+        _id: user._id,
+        name: fullName(user),
+        role: roleByUser.get(user._id.toString()),
+        hasPin: !!user.approvalPin
+      }));
+
+      res.json({
+        success: true,
+        data: {
+          approvers,
+          actions: Object.entries(APPROVAL_ACTIONS).map(([key, label]) => ({
+            key,
+            label,
+            requiresApproval: isApprovalRequired(snookerHouse, key)
+          })),
+          tokenHeader: APPROVAL_TOKEN_HEADER
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Get approvers error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Set or change your own approval PIN
+  // @access  Private (approvals.grant)
+  async setPin(req, res) {
+    try {
+      const { pin, currentPassword } = req.body;
+
+      const user = await User.findById(req.user.id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const isMatch = await user.comparePassword(currentPassword);
+      if (!isMatch) {
+        return res.status(400).json({
+          success: false,
+          message: 'Current password is incorrect'
+        });
+      }
+
+      await setPin(user, pin);
+      await user.save();
+
+      console.log('✅ Approval PIN set:', { userId: user._id });
+
+      res.json({
+        success: true,
+        message: 'Approval PIN saved',
+        data: {
+          hasApprovalPin: true,
+          updatedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Set approval PIN error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error while setting approval PIN'
+      });
+    }
+  }
+
+  // @desc    Approve an action on the spot with a manager's PIN (returns a single-use token)
+  // @access  Private (approvals.request)
+  async approveWithPin(req, res) {
+    try {
+      const { action, targetId = null, reason = '', approverId, pin } = req.body;
+      const snookerHouse = req.snookerHouse;
+
+      const blocker = getRequestBlocker(req, action);
+      if (blocker) {
+        return res.status(400).json({
+          success: false,
+          message: blocker
+        });
+      }
+
+      if (approverId === req.user.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot approve your own action'
+        });
+      }
+
+      const access = await resolveHouseAccess(approverId, snookerHouse._id.toString());
+      if (!access || !hasPermission(access.role, 'approvals.grant')) {
+        return res.status(403).json({
+          success: false,
+          message: 'This person cannot approve actions in this snooker house'
+        });
+      }
+
+      const approver = await User.findById(approverId);
+      if (!approver) {
+        return res.status(404).json({
+          success: false,
+          message: 'Approver not found'
+        });
+      }
+
+      const pinCheck = await verifyPin(approver, pin);
+      if (!pinCheck.valid) {
+        console.log('🔏 Approval PIN rejected:', { approverId, action });
+        return res.status(401).json({
+          success: false,
+          message: pinCheck.message
+        });
+      }
+
+      const { approval, token } = createApproval(req, {
+        action,
+        targetId,
+        reason,
+        method: 'pin',
+        approver: {
+          user: approver._id,
+          name: fullName(approver),
+          role: access.role,
+          sessionId: req.session?.id
+        }
+      });
+      await approval.save();
+
+      console.log('✅ Action approved with PIN:', {
+        approvalId: approval._id,
+        action,
+        approvedBy: approval.approverName
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Approved by ${approval.approverName}. Send the token with the action.`,
+        data: {
+          approval: approval.toJSON(),
+          token,
+          tokenHeader: APPROVAL_TOKEN_HEADER,
+          createdBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Approve with PIN error:', error);
+
+      if (error.name === 'ValidationError') {
+        const errors = Object.values(error.errors).map(err => err.message);
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error while approving action',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // @desc    Ask a manager to approve an action from their own device (the token works once approved)
+  // @access  Private (approvals.request)
+  async requestApproval(req, res) {
+    try {
+      const { action, targetId = null, reason = '' } = req.body;
+
+      const blocker = getRequestBlocker(req, action);
+      if (blocker) {
+        return res.status(400).json({
+          success: false,
+          message: blocker
+        });
+      }
+
+      const { approval, token } = createApproval(req, {
+        action,
+        targetId,
+        reason,
+        method: 'remote'
+      });
+      await approval.save();
+
+      console.log('✅ Approval requested:', {
+        approvalId: approval._id,
+        action,
+        requestedBy: approval.requestedByName
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Approval requested. Send the token with the action once a manager approves.',
+        data: {
+          approval: approval.toJSON(),
+          token,
+          tokenHeader: APPROVAL_TOKEN_HEADER,
+          createdBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Request approval error:', error);
+
+      if (error.name === 'ValidationError') {
+        const errors = Object.values(error.errors).map(err => err.message);
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error while requesting approval',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // @desc    Get approvals (?status=pending|approved|rejected|used|expired|all, default pending)
+  // @access  Private (approvals.request; staff who can't approve only see their own)
+  async getApprovals(req, res) {
+    try {
+      const { status = 'pending', limit = 50, skip = 0 } = req.query;
+      const now = new Date();
+
+      const query = { snookerHouse: req.snookerHouse._id };
+      if (!hasPermission(req.staffRole, 'approvals.grant')) {
+        query.requestedBy = req.user.id;
+      }
+
+      if (status === 'pending' || status === 'approved') {
+        query.status = status;
+        query.expiresAt = { $gt: now };
+      } else if (status === 'expired') {
+        query.status = { $in: ['pending', 'approved'] };
+        query.expiresAt = { $lte: now };
+      } else if (status !== 'all') {
+        query.status = status;
+      }
+
+      const [approvals, total] = await Promise.all([
+        Approval.find(query)
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit),
+        Approval.countDocuments(query)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          approvals: approvals.map(approval => approval.toJSON()),
+          total,
+          limit,
+          skip
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Get approvals error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Get an approval (requesters poll this while waiting for a manager)
+  // @access  Private (approvals.request; staff who can't approve only see their own)
+  async getApprovalById(req, res) {
+    try {
+      const approval = await findApprovalForRequest(req, res);
+      if (!approval) return;
+
+      if (!hasPermission(req.staffRole, 'approvals.grant') && approval.requestedBy.toString() !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only view your own approval requests.'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          approval: approval.toJSON()
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Get approval error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid approval ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Approve a pending remote request
+  // @access  Private (approvals.grant)
+  async approveRequest(req, res) {
+    try {
+      const approval = await findApprovalForRequest(req, res);
+      if (!approval) return;
+
+      if (approval.requestedBy.toString() === req.user.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot approve your own request'
+        });
+      }
+
+      if (approval.status !== 'pending' || approval.isExpired()) {
+        return res.status(400).json({
+          success: false,
+          message: approval.isExpired() ? 'This request has expired' : `This request has already been ${approval.status}`
+        });
+      }
+
+      approveRequest(approval, req.snookerHouse, {
+        user: req.user.id,
+        name: `${req.user.firstName || ''} ${req.user.lastName || ''}`.trim(),
+        role: req.staffRole,
+        sessionId: req.session?.id,
+        note: req.body.note
+      });
+      await approval.save();
+
+      console.log('✅ Approval request approved:', {
+        approvalId: approval._id,
+        action: approval.action,
+        approvedBy: approval.approverName
+      });
+
+      res.json({
+        success: true,
+        message: 'Request approved',
+        data: {
+          approval: approval.toJSON(),
+          updatedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Approve request error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid approval ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error while approving request'
+      });
+    }
+  }
+
+  // @desc    Reject a pending remote request
+  // @access  Private (approvals.grant)
+  async rejectRequest(req, res) {
+    try {
+      const approval = await findApprovalForRequest(req, res);
+      if (!approval) return;
+
+      if (approval.status !== 'pending' || approval.isExpired()) {
+        return res.status(400).json({
+          success: false,
+          message: approval.isExpired() ? 'This request has expired' : `This request has already been ${approval.status}`
+        });
+      }
+
+      approval.status = 'rejected';
+      approval.approvedBy = req.user.id;
+      approval.approverName = `${req.user.firstName || ''} ${req.user.lastName || ''}`.trim();
+      approval.approverRole = req.staffRole;
+      approval.decidedAt = new Date();
+      approval.decidedBySession = req.session?.id || null;
+      approval.decisionNote = req.body.note || '';
+      await approval.save();
+
+      console.log('✅ Approval request rejected:', {
+        approvalId: approval._id,
+        action: approval.action,
+        rejectedBy: approval.approverName
+      });
+
+      res.json({
+        success: true,
+        message: 'Request rejected',
+        data: {
+          approval: approval.toJSON(),
+          updatedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Reject request error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid approval ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error while rejecting request'
+      });
+    }
+  }
+}
+
+module.exports = new ApprovalController();
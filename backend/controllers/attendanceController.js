@@ -0,0 +1,765 @@
+const mongoose = require('mongoose');
+const AttendanceRecord = require('../models/AttendanceRecord');
+const StaffMember = require('../models/StaffMember');
+const {
+  checkRecordTimes,
+  getPayrollReport,
+  toCsvRows,
+  findOverlappingPayroll,
+  recordPayrollExpenses
+} = require('../services/payrollService');
+const { belongsToHouse, hasPermission } = require('../middleware/permissions');
+
+const formatDuration = (minutes) => `${Math.floor(minutes / 60)}h ${Math.round(minutes % 60)}m`;
+
+// Staff member a clock action is for: the caller, or anyone in the house for managers
+const findStaffForRequest = async (req, res, staffId) => {
+  if (!staffId || staffId === req.staffMember?._id.toString()) {
+    if (!req.staffMember) {
+      res.status(400).json({
+        success: false,
+        message: 'Only staff members clock in and out. Pass staffId to act for a staff member.'
+      });
+      return null;
+    }
+
+    return req.staffMember;
+  }
+
+  if (!hasPermission(req.staffRole, 'attendance.manage')) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied. You can only clock yourself in and out.'
+    });
+    return null;
+  }
+
+  const staffMember = await StaffMember.findById(staffId);
+  if (!staffMember || staffMember.status === 'removed') {
+    res.status(404).json({
+      success: false,
+      message: 'Staff member not found'
+    });
+    return null;
+  }
+
+  if (!belongsToHouse(staffMember, req)) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied. You can only manage your own staff.'
+    });
+    return null;
+  }
+
+  return staffMember;
+};
+
+// Display name for a staff member (the caller's name when it's their own record)
+const getStaffName = async (staffMember, req) => {
+  if (staffMember.user.toString() === req.user.id) {
+    return `${req.user.firstName || ''} ${req.user.lastName || ''}`.trim();
+  }
+
+  await staffMember.populate('user', 'firstName lastName');
+  return `${staffMember.user?.firstName || ''} ${staffMember.user?.lastName || ''}`.trim();
+};
+
+// Load an attendance record for the request, sending the 404/403 response when it can't be used
+const findRecordForRequest = async (req, res) => {
+  const record = await AttendanceRecord.findById(req.params.recordId);
+  if (!record) {
+    res.status(404).json({
+      success: false,
+      message: 'Attendance record not found'
+    });
+    return null;
+  }
+
+  if (!belongsToHouse(record, req)) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied. You can only manage your own staff.'
+    });
+    return null;
+  }
+
+  return record;
+};
+
+// Another record of the staff member overlapping the given times (null if none)
+const findOverlappingRecord = (staffMemberId, clockInAt, clockOutAt, excludeId = null) => {
+  const query = {
+    staffMember: staffMemberId,
+    clockInAt: { $lt: clockOutAt || new Date() },
+    $or: [{ clockOutAt: null }, { clockOutAt: { $gt: clockInAt } }]
+  };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  return AttendanceRecord.findOne(query);
+};
+
+// Payroll period from validated dates (a date-only end date covers that whole day)
+const getPayrollPeriod = (startDate, endDate) => {
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  if (end.getHours() === 0 && end.getMinutes() === 0 && end.getSeconds() === 0 && end.getMilliseconds() === 0) {
+    end.setHours(23, 59, 59, 999);
+  }
+
+  return { start, end };
+};
+
+class AttendanceController {
+  // @desc    Clock in (yourself, or a staff member by staffId for managers)
+  // @access  Private (attendance.clock)
+  async clockIn(req, res) {
+    try {
+      const { staffId, notes } = req.body;
+
+      const staffMember = await findStaffForRequest(req, res, staffId);
+      if (!staffMember) return;
+
+      if (staffMember.status !== 'active') {
+        return res.status(400).json({
+          success: false,
+          message: 'Suspended staff members cannot clock in'
+        });
+      }
+
+      const staffName = await getStaffName(staffMember, req);
+
+      const openRecord = await AttendanceRecord.findOpenRecord(staffMember._id);
+      if (openRecord) {
+        return res.status(400).json({
+          success: false,
+          message: `${staffName || 'This staff member'} is already clocked in`,
+          data: { recordId: openRecord._id }
+        });
+      }
+
+      const snookerHouse = req.snookerHouse;
+      const record = new AttendanceRecord({
+        snookerHouse: snookerHouse._id,
+        owner: snookerHouse.owner,
+        staffMember: staffMember._id,
+        user: staffMember.user._id || staffMember.user,
+        staffName,
+        staffRole: staffMember.role,
+        clockInAt: new Date(),
+        clockedInBy: req.user.id,
+        notes: notes || '',
+        createdBySession: req.session?.id
+      });
+      await record.save();
+
+      console.log('✅ Clocked in:', { recordId: record._id, staff: staffName });
+
+      res.status(201).json({
+        success: true,
+        message: `${staffName} clocked in`,
+        data: {
+          record: record.toJSON(),
+          createdBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Clock in error:', error);
+
+      // Clocked in from another device at the same moment
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'This staff member is already clocked in'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error while clocking in',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // @desc    Clock out, ending any break in progress
+  // @access  Private (attendance.clock)
+  async clockOut(req, res) {
+    try {
+      const { staffId, notes } = req.body;
+
+      const staffMember = await findStaffForRequest(req, res, staffId);
+      if (!staffMember) return;
+
+      const record = await AttendanceRecord.findOpenRecord(staffMember._id);
+      if (!record) {
+        return res.status(400).json({
+          success: false,
+          message: 'This staff member is not clocked in'
+        });
+      }
+
+      const now = new Date();
+      const openBreak = record.getOpenBreak();
+      if (openBreak) openBreak.endAt = now;
+
+      record.clockOutAt = now;
+      record.status = 'closed';
+      record.clockedOutBy = req.user.id;
+      if (notes) record.notes = [record.notes, notes].filter(Boolean).join('\n').slice(0, 500);
+      record.lastModifiedBySession = req.session?.id;
+      await record.save();
+
+      const workedMinutes = record.getWorkedMinutes();
+
+      console.log('✅ Clocked out:', {
+        recordId: record._id,
+        staff: record.staffName,
+        workedMinutes: Math.round(workedMinutes)
+      });
+
+      res.json({
+        success: true,
+        message: `${record.staffName} clocked out after ${formatDuration(workedMinutes)} of work`,
+        data: {
+          record: record.toJSON(),
+          updatedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Clock out error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error while clocking out'
+      });
+    }
+  }
+
+  // @desc    Start a break
+  // @access  Private (attendance.clock)
+  async startBreak(req, res) {
+    try {
+      const staffMember = await findStaffForRequest(req, res, req.body.staffId);
+      if (!staffMember) return;
+
+      const record = await AttendanceRecord.findOpenRecord(staffMember._id);
+      if (!record) {
+        return res.status(400).json({
+          success: false,
+          message: 'This staff member is not clocked in'
+        });
+      }
+
+      if (record.getOpenBreak()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Already on a break'
+        });
+      }
+
+      record.breaks.push({ startAt: new Date() });
+      record.lastModifiedBySession = req.session?.id;
+      await record.save();
+
+      console.log('✅ Break started:', { recordId: record._id, staff: record.staffName });
+
+      res.json({
+        success: true,
+        message: `${record.staffName} is on a break`,
+        data: {
+          record: record.toJSON(),
+          updatedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Start break error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error while starting break'
+      });
+    }
+  }
+
+  // @desc    End the break in progress
+  // @access  Private (attendance.clock)
+  async endBreak(req, res) {
+    try {
+      const staffMember = await findStaffForRequest(req, res, req.body.staffId);
+      if (!staffMember) return;
+
+      const record = await AttendanceRecord.findOpenRecord(staffMember._id);
+      const openBreak = record?.getOpenBreak();
+      if (!openBreak) {
+        return res.status(400).json({
+          success: false,
+          message: 'This staff member is not on a break'
+        });
+      }
+
+      openBreak.endAt = new Date();
+      record.lastModifiedBySession = req.session?.id;
+      await record.save();
+
+      const breakMinutes = (openBreak.endAt - openBreak.startAt) / (1000 * 60);
+
+      console.log('✅ Break ended:', { recordId: record._id, staff: record.staffName });
+
+      res.json({
+        success: true,
+        message: `${record.staffName} is back after a ${formatDuration(breakMinutes)} break`,
+        data: {
+          record: record.toJSON(),
+          updatedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 End break error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error while ending break'
+      });
+    }
+  }
+
+  // @desc    Get who is clocked in (managers see everyone, staff see themselves)
+  // @access  Private (attendance.clock)
+  async getCurrentAttendance(req, res) {
+    try {
+      const canManage = hasPermission(req.staffRole, 'attendance.manage');
+
+      const query = { snookerHouse: req.snookerHouse._id, status: 'open' };
+      if (!canManage) query.staffMember = req.staffMember._id;
+
+      const records = await AttendanceRecord.find(query).sort({ clockInAt: 1 });
+      const mine = req.staffMember
+        ? records.find(record => record.staffMember.toString() === req.staffMember._id.toString()) || null
+        : null;
+
+      res.json({
+        success: true,
+        data: {
+          records: records.map(record => record.toJSON()),
+          onDuty: records.length,
+          onBreak: records.filter(record => record.getOpenBreak()).length,
+          mine: mine ? mine.toJSON() : null
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Get current attendance error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Get attendance records (?staffId=&status=&startDate=&endDate=&limit=&skip=); staff see their own
+  // @access  Private (attendance.clock)
+  async getRecords(req, res) {
+    try {
+      const { staffId, status, startDate, endDate, limit, skip } = req.query;
+
+      const query = { snookerHouse: req.snookerHouse._id };
+      if (status) query.status = status;
+
+      if (!hasPermission(req.staffRole, 'attendance.manage')) {
+        query.staffMember = req.staffMember._id;
+      } else if (staffId) {
+        query.staffMember = new mongoose.Types.ObjectId(staffId);
+      }
+
+      if (startDate || endDate) {
+        query.clockInAt = {};
+        if (startDate) query.clockInAt.$gte = new Date(startDate);
+        if (endDate) query.clockInAt.$lte = new Date(endDate);
+      }
+
+      const [records, total] = await Promise.all([
+        AttendanceRecord.find(query)
+          .sort({ clockInAt: -1 })
+          .limit(limit)
+          .skip(skip),
+        AttendanceRecord.countDocuments(query)
+      ]);
+
+      const workedMinutes = records.reduce((sum, record) => sum + record.getWorkedMinutes(), 0);
+
+      res.json({
+        success: true,
+        data: {
+          records: records.map(record => record.toJSON()),
+          total,
+          workedHours: Math.round((workedMinutes / 60) * 100) / 100,
+          pagination: {
+            limit,
+            skip,
+            hasMore: skip + records.length < total
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Get attendance records error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Add a missed attendance record for a staff member
+  // @access  Private (attendance.manage)
+  async createRecord(req, res) {
+    try {
+      const { staffId, clockInAt, clockOutAt, breaks, notes, reason } = req.body;
+
+      const staffMember = await findStaffForRequest(req, res, staffId);
+      if (!staffMember) return;
+
+      const timeError = checkRecordTimes({ clockInAt, clockOutAt, breaks });
+      if (timeError) {
+        return res.status(400).json({
+          success: false,
+          message: timeError
+        });
+      }
+
+      const [overlapping, recordedPayroll] = await Promise.all([
+        findOverlappingRecord(staffMember._id, clockInAt, clockOutAt),
+        findOverlappingPayroll(req.snookerHouse._id, clockInAt, clockInAt)
+      ]);
+
+      if (overlapping) {
+        return res.status(400).json({
+          success: false,
+          message: 'These times overlap another attendance record for this staff member',
+          data: { recordId: overlapping._id }
+        });
+      }
+
+      if (recordedPayroll) {
+        return res.status(400).json({
+          success: false,
+          message: 'Payroll for this date has already been recorded'
+        });
+      }
+
+      const snookerHouse = req.snookerHouse;
+      const record = new AttendanceRecord({
+        snookerHouse: snookerHouse._id,
+        owner: snookerHouse.owner,
+        staffMember: staffMember._id,
+        user: staffMember.user._id || staffMember.user,
+        staffName: await getStaffName(staffMember, req),
+        staffRole: staffMember.role,
+        status: 'closed',
+        clockInAt,
+        clockOutAt,
+        breaks,
+        isManualEntry: true,
+        clockedInBy: req.user.id,
+        clockedOutBy: req.user.id,
+        notes: notes || '',
+        corrections: [{
+          field: 'record',
+          before: null,
+          after: { clockInAt, clockOutAt, breaks },
+          reason,
+          correctedBy: req.user.id,
+          correctedBySession: req.session?.id
+        }],
+        createdBySession: req.session?.id
+      });
+      await record.save();
+
+      console.log('✅ Manual attendance record added:', {
+        recordId: record._id,
+        staff: record.staffName,
+        workedMinutes: Math.round(record.getWorkedMinutes())
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Attendance record added for ${record.staffName}`,
+        data: {
+          record: record.toJSON(),
+          createdBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Create attendance record error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error while adding attendance record',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // @desc    Correct an attendance record's times, breaks or notes (reason required)
+  // @access  Private (attendance.manage)
+  async correctRecord(req, res) {
+    try {
+      const { reason } = req.body;
+
+      const record = await findRecordForRequest(req, res);
+      if (!record) return;
+
+      const proposed = {
+        clockInAt: req.body.clockInAt || record.clockInAt,
+        clockOutAt: req.body.clockOutAt || record.clockOutAt,
+        breaks: req.body.breaks || record.breaks.map(entry => ({ startAt: entry.startAt, endAt: entry.endAt }))
+      };
+
+      const timeError = checkRecordTimes(proposed);
+      if (timeError) {
+        return res.status(400).json({
+          success: false,
+          message: timeError
+        });
+      }
+
+      const [overlapping, recordedPayroll] = await Promise.all([
+        findOverlappingRecord(record.staffMember, proposed.clockInAt, proposed.clockOutAt, record._id),
+        findOverlappingPayroll(
+          req.snookerHouse._id,
+          new Date(Math.min(record.clockInAt, proposed.clockInAt)),
+          new Date(Math.max(record.clockInAt, proposed.clockInAt))
+        )
+      ]);
+
+      if (overlapping) {
+        return res.status(400).json({
+          success: false,
+          message: 'These times overlap another attendance record for this staff member',
+          data: { recordId: overlapping._id }
+        });
+      }
+
+      if (recordedPayroll) {
+        return res.status(400).json({
+          success: false,
+          message: 'Payroll covering this record has already been recorded'
+        });
+      }
+
+      // Log each changed field before applying it
+      const plain = (value) => JSON.parse(JSON.stringify(value ?? null));
+      const changes = [
+        ['clockInAt', record.clockInAt, req.body.clockInAt],
+        ['clockOutAt', record.clockOutAt, req.body.clockOutAt],
+        ['breaks', record.breaks.map(entry => ({ startAt: entry.startAt, endAt: entry.endAt })), req.body.breaks],
+        ['notes', record.notes, req.body.notes]
+      ].filter(([, before, after]) => after !== undefined && JSON.stringify(plain(before)) !== JSON.stringify(plain(after)));
+
+      if (changes.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Nothing to correct'
+        });
+      }
+
+      changes.forEach(([field, before, after]) => {
+        record.corrections.push({
+          field,
+          before: plain(before),
+          after: plain(after),
+          reason,
+          correctedBy: req.user.id,
+          correctedBySession: req.session?.id
+        });
+      });
+
+      record.clockInAt = proposed.clockInAt;
+      record.breaks = proposed.breaks;
+      if (req.body.notes !== undefined) record.notes = req.body.notes;
+      if (req.body.clockOutAt) {
+        record.clockOutAt = req.body.clockOutAt;
+        if (record.status === 'open') {
+          record.status = 'closed';
+          record.clockedOutBy = req.user.id;
+        }
+      }
+      record.lastModifiedBySession = req.session?.id;
+      await record.save();
+
+      console.log('✅ Attendance record corrected:', {
+        recordId: record._id,
+        fields: changes.map(([field]) => field),
+        reason
+      });
+
+      res.json({
+        success: true,
+        message: `Attendance record for ${record.staffName} corrected`,
+        data: {
+          record: record.toJSON(),
+          updatedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Correct attendance record error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid attendance record ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error during correction'
+      });
+    }
+  }
+
+  // @desc    Get the payroll report for a period (?startDate=&endDate=&format=json|csv)
+  // @access  Private (payroll.manage)
+  async getPayrollReport(req, res) {
+    try {
+      const { startDate, endDate, format } = req.query;
+      const { start, end } = getPayrollPeriod(startDate, endDate);
+
+      const [report, recordedPayroll] = await Promise.all([
+        getPayrollReport(req.snookerHouse, start, end),
+        findOverlappingPayroll(req.snookerHouse._id, start, end)
+      ]);
+
+      if (format === 'csv') {
+        const rows = toCsvRows(report);
+        const csvHeader = Object.keys(rows[0] || {
+          periodStart: '', periodEnd: '', staffName: '', role: '', daysWorked: '', records: '', openRecords: '',
+          breakHours: '', regularHours: '', overtimeHours: '', hourlyRate: '', overtimeRate: '',
+          regularPay: '', overtimePay: '', totalPay: ''
+        }).join(',');
+        const csvRows = rows.map(row =>
+          Object.values(row).map(value =>
+            typeof value === 'string' ? `"${value.replace(/"/g, '""')}"` : value
+          ).join(',')
+        );
+        const csvContent = [csvHeader, ...csvRows].join('\n');
+
+        console.log('✅ Payroll report exported:', { staff: rows.length, totalPay: report.totals.totalPay });
+
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="payroll-${Date.now()}.csv"`);
+        return res.send(csvContent);
+      }
+
+      res.json({
+        success: true,
+        data: {
+          report,
+          recorded: recordedPayroll
+            ? {
+              expenseDate: recordedPayroll.expenseDate,
+              period: recordedPayroll.period
+            }
+            : null,
+          generatedAt: new Date()
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Payroll report error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error while generating payroll report'
+      });
+    }
+  }
+
+  // @desc    Record a period's payroll as payroll expenses in the financial report
+  // @access  Private (payroll.manage)
+  async recordPayroll(req, res) {
+    try {
+      const { startDate, endDate, paymentMethod } = req.body;
+      const { start, end } = getPayrollPeriod(startDate, endDate);
+      const snookerHouse = req.snookerHouse;
+
+      const recordedPayroll = await findOverlappingPayroll(snookerHouse._id, start, end);
+      if (recordedPayroll) {
+        return res.status(400).json({
+          success: false,
+          message: 'Payroll for an overlapping period has already been recorded',
+          data: { period: recordedPayroll.period }
+        });
+      }
+
+      const report = await getPayrollReport(snookerHouse, start, end);
+
+      if (report.totals.openRecords > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `${report.totals.openRecords} attendance record(s) in this period are still clocked in. Clock out or correct them first.`
+        });
+      }
+
+      if (report.totals.totalPay <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No pay is due for this period. Check staff hourly rates.'
+        });
+      }
+
+      const expenses = await recordPayrollExpenses(snookerHouse, report, {
+        paymentMethod,
+        createdBySession: req.session?.id
+      });
+
+      console.log('✅ Payroll recorded:', {
+        period: { start, end },
+        expenses: expenses.length,
+        totalPay: report.totals.totalPay
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Payroll of ${report.totals.totalPay} recorded for ${expenses.length} staff member(s)`,
+        data: {
+          report,
+          expenses,
+          createdBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Record payroll error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error while recording payroll',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+module.exports = new AttendanceController();
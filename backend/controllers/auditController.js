@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/AuditEvent');
+const { toCsvRows } = require('../services/auditService');
+
+// Most events a single CSV export will include
+const EXPORT_LIMIT = 10000;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Build the audit log query from validated filters
+const buildAuditQuery = (snookerHouseId, filters) => {
+  const { entityType, entityId, actorId, action, startDate, endDate } = filters;
+
+  const query = { snookerHouse: snookerHouseId };
+  if (entityType) query.entityType = entityType;
+  if (entityId) query.entityId = new mongoose.Types.ObjectId(entityId);
+  if (actorId) query['actor.user'] = new mongoose.Types.ObjectId(actorId);
+  if (action) {
+    query.action = action.endsWith('.') ? new RegExp(`^${escapeRegex(action)}`) : action;
+  }
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = new Date(startDate);
+    if (endDate) query.createdAt.$lte = new Date(endDate);
+  }
+
+  return query;
+};
+
+class AuditController {
+  // @desc    Get audit events (?entityType=&entityId=&actorId=&action=&startDate=&endDate=&limit=&skip=)
+  // @access  Private (audit.view)
+  async getAuditEvents(req, res) {
+    try {
+      const { limit, skip } = req.query;
+      const query = buildAuditQuery(req.snookerHouse._id, req.query);
+
+      const [events, total, byAction] = await Promise.all([
+        AuditEvent.find(query)
+          .sort({ createdAt: -1 })
+          .limit(limit)
+          .skip(skip),
+        AuditEvent.countDocuments(query),
+        AuditEvent.aggregate([
+          { $match: query },
+          { $group: { _id: '$action', count: { $sum: 1 } } },
+          { $sort: { count: -1 } }
+        ])
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          events,
+          total,
+          byAction: byAction.map(row => ({ action: row._id, count: row.count })),
+          pagination: {
+            limit,
+            skip,
+            hasMore: skip + events.length < total
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Get audit events error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error while loading audit log'
+      });
+    }
+  }
+
+  // @desc    Export audit events as CSV (one row per changed field)
+  // @access  Private (audit.view)
+  async exportAuditEvents(req, res) {
+    try {
+      const query = buildAuditQuery(req.snookerHouse._id, req.query);
+
+      const events = await AuditEvent.find(query)
+        .sort({ createdAt: -1 })
+        .limit(EXPORT_LIMIT);
+
+      const rows = toCsvRows(events);
+      const csvHeader = Object.keys(rows[0] || {
+        date: '', action: '', entityType: '', entityId: '', entityLabel: '', actorName: '', actorEmail: '',
+        actorRole: '', ip: '', device: '', reason: '', approvedBy: '', field: '', before: '', after: ''
+      }).join(',');
+      const csvRows = rows.map(row =>
+        Object.values(row).map(value =>
+          typeof value === 'string' ? `"${value.replace(/"/g, '""')}"` : value
+        ).join(',')
+      );
+      const csvContent = [csvHeader, ...csvRows].join('\n');
+
+      console.log('✅ Audit log exported:', { events: events.length, rows: rows.length });
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-log-${Date.now()}.csv"`);
+      res.send(csvContent);
+
+    } catch (error) {
+      console.error('💥 Export audit events error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error during export'
+      });
+    }
+  }
+}
+
+module.exports = new AuditController();
@@ -0,0 +1,520 @@
+const Booking = require('../models/Booking');
+const Table = require('../models/Table');
+const { belongsToHouse } = require('../middleware/permissions');
+
+class BookingController {
+  // @desc    Create a table reservation
+  // @access  Private (bookings.manage)
+  async createBooking(req, res) {
+    try {
+      const {
+        tableId,
+        customerName,
+        customerPhone,
+        partySize,
+        startTime,
+        endTime,
+        gracePeriodMinutes,
+        notes
+      } = req.body;
+
+      console.log('📅 Creating booking:', {
+        tableId,
+        customerName,
+        startTime,
+        endTime,
+        userId: req.user?.id
+      });
+
+      const table = await Table.findById(tableId);
+      if (!table) {
+        return res.status(404).json({
+          success: false,
+          message: 'Table not found'
+        });
+      }
+
+      // Check ownership
+      if (!belongsToHouse(table, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only book your own tables.'
+        });
+      }
+
+      if (table.status !== 'active') {
+        return res.status(400).json({
+          success: false,
+          message: 'Table is not available for booking'
+        });
+      }
+
+      const start = new Date(startTime);
+      const end = new Date(endTime);
+
+      if (end <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot create a booking that has already ended'
+        });
+      }
+
+      // Overlap detection per table
+      const conflicts = await Booking.findOverlapping(table._id, start, end);
+      if (conflicts.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Table is already reserved for part of this time slot',
+          conflicts: conflicts.map(booking => ({
+            id: booking._id,
+            customerName: booking.customerName,
+            startTime: booking.startTime,
+            endTime: booking.endTime,
+            status: booking.status
+          }))
+        });
+      }
+
+      const booking = new Booking({
+        table: table._id,
+        snookerHouse: table.snookerHouse,
+        owner: req.snookerHouse.owner,
+        customerName: customerName.trim(),
+        customerPhone: customerPhone?.trim() || '',
+        partySize: partySize || 2,
+        startTime: start,
+        endTime: end,
+        gracePeriodMinutes: gracePeriodMinutes !== undefined ? gracePeriodMinutes : 15,
+        notes: notes?.trim() || '',
+        createdBySession: req.session?.id
+      });
+
+      await booking.save();
+      await booking.populate('table', 'name tableNumber');
+
+      console.log('✅ Booking created:', {
+        bookingId: booking._id,
+        table: table.name,
+        startTime: booking.startTime
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Booking created successfully!',
+        data: {
+          booking: booking.toJSON(),
+          createdBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Create booking error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid table ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error during booking creation',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // @desc    Get bookings for user's snooker house with filtering and pagination
+  // @access  Private (bookings.manage)
+  async getMyBookings(req, res) {
+    try {
+      const { status, tableId, dateFrom, dateTo, limit = 50, skip = 0 } = req.query;
+
+      console.log('📅 Getting bookings:', {
+        userId: req.user?.id,
+        filters: { status, tableId, dateFrom, dateTo, limit, skip }
+      });
+
+      // Find user's snooker house
+      const snookerHouse = req.snookerHouse;
+
+      // Expire overdue reservations so the list reflects the counter's view
+      await Booking.expireNoShows();
+
+      const options = {
+        limit: parseInt(limit),
+        skip: parseInt(skip)
+      };
+
+      if (status) options.status = status;
+      if (tableId) options.tableId = tableId;
+      if (dateFrom) options.dateFrom = dateFrom;
+      if (dateTo) options.dateTo = dateTo;
+
+      const bookings = await Booking.getBySnookerHouse(snookerHouse._id, options);
+
+      const now = new Date();
+      const [upcoming, seated, noShowsToday] = await Promise.all([
+        Booking.countDocuments({
+          snookerHouse: snookerHouse._id,
+          status: 'confirmed',
+          startTime: { $gte: now }
+        }),
+        Booking.countDocuments({ snookerHouse: snookerHouse._id, status: 'seated' }),
+        Booking.countDocuments({
+          snookerHouse: snookerHouse._id,
+          status: 'no_show',
+          noShowAt: { $gte: new Date(new Date().setHours(0, 0, 0, 0)) }
+        })
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          bookings: bookings.map(booking => booking.toJSON()),
+          statistics: {
+            upcoming,
+            seated,
+            noShowsToday,
+            returned: bookings.length
+          },
+          pagination: {
+            limit: parseInt(limit),
+            skip: parseInt(skip),
+            hasMore: bookings.length === parseInt(limit)
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Get bookings error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Get specific booking details
+  // @access  Private (bookings.manage)
+  async getBookingById(req, res) {
+    try {
+      const booking = await Booking.findById(req.params.bookingId)
+        .populate('table', 'name tableNumber status isOccupied')
+        .populate('session', 'status startTime endTime totalCost');
+
+      if (!booking) {
+        return res.status(404).json({
+          success: false,
+          message: 'Booking not found'
+        });
+      }
+
+      if (!belongsToHouse(booking, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only view your own bookings.'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          booking: booking.toJSON()
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Get booking error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid booking ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Update a confirmed booking (reschedule, move table, edit details)
+  // @access  Private (bookings.manage)
+  async updateBooking(req, res) {
+    try {
+      const { bookingId } = req.params;
+      const {
+        tableId,
+        customerName,
+        customerPhone,
+        partySize,
+        startTime,
+        endTime,
+        gracePeriodMinutes,
+        notes
+      } = req.body;
+
+      const booking = await Booking.findById(bookingId);
+      if (!booking) {
+        return res.status(404).json({
+          success: false,
+          message: 'Booking not found'
+        });
+      }
+
+      if (!belongsToHouse(booking, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only update your own bookings.'
+        });
+      }
+
+      if (booking.status !== 'confirmed') {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot update a booking that is ${booking.status}`
+        });
+      }
+
+      // Moving to another table
+      if (tableId && tableId !== booking.table.toString()) {
+        const table = await Table.findById(tableId);
+        if (!table) {
+          return res.status(404).json({
+            success: false,
+            message: 'Table not found'
+          });
+        }
+
+        if (!belongsToHouse(table, req)) {
+          return res.status(403).json({
+            success: false,
+            message: 'Access denied. You can only book your own tables.'
+          });
+        }
+
+        if (table.status !== 'active') {
+          return res.status(400).json({
+            success: false,
+            message: 'Table is not available for booking'
+          });
+        }
+
+        booking.table = table._id;
+      }
+
+      if (startTime) booking.startTime = new Date(startTime);
+      if (endTime) booking.endTime = new Date(endTime);
+
+      if (booking.endTime <= booking.startTime) {
+        return res.status(400).json({
+          success: false,
+          message: 'End time must be after start time'
+        });
+      }
+
+      // Re-check overlap when the slot or table changed
+      if (tableId || startTime || endTime) {
+        const conflicts = await Booking.findOverlapping(
+          booking.table,
+          booking.startTime,
+          booking.endTime,
+          booking._id
+        );
+
+        if (conflicts.length > 0) {
+          return res.status(409).json({
+            success: false,
+            message: 'Table is already reserved for part of this time slot',
+            conflicts: conflicts.map(conflict => ({
+              id: conflict._id,
+              customerName: conflict.customerName,
+              startTime: conflict.startTime,
+              endTime: conflict.endTime,
+              status: conflict.status
+            }))
+          });
+        }
+      }
+
+      if (customerName) booking.customerName = customerName.trim();
+      if (customerPhone !== undefined) booking.customerPhone = customerPhone.trim();
+      if (partySize !== undefined) booking.partySize = partySize;
+      if (gracePeriodMinutes !== undefined) booking.gracePeriodMinutes = gracePeriodMinutes;
+      if (notes !== undefined) booking.notes = notes;
+      booking.lastModifiedBySession = req.session?.id;
+
+      await booking.save();
+      await booking.populate('table', 'name tableNumber');
+
+      console.log('✅ Booking updated:', booking._id);
+
+      res.json({
+        success: true,
+        message: 'Booking updated successfully!',
+        data: {
+          booking: booking.toJSON(),
+          updatedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Update booking error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid booking or table ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error during update'
+      });
+    }
+  }
+
+  // @desc    Cancel a confirmed booking
+  // @access  Private (bookings.manage)
+  async cancelBooking(req, res) {
+    try {
+      const { bookingId } = req.params;
+      const { reason } = req.body;
+
+      const booking = await Booking.findById(bookingId);
+      if (!booking) {
+        return res.status(404).json({
+          success: false,
+          message: 'Booking not found'
+        });
+      }
+
+      if (!belongsToHouse(booking, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only cancel your own bookings.'
+        });
+      }
+
+      if (booking.status !== 'confirmed') {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot cancel a booking that is ${booking.status}`
+        });
+      }
+
+      booking.status = 'cancelled';
+      booking.cancelledAt = new Date();
+      booking.cancellationReason = reason || '';
+      booking.lastModifiedBySession = req.session?.id;
+      await booking.save();
+
+      console.log('✅ Booking cancelled:', booking._id);
+
+      res.json({
+        success: true,
+        message: 'Booking cancelled successfully',
+        data: {
+          booking: booking.toJSON(),
+          cancelledBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Cancel booking error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid booking ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Mark a booking as no-show before the expiry job catches it
+  // @access  Private (bookings.manage)
+  async markNoShow(req, res) {
+    try {
+      const booking = await Booking.findById(req.params.bookingId);
+      if (!booking) {
+        return res.status(404).json({
+          success: false,
+          message: 'Booking not found'
+        });
+      }
+
+      if (!belongsToHouse(booking, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only update your own bookings.'
+        });
+      }
+
+      if (booking.status !== 'confirmed') {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot mark a booking that is ${booking.status} as no-show`
+        });
+      }
+
+      if (booking.startTime > new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot mark a booking as no-show before its start time'
+        });
+      }
+
+      booking.status = 'no_show';
+      booking.noShowAt = new Date();
+      booking.lastModifiedBySession = req.session?.id;
+      await booking.save();
+
+      console.log('✅ Booking marked as no-show:', booking._id);
+
+      res.json({
+        success: true,
+        message: 'Booking marked as no-show',
+        data: {
+          booking: booking.toJSON()
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Mark no-show error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid booking ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+}
+
+module.exports = new BookingController();
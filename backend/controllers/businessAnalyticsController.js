@@ -2,24 +2,34 @@ const Session = require('../models/Session');
 const Product = require('../models/Product');
 const Sale = require('../models/Sale');
 const Table = require('../models/Table');
+const Customer = require('../models/Customer');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const WalletTransaction = require('../models/WalletTransaction');
+const Expense = require('../models/Expense');
 const SnookerHouse = require('../models/SnookerHouse');
+const { getStaffPerformance } = require('../services/staffPerformanceService');
+const { getEntryFeeTotals } = require('../services/competitionService');
 const mongoose = require('mongoose'); // 🔧 ADD THIS IMPORT
 
+// Sessions that aren't linked to a registered customer (no phone, or recorded
+// before customers were imported) are grouped by the name typed in instead
+const CUSTOMER_KEY = { $ifNull: ['$customer', '$customerName'] };
+const HAS_CUSTOMER = {
+  $or: [
+    { customer: { $ne: null } },
+    { customerName: { $nin: ['Guest', '', null] } }
+  ]
+};
+
 class BusinessAnalyticsController {
   // @desc    Get comprehensive business dashboard
-  // @access  Private
+  // @access  Private (reports.financial)
   async getDashboard(req, res) {
     try {
       console.log('📊 Getting business dashboard for user:', req.user?.id);
 
       // Find user's snooker house
-      const snookerHouse = await SnookerHouse.findOne({ owner: req.user.id });
-      if (!snookerHouse) {
-        return res.status(404).json({
-          success: false,
-          message: 'No snooker house found'
-        });
-      }
+      const snookerHouse = req.snookerHouse;
 
       // 🔧 CRITICAL FIX: Convert snookerHouseId to ObjectId for aggregations
       const snookerHouseObjectId = new mongoose.Types.ObjectId(snookerHouse._id);
@@ -550,24 +560,25 @@ class BusinessAnalyticsController {
     const [
       totalCustomers,
       returningCustomers,
-      topCustomers
+      topCustomers,
+      newThisMonth
     ] = await Promise.all([
-      Session.distinct('customerName', { 
-        snookerHouse: snookerHouseObjectId,
-        customerName: { $ne: 'Guest' }
-      }),
+      Session.aggregate([
+        { $match: { snookerHouse: snookerHouseObjectId, ...HAS_CUSTOMER } },
+        { $group: { _id: CUSTOMER_KEY } }
+      ]),
 
       Session.aggregate([
         { 
           $match: { 
             snookerHouse: snookerHouseObjectId,
-            customerName: { $ne: 'Guest' },
+            ...HAS_CUSTOMER,
             createdAt: { $gte: thisMonth.start, $lte: thisMonth.end }
           } 
         },
         {
           $group: {
-            _id: '$customerName',
+            _id: CUSTOMER_KEY,
             sessionCount: { $sum: 1 }
           }
         },
@@ -579,12 +590,12 @@ class BusinessAnalyticsController {
           $match: { 
             snookerHouse: snookerHouseObjectId,
             status: 'completed',
-            customerName: { $ne: 'Guest' }
+            ...HAS_CUSTOMER
           } 
         },
         {
           $group: {
-            _id: '$customerName',
+            _id: CUSTOMER_KEY,
             totalSessions: { $sum: 1 },
             totalSpent: { $sum: '$totalCost' },
             avgSpent: { $avg: '$totalCost' },
@@ -592,16 +603,32 @@ class BusinessAnalyticsController {
           }
         },
         { $sort: { totalSpent: -1 } },
-        { $limit: 10 }
-      ])
+        { $limit: 10 },
+        {
+          $lookup: {
+            from: 'customers',
+            localField: '_id',
+            foreignField: '_id',
+            as: 'customer'
+          }
+        },
+        { $unwind: { path: '$customer', preserveNullAndEmptyArrays: true } }
+      ]),
+
+      Customer.countDocuments({
+        snookerHouse: snookerHouseObjectId,
+        createdAt: { $gte: thisMonth.start, $lte: thisMonth.end }
+      })
     ]);
 
     return {
       total: totalCustomers.length,
       returning: returningCustomers.length,
-      newThisMonth: totalCustomers.length - returningCustomers.length,
+      newThisMonth,
       topCustomers: topCustomers.map(customer => ({
-        name: customer._id,
+        customerId: customer.customer ? customer._id : null,
+        name: customer.customer ? customer.customer.name : customer._id,
+        phone: customer.customer ? customer.customer.phone : '',
         totalSessions: customer.totalSessions,
         totalSpent: Math.round(customer.totalSpent),
         avgSpent: Math.round(customer.avgSpent),
@@ -736,57 +763,16 @@ class BusinessAnalyticsController {
   }
 
   // @desc    Get financial reports
-  // @access  Private
+  // @access  Private (reports.financial)
   async getFinancialReport(req, res) {
     try {
       const { period = 'month', startDate, endDate } = req.query;
       
       // Find user's snooker house
-      const snookerHouse = await SnookerHouse.findOne({ owner: req.user.id });
-      if (!snookerHouse) {
-        return res.status(404).json({
-          success: false,
-          message: 'No snooker house found'
-        });
-      }
+      const snookerHouse = req.snookerHouse;
 
       // Calculate date range
-      let dateRange = {};
-      const now = new Date();
-      
-      if (startDate && endDate) {
-        dateRange = {
-          start: new Date(startDate),
-          end: new Date(endDate)
-        };
-      } else {
-        switch (period) {
-          case 'today':
-            dateRange = {
-              start: new Date(now.getFullYear(), now.getMonth(), now.getDate()),
-              end: new Date(now.getFullYear(), now.getMonth(), now.getDate(), 23, 59, 59)
-            };
-            break;
-          case 'week':
-            dateRange = {
-              start: new Date(now.setDate(now.getDate() - now.getDay())),
-              end: new Date()
-            };
-            break;
-          case 'month':
-            dateRange = {
-              start: new Date(now.getFullYear(), now.getMonth(), 1),
-              end: new Date()
-            };
-            break;
-          case 'year':
-            dateRange = {
-              start: new Date(now.getFullYear(), 0, 1),
-              end: new Date()
-            };
-            break;
-        }
-      }
+      const dateRange = this.getReportDateRange(period, startDate, endDate);
 
       const [
         revenueData,
@@ -808,11 +794,16 @@ class BusinessAnalyticsController {
         profit: profitAnalysis,
         cashFlow: cashFlow,
         summary: {
+          grossRevenue: revenueData.grossRevenue,
+          totalDiscounts: revenueData.discounts.total,
+          vatCollected: revenueData.tax.vat.total,
+          serviceCharge: revenueData.tax.serviceCharge.total,
           totalRevenue: revenueData.total,
+          totalRefunds: cashFlow.refunds.amount,
           totalExpenses: expenseData.total,
-          netProfit: revenueData.total - expenseData.total,
+          netProfit: revenueData.total - cashFlow.refunds.amount - expenseData.total,
           profitMargin: revenueData.total > 0 ? 
-            Math.round(((revenueData.total - expenseData.total) / revenueData.total) * 100) : 0
+            Math.round(((revenueData.total - cashFlow.refunds.amount - expenseData.total) / revenueData.total) * 100) : 0
         }
       };
 
@@ -833,66 +824,296 @@ class BusinessAnalyticsController {
     }
   }
 
+  // @desc    Consolidated dashboard across all of the owner's branches
+  // @access  Private (reports.branches)
+  async getBranchesDashboard(req, res) {
+    try {
+      const { period = 'month', startDate, endDate } = req.query;
+      const dateRange = this.getReportDateRange(period, startDate, endDate);
+
+      const branches = await SnookerHouse.find({ owner: req.snookerHouse.owner }).sort({ createdAt: 1 });
+
+      const branchReports = await Promise.all(branches.map(async (branch) => {
+        const [revenue, expenses, activeTables, occupiedTables, activeSessions, totalCustomers] = await Promise.all([
+          this.getDetailedRevenueData(branch._id, dateRange),
+          this.getExpenseData(branch._id, dateRange),
+          Table.countDocuments({ snookerHouse: branch._id, status: 'active' }),
+          Table.countDocuments({ snookerHouse: branch._id, isOccupied: true }),
+          Session.countDocuments({ snookerHouse: branch._id, status: { $in: ['active', 'paused'] } }),
+          Customer.countDocuments({ snookerHouse: branch._id })
+        ]);
+
+        return {
+          snookerHouse: {
+            id: branch._id,
+            name: branch.name,
+            address: branch.address
+          },
+          revenue: revenue.total,
+          gameRevenue: revenue.gameRevenue,
+          itemsRevenue: revenue.itemsRevenue,
+          discounts: revenue.discounts.total,
+          expenses: expenses.total,
+          netProfit: revenue.total - expenses.total,
+          sessionsCount: revenue.sessionsCount,
+          averagePerSession: revenue.averagePerSession,
+          activeSessions,
+          activeTables,
+          occupiedTables,
+          occupancyRate: activeTables > 0 ? Math.round((occupiedTables / activeTables) * 100) : 0,
+          totalCustomers
+        };
+      }));
+
+      const sum = (field) => branchReports.reduce((total, branch) => total + branch[field], 0);
+      const totals = {
+        branches: branchReports.length,
+        revenue: sum('revenue'),
+        gameRevenue: sum('gameRevenue'),
+        itemsRevenue: sum('itemsRevenue'),
+        discounts: sum('discounts'),
+        expenses: sum('expenses'),
+        netProfit: sum('netProfit'),
+        sessionsCount: sum('sessionsCount'),
+        activeSessions: sum('activeSessions'),
+        activeTables: sum('activeTables'),
+        occupiedTables: sum('occupiedTables'),
+        totalCustomers: sum('totalCustomers')
+      };
+      totals.averagePerSession = totals.sessionsCount > 0 ? Math.round(totals.revenue / totals.sessionsCount) : 0;
+      totals.occupancyRate = totals.activeTables > 0 ? Math.round((totals.occupiedTables / totals.activeTables) * 100) : 0;
+
+      // Each branch's share of the combined revenue, best first
+      const ranking = [...branchReports]
+        .sort((a, b) => b.revenue - a.revenue)
+        .map((branch, index) => ({
+          rank: index + 1,
+          snookerHouseId: branch.snookerHouse.id,
+          name: branch.snookerHouse.name,
+          revenue: branch.revenue,
+          revenueShare: totals.revenue > 0 ? Math.round((branch.revenue / totals.revenue) * 100) : 0
+        }));
+
+      res.json({
+        success: true,
+        data: {
+          period,
+          dateRange,
+          totals,
+          branches: branchReports,
+          ranking,
+          generatedAt: new Date(),
+          accessedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Branches dashboard error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error while generating branches dashboard'
+      });
+    }
+  }
+
+  // @desc    Revenue, sessions, cancellations, discounts, credit and upsell per staff member
+  // @access  Private (reports.staff)
+  async getStaffPerformance(req, res) {
+    try {
+      const { period = 'month', startDate, endDate } = req.query;
+      const dateRange = this.getReportDateRange(period, startDate, endDate);
+
+      const { staff, house } = await getStaffPerformance(req.snookerHouse, dateRange);
+
+      res.json({
+        success: true,
+        data: {
+          period,
+          dateRange,
+          house,
+          staff,
+          flagged: staff.filter(row => row.flags.length > 0).length,
+          generatedAt: new Date(),
+          accessedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Staff performance error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error while generating staff performance'
+      });
+    }
+  }
+
+  // Date range for a report period (explicit start/end dates take priority)
+  getReportDateRange(period, startDate, endDate) {
+    const now = new Date();
+
+    if (startDate && endDate) {
+      return {
+        start: new Date(startDate),
+        end: new Date(endDate)
+      };
+    }
+
+    switch (period) {
+      case 'today':
+        return {
+          start: new Date(now.getFullYear(), now.getMonth(), now.getDate()),
+          end: new Date(now.getFullYear(), now.getMonth(), now.getDate(), 23, 59, 59)
+        };
+      case 'week':
+        return {
+          start: new Date(now.setDate(now.getDate() - now.getDay())),
+          end: new Date()
+        };
+      case 'year':
+        return {
+          start: new Date(now.getFullYear(), 0, 1),
+          end: new Date()
+        };
+      case 'month':
+      default:
+        return {
+          start: new Date(now.getFullYear(), now.getMonth(), 1),
+          end: new Date()
+        };
+    }
+  }
+
   // Helper methods for financial reports
   async getDetailedRevenueData(snookerHouseId, dateRange) {
-    const revenueData = await Session.aggregate([
-      { 
-        $match: { 
-          snookerHouse: snookerHouseId, 
-          status: 'completed',
-          endTime: { $gte: dateRange.start, $lte: dateRange.end }
-        } 
-      },
-      {
-        $group: {
-          _id: null,
-          total: { $sum: '$totalCost' },
-          gameRevenue: { $sum: '$gameCost' },
-          itemsRevenue: { $sum: '$totalItemsRevenue' },
-          itemsProfit: { $sum: '$totalItemsProfit' },
-          sessionsCount: { $sum: 1 }
+    const [revenueData, saleDiscounts, entryFeeTotals] = await Promise.all([
+      Session.aggregate([
+        { 
+          $match: { 
+            snookerHouse: snookerHouseId, 
+            status: 'completed',
+            endTime: { $gte: dateRange.start, $lte: dateRange.end }
+          } 
+        },
+        {
+          $group: {
+            _id: null,
+            total: { $sum: '$totalCost' },
+            gameRevenue: { $sum: '$gameCost' },
+            itemsRevenue: { $sum: '$totalItemsRevenue' },
+            itemsProfit: { $sum: '$totalItemsProfit' },
+            discounts: { $sum: '$totalDiscount' },
+            serviceCharge: { $sum: { $ifNull: ['$serviceCharge', 0] } },
+            vat: { $sum: { $ifNull: ['$vatAmount', 0] } },
+            sessionsCount: { $sum: 1 }
+          }
         }
-      }
+      ]),
+
+      Sale.aggregate([
+        { 
+          $match: { 
+            snookerHouse: snookerHouseId,
+            saleDate: { $gte: dateRange.start, $lte: dateRange.end }
+          } 
+        },
+        {
+          $group: {
+            _id: null,
+            discounts: { $sum: '$totalDiscount' },
+            serviceCharge: { $sum: { $ifNull: ['$serviceCharge', 0] } },
+            vat: { $sum: { $ifNull: ['$vatAmount', 0] } }
+          }
+        }
+      ]),
+
+      getEntryFeeTotals(snookerHouseId, dateRange.start, dateRange.end)
     ]);
 
     const data = revenueData[0] || { 
-      total: 0, gameRevenue: 0, itemsRevenue: 0, itemsProfit: 0, sessionsCount: 0 
+      total: 0, gameRevenue: 0, itemsRevenue: 0, itemsProfit: 0, discounts: 0,
+      serviceCharge: 0, vat: 0, sessionsCount: 0 
     };
+    const salesData = saleDiscounts[0] || { discounts: 0, serviceCharge: 0, vat: 0 };
+    const salesDiscount = salesData.discounts;
 
+    // VAT is collected on behalf of the tax office, so revenue is reported net of it.
+    // Service charge stays in revenue and is shown separately.
+    const netTotal = data.total - data.vat;
+
+    // Tournament and league entry fees are house income, like prizes are expenses
+    const entryFees = entryFeeTotals.reduce((sum, row) => sum + row.amount, 0);
+
+    // Promotions are reported as discounts against gross revenue, not as lost revenue
     return {
-      total: Math.round(data.total),
+      total: Math.round(netTotal + entryFees),
+      grossRevenue: Math.round(data.gameRevenue + data.itemsRevenue),
       gameRevenue: Math.round(data.gameRevenue),
       itemsRevenue: Math.round(data.itemsRevenue),
       itemsProfit: Math.round(data.itemsProfit),
+      entryFees: Math.round(entryFees),
+      discounts: {
+        sessions: Math.round(data.discounts),
+        sales: Math.round(salesDiscount),
+        total: Math.round(data.discounts + salesDiscount)
+      },
+      tax: {
+        vat: {
+          sessions: Math.round(data.vat),
+          sales: Math.round(salesData.vat),
+          total: Math.round(data.vat + salesData.vat)
+        },
+        serviceCharge: {
+          sessions: Math.round(data.serviceCharge),
+          sales: Math.round(salesData.serviceCharge),
+          total: Math.round(data.serviceCharge + salesData.serviceCharge)
+        }
+      },
       sessionsCount: data.sessionsCount,
-      averagePerSession: data.sessionsCount > 0 ? Math.round(data.total / data.sessionsCount) : 0
+      averagePerSession: data.sessionsCount > 0 ? Math.round(netTotal / data.sessionsCount) : 0
     };
   }
 
   async getExpenseData(snookerHouseId, dateRange) {
-    // For now, we'll calculate inventory costs as expenses
-    // You can expand this to include other operational expenses
-    const inventoryExpenses = await Sale.aggregate([
-      { 
-        $match: { 
-          snookerHouse: snookerHouseId,
-          saleDate: { $gte: dateRange.start, $lte: dateRange.end }
-        } 
-      },
-      {
-        $group: {
-          _id: null,
-          totalCost: { $sum: '$totalCost' }
+    // Inventory costs plus recorded expenses (prize payouts, payroll, ...)
+    const [inventoryExpenses, recordedExpenses] = await Promise.all([
+      Sale.aggregate([
+        { 
+          $match: { 
+            snookerHouse: snookerHouseId,
+            saleDate: { $gte: dateRange.start, $lte: dateRange.end }
+          } 
+        },
+        {
+          $group: {
+            _id: null,
+            totalCost: { $sum: '$totalCost' }
+          }
         }
-      }
+      ]),
+      Expense.getTotalsByCategory(snookerHouseId, dateRange.start, dateRange.end)
     ]);
 
+    const byCategory = recordedExpenses.reduce((totals, row) => {
+      totals[row._id] = Math.round(row.amount);
+      return totals;
+    }, {});
+    const inventory = Math.round(inventoryExpenses[0]?.totalCost || 0);
+    const recorded = Object.values(byCategory).reduce((sum, amount) => sum + amount, 0);
+
     return {
-      total: Math.round(inventoryExpenses[0]?.totalCost || 0),
-      inventory: Math.round(inventoryExpenses[0]?.totalCost || 0),
-      // Add other expense categories as needed
-      operational: 0,
-      maintenance: 0
+      total: inventory + recorded,
+      inventory,
+      prizePayouts: byCategory.prize_payout || 0,
+      payroll: byCategory.payroll || 0,
+      maintenance: byCategory.maintenance || 0,
+      operational: (byCategory.utilities || 0) + (byCategory.rent || 0) + (byCategory.supplies || 0) + (byCategory.other || 0),
+      byCategory
     };
   }
 
@@ -910,7 +1131,19 @@ class BusinessAnalyticsController {
           $group: {
             _id: null,
             gameProfit: { $sum: '$gameCost' }, // Game sessions are pure profit
-            itemsProfit: { $sum: '$totalItemsProfit' }
+            itemsProfit: { $sum: '$totalItemsProfit' },
+            discounts: { $sum: '$totalDiscount' },
+            // Tax-inclusive prices already contain both charges; exclusive ones add them on top
+            inclusiveVat: {
+              $sum: {
+                $cond: [{ $eq: ['$taxSettings.pricesIncludeTax', true] }, { $ifNull: ['$vatAmount', 0] }, 0]
+              }
+            },
+            exclusiveServiceCharge: {
+              $sum: {
+                $cond: [{ $eq: ['$taxSettings.pricesIncludeTax', true] }, 0, { $ifNull: ['$serviceCharge', 0] }]
+              }
+            }
           }
         }
       ]),
@@ -931,54 +1164,243 @@ class BusinessAnalyticsController {
       ])
     ]);
 
-    const sessionData = sessionProfit[0] || { gameProfit: 0, itemsProfit: 0 };
+    const sessionData = sessionProfit[0] || {
+      gameProfit: 0, itemsProfit: 0, discounts: 0, inclusiveVat: 0, exclusiveServiceCharge: 0
+    };
     const inventoryData = inventoryProfit[0] || { totalProfit: 0 };
 
+    // Sale profit is already net of discounts and VAT; sessions are adjusted here.
+    // Service charge is house income, VAT is not.
+    const sessionAdjustment = sessionData.discounts + sessionData.inclusiveVat - sessionData.exclusiveServiceCharge;
+
     return {
       gameProfit: Math.round(sessionData.gameProfit),
       itemsProfit: Math.round(sessionData.itemsProfit + inventoryData.totalProfit),
-      totalProfit: Math.round(sessionData.gameProfit + sessionData.itemsProfit + inventoryData.totalProfit)
+      sessionDiscounts: Math.round(sessionData.discounts),
+      totalProfit: Math.round(sessionData.gameProfit + sessionData.itemsProfit - sessionAdjustment + inventoryData.totalProfit)
     };
   }
 
   async getCashFlowData(snookerHouseId, dateRange) {
-    const cashFlow = await Session.aggregate([
-      { 
-        $match: { 
-          snookerHouse: snookerHouseId, 
-          status: 'completed',
-          endTime: { $gte: dateRange.start, $lte: dateRange.end }
-        } 
-      },
-      {
-        $group: {
-          _id: '$paymentStatus',
-          amount: { $sum: '$totalCost' },
-          count: { $sum: 1 }
+    const [cashFlow, refundStats, nonCashPayments, walletStats, walletOutstanding, entryFeeTotals] = await Promise.all([
+      Session.aggregate([
+        { 
+          $match: { 
+            snookerHouse: snookerHouseId, 
+            status: 'completed',
+            endTime: { $gte: dateRange.start, $lte: dateRange.end }
+          } 
+        },
+        {
+          $group: {
+            _id: '$paymentStatus',
+            amount: { $sum: '$totalCost' },
+            count: { $sum: 1 }
+          }
         }
-      }
+      ]),
+      Session.getRefundStats(snookerHouseId, dateRange.start, dateRange.end),
+      Session.aggregate([
+        { $match: { snookerHouse: snookerHouseId, 'payments.method': { $in: ['points', 'wallet'] } } },
+        { $unwind: '$payments' },
+        {
+          $match: {
+            'payments.method': { $in: ['points', 'wallet'] },
+            'payments.paidAt': { $gte: dateRange.start, $lte: dateRange.end }
+          }
+        },
+        {
+          $group: {
+            _id: '$payments.method',
+            amount: { $sum: '$payments.amount' },
+            points: { $sum: '$payments.points' },
+            count: { $sum: 1 }
+          }
+        }
+      ]),
+      WalletTransaction.getStats(snookerHouseId, dateRange.start, dateRange.end),
+      Customer.aggregate([
+        { $match: { snookerHouse: snookerHouseId, walletBalance: { $gt: 0 } } },
+        { $group: { _id: null, balance: { $sum: '$walletBalance' } } }
+      ]),
+      getEntryFeeTotals(snookerHouseId, dateRange.start, dateRange.end)
     ]);
 
-    return cashFlow.reduce((acc, flow) => {
+    const nonCash = nonCashPayments.reduce((acc, payment) => {
+      acc[payment._id] = payment;
+      return acc;
+    }, {});
+
+    const flows = cashFlow.reduce((acc, flow) => {
       acc[flow._id] = {
         amount: Math.round(flow.amount),
         count: flow.count
       };
       return acc;
     }, { paid: { amount: 0, count: 0 }, credit: { amount: 0, count: 0 }, pending: { amount: 0, count: 0 } });
+
+    // Refunds are money out, dated when they were issued
+    flows.refunds = refundStats.reduce((acc, stat) => {
+      acc.amount += Math.round(stat.totalAmount);
+      acc.count += stat.count;
+      acc.byMethod[stat._id] = Math.round(stat.totalAmount);
+      return acc;
+    }, { amount: 0, count: 0, byMethod: {} });
+
+    // Bills paid with loyalty points bring in no money (nor do their reversals take any out)
+    flows.pointsRedeemed = {
+      amount: Math.round(nonCash.points?.amount || 0),
+      points: nonCash.points?.points || 0,
+      count: nonCash.points?.count || 0
+    };
+
+    // Wallet top-ups are cash in but deferred revenue: it is earned when the
+    // balance is spent on a session, which brings in no new cash
+    const topUps = walletStats.filter(stat => stat._id.type === 'topup');
+    flows.wallet = {
+      topUps: {
+        amount: Math.round(topUps.reduce((sum, stat) => sum + stat.amount, 0)),
+        count: topUps.reduce((sum, stat) => sum + stat.count, 0),
+        byMethod: topUps.reduce((acc, stat) => {
+          acc[stat._id.method] = Math.round(stat.amount);
+          return acc;
+        }, {})
+      },
+      spent: {
+        amount: Math.round(nonCash.wallet?.amount || 0),
+        count: nonCash.wallet?.count || 0
+      },
+      deferredRevenue: Math.round(walletOutstanding[0]?.balance || 0)
+    };
+
+    // Entry fees paid from a wallet were already counted as a top-up
+    flows.entryFees = entryFeeTotals.reduce((acc, row) => {
+      acc.amount += Math.round(row.amount);
+      acc.count += row.count;
+      acc.byMethod[row._id] = Math.round(row.amount);
+      return acc;
+    }, { amount: 0, count: 0, byMethod: {} });
+
+    const nonCashRefunds = (flows.refunds.byMethod.points || 0) + (flows.refunds.byMethod.wallet || 0);
+    flows.netInflow = flows.paid.amount
+      - flows.pointsRedeemed.amount
+      - flows.wallet.spent.amount
+      + flows.wallet.topUps.amount
+      + flows.entryFees.amount - (flows.entryFees.byMethod.wallet || 0)
+      - (flows.refunds.amount - nonCashRefunds);
+
+    return flows;
+  }
+
+  // @desc    Export sales register (one row per completed session / direct sale)
+  // @access  Private (reports.financial)
+  async getSalesRegister(req, res) {
+    try {
+      const { startDate, endDate, type = 'all', format = 'json' } = req.query;
+
+      const snookerHouse = req.snookerHouse;
+
+      const dateRange = { start: new Date(startDate), end: new Date(endDate) };
+
+      const [sessions, sales] = await Promise.all([
+        type === 'sales' ? [] : Session.find({
+          snookerHouse: snookerHouse._id,
+          status: 'completed',
+          endTime: { $gte: dateRange.start, $lte: dateRange.end }
+        }).populate('table', 'tableNumber name').sort({ endTime: 1 }),
+        type === 'sessions' ? [] : Sale.find({
+          snookerHouse: snookerHouse._id,
+          saleDate: { $gte: dateRange.start, $lte: dateRange.end }
+        }).sort({ saleDate: 1 })
+      ]);
+
+      const rows = [
+        ...sessions.map(session => ({
+          date: session.endTime,
+          invoiceNumber: session.invoiceNumber || '',
+          type: 'session',
+          reference: session.table ? `Table ${session.table.tableNumber}` : '',
+          customer: session.customerName || '',
+          customerPhone: session.customerPhone || '',
+          grossAmount: (session.gameCost || 0) + (session.totalItemsRevenue || 0),
+          discount: session.totalDiscount || 0,
+          taxableAmount: session.taxLines?.[0]?.taxableAmount || 0,
+          serviceCharge: session.serviceCharge || 0,
+          vatAmount: session.vatAmount || 0,
+          totalAmount: session.totalCost || 0,
+          paymentStatus: session.paymentStatus
+        })),
+        ...sales.map(sale => ({
+          date: sale.saleDate,
+          invoiceNumber: sale.invoiceNumber || '',
+          type: 'sale',
+          reference: sale.saleNumber,
+          customer: sale.customerName || '',
+          customerPhone: sale.customerPhone || '',
+          grossAmount: sale.totalRevenue || 0,
+          discount: sale.totalDiscount || 0,
+          taxableAmount: sale.taxLines?.[0]?.taxableAmount || 0,
+          serviceCharge: sale.serviceCharge || 0,
+          vatAmount: sale.vatAmount || 0,
+          totalAmount: sale.amountDue ?? sale.totalRevenue,
+          paymentStatus: sale.paymentMethod === 'credit' ? 'credit' : 'paid'
+        }))
+      ].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+      const totals = rows.reduce((acc, row) => {
+        acc.grossAmount += row.grossAmount;
+        acc.discount += row.discount;
+        acc.taxableAmount += row.taxableAmount;
+        acc.serviceCharge += row.serviceCharge;
+        acc.vatAmount += row.vatAmount;
+        acc.totalAmount += row.totalAmount;
+        return acc;
+      }, { grossAmount: 0, discount: 0, taxableAmount: 0, serviceCharge: 0, vatAmount: 0, totalAmount: 0 });
+
+      Object.keys(totals).forEach(key => {
+        totals[key] = Math.round(totals[key] * 100) / 100;
+      });
+
+      if (format === 'csv') {
+        const csvHeader = Object.keys(rows[0] || { date: '', invoiceNumber: '', type: '', reference: '' }).join(',');
+        const csvRows = rows.map(row =>
+          Object.values({ ...row, date: new Date(row.date).toISOString() }).map(value =>
+            typeof value === 'string' ? `"${value.replace(/"/g, '""')}"` : value
+          ).join(',')
+        );
+        const csvContent = [csvHeader, ...csvRows].join('\n');
+
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="sales-register-${Date.now()}.csv"`);
+        return res.send(csvContent);
+      }
+
+      res.json({
+        success: true,
+        data: {
+          panNumber: snookerHouse.taxSettings?.panNumber || '',
+          dateRange,
+          rows,
+          totals,
+          count: rows.length,
+          generatedAt: new Date()
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Sales register error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error while generating sales register'
+      });
+    }
   }
 
   // @desc    Get customer analytics
-  // @access  Private
+  // @access  Private (reports.financial)
   async getCustomerAnalytics(req, res) {
     try {
-      const snookerHouse = await SnookerHouse.findOne({ owner: req.user.id });
-      if (!snookerHouse) {
-        return res.status(404).json({
-          success: false,
-          message: 'No snooker house found'
-        });
-      }
+      const snookerHouse = req.snookerHouse;
 
       const [
         customerSegmentation,
@@ -1012,18 +1434,116 @@ class BusinessAnalyticsController {
     }
   }
 
+  // @desc    Get loyalty points activity and outstanding liability
+  // @access  Private (reports.financial)
+  async getLoyaltyAnalytics(req, res) {
+    try {
+      const snookerHouse = req.snookerHouse;
+
+      const now = new Date();
+      const end = req.query.endDate ? new Date(req.query.endDate) : now;
+      const start = req.query.startDate
+        ? new Date(req.query.startDate)
+        : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+      const settings = snookerHouse.loyaltySettings;
+
+      const [outstanding, activity, expiringSoon, topHolders] = await Promise.all([
+        LoyaltyTransaction.getOutstandingPoints(snookerHouse._id, now),
+
+        LoyaltyTransaction.aggregate([
+          {
+            $match: {
+              snookerHouse: snookerHouse._id,
+              transactionDate: { $gte: start, $lte: end }
+            }
+          },
+          {
+            $group: {
+              _id: '$type',
+              points: { $sum: '$points' },
+              value: { $sum: '$value' },
+              count: { $sum: 1 }
+            }
+          }
+        ]),
+
+        LoyaltyTransaction.aggregate([
+          {
+            $match: {
+              snookerHouse: snookerHouse._id,
+              type: { $in: ['earn', 'restore'] },
+              remainingPoints: { $gt: 0 },
+              expiresAt: { $gt: now, $lte: new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000) }
+            }
+          },
+          { $group: { _id: null, points: { $sum: '$remainingPoints' } } }
+        ]),
+
+        Customer.find({ snookerHouse: snookerHouse._id, pointsBalance: { $gt: 0 } })
+          .select('name phone pointsBalance totalPointsEarned totalPointsRedeemed')
+          .sort({ pointsBalance: -1 })
+          .limit(10)
+      ]);
+
+      const byType = activity.reduce((acc, row) => {
+        acc[row._id] = row;
+        return acc;
+      }, {});
+
+      const liabilityValue = (points) => Math.round(points * settings.pointValue * 100) / 100;
+
+      res.json({
+        success: true,
+        data: {
+          enabled: settings.enabled,
+          pointValue: settings.pointValue,
+          liability: {
+            outstandingPoints: outstanding.points,
+            value: liabilityValue(outstanding.points),
+            customersWithPoints: outstanding.customers,
+            expiringIn30Days: expiringSoon[0]?.points || 0
+          },
+          period: {
+            start,
+            end,
+            earned: byType.earn?.points || 0,
+            redeemed: byType.redeem?.points || 0,
+            redeemedValue: Math.round(byType.redeem?.value || 0),
+            redemptions: byType.redeem?.count || 0,
+            expired: byType.expire?.points || 0,
+            restored: byType.restore?.points || 0
+          },
+          topHolders: topHolders.map(customer => ({
+            customerId: customer._id,
+            name: customer.name,
+            phone: customer.phone,
+            pointsBalance: customer.pointsBalance,
+            value: liabilityValue(customer.pointsBalance)
+          }))
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Loyalty analytics error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error while generating loyalty analytics'
+      });
+    }
+  }
+
   async getCustomerSegmentation(snookerHouseId) {
     const segments = await Session.aggregate([
       { 
         $match: { 
           snookerHouse: snookerHouseId, 
           status: 'completed',
-          customerName: { $ne: 'Guest' }
+          ...HAS_CUSTOMER
         } 
       },
       {
         $group: {
-          _id: '$customerName',
+          _id: CUSTOMER_KEY,
           totalSpent: { $sum: '$totalCost' },
           sessionCount: { $sum: 1 },
           avgSpent: { $avg: '$totalCost' },
@@ -1070,18 +1590,29 @@ class BusinessAnalyticsController {
         $match: { 
           snookerHouse: snookerHouseId, 
           status: 'completed',
-          customerName: { $ne: 'Guest' }
+          ...HAS_CUSTOMER
         } 
       },
       {
         $group: {
-          _id: '$customerName',
+          _id: CUSTOMER_KEY,
           totalSpent: { $sum: '$totalCost' },
           sessionCount: { $sum: 1 },
+          firstVisit: { $min: '$startTime' }
+        }
+      },
+      {
+        $addFields: {
+          // At least one day so same-day customers don't divide by zero
           daysSinceFirst: {
-            $divide: [
-              { $subtract: [new Date(), { $min: '$startTime' }] },
-              1000 * 60 * 60 * 24
+            $max: [
+              1,
+              {
+                $divide: [
+                  { $subtract: [new Date(), '$firstVisit'] },
+                  1000 * 60 * 60 * 24
+                ]
+              }
             ]
           }
         }
@@ -1098,7 +1629,23 @@ class BusinessAnalyticsController {
         }
       },
       { $sort: { totalSpent: -1 } },
-      { $limit: 20 }
+      { $limit: 20 },
+      {
+        $lookup: {
+          from: 'customers',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'customer'
+        }
+      },
+      { $unwind: { path: '$customer', preserveNullAndEmptyArrays: true } },
+      {
+        $addFields: {
+          name: { $ifNull: ['$customer.name', '$_id'] },
+          phone: { $ifNull: ['$customer.phone', ''] }
+        }
+      },
+      { $project: { customer: 0 } }
     ]);
   }
 
@@ -1107,12 +1654,12 @@ class BusinessAnalyticsController {
       { 
         $match: { 
           snookerHouse: snookerHouseId,
-          customerName: { $ne: 'Guest' }
+          ...HAS_CUSTOMER
         } 
       },
       {
         $group: {
-          _id: '$customerName',
+          _id: CUSTOMER_KEY,
           sessionCount: { $sum: 1 }
         }
       },
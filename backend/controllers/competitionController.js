@@ -0,0 +1,940 @@
+const mongoose = require('mongoose');
+const Tournament = require('../models/Tournament');
+const League = require('../models/League');
+const Customer = require('../models/Customer');
+const { generateSingleElimination, generateRoundRobin } = require('../services/bracketService');
+const { belongsToHouse } = require('../middleware/permissions');
+const {
+  scheduleFixture,
+  cancelFixtureBooking,
+  resolveFixtureResult,
+  applyFixtureResult,
+  collectEntryFee,
+  reverseEntryFee,
+  payPrizes
+} = require('../services/competitionService');
+
+// Tournaments and leagues share this controller; the route file sets req.competitionKind
+const COMPETITIONS = {
+  tournament: { Model: Tournament, label: 'Tournament' },
+  league: { Model: League, label: 'League' }
+};
+
+const getCompetitionType = (req) => COMPETITIONS[req.competitionKind];
+
+// Fields that can still change once fixtures exist
+const LOCKED_AFTER_REGISTRATION = ['format', 'entryFee', 'maxEntrants', 'legs', 'startDate', 'endDate'];
+
+class CompetitionController {
+  // @desc    Create a tournament or league
+  // @access  Private (competitions.manage)
+  async createCompetition(req, res) {
+    try {
+      const { Model, label } = getCompetitionType(req);
+
+      const snookerHouse = req.snookerHouse;
+
+      const competition = await Model.create({
+        ...req.body,
+        snookerHouse: snookerHouse._id,
+        owner: req.snookerHouse.owner,
+        createdBySession: req.session?.id
+      });
+
+      console.log(`✅ ${label} created:`, competition._id);
+
+      res.status(201).json({
+        success: true,
+        message: `${label} created successfully!`,
+        data: {
+          [req.competitionKind]: competition.toJSON(),
+          createdBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Create competition error:', error);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: Object.values(error.errors).map(err => err.message).join(', ')
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error during creation',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // @desc    Get tournaments or leagues for user's snooker house
+  // @access  Private (competitions.view)
+  async getCompetitions(req, res) {
+    try {
+      const { Model } = getCompetitionType(req);
+      const { status, limit = 20, skip = 0 } = req.query;
+
+      const query = { snookerHouse: req.snookerHouse._id };
+      if (status) {
+        query.status = status;
+      }
+
+      const [competitions, total] = await Promise.all([
+        Model.find(query)
+          .sort({ startDate: -1 })
+          .limit(parseInt(limit))
+          .skip(parseInt(skip)),
+        Model.countDocuments(query)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          [`${req.competitionKind}s`]: competitions.map(competition => ({
+            _id: competition._id,
+            name: competition.name,
+            format: competition.format,
+            status: competition.status,
+            startDate: competition.startDate,
+            endDate: competition.endDate,
+            entryFee: competition.entryFee,
+            entrants: competition.getActiveEntrants().length,
+            fixturesPlayed: competition.fixtures.filter(fixture => fixture.status === 'completed').length,
+            fixturesTotal: competition.fixtures.filter(fixture => !fixture.isBye).length,
+            winnerName: competition.getEntrantName(competition.winner)
+          })),
+          total
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Get competitions error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Get a tournament or league with entrants, fixtures and standings
+  // @access  Private (competitions.view)
+  async getCompetitionById(req, res) {
+    try {
+      const { Model, label } = getCompetitionType(req);
+
+      const competition = await Model.findById(req.params.competitionId);
+      if (!competition) {
+        return res.status(404).json({
+          success: false,
+          message: `${label} not found`
+        });
+      }
+
+      if (!belongsToHouse(competition, req)) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. You can only view your own ${req.competitionKind}s.`
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          [req.competitionKind]: competition.toJSON()
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Get competition error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${req.competitionKind} ID`
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Update details and prizes (format and fees only during registration)
+  // @access  Private (competitions.manage)
+  async updateCompetition(req, res) {
+    try {
+      const { Model, label } = getCompetitionType(req);
+
+      const competition = await Model.findById(req.params.competitionId);
+      if (!competition) {
+        return res.status(404).json({
+          success: false,
+          message: `${label} not found`
+        });
+      }
+
+      if (!belongsToHouse(competition, req)) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. You can only update your own ${req.competitionKind}s.`
+        });
+      }
+
+      const lockedField = LOCKED_AFTER_REGISTRATION.find(field => req.body[field] !== undefined);
+      if (competition.status !== 'registration' && lockedField) {
+        return res.status(400).json({
+          success: false,
+          message: `${lockedField} cannot be changed once fixtures have been drawn`
+        });
+      }
+
+      if (req.body.prizes && competition.prizes.some(prize => prize.paidAt)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Prizes cannot be changed after payouts have been recorded'
+        });
+      }
+
+      Object.keys(req.body).forEach(key => {
+        competition[key] = req.body[key];
+      });
+      competition.lastModifiedBySession = req.session?.id;
+      await competition.save();
+
+      console.log(`✅ ${label} updated:`, competition._id);
+
+      res.json({
+        success: true,
+        message: `${label} updated successfully!`,
+        data: {
+          [req.competitionKind]: competition.toJSON(),
+          updatedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Update competition error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${req.competitionKind} ID`
+        });
+      }
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: Object.values(error.errors).map(err => err.message).join(', ')
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error during update'
+      });
+    }
+  }
+
+  // @desc    Register an entrant (optionally taking the entry fee)
+  // @access  Private (competitions.run)
+  async registerEntrant(req, res) {
+    try {
+      const { Model, label } = getCompetitionType(req);
+      const { customerId, name, phone, seed, paymentMethod } = req.body;
+
+      const competition = await Model.findById(req.params.competitionId);
+      if (!competition) {
+        return res.status(404).json({
+          success: false,
+          message: `${label} not found`
+        });
+      }
+
+      if (!belongsToHouse(competition, req)) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. You can only manage your own ${req.competitionKind}s.`
+        });
+      }
+
+      let customer = null;
+      if (customerId) {
+        customer = mongoose.isValidObjectId(customerId)
+          ? await Customer.findOne({ _id: customerId, snookerHouse: competition.snookerHouse })
+          : null;
+        if (!customer) {
+          return res.status(404).json({
+            success: false,
+            message: 'Customer not found'
+          });
+        }
+      }
+
+      let entrant;
+      try {
+        entrant = competition.registerEntrant({
+          name: name || customer?.name,
+          phone: phone || customer?.phone,
+          customer: customer?._id,
+          seed
+        });
+      } catch (registrationError) {
+        return res.status(400).json({
+          success: false,
+          message: registrationError.message
+        });
+      }
+
+      if (paymentMethod && entrant.entryFee > 0) {
+        const payment = await collectEntryFee(competition, entrant, {
+          paymentMethod,
+          createdBySession: req.session?.id
+        });
+        if (!payment.paid) {
+          return res.status(400).json({
+            success: false,
+            message: payment.reason
+          });
+        }
+      }
+
+      competition.lastModifiedBySession = req.session?.id;
+      try {
+        await competition.save();
+      } catch (saveError) {
+        // The entrant was not registered: give a wallet fee back
+        await reverseEntryFee(competition, entrant, { createdBySession: req.session?.id });
+        throw saveError;
+      }
+
+      console.log(`✅ Entrant registered for ${label.toLowerCase()}:`, {
+        competitionId: competition._id,
+        entrant: entrant.name,
+        feePaid: entrant.feePaid
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `${entrant.name} registered for ${competition.name}`,
+        data: {
+          entrant,
+          entrants: competition.getActiveEntrants().length,
+          financialSummary: competition.getFinancialSummary(),
+          createdBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Register entrant error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${req.competitionKind} ID`
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error during registration',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // @desc    Record an entrant's entry fee payment
+  // @access  Private (competitions.run)
+  async payEntryFee(req, res) {
+    try {
+      const { Model, label } = getCompetitionType(req);
+
+      const competition = await Model.findById(req.params.competitionId);
+      if (!competition) {
+        return res.status(404).json({
+          success: false,
+          message: `${label} not found`
+        });
+      }
+
+      if (!belongsToHouse(competition, req)) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. You can only manage your own ${req.competitionKind}s.`
+        });
+      }
+
+      const entrant = competition.entrants.id(req.params.entrantId);
+      if (!entrant || entrant.status === 'withdrawn') {
+        return res.status(404).json({
+          success: false,
+          message: 'Entrant not found'
+        });
+      }
+
+      const payment = await collectEntryFee(competition, entrant, {
+        paymentMethod: req.body.paymentMethod,
+        createdBySession: req.session?.id
+      });
+      if (!payment.paid) {
+        return res.status(400).json({
+          success: false,
+          message: payment.reason
+        });
+      }
+
+      competition.lastModifiedBySession = req.session?.id;
+      try {
+        await competition.save();
+      } catch (saveError) {
+        // The payment was not recorded: clear the claimed fee and give a wallet fee back
+        await reverseEntryFee(competition, entrant, { createdBySession: req.session?.id });
+        throw saveError;
+      }
+
+      console.log('✅ Entry fee paid:', { competitionId: competition._id, entrant: entrant.name });
+
+      res.json({
+        success: true,
+        message: `Entry fee of NPR ${entrant.entryFee} recorded for ${entrant.name}`,
+        data: {
+          entrant,
+          financialSummary: competition.getFinancialSummary(),
+          updatedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Pay entry fee error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${req.competitionKind} or entrant ID`
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error while recording entry fee'
+      });
+    }
+  }
+
+  // @desc    Withdraw an entrant before the draw
+  // @access  Private (competitions.manage)
+  async withdrawEntrant(req, res) {
+    try {
+      const { Model, label } = getCompetitionType(req);
+
+      const competition = await Model.findById(req.params.competitionId);
+      if (!competition) {
+        return res.status(404).json({
+          success: false,
+          message: `${label} not found`
+        });
+      }
+
+      if (!belongsToHouse(competition, req)) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. You can only manage your own ${req.competitionKind}s.`
+        });
+      }
+
+      if (competition.status !== 'registration') {
+        return res.status(400).json({
+          success: false,
+          message: 'Entrants can only withdraw before fixtures are drawn'
+        });
+      }
+
+      const entrant = competition.entrants.id(req.params.entrantId);
+      if (!entrant || entrant.status === 'withdrawn') {
+        return res.status(404).json({
+          success: false,
+          message: 'Entrant not found'
+        });
+      }
+
+      // A fee paid from the wallet goes straight back to it
+      let refunded = false;
+      if (entrant.feePaid && entrant.paymentMethod === 'wallet') {
+        ({ refunded } = await reverseEntryFee(competition, entrant, {
+          createdBySession: req.session?.id,
+          description: `${competition.name} entry fee refund (withdrawn)`
+        }));
+      }
+
+      entrant.status = 'withdrawn';
+      competition.lastModifiedBySession = req.session?.id;
+      await competition.save();
+
+      console.log('✅ Entrant withdrawn:', { competitionId: competition._id, entrant: entrant.name, refunded });
+
+      let feeNote = '';
+      if (refunded) feeNote = `. NPR ${entrant.entryFee} entry fee refunded to wallet.`;
+      else if (entrant.feePaid) feeNote = '. Refund the entry fee separately if due.';
+
+      res.json({
+        success: true,
+        message: `${entrant.name} withdrawn${feeNote}`,
+        data: {
+          entrant,
+          entrants: competition.getActiveEntrants().length,
+          updatedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Withdraw entrant error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${req.competitionKind} or entrant ID`
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error while withdrawing entrant'
+      });
+    }
+  }
+
+  // @desc    Close registration and draw the bracket or fixture list
+  // @access  Private (competitions.manage)
+  async generateFixtures(req, res) {
+    try {
+      const { Model, label } = getCompetitionType(req);
+
+      const competition = await Model.findById(req.params.competitionId);
+      if (!competition) {
+        return res.status(404).json({
+          success: false,
+          message: `${label} not found`
+        });
+      }
+
+      if (!belongsToHouse(competition, req)) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. You can only manage your own ${req.competitionKind}s.`
+        });
+      }
+
+      if (competition.status !== 'registration') {
+        return res.status(400).json({
+          success: false,
+          message: 'Fixtures have already been drawn'
+        });
+      }
+
+      const entrants = competition.getActiveEntrants();
+      let fixtures;
+      try {
+        fixtures = competition.format === 'single_elimination'
+          ? generateSingleElimination(entrants)
+          : generateRoundRobin(entrants, competition.legs || 1);
+      } catch (drawError) {
+        return res.status(400).json({
+          success: false,
+          message: drawError.message
+        });
+      }
+
+      competition.fixtures = fixtures;
+      competition.status = 'in_progress';
+      competition.lastModifiedBySession = req.session?.id;
+      await competition.save();
+
+      console.log(`✅ ${label} fixtures drawn:`, {
+        competitionId: competition._id,
+        entrants: entrants.length,
+        fixtures: fixtures.length
+      });
+
+      res.json({
+        success: true,
+        message: `${fixtures.filter(fixture => !fixture.isBye).length} fixtures drawn for ${entrants.length} entrants`,
+        data: {
+          fixtures: competition.describeFixtures(),
+          updatedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Generate fixtures error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${req.competitionKind} ID`
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error while drawing fixtures'
+      });
+    }
+  }
+
+  // @desc    Schedule a fixture on a table (books the table)
+  // @access  Private (competitions.run)
+  async scheduleFixture(req, res) {
+    try {
+      const { Model, label } = getCompetitionType(req);
+
+      const competition = await Model.findById(req.params.competitionId);
+      if (!competition) {
+        return res.status(404).json({
+          success: false,
+          message: `${label} not found`
+        });
+      }
+
+      if (!belongsToHouse(competition, req)) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. You can only manage your own ${req.competitionKind}s.`
+        });
+      }
+
+      const fixture = competition.fixtures.id(req.params.fixtureId);
+      if (!fixture) {
+        return res.status(404).json({
+          success: false,
+          message: 'Fixture not found'
+        });
+      }
+
+      const result = await scheduleFixture(competition, fixture, req.body, {
+        createdBySession: req.session?.id
+      });
+      if (!result.scheduled) {
+        return res.status(result.conflicts ? 409 : 400).json({
+          success: false,
+          message: result.reason,
+          conflicts: result.conflicts
+        });
+      }
+
+      competition.lastModifiedBySession = req.session?.id;
+      try {
+        await competition.save();
+      } catch (saveError) {
+        // The fixture kept its old slot: free the new one
+        await cancelFixtureBooking(result.booking._id, 'Fixture was not saved');
+        throw saveError;
+      }
+
+      // Rescheduling releases the old slot
+      if (result.previousBooking) {
+        await cancelFixtureBooking(result.previousBooking, 'Fixture rescheduled');
+      }
+
+      console.log('✅ Fixture scheduled:', {
+        competitionId: competition._id,
+        fixtureId: fixture._id,
+        table: fixture.table,
+        scheduledAt: fixture.scheduledAt
+      });
+
+      res.json({
+        success: true,
+        message: 'Fixture scheduled and table booked',
+        data: {
+          fixture: competition.describeFixtures().find(f => f._id.toString() === fixture._id.toString()),
+          booking: result.booking,
+          updatedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Schedule fixture error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid fixture or table ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error while scheduling fixture'
+      });
+    }
+  }
+
+  // @desc    Record a fixture result from its linked session
+  // @access  Private (competitions.run)
+  async recordFixtureResult(req, res) {
+    try {
+      const { Model, label } = getCompetitionType(req);
+
+      const competition = await Model.findById(req.params.competitionId);
+      if (!competition) {
+        return res.status(404).json({
+          success: false,
+          message: `${label} not found`
+        });
+      }
+
+      if (!belongsToHouse(competition, req)) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. You can only manage your own ${req.competitionKind}s.`
+        });
+      }
+
+      if (competition.status !== 'in_progress') {
+        return res.status(400).json({
+          success: false,
+          message: `${label} is not in progress`
+        });
+      }
+
+      const fixture = competition.fixtures.id(req.params.fixtureId);
+      if (!fixture) {
+        return res.status(404).json({
+          success: false,
+          message: 'Fixture not found'
+        });
+      }
+
+      if (['completed', 'walkover'].includes(fixture.status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Fixture result has already been recorded'
+        });
+      }
+
+      if (!fixture.home || !fixture.away) {
+        return res.status(400).json({
+          success: false,
+          message: 'Both players must be known before a result can be recorded'
+        });
+      }
+
+      const result = await resolveFixtureResult(competition, fixture, req.body);
+      if (!result.resolved) {
+        return res.status(400).json({
+          success: false,
+          message: result.reason
+        });
+      }
+
+      applyFixtureResult(competition, fixture, result);
+      competition.lastModifiedBySession = req.session?.id;
+      await competition.save();
+
+      console.log('✅ Fixture result recorded:', {
+        competitionId: competition._id,
+        fixtureId: fixture._id,
+        score: `${fixture.homeFrames}-${fixture.awayFrames}`,
+        status: competition.status
+      });
+
+      res.json({
+        success: true,
+        message: competition.status === 'completed'
+          ? `${competition.getEntrantName(competition.winner)} wins ${competition.name}!`
+          : `${competition.getEntrantName(fixture.winner)} wins ${fixture.homeFrames}-${fixture.awayFrames}`,
+        data: {
+          fixture: competition.describeFixtures().find(f => f._id.toString() === fixture._id.toString()),
+          standings: competition.format === 'single_elimination' ? undefined : competition.getStandings(),
+          status: competition.status,
+          updatedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Record fixture result error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid fixture or session ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error while recording result'
+      });
+    }
+  }
+
+  // @desc    Get the standings table (or bracket rounds for a knockout)
+  // @access  Private (competitions.view)
+  async getStandings(req, res) {
+    try {
+      const { Model, label } = getCompetitionType(req);
+
+      const competition = await Model.findById(req.params.competitionId);
+      if (!competition) {
+        return res.status(404).json({
+          success: false,
+          message: `${label} not found`
+        });
+      }
+
+      if (!belongsToHouse(competition, req)) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. You can only view your own ${req.competitionKind}s.`
+        });
+      }
+
+      const fixtures = competition.describeFixtures();
+      const rounds = [...new Set(fixtures.map(fixture => fixture.round))].map(round => ({
+        round,
+        name: fixtures.find(fixture => fixture.round === round).roundName,
+        fixtures: fixtures.filter(fixture => fixture.round === round)
+      }));
+
+      res.json({
+        success: true,
+        data: {
+          name: competition.name,
+          status: competition.status,
+          format: competition.format || 'round_robin',
+          standings: competition.format === 'single_elimination' ? undefined : competition.getStandings(),
+          finishingOrder: competition.getFinishingOrder().map(row => ({
+            ...row,
+            name: competition.getEntrantName(row.entrantId)
+          })),
+          rounds
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Get standings error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${req.competitionKind} ID`
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Pay out prizes by finishing position (recorded as house expenses)
+  // @access  Private (competitions.manage)
+  async payPrizes(req, res) {
+    try {
+      const { Model, label } = getCompetitionType(req);
+
+      const competition = await Model.findById(req.params.competitionId);
+      if (!competition) {
+        return res.status(404).json({
+          success: false,
+          message: `${label} not found`
+        });
+      }
+
+      if (!belongsToHouse(competition, req)) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. You can only manage your own ${req.competitionKind}s.`
+        });
+      }
+
+      if (competition.status !== 'completed') {
+        return res.status(400).json({
+          success: false,
+          message: `Prizes can only be paid once the ${req.competitionKind} is completed`
+        });
+      }
+
+      const paid = await payPrizes(competition, req.competitionKind, {
+        paymentMethod: req.body.paymentMethod,
+        createdBySession: req.session?.id
+      });
+      if (paid.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No unpaid prizes to pay out'
+        });
+      }
+
+      competition.lastModifiedBySession = req.session?.id;
+      await competition.save();
+
+      console.log('✅ Prizes paid:', {
+        competitionId: competition._id,
+        payouts: paid.length,
+        total: paid.reduce((sum, payout) => sum + payout.amount, 0)
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `${paid.length} prize payouts recorded as expenses`,
+        data: {
+          payouts: paid,
+          financialSummary: competition.getFinancialSummary(),
+          createdBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Pay prizes error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${req.competitionKind} ID`
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error while paying prizes',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+module.exports = new CompetitionController();
@@ -0,0 +1,395 @@
+const CreditAccount = require('../models/CreditAccount');
+const CreditEntry = require('../models/CreditEntry');
+const { belongsToHouse } = require('../middleware/permissions');
+
+const PAYMENT_METHOD_LABELS = {
+  esewa: 'eSewa',
+  online_banking: 'Online Banking',
+  cash: 'Cash'
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class CreditController {
+  // @desc    Open a credit account (e.g. to set a limit before the first credit)
+  // @access  Private (credit.manage)
+  async createAccount(req, res) {
+    try {
+      const { customerName, customerPhone, creditLimit, notes } = req.body;
+
+      const snookerHouse = req.snookerHouse;
+
+      const existing = await CreditAccount.findForCustomer(snookerHouse._id, {
+        name: customerName,
+        phone: customerPhone
+      });
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          message: `${existing.customerName} already has a credit account`,
+          data: {
+            account: existing.toJSON()
+          }
+        });
+      }
+
+      const account = await CreditAccount.create({
+        snookerHouse: snookerHouse._id,
+        owner: req.snookerHouse.owner,
+        customerName,
+        customerPhone: customerPhone || '',
+        creditLimit: creditLimit ?? null,
+        notes: notes || '',
+        createdBySession: req.session?.id
+      });
+
+      console.log('✅ Credit account opened:', account._id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Credit account created successfully!',
+        data: {
+          account: account.toJSON(),
+          createdBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Create credit account error:', error);
+
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'A credit account with this phone number already exists'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error during credit account creation',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // @desc    Get credit accounts for user's snooker house
+  // @access  Private (credit.view)
+  async getAccounts(req, res) {
+    try {
+      const { search, outstanding, limit = 50, skip = 0 } = req.query;
+
+      const snookerHouse = req.snookerHouse;
+
+      const query = { snookerHouse: snookerHouse._id };
+      if (outstanding === 'true') {
+        query.balance = { $gt: 0 };
+      }
+      if (search?.trim()) {
+        const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+        query.$or = [{ customerName: pattern }, { customerPhone: pattern }];
+      }
+
+      const [accounts, total, totals] = await Promise.all([
+        CreditAccount.find(query)
+          .sort({ balance: -1, updatedAt: -1 })
+          .limit(parseInt(limit))
+          .skip(parseInt(skip)),
+        CreditAccount.countDocuments(query),
+        CreditAccount.aggregate([
+          { $match: { snookerHouse: snookerHouse._id } },
+          {
+            $group: {
+              _id: null,
+              totalOutstanding: { $sum: '$balance' },
+              accountsWithBalance: { $sum: { $cond: [{ $gt: ['$balance', 0] }, 1, 0] } }
+            }
+          }
+        ])
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          accounts: accounts.map(account => account.toJSON()),
+          total,
+          totalOutstanding: Math.round(totals[0]?.totalOutstanding || 0),
+          accountsWithBalance: totals[0]?.accountsWithBalance || 0
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Get credit accounts error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Look up a customer's outstanding balance at the counter
+  // @access  Private (credit.view)
+  async getOutstandingBalance(req, res) {
+    try {
+      const { phone, name } = req.query;
+
+      if (!phone?.trim() && !name?.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Customer phone or name is required'
+        });
+      }
+
+      const snookerHouse = req.snookerHouse;
+
+      const account = await CreditAccount.findForCustomer(snookerHouse._id, { name, phone });
+      if (!account) {
+        return res.json({
+          success: true,
+          data: {
+            account: null,
+            balance: 0,
+            creditLimit: null,
+            availableCredit: null,
+            openCharges: []
+          }
+        });
+      }
+
+      const openCharges = await CreditEntry.getOpenCharges(account._id);
+
+      res.json({
+        success: true,
+        data: {
+          account: account.toJSON(),
+          balance: account.balance,
+          creditLimit: account.creditLimit,
+          availableCredit: account.checkCredit().availableCredit,
+          openCharges: openCharges.map(charge => charge.toJSON())
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Get outstanding balance error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Get credit account with its ledger entries
+  // @access  Private (credit.view)
+  async getAccountById(req, res) {
+    try {
+      const account = await CreditAccount.findById(req.params.accountId);
+      if (!account) {
+        return res.status(404).json({
+          success: false,
+          message: 'Credit account not found'
+        });
+      }
+
+      if (!belongsToHouse(account, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only view your own credit accounts.'
+        });
+      }
+
+      const entries = await CreditEntry.find({ account: account._id })
+        .populate('session', 'startTime endTime totalCost table')
+        .populate('sale', 'saleNumber saleDate amountDue')
+        .sort({ entryDate: 1, _id: 1 });
+
+      // Running balance after each entry, oldest first
+      let runningBalance = 0;
+      const ledger = entries.map(entry => {
+        runningBalance += entry.type === 'charge' ? entry.amount : -entry.amount;
+        return {
+          ...entry.toJSON(),
+          balanceAfter: Math.round(runningBalance * 100) / 100
+        };
+      });
+
+      res.json({
+        success: true,
+        data: {
+          account: account.toJSON(),
+          entries: ledger
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Get credit account error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid credit account ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Update credit account (name, phone, limit, notes)
+  // @access  Private (credit.manage)
+  async updateAccount(req, res) {
+    try {
+      const account = await CreditAccount.findById(req.params.accountId);
+      if (!account) {
+        return res.status(404).json({
+          success: false,
+          message: 'Credit account not found'
+        });
+      }
+
+      if (!belongsToHouse(account, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only update your own credit accounts.'
+        });
+      }
+
+      Object.keys(req.body).forEach(key => {
+        account[key] = req.body[key];
+      });
+      account.lastModifiedBySession = req.session?.id;
+
+      await account.save();
+
+      console.log('✅ Credit account updated:', account._id);
+
+      res.json({
+        success: true,
+        message: 'Credit account updated successfully!',
+        data: {
+          account: account.toJSON(),
+          updatedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Update credit account error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid credit account ID'
+        });
+      }
+
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'A credit account with this phone number already exists'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error during update'
+      });
+    }
+  }
+
+  // @desc    Record a settlement (paid back against the oldest debts first)
+  // @access  Private (credit.settle)
+  async recordSettlement(req, res) {
+    try {
+      const { amount, paymentMethod, transactionId, notes } = req.body;
+
+      const account = await CreditAccount.findById(req.params.accountId);
+      if (!account) {
+        return res.status(404).json({
+          success: false,
+          message: 'Credit account not found'
+        });
+      }
+
+      if (!belongsToHouse(account, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only settle your own credit accounts.'
+        });
+      }
+
+      if (account.balance <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'This account has no outstanding balance'
+        });
+      }
+
+      if (amount > account.balance) {
+        return res.status(400).json({
+          success: false,
+          message: `Settlement exceeds outstanding balance (NPR ${account.balance})`
+        });
+      }
+
+      console.log('💰 Settling credit account:', {
+        accountId: account._id,
+        amount,
+        paymentMethod
+      });
+
+      const { account: updatedAccount, settlement } = await account.settle({
+        amount,
+        method: paymentMethod,
+        methodLabel: PAYMENT_METHOD_LABELS[paymentMethod],
+        transactionId,
+        notes,
+        createdBySession: req.session?.id
+      });
+
+      console.log('✅ Credit settlement recorded:', {
+        accountId: account._id,
+        amount,
+        chargesCleared: settlement.allocations.length,
+        balance: updatedAccount.balance
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Settlement of NPR ${amount} recorded successfully!`,
+        data: {
+          settlement: settlement.toJSON(),
+          account: updatedAccount.toJSON(),
+          createdBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Record settlement error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid credit account ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error during settlement',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+module.exports = new CreditController();
@@ -0,0 +1,406 @@
+const Customer = require('../models/Customer');
+const Session = require('../models/Session');
+const Sale = require('../models/Sale');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const { belongsToHouse } = require('../middleware/permissions');
+const { importCustomersFromHistory } = require('../services/customerService');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class CustomerController {
+  // @desc    Register a customer
+  // @access  Private (customers.manage)
+  async createCustomer(req, res) {
+    try {
+      const { name, phone, email, notes } = req.body;
+
+      const snookerHouse = req.snookerHouse;
+
+      const existing = await Customer.findByPhone(snookerHouse._id, phone);
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          message: `${existing.name} is already registered with this phone number`,
+          data: {
+            customer: existing.toJSON()
+          }
+        });
+      }
+
+      const customer = await Customer.create({
+        snookerHouse: snookerHouse._id,
+        owner: req.snookerHouse.owner,
+        name,
+        phone: Customer.normalizePhone(phone),
+        email: email || '',
+        notes: notes || '',
+        createdBySession: req.session?.id
+      });
+
+      console.log('✅ Customer registered:', customer._id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Customer registered successfully!',
+        data: {
+          customer: customer.toJSON(),
+          createdBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Create customer error:', error);
+
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'A customer with this phone number already exists'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error during customer registration',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // @desc    Autocomplete customers by name or phone prefix
+  // @access  Private (customers.view)
+  async searchCustomers(req, res) {
+    try {
+      const { q, limit = 10 } = req.query;
+
+      if (!q?.trim()) {
+        return res.json({
+          success: true,
+          data: {
+            customers: []
+          }
+        });
+      }
+
+      const snookerHouse = req.snookerHouse;
+
+      const customers = await Customer.search(snookerHouse._id, q, Math.min(parseInt(limit) || 10, 25));
+
+      res.json({
+        success: true,
+        data: {
+          customers: customers.map(customer => ({
+            _id: customer._id,
+            name: customer.name,
+            phone: customer.phone,
+            totalVisits: customer.totalVisits,
+            lastVisitAt: customer.lastVisitAt
+          }))
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Search customers error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Get customers for user's snooker house
+  // @access  Private (customers.view)
+  async getCustomers(req, res) {
+    try {
+      const { search, includeInactive, sortBy = 'lastVisitAt', limit = 50, skip = 0 } = req.query;
+
+      const snookerHouse = req.snookerHouse;
+
+      const query = { snookerHouse: snookerHouse._id };
+      if (includeInactive !== 'true') {
+        query.isActive = true;
+      }
+      if (search?.trim()) {
+        const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+        query.$or = [{ name: pattern }, { phone: pattern }];
+      }
+
+      const sortOptions = {
+        lastVisitAt: { lastVisitAt: -1 },
+        totalSpent: { totalSpent: -1 },
+        totalVisits: { totalVisits: -1 },
+        name: { name: 1 }
+      };
+
+      const [customers, total] = await Promise.all([
+        Customer.find(query)
+          .sort(sortOptions[sortBy] || sortOptions.lastVisitAt)
+          .limit(parseInt(limit))
+          .skip(parseInt(skip)),
+        Customer.countDocuments(query)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          customers: customers.map(customer => customer.toJSON()),
+          total
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Get customers error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Get customer with recent sessions and purchases
+  // @access  Private (customers.view)
+  async getCustomerById(req, res) {
+    try {
+      const customer = await Customer.findById(req.params.customerId);
+      if (!customer) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer not found'
+        });
+      }
+
+      if (!belongsToHouse(customer, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only view your own customers.'
+        });
+      }
+
+      const [recentSessions, recentSales] = await Promise.all([
+        Session.find({ customer: customer._id })
+          .populate('table', 'tableNumber')
+          .select('table startTime endTime status totalCost paymentStatus')
+          .sort({ startTime: -1 })
+          .limit(10),
+        Sale.find({ customer: customer._id })
+          .select('saleNumber saleDate amountDue paymentMethod')
+          .sort({ saleDate: -1 })
+          .limit(10)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          customer: customer.toJSON(),
+          recentSessions,
+          recentSales
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Get customer error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid customer ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Get customer's loyalty points statement
+  // @access  Private (customers.view)
+  async getLoyaltyStatement(req, res) {
+    try {
+      const { from, to } = req.query;
+
+      let customer = await Customer.findById(req.params.customerId);
+      if (!customer) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer not found'
+        });
+      }
+
+      if (!belongsToHouse(customer, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only view your own customers.'
+        });
+      }
+
+      // Lapse anything past its expiry date so the balance is current
+      if (await LoyaltyTransaction.expireDue(customer._id)) {
+        customer = await Customer.findById(customer._id);
+      }
+
+      const settings = req.snookerHouse.loyaltySettings;
+
+      const soon = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+      const [transactions, expiringLots] = await Promise.all([
+        LoyaltyTransaction.find({ customer: customer._id })
+          .populate('session', 'startTime endTime totalCost')
+          .sort({ transactionDate: 1, _id: 1 }),
+        LoyaltyTransaction.find({
+          customer: customer._id,
+          type: { $in: ['earn', 'restore'] },
+          remainingPoints: { $gt: 0 },
+          expiresAt: { $ne: null, $lte: soon }
+        }).sort({ expiresAt: 1 })
+      ]);
+
+      // Running balance after each entry, oldest first
+      let runningBalance = 0;
+      const statement = transactions
+        .map(transaction => {
+          runningBalance += transaction.getBalanceChange();
+          return {
+            ...transaction.toObject(),
+            change: transaction.getBalanceChange(),
+            balanceAfter: runningBalance
+          };
+        })
+        .filter(entry =>
+          (!from || entry.transactionDate >= new Date(from)) &&
+          (!to || entry.transactionDate <= new Date(to))
+        );
+
+      res.json({
+        success: true,
+        data: {
+          customer: {
+            _id: customer._id,
+            name: customer.name,
+            phone: customer.phone
+          },
+          pointsBalance: customer.pointsBalance,
+          pointsValue: Math.round(customer.pointsBalance * settings.pointValue * 100) / 100,
+          totals: {
+            earned: customer.totalPointsEarned,
+            redeemed: customer.totalPointsRedeemed,
+            expired: customer.totalPointsExpired
+          },
+          expiringSoon: expiringLots.map(lot => ({
+            points: lot.remainingPoints,
+            expiresAt: lot.expiresAt
+          })),
+          statement
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Get loyalty statement error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid customer ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Update customer details
+  // @access  Private (customers.manage)
+  async updateCustomer(req, res) {
+    try {
+      const customer = await Customer.findById(req.params.customerId);
+      if (!customer) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer not found'
+        });
+      }
+
+      if (!belongsToHouse(customer, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only update your own customers.'
+        });
+      }
+
+      Object.keys(req.body).forEach(key => {
+        customer[key] = key === 'phone' ? Customer.normalizePhone(req.body.phone) : req.body[key];
+      });
+      customer.lastModifiedBySession = req.session?.id;
+
+      await customer.save();
+
+      console.log('✅ Customer updated:', customer._id);
+
+      res.json({
+        success: true,
+        message: 'Customer updated successfully!',
+        data: {
+          customer: customer.toJSON(),
+          updatedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Update customer error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid customer ID'
+        });
+      }
+
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'A customer with this phone number already exists'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error during update'
+      });
+    }
+  }
+
+  // @desc    Register customers from past sessions and sales that only have a phone number
+  // @access  Private (customers.import)
+  async importFromHistory(req, res) {
+    try {
+      const result = await importCustomersFromHistory(req.snookerHouse, { createdBySession: req.session?.id });
+      const created = result.customersCreated;
+
+      console.log('✅ Customers imported from history:', result);
+
+      res.json({
+        success: true,
+        message: `Imported ${created} customer${created === 1 ? '' : 's'} from history`,
+        data: result
+      });
+
+    } catch (error) {
+      console.error('💥 Import customers error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error during customer import',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+module.exports = new CustomerController();
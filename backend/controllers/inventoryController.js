@@ -1,10 +1,17 @@
+const mongoose = require('mongoose');
 const Product = require('../models/Product');
 const Sale = require('../models/Sale');
 const SnookerHouse = require('../models/SnookerHouse');
+const Promotion = require('../models/Promotion');
+const CreditAccount = require('../models/CreditAccount');
+const Customer = require('../models/Customer');
+const { PAPER_WIDTHS, FORMATS, buildSaleReceipt, renderReceipt } = require('../services/receiptService');
+const { belongsToHouse } = require('../middleware/permissions');
+const { snapshot, recordAuditEvent } = require('../services/auditService');
 
 class InventoryController {
   // @desc    Create a new product
-  // @access  Private (snooker house owner only)
+  // @access  Private (products.manage)
   async createProduct(req, res) {
     try {
       const { 
@@ -23,13 +30,7 @@ class InventoryController {
       console.log('📦 Creating product:', name);
 
       // Find user's snooker house
-      const snookerHouse = await SnookerHouse.findOne({ owner: req.user.id });
-      if (!snookerHouse) {
-        return res.status(404).json({
-          success: false,
-          message: 'You need to create a snooker house first'
-        });
-      }
+      const snookerHouse = req.snookerHouse;
 
       // Check if product with same name exists in this snooker house
       const existingProduct = await Product.findOne({
@@ -80,10 +81,11 @@ class InventoryController {
         description: description?.trim() || '',
         productImage: productImage?.trim() || '',
         snookerHouse: snookerHouse._id,
-        owner: req.user.id
+        owner: req.snookerHouse.owner
       });
 
       await product.save();
+      await recordAuditEvent(req, { entityType: 'product', entity: product, action: 'product.create' });
 
       console.log('✅ Product created:', product.name);
 
@@ -110,7 +112,7 @@ class InventoryController {
   }
 
   // @desc    Get all products for user's snooker house
-  // @access  Private
+  // @access  Private (products.view)
   async getMyProducts(req, res) {
     try {
       const { category, status, lowStock, limit = 100, skip = 0 } = req.query;
@@ -118,13 +120,7 @@ class InventoryController {
       console.log('📦 Getting products with filters:', { category, status, lowStock });
 
       // Find user's snooker house
-      const snookerHouse = await SnookerHouse.findOne({ owner: req.user.id });
-      if (!snookerHouse) {
-        return res.status(404).json({
-          success: false,
-          message: 'No snooker house found'
-        });
-      }
+      const snookerHouse = req.snookerHouse;
 
       const options = {
         limit: parseInt(limit),
@@ -198,7 +194,7 @@ class InventoryController {
   }
 
   // @desc    Update product
-  // @access  Private (owner only)
+  // @access  Private (products.manage)
   async updateProduct(req, res) {
     try {
       const { productId } = req.params;
@@ -215,13 +211,15 @@ class InventoryController {
       }
 
       // Check ownership
-      if (product.owner.toString() !== req.user.id) {
+      if (!belongsToHouse(product, req)) {
         return res.status(403).json({
           success: false,
           message: 'Access denied. You can only update your own products.'
         });
       }
 
+      const before = snapshot('product', product);
+
       // Check for name uniqueness if name is being updated
       if (updateData.name && updateData.name.trim() !== product.name) {
         const existingProduct = await Product.findOne({
@@ -275,6 +273,7 @@ class InventoryController {
       });
 
       await product.save();
+      await recordAuditEvent(req, { entityType: 'product', entity: product, action: 'product.update', before });
 
       console.log('✅ Product updated:', product.name);
 
@@ -300,7 +299,7 @@ class InventoryController {
   }
 
   // @desc    Delete product
-  // @access  Private (owner only)
+  // @access  Private (products.delete)
   async deleteProduct(req, res) {
     try {
       const { productId } = req.params;
@@ -316,7 +315,7 @@ class InventoryController {
       }
 
       // Check ownership
-      if (product.owner.toString() !== req.user.id) {
+      if (!belongsToHouse(product, req)) {
         return res.status(403).json({
           success: false,
           message: 'Access denied. You can only delete your own products.'
@@ -336,6 +335,13 @@ class InventoryController {
       }
 
       await Product.findByIdAndDelete(productId);
+      await recordAuditEvent(req, {
+        entityType: 'product',
+        entity: product,
+        action: 'product.delete',
+        before: snapshot('product', product),
+        after: null
+      });
 
       console.log('✅ Product deleted:', product.name);
 
@@ -360,21 +366,15 @@ class InventoryController {
   }
 
   // @desc    Record a sale
-  // @access  Private
+  // @access  Private (sales.record)
   async recordSale(req, res) {
     try {
-      const { items, paymentMethod, customerName, customerPhone, notes, sessionId } = req.body;
+      const { items, paymentMethod, customerId, customerName, customerPhone, createCustomer, notes, sessionId, promoCode } = req.body;
 
       console.log('💰 Recording sale with', items?.length, 'items');
 
       // Find user's snooker house
-      const snookerHouse = await SnookerHouse.findOne({ owner: req.user.id });
-      if (!snookerHouse) {
-        return res.status(404).json({
-          success: false,
-          message: 'No snooker house found'
-        });
-      }
+      const snookerHouse = req.snookerHouse;
 
       // Validate items
       if (!items || !Array.isArray(items) || items.length === 0) {
@@ -398,7 +398,7 @@ class InventoryController {
         }
 
         // Check ownership
-        if (product.owner.toString() !== req.user.id) {
+        if (!belongsToHouse(product, req)) {
           return res.status(403).json({
             success: false,
             message: `Access denied for product: ${product.name}`
@@ -434,10 +434,77 @@ class InventoryController {
         // Prepare stock update
         productUpdates.push({
           productId: product._id,
+          productName: product.name,
+          oldStock: product.currentStock,
           newStock: product.currentStock - item.quantity
         });
       }
 
+      // Look up the promotion before touching stock
+      let promotion = null;
+      if (promoCode) {
+        promotion = await Promotion.findByCode(snookerHouse._id, promoCode);
+        if (!promotion) {
+          return res.status(404).json({
+            success: false,
+            message: 'Promo code not found'
+          });
+        }
+
+        const availability = promotion.checkAvailability('sales');
+        if (!availability.available) {
+          return res.status(400).json({
+            success: false,
+            message: availability.reason
+          });
+        }
+
+        if (promotion.perCustomerLimit) {
+          if (!customerPhone?.trim()) {
+            return res.status(400).json({
+              success: false,
+              message: 'Customer phone is required for this promotion'
+            });
+          }
+
+          const customerUses = await Promotion.countCustomerUses(promotion._id, customerPhone.trim());
+          if (customerUses >= promotion.perCustomerLimit) {
+            return res.status(400).json({
+              success: false,
+              message: 'Customer has already used this promotion the maximum number of times'
+            });
+          }
+        }
+      }
+
+      // Registered customer: picked from autocomplete, or looked up by phone
+      // (registered only when the counter asks for it with createCustomer)
+      let customer = null;
+      if (customerId) {
+        if (!mongoose.isValidObjectId(customerId)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid customer ID'
+          });
+        }
+
+        customer = await Customer.findById(customerId);
+        if (!customer || customer.snookerHouse.toString() !== snookerHouse._id.toString()) {
+          return res.status(404).json({
+            success: false,
+            message: 'Customer not found'
+          });
+        }
+      } else if (customerPhone?.trim()) {
+        customer = createCustomer
+          ? await Customer.findOrCreateByPhone(snookerHouse, {
+            name: customerName,
+            phone: customerPhone,
+            createdBySession: req.session?.id
+          })
+          : await Customer.findByPhone(snookerHouse._id, customerPhone);
+      }
+
       // Generate sale number
       const saleNumber = await Sale.generateSaleNumber(snookerHouse._id);
 
@@ -445,27 +512,112 @@ class InventoryController {
       const sale = new Sale({
         saleNumber,
         snookerHouse: snookerHouse._id,
-        owner: req.user.id,
+        owner: req.snookerHouse.owner,
         session: sessionId || null,
         items: saleItems,
         paymentMethod: paymentMethod || 'cash',
-        customerName: customerName?.trim() || '',
-        customerPhone: customerPhone?.trim() || '',
+        customer: customer?._id || null,
+        customerName: customer?.name || customerName?.trim() || '',
+        customerPhone: customer?.phone || customerPhone?.trim() || '',
         notes: notes?.trim() || '',
+        discounts: promotion ? [promotion.toDiscountLine()] : [],
+        taxSettings: snookerHouse.getTaxSnapshot(),
         createdBySession: req.session?.id
       });
 
-      // Calculate totals
+      // Calculate totals (including discounts)
       sale.calculateTotals();
 
-      // Save sale
-      await sale.save();
+      // Credit sales go on the customer's khata, within their credit limit
+      let creditAccount = null;
+      if (sale.paymentMethod === 'credit') {
+        if (!sale.customerPhone && !sale.customerName) {
+          return res.status(400).json({
+            success: false,
+            message: 'Customer name or phone is required for credit sales'
+          });
+        }
+
+        creditAccount = await CreditAccount.findOrCreateForCustomer(snookerHouse, {
+          customerId: sale.customer,
+          name: sale.customerName,
+          phone: sale.customerPhone,
+          createdBySession: req.session?.id
+        });
+
+        const creditCheck = creditAccount.checkCredit(sale.amountDue);
+        if (!creditCheck.allowed) {
+          return res.status(400).json({
+            success: false,
+            message: `Credit limit exceeded. Available credit: NPR ${creditCheck.availableCredit}`,
+            creditLimitReached: true,
+            creditAccount: creditAccount.toJSON()
+          });
+        }
+      }
+
+      if (promotion) {
+        if (sale.totalDiscount === 0) {
+          return res.status(400).json({
+            success: false,
+            message: 'Promotion does not apply to this sale'
+          });
+        }
+
+        // Claim a redemption atomically so usage limits hold under concurrent sales
+        const claimed = await Promotion.claimUsage(promotion._id);
+        if (!claimed) {
+          return res.status(400).json({
+            success: false,
+            message: 'Promotion usage limit has been reached'
+          });
+        }
+      }
+
+      try {
+        // Invoice numbers are sequential and never reused, so only take one for a valid sale
+        await sale.validate();
+        if (sale.taxSettings?.vatEnabled) {
+          sale.invoiceNumber = await SnookerHouse.allocateInvoiceNumber(snookerHouse._id);
+        }
+
+        // Save sale
+        await sale.save();
+      } catch (saveError) {
+        // The sale was not recorded: give the promotion redemption back
+        if (promotion) {
+          await Promotion.releaseUsage(promotion._id);
+        }
+        throw saveError;
+      }
+
+      if (creditAccount) {
+        await CreditAccount.postCharge(creditAccount._id, {
+          amount: sale.amountDue,
+          sale: sale._id,
+          description: `Sale ${sale.saleNumber}`,
+          createdBySession: req.session?.id
+        });
+      }
+
+      // Counter purchases add to the customer's spend but not their visit count
+      if (sale.customer) {
+        await Customer.recordVisit(sale.customer, sale.amountDue, sale.saleDate, false);
+      }
 
       // Update product stocks
       for (const update of productUpdates) {
         await Product.findByIdAndUpdate(update.productId, {
           currentStock: update.newStock
         });
+        await recordAuditEvent(req, {
+          entityType: 'product',
+          entity: { _id: update.productId, name: update.productName },
+          action: 'product.stock_sale',
+          before: { currentStock: update.oldStock },
+          after: { currentStock: update.newStock },
+          reason: `Sale ${sale.saleNumber}`
+        });
       }
 
       // Populate product details for response
@@ -495,8 +647,83 @@ class InventoryController {
     }
   }
 
+  // @desc    Get printable receipt for a sale
+  // @access  Private (sales.view)
+  async getSaleReceipt(req, res) {
+    try {
+      const { saleId } = req.params;
+      const { format = 'text', paper = '80' } = req.query;
+
+      if (!FORMATS.includes(format)) {
+        return res.status(400).json({
+          success: false,
+          message: `Format must be one of: ${FORMATS.join(', ')}`
+        });
+      }
+
+      if (!PAPER_WIDTHS[paper]) {
+        return res.status(400).json({
+          success: false,
+          message: 'Paper must be 58 or 80 (mm)'
+        });
+      }
+
+      const sale = await Sale.findById(saleId)
+        .populate('snookerHouse', 'name address taxSettings');
+
+      if (!sale) {
+        return res.status(404).json({
+          success: false,
+          message: 'Sale not found'
+        });
+      }
+
+      if (!belongsToHouse(sale, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only print receipts for your own sales.'
+        });
+      }
+
+      const receipt = buildSaleReceipt(sale, sale.snookerHouse);
+      const rendered = renderReceipt(receipt, format, Number(paper));
+
+      console.log('🧾 Sale receipt rendered:', { saleNumber: sale.saleNumber, format, paper });
+
+      if (!rendered) {
+        return res.json({
+          success: true,
+          data: {
+            receipt
+          }
+        });
+      }
+
+      if (format === 'escpos') {
+        res.setHeader('Content-Disposition', `attachment; filename="receipt-${sale.saleNumber}.bin"`);
+      }
+      res.setHeader('Content-Type', rendered.contentType);
+      res.send(rendered.body);
+
+    } catch (error) {
+      console.error('💥 Sale receipt error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid sale ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error while generating receipt'
+      });
+    }
+  }
+
   // @desc    Get sales history
-  // @access  Private
+  // @access  Private (sales.view)
   async getSalesHistory(req, res) {
     try {
       const { 
@@ -510,13 +737,7 @@ class InventoryController {
       console.log('💰 Getting sales history with filters');
 
       // Find user's snooker house
-      const snookerHouse = await SnookerHouse.findOne({ owner: req.user.id });
-      if (!snookerHouse) {
-        return res.status(404).json({
-          success: false,
-          message: 'No snooker house found'
-        });
-      }
+      const snookerHouse = req.snookerHouse;
 
       const options = {
         limit: parseInt(limit),
@@ -553,6 +774,7 @@ class InventoryController {
               totalRevenue: { $sum: '$totalRevenue' },
               totalProfit: { $sum: '$totalProfit' },
               totalCost: { $sum: '$totalCost' },
+              totalDiscount: { $sum: '$totalDiscount' },
               averageSale: { $avg: '$totalRevenue' }
             }
           }
@@ -563,6 +785,7 @@ class InventoryController {
         totalRevenue: 0,
         totalProfit: 0,
         totalCost: 0,
+        totalDiscount: 0,
         averageSale: 0
       };
 
@@ -580,6 +803,7 @@ class InventoryController {
             totalRevenue: Math.round(stats.totalRevenue),
             totalProfit: Math.round(stats.totalProfit),
             totalCost: Math.round(stats.totalCost),
+            totalDiscount: Math.round(stats.totalDiscount || 0),
             averageSale: Math.round(stats.averageSale)
           },
           pagination: {
@@ -600,19 +824,13 @@ class InventoryController {
   }
 
   // @desc    Get inventory statistics
-  // @access  Private
+  // @access  Private (reports.operations)
   async getInventoryStats(req, res) {
     try {
       console.log('📊 Getting inventory statistics');
 
       // Find user's snooker house
-      const snookerHouse = await SnookerHouse.findOne({ owner: req.user.id });
-      if (!snookerHouse) {
-        return res.status(404).json({
-          success: false,
-          message: 'No snooker house found'
-        });
-      }
+      const snookerHouse = req.snookerHouse;
 
       // Get product statistics
       const [
@@ -718,19 +936,13 @@ class InventoryController {
   }
 
   // @desc    Get low stock products
-  // @access  Private
+  // @access  Private (products.view)
   async getLowStockProducts(req, res) {
     try {
       console.log('⚠️ Getting low stock products');
 
       // Find user's snooker house
-      const snookerHouse = await SnookerHouse.findOne({ owner: req.user.id });
-      if (!snookerHouse) {
-        return res.status(404).json({
-          success: false,
-          message: 'No snooker house found'
-        });
-      }
+      const snookerHouse = req.snookerHouse;
 
       const lowStockProducts = await Product.find({
         snookerHouse: snookerHouse._id,
@@ -758,7 +970,7 @@ class InventoryController {
   }
 
   // @desc    Update product stock
-  // @access  Private
+  // @access  Private (products.manage)
   async updateStock(req, res) {
     try {
       const { productId } = req.params;
@@ -775,7 +987,7 @@ class InventoryController {
       }
 
       // Check ownership
-      if (product.owner.toString() !== req.user.id) {
+      if (!belongsToHouse(product, req)) {
         return res.status(403).json({
           success: false,
           message: 'Access denied. You can only update your own products.'
@@ -793,6 +1005,14 @@ class InventoryController {
       const oldStock = product.currentStock;
       await product.updateStock(quantity, operation);
       const newStock = product.currentStock;
+      await recordAuditEvent(req, {
+        entityType: 'product',
+        entity: product,
+        action: `product.stock_${operation}`,
+        before: { currentStock: oldStock },
+        after: { currentStock: newStock },
+        reason: notes
+      });
 
       console.log('✅ Stock updated:', product.name, 'Old:', oldStock, 'New:', newStock);
 
@@ -825,7 +1045,7 @@ class InventoryController {
   }
 
   // @desc    Search products
-  // @access  Private
+  // @access  Private (products.view)
   async searchProducts(req, res) {
     try {
       const { query, category, status } = req.query;
@@ -833,13 +1053,7 @@ class InventoryController {
       console.log('🔍 Searching products:', query);
 
       // Find user's snooker house
-      const snookerHouse = await SnookerHouse.findOne({ owner: req.user.id });
-      if (!snookerHouse) {
-        return res.status(404).json({
-          success: false,
-          message: 'No snooker house found'
-        });
-      }
+      const snookerHouse = req.snookerHouse;
 
       const searchQuery = {
         snookerHouse: snookerHouse._id
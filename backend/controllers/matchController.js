@@ -0,0 +1,462 @@
+const Match = require('../models/Match');
+const Session = require('../models/Session');
+const liveScoreService = require('../services/liveScoreService');
+const { belongsToHouse } = require('../middleware/permissions');
+
+// Push the latest scoreboard to every screen watching the match
+const broadcastScoreboard = (match) => liveScoreService.publish(match._id, 'scoreboard', match.getScoreboard());
+
+class MatchController {
+  // @desc    Start a scored match on a running session
+  // @access  Private (matches.score)
+  async createMatch(req, res) {
+    try {
+      const { sessionId, title, players, bestOf, reds, breakOff } = req.body;
+
+      console.log('🎱 Creating match:', {
+        sessionId,
+        bestOf,
+        reds,
+        userId: req.user?.id
+      });
+
+      const session = await Session.findById(sessionId);
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      if (!belongsToHouse(session, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only score matches on your own sessions.'
+        });
+      }
+
+      if (!['active', 'paused'].includes(session.status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Matches can only be started on active or paused sessions'
+        });
+      }
+
+      const matchPlayers = [];
+      for (const player of players) {
+        if (player.sessionPlayerId) {
+          const sessionPlayer = session.players.id(player.sessionPlayerId);
+          if (!sessionPlayer) {
+            return res.status(404).json({
+              success: false,
+              message: `Player ${player.sessionPlayerId} not found in this session`
+            });
+          }
+          matchPlayers.push({ name: player.name || sessionPlayer.name, sessionPlayer: sessionPlayer._id });
+        } else {
+          matchPlayers.push({ name: player.name });
+        }
+      }
+
+      const match = new Match({
+        session: session._id,
+        snookerHouse: session.snookerHouse,
+        owner: req.snookerHouse.owner,
+        table: session.table,
+        title: title || `${matchPlayers[0].name} vs ${matchPlayers[1].name}`,
+        players: matchPlayers,
+        bestOf,
+        reds,
+        createdBySession: req.session?.id
+      });
+      match.frames.push({ number: 1, startingPlayer: breakOff, startedAt: new Date() });
+      await match.save();
+
+      console.log('✅ Match created:', match._id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Match started successfully!',
+        data: {
+          match: match.toJSON(),
+          spectatorPath: `/api/matches/live/${match.spectatorToken}/stream`,
+          createdBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Create match error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid session or player ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error during match creation',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // @desc    Get matches for user's sessions
+  // @access  Private (matches.view)
+  async getMatches(req, res) {
+    try {
+      const { sessionId, status, limit = 20, skip = 0 } = req.query;
+
+      const query = { snookerHouse: req.snookerHouse._id };
+      if (sessionId) {
+        query.session = sessionId;
+      }
+      if (status) {
+        query.status = status;
+      }
+
+      const [matches, total] = await Promise.all([
+        Match.find(query)
+          .populate('table', 'name tableNumber')
+          .sort({ createdAt: -1 })
+          .limit(parseInt(limit))
+          .skip(parseInt(skip)),
+        Match.countDocuments(query)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          matches: matches.map(match => ({
+            _id: match._id,
+            session: match.session,
+            table: match.table,
+            title: match.title,
+            status: match.status,
+            createdAt: match.createdAt,
+            scoreboard: match.getScoreboard(),
+            spectators: liveScoreService.getSpectatorCount(match._id)
+          })),
+          total
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Get matches error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid session ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Get a match with its frames, breaks and scoring events
+  // @access  Private (matches.view)
+  async getMatchById(req, res) {
+    try {
+      const match = await Match.findById(req.params.matchId)
+        .populate('table', 'name tableNumber');
+      if (!match) {
+        return res.status(404).json({
+          success: false,
+          message: 'Match not found'
+        });
+      }
+
+      if (!belongsToHouse(match, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only view your own matches.'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          match: match.toJSON(),
+          spectators: liveScoreService.getSpectatorCount(match._id)
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Get match error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid match ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Record a pot, foul, end of visit or concession
+  // @access  Private (matches.score)
+  async recordEvent(req, res) {
+    try {
+      const match = await Match.findById(req.params.matchId);
+      if (!match) {
+        return res.status(404).json({
+          success: false,
+          message: 'Match not found'
+        });
+      }
+
+      if (!belongsToHouse(match, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only score your own matches.'
+        });
+      }
+
+      const frameNumber = match.getCurrentFrame()?.number;
+      try {
+        match.recordEvent({ ...req.body, recordedBySession: req.session?.id });
+      } catch (scoringError) {
+        return res.status(400).json({
+          success: false,
+          message: scoringError.message
+        });
+      }
+
+      match.lastModifiedBySession = req.session?.id;
+      await match.save();
+
+      const scoreboard = match.getScoreboard();
+      broadcastScoreboard(match);
+
+      const frame = match.frames.find(f => f.number === frameNumber);
+      if (frame?.status === 'completed') {
+        console.log('🏁 Frame completed:', {
+          matchId: match._id,
+          frame: frame.number,
+          scores: frame.scores,
+          matchStatus: match.status
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: match.status === 'completed'
+          ? `${match.players[match.winner].name} wins the match!`
+          : 'Scoring event recorded',
+        data: {
+          scoreboard
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Record scoring event error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid match ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error while recording scoring event'
+      });
+    }
+  }
+
+  // @desc    Undo the last scoring event
+  // @access  Private (matches.score)
+  async undoEvent(req, res) {
+    try {
+      const match = await Match.findById(req.params.matchId);
+      if (!match) {
+        return res.status(404).json({
+          success: false,
+          message: 'Match not found'
+        });
+      }
+
+      if (!belongsToHouse(match, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only score your own matches.'
+        });
+      }
+
+      try {
+        match.undoLastEvent();
+      } catch (undoError) {
+        return res.status(400).json({
+          success: false,
+          message: undoError.message
+        });
+      }
+
+      match.lastModifiedBySession = req.session?.id;
+      await match.save();
+      broadcastScoreboard(match);
+
+      res.json({
+        success: true,
+        message: 'Last scoring event undone',
+        data: {
+          scoreboard: match.getScoreboard()
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Undo scoring event error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid match ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error while undoing scoring event'
+      });
+    }
+  }
+
+  // @desc    Abandon a match that will not be finished
+  // @access  Private (matches.score)
+  async abandonMatch(req, res) {
+    try {
+      const match = await Match.findById(req.params.matchId);
+      if (!match) {
+        return res.status(404).json({
+          success: false,
+          message: 'Match not found'
+        });
+      }
+
+      if (!belongsToHouse(match, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only abandon your own matches.'
+        });
+      }
+
+      if (match.status !== 'in_progress') {
+        return res.status(400).json({
+          success: false,
+          message: `Match is already ${match.status}`
+        });
+      }
+
+      match.status = 'abandoned';
+      match.completedAt = new Date();
+      match.lastModifiedBySession = req.session?.id;
+      await match.save();
+      broadcastScoreboard(match);
+
+      console.log('✅ Match abandoned:', match._id);
+
+      res.json({
+        success: true,
+        message: 'Match abandoned',
+        data: {
+          scoreboard: match.getScoreboard(),
+          updatedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Abandon match error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid match ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error while abandoning match'
+      });
+    }
+  }
+
+  // @desc    Get the live scoreboard for a spectator screen
+  // @access  Public (spectator token)
+  async getLiveScoreboard(req, res) {
+    try {
+      const match = await Match.findOne({ spectatorToken: req.params.token });
+      if (!match) {
+        return res.status(404).json({
+          success: false,
+          message: 'Match not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          scoreboard: match.getScoreboard()
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Get live scoreboard error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Stream the live scoreboard as Server-Sent Events
+  // @access  Public (spectator token)
+  async streamScoreboard(req, res) {
+    try {
+      const match = await Match.findOne({ spectatorToken: req.params.token });
+      if (!match) {
+        return res.status(404).json({
+          success: false,
+          message: 'Match not found'
+        });
+      }
+
+      console.log('📺 Spectator connected:', {
+        matchId: match._id,
+        spectators: liveScoreService.getSpectatorCount(match._id) + 1
+      });
+
+      liveScoreService.subscribe(match._id, req, res, match.getScoreboard());
+
+    } catch (error) {
+      console.error('💥 Stream scoreboard error:', error);
+
+      if (!res.headersSent) {
+        res.status(500).json({
+          success: false,
+          message: 'Server error'
+        });
+      }
+    }
+  }
+}
+
+module.exports = new MatchController();
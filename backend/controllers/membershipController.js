@@ -0,0 +1,444 @@
+const mongoose = require('mongoose');
+const MembershipPlan = require('../models/MembershipPlan');
+const Membership = require('../models/Membership');
+const Customer = require('../models/Customer');
+const Session = require('../models/Session');
+const WalletTransaction = require('../models/WalletTransaction');
+const { belongsToHouse } = require('../middleware/permissions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class MembershipController {
+  // @desc    Create a membership plan
+  // @access  Private (memberships.plans)
+  async createPlan(req, res) {
+    try {
+      const snookerHouse = req.snookerHouse;
+
+      const plan = await MembershipPlan.create({
+        ...req.body,
+        snookerHouse: snookerHouse._id,
+        owner: req.snookerHouse.owner,
+        createdBySession: req.session?.id
+      });
+
+      console.log('✅ Membership plan created:', plan._id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Membership plan created successfully!',
+        data: {
+          plan,
+          createdBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Create membership plan error:', error);
+
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'A membership plan with this name already exists'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error during plan creation',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // @desc    Get membership plans for user's snooker house
+  // @access  Private (memberships.view)
+  async getPlans(req, res) {
+    try {
+      const { includeInactive } = req.query;
+
+      const snookerHouse = req.snookerHouse;
+
+      const query = { snookerHouse: snookerHouse._id };
+      if (includeInactive !== 'true') {
+        query.isActive = true;
+      }
+
+      const [plans, activeCounts] = await Promise.all([
+        MembershipPlan.find(query).sort({ price: 1 }),
+        Membership.aggregate([
+          { $match: { snookerHouse: snookerHouse._id, status: 'active', endDate: { $gt: new Date() } } },
+          { $group: { _id: '$plan', count: { $sum: 1 } } }
+        ])
+      ]);
+
+      const countByPlan = new Map(activeCounts.map(row => [row._id.toString(), row.count]));
+
+      res.json({
+        success: true,
+        data: {
+          plans: plans.map(plan => ({
+            ...plan.toObject(),
+            activeMembers: countByPlan.get(plan._id.toString()) || 0
+          }))
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Get membership plans error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Update a membership plan (existing memberships keep their terms)
+  // @access  Private (memberships.plans)
+  async updatePlan(req, res) {
+    try {
+      const plan = await MembershipPlan.findById(req.params.planId);
+      if (!plan) {
+        return res.status(404).json({
+          success: false,
+          message: 'Membership plan not found'
+        });
+      }
+
+      if (!belongsToHouse(plan, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only update your own membership plans.'
+        });
+      }
+
+      Object.keys(req.body).forEach(key => {
+        plan[key] = req.body[key];
+      });
+      plan.lastModifiedBySession = req.session?.id;
+
+      await plan.save();
+
+      console.log('✅ Membership plan updated:', plan._id);
+
+      res.json({
+        success: true,
+        message: 'Membership plan updated successfully! Changes apply to memberships sold from now on.',
+        data: {
+          plan,
+          updatedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Update membership plan error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid membership plan ID'
+        });
+      }
+
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'A membership plan with this name already exists'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error during update'
+      });
+    }
+  }
+
+  // @desc    Sell (or renew) a membership for a customer
+  // @access  Private (memberships.sell)
+  async sellMembership(req, res) {
+    try {
+      const { customerId, planId, paymentMethod, startDate, transactionId, notes } = req.body;
+
+      if (!mongoose.isValidObjectId(customerId) || !mongoose.isValidObjectId(planId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid customer or plan ID'
+        });
+      }
+
+      const snookerHouse = req.snookerHouse;
+
+      const [customer, plan] = await Promise.all([
+        Customer.findOne({ _id: customerId, snookerHouse: snookerHouse._id }),
+        MembershipPlan.findOne({ _id: planId, snookerHouse: snookerHouse._id })
+      ]);
+
+      if (!customer) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer not found'
+        });
+      }
+
+      if (!plan || !plan.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Membership plan not found or no longer on sale'
+        });
+      }
+
+      // Renewals start when the current membership ends
+      let start = startDate ? new Date(startDate) : new Date();
+      if (!startDate) {
+        const latest = await Membership.findOne({
+          customer: customer._id,
+          status: 'active',
+          endDate: { $gt: start }
+        }).sort({ endDate: -1 });
+        if (latest) start = latest.endDate;
+      }
+
+      if (paymentMethod === 'wallet') {
+        const walletPayment = await WalletTransaction.post(snookerHouse._id, customer._id, {
+          type: 'spend',
+          amount: -plan.price,
+          description: `${plan.name} membership`,
+          createdBySession: req.session?.id
+        });
+        if (!walletPayment) {
+          return res.status(400).json({
+            success: false,
+            message: `Insufficient wallet balance (NPR ${customer.walletBalance} available, NPR ${plan.price} needed)`
+          });
+        }
+      }
+
+      const membership = await Membership.create({
+        snookerHouse: snookerHouse._id,
+        owner: req.snookerHouse.owner,
+        customer: customer._id,
+        plan: plan._id,
+        planSnapshot: plan.toSnapshot(),
+        startDate: start,
+        endDate: new Date(start.getTime() + plan.durationDays * DAY_MS),
+        minutesIncluded: plan.includedMinutes,
+        amountPaid: plan.price,
+        paymentMethod,
+        transactionId: transactionId || '',
+        notes: notes || '',
+        createdBySession: req.session?.id
+      });
+
+      console.log('✅ Membership sold:', {
+        membershipId: membership._id,
+        customerId: customer._id,
+        plan: plan.name,
+        startDate: membership.startDate,
+        endDate: membership.endDate
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `${plan.name} membership sold to ${customer.name}`,
+        data: {
+          membership: membership.toJSON(),
+          createdBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Sell membership error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error while selling membership',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // @desc    Get memberships for user's snooker house
+  // @access  Private (memberships.view)
+  async getMemberships(req, res) {
+    try {
+      const { status, customerId, expiringWithinDays, limit = 50, skip = 0 } = req.query;
+
+      const snookerHouse = req.snookerHouse;
+
+      const query = { snookerHouse: snookerHouse._id };
+      if (status) {
+        query.status = status;
+      }
+      if (customerId && mongoose.isValidObjectId(customerId)) {
+        query.customer = customerId;
+      }
+      if (expiringWithinDays) {
+        query.status = 'active';
+        query.endDate = { $gt: new Date(), $lte: new Date(Date.now() + parseInt(expiringWithinDays) * DAY_MS) };
+      }
+
+      const [memberships, total] = await Promise.all([
+        Membership.find(query)
+          .populate('customer', 'name phone')
+          .sort({ endDate: 1 })
+          .limit(parseInt(limit))
+          .skip(parseInt(skip)),
+        Membership.countDocuments(query)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          memberships: memberships.map(membership => membership.toJSON()),
+          total
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Get memberships error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Get membership with the sessions played under it
+  // @access  Private (memberships.view)
+  async getMembershipById(req, res) {
+    try {
+      const membership = await Membership.findById(req.params.membershipId)
+        .populate('customer', 'name phone email');
+      if (!membership) {
+        return res.status(404).json({
+          success: false,
+          message: 'Membership not found'
+        });
+      }
+
+      if (!belongsToHouse(membership, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only view your own memberships.'
+        });
+      }
+
+      const sessions = await Session.find({ membership: membership._id })
+        .populate('table', 'name tableNumber')
+        .select('table startTime endTime status totalCost totalDiscount discounts')
+        .sort({ startTime: -1 })
+        .limit(50);
+
+      res.json({
+        success: true,
+        data: {
+          membership: membership.toJSON(),
+          sessions: sessions.map(session => ({
+            _id: session._id,
+            table: session.table,
+            startTime: session.startTime,
+            endTime: session.endTime,
+            status: session.status,
+            totalCost: session.totalCost,
+            freeMinutes: session.discounts
+              .filter(line => line.membership?.toString() === membership._id.toString())
+              .reduce((sum, line) => sum + line.value, 0)
+          }))
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Get membership error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid membership ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Cancel a membership (stops member rates for new sessions)
+  // @access  Private (memberships.cancel)
+  async cancelMembership(req, res) {
+    try {
+      const { reason } = req.body;
+
+      const membership = await Membership.findById(req.params.membershipId);
+      if (!membership) {
+        return res.status(404).json({
+          success: false,
+          message: 'Membership not found'
+        });
+      }
+
+      if (!belongsToHouse(membership, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only cancel your own memberships.'
+        });
+      }
+
+      if (membership.status !== 'active') {
+        return res.status(400).json({
+          success: false,
+          message: `Membership is already ${membership.status}`
+        });
+      }
+
+      membership.status = 'cancelled';
+      membership.cancelledAt = new Date();
+      if (reason) {
+        membership.notes = membership.notes ? `${membership.notes}\nCancelled: ${reason}` : `Cancelled: ${reason}`;
+      }
+      membership.lastModifiedBySession = req.session?.id;
+      await membership.save();
+
+      console.log('✅ Membership cancelled:', membership._id);
+
+      res.json({
+        success: true,
+        message: 'Membership cancelled successfully',
+        data: {
+          membership: membership.toJSON(),
+          updatedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Cancel membership error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid membership ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error while cancelling membership'
+      });
+    }
+  }
+}
+
+module.exports = new MembershipController();
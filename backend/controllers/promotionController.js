@@ -0,0 +1,312 @@
+const Promotion = require('../models/Promotion');
+const Product = require('../models/Product');
+const { belongsToHouse } = require('../middleware/permissions');
+
+class PromotionController {
+  // @desc    Create a promotion
+  // @access  Private (promotions.manage)
+  async createPromotion(req, res) {
+    try {
+      const { code, products, ...fields } = req.body;
+
+      console.log('🏷️ Creating promotion:', {
+        name: fields.name,
+        code,
+        type: fields.type,
+        userId: req.user?.id
+      });
+
+      // Find user's snooker house
+      const snookerHouse = req.snookerHouse;
+
+      if (code) {
+        const existing = await Promotion.findByCode(snookerHouse._id, code);
+        if (existing) {
+          return res.status(400).json({
+            success: false,
+            message: `Promo code ${code} is already in use`
+          });
+        }
+      }
+
+      // Item promotions can only cover this house's products
+      if (products) {
+        const ownedCount = await Product.countDocuments({
+          _id: { $in: products },
+          snookerHouse: req.snookerHouse._id
+        });
+
+        if (ownedCount !== products.length) {
+          return res.status(400).json({
+            success: false,
+            message: 'One or more products were not found in your inventory'
+          });
+        }
+      }
+
+      const promotion = new Promotion({
+        ...fields,
+        code: code || null,
+        products: products || [],
+        snookerHouse: snookerHouse._id,
+        owner: req.snookerHouse.owner,
+        createdBySession: req.session?.id
+      });
+
+      await promotion.save();
+
+      console.log('✅ Promotion created:', promotion._id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Promotion created successfully!',
+        data: {
+          promotion: promotion.toJSON(),
+          createdBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Create promotion error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid product ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error during promotion creation',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // @desc    Get promotions for user's snooker house
+  // @access  Private (promotions.view)
+  async getMyPromotions(req, res) {
+    try {
+      const { status } = req.query;
+
+      const snookerHouse = req.snookerHouse;
+
+      const query = { snookerHouse: snookerHouse._id };
+      const now = new Date();
+
+      if (status === 'active') {
+        query.isActive = true;
+        query.validFrom = { $lte: now };
+        query.$or = [{ validUntil: null }, { validUntil: { $gte: now } }];
+      } else if (status === 'expired') {
+        query.validUntil = { $lt: now };
+      } else if (status === 'inactive') {
+        query.isActive = false;
+      }
+
+      const promotions = await Promotion.find(query)
+        .populate('products', 'name sellingPrice')
+        .sort({ createdAt: -1 });
+
+      res.json({
+        success: true,
+        data: {
+          promotions: promotions.map(promotion => promotion.toJSON()),
+          total: promotions.length
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Get promotions error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Get specific promotion details
+  // @access  Private (promotions.view)
+  async getPromotionById(req, res) {
+    try {
+      const promotion = await Promotion.findById(req.params.promotionId)
+        .populate('products', 'name sellingPrice');
+
+      if (!promotion) {
+        return res.status(404).json({
+          success: false,
+          message: 'Promotion not found'
+        });
+      }
+
+      if (!belongsToHouse(promotion, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only view your own promotions.'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          promotion: promotion.toJSON()
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Get promotion error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid promotion ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Update promotion (validity, limits, activation)
+  // @access  Private (promotions.manage)
+  async updatePromotion(req, res) {
+    try {
+      const promotion = await Promotion.findById(req.params.promotionId);
+      if (!promotion) {
+        return res.status(404).json({
+          success: false,
+          message: 'Promotion not found'
+        });
+      }
+
+      if (!belongsToHouse(promotion, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only update your own promotions.'
+        });
+      }
+
+      const updates = req.body;
+      const validFrom = updates.validFrom !== undefined ? updates.validFrom : promotion.validFrom;
+      const validUntil = updates.validUntil !== undefined ? updates.validUntil : promotion.validUntil;
+      if (validUntil && validFrom && new Date(validUntil) <= new Date(validFrom)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Valid until must be after valid from'
+        });
+      }
+
+      if (updates.usageLimit && updates.usageLimit < promotion.usageCount) {
+        return res.status(400).json({
+          success: false,
+          message: `Usage limit cannot be lower than current usage (${promotion.usageCount})`
+        });
+      }
+
+      Object.keys(updates).forEach(key => {
+        promotion[key] = updates[key];
+      });
+      promotion.lastModifiedBySession = req.session?.id;
+
+      await promotion.save();
+
+      console.log('✅ Promotion updated:', promotion._id);
+
+      res.json({
+        success: true,
+        message: 'Promotion updated successfully!',
+        data: {
+          promotion: promotion.toJSON(),
+          updatedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Update promotion error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid promotion ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error during update'
+      });
+    }
+  }
+
+  // @desc    Delete an unused promotion (used promotions are deactivated instead)
+  // @access  Private (promotions.manage)
+  async deletePromotion(req, res) {
+    try {
+      const promotion = await Promotion.findById(req.params.promotionId);
+      if (!promotion) {
+        return res.status(404).json({
+          success: false,
+          message: 'Promotion not found'
+        });
+      }
+
+      if (!belongsToHouse(promotion, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only delete your own promotions.'
+        });
+      }
+
+      // Keep promotions that appear on bills so discount lines stay traceable
+      if (promotion.usageCount > 0) {
+        promotion.isActive = false;
+        promotion.lastModifiedBySession = req.session?.id;
+        await promotion.save();
+
+        return res.json({
+          success: true,
+          message: 'Promotion has been used, so it was deactivated instead of deleted',
+          data: {
+            promotion: promotion.toJSON()
+          }
+        });
+      }
+
+      await Promotion.findByIdAndDelete(promotion._id);
+
+      console.log('✅ Promotion deleted:', promotion._id);
+
+      res.json({
+        success: true,
+        message: 'Promotion deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('💥 Delete promotion error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid promotion ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+}
+
+module.exports = new PromotionController();
@@ -1,22 +1,197 @@
+const mongoose = require('mongoose');
 const Session = require('../models/Session');
 const Table = require('../models/Table');
 const SnookerHouse = require('../models/SnookerHouse');
 const Product = require('../models/Product');
+const Booking = require('../models/Booking');
+const Promotion = require('../models/Promotion');
+const CreditAccount = require('../models/CreditAccount');
+const CreditEntry = require('../models/CreditEntry');
+const Customer = require('../models/Customer');
+const WalletTransaction = require('../models/WalletTransaction');
+const Membership = require('../models/Membership');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { formatSegment } = require('../services/pricingService');
+const { PAPER_WIDTHS, FORMATS, buildSessionReceipt, renderReceipt } = require('../services/receiptService');
+const { awardSessionPoints, redeemForPayment, restoreForRefund } = require('../services/loyaltyService');
+const { notifyTableFree } = require('../services/waitlistService');
+const { belongsToHouse } = require('../middleware/permissions');
+const { snapshot, recordAuditEvent } = require('../services/auditService');
+
+// Walk-ins are refused on a table whose reservation starts within this window
+const RESERVATION_HOLD_MINUTES = parseInt(process.env.RESERVATION_HOLD_MINUTES) || 30;
+
+// Bookings can be seated this long before their start time without a staff override
+const EARLY_SEATING_MINUTES = parseInt(process.env.EARLY_SEATING_MINUTES) || 15;
+
+// Draw a session payment from a customer's prepaid wallet
+const chargeWallet = async (session, customerId, amount, createdBySession) => {
+  if (!customerId) {
+    return { charged: false, reason: 'Only registered customers can pay from a wallet' };
+  }
+
+  const result = await WalletTransaction.post(session.snookerHouse, customerId, {
+    type: 'spend',
+    amount: -amount,
+    session: session._id,
+    description: `Session on ${session.table?.name || 'table'}`,
+    createdBySession
+  });
+  if (!result) {
+    const customer = await Customer.findById(customerId).select('walletBalance');
+    return {
+      charged: false,
+      reason: `Insufficient wallet balance (NPR ${customer?.walletBalance || 0} available, NPR ${amount} needed)`
+    };
+  }
+
+  return { charged: true, balance: result.customer.walletBalance };
+};
+
+// A balance already on the khata is collected through a credit settlement, so the ledger
+// and the session stay in step (returns the refusal message, or null)
+const checkNotOnKhata = async (session) => {
+  const charge = await CreditEntry.findOpenChargeForSession(session._id);
+  return charge
+    ? `NPR ${charge.remainingAmount} of this bill is on the customer's khata. Collect it as a credit settlement.`
+    : null;
+};
+
+// Give back what a discount line holds: a promotion redemption or reserved membership minutes
+const releaseDiscountLine = (line) => {
+  if (line.membership) {
+    return Membership.releaseMinutes(line.membership, line.value);
+  }
+  return Promotion.releaseUsage(line.promotion);
+};
+
+// Mark the discount lines a cancelled bill still holds as released (give them back after saving)
+const takeUnreleasedDiscounts = (session, at = new Date()) => {
+  const lines = session.discounts.filter(discount => !discount.releasedAt);
+  lines.forEach(discount => { discount.releasedAt = at; });
+  return lines;
+};
+
+// Give back wallet money and loyalty points taken for a bill that is being cancelled
+// (or for a payment that could not be recorded)
+const returnStoredValuePayments = async (session, payments, createdBySession, reason = 'Session cancelled') => {
+  for (const payment of payments) {
+    const reversal = { amount: payment.amount, reason };
+
+    if (payment.method === 'wallet') {
+      await WalletTransaction.post(session.snookerHouse, payment.customer || session.customer, {
+        type: 'refund',
+        amount: payment.amount,
+        session: session._id,
+        description: `Refund: ${reason}`,
+        createdBySession
+      });
+    } else if (payment.method === 'points') {
+      await restoreForRefund(session, reversal, payment, { createdBySession });
+    }
+  }
+};
 
 class SessionController {
   // @desc    Start a new session
-  // @access  Private (table owner only)
+  // @access  Private (sessions.run)
   async startSession(req, res) {
     try {
-      const { tableId, customerName, customerPhone, notes } = req.body;
+      const { bookingId, waitlistEntryId, overrideReservation, notes } = req.body;
+      let { tableId, customerId, customerName, customerPhone, createCustomer } = req.body;
 
       console.log('🎯 Starting session request:', {
         tableId,
+        bookingId,
         customerName: customerName || 'Not provided (will use Guest)',
         userId: req.user?.id,
         userEmail: req.user?.email
       });
 
+      // Starting from a reservation: the booking decides the table
+      let booking = null;
+      if (bookingId) {
+        booking = await Booking.findById(bookingId);
+        if (!booking) {
+          return res.status(404).json({
+            success: false,
+            message: 'Booking not found'
+          });
+        }
+
+        if (!belongsToHouse(booking, req)) {
+          return res.status(403).json({
+            success: false,
+            message: 'Access denied. You can only seat your own bookings.'
+          });
+        }
+
+        if (!booking.canBeSeated()) {
+          return res.status(400).json({
+            success: false,
+            message: booking.status === 'confirmed'
+              ? 'Booking grace period has expired'
+              : `Booking is already ${booking.status}`
+          });
+        }
+
+        // Seating hours early would hold the table through other bookings' slots
+        if (booking.isTooEarlyToSeat(EARLY_SEATING_MINUTES) && !overrideReservation) {
+          return res.status(409).json({
+            success: false,
+            message: `Booking starts at ${booking.startTime.toISOString()}. It can be seated from ${EARLY_SEATING_MINUTES} minutes before; send overrideReservation to seat it now.`,
+            requiresOverride: true,
+            booking: booking.toJSON()
+          });
+        }
+
+        if (tableId && tableId !== booking.table.toString()) {
+          return res.status(400).json({
+            success: false,
+            message: 'Booking is for a different table'
+          });
+        }
+
+        tableId = booking.table.toString();
+      }
+
+      // Seating a party from the walk-in waitlist: the entry supplies the customer
+      let waitlistEntry = null;
+      if (waitlistEntryId) {
+        if (booking) {
+          return res.status(400).json({
+            success: false,
+            message: 'A session can be started from a booking or a waitlist entry, not both'
+          });
+        }
+
+        waitlistEntry = await WaitlistEntry.findById(waitlistEntryId);
+        if (!waitlistEntry) {
+          return res.status(404).json({
+            success: false,
+            message: 'Waitlist entry not found'
+          });
+        }
+
+        if (!belongsToHouse(waitlistEntry, req)) {
+          return res.status(403).json({
+            success: false,
+            message: 'Access denied. You can only seat your own waitlist.'
+          });
+        }
+
+        if (!waitlistEntry.isQueued()) {
+          return res.status(400).json({
+            success: false,
+            message: `Waitlist entry is already ${waitlistEntry.status}`
+          });
+        }
+
+        customerId = customerId || waitlistEntry.customer?.toString();
+        customerName = customerName || waitlistEntry.customerName;
+        customerPhone = customerPhone || waitlistEntry.customerPhone;
+      }
+
       // Find and validate table
       const table = await Table.findById(tableId).populate('snookerHouse');
       if (!table) {
@@ -32,11 +207,11 @@ class SessionController {
         tableName: table.name,
         tableOwner: table.owner.toString(),
         currentUser: req.user.id,
-        match: table.owner.toString() === req.user.id
+        match: belongsToHouse(table, req)
       });
 
       // Check ownership
-      if (table.owner.toString() !== req.user.id) {
+      if (!belongsToHouse(table, req)) {
         console.log('❌ Access denied - ownership mismatch for start session');
         return res.status(403).json({
           success: false,
@@ -73,25 +248,98 @@ class SessionController {
         });
       }
 
-      // Handle optional customer name with proper default logic
-      const finalCustomerName = customerName && customerName.trim() 
-        ? customerName.trim() 
-        : 'Guest';
+      // Walk-ins must not take a table that is about to be claimed by a reservation
+      let overriddenBooking = null;
+      if (!booking) {
+        const imminentBooking = await Booking.getImminentBooking(table._id, RESERVATION_HOLD_MINUTES);
+        if (imminentBooking) {
+          if (!overrideReservation) {
+            return res.status(409).json({
+              success: false,
+              message: `Table is reserved for ${imminentBooking.customerName} at ${imminentBooking.startTime.toISOString()}`,
+              requiresOverride: true,
+              booking: imminentBooking.toJSON()
+            });
+          }
+
+          overriddenBooking = imminentBooking;
+          console.log('⚠️ Reservation overridden for walk-in:', {
+            bookingId: imminentBooking._id,
+            tableId
+          });
+        }
+      }
+
+      // Handle optional customer name with proper default logic (bookings supply their own)
+      const providedName = customerName && customerName.trim() ? customerName.trim() : '';
+      const providedPhone = customerPhone?.trim() || booking?.customerPhone || '';
+
+      // Registered customer: picked from autocomplete, or looked up by phone
+      // (registered only when the counter asks for it with createCustomer)
+      let customer = null;
+      if (customerId) {
+        if (!mongoose.isValidObjectId(customerId)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid customer ID'
+          });
+        }
+
+        customer = await Customer.findById(customerId);
+        if (!customer || customer.snookerHouse.toString() !== table.snookerHouse._id.toString()) {
+          return res.status(404).json({
+            success: false,
+            message: 'Customer not found'
+          });
+        }
+      } else if (providedPhone) {
+        customer = createCustomer
+          ? await Customer.findOrCreateByPhone(table.snookerHouse, {
+            name: providedName || booking?.customerName,
+            phone: providedPhone,
+            createdBySession: req.session?.id
+          })
+          : await Customer.findByPhone(table.snookerHouse._id, providedPhone);
+      }
+
+      const finalCustomerName = customer?.name || providedName || booking?.customerName || 'Guest';
 
       console.log('🔧 Customer name processing:', {
         provided: customerName,
         trimmed: customerName?.trim(),
+        customerId: customer?._id,
         final: finalCustomerName
       });
 
+      // Customers at their credit limit must clear their khata before playing again
+      const creditAccount = await CreditAccount.findForCustomer(table.snookerHouse._id, {
+        customerId: customer?._id,
+        name: finalCustomerName,
+        phone: customer?.phone || providedPhone
+      });
+      if (creditAccount && !creditAccount.checkCredit().allowed) {
+        return res.status(400).json({
+          success: false,
+          message: `${creditAccount.customerName} has reached their credit limit (outstanding NPR ${creditAccount.balance})`,
+          creditLimitReached: true,
+          creditAccount: creditAccount.toJSON()
+        });
+      }
+
+      // Members play at their plan's rates
+      const membership = customer ? await Membership.findActiveForCustomer(customer._id) : null;
+
       // Create session with pricing snapshot
       const sessionData = {
         table: tableId,
         snookerHouse: table.snookerHouse._id,
-        owner: req.user.id,
+        owner: req.snookerHouse.owner,
+        customer: customer?._id || null,
         customerName: finalCustomerName,
-        customerPhone: customerPhone?.trim() || '',
+        customerPhone: customer?.phone || providedPhone,
         notes: notes?.trim() || '',
+        booking: booking?._id || null,
+        overriddenBooking: overriddenBooking?._id || null,
         pricingMethod: table.pricingMethod,
         startTime: new Date(),
         createdBySession: req.session?.id,
@@ -108,35 +356,84 @@ class SessionController {
         totalPaidAmount: 0,
         remainingAmount: 0,
         paymentNotes: '',
-        paymentCompletedAt: null
+        paymentCompletedAt: null,
+        // VAT / service charge configuration at session start
+        taxSettings: table.snookerHouse.getTaxSnapshot(),
+        membership: membership?._id || null,
+        memberPlan: membership ? membership.toSessionSnapshot() : null
       };
 
       // Add pricing rates based on method
-      if (table.pricingMethod === 'per_minute') {
-        sessionData.minuteRate = table.hourlyRate;
-      } else if (table.pricingMethod === 'frame_kitti') {
-        sessionData.frameRate = table.frameRate;
-        sessionData.kittiRate = table.kittiRate;
+      if (table.pricingMethod === 'frame_kitti') {
         sessionData.frames = 0;
         sessionData.kittis = 0;
       }
 
       const session = new Session(sessionData);
-      await session.save();
+      session.applyTableRates(table);
+
+      // Reserve the member's remaining free minutes; whatever is not played is released at the end
+      if (membership && membership.getRemainingMinutes() > 0) {
+        const reservedMinutes = await Membership.reserveMinutes(membership, membership.getRemainingMinutes());
+        if (reservedMinutes > 0) {
+          session.discounts.push({
+            membership: membership._id,
+            name: `${membership.planSnapshot.name} membership`,
+            type: 'free_minutes',
+            value: reservedMinutes,
+            appliedBySession: req.session?.id
+          });
+        }
+      }
+
+      try {
+        await session.save();
+      } catch (saveError) {
+        // No session holds the reserved minutes: hand them back to the membership
+        for (const discount of session.discounts) {
+          await releaseDiscountLine(discount);
+        }
+        throw saveError;
+      }
 
       // Mark table as occupied
       table.isOccupied = true;
-      table.currentBooking = session._id;
+      table.currentSession = session._id;
+      table.currentBooking = booking?._id || null;
       await table.save();
 
+      // Reserved customer has arrived
+      if (booking) {
+        booking.status = 'seated';
+        booking.seatedAt = new Date();
+        booking.session = session._id;
+        booking.lastModifiedBySession = req.session?.id;
+        await booking.save();
+      }
+
+      // Waiting party has been seated
+      if (waitlistEntry) {
+        waitlistEntry.status = 'seated';
+        waitlistEntry.seatedAt = new Date();
+        waitlistEntry.session = session._id;
+        waitlistEntry.table = table._id;
+        waitlistEntry.lastModifiedBySession = req.session?.id;
+        await waitlistEntry.save();
+      }
+
       // Populate for response
       await session.populate('table', 'name tableNumber');
 
+      await recordAuditEvent(req, { entityType: 'session', entity: session, action: 'session.start' });
+
       console.log('✅ Session started successfully:', {
         sessionId: session._id,
         customer: session.customerName,
-        customerNameSource: customerName ? 'provided' : 'default',
-        tableId: tableId
+        customerNameSource: providedName ? 'provided' : (booking ? 'booking' : 'default'),
+        membershipId: membership?._id,
+        tableId: tableId,
+        bookingId: booking?._id,
+        waitlistEntryId: waitlistEntry?._id
       });
 
       res.status(201).json({
@@ -162,7 +459,7 @@ class SessionController {
   }
 
   // @desc    Get active session for a table
-  // @access  Private (table owner only)
+  // @access  Private (sessions.view)
   async getActiveSession(req, res) {
     try {
       const { tableId } = req.params;
@@ -198,11 +495,11 @@ class SessionController {
         tableName: table.name,
         tableOwner: table.owner.toString(),
         currentUser: req.user.id,
-        match: table.owner.toString() === req.user.id
+        match: belongsToHouse(table, req)
       });
 
       // Check ownership with detailed logging
-      if (table.owner.toString() !== req.user.id) {
+      if (!belongsToHouse(table, req)) {
         console.log('❌ Access denied - ownership mismatch');
         return res.status(403).json({
           success: false,
@@ -274,11 +571,11 @@ class SessionController {
   }
 
   // @desc    Add item to session
-  // @access  Private (session owner only)
+  // @access  Private (sessions.run)
   async addItemToSession(req, res) {
     try {
       const { sessionId } = req.params;
-      const { productId, quantity } = req.body;
+      const { productId, quantity, playerId } = req.body;
 
       console.log('📦 Adding item to session:', {
         sessionId,
@@ -305,13 +602,15 @@ class SessionController {
       }
 
       // Check ownership
-      if (session.owner.toString() !== req.user.id) {
+      if (!belongsToHouse(session, req)) {
         return res.status(403).json({
           success: false,
           message: 'Access denied. You can only add items to your own sessions.'
         });
       }
 
+      const before = snapshot('session', session);
+
       // Can only add items to active or paused sessions
       if (!['active', 'paused'].includes(session.status)) {
         return res.status(400).json({
@@ -320,6 +619,14 @@ class SessionController {
         });
       }
 
+      // Item charged to one player of a split bill
+      if (playerId && !session.players.id(playerId)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Player not found in this session'
+        });
+      }
+
       // Find product
       const product = await Product.findById(productId);
       if (!product) {
@@ -330,7 +637,7 @@ class SessionController {
       }
 
       // Check product ownership
-      if (product.owner.toString() !== req.user.id) {
+      if (!belongsToHouse(product, req)) {
         return res.status(403).json({
           success: false,
           message: 'Access denied for this product'
@@ -351,7 +658,8 @@ class SessionController {
         productName: product.name,
         quantity: parseInt(quantity),
         costPrice: product.costPrice,
-        sellingPrice: product.sellingPrice
+        sellingPrice: product.sellingPrice,
+        player: playerId || null
       });
 
       // Update product stock
@@ -361,6 +669,8 @@ class SessionController {
       await session.populate('table', 'name tableNumber');
       await session.populate('items.product', 'name category unit');
 
+      await recordAuditEvent(req, { entityType: 'session', entity: session, action: 'session.add_item', before });
+
       console.log('✅ Item added to session successfully:', {
         sessionId: session._id,
         productName: product.name,
@@ -391,7 +701,7 @@ class SessionController {
   }
 
   // @desc    Remove item from session
-  // @access  Private (session owner only)
+  // @access  Private (sessions.run)
   async removeItemFromSession(req, res) {
     try {
       const { sessionId, itemId } = req.params;
@@ -412,13 +722,15 @@ class SessionController {
       }
 
       // Check ownership
-      if (session.owner.toString() !== req.user.id) {
+      if (!belongsToHouse(session, req)) {
         return res.status(403).json({
           success: false,
           message: 'Access denied. You can only modify your own sessions.'
         });
       }
 
+      const before = snapshot('session', session);
+
       // Can only remove items from active or paused sessions
       if (!['active', 'paused'].includes(session.status)) {
         return res.status(400).json({
@@ -449,6 +761,8 @@ class SessionController {
       await session.populate('table', 'name tableNumber');
       await session.populate('items.product', 'name category unit');
 
+      await recordAuditEvent(req, { entityType: 'session', entity: session, action: 'session.remove_item', before });
+
       console.log('✅ Item removed from session successfully:', {
         sessionId: session._id,
         removedItemId: itemId,
@@ -478,7 +792,7 @@ class SessionController {
   }
 
   // @desc    Update session (add frames/kittis, pause/resume, add notes)
-  // @access  Private (session owner only)
+  // @access  Private (sessions.run)
   async updateSession(req, res) {
     try {
       const { sessionId } = req.params;
@@ -501,7 +815,7 @@ class SessionController {
       }
 
       // Check ownership
-      if (session.owner.toString() !== req.user.id) {
+      if (!belongsToHouse(session, req)) {
         console.log('❌ Access denied - session ownership mismatch');
         return res.status(403).json({
           success: false,
@@ -509,6 +823,8 @@ class SessionController {
         });
       }
 
+      const before = snapshot('session', session);
+
       // Can only update active sessions (unless it's adding final notes)
       if (session.status !== 'active' && session.status !== 'paused' && action !== 'add_notes') {
         return res.status(400).json({
@@ -517,24 +833,29 @@ class SessionController {
         });
       }
 
+      // Logged games can only come off the totals by voiding them
+      const loggedGames = session.frameLog.filter(entry => !entry.voidedAt);
+      const loggedFrames = loggedGames.filter(entry => entry.type === 'frame').length;
+      const loggedKittis = loggedGames.length - loggedFrames;
+      if ((frames !== undefined && frames < loggedFrames) || (kittis !== undefined && kittis < loggedKittis)) {
+        return res.status(400).json({
+          success: false,
+          message: `Frame log has ${loggedFrames} frames and ${loggedKittis} kittis. Void logged games instead of lowering the count.`
+        });
+      }
+
       // Handle different update actions
       switch (action) {
         case 'pause':
           if (session.status === 'active') {
-            session.status = 'paused';
-            session.pausedAt = new Date();
+            session.pause();
           }
           break;
           
         case 'resume':
           if (session.status === 'paused') {
-            session.status = 'active';
-            // Add paused time to total paused duration
-            if (session.pausedAt) {
-              const pausedDuration = new Date() - session.pausedAt;
-              session.totalPausedTime = (session.totalPausedTime || 0) + pausedDuration;
-              session.pausedAt = null;
-            }
+            // Adds paused time to total paused duration
+            session.resume();
           }
           break;
           
@@ -571,6 +892,8 @@ class SessionController {
       const currentCost = session.calculateCurrentCost();
       const durationMinutes = session.getDurationInMinutes();
 
+      await recordAuditEvent(req, { entityType: 'session', entity: session, action: `session.${action || 'update'}`, before });
+
       console.log('✅ Session updated successfully:', {
         sessionId: session._id,
         newFrames: session.frames,
@@ -614,7 +937,7 @@ class SessionController {
 
   // 🆕 NEW: Confirm payment before ending session
   // @desc    Confirm payment details before ending session
-  // @access  Private (session owner only)
+  // @access  Private (sessions.run)
   async confirmPayment(req, res) {
     try {
       const { sessionId } = req.params;
@@ -629,7 +952,7 @@ class SessionController {
 
       // Validate input
       const validPaymentStatuses = ['paid', 'credit'];
-      const validPaymentMethods = ['esewa', 'online_banking', 'cash'];
+      const validPaymentMethods = ['esewa', 'online_banking', 'cash', 'points', 'wallet'];
 
       if (!validPaymentStatuses.includes(paymentStatus)) {
         return res.status(400).json({
@@ -655,7 +978,7 @@ class SessionController {
       }
 
       // Check ownership
-      if (session.owner.toString() !== req.user.id) {
+      if (!belongsToHouse(session, req)) {
         console.log('❌ Access denied - session ownership mismatch for payment confirmation');
         return res.status(403).json({
           success: false,
@@ -663,52 +986,1647 @@ class SessionController {
         });
       }
 
-      // Can only confirm payment for active or paused sessions
+      const before = snapshot('session', session);
+
+      // Can only confirm payment for active or paused sessions
+      if (!['active', 'paused'].includes(session.status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Can only confirm payment for active or paused sessions'
+        });
+      }
+
+      const onKhata = await checkNotOnKhata(session);
+      if (onKhata) {
+        return res.status(400).json({
+          success: false,
+          message: onKhata,
+          creditAccount: session.creditAccount
+        });
+      }
+
+      // Calculate final cost before processing payment
+      await session.updateTotalCost();
+
+      // Process payment based on status
+      if (paymentStatus === 'paid') {
+        const amountDue = session.totalCost - session.totalPaidAmount;
+
+        // Paying with loyalty points redeems them from the customer's balance first
+        let redemption = null;
+        if (paymentMethod === 'points') {
+          if (session.isSplit()) {
+            return res.status(400).json({
+              success: false,
+              message: 'Use player payments to pay a split bill with points'
+            });
+          }
+
+          redemption = await redeemForPayment(session, amountDue, {
+            createdBySession: req.session?.id
+          });
+          if (!redemption.redeemed) {
+            return res.status(400).json({
+              success: false,
+              message: redemption.reason
+            });
+          }
+        }
+
+        // Paying from the prepaid wallet draws the balance down first
+        if (paymentMethod === 'wallet') {
+          if (session.isSplit()) {
+            return res.status(400).json({
+              success: false,
+              message: 'Use player payments to pay a split bill from a wallet'
+            });
+          }
+
+          const walletPayment = await chargeWallet(session, session.customer, amountDue, req.session?.id);
+          if (!walletPayment.charged) {
+            return res.status(400).json({
+              success: false,
+              message: walletPayment.reason
+            });
+          }
+        }
+
+        // Mark as paid with payment method
+        try {
+          await session.markAsPaid({
+            method: paymentMethod,
+            transactionId: transactionId || '',
+            notes: paymentNotes || (redemption ? `${redemption.points} points redeemed` : ''),
+            points: redemption?.points
+          });
+        } catch (saveError) {
+          // The wallet or points were already drawn: give them back
+          if (['points', 'wallet'].includes(paymentMethod)) {
+            await returnStoredValuePayments(session, [
+              { method: paymentMethod, amount: amountDue, points: redemption?.points }
+            ], req.session?.id, 'Payment not recorded');
+          }
+          throw saveError;
+        }
+
+        console.log('✅ Session marked as paid:', {
+          sessionId: session._id,
+          method: paymentMethod,
+          amount: session.totalCost
+        });
+
+      } else if (paymentStatus === 'credit') {
+        // Credit goes on the customer's khata, within their credit limit
+        const snookerHouse = req.snookerHouse;
+        if (!session.customerPhone && (!session.customerName || session.customerName === 'Guest')) {
+          return res.status(400).json({
+            success: false,
+            message: 'Customer name or phone is required to put a session on credit'
+          });
+        }
+
+        const creditAccount = await CreditAccount.findOrCreateForCustomer(snookerHouse, {
+          customerId: session.customer,
+          name: session.customerName,
+          phone: session.customerPhone,
+          createdBySession: req.session?.id
+        });
+
+        const creditCheck = creditAccount.checkCredit(session.remainingAmount);
+        if (!creditCheck.allowed) {
+          return res.status(400).json({
+            success: false,
+            message: `Credit limit exceeded. Available credit: NPR ${creditCheck.availableCredit}`,
+            creditLimitReached: true,
+            creditAccount: creditAccount.toJSON()
+          });
+        }
+
+        session.creditAccount = creditAccount._id;
+
+        // Mark as credit
+        await session.markAsCredit(paymentNotes || 'Payment credited - to be collected later');
+
+        console.log('✅ Session marked as credit:', {
+          sessionId: session._id,
+          amount: session.totalCost
+        });
+      }
+
+      // Refresh session data
+      await session.populate('table', 'name tableNumber');
+      await session.populate('items.product', 'name category unit');
+
+      await recordAuditEvent(req, { entityType: 'session', entity: session, action: 'session.payment', before });
+
+      res.json({
+        success: true,
+        message: `Payment ${paymentStatus === 'paid' ? 'confirmed' : 'credited'} successfully!`,
+        data: {
+          session: session.toObject(),
+          paymentSummary: session.getPaymentSummary(),
+          updatedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Confirm payment error:', error);
+      
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid session ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error during payment confirmation'
+      });
+    }
+  }
+
+  // @desc    Refund or reverse a payment on a completed session
+  // @access  Private (sessions.refund)
+  async refundSession(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const { amount, method, reason, paymentId, items, restock, transactionId, notes } = req.body;
+
+      console.log('↩️ Refunding session:', {
+        sessionId,
+        amount,
+        paymentId,
+        itemsCount: items?.length || 0,
+        userId: req.user?.id
+      });
+
+      const session = await Session.findById(sessionId);
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      if (!belongsToHouse(session, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only refund your own sessions.'
+        });
+      }
+
+      const before = snapshot('session', session);
+
+      if (session.status !== 'completed') {
+        return res.status(400).json({
+          success: false,
+          message: 'Only completed sessions can be refunded'
+        });
+      }
+
+      if (session.getRefundableAmount() <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Nothing left to refund on this session'
+        });
+      }
+
+      // A reversal returns money through the method it was paid with
+      let payment = null;
+      if (paymentId) {
+        payment = session.payments.id(paymentId);
+        if (!payment) {
+          return res.status(404).json({
+            success: false,
+            message: 'Payment not found in session'
+          });
+        }
+      }
+
+      // Default amount: value of returned items, else the unreversed payment amount
+      let refundAmount = amount;
+      if (refundAmount === undefined && items?.length) {
+        refundAmount = items.reduce((sum, { itemId, quantity }) => {
+          const item = session.items.id(itemId);
+          return sum + (item ? item.sellingPrice * quantity : 0);
+        }, 0);
+      }
+      if (refundAmount === undefined && payment) {
+        refundAmount = session.getReversibleAmount(payment._id);
+      }
+
+      if (!refundAmount || refundAmount <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Refund amount must be greater than 0'
+        });
+      }
+
+      // Wallet and points refunds go back onto the balance of the customer who paid
+      const refundMethod = method || payment?.method;
+      const balanceCustomer = payment?.customer || session.customer;
+      if (['wallet', 'points'].includes(refundMethod)) {
+        const customerExists = balanceCustomer &&
+          await Customer.exists({ _id: balanceCustomer, snookerHouse: session.snookerHouse });
+        if (!customerExists) {
+          return res.status(400).json({
+            success: false,
+            message: `A ${refundMethod} refund needs the registered customer who paid. Refund by another method instead.`
+          });
+        }
+      }
+
+      let refund;
+      try {
+        refund = session.addRefund({
+          amount: refundAmount,
+          method: refundMethod,
+          reason,
+          paymentId: payment?._id,
+          items: (items || []).map(item => ({ ...item, restocked: Boolean(restock) })),
+          transactionId,
+          notes,
+          issuedBy: req.user.id,
+          issuedBySession: req.session?.id
+        });
+      } catch (refundError) {
+        return res.status(400).json({
+          success: false,
+          message: refundError.message
+        });
+      }
+
+      session.lastModifiedBySession = req.session?.id;
+      session.lastModifiedAt = new Date();
+
+      // A reversed wallet payment goes back into the wallet it was paid from,
+      // credited before the refund is saved so it is never recorded without its money
+      let walletCredit = null;
+      if (refund.method === 'wallet') {
+        walletCredit = await WalletTransaction.post(session.snookerHouse, balanceCustomer, {
+          type: 'refund',
+          amount: refund.amount,
+          session: session._id,
+          description: `Refund: ${refund.reason}`,
+          createdBySession: req.session?.id
+        });
+        if (!walletCredit) {
+          return res.status(400).json({
+            success: false,
+            message: 'The customer\'s wallet could not be credited. Refund by another method instead.'
+          });
+        }
+      }
+
+      try {
+        await session.save();
+      } catch (saveError) {
+        if (walletCredit) {
+          await WalletTransaction.post(session.snookerHouse, balanceCustomer, {
+            type: 'adjust',
+            amount: -refund.amount,
+            session: session._id,
+            description: 'Reversal: refund not recorded',
+            createdBySession: req.session?.id
+          });
+        }
+        throw saveError;
+      }
+
+      // A reversed points payment goes back to the customer's points balance
+      let pointsRestored = 0;
+      if (refund.method === 'points') {
+        pointsRestored = await restoreForRefund(session, refund, payment, {
+          createdBySession: req.session?.id
+        });
+      }
+
+      // Put returned items back on the shelf
+      if (restock) {
+        for (const item of refund.items) {
+          const product = await Product.findById(item.product);
+          if (product) {
+            await product.updateStock(item.quantity, 'add');
+          }
+        }
+      }
+
+      await recordAuditEvent(req, { entityType: 'session', entity: session, action: 'session.refund', before });
+
+      console.log('✅ Session refunded:', {
+        sessionId: session._id,
+        amount: refund.amount,
+        method: refund.method,
+        totalRefunded: session.totalRefunded
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Refund of NPR ${refund.amount} recorded successfully!`,
+        data: {
+          refund: refund.toObject(),
+          pointsRestored,
+          paymentSummary: session.getPaymentSummary(),
+          issuedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Refund session error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid session or payment ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error during refund',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // @desc    Get refunds recorded on a session
+  // @access  Private (sessions.view)
+  async getSessionRefunds(req, res) {
+    try {
+      const session = await Session.findById(req.params.sessionId)
+        .populate('refunds.issuedBy', 'firstName lastName email');
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      if (!belongsToHouse(session, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only view your own sessions.'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          refunds: session.refunds,
+          totalPaid: session.totalPaidAmount,
+          totalRefunded: session.totalRefunded,
+          refundableAmount: session.getRefundableAmount(),
+          refundStatus: session.refundStatus
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Get session refunds error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid session ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Add a player to a session (for splitting the bill)
+  // @access  Private (sessions.run)
+  async addPlayer(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const { name, phone, customShare } = req.body;
+
+      console.log('👥 Adding player to session:', {
+        sessionId,
+        name,
+        userId: req.user?.id
+      });
+
+      const session = await Session.findById(sessionId);
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      // Check ownership
+      if (!belongsToHouse(session, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only modify your own sessions.'
+        });
+      }
+
+      const before = snapshot('session', session);
+
+      if (!['active', 'paused'].includes(session.status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Can only add players to active or paused sessions'
+        });
+      }
+
+      if (session.players.length >= 20) {
+        return res.status(400).json({
+          success: false,
+          message: 'A session cannot have more than 20 players'
+        });
+      }
+
+      session.players.push({
+        name: name.trim(),
+        phone: phone?.trim() || '',
+        customShare: customShare !== undefined ? customShare : 1
+      });
+      session.lastModifiedBySession = req.session?.id;
+      session.lastModifiedAt = new Date();
+      await session.updateTotalCost();
+
+      const player = session.players[session.players.length - 1];
+
+      await recordAuditEvent(req, { entityType: 'session', entity: session, action: 'session.add_player', before });
+
+      console.log('✅ Player added to session:', {
+        sessionId: session._id,
+        playerId: player._id,
+        playersCount: session.players.length
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Player added successfully!',
+        data: {
+          player,
+          playerShares: session.getPlayerShares(),
+          session: session.toObject(),
+          updatedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Add player error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid session ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error while adding player'
+      });
+    }
+  }
+
+  // @desc    Remove a player who has not paid anything yet
+  // @access  Private (sessions.run)
+  async removePlayer(req, res) {
+    try {
+      const { sessionId, playerId } = req.params;
+
+      const session = await Session.findById(sessionId);
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      // Check ownership
+      if (!belongsToHouse(session, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only modify your own sessions.'
+        });
+      }
+
+      const before = snapshot('session', session);
+
+      if (!['active', 'paused'].includes(session.status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Can only remove players from active or paused sessions'
+        });
+      }
+
+      const player = session.players.id(playerId);
+      if (!player) {
+        return res.status(404).json({
+          success: false,
+          message: 'Player not found in this session'
+        });
+      }
+
+      if (session.payments.some(payment => payment.player?.toString() === playerId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot remove a player who has already paid'
+        });
+      }
+
+      const inFrameLog = session.frameLog.some(entry =>
+        !entry.voidedAt && entry.players.some(id => id.toString() === playerId)
+      );
+      if (inFrameLog) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot remove a player who is in the frame log. Void or correct their games first.'
+        });
+      }
+
+      // Items charged to this player become shared items
+      session.items.forEach(item => {
+        if (item.player?.toString() === playerId) {
+          item.player = null;
+        }
+      });
+
+      session.players.pull(player._id);
+
+      // Last player removed: back to a single bill
+      if (session.players.length === 0) {
+        session.splitMethod = null;
+      }
+
+      session.lastModifiedBySession = req.session?.id;
+      session.lastModifiedAt = new Date();
+      await session.updateTotalCost();
+
+      await recordAuditEvent(req, { entityType: 'session', entity: session, action: 'session.remove_player', before });
+
+      console.log('✅ Player removed from session:', { sessionId: session._id, playerId });
+
+      res.json({
+        success: true,
+        message: 'Player removed successfully!',
+        data: {
+          removedPlayerId: playerId,
+          playerShares: session.getPlayerShares(),
+          session: session.toObject(),
+          updatedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Remove player error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid session or player ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error while removing player'
+      });
+    }
+  }
+
+  // @desc    Set how the bill is split (even, frames lost, custom shares)
+  // @access  Private (sessions.run)
+  async updateSplit(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const { splitMethod, players = [] } = req.body;
+
+      console.log('👥 Updating bill split:', {
+        sessionId,
+        splitMethod,
+        userId: req.user?.id
+      });
+
+      const session = await Session.findById(sessionId);
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      // Check ownership
+      if (!belongsToHouse(session, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only modify your own sessions.'
+        });
+      }
+
+      const before = snapshot('session', session);
+
+      if (!['active', 'paused', 'completed'].includes(session.status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot split the bill of a cancelled session'
+        });
+      }
+
+      if (session.paymentStatus === 'paid') {
+        return res.status(400).json({
+          success: false,
+          message: 'Session is already fully paid'
+        });
+      }
+
+      if (splitMethod && session.players.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Add players to the session before splitting the bill'
+        });
+      }
+
+      // Changing the split after partial payments would move money between players
+      const hasPlayerPayments = session.payments.some(payment => payment.player);
+      const hasWholePayments = session.payments.some(payment => !payment.player);
+      if ((hasPlayerPayments && !splitMethod) || (hasWholePayments && splitMethod && !session.isSplit())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot change between a single and a split bill after payments have been recorded'
+        });
+      }
+
+      for (const update of players) {
+        const player = session.players.id(update.playerId);
+        if (!player) {
+          return res.status(404).json({
+            success: false,
+            message: `Player ${update.playerId} not found in this session`
+          });
+        }
+
+        if (update.framesLost !== undefined) player.framesLost = update.framesLost;
+        if (update.customShare !== undefined) player.customShare = update.customShare;
+      }
+
+      session.splitMethod = splitMethod;
+      session.lastModifiedBySession = req.session?.id;
+      session.lastModifiedAt = new Date();
+
+      // Completed sessions keep their final cost; running sessions are re-priced
+      if (['active', 'paused'].includes(session.status)) {
+        await session.updateTotalCost();
+      } else {
+        session.updatePaymentAmounts();
+        await session.save();
+      }
+
+      await recordAuditEvent(req, { entityType: 'session', entity: session, action: 'session.split', before });
+
+      console.log('✅ Bill split updated:', {
+        sessionId: session._id,
+        splitMethod: session.splitMethod,
+        players: session.players.length
+      });
+
+      res.json({
+        success: true,
+        message: splitMethod ? 'Bill split updated successfully!' : 'Bill split removed',
+        data: {
+          splitMethod: session.splitMethod,
+          playerShares: session.getPlayerShares(),
+          paymentSummary: session.getPaymentSummary(),
+          updatedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Update split error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid session or player ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error while updating bill split'
+      });
+    }
+  }
+
+  // @desc    Charge a session item to a player (or back to shared)
+  // @access  Private (sessions.run)
+  async assignItemToPlayer(req, res) {
+    try {
+      const { sessionId, itemId } = req.params;
+      const { playerId } = req.body;
+
+      const session = await Session.findById(sessionId);
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      // Check ownership
+      if (!belongsToHouse(session, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only modify your own sessions.'
+        });
+      }
+
+      const before = snapshot('session', session);
+
+      if (!['active', 'paused'].includes(session.status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Can only reassign items on active or paused sessions'
+        });
+      }
+
+      const item = session.items.id(itemId);
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          message: 'Item not found in this session'
+        });
+      }
+
+      if (playerId && !session.players.id(playerId)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Player not found in this session'
+        });
+      }
+
+      item.player = playerId || null;
+      session.lastModifiedBySession = req.session?.id;
+      session.lastModifiedAt = new Date();
+      await session.updateTotalCost();
+
+      await recordAuditEvent(req, { entityType: 'session', entity: session, action: 'session.assign_item', before });
+
+      res.json({
+        success: true,
+        message: playerId ? 'Item charged to player' : 'Item marked as shared',
+        data: {
+          item,
+          playerShares: session.getPlayerShares(),
+          updatedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Assign item to player error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid session, item or player ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error while assigning item'
+      });
+    }
+  }
+
+  // @desc    Get each player's share of the bill
+  // @access  Private (sessions.view)
+  async getSplitSummary(req, res) {
+    try {
+      const session = await Session.findById(req.params.sessionId);
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      // Check ownership
+      if (!belongsToHouse(session, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only view your own sessions.'
+        });
+      }
+
+      const isRunning = ['active', 'paused'].includes(session.status);
+      const totalCost = isRunning ? session.calculateCurrentCost() : session.totalCost;
+
+      res.json({
+        success: true,
+        data: {
+          sessionId: session._id,
+          splitMethod: session.splitMethod,
+          totalCost,
+          playerShares: session.getPlayerShares(totalCost),
+          paymentSummary: session.getPaymentSummary()
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Get split summary error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid session ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Record one player's payment towards a split bill
+  // @access  Private (sessions.run)
+  async recordPlayerPayment(req, res) {
+    try {
+      const { sessionId, playerId } = req.params;
+      const { paymentMethod, amount, transactionId, paymentNotes } = req.body;
+
+      console.log('💰 Recording player payment:', {
+        sessionId,
+        playerId,
+        paymentMethod,
+        amount,
+        userId: req.user?.id
+      });
+
+      const session = await Session.findById(sessionId);
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      // Check ownership
+      if (!belongsToHouse(session, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only record payments for your own sessions.'
+        });
+      }
+
+      const before = snapshot('session', session);
+
+      if (session.status === 'cancelled') {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot record payments for a cancelled session'
+        });
+      }
+
+      const onKhata = await checkNotOnKhata(session);
+      if (onKhata) {
+        return res.status(400).json({
+          success: false,
+          message: onKhata,
+          creditAccount: session.creditAccount
+        });
+      }
+
+      if (!session.isSplit()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Bill is not split between players. Use confirm-payment instead.'
+        });
+      }
+
+      // Re-price running sessions so the share reflects the time played so far
+      if (['active', 'paused'].includes(session.status)) {
+        await session.updateTotalCost();
+      }
+
+      const share = session.getPlayerShares().find(share => share.playerId.toString() === playerId);
+      if (!share) {
+        return res.status(404).json({
+          success: false,
+          message: 'Player not found in this session'
+        });
+      }
+
+      if (share.isSettled) {
+        return res.status(400).json({
+          success: false,
+          message: `${share.name}'s share is already settled`
+        });
+      }
+
+      const paymentAmount = amount !== undefined ? amount : share.remaining;
+      if (paymentAmount > share.remaining) {
+        return res.status(400).json({
+          success: false,
+          message: `Payment exceeds ${share.name}'s remaining share of NPR ${share.remaining}`
+        });
+      }
+
+      // Points and wallet payments draw on the player's own balance, found by their phone
+      let payer = null;
+      if (['points', 'wallet'].includes(paymentMethod)) {
+        const player = session.players.id(playerId);
+        payer = player.phone ? await Customer.findByPhone(session.snookerHouse, player.phone) : null;
+        if (!payer) {
+          return res.status(400).json({
+            success: false,
+            message: `${share.name} must be a registered customer (matched by phone) to pay with ${paymentMethod === 'points' ? 'points' : 'a wallet'}`
+          });
+        }
+      }
+
+      let redemption = null;
+      if (paymentMethod === 'points') {
+        redemption = await redeemForPayment(session, paymentAmount, {
+          createdBySession: req.session?.id,
+          customer: payer._id
+        });
+        if (!redemption.redeemed) {
+          return res.status(400).json({
+            success: false,
+            message: redemption.reason
+          });
+        }
+      }
+
+      if (paymentMethod === 'wallet') {
+        const walletPayment = await chargeWallet(session, payer._id, paymentAmount, req.session?.id);
+        if (!walletPayment.charged) {
+          return res.status(400).json({
+            success: false,
+            message: walletPayment.reason
+          });
+        }
+      }
+
+      try {
+        await session.recordPayment({
+          method: paymentMethod,
+          amount: paymentAmount,
+          transactionId: transactionId || '',
+          notes: paymentNotes || (redemption ? `${redemption.points} points redeemed` : ''),
+          playerId,
+          points: redemption?.points,
+          customerId: payer?._id
+        });
+      } catch (saveError) {
+        // The wallet or points were already drawn: give them back
+        if (payer) {
+          await returnStoredValuePayments(session, [
+            { method: paymentMethod, amount: paymentAmount, points: redemption?.points, customer: payer._id }
+          ], req.session?.id, 'Payment not recorded');
+        }
+        throw saveError;
+      }
+
+      await recordAuditEvent(req, { entityType: 'session', entity: session, action: 'session.player_payment', before });
+
+      console.log('✅ Player payment recorded:', {
+        sessionId: session._id,
+        playerId,
+        amount: paymentAmount,
+        sessionPaymentStatus: session.paymentStatus
+      });
+
+      res.json({
+        success: true,
+        message: session.paymentStatus === 'paid'
+          ? 'Payment recorded. All player shares are settled!'
+          : 'Player payment recorded successfully!',
+        data: {
+          playerShare: session.getPlayerShares().find(share => share.playerId.toString() === playerId),
+          playerShares: session.getPlayerShares(),
+          paymentSummary: session.getPaymentSummary(),
+          updatedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Record player payment error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid session or player ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error while recording payment'
+      });
+    }
+  }
+
+  // @desc    Log a frame/kitti with its winner and loser
+  // @access  Private (sessions.run)
+  async logGame(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const { type, playerIds, winnerId, loserId } = req.body;
+
+      console.log('🎱 Logging game:', {
+        sessionId,
+        type,
+        loserId,
+        userId: req.user?.id
+      });
+
+      const session = await Session.findById(sessionId);
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      // Check ownership
+      if (!belongsToHouse(session, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only modify your own sessions.'
+        });
+      }
+
+      const before = snapshot('session', session);
+
+      if (!['active', 'paused'].includes(session.status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Can only log games on active or paused sessions'
+        });
+      }
+
+      let entry;
+      try {
+        entry = session.logGame({
+          type,
+          playerIds,
+          winnerId,
+          loserId,
+          recordedBySession: req.session?.id
+        });
+      } catch (logError) {
+        return res.status(400).json({
+          success: false,
+          message: logError.message
+        });
+      }
+
+      session.lastModifiedBySession = req.session?.id;
+      session.lastModifiedAt = new Date();
+      await session.updateTotalCost();
+
+      await recordAuditEvent(req, { entityType: 'session', entity: session, action: 'session.log_game', before });
+
+      console.log('✅ Game logged:', {
+        sessionId: session._id,
+        frameId: entry._id,
+        frames: session.frames,
+        kittis: session.kittis
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `${entry.type === 'kitti' ? 'Kitti' : 'Frame'} logged successfully!`,
+        data: {
+          game: entry,
+          frames: session.frames,
+          kittis: session.kittis,
+          playerShares: session.getPlayerShares(),
+          createdBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Log game error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid session or player ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error while logging game'
+      });
+    }
+  }
+
+  // @desc    Get the session's frame log with each player's wins, losses and charges
+  // @access  Private (sessions.view)
+  async getFrameLog(req, res) {
+    try {
+      const { includeVoided } = req.query;
+
+      const session = await Session.findById(req.params.sessionId);
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      // Check ownership
+      if (!belongsToHouse(session, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only view your own sessions.'
+        });
+      }
+
+      const playerName = (playerId) => (playerId ? session.players.id(playerId)?.name || null : null);
+      const games = session.frameLog
+        .filter(entry => includeVoided === 'true' || !entry.voidedAt)
+        .map(entry => ({
+          ...entry.toObject(),
+          winnerName: playerName(entry.winner),
+          loserName: playerName(entry.loser),
+          playerNames: entry.players.map(playerName)
+        }));
+
+      const loserCharges = session.getLoserCharges();
+      const liveGames = session.frameLog.filter(entry => !entry.voidedAt);
+      const players = session.players.map(player => {
+        const playerId = player._id.toString();
+        return {
+          playerId: player._id,
+          name: player.name,
+          played: liveGames.filter(entry => entry.players.some(id => id.toString() === playerId)).length,
+          won: liveGames.filter(entry => entry.winner?.toString() === playerId).length,
+          lost: liveGames.filter(entry => entry.loser.toString() === playerId).length,
+          amountLost: loserCharges[playerId]?.amount || 0
+        };
+      });
+
+      res.json({
+        success: true,
+        data: {
+          sessionId: session._id,
+          frames: session.frames,
+          kittis: session.kittis,
+          loggedFrames: liveGames.filter(entry => entry.type === 'frame').length,
+          loggedKittis: liveGames.filter(entry => entry.type === 'kitti').length,
+          games,
+          players
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Get frame log error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid session ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Correct who played, won or lost a logged game (disputes)
+  // @access  Private (sessions.run)
+  async correctGame(req, res) {
+    try {
+      const { sessionId, frameId } = req.params;
+      const { playerIds, winnerId, loserId, note } = req.body;
+
+      const session = await Session.findById(sessionId);
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      // Check ownership
+      if (!belongsToHouse(session, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only modify your own sessions.'
+        });
+      }
+
+      const before = snapshot('session', session);
+
+      if (!['active', 'paused', 'completed'].includes(session.status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot correct games on a cancelled session'
+        });
+      }
+
+      // Moving a loss moves money between players once they have started paying
+      if (session.splitMethod === 'loser_pays' && session.payments.some(payment => payment.player)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot correct games after players have started paying their shares'
+        });
+      }
+
+      let entry;
+      try {
+        entry = session.correctGame(frameId, { playerIds, winnerId, loserId, note });
+      } catch (correctError) {
+        return res.status(400).json({
+          success: false,
+          message: correctError.message
+        });
+      }
+
+      session.lastModifiedBySession = req.session?.id;
+      session.lastModifiedAt = new Date();
+
+      // Completed sessions keep their final cost; running sessions are re-priced
+      if (['active', 'paused'].includes(session.status)) {
+        await session.updateTotalCost();
+      } else {
+        session.updatePaymentAmounts();
+        await session.save();
+      }
+
+      await recordAuditEvent(req, { entityType: 'session', entity: session, action: 'session.correct_game', before, reason: note });
+
+      console.log('✅ Game corrected:', {
+        sessionId: session._id,
+        frameId: entry._id,
+        loser: entry.loser
+      });
+
+      res.json({
+        success: true,
+        message: 'Game corrected successfully!',
+        data: {
+          game: entry,
+          playerShares: session.getPlayerShares(),
+          updatedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Correct game error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid session, game or player ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error while correcting game'
+      });
+    }
+  }
+
+  // @desc    Void a logged game (removes it from the bill, keeps it in the log)
+  // @access  Private (sessions.run)
+  async voidGame(req, res) {
+    try {
+      const { sessionId, frameId } = req.params;
+      const { reason } = req.body;
+
+      const session = await Session.findById(sessionId);
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      // Check ownership
+      if (!belongsToHouse(session, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only modify your own sessions.'
+        });
+      }
+
+      const before = snapshot('session', session);
+
+      if (!['active', 'paused'].includes(session.status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Can only void games on active or paused sessions'
+        });
+      }
+
+      let entry;
+      try {
+        entry = session.voidGame(frameId, reason);
+      } catch (voidError) {
+        return res.status(400).json({
+          success: false,
+          message: voidError.message
+        });
+      }
+
+      session.lastModifiedBySession = req.session?.id;
+      session.lastModifiedAt = new Date();
+      await session.updateTotalCost();
+
+      await recordAuditEvent(req, { entityType: 'session', entity: session, action: 'session.void_game', before });
+
+      console.log('✅ Game voided:', {
+        sessionId: session._id,
+        frameId: entry._id,
+        reason
+      });
+
+      res.json({
+        success: true,
+        message: 'Game voided successfully!',
+        data: {
+          game: entry,
+          frames: session.frames,
+          kittis: session.kittis,
+          playerShares: session.getPlayerShares(),
+          updatedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Void game error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid session or game ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error while voiding game'
+      });
+    }
+  }
+
+  // @desc    Apply a promotion to a session bill
+  // @access  Private (sessions.run)
+  async applyPromotion(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const { promoCode, promotionId } = req.body;
+
+      console.log('🏷️ Applying promotion to session:', {
+        sessionId,
+        promoCode,
+        promotionId,
+        userId: req.user?.id
+      });
+
+      const session = await Session.findById(sessionId);
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      // Check ownership
+      if (!belongsToHouse(session, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only discount your own sessions.'
+        });
+      }
+
+      const before = snapshot('session', session);
+
+      if (!['active', 'paused'].includes(session.status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Can only apply promotions to active or paused sessions'
+        });
+      }
+
+      if (session.paymentStatus === 'paid') {
+        return res.status(400).json({
+          success: false,
+          message: 'Session is already fully paid'
+        });
+      }
+
+      const promotion = promoCode
+        ? await Promotion.findByCode(session.snookerHouse, promoCode)
+        : await Promotion.findById(promotionId);
+
+      if (!promotion || promotion.snookerHouse.toString() !== session.snookerHouse.toString()) {
+        return res.status(404).json({
+          success: false,
+          message: promoCode ? 'Promo code not found' : 'Promotion not found'
+        });
+      }
+
+      const availability = promotion.checkAvailability('sessions');
+      if (!availability.available) {
+        return res.status(400).json({
+          success: false,
+          message: availability.reason
+        });
+      }
+
+      if (promotion.type === 'free_minutes' && session.pricingMethod !== 'per_minute' &&
+          !session.tableSegments.some(segment => segment.pricingMethod === 'per_minute')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Free-minutes promotions only apply to per-minute tables'
+        });
+      }
+
+      if (session.discounts.some(line => line.promotion?.toString() === promotion._id.toString())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Promotion is already applied to this session'
+        });
+      }
+
+      if (promotion.perCustomerLimit) {
+        if (!session.customerPhone) {
+          return res.status(400).json({
+            success: false,
+            message: 'Customer phone is required for this promotion'
+          });
+        }
+
+        const customerUses = await Promotion.countCustomerUses(promotion._id, session.customerPhone);
+        if (customerUses >= promotion.perCustomerLimit) {
+          return res.status(400).json({
+            success: false,
+            message: 'Customer has already used this promotion the maximum number of times'
+          });
+        }
+      }
+
+      // Claim a redemption atomically so usage limits hold across tables
+      const claimed = await Promotion.claimUsage(promotion._id);
+      if (!claimed) {
+        return res.status(400).json({
+          success: false,
+          message: 'Promotion usage limit has been reached'
+        });
+      }
+
+      session.discounts.push({
+        ...promotion.toDiscountLine(),
+        appliedBySession: req.session?.id
+      });
+      session.lastModifiedBySession = req.session?.id;
+      session.lastModifiedAt = new Date();
+      await session.updateTotalCost();
+
+      const discountLine = session.discounts[session.discounts.length - 1];
+
+      await recordAuditEvent(req, { entityType: 'session', entity: session, action: 'session.apply_discount', before });
+
+      console.log('✅ Promotion applied:', {
+        sessionId: session._id,
+        promotion: promotion.name,
+        currentAmount: discountLine.amount
+      });
+
+      res.json({
+        success: true,
+        message: `${promotion.name} applied successfully!`,
+        data: {
+          discount: discountLine,
+          totalDiscount: session.totalDiscount,
+          session: session.toJSON(),
+          updatedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Apply promotion error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid session or promotion ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error while applying promotion'
+      });
+    }
+  }
+
+  // @desc    Remove a discount line from a session bill
+  // @access  Private (sessions.run)
+  async removeDiscount(req, res) {
+    try {
+      const { sessionId, discountId } = req.params;
+
+      const session = await Session.findById(sessionId);
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      // Check ownership
+      if (!belongsToHouse(session, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only modify your own sessions.'
+        });
+      }
+
+      const before = snapshot('session', session);
+
       if (!['active', 'paused'].includes(session.status)) {
         return res.status(400).json({
           success: false,
-          message: 'Can only confirm payment for active or paused sessions'
+          message: 'Can only remove discounts from active or paused sessions'
         });
       }
 
-      // Calculate final cost before processing payment
-      await session.updateTotalCost();
-
-      // Process payment based on status
-      if (paymentStatus === 'paid') {
-        // Mark as paid with payment method
-        await session.markAsPaid({
-          method: paymentMethod,
-          transactionId: transactionId || '',
-          notes: paymentNotes || ''
+      const discount = session.discounts.id(discountId);
+      if (!discount) {
+        return res.status(404).json({
+          success: false,
+          message: 'Discount not found in this session'
         });
+      }
 
-        console.log('✅ Session marked as paid:', {
-          sessionId: session._id,
-          method: paymentMethod,
-          amount: session.totalCost
-        });
+      const removedLine = discount.toObject();
+      session.discounts.pull(discount._id);
+      session.lastModifiedBySession = req.session?.id;
+      session.lastModifiedAt = new Date();
+      await session.updateTotalCost();
 
-      } else if (paymentStatus === 'credit') {
-        // Mark as credit
-        await session.markAsCredit(paymentNotes || 'Payment credited - to be collected later');
+      await releaseDiscountLine(removedLine);
 
-        console.log('✅ Session marked as credit:', {
-          sessionId: session._id,
-          amount: session.totalCost
-        });
-      }
+      await recordAuditEvent(req, { entityType: 'session', entity: session, action: 'session.remove_discount', before });
 
-      // Refresh session data
-      await session.populate('table', 'name tableNumber');
-      await session.populate('items.product', 'name category unit');
+      console.log('✅ Discount removed from session:', { sessionId: session._id, discountId });
 
       res.json({
         success: true,
-        message: `Payment ${paymentStatus === 'paid' ? 'confirmed' : 'credited'} successfully!`,
+        message: 'Discount removed successfully',
         data: {
-          session: session.toObject(),
-          paymentSummary: session.getPaymentSummary(),
+          removedDiscountId: discountId,
+          totalDiscount: session.totalDiscount,
+          session: session.toJSON(),
           updatedBy: {
             sessionId: req.session?.id,
             deviceInfo: req.session?.deviceInfo
@@ -717,25 +2635,25 @@ class SessionController {
       });
 
     } catch (error) {
-      console.error('💥 Confirm payment error:', error);
-      
+      console.error('💥 Remove discount error:', error);
+
       if (error.name === 'CastError') {
         return res.status(400).json({
           success: false,
-          message: 'Invalid session ID'
+          message: 'Invalid session or discount ID'
         });
       }
 
       res.status(500).json({
         success: false,
-        message: 'Server error during payment confirmation'
+        message: 'Server error while removing discount'
       });
     }
   }
 
   // 🆕 UPDATED: End session with payment validation
   // @desc    End a session (requires payment confirmation)
-  // @access  Private (session owner only)
+  // @access  Private (sessions.run)
   async endSession(req, res) {
     try {
       const { sessionId } = req.params;
@@ -756,7 +2674,7 @@ class SessionController {
       }
 
       // Check ownership
-      if (session.owner.toString() !== req.user.id) {
+      if (!belongsToHouse(session, req)) {
         console.log('❌ Access denied - session ownership mismatch for end');
         return res.status(403).json({
           success: false,
@@ -764,6 +2682,8 @@ class SessionController {
         });
       }
 
+      const before = snapshot('session', session);
+
       // Can only end active or paused sessions
       if (!['active', 'paused'].includes(session.status)) {
         return res.status(400).json({
@@ -783,35 +2703,82 @@ class SessionController {
       }
 
       // End session
+      const endedAt = new Date();
       session.status = 'completed';
-      session.endTime = new Date();
+      session.endTime = endedAt;
       if (notes) session.notes = notes;
+      session.endedBySession = req.session?.id;
       session.lastModifiedBySession = req.session?.id;
       session.lastModifiedAt = new Date();
 
       // If session was paused when ended, calculate final paused time
       if (session.pausedAt) {
-        const finalPausedDuration = new Date() - session.pausedAt;
-        session.totalPausedTime = (session.totalPausedTime || 0) + finalPausedDuration;
-        session.pausedAt = null;
+        session.resume(endedAt);
+      }
+
+      // Issue a tax invoice number for VAT bills
+      if (session.taxSettings?.vatEnabled && !session.invoiceNumber) {
+        session.invoiceNumber = await SnookerHouse.allocateInvoiceNumber(session.snookerHouse);
+      }
+
+      // Keep only the membership minutes actually played; the rest go back to the allowance
+      for (const line of session.discounts.filter(discount => discount.membership)) {
+        const playedMinutes = Math.min(line.value, Math.ceil(session.getBillableMinutes()));
+        await Membership.releaseMinutes(line.membership, line.value - playedMinutes);
+        line.value = playedMinutes;
       }
 
       // Calculate final cost
       await session.updateTotalCost();
 
+      if (session.customer) {
+        await Customer.recordVisit(session.customer, session.totalCost, endedAt);
+      }
+
+      // Post the unpaid balance of a credit session to the customer's khata
+      if (session.creditAccount && session.paymentStatus === 'credit' && session.remainingAmount > 0) {
+        await CreditAccount.postCharge(session.creditAccount, {
+          amount: session.remainingAmount,
+          session: session._id,
+          description: `Session on ${session.table?.name || 'table'}`,
+          createdBySession: req.session?.id
+        });
+      }
+
+      // Registered customers earn loyalty points on paid sessions
+      const pointsEarned = await awardSessionPoints(session, {
+        createdBySession: req.session?.id
+      });
+
       // Free up the table
       const table = session.table;
       if (table) {
         table.isOccupied = false;
         table.currentBooking = null;
+        table.currentSession = null;
         await table.save();
       }
 
+      // Close out the reservation this session was started from
+      if (session.booking) {
+        await Booking.findByIdAndUpdate(session.booking, {
+          status: 'completed',
+          lastModifiedBySession: req.session?.id
+        });
+      }
+
+      // Offer the freed table to the next party on the waitlist
+      const waitlistNotification = table
+        ? await notifyTableFree(table, { createdBySession: req.session?.id })
+        : null;
+
       // Calculate final values
       const finalCost = session.totalCost;
       const totalDurationMinutes = session.getDurationInMinutes();
       const paymentSummary = session.getPaymentSummary();
 
+      await recordAuditEvent(req, { entityType: 'session', entity: session, action: 'session.end', before });
+
       console.log('✅ Session ended successfully:', {
         sessionId: session._id,
         finalCost,
@@ -819,7 +2786,8 @@ class SessionController {
         itemsCount: session.items.length,
         itemsRevenue: session.totalItemsRevenue,
         paymentStatus: session.paymentStatus,
-        paymentMethod: session.paymentMethodLabel
+        paymentMethod: session.paymentMethodLabel,
+        pointsEarned
       });
 
       res.json({
@@ -832,6 +2800,12 @@ class SessionController {
             totalDurationMinutes
           },
           paymentSummary,
+          playerShares: session.getPlayerShares(),
+          waitlistNotified: waitlistNotification ? {
+            entryId: waitlistNotification.entry._id,
+            customerName: waitlistNotification.entry.customerName,
+            messageSent: waitlistNotification.messageSent
+          } : null,
           endedBy: {
             sessionId: req.session?.id,
             deviceInfo: req.session?.deviceInfo
@@ -857,7 +2831,7 @@ class SessionController {
   }
 
   // @desc    Get all sessions for user's snooker house with filtering and pagination
-  // @access  Private
+  // @access  Private (sessions.view)
   async getMySessions(req, res) {
     try {
       const { status, limit = 50, skip = 0, dateFrom, dateTo, tableId, paymentStatus } = req.query;
@@ -868,13 +2842,7 @@ class SessionController {
       });
 
       // Find user's snooker house
-      const snookerHouse = await SnookerHouse.findOne({ owner: req.user.id });
-      if (!snookerHouse) {
-        return res.status(404).json({
-          success: false,
-          message: 'No snooker house found'
-        });
-      }
+      const snookerHouse = req.snookerHouse;
 
       const options = {
         limit: parseInt(limit),
@@ -978,7 +2946,7 @@ class SessionController {
   }
 
   // @desc    Cancel/Delete a session (only if not completed)
-  // @access  Private
+  // @access  Private (sessions.cancel)
   async cancelSession(req, res) {
     try {
       const { sessionId } = req.params;
@@ -997,7 +2965,7 @@ class SessionController {
       }
 
       // Check ownership
-      if (session.owner.toString() !== req.user.id) {
+      if (!belongsToHouse(session, req)) {
         console.log('❌ Access denied - session ownership mismatch for cancel');
         return res.status(403).json({
           success: false,
@@ -1005,11 +2973,13 @@ class SessionController {
         });
       }
 
-      // Can only cancel if not completed
-      if (session.status === 'completed') {
+      const before = snapshot('session', session);
+
+      // Can only cancel a running session (a repeat cancel would restore stock and discounts twice)
+      if (['completed', 'cancelled'].includes(session.status)) {
         return res.status(400).json({
           success: false,
-          message: 'Cannot cancel completed sessions'
+          message: `Cannot cancel ${session.status} sessions`
         });
       }
 
@@ -1025,10 +2995,12 @@ class SessionController {
       // Mark session as cancelled
       session.status = 'cancelled';
       session.endTime = new Date();
+      session.cancelledBySession = req.session?.id;
       session.lastModifiedBySession = req.session?.id;
       session.lastModifiedAt = new Date();
 
       // 🆕 NEW: Reset payment status for cancelled sessions
+      const cancelledPayments = session.payments.slice();
       session.paymentStatus = 'pending';
       session.paymentMethod = null;
       session.paymentMethodLabel = null;
@@ -1036,17 +3008,37 @@ class SessionController {
       session.remainingAmount = 0;
       session.payments = [];
       session.paymentNotes = 'Session cancelled - payment reset';
+      const releasedDiscounts = takeUnreleasedDiscounts(session);
 
       await session.save();
 
+      // Give back promotion redemptions and membership minutes used by this bill
+      for (const discount of releasedDiscounts) {
+        await releaseDiscountLine(discount);
+      }
+      await returnStoredValuePayments(session, cancelledPayments, req.session?.id);
+
       // Free up the table if it was occupied
       if (session.table) {
         const table = session.table;
         table.isOccupied = false;
         table.currentBooking = null;
+        table.currentSession = null;
         await table.save();
       }
 
+      // A cancelled session also cancels the reservation it was seated from
+      if (session.booking) {
+        await Booking.findByIdAndUpdate(session.booking, {
+          status: 'cancelled',
+          cancelledAt: new Date(),
+          cancellationReason: 'Session cancelled',
+          lastModifiedBySession: req.session?.id
+        });
+      }
+
+      await recordAuditEvent(req, { entityType: 'session', entity: session, action: 'session.cancel', before });
+
       console.log('✅ Session cancelled successfully:', {
         sessionId: session._id,
         restoredItems: session.items.length
@@ -1084,19 +3076,13 @@ class SessionController {
 
   // 🆕 UPDATED: Get session statistics with payment breakdown
   // @desc    Get session statistics for user's snooker house
-  // @access  Private
+  // @access  Private (reports.operations)
   async getSessionStats(req, res) {
     try {
       console.log('📊 Getting session statistics for user:', req.user?.id);
 
       // Find user's snooker house
-      const snookerHouse = await SnookerHouse.findOne({ owner: req.user.id });
-      if (!snookerHouse) {
-        return res.status(404).json({
-          success: false,
-          message: 'No snooker house found'
-        });
-      }
+      const snookerHouse = req.snookerHouse;
 
       // Get various statistics
       const today = new Date();
@@ -1359,7 +3345,7 @@ class SessionController {
   }
 
   // @desc    Get specific session details
-  // @access  Private (session owner only)
+  // @access  Private (sessions.view)
   async getSessionById(req, res) {
     try {
       const { sessionId } = req.params;
@@ -1382,7 +3368,7 @@ class SessionController {
       }
 
       // Check ownership
-      if (session.owner.toString() !== req.user.id) {
+      if (!belongsToHouse(session, req)) {
         console.log('❌ Access denied - session ownership mismatch for get details');
         return res.status(403).json({
           success: false,
@@ -1434,8 +3420,91 @@ class SessionController {
     }
   }
 
+  // @desc    Get printable receipt for a session (estimate while still running)
+  // @access  Private (sessions.view)
+  async getSessionReceipt(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const { format = 'text', paper = '80' } = req.query;
+
+      if (!FORMATS.includes(format)) {
+        return res.status(400).json({
+          success: false,
+          message: `Format must be one of: ${FORMATS.join(', ')}`
+        });
+      }
+
+      if (!PAPER_WIDTHS[paper]) {
+        return res.status(400).json({
+          success: false,
+          message: 'Paper must be 58 or 80 (mm)'
+        });
+      }
+
+      const session = await Session.findById(sessionId)
+        .populate('table', 'name tableNumber')
+        .populate('snookerHouse', 'name address taxSettings');
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      if (!belongsToHouse(session, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only print receipts for your own sessions.'
+        });
+      }
+
+      if (session.status === 'cancelled') {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot print a receipt for a cancelled session'
+        });
+      }
+
+      const receipt = buildSessionReceipt(session, session.snookerHouse);
+      const rendered = renderReceipt(receipt, format, Number(paper));
+
+      console.log('🧾 Session receipt rendered:', { sessionId: session._id, format, paper });
+
+      if (!rendered) {
+        return res.json({
+          success: true,
+          data: {
+            receipt
+          }
+        });
+      }
+
+      if (format === 'escpos') {
+        res.setHeader('Content-Disposition', `attachment; filename="receipt-${session._id}.bin"`);
+      }
+      res.setHeader('Content-Type', rendered.contentType);
+      res.send(rendered.body);
+
+    } catch (error) {
+      console.error('💥 Session receipt error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid session ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error while generating receipt'
+      });
+    }
+  }
+
   // @desc    Pause an active session
-  // @access  Private (session owner only)
+  // @access  Private (sessions.run)
   async pauseSession(req, res) {
     try {
       const { sessionId } = req.params;
@@ -1454,13 +3523,15 @@ class SessionController {
       }
 
       // Check ownership
-      if (session.owner.toString() !== req.user.id) {
+      if (!belongsToHouse(session, req)) {
         return res.status(403).json({
           success: false,
           message: 'Access denied. You can only pause your own sessions.'
         });
       }
 
+      const before = snapshot('session', session);
+
       // Can only pause active sessions
       if (session.status !== 'active') {
         return res.status(400).json({
@@ -1470,12 +3541,13 @@ class SessionController {
       }
 
       // Pause the session
-      session.status = 'paused';
-      session.pausedAt = new Date();
+      session.pause();
       session.lastModifiedBySession = req.session?.id;
       session.lastModifiedAt = new Date();
       await session.save();
 
+      await recordAuditEvent(req, { entityType: 'session', entity: session, action: 'session.pause', before });
+
       console.log('✅ Session paused successfully:', {
         sessionId: session._id
       });
@@ -1510,7 +3582,7 @@ class SessionController {
   }
 
   // @desc    Resume a paused session
-  // @access  Private (session owner only)
+  // @access  Private (sessions.run)
   async resumeSession(req, res) {
     try {
       const { sessionId } = req.params;
@@ -1529,13 +3601,15 @@ class SessionController {
       }
 
       // Check ownership
-      if (session.owner.toString() !== req.user.id) {
+      if (!belongsToHouse(session, req)) {
         return res.status(403).json({
           success: false,
           message: 'Access denied. You can only resume your own sessions.'
         });
       }
 
+      const before = snapshot('session', session);
+
       // Can only resume paused sessions
       if (session.status !== 'paused') {
         return res.status(400).json({
@@ -1544,20 +3618,15 @@ class SessionController {
         });
       }
 
-      // Resume the session
-      session.status = 'active';
-      
-      // Calculate and add paused duration
-      if (session.pausedAt) {
-        const pausedDuration = new Date() - session.pausedAt;
-        session.totalPausedTime = (session.totalPausedTime || 0) + pausedDuration;
-        session.pausedAt = null;
-      }
+      // Resume the session and add paused duration
+      session.resume();
       
       session.lastModifiedBySession = req.session?.id;
       session.lastModifiedAt = new Date();
       await session.save();
 
+      await recordAuditEvent(req, { entityType: 'session', entity: session, action: 'session.resume', before });
+
       console.log('✅ Session resumed successfully:', {
         sessionId: session._id
       });
@@ -1591,8 +3660,159 @@ class SessionController {
     }
   }
 
+  // @desc    Move an active session to another table (keeps items and elapsed time)
+  // @access  Private (sessions.run)
+  async transferSession(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const { tableId, overrideReservation, notes } = req.body;
+
+      console.log('🔀 Transferring session:', {
+        sessionId,
+        toTableId: tableId,
+        userId: req.user?.id
+      });
+
+      const session = await Session.findById(sessionId).populate('table');
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      // Check ownership
+      if (!belongsToHouse(session, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only transfer your own sessions.'
+        });
+      }
+
+      const before = snapshot('session', session);
+
+      if (!['active', 'paused'].includes(session.status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Can only transfer active or paused sessions'
+        });
+      }
+
+      const fromTable = session.table;
+      if (fromTable._id.toString() === tableId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Session is already on this table'
+        });
+      }
+
+      const toTable = await Table.findById(tableId);
+      if (!toTable) {
+        return res.status(404).json({
+          success: false,
+          message: 'Table not found'
+        });
+      }
+
+      if (!belongsToHouse(toTable, req) ||
+          toTable.snookerHouse.toString() !== session.snookerHouse.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only move sessions between tables of your own snooker house.'
+        });
+      }
+
+      if (toTable.status !== 'active') {
+        return res.status(400).json({
+          success: false,
+          message: 'Table is not available'
+        });
+      }
+
+      if (toTable.isOccupied || await Session.getActiveSession(toTable._id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Table is already occupied'
+        });
+      }
+
+      // Same reservation hold as a walk-in taking the table
+      const imminentBooking = await Booking.getImminentBooking(toTable._id, RESERVATION_HOLD_MINUTES);
+      if (imminentBooking && !overrideReservation) {
+        return res.status(409).json({
+          success: false,
+          message: `Table is reserved for ${imminentBooking.customerName} at ${imminentBooking.startTime.toISOString()}`,
+          requiresOverride: true,
+          booking: imminentBooking.toJSON()
+        });
+      }
+
+      // Close the current table segment and switch to the new table's rates
+      session.moveToTable(fromTable, toTable, new Date());
+      if (imminentBooking) session.overriddenBooking = imminentBooking._id;
+      if (notes) session.notes = session.notes ? `${session.notes}\n${notes}` : notes;
+      session.lastModifiedBySession = req.session?.id;
+      session.lastModifiedAt = new Date();
+      await session.updateTotalCost();
+
+      // Free up the old table
+      await Table.findByIdAndUpdate(fromTable._id, {
+        isOccupied: false,
+        currentSession: null,
+        currentBooking: null
+      });
+
+      // Occupy the new one
+      toTable.isOccupied = true;
+      toTable.currentSession = session._id;
+      toTable.currentBooking = session.booking || null;
+      await toTable.save();
+
+      await session.populate('table', 'name tableNumber');
+
+      await recordAuditEvent(req, { entityType: 'session', entity: session, action: 'session.transfer', before, reason: notes });
+
+      console.log('✅ Session transferred:', {
+        sessionId: session._id,
+        from: fromTable.name,
+        to: toTable.name,
+        segments: session.tableSegments.length
+      });
+
+      res.json({
+        success: true,
+        message: `Session moved from ${fromTable.name} to ${toTable.name}`,
+        data: {
+          session: session.toJSON(),
+          fromTable: { id: fromTable._id, name: fromTable.name, tableNumber: fromTable.tableNumber },
+          toTable: { id: toTable._id, name: toTable.name, tableNumber: toTable.tableNumber },
+          updatedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Transfer session error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid session or table ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error during session transfer',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
   // @desc    Get session history for a specific table
-  // @access  Private (table owner only)
+  // @access  Private (sessions.view)
   async getTableSessionHistory(req, res) {
     try {
       const { tableId } = req.params;
@@ -1613,15 +3833,15 @@ class SessionController {
         });
       }
 
-      if (table.owner.toString() !== req.user.id) {
+      if (!belongsToHouse(table, req)) {
         return res.status(403).json({
           success: false,
           message: 'Access denied. You can only view history for your own tables.'
         });
       }
 
-      // Build query
-      const query = { table: tableId };
+      // Build query (include sessions that were moved to or from this table)
+      const query = { $or: [{ table: tableId }, { 'tableSegments.table': tableId }] };
       if (status) query.status = status;
       if (paymentStatus) query.paymentStatus = paymentStatus; // 🆕 NEW: Payment status filter
 
@@ -1686,7 +3906,7 @@ class SessionController {
 
   // 🆕 UPDATED: Export session data with payment information
   // @desc    Export session data (CSV/JSON)
-  // @access  Private
+  // @access  Private (sessions.export)
   async exportSessions(req, res) {
     try {
       const { format = 'json', dateFrom, dateTo, status, paymentStatus } = req.query;
@@ -1698,13 +3918,7 @@ class SessionController {
       });
 
       // Find user's snooker house
-      const snookerHouse = await SnookerHouse.findOne({ owner: req.user.id });
-      if (!snookerHouse) {
-        return res.status(404).json({
-          success: false,
-          message: 'No snooker house found'
-        });
-      }
+      const snookerHouse = req.snookerHouse;
 
       // Build query
       const query = { snookerHouse: snookerHouse._id };
@@ -1737,6 +3951,11 @@ class SessionController {
         frames: session.frames || 0,
         kittis: session.kittis || 0,
         gameCost: session.gameCost || 0,
+        pricedSegments: session.getPricedSegments(),
+        totalDiscount: session.totalDiscount || 0,
+        serviceCharge: session.serviceCharge || 0,
+        vatAmount: session.vatAmount || 0,
+        invoiceNumber: session.invoiceNumber || '',
         itemsCount: session.items.length,
         itemsRevenue: session.totalItemsRevenue || 0,
         itemsProfit: session.totalItemsProfit || 0,
@@ -1756,7 +3975,10 @@ class SessionController {
         // Convert to CSV format
         const csvHeader = Object.keys(exportData[0] || {}).join(',');
         const csvRows = exportData.map(row => 
-          Object.values(row).map(value => 
+          Object.values({
+            ...row,
+            pricedSegments: row.pricedSegments.map(formatSegment).join('; ')
+          }).map(value => 
             typeof value === 'string' ? `"${value.replace(/"/g, '""')}"` : value
           ).join(',')
         );
@@ -1796,7 +4018,7 @@ class SessionController {
   }
 
   // @desc    Perform bulk actions on multiple sessions
-  // @access  Private
+  // @access  Private (sessions.cancel)
   async bulkSessionAction(req, res) {
     try {
       const { sessionIds, action } = req.body;
@@ -1824,7 +4046,7 @@ class SessionController {
       // Verify all sessions belong to the user
       const sessions = await Session.find({
         _id: { $in: sessionIds },
-        owner: req.user.id
+        snookerHouse: req.snookerHouse._id
       }).populate('items.product');
 
       if (sessions.length !== sessionIds.length) {
@@ -1840,6 +4062,8 @@ class SessionController {
         case 'cancel':
           for (const session of sessions) {
             if (!['completed', 'cancelled'].includes(session.status)) {
+              const before = snapshot('session', session);
+
               // Restore stock for all items
               for (const item of session.items) {
                 const product = await Product.findById(item.product);
@@ -1850,9 +4074,11 @@ class SessionController {
 
               session.status = 'cancelled';
               session.endTime = new Date();
+              session.cancelledBySession = req.session?.id;
               session.lastModifiedBySession = req.session?.id;
               
               // 🆕 NEW: Reset payment status for cancelled sessions
+              const cancelledPayments = session.payments.slice();
               session.paymentStatus = 'pending';
               session.paymentMethod = null;
               session.paymentMethodLabel = null;
@@ -1860,16 +4086,33 @@ class SessionController {
               session.remainingAmount = 0;
               session.payments = [];
               session.paymentNotes = 'Session cancelled - payment reset';
+              const releasedDiscounts = takeUnreleasedDiscounts(session);
               
               await session.save();
 
+              for (const discount of releasedDiscounts) {
+                await releaseDiscountLine(discount);
+              }
+              await returnStoredValuePayments(session, cancelledPayments, req.session?.id);
+
               // Free up table if needed
               if (session.table) {
                 await Table.findByIdAndUpdate(session.table, {
                   isOccupied: false,
-                  currentBooking: null
+                  currentBooking: null,
+                  currentSession: null
                 });
               }
+
+              if (session.booking) {
+                await Booking.findByIdAndUpdate(session.booking, {
+                  status: 'cancelled',
+                  cancelledAt: new Date(),
+                  cancellationReason: 'Session cancelled',
+                  lastModifiedBySession: req.session?.id
+                });
+              }
+              await recordAuditEvent(req, { entityType: 'session', entity: session, action: 'session.bulk_cancel', before });
               results.push({ sessionId: session._id, success: true });
             } else {
               results.push({ 
@@ -1886,6 +4129,13 @@ class SessionController {
           for (const session of sessions) {
             if (session.status === 'cancelled') {
               await Session.findByIdAndDelete(session._id);
+              await recordAuditEvent(req, {
+                entityType: 'session',
+                entity: session,
+                action: 'session.delete',
+                before: snapshot('session', session),
+                after: null
+              });
               results.push({ sessionId: session._id, success: true });
             } else {
               results.push({ 
@@ -1959,7 +4209,7 @@ class SessionController {
 
   // 🆕 NEW: Get payment summary for dashboard
   // @desc    Get payment summary and statistics
-  // @access  Private
+  // @access  Private (reports.financial)
   async getPaymentSummary(req, res) {
     try {
       const { period = 'today' } = req.query;
@@ -1970,13 +4220,7 @@ class SessionController {
       });
 
       // Find user's snooker house
-      const snookerHouse = await SnookerHouse.findOne({ owner: req.user.id });
-      if (!snookerHouse) {
-        return res.status(404).json({
-          success: false,
-          message: 'No snooker house found'
-        });
-      }
+      const snookerHouse = req.snookerHouse;
 
       // Calculate date range based on period
       let startDate, endDate;
@@ -2036,6 +4280,26 @@ class SessionController {
         }
       ]);
 
+      // Refunds issued in the period (by refund date, not session date)
+      const [refundStats, recentRefunds] = await Promise.all([
+        Session.getRefundStats(snookerHouse._id, startDate, endDate),
+        Session.aggregate([
+          { $match: { snookerHouse: snookerHouse._id, 'refunds.refundedAt': { $gte: startDate, $lte: endDate } } },
+          { $unwind: '$refunds' },
+          { $match: { 'refunds.refundedAt': { $gte: startDate, $lte: endDate } } },
+          { $sort: { 'refunds.refundedAt': -1 } },
+          { $limit: 10 },
+          {
+            $lookup: {
+              from: 'users',
+              localField: 'refunds.issuedBy',
+              foreignField: '_id',
+              as: 'issuer'
+            }
+          }
+        ])
+      ]);
+
       // Format the response
       const summary = {
         period,
@@ -0,0 +1,459 @@
+const mongoose = require('mongoose');
+const Shift = require('../models/Shift');
+const { computeCashSummary, getShiftCollections, closeShift } = require('../services/shiftService');
+const { PAPER_WIDTHS, FORMATS, buildShiftReport, renderReceipt } = require('../services/receiptService');
+const { belongsToHouse, hasPermission } = require('../middleware/permissions');
+
+// Cashiers work with their own shifts; managers can see and close anyone's
+const canAccessShift = (shift, req) => {
+  return shift.staff.toString() === req.user.id || hasPermission(req.staffRole, 'shifts.manage');
+};
+
+// Load a shift for the request, sending the 404/403 response when it can't be used
+const findShiftForRequest = async (req, res) => {
+  const shift = await Shift.findById(req.params.shiftId);
+  if (!shift) {
+    res.status(404).json({
+      success: false,
+      message: 'Shift not found'
+    });
+    return null;
+  }
+
+  if (!belongsToHouse(shift, req) || !canAccessShift(shift, req)) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied. You can only manage your own shifts.'
+    });
+    return null;
+  }
+
+  return shift;
+};
+
+// Stored totals for a closed shift, running totals for an open one
+const getShiftTotals = async (shift) => {
+  if (shift.status === 'closed' && shift.summary) {
+    return { summary: shift.summary.toObject(), collections: await getShiftCollections(shift) };
+  }
+
+  return computeCashSummary(shift);
+};
+
+class ShiftController {
+  // @desc    Open a shift with the drawer's opening float
+  // @access  Private (shifts.run)
+  async openShift(req, res) {
+    try {
+      const { openingFloat, notes } = req.body;
+      const snookerHouse = req.snookerHouse;
+
+      const openShift = await Shift.findOpenShift(snookerHouse._id);
+      if (openShift) {
+        return res.status(400).json({
+          success: false,
+          message: `${openShift.staffName || 'Another staff member'} already has the drawer open. Close that shift first.`,
+          data: { shiftId: openShift._id }
+        });
+      }
+
+      const shift = new Shift({
+        snookerHouse: snookerHouse._id,
+        owner: snookerHouse.owner,
+        staff: req.user.id,
+        staffName: `${req.user.firstName || ''} ${req.user.lastName || ''}`.trim(),
+        staffRole: req.staffRole,
+        openingFloat,
+        openingNotes: notes || '',
+        createdBySession: req.session?.id
+      });
+      await shift.save();
+
+      console.log('✅ Shift opened:', {
+        shiftId: shift._id,
+        staff: shift.staffName,
+        openingFloat
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Shift opened with a float of ${openingFloat}`,
+        data: {
+          shift: shift.toJSON(),
+          createdBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Open shift error:', error);
+
+      // Another shift was opened at the same moment
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'A shift is already open for this snooker house'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error while opening shift',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // @desc    Get the open shift with its running cash totals
+  // @access  Private (shifts.run)
+  async getCurrentShift(req, res) {
+    try {
+      const shift = await Shift.findOpenShift(req.snookerHouse._id);
+      if (!shift) {
+        return res.json({
+          success: true,
+          message: 'No shift is open',
+          data: {
+            shift: null
+          }
+        });
+      }
+
+      const { summary, collections } = await computeCashSummary(shift);
+
+      res.json({
+        success: true,
+        data: {
+          shift: shift.toJSON(),
+          summary,
+          collections,
+          isMine: shift.staff.toString() === req.user.id
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Get current shift error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Get shifts (?status=&staffId=&dateFrom=&dateTo=&limit=&skip=); cashiers see their own
+  // @access  Private (shifts.run)
+  async getShifts(req, res) {
+    try {
+      const { status, staffId, dateFrom, dateTo, limit = 20, skip = 0 } = req.query;
+
+      const query = { snookerHouse: req.snookerHouse._id };
+      if (status) query.status = status;
+
+      if (!hasPermission(req.staffRole, 'shifts.manage')) {
+        query.staff = req.user.id;
+      } else if (staffId) {
+        if (!mongoose.isValidObjectId(staffId)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid staff ID'
+          });
+        }
+        query.staff = staffId;
+      }
+
+      if (dateFrom || dateTo) {
+        query.openedAt = {};
+        if (dateFrom) query.openedAt.$gte = new Date(dateFrom);
+        if (dateTo) query.openedAt.$lte = new Date(dateTo);
+        if (Object.values(query.openedAt).some(date => isNaN(date))) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid date range'
+          });
+        }
+      }
+
+      // Aggregations don't cast string IDs
+      const closedQuery = { ...query, status: 'closed' };
+      if (query.staff) closedQuery.staff = new mongoose.Types.ObjectId(query.staff);
+
+      const [shifts, total, varianceTotals] = await Promise.all([
+        Shift.find(query)
+          .sort({ openedAt: -1 })
+          .limit(parseInt(limit))
+          .skip(parseInt(skip)),
+        Shift.countDocuments(query),
+        Shift.aggregate([
+          { $match: closedQuery },
+          {
+            $group: {
+              _id: null,
+              closedShifts: { $sum: 1 },
+              totalVariance: { $sum: '$variance' },
+              shortShifts: { $sum: { $cond: [{ $lt: ['$variance', 0] }, 1, 0] } },
+              overShifts: { $sum: { $cond: [{ $gt: ['$variance', 0] }, 1, 0] } }
+            }
+          }
+        ])
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          shifts: shifts.map(shift => shift.toJSON()),
+          total,
+          variance: varianceTotals[0]
+            ? {
+              closedShifts: varianceTotals[0].closedShifts,
+              totalVariance: Math.round(varianceTotals[0].totalVariance * 100) / 100,
+              shortShifts: varianceTotals[0].shortShifts,
+              overShifts: varianceTotals[0].overShifts
+            }
+            : { closedShifts: 0, totalVariance: 0, shortShifts: 0, overShifts: 0 }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Get shifts error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Get a shift with its cash totals and collections by payment method
+  // @access  Private (shifts.run)
+  async getShiftById(req, res) {
+    try {
+      const shift = await findShiftForRequest(req, res);
+      if (!shift) return;
+
+      const { summary, collections } = await getShiftTotals(shift);
+
+      res.json({
+        success: true,
+        data: {
+          shift: shift.toJSON(),
+          summary,
+          collections
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Get shift error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid shift ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Record cash put into or taken out of the drawer
+  // @access  Private (shifts.run)
+  async addCashMovement(req, res) {
+    try {
+      const { type, amount, reason } = req.body;
+
+      const shift = await findShiftForRequest(req, res);
+      if (!shift) return;
+
+      if (shift.status !== 'open') {
+        return res.status(400).json({
+          success: false,
+          message: 'Shift is already closed'
+        });
+      }
+
+      if (type === 'out') {
+        const { summary } = await computeCashSummary(shift);
+        if (amount > summary.expectedCash) {
+          return res.status(400).json({
+            success: false,
+            message: `The drawer should only hold ${summary.expectedCash}`
+          });
+        }
+      }
+
+      shift.cashMovements.push({
+        type,
+        amount,
+        reason,
+        recordedBy: req.user.id,
+        recordedBySession: req.session?.id
+      });
+      shift.lastModifiedBySession = req.session?.id;
+      await shift.save();
+
+      console.log('✅ Cash movement recorded:', { shiftId: shift._id, type, amount });
+
+      res.status(201).json({
+        success: true,
+        message: type === 'in' ? `${amount} added to the drawer` : `${amount} taken out of the drawer`,
+        data: {
+          shift: shift.toJSON(),
+          movement: shift.cashMovements[shift.cashMovements.length - 1],
+          createdBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Cash movement error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid shift ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error while recording cash movement',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // @desc    Close a shift with the counted drawer cash and record the variance
+  // @access  Private (shifts.run)
+  async closeShift(req, res) {
+    try {
+      const { countedCash, notes } = req.body;
+
+      const shift = await findShiftForRequest(req, res);
+      if (!shift) return;
+
+      if (shift.status !== 'open') {
+        return res.status(400).json({
+          success: false,
+          message: 'Shift is already closed'
+        });
+      }
+
+      const { summary, collections } = await closeShift(shift, {
+        countedCash,
+        notes,
+        closedBy: req.user.id,
+        closedBySession: req.session?.id
+      });
+      await shift.save();
+
+      console.log('✅ Shift closed:', {
+        shiftId: shift._id,
+        expectedCash: summary.expectedCash,
+        countedCash: shift.countedCash,
+        variance: shift.variance
+      });
+
+      let message = 'Shift closed. The drawer balances.';
+      if (shift.variance < 0) message = `Shift closed. The drawer is short by ${Math.abs(shift.variance)}.`;
+      if (shift.variance > 0) message = `Shift closed. The drawer is over by ${shift.variance}.`;
+
+      res.json({
+        success: true,
+        message,
+        data: {
+          shift: shift.toJSON(),
+          summary,
+          collections,
+          updatedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Close shift error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid shift ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error while closing shift'
+      });
+    }
+  }
+
+  // @desc    Get printable shift report (?format=text|html|escpos|json&paper=58|80)
+  // @access  Private (shifts.run)
+  async getShiftReport(req, res) {
+    try {
+      const { format = 'text', paper = '80' } = req.query;
+
+      if (!FORMATS.includes(format)) {
+        return res.status(400).json({
+          success: false,
+          message: `Format must be one of: ${FORMATS.join(', ')}`
+        });
+      }
+
+      if (!PAPER_WIDTHS[paper]) {
+        return res.status(400).json({
+          success: false,
+          message: 'Paper must be 58 or 80 (mm)'
+        });
+      }
+
+      const shift = await findShiftForRequest(req, res);
+      if (!shift) return;
+
+      const { summary, collections } = await getShiftTotals(shift);
+      const report = buildShiftReport(shift, req.snookerHouse, summary, collections);
+      const rendered = renderReceipt(report, format, Number(paper));
+
+      console.log('🧾 Shift report rendered:', { shiftId: shift._id, format, paper });
+
+      if (!rendered) {
+        return res.json({
+          success: true,
+          data: {
+            report
+          }
+        });
+      }
+
+      if (format === 'escpos') {
+        res.setHeader('Content-Disposition', `attachment; filename="shift-${shift._id}.bin"`);
+      }
+      res.setHeader('Content-Type', rendered.contentType);
+      res.send(rendered.body);
+
+    } catch (error) {
+      console.error('💥 Shift report error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid shift ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error while generating shift report'
+      });
+    }
+  }
+}
+
+module.exports = new ShiftController();
@@ -1,18 +1,26 @@
 const SnookerHouse = require('../models/SnookerHouse');
+const { getAccessibleHouses } = require('../middleware/permissions');
+const { snapshot, recordAuditEvent } = require('../services/auditService');
+const { APPROVAL_ACTIONS } = require('../services/approvalService');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
 class SnookerController {
-  // @desc    Create a new snooker house
+  // @desc    Create a new snooker house (owners can run several branches)
   // @access  Private (logged-in users only)
   async createSnookerHouse(req, res) {
     try {
       const { name, profilePicture, address } = req.body;
 
-      // Check if user already has a snooker house
-      const existingHouse = await SnookerHouse.findOne({ owner: req.user.id });
+      // Branches of one owner need distinct names to tell them apart
+      const existingHouse = await SnookerHouse.findOne({
+        owner: req.user.id,
+        name: new RegExp(`^${escapeRegex(name.trim())}$`, 'i')
+      });
       if (existingHouse) {
         return res.status(400).json({
           success: false,
-          message: 'You already have a snooker house created. You can update your existing one.'
+          message: 'You already have a snooker house with this name'
         });
       }
 
@@ -25,6 +33,12 @@ class SnookerController {
       });
 
       await snookerHouse.save();
+      await recordAuditEvent(req, {
+        entityType: 'snooker_house',
+        entity: snookerHouse,
+        action: 'house.create',
+        snookerHouse
+      });
 
       // Populate owner info for response
       await snookerHouse.populate('owner', 'firstName lastName email');
@@ -52,23 +66,17 @@ class SnookerController {
   }
 
   // @desc    Get user's snooker house
-  // @access  Private
+  // @access  Private (house.view)
   async getMySnookerHouse(req, res) {
     try {
-      const snookerHouse = await SnookerHouse.findOne({ owner: req.user.id })
-        .populate('owner', 'firstName lastName email');
-
-      if (!snookerHouse) {
-        return res.status(404).json({
-          success: false,
-          message: 'No snooker house found. Create one first.'
-        });
-      }
+      const snookerHouse = req.snookerHouse;
+      await snookerHouse.populate('owner', 'firstName lastName email');
 
       res.json({
         success: true,
         data: {
           snookerHouse: snookerHouse.toJSON(),
+          role: req.staffRole,
           accessedBy: {
             sessionId: req.session.id,
             deviceInfo: req.session.deviceInfo
@@ -85,20 +93,40 @@ class SnookerController {
     }
   }
 
+  // @desc    Get every snooker house the user owns or works at, with their role
+  // @access  Private (logged-in users only)
+  async getMySnookerHouses(req, res) {
+    try {
+      const houses = await getAccessibleHouses(req.user.id);
+
+      res.json({
+        success: true,
+        data: {
+          snookerHouses: houses.map(({ snookerHouse, role }) => ({
+            ...snookerHouse.toJSON(),
+            role
+          })),
+          total: houses.length
+        }
+      });
+
+    } catch (error) {
+      console.error('Get my snooker houses error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
   // @desc    Update user's snooker house
-  // @access  Private
+  // @access  Private (house.settings)
   async updateMySnookerHouse(req, res) {
     try {
       const { name, profilePicture, address } = req.body;
 
-      const snookerHouse = await SnookerHouse.findOne({ owner: req.user.id });
-
-      if (!snookerHouse) {
-        return res.status(404).json({
-          success: false,
-          message: 'No snooker house found. Create one first.'
-        });
-      }
+      const snookerHouse = req.snookerHouse;
+      const before = snapshot('snooker_house', snookerHouse);
 
       // Update fields if provided
       if (name) snookerHouse.name = name;
@@ -106,6 +134,7 @@ class SnookerController {
       if (address) snookerHouse.address = address;
 
       await snookerHouse.save();
+      await recordAuditEvent(req, { entityType: 'snooker_house', entity: snookerHouse, action: 'house.update', before });
 
       // Populate owner info for response
       await snookerHouse.populate('owner', 'firstName lastName email');
@@ -132,19 +161,19 @@ class SnookerController {
   }
 
   // @desc    Delete user's snooker house
-  // @access  Private
+  // @access  Private (house.delete)
   async deleteMySnookerHouse(req, res) {
     try {
-      const snookerHouse = await SnookerHouse.findOne({ owner: req.user.id });
-
-      if (!snookerHouse) {
-        return res.status(404).json({
-          success: false,
-          message: 'No snooker house found'
-        });
-      }
+      const snookerHouse = req.snookerHouse;
 
       await SnookerHouse.findByIdAndDelete(snookerHouse._id);
+      await recordAuditEvent(req, {
+        entityType: 'snooker_house',
+        entity: snookerHouse,
+        action: 'house.delete',
+        before: snapshot('snooker_house', snookerHouse),
+        after: null
+      });
 
       res.json({
         success: true,
@@ -166,6 +195,234 @@ class SnookerController {
     }
   }
 
+  // @desc    Get VAT / service charge settings
+  // @access  Private (house.view)
+  async getTaxSettings(req, res) {
+    try {
+      const snookerHouse = req.snookerHouse;
+
+      res.json({
+        success: true,
+        data: {
+          taxSettings: snookerHouse.taxSettings,
+          invoiceCounter: snookerHouse.invoiceCounter
+        }
+      });
+
+    } catch (error) {
+      console.error('Get tax settings error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Update VAT / service charge settings
+  // @access  Private (house.settings)
+  async updateTaxSettings(req, res) {
+    try {
+      const snookerHouse = req.snookerHouse;
+
+      const taxSettings = { ...snookerHouse.taxSettings.toObject(), ...req.body };
+
+      // VAT invoices must carry the registered PAN/VAT number
+      if (taxSettings.vatEnabled && !taxSettings.panNumber) {
+        return res.status(400).json({
+          success: false,
+          message: 'PAN/VAT number is required to charge VAT'
+        });
+      }
+
+      const before = snapshot('snooker_house', snookerHouse);
+      snookerHouse.taxSettings = taxSettings;
+      await snookerHouse.save();
+      await recordAuditEvent(req, { entityType: 'snooker_house', entity: snookerHouse, action: 'house.tax_settings', before });
+
+      res.json({
+        success: true,
+        message: 'Tax settings updated successfully! Changes apply to new sessions and sales.',
+        data: {
+          taxSettings: snookerHouse.taxSettings,
+          updatedBy: {
+            sessionId: req.session.id,
+            deviceInfo: req.session.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Update tax settings error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error during update'
+      });
+    }
+  }
+
+  // @desc    Get loyalty points settings
+  // @access  Private (house.view)
+  async getLoyaltySettings(req, res) {
+    try {
+      const snookerHouse = req.snookerHouse;
+
+      res.json({
+        success: true,
+        data: {
+          loyaltySettings: snookerHouse.loyaltySettings
+        }
+      });
+
+    } catch (error) {
+      console.error('Get loyalty settings error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Update loyalty points settings
+  // @access  Private (house.settings)
+  async updateLoyaltySettings(req, res) {
+    try {
+      const snookerHouse = req.snookerHouse;
+
+      const before = snapshot('snooker_house', snookerHouse);
+      snookerHouse.loyaltySettings = { ...snookerHouse.loyaltySettings.toObject(), ...req.body };
+      await snookerHouse.save();
+      await recordAuditEvent(req, { entityType: 'snooker_house', entity: snookerHouse, action: 'house.loyalty_settings', before });
+
+      res.json({
+        success: true,
+        message: 'Loyalty settings updated successfully! Expiry changes apply to points earned from now on.',
+        data: {
+          loyaltySettings: snookerHouse.loyaltySettings,
+          updatedBy: {
+            sessionId: req.session.id,
+            deviceInfo: req.session.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Update loyalty settings error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error during update'
+      });
+    }
+  }
+
+  // @desc    Get staff payroll settings
+  // @access  Private (house.view)
+  async getPayrollSettings(req, res) {
+    try {
+      const snookerHouse = req.snookerHouse;
+
+      res.json({
+        success: true,
+        data: {
+          payrollSettings: snookerHouse.payrollSettings
+        }
+      });
+
+    } catch (error) {
+      console.error('Get payroll settings error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Update staff payroll settings
+  // @access  Private (house.settings)
+  async updatePayrollSettings(req, res) {
+    try {
+      const snookerHouse = req.snookerHouse;
+
+      const before = snapshot('snooker_house', snookerHouse);
+      snookerHouse.payrollSettings = { ...snookerHouse.payrollSettings.toObject(), ...req.body };
+      await snookerHouse.save();
+      await recordAuditEvent(req, { entityType: 'snooker_house', entity: snookerHouse, action: 'house.payroll_settings', before });
+
+      res.json({
+        success: true,
+        message: 'Payroll settings updated successfully! Changes apply to payroll reports from now on.',
+        data: {
+          payrollSettings: snookerHouse.payrollSettings,
+          updatedBy: {
+            sessionId: req.session.id,
+            deviceInfo: req.session.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Update payroll settings error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error during update'
+      });
+    }
+  }
+
+  // @desc    Get manager approval settings
+  // @access  Private (house.view)
+  async getApprovalSettings(req, res) {
+    try {
+      const snookerHouse = req.snookerHouse;
+
+      res.json({
+        success: true,
+        data: {
+          approvalSettings: snookerHouse.approvalSettings,
+          availableActions: APPROVAL_ACTIONS
+        }
+      });
+
+    } catch (error) {
+      console.error('Get approval settings error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Update manager approval settings
+  // @access  Private (house.settings)
+  async updateApprovalSettings(req, res) {
+    try {
+      const snookerHouse = req.snookerHouse;
+
+      const before = snapshot('snooker_house', snookerHouse);
+      snookerHouse.approvalSettings = { ...snookerHouse.approvalSettings.toObject(), ...req.body };
+      await snookerHouse.save();
+      await recordAuditEvent(req, { entityType: 'snooker_house', entity: snookerHouse, action: 'house.approval_settings', before });
+
+      res.json({
+        success: true,
+        message: 'Approval settings updated successfully!',
+        data: {
+          approvalSettings: snookerHouse.approvalSettings,
+          updatedBy: {
+            sessionId: req.session.id,
+            deviceInfo: req.session.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Update approval settings error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error during update'
+      });
+    }
+  }
+
   // @desc    Get all snooker houses (public)
   // @access  Public
   async getAllSnookerHouses(req, res) {
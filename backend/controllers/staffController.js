@@ -0,0 +1,744 @@
+const StaffMember = require('../models/StaffMember');
+const StaffInvitation = require('../models/StaffInvitation');
+const SnookerHouse = require('../models/SnookerHouse');
+const User = require('../models/User');
+const OTP = require('../models/OTP');
+const emailService = require('../services/emailService');
+const { extractDeviceInfo, generateSessionToken } = require('../middleware/auth');
+const { ROLES, PERMISSIONS, getPermissionsForRole, belongsToHouse } = require('../middleware/permissions');
+
+// How long an invite code stays valid
+const INVITE_EXPIRY_HOURS = 72;
+
+// Reason a user can't join a house's staff (null if they can)
+const getJoinBlocker = async (user, snookerHouse) => {
+  if (user._id.toString() === snookerHouse.owner.toString()) {
+    return 'The owner cannot be added as staff';
+  }
+
+  if (await SnookerHouse.exists({ owner: user._id })) {
+    return 'This user owns a snooker house and cannot be added as staff';
+  }
+
+  // Staff can work across one owner's branches, but not for another owner
+  const ownerBranches = await SnookerHouse.find({ owner: snookerHouse.owner }).distinct('_id');
+  const elsewhere = await StaffMember.findOne({
+    user: user._id,
+    status: { $ne: 'removed' },
+    snookerHouse: { $nin: ownerBranches }
+  });
+  if (elsewhere) {
+    return 'This user already works at another owner\'s snooker house';
+  }
+
+  const existing = await StaffMember.findOne({ snookerHouse: snookerHouse._id, user: user._id, status: { $ne: 'removed' } });
+  if (existing) {
+    return `${user.firstName} is already on your staff`;
+  }
+
+  return null;
+};
+
+// Add a user to a house's staff (re-adding someone who was removed brings back their record)
+const joinHouse = async (user, snookerHouse, role, { addedBy, sessionId }) => {
+  let staffMember = await StaffMember.findOne({ snookerHouse: snookerHouse._id, user: user._id });
+
+  if (staffMember) {
+    staffMember.role = role;
+    staffMember.status = 'active';
+    staffMember.removedAt = null;
+    staffMember.addedBy = addedBy;
+    staffMember.lastModifiedBySession = sessionId;
+  } else {
+    staffMember = new StaffMember({
+      snookerHouse: snookerHouse._id,
+      user: user._id,
+      role,
+      addedBy,
+      createdBySession: sessionId
+    });
+  }
+
+  await staffMember.save();
+  return staffMember;
+};
+
+// Create an invite code and email it (returns whether the email went out)
+const sendInvite = async (invitation, snookerHouse) => {
+  const otpDoc = await OTP.createOTP(invitation.email, 'staff_invite', INVITE_EXPIRY_HOURS * 60, invitation._id);
+  const emailResult = await emailService.sendOTP(invitation.email, otpDoc.otp, 'staff_invite', {
+    expiresIn: `${INVITE_EXPIRY_HOURS} hours`,
+    houseName: snookerHouse.name,
+    role: invitation.role
+  });
+
+  if (!emailResult.success) {
+    console.error('Failed to send staff invite email:', emailResult.error);
+  }
+
+  return emailResult.success;
+};
+
+// Load an invitation for the request, sending the 404/403 response when it can't be used
+const findInvitationForRequest = async (req, res) => {
+  const invitation = await StaffInvitation.findById(req.params.invitationId);
+  if (!invitation) {
+    res.status(404).json({
+      success: false,
+      message: 'Invitation not found'
+    });
+    return null;
+  }
+
+  if (!belongsToHouse(invitation, req)) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied. You can only manage your own staff.'
+    });
+    return null;
+  }
+
+  return invitation;
+};
+
+class StaffController {
+  // @desc    Get the current user's role and permissions in their snooker house
+  // @access  Private (any house member)
+  async getMyAccess(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: {
+          snookerHouse: {
+            _id: req.snookerHouse._id,
+            name: req.snookerHouse.name
+          },
+          role: req.staffRole,
+          permissions: getPermissionsForRole(req.staffRole)
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Get my access error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Get the role permission matrix
+  // @access  Private (house.view)
+  async getRoles(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: {
+          roles: ROLES.map(role => ({
+            role,
+            permissions: getPermissionsForRole(role)
+          })),
+          matrix: PERMISSIONS
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Get roles error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Add a staff member by their account email
+  // @access  Private (staff.manage)
+  async addStaff(req, res) {
+    try {
+      const { email, role } = req.body;
+
+      const user = await User.findByEmail(email);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'No account found for this email. Send them an invitation instead.'
+        });
+      }
+
+      const blocker = await getJoinBlocker(user, req.snookerHouse);
+      if (blocker) {
+        return res.status(400).json({
+          success: false,
+          message: blocker
+        });
+      }
+
+      const staffMember = await joinHouse(user, req.snookerHouse, role, {
+        addedBy: req.user.id,
+        sessionId: req.session?.id
+      });
+      await staffMember.populate('user', 'firstName lastName email lastLogin');
+
+      console.log('✅ Staff member added:', {
+        staffId: staffMember._id,
+        user: user.email,
+        role
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `${user.firstName} added as ${role}`,
+        data: {
+          staffMember,
+          createdBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Add staff error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error while adding staff',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // @desc    Get staff for the snooker house (?includeRemoved=true)
+  // @access  Private (staff.manage)
+  async getStaff(req, res) {
+    try {
+      const staff = await StaffMember.getByHouse(req.snookerHouse._id, {
+        includeRemoved: req.query.includeRemoved === 'true'
+      });
+
+      res.json({
+        success: true,
+        data: {
+          staff,
+          total: staff.length
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Get staff error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Change a staff member's role or pay rates, or suspend / reinstate them
+  // @access  Private (staff.manage)
+  async updateStaff(req, res) {
+    try {
+      const staffMember = await StaffMember.findById(req.params.staffId);
+      if (!staffMember || staffMember.status === 'removed') {
+        return res.status(404).json({
+          success: false,
+          message: 'Staff member not found'
+        });
+      }
+
+      if (!belongsToHouse(staffMember, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only manage your own staff.'
+        });
+      }
+
+      if (req.body.role) staffMember.role = req.body.role;
+      if (req.body.status) staffMember.status = req.body.status;
+      if (req.body.hourlyRate !== undefined) staffMember.hourlyRate = req.body.hourlyRate;
+      if (req.body.overtimeRate !== undefined) staffMember.overtimeRate = req.body.overtimeRate;
+      staffMember.lastModifiedBySession = req.session?.id;
+      await staffMember.save();
+      await staffMember.populate('user', 'firstName lastName email lastLogin');
+
+      console.log('✅ Staff member updated:', {
+        staffId: staffMember._id,
+        role: staffMember.role,
+        status: staffMember.status,
+        hourlyRate: staffMember.hourlyRate
+      });
+
+      res.json({
+        success: true,
+        message: 'Staff member updated successfully!',
+        data: {
+          staffMember,
+          updatedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Update staff error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid staff ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error during update'
+      });
+    }
+  }
+
+  // @desc    Remove a staff member from the snooker house
+  // @access  Private (staff.manage)
+  async removeStaff(req, res) {
+    try {
+      const staffMember = await StaffMember.findById(req.params.staffId);
+      if (!staffMember || staffMember.status === 'removed') {
+        return res.status(404).json({
+          success: false,
+          message: 'Staff member not found'
+        });
+      }
+
+      if (!belongsToHouse(staffMember, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only manage your own staff.'
+        });
+      }
+
+      staffMember.status = 'removed';
+      staffMember.removedAt = new Date();
+      staffMember.lastModifiedBySession = req.session?.id;
+      await staffMember.save();
+
+      console.log('✅ Staff member removed:', staffMember._id);
+
+      res.json({
+        success: true,
+        message: 'Staff member removed',
+        data: {
+          staffMember,
+          deletedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Remove staff error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid staff ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error during removal'
+      });
+    }
+  }
+
+  // @desc    Invite a staff member by email (they accept with the emailed code)
+  // @access  Private (staff.manage)
+  async inviteStaff(req, res) {
+    try {
+      const { email, role } = req.body;
+      const snookerHouse = req.snookerHouse;
+
+      const user = await User.findByEmail(email);
+      if (user) {
+        const blocker = await getJoinBlocker(user, snookerHouse);
+        if (blocker) {
+          return res.status(400).json({
+            success: false,
+            message: blocker
+          });
+        }
+      }
+
+      const existing = await StaffInvitation.findOne({ snookerHouse: snookerHouse._id, email, status: 'pending' });
+      if (existing && !existing.isExpired()) {
+        return res.status(400).json({
+          success: false,
+          message: 'This email already has a pending invitation. Resend it instead.',
+          data: { invitationId: existing._id }
+        });
+      }
+
+      // An expired invitation makes way for the new one
+      if (existing) {
+        existing.status = 'revoked';
+        existing.revokedAt = new Date();
+        existing.lastModifiedBySession = req.session?.id;
+        await existing.save();
+      }
+
+      const invitation = new StaffInvitation({
+        snookerHouse: snookerHouse._id,
+        owner: snookerHouse.owner,
+        email,
+        role,
+        expiresAt: new Date(Date.now() + INVITE_EXPIRY_HOURS * 60 * 60 * 1000),
+        invitedBy: req.user.id,
+        createdBySession: req.session?.id
+      });
+      await invitation.save();
+
+      const emailSent = await sendInvite(invitation, snookerHouse);
+
+      console.log('✅ Staff invited:', {
+        invitationId: invitation._id,
+        email,
+        role,
+        hasAccount: !!user
+      });
+
+      res.status(201).json({
+        success: true,
+        message: emailSent
+          ? `Invitation sent to ${email}`
+          : `Invitation created, but the email to ${email} could not be sent. Try resending it.`,
+        data: {
+          invitation: invitation.toJSON(),
+          emailSent,
+          hasAccount: !!user,
+          createdBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Invite staff error:', error);
+
+      // Invited from another device at the same moment
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'This email already has a pending invitation'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error while inviting staff',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // @desc    Get staff invitations (?status=pending|expired|accepted|revoked|all, default pending)
+  // @access  Private (staff.manage)
+  async getInvitations(req, res) {
+    try {
+      const { status = 'pending' } = req.query;
+      const now = new Date();
+
+      const query = { snookerHouse: req.snookerHouse._id };
+      if (status === 'pending') {
+        query.status = 'pending';
+        query.expiresAt = { $gt: now };
+      } else if (status === 'expired') {
+        query.status = 'pending';
+        query.expiresAt = { $lte: now };
+      } else if (status !== 'all') {
+        query.status = status;
+      }
+
+      const invitations = await StaffInvitation.find(query)
+        .populate('invitedBy', 'firstName lastName')
+        .populate('acceptedBy', 'firstName lastName email')
+        .sort({ createdAt: -1 });
+
+      res.json({
+        success: true,
+        data: {
+          invitations: invitations.map(invitation => invitation.toJSON()),
+          total: invitations.length
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Get invitations error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Resend an invitation with a new code (also renews an expired one)
+  // @access  Private (staff.manage)
+  async resendInvitation(req, res) {
+    try {
+      const invitation = await findInvitationForRequest(req, res);
+      if (!invitation) return;
+
+      if (invitation.status !== 'pending') {
+        return res.status(400).json({
+          success: false,
+          message: `Invitation has already been ${invitation.status}`
+        });
+      }
+
+      const canSend = await OTP.canSendOTP(invitation.email, 'staff_invite', invitation._id);
+      if (!canSend.canSend) {
+        return res.status(429).json({
+          success: false,
+          message: `Please wait ${canSend.waitTime} seconds before resending the invitation`
+        });
+      }
+
+      invitation.expiresAt = new Date(Date.now() + INVITE_EXPIRY_HOURS * 60 * 60 * 1000);
+      invitation.sendCount += 1;
+      invitation.lastSentAt = new Date();
+      invitation.lastModifiedBySession = req.session?.id;
+      await invitation.save();
+
+      const emailSent = await sendInvite(invitation, req.snookerHouse);
+
+      console.log('✅ Staff invitation resent:', {
+        invitationId: invitation._id,
+        email: invitation.email,
+        sendCount: invitation.sendCount
+      });
+
+      res.json({
+        success: true,
+        message: emailSent
+          ? `Invitation resent to ${invitation.email}`
+          : `The email to ${invitation.email} could not be sent. Try again shortly.`,
+        data: {
+          invitation: invitation.toJSON(),
+          emailSent,
+          updatedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Resend invitation error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid invitation ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error while resending invitation'
+      });
+    }
+  }
+
+  // @desc    Revoke a pending invitation
+  // @access  Private (staff.manage)
+  async revokeInvitation(req, res) {
+    try {
+      const invitation = await findInvitationForRequest(req, res);
+      if (!invitation) return;
+
+      if (invitation.status !== 'pending') {
+        return res.status(400).json({
+          success: false,
+          message: `Invitation has already been ${invitation.status}`
+        });
+      }
+
+      invitation.status = 'revoked';
+      invitation.revokedBy = req.user.id;
+      invitation.revokedAt = new Date();
+      invitation.lastModifiedBySession = req.session?.id;
+      await invitation.save();
+
+      // Other houses' invites to the same email keep their own codes
+      await OTP.deleteMany({ email: invitation.email, purpose: 'staff_invite', invitation: invitation._id });
+
+      console.log('✅ Staff invitation revoked:', {
+        invitationId: invitation._id,
+        email: invitation.email
+      });
+
+      res.json({
+        success: true,
+        message: `Invitation for ${invitation.email} revoked`,
+        data: {
+          invitation: invitation.toJSON(),
+          updatedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Revoke invitation error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid invitation ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error while revoking invitation'
+      });
+    }
+  }
+
+  // @desc    Accept an invitation with the emailed code, creating the account if needed, and log in
+  // @access  Public
+  async acceptInvitation(req, res) {
+    try {
+      const { otp, firstName, lastName, password, rememberMe = false } = req.body;
+      const email = req.body.email.toLowerCase();
+
+      // Each code belongs to the invitation it was sent for
+      const code = await OTP.findOne({
+        email,
+        otp,
+        purpose: 'staff_invite',
+        isUsed: false,
+        expiresAt: { $gt: new Date() }
+      });
+      if (!code) {
+        // A wrong code counts against every open invite code for the email
+        const openCodes = await OTP.find({ email, purpose: 'staff_invite', isUsed: false });
+        for (const openCode of openCodes) {
+          await openCode.incrementAttempts();
+        }
+
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired OTP'
+        });
+      }
+
+      const invitation = await StaffInvitation.findPending(code.invitation);
+      if (!invitation || !invitation.snookerHouse || invitation.email !== email) {
+        return res.status(404).json({
+          success: false,
+          message: 'No pending invitation found for this email'
+        });
+      }
+
+      let user = await User.findByEmail(email);
+
+      // Check everything else before the code is used up
+      if (!user && (!firstName || !lastName || !password)) {
+        return res.status(400).json({
+          success: false,
+          message: 'First name, last name and password are required to create your account',
+          requiresAccount: true
+        });
+      }
+
+      if (user) {
+        if (user.isLocked()) {
+          return res.status(423).json({
+            success: false,
+            message: 'Account is temporarily locked. Please try again later.'
+          });
+        }
+
+        const blocker = await getJoinBlocker(user, invitation.snookerHouse);
+        if (blocker) {
+          return res.status(400).json({
+            success: false,
+            message: blocker
+          });
+        }
+      }
+
+      const otpResult = await OTP.verifyOTP(email, otp, 'staff_invite', invitation._id);
+      if (!otpResult.success) {
+        return res.status(400).json({
+          success: false,
+          message: otpResult.message
+        });
+      }
+
+      // The code proves the invitee owns the email
+      if (!user) {
+        user = new User({
+          firstName,
+          lastName,
+          email,
+          password,
+          isEmailVerified: true
+        });
+        await user.save();
+      } else if (!user.isEmailVerified) {
+        user.isEmailVerified = true;
+        await user.save();
+      }
+
+      const staffMember = await joinHouse(user, invitation.snookerHouse, invitation.role, {
+        addedBy: invitation.invitedBy,
+        sessionId: null
+      });
+
+      invitation.status = 'accepted';
+      invitation.acceptedBy = user._id;
+      invitation.acceptedAt = new Date();
+      invitation.staffMember = staffMember._id;
+      await invitation.save();
+
+      await user.updateLastLogin();
+      const deviceInfo = extractDeviceInfo(req);
+      const { token, sessionId } = await generateSessionToken(user._id, deviceInfo, rememberMe);
+
+      console.log('✅ Staff invitation accepted:', {
+        invitationId: invitation._id,
+        user: user.email,
+        snookerHouse: invitation.snookerHouse.name,
+        role: invitation.role
+      });
+
+      res.json({
+        success: true,
+        message: `Welcome to ${invitation.snookerHouse.name}! You have joined as ${invitation.role}.`,
+        data: {
+          token,
+          sessionId,
+          user: user.toJSON(),
+          snookerHouse: {
+            id: invitation.snookerHouse._id,
+            name: invitation.snookerHouse.name
+          },
+          role: invitation.role,
+          staffMember,
+          sessionCreated: true
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Accept invitation error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error while accepting invitation'
+      });
+    }
+  }
+}
+
+module.exports = new StaffController();
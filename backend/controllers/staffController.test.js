@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const StaffMember = require('../models/StaffMember');
+const StaffInvitation = require('../models/StaffInvitation');
+const SnookerHouse = require('../models/SnookerHouse');
+const User = require('../models/User');
+const OTP = require('../models/OTP');
+
+jest.mock('../middleware/auth', () => ({
+  extractDeviceInfo: jest.fn(() => ({})),
+  generateSessionToken: jest.fn(async () => ({ token: 'token', sessionId: 'login-1' }))
+}));
+
+const staffController = require('./staffController');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('acceptInvitation', () => {
+  const email = 'bikram@example.com';
+  let invitation;
+  let user;
+
+  const accept = async (body = {}) => {
+    const res = mockResponse();
+    await staffController.acceptInvitation({ body: { email, otp: '123456', ...body }, headers: {} }, res);
+    return res;
+  };
+
+  beforeEach(() => {
+    invitation = {
+      _id: new mongoose.Types.ObjectId(),
+      email,
+      role: 'cashier',
+      invitedBy: new mongoose.Types.ObjectId(),
+      snookerHouse: { _id: new mongoose.Types.ObjectId(), owner: new mongoose.Types.ObjectId(), name: 'Cue Corner' },
+      save: jest.fn().mockResolvedValue()
+    };
+    user = {
+      _id: new mongoose.Types.ObjectId(),
+      firstName: 'Bikram',
+      email,
+      isEmailVerified: true,
+      isLocked: () => false,
+      updateLastLogin: jest.fn().mockResolvedValue(),
+      toJSON: () => ({ email })
+    };
+
+    jest.spyOn(OTP, 'findOne').mockResolvedValue({ invitation: invitation._id });
+    jest.spyOn(StaffInvitation, 'findPending').mockResolvedValue(invitation);
+    jest.spyOn(User, 'findByEmail').mockResolvedValue(user);
+    jest.spyOn(OTP, 'verifyOTP').mockResolvedValue({ success: true });
+    jest.spyOn(SnookerHouse, 'exists').mockResolvedValue(null);
+    jest.spyOn(SnookerHouse, 'find').mockReturnValue({ distinct: () => Promise.resolve([invitation.snookerHouse._id]) });
+    jest.spyOn(StaffMember, 'findOne').mockResolvedValue(null);
+    jest.spyOn(StaffMember.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('adds an existing user to the staff with the invited role', async () => {
+    const res = await accept();
+
+    expect(OTP.verifyOTP).toHaveBeenCalledWith(email, '123456', 'staff_invite', invitation._id);
+    expect(invitation).toMatchObject({ status: 'accepted', acceptedBy: user._id });
+    expect(res.json.mock.calls[0][0]).toMatchObject({ success: true, data: { role: 'cashier', token: 'token' } });
+    expect(res.json.mock.calls[0][0].data.staffMember).toMatchObject({ user: user._id, role: 'cashier' });
+  });
+
+  it('counts a wrong code against every open invite code for the email', async () => {
+    const openCodes = [{ incrementAttempts: jest.fn() }, { incrementAttempts: jest.fn() }];
+    OTP.findOne.mockResolvedValue(null);
+    jest.spyOn(OTP, 'find').mockResolvedValue(openCodes);
+
+    const res = await accept();
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    openCodes.forEach(code => expect(code.incrementAttempts).toHaveBeenCalled());
+  });
+
+  it('keeps the code usable when a new invitee has not given their account details', async () => {
+    User.findByEmail.mockResolvedValue(null);
+
+    const res = await accept({ firstName: 'Bikram' });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].requiresAccount).toBe(true);
+    expect(OTP.verifyOTP).not.toHaveBeenCalled();
+  });
+
+  it('keeps the code usable when the user already works for another owner', async () => {
+    StaffMember.findOne.mockResolvedValueOnce({ _id: new mongoose.Types.ObjectId() });
+
+    const res = await accept();
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].message).toBe('This user already works at another owner\'s snooker house');
+    expect(OTP.verifyOTP).not.toHaveBeenCalled();
+    expect(invitation.save).not.toHaveBeenCalled();
+  });
+
+  it('refuses a code sent to a different email', async () => {
+    invitation.email = 'someone.else@example.com';
+
+    const res = await accept();
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(OTP.verifyOTP).not.toHaveBeenCalled();
+  });
+});
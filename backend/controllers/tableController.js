@@ -1,21 +1,16 @@
 const Table = require('../models/Table');
-const SnookerHouse = require('../models/SnookerHouse');
+const { belongsToHouse } = require('../middleware/permissions');
+const { snapshot, recordAuditEvent } = require('../services/auditService');
 
 class TableController {
   // @desc    Create a new table
-  // @access  Private (snooker house owner only)
+  // @access  Private (tables.manage)
   async createTable(req, res) {
     try {
-      const { tableNumber, name, pricingMethod, hourlyRate, frameRate, kittiRate, description } = req.body;
+      const { tableNumber, name, tableType, pricingMethod, hourlyRate, frameRate, kittiRate, pricingRules, description } = req.body;
 
       // Find user's snooker house
-      const snookerHouse = await SnookerHouse.findOne({ owner: req.user.id });
-      if (!snookerHouse) {
-        return res.status(404).json({
-          success: false,
-          message: 'You need to create a snooker house first before adding tables'
-        });
-      }
+      const snookerHouse = req.snookerHouse;
 
       // If table number not provided, get next available
       let finalTableNumber = tableNumber;
@@ -40,15 +35,17 @@ class TableController {
       const tableData = {
         tableNumber: finalTableNumber,
         name,
+        tableType: tableType || 'snooker',
         pricingMethod,
         description: description || '',
         snookerHouse: snookerHouse._id,
-        owner: req.user.id
+        owner: req.snookerHouse.owner
       };
 
       // Add pricing rates based on method
       if (pricingMethod === 'per_minute') {
         tableData.hourlyRate = hourlyRate;
+        tableData.pricingRules = pricingRules || [];
       } else if (pricingMethod === 'frame_kitti') {
         tableData.frameRate = frameRate;
         tableData.kittiRate = kittiRate;
@@ -57,6 +54,7 @@ class TableController {
       // Create new table
       const table = new Table(tableData);
       await table.save();
+      await recordAuditEvent(req, { entityType: 'table', entity: table, action: 'table.create' });
 
       // Populate references for response
       await table.populate('snookerHouse', 'name address');
@@ -84,17 +82,11 @@ class TableController {
   }
 
   // @desc    Get all tables for user's snooker house
-  // @access  Private
+  // @access  Private (tables.view)
   async getMyTables(req, res) {
     try {
       // Find user's snooker house
-      const snookerHouse = await SnookerHouse.findOne({ owner: req.user.id });
-      if (!snookerHouse) {
-        return res.status(404).json({
-          success: false,
-          message: 'No snooker house found. Create one first.'
-        });
-      }
+      const snookerHouse = req.snookerHouse;
 
       // Get all tables for this snooker house
       const tables = await Table.findBySnookerHouse(snookerHouse._id);
@@ -125,7 +117,7 @@ class TableController {
   }
 
   // @desc    Get single table by ID
-  // @access  Private (owner only)
+  // @access  Private (tables.view)
   async getTableById(req, res) {
     try {
       const table = await Table.findById(req.params.id)
@@ -140,7 +132,7 @@ class TableController {
       }
 
       // Check if user owns this table
-      if (table.owner._id.toString() !== req.user.id) {
+      if (!belongsToHouse(table, req)) {
         return res.status(403).json({
           success: false,
           message: 'Access denied. You can only view your own tables.'
@@ -176,10 +168,10 @@ class TableController {
   }
 
   // @desc    Update table
-  // @access  Private (owner only)
+  // @access  Private (tables.manage)
   async updateTable(req, res) {
     try {
-      const { name, pricingMethod, hourlyRate, frameRate, kittiRate, status, description } = req.body;
+      const { name, tableType, pricingMethod, hourlyRate, frameRate, kittiRate, pricingRules, status, description } = req.body;
 
       const table = await Table.findById(req.params.id);
 
@@ -191,15 +183,18 @@ class TableController {
       }
 
       // Check if user owns this table
-      if (table.owner.toString() !== req.user.id) {
+      if (!belongsToHouse(table, req)) {
         return res.status(403).json({
           success: false,
           message: 'Access denied. You can only update your own tables.'
         });
       }
 
+      const before = snapshot('table', table);
+
       // Update basic fields if provided
       if (name) table.name = name;
+      if (tableType) table.tableType = tableType;
       if (status) table.status = status;
       if (description !== undefined) table.description = description;
 
@@ -215,8 +210,9 @@ class TableController {
         } else if (pricingMethod === 'frame_kitti') {
           if (frameRate !== undefined) table.frameRate = frameRate;
           if (kittiRate !== undefined) table.kittiRate = kittiRate;
-          // Clear hourly rate
+          // Clear hourly rate and time-of-day rules
           table.hourlyRate = undefined;
+          table.pricingRules = [];
         }
       } else {
         // Update rates for existing pricing method
@@ -228,7 +224,19 @@ class TableController {
         }
       }
 
+      // Time-of-day rules only apply to per_minute tables
+      if (pricingRules !== undefined) {
+        if (table.pricingMethod !== 'per_minute') {
+          return res.status(400).json({
+            success: false,
+            message: 'Pricing rules can only be set on per-minute tables'
+          });
+        }
+        table.pricingRules = pricingRules;
+      }
+
       await table.save();
+      await recordAuditEvent(req, { entityType: 'table', entity: table, action: 'table.update', before });
 
       // Populate references for response
       await table.populate('snookerHouse', 'name address');
@@ -255,7 +263,7 @@ class TableController {
   }
 
   // @desc    Delete table
-  // @access  Private (owner only)
+  // @access  Private (tables.delete)
   async deleteTable(req, res) {
     try {
       const table = await Table.findById(req.params.id);
@@ -268,7 +276,7 @@ class TableController {
       }
 
       // Check if user owns this table
-      if (table.owner.toString() !== req.user.id) {
+      if (!belongsToHouse(table, req)) {
         return res.status(403).json({
           success: false,
           message: 'Access denied. You can only delete your own tables.'
@@ -284,6 +292,13 @@ class TableController {
       }
 
       await Table.findByIdAndDelete(table._id);
+      await recordAuditEvent(req, {
+        entityType: 'table',
+        entity: table,
+        action: 'table.delete',
+        before: snapshot('table', table),
+        after: null
+      });
 
       res.json({
         success: true,
@@ -356,17 +371,11 @@ class TableController {
   }
 
   // @desc    Get table statistics for user's snooker house
-  // @access  Private
+  // @access  Private (reports.operations)
   async getMyTableStats(req, res) {
     try {
       // Find user's snooker house
-      const snookerHouse = await SnookerHouse.findOne({ owner: req.user.id });
-      if (!snookerHouse) {
-        return res.status(404).json({
-          success: false,
-          message: 'No snooker house found'
-        });
-      }
+      const snookerHouse = req.snookerHouse;
 
       // Get table statistics
       const totalTables = await Table.countDocuments({ snookerHouse: snookerHouse._id });
@@ -0,0 +1,450 @@
+const mongoose = require('mongoose');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Table = require('../models/Table');
+const Customer = require('../models/Customer');
+const { estimateWaits, notifyEntry, summarizeEntries } = require('../services/waitlistService');
+const { belongsToHouse } = require('../middleware/permissions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class WaitlistController {
+  // @desc    Add a walk-in party to the waitlist
+  // @access  Private (waitlist.manage)
+  async addToWaitlist(req, res) {
+    try {
+      const { customerId, customerName, customerPhone, partySize, preferredTableType, holdMinutes, notes } = req.body;
+
+      const snookerHouse = req.snookerHouse;
+
+      let customer = null;
+      if (customerId) {
+        customer = mongoose.isValidObjectId(customerId)
+          ? await Customer.findOne({ _id: customerId, snookerHouse: snookerHouse._id })
+          : null;
+        if (!customer) {
+          return res.status(404).json({
+            success: false,
+            message: 'Customer not found'
+          });
+        }
+      }
+
+      const phone = customerPhone || customer?.phone || '';
+      if (phone) {
+        const alreadyQueued = await WaitlistEntry.findOne({
+          snookerHouse: snookerHouse._id,
+          customerPhone: phone,
+          status: { $in: ['waiting', 'notified'] }
+        });
+        if (alreadyQueued) {
+          return res.status(400).json({
+            success: false,
+            message: `${alreadyQueued.customerName} is already on the waitlist`
+          });
+        }
+      }
+
+      const entry = new WaitlistEntry({
+        snookerHouse: snookerHouse._id,
+        owner: req.snookerHouse.owner,
+        customer: customer?._id || null,
+        customerName: customerName || customer.name,
+        customerPhone: phone,
+        partySize,
+        preferredTableType: preferredTableType || null,
+        holdMinutes,
+        notes: notes || '',
+        createdBySession: req.session?.id
+      });
+
+      // Quote the wait with the new party at the back of the queue
+      const queue = await WaitlistEntry.getQueue(snookerHouse._id);
+      const { estimates } = await estimateWaits(snookerHouse._id, [...queue, entry]);
+      entry.quotedWaitMinutes = estimates.get(entry._id.toString());
+      await entry.save();
+
+      console.log('✅ Added to waitlist:', {
+        entryId: entry._id,
+        customer: entry.customerName,
+        position: queue.length + 1,
+        quotedWaitMinutes: entry.quotedWaitMinutes
+      });
+
+      res.status(201).json({
+        success: true,
+        message: entry.quotedWaitMinutes === null
+          ? `${entry.customerName} added to the waitlist (no suitable tables are active)`
+          : `${entry.customerName} added to the waitlist (about ${entry.quotedWaitMinutes} min)`,
+        data: {
+          entry: entry.toJSON(),
+          position: queue.length + 1,
+          createdBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Add to waitlist error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error while adding to waitlist',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // @desc    Get the current waitlist with estimated wait times
+  // @access  Private (waitlist.manage)
+  async getWaitlist(req, res) {
+    try {
+      const snookerHouse = req.snookerHouse;
+
+      const queue = await WaitlistEntry.getQueue(snookerHouse._id);
+      const { estimates, freeTables, typicalSessionMinutes } = await estimateWaits(snookerHouse._id, queue);
+
+      res.json({
+        success: true,
+        data: {
+          entries: queue.map((entry, index) => ({
+            ...entry.toJSON(),
+            position: index + 1,
+            estimatedWaitMinutes: estimates.get(entry._id.toString())
+          })),
+          total: queue.length,
+          freeTables,
+          typicalSessionMinutes
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Get waitlist error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Update a waitlist entry (party size, table type, contact details)
+  // @access  Private (waitlist.manage)
+  async updateEntry(req, res) {
+    try {
+      const entry = await WaitlistEntry.findById(req.params.entryId);
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: 'Waitlist entry not found'
+        });
+      }
+
+      if (!belongsToHouse(entry, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only update your own waitlist.'
+        });
+      }
+
+      if (!entry.isQueued()) {
+        return res.status(400).json({
+          success: false,
+          message: `Waitlist entry is already ${entry.status}`
+        });
+      }
+
+      Object.keys(req.body).forEach(key => {
+        entry[key] = req.body[key];
+      });
+      entry.lastModifiedBySession = req.session?.id;
+      await entry.save();
+
+      console.log('✅ Waitlist entry updated:', entry._id);
+
+      res.json({
+        success: true,
+        message: 'Waitlist entry updated successfully!',
+        data: {
+          entry: entry.toJSON(),
+          updatedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Update waitlist entry error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid waitlist entry ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error during update'
+      });
+    }
+  }
+
+  // @desc    Tell a party their table is ready
+  // @access  Private (waitlist.manage)
+  async notifyEntry(req, res) {
+    try {
+      const entry = await WaitlistEntry.findById(req.params.entryId);
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: 'Waitlist entry not found'
+        });
+      }
+
+      if (!belongsToHouse(entry, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only manage your own waitlist.'
+        });
+      }
+
+      if (!entry.isQueued()) {
+        return res.status(400).json({
+          success: false,
+          message: `Waitlist entry is already ${entry.status}`
+        });
+      }
+
+      let table;
+      if (req.body.tableId) {
+        table = await Table.findById(req.body.tableId);
+        if (!table || table.snookerHouse.toString() !== entry.snookerHouse.toString()) {
+          return res.status(404).json({
+            success: false,
+            message: 'Table not found'
+          });
+        }
+      } else {
+        const freeTables = await Table.find({
+          snookerHouse: entry.snookerHouse,
+          status: 'active',
+          isOccupied: false
+        }).sort({ tableNumber: 1 });
+        table = freeTables.find(candidate => entry.acceptsTable(candidate));
+      }
+
+      if (!table || !table.isAvailable()) {
+        return res.status(400).json({
+          success: false,
+          message: 'No free table to offer this party'
+        });
+      }
+
+      const { messageSent } = await notifyEntry(entry, table, {
+        createdBySession: req.session?.id,
+        snookerHouseName: req.snookerHouse.name
+      });
+
+      console.log('✅ Waitlist party notified:', { entryId: entry._id, table: table.name, messageSent });
+
+      res.json({
+        success: true,
+        message: messageSent
+          ? `${entry.customerName} has been told ${table.name} is ready`
+          : `${entry.customerName} marked as notified for ${table.name} (no message sent)`,
+        data: {
+          entry: entry.toJSON(),
+          messageSent,
+          updatedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Notify waitlist entry error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid waitlist entry or table ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error while notifying party'
+      });
+    }
+  }
+
+  // @desc    Mark a party as gone without being seated
+  // @access  Private (waitlist.manage)
+  async abandonEntry(req, res) {
+    try {
+      const entry = await WaitlistEntry.findById(req.params.entryId);
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: 'Waitlist entry not found'
+        });
+      }
+
+      if (!belongsToHouse(entry, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only manage your own waitlist.'
+        });
+      }
+
+      if (!entry.isQueued()) {
+        return res.status(400).json({
+          success: false,
+          message: `Waitlist entry is already ${entry.status}`
+        });
+      }
+
+      entry.status = 'abandoned';
+      entry.abandonReason = req.body.reason;
+      entry.abandonedAt = new Date();
+      entry.lastModifiedBySession = req.session?.id;
+      await entry.save();
+
+      console.log('✅ Waitlist entry abandoned:', {
+        entryId: entry._id,
+        reason: entry.abandonReason,
+        waitedMinutes: entry.getWaitedMinutes()
+      });
+
+      res.json({
+        success: true,
+        message: `${entry.customerName} removed from the waitlist after ${entry.getWaitedMinutes()} min`,
+        data: {
+          entry: entry.toJSON(),
+          updatedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Abandon waitlist entry error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid waitlist entry ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Cancel a waitlist entry added by mistake (not counted as abandonment)
+  // @access  Private (waitlist.manage)
+  async cancelEntry(req, res) {
+    try {
+      const entry = await WaitlistEntry.findById(req.params.entryId);
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: 'Waitlist entry not found'
+        });
+      }
+
+      if (!belongsToHouse(entry, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only manage your own waitlist.'
+        });
+      }
+
+      if (!entry.isQueued()) {
+        return res.status(400).json({
+          success: false,
+          message: `Waitlist entry is already ${entry.status}`
+        });
+      }
+
+      entry.status = 'cancelled';
+      entry.cancelledAt = new Date();
+      entry.lastModifiedBySession = req.session?.id;
+      await entry.save();
+
+      console.log('✅ Waitlist entry cancelled:', entry._id);
+
+      res.json({
+        success: true,
+        message: 'Waitlist entry cancelled',
+        data: {
+          entry: entry.toJSON(),
+          updatedBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Cancel waitlist entry error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid waitlist entry ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Waitlist abandonment analytics (?dateFrom=&dateTo=, default last 30 days)
+  // @access  Private (reports.operations)
+  async getWaitlistAnalytics(req, res) {
+    try {
+      const snookerHouse = req.snookerHouse;
+
+      const dateTo = req.query.dateTo ? new Date(req.query.dateTo) : new Date();
+      const dateFrom = req.query.dateFrom ? new Date(req.query.dateFrom) : new Date(dateTo.getTime() - 30 * DAY_MS);
+      if (isNaN(dateFrom) || isNaN(dateTo) || dateFrom > dateTo) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid date range'
+        });
+      }
+
+      const entries = await WaitlistEntry.find({
+        snookerHouse: snookerHouse._id,
+        createdAt: { $gte: dateFrom, $lte: dateTo }
+      });
+
+      res.json({
+        success: true,
+        data: {
+          dateRange: { start: dateFrom, end: dateTo },
+          summary: summarizeEntries(entries)
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Waitlist analytics error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error while generating waitlist analytics'
+      });
+    }
+  }
+}
+
+module.exports = new WaitlistController();
@@ -0,0 +1,253 @@
+const Customer = require('../models/Customer');
+const WalletTransaction = require('../models/WalletTransaction');
+const { belongsToHouse } = require('../middleware/permissions');
+
+const PAYMENT_METHOD_LABELS = {
+  esewa: 'eSewa',
+  online_banking: 'Online Banking',
+  cash: 'Cash'
+};
+
+class WalletController {
+  // @desc    Get customer's wallet balance and transaction history
+  // @access  Private (customers.view)
+  async getWallet(req, res) {
+    try {
+      const { type, limit = 50, skip = 0 } = req.query;
+
+      const customer = await Customer.findById(req.params.customerId);
+      if (!customer) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer not found'
+        });
+      }
+
+      if (!belongsToHouse(customer, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only view your own customers.'
+        });
+      }
+
+      const query = { customer: customer._id };
+      if (type) {
+        query.type = type;
+      }
+
+      const [transactions, total] = await Promise.all([
+        WalletTransaction.find(query)
+          .populate('session', 'startTime endTime totalCost')
+          .sort({ transactionDate: -1, _id: -1 })
+          .limit(parseInt(limit))
+          .skip(parseInt(skip)),
+        WalletTransaction.countDocuments(query)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          customer: {
+            _id: customer._id,
+            name: customer.name,
+            phone: customer.phone
+          },
+          balance: customer.walletBalance,
+          totalToppedUp: customer.totalToppedUp,
+          transactions,
+          total
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Get wallet error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid customer ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+
+  // @desc    Top up a customer's wallet
+  // @access  Private (wallet.topup)
+  async topUp(req, res) {
+    try {
+      const { amount, paymentMethod, transactionId, notes } = req.body;
+
+      const customer = await Customer.findById(req.params.customerId);
+      if (!customer) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer not found'
+        });
+      }
+
+      if (!belongsToHouse(customer, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only top up your own customers\' wallets.'
+        });
+      }
+
+      const { transaction, customer: updatedCustomer } = await WalletTransaction.post(customer.snookerHouse, customer._id, {
+        type: 'topup',
+        amount,
+        method: paymentMethod,
+        methodLabel: PAYMENT_METHOD_LABELS[paymentMethod],
+        transactionId,
+        description: notes || 'Wallet top-up',
+        createdBySession: req.session?.id
+      });
+
+      console.log('✅ Wallet topped up:', {
+        customerId: customer._id,
+        amount,
+        balance: updatedCustomer.walletBalance
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `NPR ${amount} added to ${customer.name}'s wallet`,
+        data: {
+          transaction,
+          balance: updatedCustomer.walletBalance,
+          createdBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Wallet top-up error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid customer ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error during wallet top-up',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // @desc    Correct a customer's wallet balance (positive adds, negative removes)
+  // @access  Private (wallet.adjust)
+  async adjustBalance(req, res) {
+    try {
+      const { amount, reason } = req.body;
+
+      const customer = await Customer.findById(req.params.customerId);
+      if (!customer) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer not found'
+        });
+      }
+
+      if (!belongsToHouse(customer, req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only adjust your own customers\' wallets.'
+        });
+      }
+
+      const result = await WalletTransaction.post(customer.snookerHouse, customer._id, {
+        type: 'adjust',
+        amount,
+        description: reason,
+        createdBySession: req.session?.id
+      });
+      if (!result) {
+        return res.status(400).json({
+          success: false,
+          message: `Adjustment would take the wallet below zero (balance NPR ${customer.walletBalance})`
+        });
+      }
+
+      console.log('✅ Wallet adjusted:', {
+        customerId: customer._id,
+        amount,
+        balance: result.customer.walletBalance
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Wallet balance adjusted successfully!',
+        data: {
+          transaction: result.transaction,
+          balance: result.customer.walletBalance,
+          createdBy: {
+            sessionId: req.session?.id,
+            deviceInfo: req.session?.deviceInfo
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Wallet adjustment error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid customer ID'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error during wallet adjustment',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // @desc    Get total prepaid balance held for the house's customers
+  // @access  Private (reports.financial)
+  async getWalletSummary(req, res) {
+    try {
+      const snookerHouse = req.snookerHouse;
+
+      const [totals] = await Customer.aggregate([
+        { $match: { snookerHouse: snookerHouse._id, walletBalance: { $gt: 0 } } },
+        {
+          $group: {
+            _id: null,
+            outstandingBalance: { $sum: '$walletBalance' },
+            walletsWithBalance: { $sum: 1 }
+          }
+        }
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          outstandingBalance: Math.round((totals?.outstandingBalance || 0) * 100) / 100,
+          walletsWithBalance: totals?.walletsWithBalance || 0
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 Get wallet summary error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+}
+
+module.exports = new WalletController();
@@ -132,6 +132,62 @@ const dashboardQuerySchema = Joi.object({
     })
 });
 
+// Sales register (VAT book) query validation
+const salesRegisterQuerySchema = Joi.object({
+  startDate: Joi.date()
+    .iso()
+    .required()
+    .messages({
+      'date.base': 'Start date must be a valid date',
+      'any.required': 'Start date is required'
+    }),
+  
+  endDate: Joi.date()
+    .iso()
+    .min(Joi.ref('startDate'))
+    .required()
+    .messages({
+      'date.base': 'End date must be a valid date',
+      'date.min': 'End date must be after start date',
+      'any.required': 'End date is required'
+    }),
+  
+  type: Joi.string()
+    .valid('all', 'sessions', 'sales')
+    .optional()
+    .default('all')
+    .messages({
+      'any.only': 'Type must be one of: all, sessions, sales'
+    }),
+  
+  format: Joi.string()
+    .valid('json', 'csv')
+    .optional()
+    .default('json')
+    .messages({
+      'any.only': 'Format must be json or csv'
+    })
+});
+
+// Loyalty points analytics query validation (defaults to the last 30 days)
+const loyaltyQuerySchema = Joi.object({
+  startDate: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.base': 'Start date must be a valid date'
+    }),
+  
+  endDate: Joi.date()
+    .iso()
+    .min(Joi.ref('startDate'))
+    .optional()
+    .messages({
+      'date.base': 'End date must be a valid date',
+      'date.min': 'End date must be after start date'
+    })
+});
+
 // ===========================================
 // VALIDATION MIDDLEWARE FUNCTION
 // ===========================================
@@ -173,11 +229,15 @@ module.exports = {
   validateFinancialReportQuery: validateQuery(financialReportQuerySchema),
   validateCustomerAnalyticsQuery: validateQuery(customerAnalyticsQuerySchema),
   validateDashboardQuery: validateQuery(dashboardQuerySchema),
+  validateSalesRegisterQuery: validateQuery(salesRegisterQuerySchema),
+  validateLoyaltyQuery: validateQuery(loyaltyQuerySchema),
   
   // Export schemas for testing
   schemas: {
     financialReportQuerySchema,
     customerAnalyticsQuerySchema,
-    dashboardQuerySchema
+    dashboardQuerySchema,
+    salesRegisterQuerySchema,
+    loyaltyQuerySchema
   }
 };
\ No newline at end of file
@@ -0,0 +1,117 @@
+const Session = require('../models/Session');
+const { houseAccess, hasPermission } = require('./permissions');
+const {
+  APPROVAL_TOKEN_HEADER,
+  isApprovalRequired,
+  consumeApprovalToken,
+  releaseApprovalToken
+} = require('../services/approvalService');
+
+// ===========================================
+// APPROVAL MIDDLEWARE
+// ===========================================
+
+// Middleware factory for a sensitive action (use in place of requirePermission)
+// action: action name, or (req) => action name / null when the request isn't sensitive
+// options.permission: permission needed when no approval is involved
+// options.target: (req) => ID of the record the approval must be for
+const requireApproval = (action, { permission, target } = {}) => {
+  return (req, res, next) => {
+    houseAccess(req, res, async () => {
+      try {
+        const permitted = !permission || hasPermission(req.staffRole, permission);
+
+        // Managers and owners act on their own authority
+        if (hasPermission(req.staffRole, 'approvals.grant') && permitted) {
+          return next();
+        }
+
+        const actionName = typeof action === 'function' ? await action(req) : action;
+
+        if (!actionName || !isApprovalRequired(req.snookerHouse, actionName)) {
+          if (!permitted) {
+            return res.status(403).json({
+              success: false,
+              message: `Access denied. Your role (${req.staffRole}) does not allow this action.`,
+              requiredPermission: permission
+            });
+          }
+          return next();
+        }
+
+        // A manager's approval stands in for the permission
+        const token = req.get(APPROVAL_TOKEN_HEADER);
+        const approval = token
+          ? await consumeApprovalToken(token, {
+            snookerHouseId: req.snookerHouse._id,
+            action: actionName,
+            targetId: target ? target(req) : null,
+            usedBySession: req.session?.id
+          })
+          : null;
+
+        if (!approval) {
+          return res.status(403).json({
+            success: false,
+            message: token
+              ? 'Approval token is invalid, expired or already used. Ask a manager to approve again.'
+              : 'This action needs a manager\'s approval',
+            requiresApproval: true,
+            action: actionName
+          });
+        }
+
+        console.log('🔏 Approved action:', {
+          action: actionName,
+          approvalId: approval._id,
+          approvedBy: approval.approverName
+        });
+
+        // The token is only used up if the action goes through
+        res.on('finish', () => {
+          if (res.statusCode >= 400) {
+            releaseApprovalToken(approval).catch(error => {
+              console.error('Approval release error:', error);
+            });
+          }
+        });
+
+        req.approval = approval;
+        next();
+      } catch (error) {
+        console.error('Approval middleware error:', error);
+
+        if (error.name === 'CastError') {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid ID'
+          });
+        }
+
+        res.status(500).json({
+          success: false,
+          message: 'Server error in authorization'
+        });
+      }
+    });
+  };
+};
+
+// ===========================================
+// SENSITIVE ACTIONS BY ROUTE
+// ===========================================
+
+// Cancelling a session is more sensitive once items are on the bill
+const sessionCancelAction = async (req) => {
+  const session = await Session.findById(req.params.sessionId).select('items');
+  return session?.items.length > 0 ? 'session.cancel_with_items' : 'session.cancel';
+};
+
+// Only overwriting the stock count needs approval; adding and subtracting don't
+const stockUpdateAction = (req) => (req.body?.operation === 'set' ? 'inventory.stock_set' : null);
+
+module.exports = {
+  requireApproval,
+  sessionCancelAction,
+  stockUpdateAction
+};
@@ -0,0 +1,97 @@
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const Approval = require('../models/Approval');
+const { requireApproval } = require('./approval');
+
+const mockResponse = () => {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.status = jest.fn((code) => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// Run the middleware and wait for it to either pass the request on or answer it
+const run = (middleware, req, res) => new Promise(resolve => {
+  res.json.mockImplementation(() => {
+    resolve(false);
+    return res;
+  });
+  middleware(req, res, () => resolve(true));
+});
+
+describe('requireApproval', () => {
+  const approval = { _id: new mongoose.Types.ObjectId(), approverName: 'Asha' };
+  let req;
+
+  beforeEach(() => {
+    req = {
+      snookerHouse: {
+        _id: new mongoose.Types.ObjectId(),
+        approvalSettings: { enabled: true, actions: ['session.remove_item'] }
+      },
+      staffRole: 'cashier',
+      headers: {},
+      get: (header) => req.headers[header.toLowerCase()]
+    };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lets managers act on their own authority', async () => {
+    req.staffRole = 'manager';
+    const claim = jest.spyOn(Approval, 'findOneAndUpdate');
+
+    await expect(run(requireApproval('session.remove_item'), req, mockResponse())).resolves.toBe(true);
+    expect(claim).not.toHaveBeenCalled();
+  });
+
+  it('asks for approval when a cashier sends no token', async () => {
+    const res = mockResponse();
+
+    await expect(run(requireApproval('session.remove_item'), req, res)).resolves.toBe(false);
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json.mock.calls[0][0]).toMatchObject({ requiresApproval: true, action: 'session.remove_item' });
+  });
+
+  it('hands the token back when the approved action fails', async () => {
+    req.headers['x-approval-token'] = 'token';
+    jest.spyOn(Approval, 'findOneAndUpdate').mockResolvedValue(approval);
+    const release = jest.spyOn(Approval, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const res = mockResponse();
+
+    await expect(run(requireApproval('session.remove_item'), req, res)).resolves.toBe(true);
+    expect(req.approval).toBe(approval);
+
+    res.statusCode = 400;
+    res.emit('finish');
+
+    expect(release).toHaveBeenCalledWith({ _id: approval._id, status: 'used' }, expect.any(Object));
+  });
+
+  it('keeps the token used up when the approved action succeeds', async () => {
+    req.headers['x-approval-token'] = 'token';
+    jest.spyOn(Approval, 'findOneAndUpdate').mockResolvedValue(approval);
+    const release = jest.spyOn(Approval, 'updateOne');
+    const res = mockResponse();
+
+    await run(requireApproval('session.remove_item'), req, res);
+    res.emit('finish');
+
+    expect(release).not.toHaveBeenCalled();
+  });
+
+  it('still needs the permission for actions the house does not gate', async () => {
+    const res = mockResponse();
+
+    await expect(run(requireApproval('session.cancel', { permission: 'sessions.cancel' }), req, res)).resolves.toBe(false);
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json.mock.calls[0][0].requiredPermission).toBe('sessions.cancel');
+  });
+});
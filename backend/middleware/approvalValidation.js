@@ -0,0 +1,200 @@
+const Joi = require('joi');
+const { APPROVAL_ACTIONS } = require('../services/approvalService');
+
+// ===========================================
+// APPROVAL VALIDATION SCHEMAS
+// ===========================================
+
+const objectId = Joi.string()
+  .pattern(/^[0-9a-fA-F]{24}$/)
+  .messages({
+    'string.pattern.base': 'Must be a valid ID'
+  });
+
+const action = Joi.string()
+  .valid(...Object.keys(APPROVAL_ACTIONS))
+  .messages({
+    'any.only': `Action must be one of: ${Object.keys(APPROVAL_ACTIONS).join(', ')}`
+  });
+
+const pin = Joi.string()
+  .pattern(/^\d{4,6}$/)
+  .messages({
+    'string.pattern.base': 'PIN must be 4 to 6 digits'
+  });
+
+const reason = Joi.string()
+  .trim()
+  .max(300)
+  .allow('')
+  .optional()
+  .messages({
+    'string.max': 'Reason cannot exceed 300 characters'
+  });
+
+// Set own approval PIN (managers and owners)
+const setPinSchema = Joi.object({
+  pin: pin.required().messages({
+    'any.required': 'PIN is required'
+  }),
+
+  currentPassword: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Current password is required'
+    })
+});
+
+// Manager approves on the requester's device with their PIN
+const approveWithPinSchema = Joi.object({
+  action: action.required().messages({
+    'any.required': 'Action is required'
+  }),
+
+  targetId: objectId.optional().allow(null),
+
+  reason,
+
+  approverId: objectId.required().messages({
+    'any.required': 'Approver is required'
+  }),
+
+  pin: pin.required().messages({
+    'any.required': 'PIN is required'
+  })
+});
+
+// Ask a manager to approve from their own device
+const requestApprovalSchema = Joi.object({
+  action: action.required().messages({
+    'any.required': 'Action is required'
+  }),
+
+  targetId: objectId.optional().allow(null),
+
+  reason
+});
+
+// Approve or reject a remote request
+const decisionSchema = Joi.object({
+  note: Joi.string()
+    .trim()
+    .max(300)
+    .allow('')
+    .optional()
+    .messages({
+      'string.max': 'Note cannot exceed 300 characters'
+    })
+});
+
+// Approval list query
+const approvalQuerySchema = Joi.object({
+  status: Joi.string()
+    .valid('pending', 'approved', 'rejected', 'used', 'expired', 'all')
+    .optional()
+    .default('pending')
+    .messages({
+      'any.only': 'Status must be one of: pending, approved, rejected, used, expired, all'
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(200)
+    .optional()
+    .default(50)
+    .messages({
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 200'
+    }),
+
+  skip: Joi.number()
+    .integer()
+    .min(0)
+    .optional()
+    .default(0)
+});
+
+// ===========================================
+// VALIDATION MIDDLEWARE FUNCTION
+// ===========================================
+
+// Middleware function to validate request body
+const validate = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body, {
+      abortEarly: false, // Return all validation errors
+      allowUnknown: false, // Don't allow unknown fields
+      stripUnknown: true // Remove unknown fields
+    });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    // Replace req.body with validated and sanitized data
+    req.body = value;
+    next();
+  };
+};
+
+// Middleware function to validate query parameters
+const validateQuery = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.query, {
+      abortEarly: false, // Return all validation errors
+      allowUnknown: false, // Don't allow unknown fields
+      stripUnknown: true // Remove unknown fields
+    });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Query validation error',
+        errors
+      });
+    }
+
+    // Replace req.query with validated and sanitized data
+    req.query = value;
+    next();
+  };
+};
+
+// ===========================================
+// EXPORTED VALIDATION MIDDLEWARES
+// ===========================================
+
+module.exports = {
+  // PIN validations
+  validateSetPin: validate(setPinSchema),
+  validateApproveWithPin: validate(approveWithPinSchema),
+
+  // Remote approval validations
+  validateRequestApproval: validate(requestApprovalSchema),
+  validateDecision: validate(decisionSchema),
+  validateApprovalQuery: validateQuery(approvalQuerySchema),
+
+  // Export schemas for testing
+  schemas: {
+    setPinSchema,
+    approveWithPinSchema,
+    requestApprovalSchema,
+    decisionSchema,
+    approvalQuerySchema
+  }
+};
@@ -0,0 +1,258 @@
+const Joi = require('joi');
+
+// ===========================================
+// ATTENDANCE VALIDATION SCHEMAS
+// ===========================================
+
+const objectId = Joi.string()
+  .pattern(/^[0-9a-fA-F]{24}$/)
+  .messages({
+    'string.pattern.base': 'Must be a valid ID'
+  });
+
+const notes = Joi.string()
+  .trim()
+  .max(500)
+  .allow('')
+  .optional()
+  .messages({
+    'string.max': 'Notes cannot exceed 500 characters'
+  });
+
+// Reason for a manager's entry or correction
+const reason = Joi.string()
+  .trim()
+  .min(3)
+  .max(300)
+  .required()
+  .messages({
+    'string.min': 'Reason must be at least 3 characters',
+    'string.max': 'Reason cannot exceed 300 characters',
+    'any.required': 'A reason is required for manual changes'
+  });
+
+const time = (label) => Joi.date()
+  .iso()
+  .messages({
+    'date.base': `${label} must be a valid date`,
+    'date.format': `${label} must be an ISO date`
+  });
+
+const breakEntry = Joi.object({
+  startAt: time('Break start').required().messages({
+    'any.required': 'Break start is required'
+  }),
+  endAt: time('Break end').allow(null).optional()
+});
+
+// Clock in / out and breaks (staffId lets a manager clock someone else)
+const clockSchema = Joi.object({
+  staffId: objectId.optional(),
+  notes
+});
+
+// Manual attendance entry by a manager (a missed clock-in)
+const manualRecordSchema = Joi.object({
+  staffId: objectId.required().messages({
+    'any.required': 'Staff member is required'
+  }),
+
+  clockInAt: time('Clock-in time').required().messages({
+    'any.required': 'Clock-in time is required'
+  }),
+
+  clockOutAt: time('Clock-out time').required().messages({
+    'any.required': 'Clock-out time is required'
+  }),
+
+  breaks: Joi.array()
+    .items(breakEntry)
+    .max(20)
+    .optional()
+    .default([]),
+
+  notes,
+  reason
+});
+
+// Manager correction of an attendance record
+const correctRecordSchema = Joi.object({
+  clockInAt: time('Clock-in time').optional(),
+  clockOutAt: time('Clock-out time').optional(),
+
+  breaks: Joi.array()
+    .items(breakEntry)
+    .max(20)
+    .optional(),
+
+  notes,
+  reason
+}).or('clockInAt', 'clockOutAt', 'breaks', 'notes')
+  .messages({
+    'object.missing': 'Provide a clock-in time, clock-out time, breaks or notes to correct'
+  });
+
+// Attendance records query
+const attendanceQuerySchema = Joi.object({
+  staffId: objectId.optional(),
+
+  status: Joi.string()
+    .valid('open', 'closed')
+    .optional()
+    .messages({
+      'any.only': 'Status must be open or closed'
+    }),
+
+  startDate: time('Start date').optional(),
+
+  endDate: time('End date')
+    .min(Joi.ref('startDate'))
+    .optional()
+    .messages({
+      'date.min': 'End date must be after start date'
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(200)
+    .optional()
+    .default(50)
+    .messages({
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 200'
+    }),
+
+  skip: Joi.number()
+    .integer()
+    .min(0)
+    .optional()
+    .default(0)
+});
+
+// Payroll period (shared by the report and recording it as expenses)
+const payrollPeriod = {
+  startDate: time('Start date').required().messages({
+    'any.required': 'Start date is required'
+  }),
+
+  endDate: time('End date')
+    .min(Joi.ref('startDate'))
+    .required()
+    .messages({
+      'date.min': 'End date must be after start date',
+      'any.required': 'End date is required'
+    })
+};
+
+// Payroll report query
+const payrollQuerySchema = Joi.object({
+  ...payrollPeriod,
+
+  format: Joi.string()
+    .valid('json', 'csv')
+    .optional()
+    .default('json')
+    .messages({
+      'any.only': 'Format must be json or csv'
+    })
+});
+
+// Record payroll as expenses
+const recordPayrollSchema = Joi.object({
+  ...payrollPeriod,
+
+  paymentMethod: Joi.string()
+    .valid('cash', 'esewa', 'online_banking')
+    .optional()
+    .default('cash')
+    .messages({
+      'any.only': 'Payment method must be cash, esewa or online_banking'
+    })
+});
+
+// ===========================================
+// VALIDATION MIDDLEWARE FUNCTION
+// ===========================================
+
+// Middleware function to validate request body
+const validate = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body, {
+      abortEarly: false, // Return all validation errors
+      allowUnknown: false, // Don't allow unknown fields
+      stripUnknown: true // Remove unknown fields
+    });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    // Replace req.body with validated and sanitized data
+    req.body = value;
+    next();
+  };
+};
+
+// Middleware function to validate query parameters
+const validateQuery = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.query, {
+      abortEarly: false, // Return all validation errors
+      allowUnknown: false, // Don't allow unknown fields
+      stripUnknown: true // Remove unknown fields
+    });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Query validation error',
+        errors
+      });
+    }
+
+    // Replace req.query with validated and sanitized data
+    req.query = value;
+    next();
+  };
+};
+
+// ===========================================
+// EXPORTED VALIDATION MIDDLEWARES
+// ===========================================
+
+module.exports = {
+  // Attendance validations
+  validateClock: validate(clockSchema),
+  validateManualRecord: validate(manualRecordSchema),
+  validateCorrectRecord: validate(correctRecordSchema),
+  validateAttendanceQuery: validateQuery(attendanceQuerySchema),
+
+  // Payroll validations
+  validatePayrollQuery: validateQuery(payrollQuerySchema),
+  validateRecordPayroll: validate(recordPayrollSchema),
+
+  // Export schemas for testing
+  schemas: {
+    clockSchema,
+    manualRecordSchema,
+    correctRecordSchema,
+    attendanceQuerySchema,
+    payrollQuerySchema,
+    recordPayrollSchema
+  }
+};
@@ -0,0 +1,120 @@
+const Joi = require('joi');
+
+// ===========================================
+// AUDIT LOG VALIDATION SCHEMAS
+// ===========================================
+
+const objectId = Joi.string()
+  .pattern(/^[0-9a-fA-F]{24}$/)
+  .messages({
+    'string.pattern.base': 'Must be a valid ID'
+  });
+
+// Audit log filters (shared by the query and the CSV export)
+const auditFilters = {
+  entityType: Joi.string()
+    .valid('session', 'product', 'table', 'snooker_house')
+    .optional()
+    .messages({
+      'any.only': 'Entity type must be one of: session, product, table, snooker_house'
+    }),
+
+  entityId: objectId.optional(),
+
+  actorId: objectId.optional(),
+
+  // Exact action ('session.cancel') or a prefix ('session.')
+  action: Joi.string()
+    .trim()
+    .max(60)
+    .optional(),
+
+  startDate: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.base': 'Start date must be a valid date'
+    }),
+
+  endDate: Joi.date()
+    .iso()
+    .min(Joi.ref('startDate'))
+    .optional()
+    .messages({
+      'date.base': 'End date must be a valid date',
+      'date.min': 'End date must be after start date'
+    })
+};
+
+// Audit log query validation
+const auditQuerySchema = Joi.object({
+  ...auditFilters,
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(200)
+    .optional()
+    .default(50)
+    .messages({
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 200'
+    }),
+
+  skip: Joi.number()
+    .integer()
+    .min(0)
+    .optional()
+    .default(0)
+});
+
+// Audit log CSV export validation
+const auditExportQuerySchema = Joi.object(auditFilters);
+
+// ===========================================
+// VALIDATION MIDDLEWARE FUNCTION
+// ===========================================
+
+// Middleware function to validate query parameters
+const validateQuery = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.query, {
+      abortEarly: false, // Return all validation errors
+      allowUnknown: false, // Don't allow unknown fields
+      stripUnknown: true // Remove unknown fields
+    });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Query validation error',
+        errors
+      });
+    }
+
+    // Replace req.query with validated and sanitized data
+    req.query = value;
+    next();
+  };
+};
+
+// ===========================================
+// EXPORTED VALIDATION MIDDLEWARES
+// ===========================================
+
+module.exports = {
+  // Audit log validations
+  validateAuditQuery: validateQuery(auditQuerySchema),
+  validateAuditExportQuery: validateQuery(auditExportQuerySchema),
+
+  // Export schemas for testing
+  schemas: {
+    auditQuerySchema,
+    auditExportQuerySchema
+  }
+};
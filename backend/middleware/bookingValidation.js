@@ -0,0 +1,210 @@
+const Joi = require('joi');
+
+// ===========================================
+// BOOKING VALIDATION SCHEMAS
+// ===========================================
+
+// Create booking validation schema
+const createBookingSchema = Joi.object({
+  tableId: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Table ID is required'
+    }),
+
+  customerName: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .required()
+    .messages({
+      'string.max': 'Customer name cannot exceed 100 characters',
+      'string.empty': 'Customer name is required',
+      'any.required': 'Customer name is required'
+    }),
+
+  customerPhone: Joi.string()
+    .trim()
+    .max(20)
+    .optional()
+    .allow('')
+    .messages({
+      'string.max': 'Phone number cannot exceed 20 characters'
+    }),
+
+  partySize: Joi.number()
+    .integer()
+    .min(1)
+    .max(20)
+    .optional()
+    .messages({
+      'number.min': 'Party size must be at least 1',
+      'number.max': 'Party size cannot exceed 20',
+      'number.integer': 'Party size must be a whole number'
+    }),
+
+  startTime: Joi.date()
+    .iso()
+    .required()
+    .messages({
+      'date.base': 'Start time must be a valid date',
+      'any.required': 'Start time is required'
+    }),
+
+  endTime: Joi.date()
+    .iso()
+    .greater(Joi.ref('startTime'))
+    .required()
+    .messages({
+      'date.base': 'End time must be a valid date',
+      'date.greater': 'End time must be after start time',
+      'any.required': 'End time is required'
+    }),
+
+  gracePeriodMinutes: Joi.number()
+    .integer()
+    .min(0)
+    .max(120)
+    .optional()
+    .messages({
+      'number.min': 'Grace period cannot be negative',
+      'number.max': 'Grace period cannot exceed 120 minutes'
+    }),
+
+  notes: Joi.string()
+    .trim()
+    .max(500)
+    .optional()
+    .allow('')
+    .messages({
+      'string.max': 'Notes cannot exceed 500 characters'
+    })
+});
+
+// Update booking validation schema (all fields optional)
+const updateBookingSchema = Joi.object({
+  tableId: Joi.string().optional(),
+
+  customerName: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .optional()
+    .messages({
+      'string.max': 'Customer name cannot exceed 100 characters'
+    }),
+
+  customerPhone: Joi.string()
+    .trim()
+    .max(20)
+    .optional()
+    .allow('')
+    .messages({
+      'string.max': 'Phone number cannot exceed 20 characters'
+    }),
+
+  partySize: Joi.number()
+    .integer()
+    .min(1)
+    .max(20)
+    .optional()
+    .messages({
+      'number.min': 'Party size must be at least 1',
+      'number.max': 'Party size cannot exceed 20'
+    }),
+
+  startTime: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.base': 'Start time must be a valid date'
+    }),
+
+  endTime: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.base': 'End time must be a valid date'
+    }),
+
+  gracePeriodMinutes: Joi.number()
+    .integer()
+    .min(0)
+    .max(120)
+    .optional()
+    .messages({
+      'number.min': 'Grace period cannot be negative',
+      'number.max': 'Grace period cannot exceed 120 minutes'
+    }),
+
+  notes: Joi.string()
+    .trim()
+    .max(500)
+    .optional()
+    .allow('')
+    .messages({
+      'string.max': 'Notes cannot exceed 500 characters'
+    })
+});
+
+// Cancel booking validation schema
+const cancelBookingSchema = Joi.object({
+  reason: Joi.string()
+    .trim()
+    .max(200)
+    .optional()
+    .allow('')
+    .messages({
+      'string.max': 'Cancellation reason cannot exceed 200 characters'
+    })
+});
+
+// ===========================================
+// VALIDATION MIDDLEWARE FUNCTION
+// ===========================================
+
+// Middleware function to validate request body
+const validate = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body, {
+      abortEarly: false, // Return all validation errors
+      allowUnknown: false, // Don't allow unknown fields
+      stripUnknown: true // Remove unknown fields
+    });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    // Replace req.body with validated and sanitized data
+    req.body = value;
+    next();
+  };
+};
+
+// ===========================================
+// EXPORTED VALIDATION MIDDLEWARES
+// ===========================================
+
+module.exports = {
+  // Booking validations
+  validateCreateBooking: validate(createBookingSchema),
+  validateUpdateBooking: validate(updateBookingSchema),
+  validateCancelBooking: validate(cancelBookingSchema),
+
+  // Export schemas for testing
+  schemas: {
+    createBookingSchema,
+    updateBookingSchema,
+    cancelBookingSchema
+  }
+};
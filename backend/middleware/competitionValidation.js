@@ -0,0 +1,317 @@
+const Joi = require('joi');
+
+// ===========================================
+// TOURNAMENT & LEAGUE VALIDATION SCHEMAS
+// ===========================================
+
+const PAYMENT_METHODS = ['esewa', 'online_banking', 'cash'];
+
+// Fields shared by tournaments and leagues
+const competitionFields = {
+  name: Joi.string()
+    .trim()
+    .min(2)
+    .max(100)
+    .messages({
+      'string.min': 'Name must be at least 2 characters',
+      'string.max': 'Name cannot exceed 100 characters',
+      'string.empty': 'Name is required',
+      'any.required': 'Name is required'
+    }),
+
+  description: Joi.string()
+    .trim()
+    .max(500)
+    .allow('')
+    .messages({
+      'string.max': 'Description cannot exceed 500 characters'
+    }),
+
+  startDate: Joi.date()
+    .iso()
+    .messages({
+      'date.format': 'Start date must be a valid ISO date',
+      'any.required': 'Start date is required'
+    }),
+
+  entryFee: Joi.number()
+    .min(0)
+    .messages({
+      'number.min': 'Entry fee cannot be negative'
+    }),
+
+  maxEntrants: Joi.number()
+    .integer()
+    .min(2)
+    .max(128)
+    .allow(null)
+    .messages({
+      'number.min': 'At least 2 entrants are needed',
+      'number.max': 'Cannot exceed 128 entrants'
+    }),
+
+  bestOf: Joi.number()
+    .integer()
+    .min(1)
+    .max(35)
+    .messages({
+      'number.min': 'Matches must be at least one frame',
+      'number.max': 'Matches cannot be longer than 35 frames'
+    }),
+
+  pointsForWin: Joi.number()
+    .integer()
+    .min(0)
+    .max(10),
+
+  pointsForLoss: Joi.number()
+    .integer()
+    .min(0)
+    .max(10),
+
+  // Prize per finishing position
+  prizes: Joi.array()
+    .items(Joi.object({
+      position: Joi.number().integer().min(1).required().messages({
+        'number.min': 'Prize position must be at least 1',
+        'any.required': 'Prize position is required'
+      }),
+      amount: Joi.number().min(0).required().messages({
+        'number.min': 'Prize amount cannot be negative',
+        'any.required': 'Prize amount is required'
+      })
+    }))
+    .unique('position')
+    .messages({
+      'array.unique': 'Each position can only have one prize'
+    })
+};
+
+// Create tournament validation schema
+const createTournamentSchema = Joi.object({
+  ...competitionFields,
+  name: competitionFields.name.required(),
+  startDate: competitionFields.startDate.required(),
+  format: Joi.string()
+    .valid('single_elimination', 'round_robin')
+    .optional()
+    .messages({
+      'any.only': 'Format must be single_elimination or round_robin'
+    })
+});
+
+// Update tournament validation schema
+const updateTournamentSchema = Joi.object({
+  ...competitionFields,
+  format: Joi.string()
+    .valid('single_elimination', 'round_robin')
+    .messages({
+      'any.only': 'Format must be single_elimination or round_robin'
+    })
+}).min(1);
+
+// League season fields
+const leagueFields = {
+  endDate: Joi.date()
+    .iso()
+    .messages({
+      'date.format': 'End date must be a valid ISO date',
+      'any.required': 'End date is required'
+    }),
+
+  legs: Joi.number()
+    .valid(1, 2)
+    .messages({
+      'any.only': 'Legs must be 1 or 2'
+    }),
+
+  maxEntrants: competitionFields.maxEntrants.max(40).messages({
+    'number.max': 'A league cannot exceed 40 entrants'
+  })
+};
+
+// Create league validation schema
+const createLeagueSchema = Joi.object({
+  ...competitionFields,
+  ...leagueFields,
+  name: competitionFields.name.required(),
+  startDate: competitionFields.startDate.required(),
+  endDate: leagueFields.endDate.greater(Joi.ref('startDate')).required().messages({
+    'date.greater': 'Season end date must be after the start date'
+  })
+});
+
+// Update league validation schema
+const updateLeagueSchema = Joi.object({
+  ...competitionFields,
+  ...leagueFields
+}).min(1);
+
+// Register entrant validation schema
+const registerEntrantSchema = Joi.object({
+  // A registered customer, or a name (and phone) for walk-in entrants
+  customerId: Joi.string().optional(),
+
+  name: Joi.string()
+    .trim()
+    .max(100)
+    .optional()
+    .messages({
+      'string.max': 'Entrant name cannot exceed 100 characters'
+    }),
+
+  phone: Joi.string()
+    .trim()
+    .max(20)
+    .optional()
+    .allow('')
+    .messages({
+      'string.max': 'Phone number cannot exceed 20 characters'
+    }),
+
+  seed: Joi.number()
+    .integer()
+    .min(1)
+    .optional()
+    .messages({
+      'number.min': 'Seed must be at least 1'
+    }),
+
+  // Take the entry fee at registration
+  paymentMethod: Joi.string()
+    .valid(...PAYMENT_METHODS, 'wallet')
+    .optional()
+    .messages({
+      'any.only': 'Payment method must be "esewa", "online_banking", "cash", or "wallet"'
+    })
+}).or('customerId', 'name').messages({
+  'object.missing': 'Entrant name or customer is required'
+});
+
+// Entry fee payment validation schema
+const entryFeeSchema = Joi.object({
+  paymentMethod: Joi.string()
+    .valid(...PAYMENT_METHODS, 'wallet')
+    .required()
+    .messages({
+      'any.only': 'Payment method must be "esewa", "online_banking", "cash", or "wallet"',
+      'any.required': 'Payment method is required'
+    })
+});
+
+// Schedule fixture validation schema
+const scheduleFixtureSchema = Joi.object({
+  tableId: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Table is required'
+    }),
+
+  scheduledAt: Joi.date()
+    .iso()
+    .required()
+    .messages({
+      'date.format': 'Scheduled time must be a valid ISO date',
+      'any.required': 'Scheduled time is required'
+    }),
+
+  durationMinutes: Joi.number()
+    .integer()
+    .min(15)
+    .max(480)
+    .optional()
+    .default(60)
+    .messages({
+      'number.min': 'Fixture must be booked for at least 15 minutes',
+      'number.max': 'Fixture cannot be booked for more than 8 hours'
+    })
+});
+
+// Fixture result validation schema
+const fixtureResultSchema = Joi.object({
+  // Defaults to the session seated from the fixture's booking
+  sessionId: Joi.string().optional(),
+
+  // Only needed when the session has no completed scored match
+  homeFrames: Joi.number().integer().min(0).optional(),
+  awayFrames: Joi.number().integer().min(0).optional()
+}).and('homeFrames', 'awayFrames').messages({
+  'object.and': 'Enter both home and away frames'
+});
+
+// Prize payout validation schema
+const payPrizesSchema = Joi.object({
+  paymentMethod: Joi.string()
+    .valid(...PAYMENT_METHODS)
+    .optional()
+    .default('cash')
+    .messages({
+      'any.only': 'Payment method must be "esewa", "online_banking", or "cash"'
+    })
+});
+
+// ===========================================
+// VALIDATION MIDDLEWARE FUNCTION
+// ===========================================
+
+// Middleware function to validate request body
+const validate = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body, {
+      abortEarly: false, // Return all validation errors
+      allowUnknown: false, // Don't allow unknown fields
+      stripUnknown: true // Remove unknown fields
+    });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    // Replace req.body with validated and sanitized data
+    req.body = value;
+    next();
+  };
+};
+
+// ===========================================
+// EXPORTED VALIDATION MIDDLEWARES
+// ===========================================
+
+module.exports = {
+  // Tournament validations
+  validateCreateTournament: validate(createTournamentSchema),
+  validateUpdateTournament: validate(updateTournamentSchema),
+
+  // League validations
+  validateCreateLeague: validate(createLeagueSchema),
+  validateUpdateLeague: validate(updateLeagueSchema),
+
+  // Shared competition validations
+  validateRegisterEntrant: validate(registerEntrantSchema),
+  validateEntryFee: validate(entryFeeSchema),
+  validateScheduleFixture: validate(scheduleFixtureSchema),
+  validateFixtureResult: validate(fixtureResultSchema),
+  validatePayPrizes: validate(payPrizesSchema),
+
+  // Export schemas for testing
+  schemas: {
+    createTournamentSchema,
+    updateTournamentSchema,
+    createLeagueSchema,
+    updateLeagueSchema,
+    registerEntrantSchema,
+    entryFeeSchema,
+    scheduleFixtureSchema,
+    fixtureResultSchema,
+    payPrizesSchema
+  }
+};
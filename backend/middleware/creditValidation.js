@@ -0,0 +1,173 @@
+const Joi = require('joi');
+
+// ===========================================
+// CREDIT LEDGER VALIDATION SCHEMAS
+// ===========================================
+
+// Open credit account validation schema
+const createCreditAccountSchema = Joi.object({
+  customerName: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .required()
+    .messages({
+      'string.max': 'Customer name cannot exceed 100 characters',
+      'string.empty': 'Customer name is required',
+      'any.required': 'Customer name is required'
+    }),
+
+  customerPhone: Joi.string()
+    .trim()
+    .pattern(/^[+]?[\d\s-]{7,20}$/)
+    .optional()
+    .allow('')
+    .messages({
+      'string.pattern.base': 'Please provide a valid phone number'
+    }),
+
+  creditLimit: Joi.number()
+    .min(0)
+    .optional()
+    .allow(null)
+    .messages({
+      'number.min': 'Credit limit cannot be negative'
+    }),
+
+  notes: Joi.string()
+    .trim()
+    .max(300)
+    .optional()
+    .allow('')
+    .messages({
+      'string.max': 'Notes cannot exceed 300 characters'
+    })
+});
+
+// Update credit account validation schema
+const updateCreditAccountSchema = Joi.object({
+  customerName: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .optional()
+    .messages({
+      'string.max': 'Customer name cannot exceed 100 characters'
+    }),
+
+  customerPhone: Joi.string()
+    .trim()
+    .pattern(/^[+]?[\d\s-]{7,20}$/)
+    .optional()
+    .allow('')
+    .messages({
+      'string.pattern.base': 'Please provide a valid phone number'
+    }),
+
+  creditLimit: Joi.number()
+    .min(0)
+    .optional()
+    .allow(null)
+    .messages({
+      'number.min': 'Credit limit cannot be negative'
+    }),
+
+  notes: Joi.string()
+    .trim()
+    .max(300)
+    .optional()
+    .allow('')
+    .messages({
+      'string.max': 'Notes cannot exceed 300 characters'
+    })
+}).min(1)
+  .messages({
+    'object.min': 'At least one field is required'
+  });
+
+// Settlement validation schema
+const settlementSchema = Joi.object({
+  amount: Joi.number()
+    .positive()
+    .required()
+    .messages({
+      'number.positive': 'Settlement amount must be greater than 0',
+      'any.required': 'Settlement amount is required'
+    }),
+
+  paymentMethod: Joi.string()
+    .valid('esewa', 'online_banking', 'cash')
+    .required()
+    .messages({
+      'any.only': 'Payment method must be "esewa", "online_banking", or "cash"',
+      'any.required': 'Payment method is required'
+    }),
+
+  transactionId: Joi.string()
+    .trim()
+    .max(100)
+    .optional()
+    .allow('')
+    .messages({
+      'string.max': 'Transaction ID cannot exceed 100 characters'
+    }),
+
+  notes: Joi.string()
+    .trim()
+    .max(300)
+    .optional()
+    .allow('')
+    .messages({
+      'string.max': 'Notes cannot exceed 300 characters'
+    })
+});
+
+// ===========================================
+// VALIDATION MIDDLEWARE FUNCTION
+// ===========================================
+
+// Middleware function to validate request body
+const validate = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body, {
+      abortEarly: false, // Return all validation errors
+      allowUnknown: false, // Don't allow unknown fields
+      stripUnknown: true // Remove unknown fields
+    });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    // Replace req.body with validated and sanitized data
+    req.body = value;
+    next();
+  };
+};
+
+// ===========================================
+// EXPORTED VALIDATION MIDDLEWARES
+// ===========================================
+
+module.exports = {
+  // Credit ledger validations
+  validateCreateCreditAccount: validate(createCreditAccountSchema),
+  validateUpdateCreditAccount: validate(updateCreditAccountSchema),
+  validateSettlement: validate(settlementSchema),
+
+  // Export schemas for testing
+  schemas: {
+    createCreditAccountSchema,
+    updateCreditAccountSchema,
+    settlementSchema
+  }
+};
@@ -0,0 +1,141 @@
+const Joi = require('joi');
+
+// ===========================================
+// CUSTOMER VALIDATION SCHEMAS
+// ===========================================
+
+// Register customer validation schema
+const createCustomerSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .required()
+    .messages({
+      'string.max': 'Customer name cannot exceed 100 characters',
+      'string.empty': 'Customer name is required',
+      'any.required': 'Customer name is required'
+    }),
+
+  phone: Joi.string()
+    .trim()
+    .pattern(/^[+]?[\d\s-]{7,20}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Please provide a valid phone number',
+      'string.empty': 'Phone number is required',
+      'any.required': 'Phone number is required'
+    }),
+
+  email: Joi.string()
+    .trim()
+    .email()
+    .max(100)
+    .optional()
+    .allow('')
+    .messages({
+      'string.email': 'Please provide a valid email address'
+    }),
+
+  notes: Joi.string()
+    .trim()
+    .max(300)
+    .optional()
+    .allow('')
+    .messages({
+      'string.max': 'Notes cannot exceed 300 characters'
+    })
+});
+
+// Update customer validation schema
+const updateCustomerSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .optional()
+    .messages({
+      'string.max': 'Customer name cannot exceed 100 characters'
+    }),
+
+  phone: Joi.string()
+    .trim()
+    .pattern(/^[+]?[\d\s-]{7,20}$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Please provide a valid phone number'
+    }),
+
+  email: Joi.string()
+    .trim()
+    .email()
+    .max(100)
+    .optional()
+    .allow('')
+    .messages({
+      'string.email': 'Please provide a valid email address'
+    }),
+
+  notes: Joi.string()
+    .trim()
+    .max(300)
+    .optional()
+    .allow('')
+    .messages({
+      'string.max': 'Notes cannot exceed 300 characters'
+    }),
+
+  isActive: Joi.boolean()
+    .optional()
+}).min(1)
+  .messages({
+    'object.min': 'At least one field is required'
+  });
+
+// ===========================================
+// VALIDATION MIDDLEWARE FUNCTION
+// ===========================================
+
+// Middleware function to validate request body
+const validate = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body, {
+      abortEarly: false, // Return all validation errors
+      allowUnknown: false, // Don't allow unknown fields
+      stripUnknown: true // Remove unknown fields
+    });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    // Replace req.body with validated and sanitized data
+    req.body = value;
+    next();
+  };
+};
+
+// ===========================================
+// EXPORTED VALIDATION MIDDLEWARES
+// ===========================================
+
+module.exports = {
+  // Customer validations
+  validateCreateCustomer: validate(createCustomerSchema),
+  validateUpdateCustomer: validate(updateCustomerSchema),
+
+  // Export schemas for testing
+  schemas: {
+    createCustomerSchema,
+    updateCustomerSchema
+  }
+};
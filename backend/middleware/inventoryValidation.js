@@ -282,6 +282,11 @@ const recordSaleSchema = Joi.object({
       'string.max': 'Phone number cannot exceed 20 characters'
     }),
   
+  customerId: Joi.string().optional(),
+
+  // Register the phone as a new customer when no customer has it yet
+  createCustomer: Joi.boolean().optional().default(false),
+  
   notes: Joi.string()
     .trim()
     .max(500)
@@ -296,6 +301,15 @@ const recordSaleSchema = Joi.object({
     .allow('')
     .messages({
       'string.base': 'Session ID must be a string'
+    }),
+  
+  promoCode: Joi.string()
+    .trim()
+    .max(30)
+    .optional()
+    .allow('')
+    .messages({
+      'string.max': 'Promo code cannot exceed 30 characters'
     })
 });
 
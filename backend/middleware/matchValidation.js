@@ -0,0 +1,174 @@
+const Joi = require('joi');
+
+// ===========================================
+// LIVE SCORING VALIDATION SCHEMAS
+// ===========================================
+
+// Create match validation schema
+const createMatchSchema = Joi.object({
+  sessionId: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Session ID is required'
+    }),
+
+  title: Joi.string()
+    .trim()
+    .max(100)
+    .optional()
+    .allow('')
+    .messages({
+      'string.max': 'Title cannot exceed 100 characters'
+    }),
+
+  // Two players: session player IDs or plain names
+  players: Joi.array()
+    .items(Joi.object({
+      name: Joi.string().trim().max(100).optional().messages({
+        'string.max': 'Player name cannot exceed 100 characters'
+      }),
+      sessionPlayerId: Joi.string().optional()
+    }).or('name', 'sessionPlayerId'))
+    .length(2)
+    .required()
+    .messages({
+      'array.length': 'A match needs exactly two players',
+      'any.required': 'Players are required',
+      'object.missing': 'Each player needs a name or a session player ID'
+    }),
+
+  bestOf: Joi.number()
+    .integer()
+    .min(1)
+    .max(35)
+    .optional()
+    .default(1)
+    .messages({
+      'number.min': 'Match must be at least one frame',
+      'number.max': 'Match cannot be longer than 35 frames',
+      'number.integer': 'Best of must be a whole number'
+    }),
+
+  reds: Joi.number()
+    .valid(6, 10, 15)
+    .optional()
+    .default(15)
+    .messages({
+      'any.only': 'Reds must be 6, 10 or 15'
+    }),
+
+  // Player (0 or 1) breaking off the first frame
+  breakOff: Joi.number()
+    .valid(0, 1)
+    .optional()
+    .default(0)
+    .messages({
+      'any.only': 'Break-off player must be 0 or 1'
+    })
+});
+
+// Scoring event validation schema
+const scoreEventSchema = Joi.object({
+  type: Joi.string()
+    .valid('pot', 'foul', 'end_visit', 'concede')
+    .required()
+    .messages({
+      'any.only': 'Event type must be "pot", "foul", "end_visit", or "concede"',
+      'any.required': 'Event type is required'
+    }),
+
+  ball: Joi.when('type', {
+    is: 'pot',
+    then: Joi.string().valid('red', 'yellow', 'green', 'brown', 'blue', 'pink', 'black').required(),
+    otherwise: Joi.forbidden()
+  }).messages({
+    'any.only': 'Ball must be red, yellow, green, brown, blue, pink, or black',
+    'any.required': 'Ball is required for a pot',
+    'any.unknown': 'Ball is only allowed for a pot'
+  }),
+
+  // Reds potted in one shot
+  count: Joi.number()
+    .integer()
+    .min(1)
+    .max(15)
+    .optional()
+    .messages({
+      'number.min': 'Count must be at least 1',
+      'number.integer': 'Count must be a whole number'
+    }),
+
+  value: Joi.when('type', {
+    is: 'foul',
+    then: Joi.number().integer().min(4).max(7).required(),
+    otherwise: Joi.forbidden()
+  }).messages({
+    'number.min': 'Foul value must be between 4 and 7',
+    'number.max': 'Foul value must be between 4 and 7',
+    'any.required': 'Foul value is required',
+    'any.unknown': 'Value is only allowed for a foul'
+  }),
+
+  // Reds that went down in the foul
+  redsPotted: Joi.number()
+    .integer()
+    .min(0)
+    .max(15)
+    .optional(),
+
+  // Conceding player (defaults to the player at the table)
+  player: Joi.number()
+    .valid(0, 1)
+    .optional()
+    .messages({
+      'any.only': 'Player must be 0 or 1'
+    })
+});
+
+// ===========================================
+// VALIDATION MIDDLEWARE FUNCTION
+// ===========================================
+
+// Middleware function to validate request body
+const validate = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body, {
+      abortEarly: false, // Return all validation errors
+      allowUnknown: false, // Don't allow unknown fields
+      stripUnknown: true // Remove unknown fields
+    });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    // Replace req.body with validated and sanitized data
+    req.body = value;
+    next();
+  };
+};
+
+// ===========================================
+// EXPORTED VALIDATION MIDDLEWARES
+// ===========================================
+
+module.exports = {
+  // Live scoring validations
+  validateCreateMatch: validate(createMatchSchema),
+  validateScoreEvent: validate(scoreEventSchema),
+
+  // Export schemas for testing
+  schemas: {
+    createMatchSchema,
+    scoreEventSchema
+  }
+};
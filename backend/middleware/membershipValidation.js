@@ -0,0 +1,250 @@
+const Joi = require('joi');
+
+// ===========================================
+// MEMBERSHIP VALIDATION SCHEMAS
+// ===========================================
+
+// Member rate fields shared by create and update (null = use the percentage discount)
+const memberRate = (label) => Joi.number()
+  .min(0)
+  .optional()
+  .allow(null)
+  .messages({
+    'number.min': `${label} cannot be negative`
+  });
+
+// Create membership plan validation schema
+const createPlanSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(2)
+    .max(100)
+    .required()
+    .messages({
+      'string.min': 'Plan name must be at least 2 characters',
+      'string.max': 'Plan name cannot exceed 100 characters',
+      'string.empty': 'Plan name is required',
+      'any.required': 'Plan name is required'
+    }),
+
+  description: Joi.string()
+    .trim()
+    .max(300)
+    .optional()
+    .allow('')
+    .messages({
+      'string.max': 'Description cannot exceed 300 characters'
+    }),
+
+  price: Joi.number()
+    .min(0)
+    .required()
+    .messages({
+      'number.min': 'Plan price cannot be negative',
+      'any.required': 'Plan price is required'
+    }),
+
+  durationDays: Joi.number()
+    .integer()
+    .min(1)
+    .max(366)
+    .required()
+    .messages({
+      'number.min': 'Plan must last at least 1 day',
+      'number.max': 'Plan cannot last more than 366 days',
+      'any.required': 'Plan duration is required'
+    }),
+
+  minuteRate: memberRate('Minute rate'),
+  frameRate: memberRate('Frame rate'),
+  kittiRate: memberRate('Kitti rate'),
+
+  rateDiscountPercent: Joi.number()
+    .min(0)
+    .max(100)
+    .optional()
+    .messages({
+      'number.min': 'Discount cannot be negative',
+      'number.max': 'Discount cannot exceed 100%'
+    }),
+
+  includedMinutes: Joi.number()
+    .integer()
+    .min(0)
+    .optional()
+    .messages({
+      'number.min': 'Included minutes cannot be negative'
+    })
+});
+
+// Update membership plan validation schema (applies to memberships sold afterwards)
+const updatePlanSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(2)
+    .max(100)
+    .optional()
+    .messages({
+      'string.min': 'Plan name must be at least 2 characters',
+      'string.max': 'Plan name cannot exceed 100 characters'
+    }),
+
+  description: Joi.string()
+    .trim()
+    .max(300)
+    .optional()
+    .allow(''),
+
+  price: Joi.number()
+    .min(0)
+    .optional()
+    .messages({
+      'number.min': 'Plan price cannot be negative'
+    }),
+
+  durationDays: Joi.number()
+    .integer()
+    .min(1)
+    .max(366)
+    .optional()
+    .messages({
+      'number.min': 'Plan must last at least 1 day',
+      'number.max': 'Plan cannot last more than 366 days'
+    }),
+
+  minuteRate: memberRate('Minute rate'),
+  frameRate: memberRate('Frame rate'),
+  kittiRate: memberRate('Kitti rate'),
+
+  rateDiscountPercent: Joi.number()
+    .min(0)
+    .max(100)
+    .optional()
+    .messages({
+      'number.min': 'Discount cannot be negative',
+      'number.max': 'Discount cannot exceed 100%'
+    }),
+
+  includedMinutes: Joi.number()
+    .integer()
+    .min(0)
+    .optional()
+    .messages({
+      'number.min': 'Included minutes cannot be negative'
+    }),
+
+  isActive: Joi.boolean().optional()
+}).min(1)
+  .messages({
+    'object.min': 'At least one field is required'
+  });
+
+// Sell membership validation schema
+const sellMembershipSchema = Joi.object({
+  customerId: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Customer is required'
+    }),
+
+  planId: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Membership plan is required'
+    }),
+
+  paymentMethod: Joi.string()
+    .valid('esewa', 'online_banking', 'cash', 'wallet')
+    .required()
+    .messages({
+      'any.only': 'Payment method must be "esewa", "online_banking", "cash", or "wallet"',
+      'any.required': 'Payment method is required'
+    }),
+
+  // Defaults to now, or to the end of the customer's current membership (renewal)
+  startDate: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.base': 'Start date must be a valid date'
+    }),
+
+  transactionId: Joi.string()
+    .trim()
+    .max(100)
+    .optional()
+    .allow(''),
+
+  notes: Joi.string()
+    .trim()
+    .max(300)
+    .optional()
+    .allow('')
+    .messages({
+      'string.max': 'Notes cannot exceed 300 characters'
+    })
+});
+
+// Cancel membership validation schema
+const cancelMembershipSchema = Joi.object({
+  reason: Joi.string()
+    .trim()
+    .max(300)
+    .optional()
+    .allow('')
+    .messages({
+      'string.max': 'Reason cannot exceed 300 characters'
+    })
+});
+
+// ===========================================
+// VALIDATION MIDDLEWARE FUNCTION
+// ===========================================
+
+// Middleware function to validate request body
+const validate = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body, {
+      abortEarly: false, // Return all validation errors
+      allowUnknown: false, // Don't allow unknown fields
+      stripUnknown: true // Remove unknown fields
+    });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    // Replace req.body with validated and sanitized data
+    req.body = value;
+    next();
+  };
+};
+
+// ===========================================
+// EXPORTED VALIDATION MIDDLEWARES
+// ===========================================
+
+module.exports = {
+  // Membership validations
+  validateCreatePlan: validate(createPlanSchema),
+  validateUpdatePlan: validate(updatePlanSchema),
+  validateSellMembership: validate(sellMembershipSchema),
+  validateCancelMembership: validate(cancelMembershipSchema),
+
+  // Export schemas for testing
+  schemas: {
+    createPlanSchema,
+    updatePlanSchema,
+    sellMembershipSchema,
+    cancelMembershipSchema
+  }
+};
@@ -0,0 +1,231 @@
+const mongoose = require('mongoose');
+const SnookerHouse = require('../models/SnookerHouse');
+const StaffMember = require('../models/StaffMember');
+
+// ===========================================
+// ROLE PERMISSION MATRIX
+// ===========================================
+
+const ROLES = ['owner', 'manager', 'cashier'];
+
+const ALL = ['owner', 'manager', 'cashier'];
+const MANAGERS = ['owner', 'manager'];
+const OWNER = ['owner'];
+
+// Permission -> roles allowed to use it
+const PERMISSIONS = {
+  // Snooker house and staff
+  'house.view': ALL,
+  'house.settings': OWNER,
+  'house.delete': OWNER,
+  'staff.manage': OWNER,
+  'reports.branches': OWNER,
+
+  // Tables
+  'tables.view': ALL,
+  'tables.manage': MANAGERS,
+  'tables.delete': OWNER,
+
+  // Counter: sessions, bookings, waitlist, scoring
+  'sessions.view': ALL,
+  'sessions.run': ALL,
+  'sessions.cancel': MANAGERS,
+  'sessions.refund': MANAGERS,
+  'sessions.export': MANAGERS,
+  'bookings.manage': ALL,
+  'waitlist.manage': ALL,
+  'matches.view': ALL,
+  'matches.score': ALL,
+
+  // Manager approval for sensitive actions
+  'approvals.request': ALL,
+  'approvals.grant': MANAGERS,
+
+  // Shifts and the cash drawer
+  'shifts.run': ALL,
+  'shifts.manage': MANAGERS,
+
+  // Attendance and payroll
+  'attendance.clock': ALL,
+  'attendance.manage': MANAGERS,
+  'payroll.manage': OWNER,
+
+  // Customers, wallets, khata, memberships
+  'customers.view': ALL,
+  'customers.manage': ALL,
+  'customers.import': MANAGERS,
+  'wallet.topup': ALL,
+  'wallet.adjust': MANAGERS,
+  'credit.view': ALL,
+  'credit.settle': ALL,
+  'credit.manage': MANAGERS,
+  'memberships.view': ALL,
+  'memberships.sell': ALL,
+  'memberships.cancel': MANAGERS,
+  'memberships.plans': MANAGERS,
+
+  // Inventory and sales
+  'products.view': ALL,
+  'products.manage': MANAGERS,
+  'products.delete': OWNER,
+  'sales.record': ALL,
+  'sales.view': ALL,
+
+  // Promotions
+  'promotions.view': ALL,
+  'promotions.manage': MANAGERS,
+
+  // Tournaments and leagues
+  'competitions.view': ALL,
+  'competitions.run': ALL,
+  'competitions.manage': MANAGERS,
+
+  // Reports
+  'reports.operations': MANAGERS,
+  'reports.financial': MANAGERS,
+  'reports.staff': MANAGERS,
+  'audit.view': OWNER
+};
+
+// Check whether a role has a permission
+const hasPermission = (role, permission) => {
+  return (PERMISSIONS[permission] || []).includes(role);
+};
+
+// Permissions a role holds
+const getPermissionsForRole = (role) => {
+  return Object.keys(PERMISSIONS).filter(permission => PERMISSIONS[permission].includes(role));
+};
+
+// Header (or ?houseId= query) selecting the house a request works in
+const HOUSE_HEADER = 'X-Snooker-House-Id';
+
+// Find the user's role in a snooker house (null if they have no access)
+const getHouseRole = async (userId, snookerHouse) => {
+  if (snookerHouse.owner.toString() === userId.toString()) {
+    return { snookerHouse, role: 'owner', staffMember: null };
+  }
+
+  const staffMember = await StaffMember.findOne({ snookerHouse: snookerHouse._id, user: userId, status: 'active' });
+  return staffMember ? { snookerHouse, role: staffMember.role, staffMember } : null;
+};
+
+// Find the snooker house a request works in and the user's role there (null if none)
+const resolveHouseAccess = async (userId, houseId = null) => {
+  if (houseId) {
+    if (!mongoose.isValidObjectId(houseId)) return null;
+    const snookerHouse = await SnookerHouse.findById(houseId);
+    return snookerHouse ? getHouseRole(userId, snookerHouse) : null;
+  }
+
+  // No house selected: the first house the user owns, then the first they work at
+  const ownedHouse = await SnookerHouse.findOne({ owner: userId }).sort({ createdAt: 1 });
+  if (ownedHouse) {
+    return { snookerHouse: ownedHouse, role: 'owner', staffMember: null };
+  }
+
+  const staffMember = await StaffMember.findActiveForUser(userId);
+  if (staffMember?.snookerHouse) {
+    return { snookerHouse: staffMember.snookerHouse, role: staffMember.role, staffMember };
+  }
+
+  return null;
+};
+
+// Every house a user owns or works at, with their role
+const getAccessibleHouses = async (userId) => {
+  const [ownedHouses, staffRecords] = await Promise.all([
+    SnookerHouse.find({ owner: userId }).sort({ createdAt: 1 }),
+    StaffMember.find({ user: userId, status: 'active' }).populate('snookerHouse').sort({ createdAt: 1 })
+  ]);
+
+  return [
+    ...ownedHouses.map(snookerHouse => ({ snookerHouse, role: 'owner' })),
+    ...staffRecords
+      .filter(record => record.snookerHouse)
+      .map(record => ({ snookerHouse: record.snookerHouse, role: record.role }))
+  ];
+};
+
+// Check a record belongs to the house the request is working in
+const belongsToHouse = (doc, req) => {
+  const houseId = doc.snookerHouse?._id || doc.snookerHouse;
+  return !!houseId && houseId.toString() === req.snookerHouse._id.toString();
+};
+
+// ===========================================
+// AUTHORIZATION MIDDLEWARE
+// ===========================================
+
+// Middleware to load the selected snooker house and the user's role (req.snookerHouse, req.staffRole)
+const houseAccess = async (req, res, next) => {
+  try {
+    if (!req.snookerHouse) {
+      const requestedHouseId = req.get(HOUSE_HEADER) || req.query.houseId;
+      const access = await resolveHouseAccess(req.user.id, requestedHouseId);
+      if (!access) {
+        return res.status(requestedHouseId ? 403 : 404).json({
+          success: false,
+          message: requestedHouseId
+            ? 'Access denied. You do not work at this snooker house.'
+            : 'No snooker house found'
+        });
+      }
+
+      req.snookerHouse = access.snookerHouse;
+      req.staffRole = access.role;
+      req.staffMember = access.staffMember;
+      res.set(HOUSE_HEADER, access.snookerHouse._id.toString());
+    }
+
+    next();
+  } catch (error) {
+    console.error('House access middleware error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error in authorization'
+    });
+  }
+};
+
+// Middleware to select the house from the path: /api/houses/:houseId/tables -> /api/tables
+const houseFromPath = (req, res, next) => {
+  const match = req.url.match(/^\/api\/houses\/([^/?]+)(\/.*)$/);
+  if (match) {
+    req.headers[HOUSE_HEADER.toLowerCase()] = decodeURIComponent(match[1]);
+    req.url = `/api${match[2]}`;
+  }
+
+  next();
+};
+
+// Middleware factory to require a permission from the role matrix
+const requirePermission = (permission) => {
+  return (req, res, next) => {
+    houseAccess(req, res, () => {
+      if (!hasPermission(req.staffRole, permission)) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. Your role (${req.staffRole}) does not allow this action.`,
+          requiredPermission: permission
+        });
+      }
+
+      next();
+    });
+  };
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  HOUSE_HEADER,
+  hasPermission,
+  getPermissionsForRole,
+  resolveHouseAccess,
+  getAccessibleHouses,
+  belongsToHouse,
+  houseAccess,
+  houseFromPath,
+  requirePermission
+};
@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const SnookerHouse = require('../models/SnookerHouse');
+const StaffMember = require('../models/StaffMember');
+const {
+  HOUSE_HEADER,
+  hasPermission,
+  getPermissionsForRole,
+  resolveHouseAccess,
+  belongsToHouse,
+  houseAccess,
+  houseFromPath,
+  requirePermission
+} = require('./permissions');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.set = jest.fn(() => res);
+  return res;
+};
+
+describe('permission matrix', () => {
+  it('lets cashiers run the counter but not cancel or refund', () => {
+    expect(hasPermission('cashier', 'sessions.run')).toBe(true);
+    expect(hasPermission('cashier', 'sessions.cancel')).toBe(false);
+    expect(hasPermission('cashier', 'sessions.refund')).toBe(false);
+    expect(hasPermission('manager', 'sessions.refund')).toBe(true);
+  });
+
+  it('keeps staff and house settings with the owner', () => {
+    expect(getPermissionsForRole('owner')).toEqual(expect.arrayContaining(['staff.manage', 'house.settings', 'audit.view']));
+    expect(getPermissionsForRole('manager')).not.toContain('staff.manage');
+  });
+
+  it('refuses unknown roles and permissions', () => {
+    expect(hasPermission(undefined, 'sessions.run')).toBe(false);
+    expect(hasPermission('owner', 'sessions.teleport')).toBe(false);
+  });
+});
+
+describe('belongsToHouse', () => {
+  it('compares populated and unpopulated house references', () => {
+    const houseId = new mongoose.Types.ObjectId();
+    const req = { snookerHouse: { _id: houseId } };
+
+    expect(belongsToHouse({ snookerHouse: houseId }, req)).toBe(true);
+    expect(belongsToHouse({ snookerHouse: { _id: houseId } }, req)).toBe(true);
+    expect(belongsToHouse({ snookerHouse: new mongoose.Types.ObjectId() }, req)).toBe(false);
+    expect(belongsToHouse({}, req)).toBe(false);
+  });
+});
+
+describe('requirePermission', () => {
+  const houseRequest = (role) => ({
+    snookerHouse: { _id: new mongoose.Types.ObjectId() },
+    staffRole: role
+  });
+
+  it('passes a role that holds the permission', () => {
+    const next = jest.fn();
+
+    requirePermission('sessions.cancel')(houseRequest('manager'), mockResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('answers 403 naming the missing permission', () => {
+    const next = jest.fn();
+    const res = mockResponse();
+
+    requirePermission('sessions.cancel')(houseRequest('cashier'), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json.mock.calls[0][0]).toMatchObject({ success: false, requiredPermission: 'sessions.cancel' });
+  });
+});
+
+describe('resolveHouseAccess', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const ownedHouse = { _id: new mongoose.Types.ObjectId(), owner: userId };
+  const otherHouse = { _id: new mongoose.Types.ObjectId(), owner: new mongoose.Types.ObjectId() };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('makes the owner of the selected house its owner', async () => {
+    jest.spyOn(SnookerHouse, 'findById').mockResolvedValue(ownedHouse);
+
+    await expect(resolveHouseAccess(userId, ownedHouse._id.toString()))
+      .resolves.toEqual({ snookerHouse: ownedHouse, role: 'owner', staffMember: null });
+  });
+
+  it('gives staff their role in the selected house and nothing in others', async () => {
+    const staffMember = { role: 'cashier' };
+    jest.spyOn(SnookerHouse, 'findById').mockResolvedValue(otherHouse);
+    const findStaff = jest.spyOn(StaffMember, 'findOne').mockResolvedValueOnce(staffMember).mockResolvedValueOnce(null);
+
+    await expect(resolveHouseAccess(userId, otherHouse._id.toString()))
+      .resolves.toEqual({ snookerHouse: otherHouse, role: 'cashier', staffMember });
+    await expect(resolveHouseAccess(userId, otherHouse._id.toString())).resolves.toBeNull();
+    expect(findStaff).toHaveBeenCalledWith({ snookerHouse: otherHouse._id, user: userId, status: 'active' });
+  });
+
+  it('refuses a malformed house ID without looking it up', async () => {
+    const findById = jest.spyOn(SnookerHouse, 'findById');
+
+    await expect(resolveHouseAccess(userId, 'not-an-id')).resolves.toBeNull();
+    expect(findById).not.toHaveBeenCalled();
+  });
+
+  it('falls back to the first owned house, then the first house the user works at', async () => {
+    const workplace = { _id: new mongoose.Types.ObjectId() };
+    jest.spyOn(SnookerHouse, 'findOne')
+      .mockReturnValueOnce({ sort: () => Promise.resolve(ownedHouse) })
+      .mockReturnValueOnce({ sort: () => Promise.resolve(null) });
+    jest.spyOn(StaffMember, 'findActiveForUser').mockResolvedValue({ snookerHouse: workplace, role: 'manager' });
+
+    await expect(resolveHouseAccess(userId)).resolves.toMatchObject({ snookerHouse: ownedHouse, role: 'owner' });
+    await expect(resolveHouseAccess(userId)).resolves.toMatchObject({ snookerHouse: workplace, role: 'manager' });
+  });
+});
+
+describe('houseAccess', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('answers 403 for a house the user does not work at', async () => {
+    jest.spyOn(SnookerHouse, 'findById').mockResolvedValue({ _id: new mongoose.Types.ObjectId(), owner: new mongoose.Types.ObjectId() });
+    jest.spyOn(StaffMember, 'findOne').mockResolvedValue(null);
+    const houseId = new mongoose.Types.ObjectId().toString();
+    const req = { user: { id: new mongoose.Types.ObjectId() }, query: {}, get: () => houseId };
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await houseAccess(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+});
+
+describe('houseFromPath', () => {
+  it('moves the house in the path into the house header', () => {
+    const houseId = new mongoose.Types.ObjectId().toString();
+    const req = { url: `/api/houses/${houseId}/tables?status=active`, headers: {} };
+    const next = jest.fn();
+
+    houseFromPath(req, mockResponse(), next);
+
+    expect(req.url).toBe('/api/tables?status=active');
+    expect(req.headers[HOUSE_HEADER.toLowerCase()]).toBe(houseId);
+    expect(next).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,278 @@
+const Joi = require('joi');
+
+// ===========================================
+// PROMOTION VALIDATION SCHEMAS
+// ===========================================
+
+// Create promotion validation schema
+const createPromotionSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(2)
+    .max(100)
+    .required()
+    .messages({
+      'string.min': 'Promotion name must be at least 2 characters long',
+      'string.max': 'Promotion name cannot exceed 100 characters',
+      'string.empty': 'Promotion name is required',
+      'any.required': 'Promotion name is required'
+    }),
+
+  code: Joi.string()
+    .trim()
+    .uppercase()
+    .pattern(/^[A-Z0-9_-]+$/)
+    .min(3)
+    .max(30)
+    .optional()
+    .allow(null)
+    .messages({
+      'string.pattern.base': 'Promo code can only contain letters, numbers, dashes and underscores',
+      'string.min': 'Promo code must be at least 3 characters long',
+      'string.max': 'Promo code cannot exceed 30 characters'
+    }),
+
+  description: Joi.string()
+    .trim()
+    .max(300)
+    .optional()
+    .allow('')
+    .messages({
+      'string.max': 'Description cannot exceed 300 characters'
+    }),
+
+  type: Joi.string()
+    .valid('percentage', 'fixed_amount', 'free_minutes', 'item')
+    .required()
+    .messages({
+      'any.only': 'Type must be percentage, fixed_amount, free_minutes, or item',
+      'any.required': 'Promotion type is required'
+    }),
+
+  value: Joi.when('type', {
+    is: 'percentage',
+    then: Joi.number().greater(0).max(100).required(),
+    otherwise: Joi.when('type', {
+      is: 'free_minutes',
+      then: Joi.number().integer().min(1).max(1440).required(),
+      otherwise: Joi.number().greater(0).max(100000).required()
+    })
+  }).messages({
+    'number.greater': 'Promotion value must be greater than 0',
+    'number.max': 'Promotion value is too large (percentages cannot exceed 100)',
+    'number.integer': 'Free minutes must be a whole number',
+    'any.required': 'Promotion value is required'
+  }),
+
+  products: Joi.when('type', {
+    is: 'item',
+    then: Joi.array()
+      .items(Joi.string())
+      .min(1)
+      .required()
+      .messages({
+        'array.min': 'Item promotions must cover at least one product',
+        'any.required': 'Products are required for item promotions'
+      }),
+    otherwise: Joi.forbidden()
+  }),
+
+  itemDiscountMode: Joi.when('type', {
+    is: 'item',
+    then: Joi.string()
+      .valid('percentage', 'fixed_amount')
+      .optional()
+      .default('percentage')
+      .messages({
+        'any.only': 'Item discount mode must be percentage or fixed_amount'
+      }),
+    otherwise: Joi.forbidden()
+  }),
+
+  maxDiscountAmount: Joi.number()
+    .min(0)
+    .optional()
+    .allow(null)
+    .messages({
+      'number.min': 'Maximum discount cannot be negative'
+    }),
+
+  minimumSpend: Joi.number()
+    .min(0)
+    .optional()
+    .messages({
+      'number.min': 'Minimum spend cannot be negative'
+    }),
+
+  appliesTo: Joi.string()
+    .valid('sessions', 'sales', 'both')
+    .optional()
+    .messages({
+      'any.only': 'Applies to must be sessions, sales, or both'
+    }),
+
+  validFrom: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.base': 'Valid from must be a valid date'
+    }),
+
+  validUntil: Joi.date()
+    .iso()
+    .optional()
+    .allow(null)
+    .when('validFrom', {
+      is: Joi.exist(),
+      then: Joi.date().greater(Joi.ref('validFrom'))
+    })
+    .messages({
+      'date.base': 'Valid until must be a valid date',
+      'date.greater': 'Valid until must be after valid from'
+    }),
+
+  usageLimit: Joi.number()
+    .integer()
+    .min(1)
+    .optional()
+    .allow(null)
+    .messages({
+      'number.min': 'Usage limit must be at least 1',
+      'number.integer': 'Usage limit must be a whole number'
+    }),
+
+  perCustomerLimit: Joi.number()
+    .integer()
+    .min(1)
+    .optional()
+    .allow(null)
+    .messages({
+      'number.min': 'Per-customer limit must be at least 1',
+      'number.integer': 'Per-customer limit must be a whole number'
+    })
+});
+
+// Update promotion validation schema (discount definition is fixed once created)
+const updatePromotionSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(2)
+    .max(100)
+    .optional()
+    .messages({
+      'string.min': 'Promotion name must be at least 2 characters long',
+      'string.max': 'Promotion name cannot exceed 100 characters'
+    }),
+
+  description: Joi.string()
+    .trim()
+    .max(300)
+    .optional()
+    .allow('')
+    .messages({
+      'string.max': 'Description cannot exceed 300 characters'
+    }),
+
+  validFrom: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.base': 'Valid from must be a valid date'
+    }),
+
+  validUntil: Joi.date()
+    .iso()
+    .optional()
+    .allow(null)
+    .messages({
+      'date.base': 'Valid until must be a valid date'
+    }),
+
+  usageLimit: Joi.number()
+    .integer()
+    .min(1)
+    .optional()
+    .allow(null)
+    .messages({
+      'number.min': 'Usage limit must be at least 1',
+      'number.integer': 'Usage limit must be a whole number'
+    }),
+
+  perCustomerLimit: Joi.number()
+    .integer()
+    .min(1)
+    .optional()
+    .allow(null)
+    .messages({
+      'number.min': 'Per-customer limit must be at least 1',
+      'number.integer': 'Per-customer limit must be a whole number'
+    }),
+
+  isActive: Joi.boolean().optional()
+});
+
+// Apply promotion to a session validation schema
+const applyPromotionSchema = Joi.object({
+  promoCode: Joi.string()
+    .trim()
+    .max(30)
+    .messages({
+      'string.max': 'Promo code cannot exceed 30 characters'
+    }),
+
+  promotionId: Joi.string()
+}).xor('promoCode', 'promotionId')
+  .messages({
+    'object.missing': 'Promo code or promotion ID is required',
+    'object.xor': 'Provide either a promo code or a promotion ID, not both'
+  });
+
+// ===========================================
+// VALIDATION MIDDLEWARE FUNCTION
+// ===========================================
+
+// Middleware function to validate request body
+const validate = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body, {
+      abortEarly: false, // Return all validation errors
+      allowUnknown: false, // Don't allow unknown fields
+      stripUnknown: true // Remove unknown fields
+    });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    // Replace req.body with validated and sanitized data
+    req.body = value;
+    next();
+  };
+};
+
+// ===========================================
+// EXPORTED VALIDATION MIDDLEWARES
+// ===========================================
+
+module.exports = {
+  // Promotion validations
+  validateCreatePromotion: validate(createPromotionSchema),
+  validateUpdatePromotion: validate(updatePromotionSchema),
+  validateApplyPromotion: validate(applyPromotionSchema),
+
+  // Export schemas for testing
+  schemas: {
+    createPromotionSchema,
+    updatePromotionSchema,
+    applyPromotionSchema
+  }
+};
@@ -0,0 +1,123 @@
+const Joi = require('joi');
+
+// ===========================================
+// SHIFT VALIDATION SCHEMAS
+// ===========================================
+
+const notes = Joi.string()
+  .trim()
+  .max(500)
+  .allow('')
+  .optional()
+  .messages({
+    'string.max': 'Notes cannot exceed 500 characters'
+  });
+
+// Open shift validation schema
+const openShiftSchema = Joi.object({
+  openingFloat: Joi.number()
+    .min(0)
+    .required()
+    .messages({
+      'number.base': 'Opening float must be a number',
+      'number.min': 'Opening float cannot be negative',
+      'any.required': 'Opening float is required'
+    }),
+
+  notes
+});
+
+// Cash in / cash out validation schema
+const cashMovementSchema = Joi.object({
+  type: Joi.string()
+    .valid('in', 'out')
+    .required()
+    .messages({
+      'any.only': 'Type must be in or out',
+      'any.required': 'Type is required'
+    }),
+
+  amount: Joi.number()
+    .positive()
+    .required()
+    .messages({
+      'number.base': 'Amount must be a number',
+      'number.positive': 'Amount must be greater than 0',
+      'any.required': 'Amount is required'
+    }),
+
+  reason: Joi.string()
+    .trim()
+    .min(2)
+    .max(200)
+    .required()
+    .messages({
+      'string.min': 'Reason must be at least 2 characters',
+      'string.max': 'Reason cannot exceed 200 characters',
+      'any.required': 'Reason is required'
+    })
+});
+
+// Close shift validation schema
+const closeShiftSchema = Joi.object({
+  countedCash: Joi.number()
+    .min(0)
+    .required()
+    .messages({
+      'number.base': 'Counted cash must be a number',
+      'number.min': 'Counted cash cannot be negative',
+      'any.required': 'Counted cash is required'
+    }),
+
+  notes
+});
+
+// ===========================================
+// VALIDATION MIDDLEWARE FUNCTION
+// ===========================================
+
+// Middleware function to validate request body
+const validate = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body, {
+      abortEarly: false, // Return all validation errors
+      allowUnknown: false, // Don't allow unknown fields
+      stripUnknown: true // Remove unknown fields
+    });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    // Replace req.body with validated and sanitized data
+    req.body = value;
+    next();
+  };
+};
+
+// ===========================================
+// EXPORTED VALIDATION MIDDLEWARES
+// ===========================================
+
+module.exports = {
+  // Shift validations
+  validateOpenShift: validate(openShiftSchema),
+  validateCashMovement: validate(cashMovementSchema),
+  validateCloseShift: validate(closeShiftSchema),
+
+  // Export schemas for testing
+  schemas: {
+    openShiftSchema,
+    cashMovementSchema,
+    closeShiftSchema
+  }
+};
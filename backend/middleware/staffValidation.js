@@ -0,0 +1,242 @@
+const Joi = require('joi');
+
+// ===========================================
+// STAFF VALIDATION SCHEMAS
+// ===========================================
+
+// Staff roles (the owner role comes from owning the snooker house)
+const staffRole = Joi.string()
+  .valid('manager', 'cashier')
+  .messages({
+    'any.only': 'Role must be manager or cashier'
+  });
+
+// Add staff member validation schema (user must already have an account)
+const addStaffSchema = Joi.object({
+  email: Joi.string()
+    .email()
+    .lowercase()
+    .trim()
+    .required()
+    .messages({
+      'string.email': 'Please enter a valid email address',
+      'any.required': 'Staff email is required'
+    }),
+
+  role: staffRole.required().messages({
+    'any.required': 'Staff role is required'
+  })
+});
+
+// Update staff member validation schema
+const updateStaffSchema = Joi.object({
+  role: staffRole.optional(),
+
+  status: Joi.string()
+    .valid('active', 'suspended')
+    .optional()
+    .messages({
+      'any.only': 'Status must be active or suspended'
+    }),
+
+  // Pay rates (NPR per hour)
+  hourlyRate: Joi.number()
+    .min(0)
+    .max(100000)
+    .optional()
+    .messages({
+      'number.base': 'Hourly rate must be a number',
+      'number.min': 'Hourly rate cannot be negative'
+    }),
+
+  // null = hourly rate x the house overtime multiplier
+  overtimeRate: Joi.number()
+    .min(0)
+    .max(100000)
+    .allow(null)
+    .optional()
+    .messages({
+      'number.base': 'Overtime rate must be a number',
+      'number.min': 'Overtime rate cannot be negative'
+    })
+}).min(1).messages({
+  'object.min': 'Provide a role, status or pay rate to update'
+});
+
+// Invite staff validation schema (they may not have an account yet)
+const inviteStaffSchema = Joi.object({
+  email: Joi.string()
+    .email()
+    .lowercase()
+    .trim()
+    .required()
+    .messages({
+      'string.email': 'Please enter a valid email address',
+      'any.required': 'Invitee email is required'
+    }),
+
+  role: staffRole.required().messages({
+    'any.required': 'Staff role is required'
+  })
+});
+
+// Accept invitation validation schema (name and password only needed for a new account)
+const acceptInvitationSchema = Joi.object({
+  email: Joi.string()
+    .email()
+    .lowercase()
+    .trim()
+    .required()
+    .messages({
+      'string.email': 'Please enter a valid email address',
+      'any.required': 'Email is required'
+    }),
+
+  otp: Joi.string()
+    .length(6)
+    .pattern(/^\d+$/)
+    .required()
+    .messages({
+      'string.length': 'Invitation code must be 6 digits',
+      'string.pattern.base': 'Invitation code must contain only numbers',
+      'any.required': 'Invitation code is required'
+    }),
+
+  firstName: Joi.string()
+    .trim()
+    .min(2)
+    .max(50)
+    .pattern(/^[a-zA-Z\s]+$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'First name should only contain letters and spaces',
+      'string.min': 'First name must be at least 2 characters long',
+      'string.max': 'First name cannot exceed 50 characters'
+    }),
+
+  lastName: Joi.string()
+    .trim()
+    .min(2)
+    .max(50)
+    .pattern(/^[a-zA-Z\s]+$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Last name should only contain letters and spaces',
+      'string.min': 'Last name must be at least 2 characters long',
+      'string.max': 'Last name cannot exceed 50 characters'
+    }),
+
+  password: Joi.string()
+    .min(6)
+    .max(128)
+    .optional()
+    .messages({
+      'string.min': 'Password must be at least 6 characters long',
+      'string.max': 'Password cannot exceed 128 characters'
+    }),
+
+  confirmPassword: Joi.string()
+    .valid(Joi.ref('password'))
+    .when('password', { is: Joi.exist(), then: Joi.required() })
+    .messages({
+      'any.only': 'Passwords do not match',
+      'any.required': 'Please confirm your password'
+    }),
+
+  rememberMe: Joi.boolean().optional()
+});
+
+// Invitation list query validation schema
+const invitationQuerySchema = Joi.object({
+  status: Joi.string()
+    .valid('pending', 'expired', 'accepted', 'revoked', 'all')
+    .optional()
+    .default('pending')
+    .messages({
+      'any.only': 'Status must be one of: pending, expired, accepted, revoked, all'
+    })
+});
+
+// ===========================================
+// VALIDATION MIDDLEWARE FUNCTION
+// ===========================================
+
+// Middleware function to validate request body
+const validate = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body, {
+      abortEarly: false, // Return all validation errors
+      allowUnknown: false, // Don't allow unknown fields
+      stripUnknown: true // Remove unknown fields
+    });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    // Replace req.body with validated and sanitized data
+    req.body = value;
+    next();
+  };
+};
+
+// Middleware function to validate query parameters
+const validateQuery = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.query, {
+      abortEarly: false, // Return all validation errors
+      allowUnknown: false, // Don't allow unknown fields
+      stripUnknown: true // Remove unknown fields
+    });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Query validation error',
+        errors
+      });
+    }
+
+    // Replace req.query with validated and sanitized data
+    req.query = value;
+    next();
+  };
+};
+
+// ===========================================
+// EXPORTED VALIDATION MIDDLEWARES
+// ===========================================
+
+module.exports = {
+  // Staff validations
+  validateAddStaff: validate(addStaffSchema),
+  validateUpdateStaff: validate(updateStaffSchema),
+
+  // Invitation validations
+  validateInviteStaff: validate(inviteStaffSchema),
+  validateAcceptInvitation: validate(acceptInvitationSchema),
+  validateInvitationQuery: validateQuery(invitationQuerySchema),
+
+  // Export schemas for testing
+  schemas: {
+    addStaffSchema,
+    updateStaffSchema,
+    inviteStaffSchema,
+    acceptInvitationSchema,
+    invitationQuerySchema
+  }
+};
@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { APPROVAL_ACTIONS } = require('../services/approvalService');
 
 // ===========================================
 // AUTH VALIDATION SCHEMAS
@@ -248,10 +249,225 @@ const updateSnookerHouseSchema = Joi.object({
     })
 });
 
+// VAT / service charge settings validation schema
+const updateTaxSettingsSchema = Joi.object({
+  panNumber: Joi.string()
+    .trim()
+    .pattern(/^\d{9}$/)
+    .optional()
+    .allow('')
+    .messages({
+      'string.pattern.base': 'PAN/VAT number must be exactly 9 digits'
+    }),
+
+  vatEnabled: Joi.boolean().optional(),
+
+  vatRate: Joi.number()
+    .min(0)
+    .max(100)
+    .optional()
+    .messages({
+      'number.min': 'VAT rate cannot be negative',
+      'number.max': 'VAT rate cannot exceed 100%'
+    }),
+
+  serviceChargeEnabled: Joi.boolean().optional(),
+
+  serviceChargeRate: Joi.number()
+    .min(0)
+    .max(100)
+    .optional()
+    .messages({
+      'number.min': 'Service charge rate cannot be negative',
+      'number.max': 'Service charge rate cannot exceed 100%'
+    }),
+
+  pricesIncludeTax: Joi.boolean().optional(),
+
+  applyToGame: Joi.boolean().optional(),
+
+  applyToItems: Joi.boolean().optional(),
+
+  invoicePrefix: Joi.string()
+    .trim()
+    .uppercase()
+    .pattern(/^[A-Z0-9-]+$/)
+    .min(1)
+    .max(10)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Invoice prefix can only contain letters, numbers and dashes',
+      'string.max': 'Invoice prefix cannot exceed 10 characters'
+    })
+}).min(1)
+  .messages({
+    'object.min': 'At least one tax setting is required'
+  });
+
+// Loyalty points settings validation schema
+const updateLoyaltySettingsSchema = Joi.object({
+  enabled: Joi.boolean().optional(),
+
+  gamePointsPer100: Joi.number()
+    .min(0)
+    .max(100)
+    .optional()
+    .messages({
+      'number.min': 'Earn rate cannot be negative',
+      'number.max': 'Earn rate cannot exceed 100 points per NPR 100'
+    }),
+
+  itemPointsPer100: Joi.number()
+    .min(0)
+    .max(100)
+    .optional()
+    .messages({
+      'number.min': 'Earn rate cannot be negative',
+      'number.max': 'Earn rate cannot exceed 100 points per NPR 100'
+    }),
+
+  pointValue: Joi.number()
+    .min(0.01)
+    .max(1000)
+    .optional()
+    .messages({
+      'number.min': 'Point value must be at least NPR 0.01'
+    }),
+
+  minRedeemPoints: Joi.number()
+    .integer()
+    .min(0)
+    .optional()
+    .messages({
+      'number.min': 'Minimum redemption cannot be negative'
+    }),
+
+  expiryDays: Joi.number()
+    .integer()
+    .min(0)
+    .max(3650)
+    .optional()
+    .messages({
+      'number.min': 'Expiry days cannot be negative',
+      'number.max': 'Expiry cannot exceed 10 years'
+    })
+}).min(1)
+  .messages({
+    'object.min': 'At least one loyalty setting is required'
+  });
+
+// Staff payroll settings validation schema
+const updatePayrollSettingsSchema = Joi.object({
+  overtimeAfterHours: Joi.number()
+    .min(0)
+    .max(24)
+    .optional()
+    .messages({
+      'number.min': 'Overtime threshold cannot be negative',
+      'number.max': 'Overtime threshold cannot exceed 24 hours'
+    }),
+
+  overtimeMultiplier: Joi.number()
+    .min(1)
+    .max(5)
+    .optional()
+    .messages({
+      'number.min': 'Overtime multiplier cannot be less than 1',
+      'number.max': 'Overtime multiplier cannot exceed 5'
+    }),
+
+  paidBreaks: Joi.boolean().optional()
+}).min(1)
+  .messages({
+    'object.min': 'At least one payroll setting is required'
+  });
+
+// Manager approval settings validation schema
+const updateApprovalSettingsSchema = Joi.object({
+  enabled: Joi.boolean().optional(),
+
+  actions: Joi.array()
+    .items(Joi.string().valid(...Object.keys(APPROVAL_ACTIONS)))
+    .unique()
+    .optional()
+    .messages({
+      'any.only': `Actions must be from: ${Object.keys(APPROVAL_ACTIONS).join(', ')}`,
+      'array.unique': 'Actions cannot be listed twice'
+    }),
+
+  tokenMinutes: Joi.number()
+    .integer()
+    .min(1)
+    .max(60)
+    .optional()
+    .messages({
+      'number.min': 'Approval tokens must last at least 1 minute',
+      'number.max': 'Approval tokens cannot last more than 60 minutes'
+    })
+}).min(1)
+  .messages({
+    'object.min': 'At least one approval setting is required'
+  });
+
 // ===========================================
 // TABLE VALIDATION SCHEMAS
 // ===========================================
 
+// Time-of-day / weekday pricing rule (per_minute tables)
+const pricingRuleSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(1)
+    .max(50)
+    .required()
+    .messages({
+      'string.max': 'Rule name cannot exceed 50 characters',
+      'string.empty': 'Rule name is required',
+      'any.required': 'Rule name is required'
+    }),
+
+  daysOfWeek: Joi.array()
+    .items(Joi.number().integer().min(0).max(6))
+    .unique()
+    .optional()
+    .default([])
+    .messages({
+      'number.min': 'Days of week must be between 0 (Sunday) and 6 (Saturday)',
+      'number.max': 'Days of week must be between 0 (Sunday) and 6 (Saturday)',
+      'array.unique': 'Days of week cannot contain duplicates'
+    }),
+
+  startTime: Joi.string()
+    .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Rule start time must be in HH:mm format',
+      'any.required': 'Rule start time is required'
+    }),
+
+  endTime: Joi.string()
+    .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .invalid(Joi.ref('startTime'))
+    .required()
+    .messages({
+      'string.pattern.base': 'Rule end time must be in HH:mm format',
+      'any.invalid': 'Rule end time must differ from start time',
+      'any.required': 'Rule end time is required'
+    }),
+
+  minuteRate: Joi.number()
+    .min(0)
+    .max(10000)
+    .required()
+    .messages({
+      'number.min': 'Rule rate cannot be negative',
+      'number.max': 'Rule rate cannot exceed 10,000',
+      'any.required': 'Rule rate is required'
+    }),
+
+  isActive: Joi.boolean().optional().default(true)
+});
+
 // Create table validation schema
 const createTableSchema = Joi.object({
   tableNumber: Joi.number()
@@ -276,6 +492,13 @@ const createTableSchema = Joi.object({
       'string.empty': 'Table name is required'
     }),
   
+  tableType: Joi.string()
+    .valid('snooker', 'pool', 'billiards')
+    .optional()
+    .messages({
+      'any.only': 'Table type must be snooker, pool or billiards'
+    }),
+  
   pricingMethod: Joi.string()
     .valid('per_minute', 'frame_kitti')
     .required()
@@ -328,6 +551,19 @@ const createTableSchema = Joi.object({
     otherwise: Joi.forbidden()
   }),
   
+  // Optional time-of-day rules (per_minute only)
+  pricingRules: Joi.when('pricingMethod', {
+    is: 'per_minute',
+    then: Joi.array()
+      .items(pricingRuleSchema)
+      .max(20)
+      .optional()
+      .messages({
+        'array.max': 'A table cannot have more than 20 pricing rules'
+      }),
+    otherwise: Joi.forbidden()
+  }),
+  
   description: Joi.string()
     .trim()
     .max(200)
@@ -350,6 +586,13 @@ const updateTableSchema = Joi.object({
       'string.max': 'Table name cannot exceed 50 characters'
     }),
   
+  tableType: Joi.string()
+    .valid('snooker', 'pool', 'billiards')
+    .optional()
+    .messages({
+      'any.only': 'Table type must be snooker, pool or billiards'
+    }),
+  
   pricingMethod: Joi.string()
     .valid('per_minute', 'frame_kitti')
     .optional()
@@ -422,6 +665,15 @@ const updateTableSchema = Joi.object({
       })
   }),
   
+  // Replaces the table's time-of-day rules (per_minute only)
+  pricingRules: Joi.array()
+    .items(pricingRuleSchema)
+    .max(20)
+    .optional()
+    .messages({
+      'array.max': 'A table cannot have more than 20 pricing rules'
+    }),
+  
   status: Joi.string()
     .valid('active', 'maintenance', 'inactive')
     .optional()
@@ -445,20 +697,43 @@ const updateTableSchema = Joi.object({
 
 // Start session validation schema with OPTIONAL customer name
 const startSessionSchema = Joi.object({
+  // Table can be taken from the booking when starting a reserved session
   tableId: Joi.string()
-    .required()
+    .when('bookingId', {
+      is: Joi.exist(),
+      then: Joi.optional(),
+      otherwise: Joi.required()
+    })
     .messages({
       'any.required': 'Table ID is required'
     }),
   
-  // Customer name completely optional with default
+  bookingId: Joi.string()
+    .optional()
+    .messages({
+      'string.base': 'Booking ID must be a string'
+    }),
+  
+  // Seat a party from the walk-in waitlist (name, phone and customer come from the entry)
+  waitlistEntryId: Joi.string()
+    .optional()
+    .messages({
+      'string.base': 'Waitlist entry ID must be a string'
+    }),
+  
+  // Counter staff override for walk-ins on a table with an imminent reservation,
+  // or for seating a booking earlier than its start time allows
+  overrideReservation: Joi.boolean()
+    .optional()
+    .default(false),
+  
+  // Customer name completely optional (controller falls back to the booking name or Guest)
   customerName: Joi.string()
     .trim()
     .min(1)
     .max(100)
     .optional()
     .allow('')
-    .default('Guest')
     .messages({
       'string.min': 'Customer name must be at least 1 character long',
       'string.max': 'Customer name cannot exceed 100 characters'
@@ -473,6 +748,12 @@ const startSessionSchema = Joi.object({
       'string.max': 'Phone number cannot exceed 20 characters'
     }),
   
+  // Registered customer picked from autocomplete (name / phone come from the record)
+  customerId: Joi.string().optional(),
+
+  // Register the phone as a new customer when no customer has it yet
+  createCustomer: Joi.boolean().optional().default(false),
+  
   notes: Joi.string()
     .trim()
     .max(500)
@@ -533,10 +814,10 @@ const confirmPaymentSchema = Joi.object({
   paymentMethod: Joi.when('paymentStatus', {
     is: 'paid',
     then: Joi.string()
-      .valid('esewa', 'online_banking', 'cash')
+      .valid('esewa', 'online_banking', 'cash', 'points', 'wallet')
       .required()
       .messages({
-        'any.only': 'Payment method must be "esewa", "online_banking", or "cash"',
+        'any.only': 'Payment method must be "esewa", "online_banking", "cash", "points", or "wallet"',
         'any.required': 'Payment method is required when payment status is "paid"'
       }),
     otherwise: Joi.forbidden()
@@ -591,6 +872,280 @@ const addItemToSessionSchema = Joi.object({
       'number.max': 'Quantity cannot exceed 100',
       'number.integer': 'Quantity must be a whole number',
       'any.required': 'Quantity is required'
+    }),
+  
+  // Charge the item to one player of a split bill (omit for shared items)
+  playerId: Joi.string()
+    .optional()
+    .allow(null)
+});
+
+// Transfer session to another table validation schema
+const transferSessionSchema = Joi.object({
+  tableId: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Destination table ID is required'
+    }),
+  
+  // Take the table even if a reservation is about to start on it
+  overrideReservation: Joi.boolean()
+    .optional()
+    .default(false),
+  
+  notes: Joi.string()
+    .trim()
+    .max(200)
+    .optional()
+    .allow('')
+    .messages({
+      'string.max': 'Transfer notes cannot exceed 200 characters'
+    })
+});
+
+// Add player to session validation schema
+const addPlayerSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .required()
+    .messages({
+      'string.max': 'Player name cannot exceed 100 characters',
+      'string.empty': 'Player name is required',
+      'any.required': 'Player name is required'
+    }),
+  
+  phone: Joi.string()
+    .trim()
+    .max(20)
+    .optional()
+    .allow('')
+    .messages({
+      'string.max': 'Phone number cannot exceed 20 characters'
+    }),
+  
+  customShare: Joi.number()
+    .min(0)
+    .max(100)
+    .optional()
+    .messages({
+      'number.min': 'Custom share cannot be negative',
+      'number.max': 'Custom share cannot exceed 100'
+    })
+});
+
+// Update bill split validation schema
+const updateSplitSchema = Joi.object({
+  splitMethod: Joi.string()
+    .valid('even', 'frames_lost', 'custom', 'loser_pays')
+    .allow(null)
+    .required()
+    .messages({
+      'any.only': 'Split method must be even, frames_lost, custom, or loser_pays',
+      'any.required': 'Split method is required'
+    }),
+  
+  players: Joi.array()
+    .items(Joi.object({
+      playerId: Joi.string().required().messages({
+        'any.required': 'Player ID is required'
+      }),
+      framesLost: Joi.number()
+        .integer()
+        .min(0)
+        .optional()
+        .messages({
+          'number.min': 'Frames lost cannot be negative',
+          'number.integer': 'Frames lost must be a whole number'
+        }),
+      customShare: Joi.number()
+        .min(0)
+        .max(100)
+        .optional()
+        .messages({
+          'number.min': 'Custom share cannot be negative',
+          'number.max': 'Custom share cannot exceed 100'
+        })
+    }))
+    .optional()
+});
+
+// Assign session item to player validation schema
+const assignItemPlayerSchema = Joi.object({
+  playerId: Joi.string()
+    .allow(null)
+    .required()
+    .messages({
+      'any.required': 'Player ID is required (use null for a shared item)'
+    })
+});
+
+// Log a frame/kitti validation schema
+const logGameSchema = Joi.object({
+  type: Joi.string()
+    .valid('frame', 'kitti')
+    .optional()
+    .default('frame')
+    .messages({
+      'any.only': 'Game type must be "frame" or "kitti"'
+    }),
+  
+  // Everyone who played the game (winner and loser are always included)
+  playerIds: Joi.array()
+    .items(Joi.string())
+    .optional(),
+  
+  winnerId: Joi.string()
+    .optional()
+    .allow(null),
+  
+  loserId: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Loser is required'
+    })
+});
+
+// Correct a logged game validation schema
+const correctGameSchema = Joi.object({
+  playerIds: Joi.array()
+    .items(Joi.string())
+    .optional(),
+  
+  winnerId: Joi.string()
+    .optional()
+    .allow(null),
+  
+  loserId: Joi.string()
+    .optional(),
+  
+  note: Joi.string()
+    .trim()
+    .max(200)
+    .required()
+    .messages({
+      'string.max': 'Correction note cannot exceed 200 characters',
+      'string.empty': 'Correction note is required',
+      'any.required': 'Correction note is required'
+    })
+}).or('playerIds', 'winnerId', 'loserId');
+
+// Void a logged game validation schema
+const voidGameSchema = Joi.object({
+  reason: Joi.string()
+    .trim()
+    .max(200)
+    .required()
+    .messages({
+      'string.max': 'Void reason cannot exceed 200 characters',
+      'string.empty': 'Void reason is required',
+      'any.required': 'Void reason is required'
+    })
+});
+
+// Player payment validation schema
+const playerPaymentSchema = Joi.object({
+  paymentMethod: Joi.string()
+    .valid('esewa', 'online_banking', 'cash', 'points', 'wallet')
+    .required()
+    .messages({
+      'any.only': 'Payment method must be "esewa", "online_banking", "cash", "points", or "wallet"',
+      'any.required': 'Payment method is required'
+    }),
+  
+  // Defaults to the player's outstanding share
+  amount: Joi.number()
+    .positive()
+    .optional()
+    .messages({
+      'number.positive': 'Payment amount must be greater than 0'
+    }),
+  
+  transactionId: Joi.string()
+    .trim()
+    .max(100)
+    .optional()
+    .allow('')
+    .messages({
+      'string.max': 'Transaction ID cannot exceed 100 characters'
+    }),
+  
+  paymentNotes: Joi.string()
+    .trim()
+    .max(200)
+    .optional()
+    .allow('')
+    .messages({
+      'string.max': 'Payment notes cannot exceed 200 characters'
+    })
+});
+
+// Refund / payment reversal validation schema
+const refundSessionSchema = Joi.object({
+  reason: Joi.string()
+    .trim()
+    .min(3)
+    .max(300)
+    .required()
+    .messages({
+      'string.min': 'Refund reason must be at least 3 characters long',
+      'string.max': 'Refund reason cannot exceed 300 characters',
+      'string.empty': 'Refund reason is required',
+      'any.required': 'Refund reason is required'
+    }),
+  
+  // Defaults to the value of returned items or the payment being reversed
+  amount: Joi.number()
+    .positive()
+    .optional()
+    .messages({
+      'number.positive': 'Refund amount must be greater than 0'
+    }),
+  
+  // Payment to reverse (refund goes back through the same method)
+  paymentId: Joi.string().optional(),
+  
+  method: Joi.when('paymentId', {
+    is: Joi.exist(),
+    then: Joi.string().valid('esewa', 'online_banking', 'cash').optional(),
+    otherwise: Joi.string().valid('esewa', 'online_banking', 'cash').required()
+  }).messages({
+    'any.only': 'Refund method must be "esewa", "online_banking", or "cash"',
+    'any.required': 'Refund method is required unless reversing a payment'
+  }),
+  
+  items: Joi.array()
+    .items(Joi.object({
+      itemId: Joi.string().required().messages({
+        'any.required': 'Item ID is required'
+      }),
+      quantity: Joi.number().integer().min(1).required().messages({
+        'number.min': 'Quantity must be at least 1',
+        'number.integer': 'Quantity must be a whole number',
+        'any.required': 'Quantity is required'
+      })
+    }))
+    .optional(),
+  
+  restock: Joi.boolean().optional().default(false),
+  
+  transactionId: Joi.string()
+    .trim()
+    .max(100)
+    .optional()
+    .allow('')
+    .messages({
+      'string.max': 'Transaction ID cannot exceed 100 characters'
+    }),
+  
+  notes: Joi.string()
+    .trim()
+    .max(200)
+    .optional()
+    .allow('')
+    .messages({
+      'string.max': 'Refund notes cannot exceed 200 characters'
     })
 });
 
@@ -642,6 +1197,10 @@ module.exports = {
   // Snooker house validations
   validateCreateSnookerHouse: validate(createSnookerHouseSchema),
   validateUpdateSnookerHouse: validate(updateSnookerHouseSchema),
+  validateUpdateTaxSettings: validate(updateTaxSettingsSchema),
+  validateUpdateLoyaltySettings: validate(updateLoyaltySettingsSchema),
+  validateUpdatePayrollSettings: validate(updatePayrollSettingsSchema),
+  validateUpdateApprovalSettings: validate(updateApprovalSettingsSchema),
   
   // Table validations
   validateCreateTable: validate(createTableSchema),
@@ -651,6 +1210,7 @@ module.exports = {
   validateStartSession: validate(startSessionSchema),
   validateUpdateSession: validate(updateSessionSchema),
   validateEndSession: validate(endSessionSchema),
+  validateTransferSession: validate(transferSessionSchema),
   
   // Session item validations
   validateAddItemToSession: validate(addItemToSessionSchema),
@@ -658,6 +1218,20 @@ module.exports = {
   // 🆕 NEW: Payment validation
   validateConfirmPayment: validate(confirmPaymentSchema),
   
+  // Split bill validations
+  validateAddPlayer: validate(addPlayerSchema),
+  validateUpdateSplit: validate(updateSplitSchema),
+  validateAssignItemPlayer: validate(assignItemPlayerSchema),
+  validatePlayerPayment: validate(playerPaymentSchema),
+  
+  // Frame log validations
+  validateLogGame: validate(logGameSchema),
+  validateCorrectGame: validate(correctGameSchema),
+  validateVoidGame: validate(voidGameSchema),
+  
+  // Refund validation
+  validateRefundSession: validate(refundSessionSchema),
+  
   // Export schemas for testing
   schemas: {
     signupSchema,
@@ -668,12 +1242,25 @@ module.exports = {
     changePasswordSchema,
     createSnookerHouseSchema,
     updateSnookerHouseSchema,
+    updateTaxSettingsSchema,
+    updateLoyaltySettingsSchema,
+    updatePayrollSettingsSchema,
+    updateApprovalSettingsSchema,
     createTableSchema,
     updateTableSchema,
     startSessionSchema,
     updateSessionSchema,
     endSessionSchema,
+    transferSessionSchema,
     addItemToSessionSchema,
-    confirmPaymentSchema // 🆕 NEW: Payment schema
+    confirmPaymentSchema, // 🆕 NEW: Payment schema
+    addPlayerSchema,
+    updateSplitSchema,
+    assignItemPlayerSchema,
+    playerPaymentSchema,
+    logGameSchema,
+    correctGameSchema,
+    voidGameSchema,
+    refundSessionSchema
   }
 };
\ No newline at end of file
@@ -0,0 +1,185 @@
+const Joi = require('joi');
+
+// ===========================================
+// WAITLIST VALIDATION SCHEMAS
+// ===========================================
+
+const tableType = Joi.string()
+  .valid('snooker', 'pool', 'billiards')
+  .optional()
+  .allow(null)
+  .messages({
+    'any.only': 'Table type must be snooker, pool or billiards'
+  });
+
+// Add to waitlist validation schema (registered customer or name)
+const addToWaitlistSchema = Joi.object({
+  customerId: Joi.string().optional(),
+
+  customerName: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .when('customerId', {
+      is: Joi.exist(),
+      then: Joi.optional(),
+      otherwise: Joi.required()
+    })
+    .messages({
+      'string.max': 'Customer name cannot exceed 100 characters',
+      'string.empty': 'Customer name is required',
+      'any.required': 'Customer name is required'
+    }),
+
+  customerPhone: Joi.string()
+    .trim()
+    .max(20)
+    .optional()
+    .allow('')
+    .messages({
+      'string.max': 'Phone number cannot exceed 20 characters'
+    }),
+
+  partySize: Joi.number()
+    .integer()
+    .min(1)
+    .max(20)
+    .optional()
+    .messages({
+      'number.min': 'Party size must be at least 1',
+      'number.max': 'Party size cannot exceed 20'
+    }),
+
+  preferredTableType: tableType,
+
+  holdMinutes: Joi.number()
+    .integer()
+    .min(1)
+    .max(60)
+    .optional()
+    .messages({
+      'number.min': 'Hold time must be at least 1 minute',
+      'number.max': 'Hold time cannot exceed 60 minutes'
+    }),
+
+  notes: Joi.string()
+    .trim()
+    .max(300)
+    .optional()
+    .allow('')
+    .messages({
+      'string.max': 'Notes cannot exceed 300 characters'
+    })
+});
+
+// Update waitlist entry validation schema
+const updateWaitlistEntrySchema = Joi.object({
+  customerName: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .optional()
+    .messages({
+      'string.max': 'Customer name cannot exceed 100 characters'
+    }),
+
+  customerPhone: Joi.string()
+    .trim()
+    .max(20)
+    .optional()
+    .allow('')
+    .messages({
+      'string.max': 'Phone number cannot exceed 20 characters'
+    }),
+
+  partySize: Joi.number()
+    .integer()
+    .min(1)
+    .max(20)
+    .optional()
+    .messages({
+      'number.min': 'Party size must be at least 1',
+      'number.max': 'Party size cannot exceed 20'
+    }),
+
+  preferredTableType: tableType,
+
+  notes: Joi.string()
+    .trim()
+    .max(300)
+    .optional()
+    .allow('')
+    .messages({
+      'string.max': 'Notes cannot exceed 300 characters'
+    })
+}).min(1).messages({
+  'object.min': 'Provide at least one field to update'
+});
+
+// Notify waitlist entry validation schema (table defaults to the first free suitable one)
+const notifyEntrySchema = Joi.object({
+  tableId: Joi.string().optional()
+});
+
+// Abandon waitlist entry validation schema
+const abandonEntrySchema = Joi.object({
+  reason: Joi.string()
+    .valid('left', 'no_show', 'other')
+    .optional()
+    .default('left')
+    .messages({
+      'any.only': 'Reason must be left, no_show or other'
+    })
+});
+
+// ===========================================
+// VALIDATION MIDDLEWARE FUNCTION
+// ===========================================
+
+// Middleware function to validate request body
+const validate = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body, {
+      abortEarly: false, // Return all validation errors
+      allowUnknown: false, // Don't allow unknown fields
+      stripUnknown: true // Remove unknown fields
+    });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    // Replace req.body with validated and sanitized data
+    req.body = value;
+    next();
+  };
+};
+
+// ===========================================
+// EXPORTED VALIDATION MIDDLEWARES
+// ===========================================
+
+module.exports = {
+  // Waitlist validations
+  validateAddToWaitlist: validate(addToWaitlistSchema),
+  validateUpdateWaitlistEntry: validate(updateWaitlistEntrySchema),
+  validateNotifyEntry: validate(notifyEntrySchema),
+  validateAbandonEntry: validate(abandonEntrySchema),
+
+  // Export schemas for testing
+  schemas: {
+    addToWaitlistSchema,
+    updateWaitlistEntrySchema,
+    notifyEntrySchema,
+    abandonEntrySchema
+  }
+};
@@ -0,0 +1,115 @@
+const Joi = require('joi');
+
+// ===========================================
+// PREPAID WALLET VALIDATION SCHEMAS
+// ===========================================
+
+// Wallet top-up validation schema
+const topUpSchema = Joi.object({
+  amount: Joi.number()
+    .positive()
+    .max(1000000)
+    .required()
+    .messages({
+      'number.positive': 'Top-up amount must be greater than 0',
+      'number.max': 'Top-up amount cannot exceed NPR 1,000,000',
+      'any.required': 'Top-up amount is required'
+    }),
+
+  paymentMethod: Joi.string()
+    .valid('esewa', 'online_banking', 'cash')
+    .required()
+    .messages({
+      'any.only': 'Payment method must be "esewa", "online_banking", or "cash"',
+      'any.required': 'Payment method is required'
+    }),
+
+  transactionId: Joi.string()
+    .trim()
+    .max(100)
+    .optional()
+    .allow('')
+    .messages({
+      'string.max': 'Transaction ID cannot exceed 100 characters'
+    }),
+
+  notes: Joi.string()
+    .trim()
+    .max(300)
+    .optional()
+    .allow('')
+    .messages({
+      'string.max': 'Notes cannot exceed 300 characters'
+    })
+});
+
+// Wallet adjustment validation schema (positive adds, negative removes)
+const walletAdjustmentSchema = Joi.object({
+  amount: Joi.number()
+    .invalid(0)
+    .required()
+    .messages({
+      'any.invalid': 'Adjustment amount cannot be 0',
+      'any.required': 'Adjustment amount is required'
+    }),
+
+  reason: Joi.string()
+    .trim()
+    .min(3)
+    .max(300)
+    .required()
+    .messages({
+      'string.min': 'Reason must be at least 3 characters',
+      'string.max': 'Reason cannot exceed 300 characters',
+      'string.empty': 'Reason is required',
+      'any.required': 'Reason is required'
+    })
+});
+
+// ===========================================
+// VALIDATION MIDDLEWARE FUNCTION
+// ===========================================
+
+// Middleware function to validate request body
+const validate = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body, {
+      abortEarly: false, // Return all validation errors
+      allowUnknown: false, // Don't allow unknown fields
+      stripUnknown: true // Remove unknown fields
+    });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    // Replace req.body with validated and sanitized data
+    req.body = value;
+    next();
+  };
+};
+
+// ===========================================
+// EXPORTED VALIDATION MIDDLEWARES
+// ===========================================
+
+module.exports = {
+  // Wallet validations
+  validateTopUp: validate(topUpSchema),
+  validateWalletAdjustment: validate(walletAdjustmentSchema),
+
+  // Export schemas for testing
+  schemas: {
+    topUpSchema,
+    walletAdjustmentSchema
+  }
+};
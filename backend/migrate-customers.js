@@ -0,0 +1,52 @@
+// migrate-customers.js - Register customers from existing sessions and sales
+//
+// Run once after deploying the Customer model: node migrate-customers.js
+// For every snooker house, sessions and sales that have a phone number but no
+// customer are grouped by phone, a customer is registered (or matched) for each
+// phone and the records are linked to it. Safe to run again: only records that
+// are still unlinked are touched.
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '.env') });
+const mongoose = require('mongoose');
+const SnookerHouse = require('./models/SnookerHouse');
+const { importCustomersFromHistory } = require('./services/customerService');
+
+async function migrateCustomers() {
+  let failed = false;
+
+  try {
+    console.log('👥 Registering customers from session and sale history...');
+
+    if (!process.env.MONGODB_URI) {
+      console.error('❌ MONGODB_URI not found in .env file');
+      process.exit(1);
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const houses = await SnookerHouse.find().select('name owner');
+    const totals = { customersCreated: 0, customersMatched: 0, sessionsLinked: 0, salesLinked: 0 };
+
+    for (const snookerHouse of houses) {
+      const result = await importCustomersFromHistory(snookerHouse);
+      Object.keys(totals).forEach(key => { totals[key] += result[key]; });
+
+      console.log(`   - ${snookerHouse.name}: ${result.customersCreated} created, ${result.customersMatched} matched, ` +
+        `${result.sessionsLinked} sessions and ${result.salesLinked} sales linked`);
+    }
+
+    console.log(`\n✅ Done for ${houses.length} house${houses.length === 1 ? '' : 's'}:`, totals);
+
+  } catch (error) {
+    failed = true;
+    console.error('❌ Migration failed:', error.message);
+  } finally {
+    await mongoose.connection.close();
+    console.log('\n🔌 Database connection closed');
+    process.exit(failed ? 1 : 0);
+  }
+}
+
+// Run the migration
+migrateCustomers();
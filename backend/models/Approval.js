@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+
+const approvalSchema = new mongoose.Schema({
+  // References
+  snookerHouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SnookerHouse',
+    required: true,
+    index: true
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Sensitive action being approved, e.g. 'session.remove_item'
+  action: {
+    type: String,
+    required: [true, 'Action is required']
+  },
+
+  // Record the action applies to (session, product); null = any
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Reason cannot exceed 300 characters'],
+    default: ''
+  },
+
+  // pin = manager entered their PIN on the requester's device, remote = approved from their own device
+  method: {
+    type: String,
+    enum: ['pin', 'remote'],
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'used'],
+    default: 'pending'
+  },
+
+  // Who asked
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  requestedByName: {
+    type: String,
+    default: ''
+  },
+
+  requestedBySession: {
+    type: String,
+    default: null
+  },
+
+  // Who decided
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  approverName: {
+    type: String,
+    default: ''
+  },
+
+  approverRole: {
+    type: String,
+    default: null
+  },
+
+  decidedAt: {
+    type: Date,
+    default: null
+  },
+
+  decidedBySession: {
+    type: String,
+    default: null
+  },
+
+  decisionNote: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Note cannot exceed 300 characters'],
+    default: ''
+  },
+
+  // SHA-256 of the token the requester sends with the action (never returned)
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Pending requests lapse, approved tokens must be used, by this time
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  usedAt: {
+    type: Date,
+    default: null
+  },
+
+  usedBySession: {
+    type: String,
+    default: null
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+approvalSchema.index({ snookerHouse: 1, status: 1, createdAt: -1 });
+approvalSchema.index({ snookerHouse: 1, requestedBy: 1, createdAt: -1 });
+
+// Method to check whether a pending request or unused approval has run out
+approvalSchema.methods.isExpired = function() {
+  return ['pending', 'approved'].includes(this.status) && this.expiresAt <= new Date();
+};
+
+// Transform output
+approvalSchema.methods.toJSON = function() {
+  const approval = this.toObject();
+  delete approval.tokenHash;
+  approval.isExpired = this.isExpired();
+  approval.displayStatus = approval.isExpired ? 'expired' : this.status;
+  return approval;
+};
+
+module.exports = mongoose.model('Approval', approvalSchema);
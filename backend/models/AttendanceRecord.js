@@ -0,0 +1,207 @@
+const mongoose = require('mongoose');
+
+// Break taken during a clocked-in period
+const breakSchema = new mongoose.Schema({
+  startAt: {
+    type: Date,
+    required: true
+  },
+  endAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: true });
+
+// Manual change made by a manager
+const correctionSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true,
+    required: [true, 'Correction reason is required'],
+    maxlength: [300, 'Reason cannot exceed 300 characters']
+  },
+  correctedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  correctedBySession: {
+    type: String,
+    default: null
+  },
+  correctedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: true });
+
+const attendanceRecordSchema = new mongoose.Schema({
+  // References
+  snookerHouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SnookerHouse',
+    required: true,
+    index: true
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  staffMember: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StaffMember',
+    required: true
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Name and role at clock-in (kept for reports if the staff member leaves)
+  staffName: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  staffRole: {
+    type: String,
+    default: null
+  },
+
+  // Open = still clocked in
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+
+  clockInAt: {
+    type: Date,
+    required: [true, 'Clock-in time is required']
+  },
+
+  clockOutAt: {
+    type: Date,
+    default: null
+  },
+
+  breaks: [breakSchema],
+
+  // Entered by a manager rather than clocked live
+  isManualEntry: {
+    type: Boolean,
+    default: false
+  },
+
+  // User who clocked the staff member in (themselves or a manager)
+  clockedInBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  clockedOutBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters'],
+    default: ''
+  },
+
+  corrections: [correctionSchema],
+
+  // Tracking
+  createdBySession: {
+    type: String,
+    default: null
+  },
+
+  lastModifiedBySession: {
+    type: String,
+    default: null
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+attendanceRecordSchema.index({ snookerHouse: 1, clockInAt: -1 });
+attendanceRecordSchema.index({ staffMember: 1, clockInAt: -1 });
+// A staff member can only be clocked in once at a time
+attendanceRecordSchema.index(
+  { staffMember: 1, status: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+
+// Method to get the break still in progress (null if none)
+attendanceRecordSchema.methods.getOpenBreak = function() {
+  return this.breaks.find(entry => !entry.endAt) || null;
+};
+
+// Method to get minutes spent on break (up to now for a break in progress)
+attendanceRecordSchema.methods.getBreakMinutes = function(until = new Date()) {
+  const end = this.clockOutAt || until;
+
+  return this.breaks.reduce((total, entry) => {
+    const breakEnd = entry.endAt || end;
+    return total + Math.max(0, (breakEnd - entry.startAt) / (1000 * 60));
+  }, 0);
+};
+
+// Method to get minutes worked excluding breaks (up to now while clocked in)
+attendanceRecordSchema.methods.getWorkedMinutes = function(until = new Date()) {
+  const end = this.clockOutAt || until;
+  const totalMinutes = Math.max(0, (end - this.clockInAt) / (1000 * 60));
+
+  return Math.max(0, totalMinutes - this.getBreakMinutes(until));
+};
+
+// Static method to find a staff member's open record
+attendanceRecordSchema.statics.findOpenRecord = function(staffMemberId) {
+  return this.findOne({ staffMember: staffMemberId, status: 'open' });
+};
+
+// Transform output
+attendanceRecordSchema.methods.toJSON = function() {
+  const record = this.toObject();
+  record.onBreak = !!this.getOpenBreak();
+  record.breakMinutes = Math.round(this.getBreakMinutes());
+  record.workedMinutes = Math.round(this.getWorkedMinutes());
+  return record;
+};
+
+module.exports = mongoose.model('AttendanceRecord', attendanceRecordSchema);
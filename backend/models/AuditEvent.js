@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+
+// Field that changed in an audited record
+const auditChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, { _id: false });
+
+const auditEventSchema = new mongoose.Schema({
+  // References
+  snookerHouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SnookerHouse',
+    required: true,
+    index: true
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Record that changed
+  entityType: {
+    type: String,
+    enum: ['session', 'product', 'table', 'snooker_house'],
+    required: true
+  },
+
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+
+  // Name shown in the log (table name, product name, ...)
+  entityLabel: {
+    type: String,
+    default: ''
+  },
+
+  // What happened, e.g. 'session.cancel', 'product.stock_update'
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // Who did it
+  actor: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    name: {
+      type: String,
+      default: ''
+    },
+    email: {
+      type: String,
+      default: ''
+    },
+    role: {
+      type: String,
+      default: null
+    }
+  },
+
+  sessionId: {
+    type: String,
+    default: null
+  },
+
+  deviceInfo: {
+    userAgent: String,
+    ip: String,
+    platform: String,
+    browser: String,
+    os: String,
+    location: String
+  },
+
+  changes: [auditChangeSchema],
+
+  // Manager approval the action was done under (null = none needed)
+  approval: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Approval'
+    },
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    approverName: String,
+    method: String
+  },
+
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    default: ''
+  },
+
+  // Timestamps (events are never updated)
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+auditEventSchema.index({ snookerHouse: 1, createdAt: -1 });
+auditEventSchema.index({ snookerHouse: 1, entityType: 1, entityId: 1, createdAt: -1 });
+auditEventSchema.index({ snookerHouse: 1, 'actor.user': 1, createdAt: -1 });
+
+// Append-only: existing events can't be saved again, updated or deleted
+const rejectChange = function(next) {
+  next(new Error('Audit events are append-only and cannot be changed'));
+};
+
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+['updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteMany', 'findOneAndDelete'].forEach(operation => {
+  auditEventSchema.pre(operation, rejectChange);
+});
+
+// Also refused as document calls (event.deleteOne()), not only through the query they issue
+['updateOne', 'deleteOne'].forEach(operation => {
+  auditEventSchema.pre(operation, { document: true, query: true }, rejectChange);
+});
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
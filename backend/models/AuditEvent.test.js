@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+const AuditEvent = require('./AuditEvent');
+
+describe('AuditEvent', () => {
+  const event = () => AuditEvent.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    snookerHouse: new mongoose.Types.ObjectId(),
+    action: 'session.start'
+  });
+
+  it('cannot be deleted from the document', async () => {
+    await expect(event().deleteOne()).rejects.toThrow('Audit events are append-only');
+  });
+
+  it('cannot be updated from the document', async () => {
+    await expect(event().updateOne({ action: 'session.end' })).rejects.toThrow('Audit events are append-only');
+  });
+
+  it('cannot be deleted by query', async () => {
+    await expect(AuditEvent.deleteOne({ action: 'session.start' })).rejects.toThrow('Audit events are append-only');
+  });
+});
@@ -0,0 +1,244 @@
+const mongoose = require('mongoose');
+
+const bookingSchema = new mongoose.Schema({
+  // References
+  table: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Table',
+    required: true,
+    index: true
+  },
+
+  snookerHouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SnookerHouse',
+    required: true,
+    index: true
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // Customer Information
+  customerName: {
+    type: String,
+    required: [true, 'Customer name is required'],
+    trim: true,
+    maxlength: [100, 'Customer name cannot exceed 100 characters']
+  },
+
+  customerPhone: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Phone number cannot exceed 20 characters'],
+    default: ''
+  },
+
+  partySize: {
+    type: Number,
+    min: [1, 'Party size must be at least 1'],
+    default: 2
+  },
+
+  // Reserved slot
+  startTime: {
+    type: Date,
+    required: [true, 'Reservation start time is required']
+  },
+
+  endTime: {
+    type: Date,
+    required: [true, 'Reservation end time is required'],
+    validate: {
+      validator: function(value) {
+        return !this.startTime || value > this.startTime;
+      },
+      message: 'Reservation end time must be after start time'
+    }
+  },
+
+  // How long the table is held after startTime before the booking is a no-show
+  gracePeriodMinutes: {
+    type: Number,
+    min: [0, 'Grace period cannot be negative'],
+    max: [120, 'Grace period cannot exceed 120 minutes'],
+    default: 15
+  },
+
+  // Booking Status
+  status: {
+    type: String,
+    enum: ['confirmed', 'seated', 'completed', 'cancelled', 'no_show'],
+    default: 'confirmed'
+  },
+
+  // Session started when the customer arrived
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  },
+
+  seatedAt: {
+    type: Date,
+    default: null
+  },
+
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Cancellation reason cannot exceed 200 characters'],
+    default: ''
+  },
+
+  noShowAt: {
+    type: Date,
+    default: null
+  },
+
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters'],
+    default: ''
+  },
+
+  // Tracking
+  createdBySession: {
+    type: String, // User session ID
+    default: null
+  },
+
+  lastModifiedBySession: {
+    type: String,
+    default: null
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+bookingSchema.index({ table: 1, status: 1, startTime: 1 });
+bookingSchema.index({ snookerHouse: 1, startTime: 1 });
+bookingSchema.index({ status: 1, startTime: 1 });
+
+// Statuses that still hold the table
+const HOLDING_STATUSES = ['confirmed', 'seated'];
+
+// Method to get the latest time the customer can arrive
+bookingSchema.methods.getGraceDeadline = function() {
+  return new Date(this.startTime.getTime() + (this.gracePeriodMinutes || 0) * 60 * 1000);
+};
+
+// Method to check if it's too early to seat the customer (more than earlyMinutes before the start)
+bookingSchema.methods.isTooEarlyToSeat = function(earlyMinutes, at = new Date()) {
+  return at < new Date(this.startTime.getTime() - earlyMinutes * 60 * 1000);
+};
+
+// Method to check if the customer can still be seated
+bookingSchema.methods.canBeSeated = function(at = new Date()) {
+  return this.status === 'confirmed' && at <= this.getGraceDeadline();
+};
+
+// Static method to find bookings on a table that overlap a time window
+bookingSchema.statics.findOverlapping = function(tableId, startTime, endTime, excludeBookingId = null) {
+  const query = {
+    table: tableId,
+    status: { $in: HOLDING_STATUSES },
+    startTime: { $lt: endTime },
+    endTime: { $gt: startTime }
+  };
+
+  if (excludeBookingId) {
+    query._id = { $ne: excludeBookingId };
+  }
+
+  return this.find(query).sort({ startTime: 1 });
+};
+
+// Static method to get the next confirmed booking that would block a walk-in
+// (starts within `windowMinutes` and the customer is still inside the grace period)
+bookingSchema.statics.getImminentBooking = function(tableId, windowMinutes = 30) {
+  const now = new Date();
+
+  return this.findOne({
+    table: tableId,
+    status: 'confirmed',
+    startTime: { $lte: new Date(now.getTime() + windowMinutes * 60 * 1000) },
+    endTime: { $gt: now }
+  })
+  .sort({ startTime: 1 })
+  .then(booking => (booking && now <= booking.getGraceDeadline() ? booking : null));
+};
+
+// Static method to get bookings by snooker house
+bookingSchema.statics.getBySnookerHouse = function(snookerHouseId, options = {}) {
+  const query = { snookerHouse: snookerHouseId };
+
+  if (options.status) query.status = options.status;
+  if (options.tableId) query.table = options.tableId;
+
+  if (options.dateFrom || options.dateTo) {
+    query.startTime = {};
+    if (options.dateFrom) query.startTime.$gte = new Date(options.dateFrom);
+    if (options.dateTo) query.startTime.$lte = new Date(options.dateTo);
+  }
+
+  return this.find(query)
+    .populate('table', 'name tableNumber')
+    .sort({ startTime: 1 })
+    .limit(options.limit || 50)
+    .skip(options.skip || 0);
+};
+
+// Static method to mark confirmed bookings past their grace period as no-shows
+bookingSchema.statics.expireNoShows = async function() {
+  const now = new Date();
+  const candidates = await this.find({
+    status: 'confirmed',
+    startTime: { $lt: now }
+  });
+
+  const expired = candidates.filter(booking => now > booking.getGraceDeadline());
+
+  if (expired.length === 0) {
+    return { expiredCount: 0 };
+  }
+
+  await this.updateMany(
+    { _id: { $in: expired.map(booking => booking._id) } },
+    { $set: { status: 'no_show', noShowAt: now } }
+  );
+
+  return { expiredCount: expired.length };
+};
+
+// Transform output
+bookingSchema.methods.toJSON = function() {
+  const booking = this.toObject();
+
+  booking.graceDeadline = this.getGraceDeadline();
+  booking.durationMinutes = Math.round((this.endTime - this.startTime) / (1000 * 60));
+
+  return booking;
+};
+
+module.exports = mongoose.model('Booking', bookingSchema);
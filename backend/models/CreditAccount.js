@@ -0,0 +1,268 @@
+const mongoose = require('mongoose');
+const CreditEntry = require('./CreditEntry');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const creditAccountSchema = new mongoose.Schema({
+  // References
+  snookerHouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SnookerHouse',
+    required: true,
+    index: true
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // Registered customer this account belongs to
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
+
+  // Customer (phone identifies the account when given, otherwise the name)
+  customerName: {
+    type: String,
+    required: [true, 'Customer name is required'],
+    trim: true,
+    maxlength: [100, 'Customer name cannot exceed 100 characters']
+  },
+
+  customerPhone: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Phone number cannot exceed 20 characters'],
+    default: ''
+  },
+
+  // Maximum outstanding balance allowed (null = no limit)
+  creditLimit: {
+    type: Number,
+    min: [0, 'Credit limit cannot be negative'],
+    default: null
+  },
+
+  // Running totals (kept in sync with the entries)
+  balance: {
+    type: Number,
+    default: 0
+  },
+
+  totalCharged: {
+    type: Number,
+    default: 0
+  },
+
+  totalSettled: {
+    type: Number,
+    default: 0
+  },
+
+  lastChargeAt: {
+    type: Date,
+    default: null
+  },
+
+  lastSettlementAt: {
+    type: Date,
+    default: null
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Notes cannot exceed 300 characters'],
+    default: ''
+  },
+
+  // Tracking
+  createdBySession: {
+    type: String,
+    default: null
+  },
+
+  lastModifiedBySession: {
+    type: String,
+    default: null
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+creditAccountSchema.index(
+  { snookerHouse: 1, customerPhone: 1 },
+  { unique: true, partialFilterExpression: { customerPhone: { $gt: '' } } }
+);
+creditAccountSchema.index({ snookerHouse: 1, customerName: 1 });
+creditAccountSchema.index({ customer: 1 });
+creditAccountSchema.index({ snookerHouse: 1, balance: -1 });
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Method to check whether a new charge fits under the credit limit
+creditAccountSchema.methods.checkCredit = function(amount = 0) {
+  if (this.creditLimit === null || this.creditLimit === undefined) {
+    return { allowed: true, availableCredit: null };
+  }
+
+  const availableCredit = round(Math.max(0, this.creditLimit - this.balance));
+  return {
+    allowed: amount > 0 ? amount <= availableCredit : availableCredit > 0,
+    availableCredit
+  };
+};
+
+// Static method to find a customer's account (customer, then phone, then exact name)
+creditAccountSchema.statics.findForCustomer = async function(snookerHouseId, { customerId, name, phone } = {}) {
+  if (customerId) {
+    const byCustomer = await this.findOne({ snookerHouse: snookerHouseId, customer: customerId });
+    if (byCustomer) return byCustomer;
+  }
+
+  if (phone?.trim()) {
+    const byPhone = await this.findOne({ snookerHouse: snookerHouseId, customerPhone: phone.trim() });
+    if (byPhone) return byPhone;
+  }
+
+  if (name?.trim() && name.trim() !== 'Guest') {
+    return this.findOne({
+      snookerHouse: snookerHouseId,
+      customerPhone: '',
+      customerName: new RegExp(`^${escapeRegex(name.trim())}$`, 'i')
+    });
+  }
+
+  return null;
+};
+
+// Static method to find or open an account for a customer
+creditAccountSchema.statics.findOrCreateForCustomer = async function(snookerHouse, { customerId, name, phone, createdBySession } = {}) {
+  const existing = await this.findForCustomer(snookerHouse._id, { customerId, name, phone });
+  if (existing) {
+    // Attach the phone number / customer record the first time they are known
+    if ((phone?.trim() && !existing.customerPhone) || (customerId && !existing.customer)) {
+      if (phone?.trim() && !existing.customerPhone) existing.customerPhone = phone.trim();
+      if (customerId && !existing.customer) existing.customer = customerId;
+      await existing.save();
+    }
+    return existing;
+  }
+
+  return this.create({
+    snookerHouse: snookerHouse._id,
+    owner: snookerHouse.owner,
+    customer: customerId || null,
+    customerName: name?.trim() && name.trim() !== 'Guest' ? name.trim() : phone.trim(),
+    customerPhone: phone?.trim() || '',
+    createdBySession
+  });
+};
+
+// Static method to post a charge (credit session or credit sale)
+creditAccountSchema.statics.postCharge = async function(accountId, { amount, session, sale, description, createdBySession }) {
+  const account = await this.findByIdAndUpdate(
+    accountId,
+    {
+      $inc: { balance: amount, totalCharged: amount },
+      $set: { lastChargeAt: new Date() }
+    },
+    { new: true }
+  );
+
+  const entry = await CreditEntry.create({
+    snookerHouse: account.snookerHouse,
+    account: account._id,
+    type: 'charge',
+    amount,
+    session: session || null,
+    sale: sale || null,
+    description: description || '',
+    createdBySession
+  });
+
+  return { account, entry };
+};
+
+// Method to record a settlement, clearing the oldest charges first
+creditAccountSchema.methods.settle = async function({ amount, method, methodLabel, transactionId, notes, createdBySession }) {
+  const Session = mongoose.model('Session');
+
+  const openCharges = await CreditEntry.getOpenCharges(this._id);
+  const allocations = [];
+  let left = round(amount);
+
+  for (const charge of openCharges) {
+    if (left <= 0) break;
+
+    const applied = Math.min(charge.remainingAmount, left);
+    charge.settledAmount = round(charge.settledAmount + applied);
+    await charge.save();
+
+    // Keep the session's own payment record in step with the ledger
+    if (charge.session) {
+      const session = await Session.findById(charge.session);
+      if (session) {
+        await session.recordSettlement({
+          method,
+          amount: applied,
+          transactionId
+        });
+      }
+    }
+
+    allocations.push({ entry: charge._id, amount: applied });
+    left = round(left - applied);
+  }
+
+  const settlement = await CreditEntry.create({
+    snookerHouse: this.snookerHouse,
+    account: this._id,
+    type: 'settlement',
+    amount: round(amount),
+    method,
+    methodLabel,
+    transactionId: transactionId || '',
+    allocations,
+    notes: notes || '',
+    createdBySession
+  });
+
+  const account = await this.constructor.findByIdAndUpdate(
+    this._id,
+    {
+      $inc: { balance: -round(amount), totalSettled: round(amount) },
+      $set: { lastSettlementAt: new Date(), lastModifiedBySession: createdBySession }
+    },
+    { new: true }
+  );
+
+  return { account, settlement };
+};
+
+// Transform output
+creditAccountSchema.methods.toJSON = function() {
+  const account = this.toObject();
+  account.availableCredit = this.checkCredit().availableCredit;
+  account.isOverLimit = this.creditLimit !== null && this.creditLimit !== undefined && this.balance > this.creditLimit;
+  return account;
+};
+
+module.exports = mongoose.model('CreditAccount', creditAccountSchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const CreditAccount = require('./CreditAccount');
+const CreditEntry = require('./CreditEntry');
+const Session = require('./Session');
+
+describe('CreditAccount.settle', () => {
+  let account;
+  let charges;
+  let recordSettlement;
+
+  const charge = (amount, settledAmount = 0, session = null) => new CreditEntry({
+    snookerHouse: account.snookerHouse,
+    account: account._id,
+    type: 'charge',
+    amount,
+    settledAmount,
+    session
+  });
+
+  beforeEach(() => {
+    account = new CreditAccount({
+      snookerHouse: new mongoose.Types.ObjectId(),
+      customerName: 'Asha',
+      balance: 500
+    });
+
+    recordSettlement = jest.fn().mockResolvedValue(undefined);
+
+    jest.spyOn(CreditEntry, 'getOpenCharges').mockImplementation(async () => charges);
+    jest.spyOn(CreditEntry.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(CreditEntry, 'create').mockImplementation(async (data) => new CreditEntry(data));
+    jest.spyOn(CreditAccount, 'findByIdAndUpdate').mockResolvedValue(account);
+    jest.spyOn(Session, 'findById').mockResolvedValue({ recordSettlement });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('clears the oldest charges first', async () => {
+    charges = [charge(100), charge(200), charge(300)];
+
+    const { settlement } = await account.settle({ amount: 250, method: 'cash', methodLabel: 'Cash' });
+
+    expect(charges.map(entry => entry.settledAmount)).toEqual([100, 150, 0]);
+    expect(settlement.allocations.map(allocation => allocation.amount)).toEqual([100, 150]);
+    expect(settlement.allocations[0].entry).toEqual(charges[0]._id);
+  });
+
+  it('continues from a partly settled charge', async () => {
+    charges = [charge(100, 60), charge(200)];
+
+    const { settlement } = await account.settle({ amount: 100, method: 'cash', methodLabel: 'Cash' });
+
+    expect(charges.map(entry => entry.remainingAmount)).toEqual([0, 140]);
+    expect(settlement.allocations.map(allocation => allocation.amount)).toEqual([40, 60]);
+  });
+
+  it('records the settled part on the session behind each charge', async () => {
+    const sessionId = new mongoose.Types.ObjectId();
+    charges = [charge(80, 0, sessionId), charge(50)];
+
+    await account.settle({ amount: 100, method: 'esewa', methodLabel: 'eSewa', transactionId: 'TX1' });
+
+    expect(Session.findById).toHaveBeenCalledTimes(1);
+    expect(Session.findById).toHaveBeenCalledWith(sessionId);
+    expect(recordSettlement).toHaveBeenCalledWith(expect.objectContaining({ method: 'esewa', amount: 80, transactionId: 'TX1' }));
+  });
+
+  it('takes the full amount off the balance', async () => {
+    charges = [charge(100)];
+
+    await account.settle({ amount: 75.5, method: 'cash', methodLabel: 'Cash', createdBySession: 'login-1' });
+
+    expect(CreditAccount.findByIdAndUpdate).toHaveBeenCalledWith(
+      account._id,
+      expect.objectContaining({
+        $inc: { balance: -75.5, totalSettled: 75.5 }
+      }),
+      { new: true }
+    );
+  });
+});
@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+
+// Part of a settlement applied to one charge
+const allocationSchema = new mongoose.Schema({
+  entry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditEntry',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Allocated amount cannot be negative']
+  }
+}, { _id: false });
+
+const creditEntrySchema = new mongoose.Schema({
+  // References
+  snookerHouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SnookerHouse',
+    required: true,
+    index: true
+  },
+
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditAccount',
+    required: true,
+    index: true
+  },
+
+  // charge = customer took credit, settlement = customer paid some back
+  type: {
+    type: String,
+    enum: ['charge', 'settlement'],
+    required: true
+  },
+
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Amount must be greater than 0']
+  },
+
+  // Charges: how much has been paid back so far
+  settledAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Settled amount cannot be negative']
+  },
+
+  // Source of a charge
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  },
+
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    default: null
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+    default: ''
+  },
+
+  // Settlements: how the money was paid and which charges it cleared (oldest first)
+  method: {
+    type: String,
+    enum: ['esewa', 'online_banking', 'cash', null],
+    default: null
+  },
+
+  methodLabel: {
+    type: String,
+    default: null
+  },
+
+  transactionId: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  allocations: [allocationSchema],
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Notes cannot exceed 300 characters'],
+    default: ''
+  },
+
+  // Tracking
+  createdBySession: {
+    type: String,
+    default: null
+  },
+
+  entryDate: {
+    type: Date,
+    default: Date.now
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+creditEntrySchema.index({ account: 1, entryDate: 1 });
+creditEntrySchema.index({ snookerHouse: 1, entryDate: -1 });
+creditEntrySchema.index({ session: 1 });
+
+// Virtual for unpaid part of a charge
+creditEntrySchema.virtual('remainingAmount').get(function() {
+  if (this.type !== 'charge') return 0;
+  return Math.max(0, Math.round((this.amount - this.settledAmount) * 100) / 100);
+});
+
+// Static method to get unpaid charges for an account, oldest first
+creditEntrySchema.statics.getOpenCharges = function(accountId) {
+  return this.find({
+    account: accountId,
+    type: 'charge',
+    $expr: { $lt: ['$settledAmount', '$amount'] }
+  }).sort({ entryDate: 1, _id: 1 });
+};
+
+// Static method to find a session's charge that is not fully paid back yet
+creditEntrySchema.statics.findOpenChargeForSession = function(sessionId) {
+  return this.findOne({
+    session: sessionId,
+    type: 'charge',
+    $expr: { $lt: ['$settledAmount', '$amount'] }
+  });
+};
+
+// Transform output
+creditEntrySchema.methods.toJSON = function() {
+  const entry = this.toObject();
+  entry.remainingAmount = this.remainingAmount;
+  return entry;
+};
+
+module.exports = mongoose.model('CreditEntry', creditEntrySchema);
@@ -0,0 +1,201 @@
+const mongoose = require('mongoose');
+
+const customerSchema = new mongoose.Schema({
+  // References
+  snookerHouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SnookerHouse',
+    required: true,
+    index: true
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // Basic Information
+  name: {
+    type: String,
+    required: [true, 'Customer name is required'],
+    trim: true,
+    maxlength: [100, 'Customer name cannot exceed 100 characters']
+  },
+
+  // Phone identifies the customer within a house (stored without spaces or dashes)
+  phone: {
+    type: String,
+    required: [true, 'Phone number is required'],
+    trim: true,
+    maxlength: [20, 'Phone number cannot exceed 20 characters']
+  },
+
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [100, 'Email cannot exceed 100 characters'],
+    default: ''
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Notes cannot exceed 300 characters'],
+    default: ''
+  },
+
+  // Visit statistics (updated when sessions end and sales are recorded)
+  totalVisits: {
+    type: Number,
+    default: 0
+  },
+
+  totalSpent: {
+    type: Number,
+    default: 0
+  },
+
+  lastVisitAt: {
+    type: Date,
+    default: null
+  },
+
+  // Loyalty points (kept in sync with the loyalty transactions)
+  pointsBalance: {
+    type: Number,
+    default: 0,
+    min: [0, 'Points balance cannot be negative']
+  },
+
+  totalPointsEarned: {
+    type: Number,
+    default: 0
+  },
+
+  totalPointsRedeemed: {
+    type: Number,
+    default: 0
+  },
+
+  totalPointsExpired: {
+    type: Number,
+    default: 0
+  },
+
+  // Prepaid wallet (kept in sync with the wallet transactions)
+  walletBalance: {
+    type: Number,
+    default: 0,
+    min: [0, 'Wallet balance cannot be negative']
+  },
+
+  totalToppedUp: {
+    type: Number,
+    default: 0
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Tracking
+  createdBySession: {
+    type: String,
+    default: null
+  },
+
+  lastModifiedBySession: {
+    type: String,
+    default: null
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+customerSchema.index({ snookerHouse: 1, phone: 1 }, { unique: true });
+customerSchema.index({ snookerHouse: 1, name: 1 });
+customerSchema.index({ snookerHouse: 1, lastVisitAt: -1 });
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Static method to normalise a phone number for lookups
+customerSchema.statics.normalizePhone = function(phone) {
+  return (phone || '').replace(/[\s-]/g, '');
+};
+
+// Static method to find a customer by phone
+customerSchema.statics.findByPhone = function(snookerHouseId, phone) {
+  return this.findOne({ snookerHouse: snookerHouseId, phone: this.normalizePhone(phone) });
+};
+
+// Static method for counter autocomplete (phone prefix or name match)
+customerSchema.statics.search = function(snookerHouseId, term, limit = 10) {
+  const digits = this.normalizePhone(term);
+  const conditions = [{ name: new RegExp(escapeRegex(term.trim()), 'i') }];
+  if (/^\+?\d+$/.test(digits)) {
+    conditions.push({ phone: new RegExp(`^${escapeRegex(digits)}`) });
+  }
+
+  return this.find({ snookerHouse: snookerHouseId, isActive: true, $or: conditions })
+    .sort({ lastVisitAt: -1, name: 1 })
+    .limit(limit);
+};
+
+// Static method to find a customer by phone or register them
+customerSchema.statics.findOrCreateByPhone = async function(snookerHouse, { name, phone, createdBySession }) {
+  const normalized = this.normalizePhone(phone);
+  const existing = await this.findOne({ snookerHouse: snookerHouse._id, phone: normalized });
+  if (existing) return existing;
+
+  try {
+    return await this.create({
+      snookerHouse: snookerHouse._id,
+      owner: snookerHouse.owner,
+      name: name?.trim() && name.trim() !== 'Guest' ? name.trim() : normalized,
+      phone: normalized,
+      createdBySession
+    });
+  } catch (error) {
+    // Registered by a concurrent request
+    if (error.code === 11000) {
+      return this.findOne({ snookerHouse: snookerHouse._id, phone: normalized });
+    }
+    throw error;
+  }
+};
+
+// Static method to record a completed visit or purchase
+customerSchema.statics.recordVisit = function(customerId, amount, at = new Date(), countVisit = true) {
+  return this.updateOne(
+    { _id: customerId },
+    {
+      $inc: { totalVisits: countVisit ? 1 : 0, totalSpent: amount || 0 },
+      $max: { lastVisitAt: at }
+    }
+  );
+};
+
+// Transform output
+customerSchema.methods.toJSON = function() {
+  const customer = this.toObject();
+  customer.averageSpend = this.totalVisits > 0 ? Math.round(this.totalSpent / this.totalVisits) : 0;
+  return customer;
+};
+
+module.exports = mongoose.model('Customer', customerSchema);
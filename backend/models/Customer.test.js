@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const Customer = require('./Customer');
+
+describe('Customer.normalizePhone', () => {
+  it('drops spaces and dashes', () => {
+    expect(Customer.normalizePhone(' 98-4123 4567 ')).toBe('9841234567');
+    expect(Customer.normalizePhone(undefined)).toBe('');
+  });
+});
+
+describe('Customer.findOrCreateByPhone', () => {
+  const snookerHouse = { _id: new mongoose.Types.ObjectId(), owner: new mongoose.Types.ObjectId() };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns the customer already registered under the phone', async () => {
+    const existing = { _id: new mongoose.Types.ObjectId() };
+    const findOne = jest.spyOn(Customer, 'findOne').mockResolvedValue(existing);
+    const create = jest.spyOn(Customer, 'create');
+
+    await expect(Customer.findOrCreateByPhone(snookerHouse, { name: 'Asha', phone: '984-1234567' })).resolves.toBe(existing);
+    expect(findOne).toHaveBeenCalledWith({ snookerHouse: snookerHouse._id, phone: '9841234567' });
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('registers a guest under their phone number', async () => {
+    jest.spyOn(Customer, 'findOne').mockResolvedValue(null);
+    const create = jest.spyOn(Customer, 'create').mockImplementation(async (doc) => doc);
+
+    const customer = await Customer.findOrCreateByPhone(snookerHouse, { name: 'Guest', phone: '9841234567' });
+
+    expect(customer).toMatchObject({ name: '9841234567', phone: '9841234567', owner: snookerHouse.owner });
+    expect(create).toHaveBeenCalledTimes(1);
+  });
+
+  it('returns the customer a concurrent request registered first', async () => {
+    const registered = { _id: new mongoose.Types.ObjectId() };
+    jest.spyOn(Customer, 'findOne').mockResolvedValueOnce(null).mockResolvedValueOnce(registered);
+    jest.spyOn(Customer, 'create').mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+    await expect(Customer.findOrCreateByPhone(snookerHouse, { name: 'Asha', phone: '9841234567' })).resolves.toBe(registered);
+  });
+});
+
+describe('Customer.toJSON', () => {
+  it('adds the average spend per visit', () => {
+    const customer = new Customer({ name: 'Asha', phone: '9841234567', totalVisits: 3, totalSpent: 1000 });
+
+    expect(customer.toJSON().averageSpend).toBe(333);
+    expect(new Customer({ name: 'Bikram', phone: '9800000000' }).toJSON().averageSpend).toBe(0);
+  });
+});
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+const expenseSchema = new mongoose.Schema({
+  // References
+  snookerHouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SnookerHouse',
+    required: true,
+    index: true
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  category: {
+    type: String,
+    enum: ['prize_payout', 'payroll', 'maintenance', 'utilities', 'rent', 'supplies', 'other'],
+    required: [true, 'Expense category is required']
+  },
+
+  amount: {
+    type: Number,
+    required: [true, 'Expense amount is required'],
+    min: [0, 'Expense amount cannot be negative']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot exceed 300 characters'],
+    default: ''
+  },
+
+  paymentMethod: {
+    type: String,
+    enum: ['esewa', 'online_banking', 'cash', null],
+    default: 'cash'
+  },
+
+  expenseDate: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Record the expense came from (tournament prize, league prize, staff payroll, ...)
+  source: {
+    kind: {
+      type: String,
+      enum: ['tournament', 'league', 'payroll', 'manual', null],
+      default: 'manual'
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    }
+  },
+
+  // Period the expense covers (payroll runs)
+  period: {
+    start: {
+      type: Date,
+      default: null
+    },
+    end: {
+      type: Date,
+      default: null
+    }
+  },
+
+  // Tracking
+  createdBySession: {
+    type: String,
+    default: null
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+expenseSchema.index({ snookerHouse: 1, expenseDate: -1 });
+expenseSchema.index({ 'source.kind': 1, 'source.id': 1 });
+
+// Static method to total a house's expenses by category over a period
+expenseSchema.statics.getTotalsByCategory = function(snookerHouseId, dateFrom, dateTo) {
+  return this.aggregate([
+    {
+      $match: {
+        snookerHouse: snookerHouseId,
+        expenseDate: { $gte: dateFrom, $lte: dateTo }
+      }
+    },
+    {
+      $group: {
+        _id: '$category',
+        amount: { $sum: '$amount' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+};
+
+module.exports = mongoose.model('Expense', expenseSchema);
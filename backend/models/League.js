@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+const { entrantSchema, fixtureSchema, prizeSchema, addCompetitionMethods } = require('./competitionSchemas');
+
+const leagueSchema = new mongoose.Schema({
+  // References
+  snookerHouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SnookerHouse',
+    required: true,
+    index: true
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // Basic Information
+  name: {
+    type: String,
+    required: [true, 'League name is required'],
+    trim: true,
+    maxlength: [100, 'League name cannot exceed 100 characters']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+
+  // Season (e.g. one calendar month)
+  startDate: {
+    type: Date,
+    required: [true, 'Season start date is required']
+  },
+
+  endDate: {
+    type: Date,
+    required: [true, 'Season end date is required'],
+    validate: {
+      validator: function(value) {
+        return !this.startDate || value > this.startDate;
+      },
+      message: 'Season end date must be after the start date'
+    }
+  },
+
+  entryFee: {
+    type: Number,
+    default: 0,
+    min: [0, 'Entry fee cannot be negative']
+  },
+
+  maxEntrants: {
+    type: Number,
+    min: [2, 'A league needs at least 2 entrants'],
+    max: [40, 'A league cannot exceed 40 entrants'],
+    default: null
+  },
+
+  // 1 = everyone plays once, 2 = home and away
+  legs: {
+    type: Number,
+    enum: [1, 2],
+    default: 1
+  },
+
+  // Frames per match (best of)
+  bestOf: {
+    type: Number,
+    min: [1, 'Matches must be at least one frame'],
+    default: 3
+  },
+
+  pointsForWin: {
+    type: Number,
+    default: 2
+  },
+
+  pointsForLoss: {
+    type: Number,
+    default: 0
+  },
+
+  status: {
+    type: String,
+    enum: ['registration', 'in_progress', 'completed', 'cancelled'],
+    default: 'registration'
+  },
+
+  entrants: [entrantSchema],
+  fixtures: [fixtureSchema],
+  prizes: [prizeSchema],
+
+  winner: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
+  completedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Tracking
+  createdBySession: {
+    type: String,
+    default: null
+  },
+
+  lastModifiedBySession: {
+    type: String,
+    default: null
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+leagueSchema.index({ snookerHouse: 1, status: 1, startDate: -1 });
+
+addCompetitionMethods(leagueSchema);
+
+// Method to get finishing positions (the standings table)
+leagueSchema.methods.getFinishingOrder = function() {
+  return this.getStandings().map(row => ({ position: row.position, entrantId: row.entrantId }));
+};
+
+// Method to close the season once every fixture is played
+leagueSchema.methods.checkCompletion = function(at = new Date()) {
+  const finished = this.fixtures.length > 0 &&
+    this.fixtures.every(fixture => ['completed', 'walkover'].includes(fixture.status));
+  if (!finished) return false;
+
+  this.status = 'completed';
+  this.winner = this.getStandings()[0]?.entrantId || null;
+  this.completedAt = at;
+  return true;
+};
+
+// Transform output
+leagueSchema.methods.toJSON = function() {
+  const league = this.toObject();
+  league.fixtures = this.describeFixtures();
+  league.standings = this.getStandings();
+  league.winnerName = this.getEntrantName(this.winner);
+  league.financialSummary = this.getFinancialSummary();
+  return league;
+};
+
+module.exports = mongoose.model('League', leagueSchema);
@@ -0,0 +1,260 @@
+const mongoose = require('mongoose');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const loyaltyTransactionSchema = new mongoose.Schema({
+  // References
+  snookerHouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SnookerHouse',
+    required: true,
+    index: true
+  },
+
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+
+  // earn / restore add points, redeem / expire remove them
+  type: {
+    type: String,
+    enum: ['earn', 'redeem', 'expire', 'restore'],
+    required: true
+  },
+
+  // Always positive; the type decides the direction
+  points: {
+    type: Number,
+    required: true,
+    min: [0, 'Points cannot be negative']
+  },
+
+  // Unspent points left on an earn / restore lot (redemptions and expiry use the oldest first)
+  remainingPoints: {
+    type: Number,
+    default: 0,
+    min: [0, 'Remaining points cannot be negative']
+  },
+
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+
+  // NPR value of the points at the time (redemptions and restores)
+  value: {
+    type: Number,
+    default: 0
+  },
+
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  },
+
+  // Lot an expiry entry cleared
+  lot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LoyaltyTransaction',
+    default: null
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+    default: ''
+  },
+
+  transactionDate: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Tracking
+  createdBySession: {
+    type: String,
+    default: null
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+loyaltyTransactionSchema.index({ customer: 1, transactionDate: 1 });
+loyaltyTransactionSchema.index({ snookerHouse: 1, type: 1, transactionDate: -1 });
+loyaltyTransactionSchema.index({ customer: 1, remainingPoints: 1, expiresAt: 1 });
+
+const LOT_TYPES = ['earn', 'restore'];
+
+// Static method to calculate points earned on a paid bill
+loyaltyTransactionSchema.statics.calculateEarnedPoints = function(settings, { gameAmount = 0, itemsAmount = 0 }) {
+  if (!settings?.enabled) return 0;
+
+  const points = (Math.max(0, gameAmount) * settings.gamePointsPer100 +
+    Math.max(0, itemsAmount) * settings.itemPointsPer100) / 100;
+  return Math.floor(points);
+};
+
+// Static method to add a lot of points (earned on a visit or restored by a refund)
+loyaltyTransactionSchema.statics.addPoints = async function(snookerHouse, customerId, { type = 'earn', points, value = 0, session, description, createdBySession }) {
+  const Customer = mongoose.model('Customer');
+  const expiryDays = snookerHouse.loyaltySettings?.expiryDays || 0;
+
+  const expiresAt = expiryDays > 0 ? new Date(Date.now() + expiryDays * 24 * 60 * 60 * 1000) : null;
+
+  const transaction = await this.create({
+    snookerHouse: snookerHouse._id,
+    customer: customerId,
+    type,
+    points,
+    remainingPoints: points,
+    expiresAt,
+    value: round(value),
+    session: session || null,
+    description: description || '',
+    createdBySession
+  });
+
+  await Customer.updateOne(
+    { _id: customerId },
+    { $inc: { pointsBalance: points, ...(type === 'earn' ? { totalPointsEarned: points } : {}) } }
+  );
+
+  return transaction;
+};
+
+// Static method to expire a customer's lots that are past their expiry date
+loyaltyTransactionSchema.statics.expireDue = async function(customerId, at = new Date()) {
+  const Customer = mongoose.model('Customer');
+
+  const dueLots = await this.find({
+    customer: customerId,
+    type: { $in: LOT_TYPES },
+    remainingPoints: { $gt: 0 },
+    expiresAt: { $ne: null, $lte: at }
+  });
+
+  let expired = 0;
+  for (const lot of dueLots) {
+    // Only the request that clears the lot records the expiry
+    const cleared = await this.findOneAndUpdate(
+      { _id: lot._id, remainingPoints: lot.remainingPoints },
+      { $set: { remainingPoints: 0 } }
+    );
+    if (!cleared) continue;
+
+    await this.create({
+      snookerHouse: lot.snookerHouse,
+      customer: customerId,
+      type: 'expire',
+      points: lot.remainingPoints,
+      lot: lot._id,
+      description: `Points earned ${lot.transactionDate.toISOString().slice(0, 10)} expired`,
+      transactionDate: lot.expiresAt
+    });
+    expired += lot.remainingPoints;
+  }
+
+  if (expired > 0) {
+    await Customer.updateOne(
+      { _id: customerId },
+      { $inc: { pointsBalance: -expired, totalPointsExpired: expired } }
+    );
+  }
+
+  return expired;
+};
+
+// Static method to redeem points, spending the oldest lots first (null = not enough points)
+loyaltyTransactionSchema.statics.redeem = async function(snookerHouse, customerId, { points, value, session, description, createdBySession }) {
+  const Customer = mongoose.model('Customer');
+
+  await this.expireDue(customerId);
+
+  // Guard the balance atomically so concurrent redemptions can't overspend
+  const customer = await Customer.findOneAndUpdate(
+    { _id: customerId, pointsBalance: { $gte: points } },
+    { $inc: { pointsBalance: -points, totalPointsRedeemed: points } },
+    { new: true }
+  );
+  if (!customer) return null;
+
+  const lots = await this.find({
+    customer: customerId,
+    type: { $in: LOT_TYPES },
+    remainingPoints: { $gt: 0 }
+  }).sort({ transactionDate: 1, _id: 1 });
+
+  let left = points;
+  for (const lot of lots) {
+    if (left <= 0) break;
+
+    const take = Math.min(lot.remainingPoints, left);
+    const updated = await this.updateOne(
+      { _id: lot._id, remainingPoints: { $gte: take } },
+      { $inc: { remainingPoints: -take } }
+    );
+    if (updated.modifiedCount) left -= take;
+  }
+
+  const transaction = await this.create({
+    snookerHouse: snookerHouse._id,
+    customer: customerId,
+    type: 'redeem',
+    points,
+    value: round(value),
+    session: session || null,
+    description: description || '',
+    createdBySession
+  });
+
+  return { transaction, customer };
+};
+
+// Static method to get outstanding (unexpired) points for a house
+loyaltyTransactionSchema.statics.getOutstandingPoints = async function(snookerHouseId, at = new Date()) {
+  const [result] = await this.aggregate([
+    {
+      $match: {
+        snookerHouse: snookerHouseId,
+        type: { $in: LOT_TYPES },
+        remainingPoints: { $gt: 0 },
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: at } }]
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        points: { $sum: '$remainingPoints' },
+        customers: { $addToSet: '$customer' }
+      }
+    }
+  ]);
+
+  return {
+    points: result?.points || 0,
+    customers: result?.customers.length || 0
+  };
+};
+
+// Method to get the signed change this entry makes to the balance
+loyaltyTransactionSchema.methods.getBalanceChange = function() {
+  return LOT_TYPES.includes(this.type) ? this.points : -this.points;
+};
+
+module.exports = mongoose.model('LoyaltyTransaction', loyaltyTransactionSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const LoyaltyTransaction = require('./LoyaltyTransaction');
+const Customer = require('./Customer');
+
+describe('LoyaltyTransaction.calculateEarnedPoints', () => {
+  it('earns whole points at the game and item rates', () => {
+    const settings = { enabled: true, gamePointsPer100: 2, itemPointsPer100: 1 };
+
+    expect(LoyaltyTransaction.calculateEarnedPoints(settings, { gameAmount: 450, itemsAmount: 120 })).toBe(10);
+    expect(LoyaltyTransaction.calculateEarnedPoints({ ...settings, enabled: false }, { gameAmount: 450 })).toBe(0);
+  });
+});
+
+describe('LoyaltyTransaction.redeem', () => {
+  const house = { _id: new mongoose.Types.ObjectId() };
+  const customerId = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    jest.spyOn(LoyaltyTransaction, 'expireDue').mockResolvedValue(0);
+    jest.spyOn(LoyaltyTransaction, 'create').mockImplementation(async (doc) => doc);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('spends nothing when the balance is short', async () => {
+    jest.spyOn(Customer, 'findOneAndUpdate').mockResolvedValue(null);
+    const find = jest.spyOn(LoyaltyTransaction, 'find');
+
+    await expect(LoyaltyTransaction.redeem(house, customerId, { points: 100, value: 50 })).resolves.toBeNull();
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  it('spends the oldest lots first', async () => {
+    const lots = [
+      { _id: new mongoose.Types.ObjectId(), remainingPoints: 60 },
+      { _id: new mongoose.Types.ObjectId(), remainingPoints: 80 }
+    ];
+    jest.spyOn(Customer, 'findOneAndUpdate').mockResolvedValue({ pointsBalance: 40 });
+    jest.spyOn(LoyaltyTransaction, 'find').mockReturnValue({ sort: () => Promise.resolve(lots) });
+    const updateOne = jest.spyOn(LoyaltyTransaction, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const result = await LoyaltyTransaction.redeem(house, customerId, { points: 100, value: 50 });
+
+    expect(updateOne.mock.calls.map(([filter, update]) => [filter._id, update.$inc.remainingPoints])).toEqual([
+      [lots[0]._id, -60],
+      [lots[1]._id, -40]
+    ]);
+    expect(result.transaction).toMatchObject({ type: 'redeem', points: 100, value: 50 });
+  });
+});
+
+describe('LoyaltyTransaction.getBalanceChange', () => {
+  it('adds lots and takes away redemptions and expiries', () => {
+    expect(new LoyaltyTransaction({ type: 'restore', points: 30 }).getBalanceChange()).toBe(30);
+    expect(new LoyaltyTransaction({ type: 'expire', points: 30 }).getBalanceChange()).toBe(-30);
+  });
+});
@@ -0,0 +1,362 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { replayFrame, applyEvent, describeFrameState } = require('../services/scoringService');
+
+// Scoring event as entered at the table
+const scoreEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['pot', 'foul', 'end_visit', 'concede'],
+    required: true
+  },
+  ball: {
+    type: String,
+    enum: ['red', 'yellow', 'green', 'brown', 'blue', 'pink', 'black', null],
+    default: null
+  },
+  // Reds potted in one shot
+  count: {
+    type: Number,
+    default: 1,
+    min: [1, 'Count must be at least 1']
+  },
+  // Foul value
+  value: {
+    type: Number,
+    default: null
+  },
+  // Reds that went down in a foul
+  redsPotted: {
+    type: Number,
+    default: 0,
+    min: [0, 'Reds potted cannot be negative']
+  },
+  // Player at the table (0 or 1)
+  player: {
+    type: Number,
+    enum: [0, 1]
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  },
+  recordedBySession: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+const breakSchema = new mongoose.Schema({
+  player: Number,
+  points: Number,
+  balls: [String]
+}, { _id: false });
+
+const frameSchema = new mongoose.Schema({
+  number: {
+    type: Number,
+    required: true
+  },
+  startingPlayer: {
+    type: Number,
+    enum: [0, 1],
+    default: 0
+  },
+  events: [scoreEventSchema],
+  // Cached from the last replay of the events
+  scores: {
+    type: [Number],
+    default: [0, 0]
+  },
+  breaks: [breakSchema],
+  highestBreaks: {
+    type: [Number],
+    default: [0, 0]
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed'],
+    default: 'in_progress'
+  },
+  winner: {
+    type: Number,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+const matchPlayerSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Player name is required'],
+    trim: true,
+    maxlength: [100, 'Player name cannot exceed 100 characters']
+  },
+  // Player on the session bill, when the match is between session players
+  sessionPlayer: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  framesWon: {
+    type: Number,
+    default: 0
+  },
+  highestBreak: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const matchSchema = new mongoose.Schema({
+  // References
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true,
+    index: true
+  },
+
+  snookerHouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SnookerHouse',
+    required: true,
+    index: true
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  table: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Table'
+  },
+
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters'],
+    default: ''
+  },
+
+  players: {
+    type: [matchPlayerSchema],
+    validate: [players => players.length === 2, 'A match needs exactly two players']
+  },
+
+  // Frames needed to win = floor(bestOf / 2) + 1
+  bestOf: {
+    type: Number,
+    default: 1,
+    min: [1, 'Match must be at least one frame'],
+    max: [35, 'Match cannot be longer than 35 frames']
+  },
+
+  // Reds per frame (6-red and 10-red snooker are common on weekends)
+  reds: {
+    type: Number,
+    enum: [6, 10, 15],
+    default: 15
+  },
+
+  frames: [frameSchema],
+
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed', 'abandoned'],
+    default: 'in_progress'
+  },
+
+  winner: {
+    type: Number,
+    default: null
+  },
+
+  completedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Read-only access for scoreboard screens
+  spectatorToken: {
+    type: String,
+    unique: true,
+    default: () => crypto.randomBytes(16).toString('hex')
+  },
+
+  // Tracking
+  createdBySession: {
+    type: String,
+    default: null
+  },
+
+  lastModifiedBySession: {
+    type: String,
+    default: null
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+matchSchema.index({ snookerHouse: 1, status: 1, createdAt: -1 });
+
+// Method to get the frame being played (or the last one)
+matchSchema.methods.getCurrentFrame = function() {
+  return this.frames[this.frames.length - 1] || null;
+};
+
+// Method to get frames needed to win the match
+matchSchema.methods.getFramesToWin = function() {
+  return Math.floor(this.bestOf / 2) + 1;
+};
+
+// Method to start the next frame (break-off alternates)
+matchSchema.methods.startFrame = function(at = new Date()) {
+  const previous = this.getCurrentFrame();
+  this.frames.push({
+    number: this.frames.length + 1,
+    startingPlayer: previous ? 1 - previous.startingPlayer : 0,
+    startedAt: at
+  });
+  return this.getCurrentFrame();
+};
+
+// Method to rebuild the live state of the current frame
+matchSchema.methods.getFrameState = function(frame = this.getCurrentFrame()) {
+  return replayFrame(frame.events, { reds: this.reds, startingPlayer: frame.startingPlayer });
+};
+
+// Method to copy a replayed state onto a frame and refresh match totals
+matchSchema.methods.applyFrameState = function(frame, state, at = new Date()) {
+  frame.scores = state.scores;
+  frame.breaks = state.breaks;
+  frame.highestBreaks = state.highestBreaks;
+  frame.status = state.status;
+  frame.winner = state.winner;
+  frame.completedAt = state.status === 'completed' ? (frame.completedAt || at) : null;
+
+  this.players.forEach((player, index) => {
+    player.framesWon = this.frames.filter(f => f.status === 'completed' && f.winner === index).length;
+    player.highestBreak = Math.max(0, ...this.frames.map(f => f.highestBreaks[index] || 0));
+  });
+
+  const framesToWin = this.getFramesToWin();
+  const matchWinner = this.players.findIndex(player => player.framesWon >= framesToWin);
+  if (matchWinner >= 0) {
+    this.status = 'completed';
+    this.winner = matchWinner;
+    this.completedAt = this.completedAt || at;
+  } else if (this.status === 'completed') {
+    this.status = 'in_progress';
+    this.winner = null;
+    this.completedAt = null;
+  }
+};
+
+// Method to record a scoring event (throws if it breaks the rules)
+matchSchema.methods.recordEvent = function(eventData, at = new Date()) {
+  if (this.status !== 'in_progress') {
+    throw new Error(`Match is ${this.status}`);
+  }
+
+  const frame = this.getCurrentFrame() || this.startFrame(at);
+  const state = this.getFrameState(frame);
+
+  const event = {
+    ...eventData,
+    player: eventData.type === 'concede' && eventData.player !== undefined ? eventData.player : state.striker,
+    recordedAt: at
+  };
+  applyEvent(state, event);
+
+  frame.events.push(event);
+  this.applyFrameState(frame, state, at);
+
+  // Frame over and match still going: set up the next one
+  if (state.status === 'completed' && this.status === 'in_progress') {
+    this.startFrame(at);
+  }
+
+  return state;
+};
+
+// Method to take back the last scoring event (reopens a frame just finished)
+matchSchema.methods.undoLastEvent = function(at = new Date()) {
+  if (this.status === 'abandoned') {
+    throw new Error('Match is abandoned');
+  }
+
+  let frame = this.getCurrentFrame();
+  if (frame && frame.events.length === 0 && this.frames.length > 1) {
+    this.frames.pop();
+    frame = this.getCurrentFrame();
+  }
+  if (!frame || frame.events.length === 0) {
+    throw new Error('Nothing to undo');
+  }
+
+  frame.events.pop();
+  const state = this.getFrameState(frame);
+  this.applyFrameState(frame, state, at);
+
+  return state;
+};
+
+// Method to build the public scoreboard
+matchSchema.methods.getScoreboard = function() {
+  const frame = this.getCurrentFrame();
+  const live = frame ? describeFrameState(this.getFrameState(frame)) : null;
+
+  return {
+    matchId: this._id,
+    title: this.title,
+    status: this.status,
+    bestOf: this.bestOf,
+    reds: this.reds,
+    winner: this.winner,
+    players: this.players.map(player => ({
+      name: player.name,
+      framesWon: player.framesWon,
+      highestBreak: player.highestBreak
+    })),
+    frame: frame ? {
+      number: frame.number,
+      startingPlayer: frame.startingPlayer,
+      ...live
+    } : null,
+    frames: this.frames
+      .filter(f => f.status === 'completed')
+      .map(f => ({ number: f.number, scores: f.scores, winner: f.winner, highestBreaks: f.highestBreaks })),
+    updatedAt: this.updatedAt
+  };
+};
+
+// Transform output
+matchSchema.methods.toJSON = function() {
+  const match = this.toObject();
+  match.scoreboard = this.getScoreboard();
+  return match;
+};
+
+module.exports = mongoose.model('Match', matchSchema);
@@ -0,0 +1,232 @@
+const mongoose = require('mongoose');
+
+// Plan terms at the time the membership was sold
+const planSnapshotSchema = new mongoose.Schema({
+  name: String,
+  price: Number,
+  durationDays: Number,
+  minuteRate: Number,
+  frameRate: Number,
+  kittiRate: Number,
+  rateDiscountPercent: Number,
+  includedMinutes: Number
+}, { _id: false });
+
+const membershipSchema = new mongoose.Schema({
+  // References
+  snookerHouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SnookerHouse',
+    required: true,
+    index: true
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+
+  plan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MembershipPlan',
+    required: true
+  },
+
+  planSnapshot: {
+    type: planSnapshotSchema,
+    required: true
+  },
+
+  // Validity period
+  startDate: {
+    type: Date,
+    required: true
+  },
+
+  endDate: {
+    type: Date,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'expired', 'cancelled'],
+    default: 'active'
+  },
+
+  // Included free minutes (reserved by running sessions, released if unused)
+  minutesIncluded: {
+    type: Number,
+    default: 0
+  },
+
+  minutesUsed: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minutes used cannot be negative']
+  },
+
+  // Payment for the membership
+  amountPaid: {
+    type: Number,
+    default: 0,
+    min: [0, 'Amount paid cannot be negative']
+  },
+
+  paymentMethod: {
+    type: String,
+    enum: ['esewa', 'online_banking', 'cash', 'wallet'],
+    default: 'cash'
+  },
+
+  transactionId: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Notes cannot exceed 300 characters'],
+    default: ''
+  },
+
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+
+  expiryReminderSentAt: {
+    type: Date,
+    default: null
+  },
+
+  // Tracking
+  createdBySession: {
+    type: String,
+    default: null
+  },
+
+  lastModifiedBySession: {
+    type: String,
+    default: null
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+membershipSchema.index({ customer: 1, status: 1, endDate: -1 });
+membershipSchema.index({ snookerHouse: 1, status: 1, endDate: 1 });
+
+// Method to get free minutes still available
+membershipSchema.methods.getRemainingMinutes = function() {
+  return Math.max(0, this.minutesIncluded - this.minutesUsed);
+};
+
+// Method to check the membership covers a moment in time
+membershipSchema.methods.isValidAt = function(at = new Date()) {
+  return this.status === 'active' && this.startDate <= at && this.endDate > at;
+};
+
+// Method to get the member pricing copied onto sessions
+membershipSchema.methods.toSessionSnapshot = function() {
+  return {
+    membership: this._id,
+    name: this.planSnapshot.name,
+    minuteRate: this.planSnapshot.minuteRate,
+    frameRate: this.planSnapshot.frameRate,
+    kittiRate: this.planSnapshot.kittiRate,
+    rateDiscountPercent: this.planSnapshot.rateDiscountPercent
+  };
+};
+
+// Static method to find the membership covering a customer right now
+membershipSchema.statics.findActiveForCustomer = function(customerId, at = new Date()) {
+  return this.findOne({
+    customer: customerId,
+    status: 'active',
+    startDate: { $lte: at },
+    endDate: { $gt: at }
+  }).sort({ endDate: 1 });
+};
+
+// Static method to reserve free minutes for a session (returns minutes reserved)
+membershipSchema.statics.reserveMinutes = async function(membership, minutes) {
+  if (minutes <= 0) return 0;
+
+  // Only succeeds if the allowance still covers the reservation
+  const updated = await this.findOneAndUpdate(
+    { _id: membership._id, minutesUsed: { $lte: membership.minutesIncluded - minutes } },
+    { $inc: { minutesUsed: minutes } },
+    { new: true }
+  );
+
+  return updated ? minutes : 0;
+};
+
+// Static method to give back reserved minutes a session did not use
+membershipSchema.statics.releaseMinutes = function(membershipId, minutes) {
+  if (!membershipId || minutes <= 0) return null;
+
+  return this.updateOne(
+    { _id: membershipId, minutesUsed: { $gte: minutes } },
+    { $inc: { minutesUsed: -minutes } }
+  );
+};
+
+// Static method to mark memberships past their end date as expired
+membershipSchema.statics.expireLapsed = async function(at = new Date()) {
+  const result = await this.updateMany(
+    { status: 'active', endDate: { $lte: at } },
+    { $set: { status: 'expired' } }
+  );
+
+  return { expiredCount: result.modifiedCount };
+};
+
+// Static method to find memberships ending soon that have not been reminded
+membershipSchema.statics.findDueForReminder = function(daysAhead = 3, at = new Date()) {
+  return this.find({
+    status: 'active',
+    expiryReminderSentAt: null,
+    endDate: { $gt: at, $lte: new Date(at.getTime() + daysAhead * 24 * 60 * 60 * 1000) }
+  })
+    .populate('customer', 'name phone email')
+    .populate({
+      path: 'snookerHouse',
+      select: 'name address owner',
+      populate: { path: 'owner', select: 'firstName email' }
+    });
+};
+
+// Transform output
+membershipSchema.methods.toJSON = function() {
+  const membership = this.toObject();
+  membership.remainingMinutes = this.getRemainingMinutes();
+  membership.isCurrentlyValid = this.isValidAt();
+  membership.daysLeft = Math.max(0, Math.ceil((this.endDate - Date.now()) / (24 * 60 * 60 * 1000)));
+  return membership;
+};
+
+module.exports = mongoose.model('Membership', membershipSchema);
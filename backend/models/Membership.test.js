@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const Membership = require('./Membership');
+
+const buildMembership = (overrides = {}) => new Membership({
+  snookerHouse: new mongoose.Types.ObjectId(),
+  owner: new mongoose.Types.ObjectId(),
+  customer: new mongoose.Types.ObjectId(),
+  plan: new mongoose.Types.ObjectId(),
+  planSnapshot: { name: 'Gold', price: 3000, durationDays: 30, rateDiscountPercent: 20, includedMinutes: 600 },
+  startDate: new Date(2026, 0, 1),
+  endDate: new Date(2026, 0, 31),
+  minutesIncluded: 600,
+  ...overrides
+});
+
+describe('Membership', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('is valid from its start date until its end date', () => {
+    const membership = buildMembership();
+
+    expect(membership.isValidAt(new Date(2026, 0, 1))).toBe(true);
+    expect(membership.isValidAt(new Date(2026, 0, 31))).toBe(false);
+    expect(buildMembership({ status: 'cancelled' }).isValidAt(new Date(2026, 0, 10))).toBe(false);
+  });
+
+  it('never reports negative free minutes', () => {
+    expect(buildMembership({ minutesUsed: 450 }).getRemainingMinutes()).toBe(150);
+    expect(buildMembership({ minutesUsed: 700 }).getRemainingMinutes()).toBe(0);
+  });
+
+  it('only reserves minutes the allowance still covers', async () => {
+    const membership = buildMembership();
+    const update = jest.spyOn(Membership, 'findOneAndUpdate').mockResolvedValueOnce(membership).mockResolvedValueOnce(null);
+
+    await expect(Membership.reserveMinutes(membership, 120)).resolves.toBe(120);
+    await expect(Membership.reserveMinutes(membership, 120)).resolves.toBe(0);
+    expect(update.mock.calls[0][0]).toEqual({ _id: membership._id, minutesUsed: { $lte: 480 } });
+  });
+
+  it('gives back minutes without taking the count below zero', async () => {
+    const membershipId = new mongoose.Types.ObjectId();
+    const update = jest.spyOn(Membership, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await Membership.releaseMinutes(membershipId, 30);
+    expect(Membership.releaseMinutes(membershipId, 0)).toBeNull();
+
+    expect(update).toHaveBeenCalledTimes(1);
+    expect(update).toHaveBeenCalledWith({ _id: membershipId, minutesUsed: { $gte: 30 } }, { $inc: { minutesUsed: -30 } });
+  });
+});
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+
+const membershipPlanSchema = new mongoose.Schema({
+  // References
+  snookerHouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SnookerHouse',
+    required: true,
+    index: true
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // Basic Information
+  name: {
+    type: String,
+    required: [true, 'Plan name is required'],
+    trim: true,
+    maxlength: [100, 'Plan name cannot exceed 100 characters']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot exceed 300 characters'],
+    default: ''
+  },
+
+  price: {
+    type: Number,
+    required: [true, 'Plan price is required'],
+    min: [0, 'Plan price cannot be negative']
+  },
+
+  durationDays: {
+    type: Number,
+    required: [true, 'Plan duration is required'],
+    min: [1, 'Plan must last at least 1 day'],
+    default: 30
+  },
+
+  // Member rates: a fixed rate replaces the table rate, otherwise the
+  // percentage discount is taken off the table rate (null = table rate)
+  minuteRate: {
+    type: Number,
+    min: [0, 'Minute rate cannot be negative'],
+    default: null
+  },
+
+  frameRate: {
+    type: Number,
+    min: [0, 'Frame rate cannot be negative'],
+    default: null
+  },
+
+  kittiRate: {
+    type: Number,
+    min: [0, 'Kitti rate cannot be negative'],
+    default: null
+  },
+
+  rateDiscountPercent: {
+    type: Number,
+    min: [0, 'Discount cannot be negative'],
+    max: [100, 'Discount cannot exceed 100%'],
+    default: 0
+  },
+
+  // Free per-minute play included in each membership period
+  includedMinutes: {
+    type: Number,
+    min: [0, 'Included minutes cannot be negative'],
+    default: 0
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Tracking
+  createdBySession: {
+    type: String,
+    default: null
+  },
+
+  lastModifiedBySession: {
+    type: String,
+    default: null
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+membershipPlanSchema.index({ snookerHouse: 1, name: 1 }, { unique: true });
+membershipPlanSchema.index({ snookerHouse: 1, isActive: 1 });
+
+// Method to get the plan terms copied onto each membership sold
+membershipPlanSchema.methods.toSnapshot = function() {
+  return {
+    name: this.name,
+    price: this.price,
+    durationDays: this.durationDays,
+    minuteRate: this.minuteRate,
+    frameRate: this.frameRate,
+    kittiRate: this.kittiRate,
+    rateDiscountPercent: this.rateDiscountPercent,
+    includedMinutes: this.includedMinutes
+  };
+};
+
+module.exports = mongoose.model('MembershipPlan', membershipPlanSchema);
@@ -20,9 +20,16 @@ const otpSchema = new mongoose.Schema({
   },
   purpose: {
     type: String,
-    enum: ['signup', 'login', 'password_reset', 'email_verification'],
+    // staff_invite codes are only accepted by the staff invitation endpoint
+    enum: ['signup', 'login', 'password_reset', 'email_verification', 'staff_invite'],
     required: true
   },
+  // staff_invite codes belong to one invitation, so invites from several houses can be open at once
+  invitation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StaffInvitation',
+    default: null
+  },
   attempts: {
     type: Number,
     default: 0,
@@ -53,9 +60,9 @@ otpSchema.statics.generateOTP = function() {
 };
 
 // Static method to create new OTP
-otpSchema.statics.createOTP = async function(email, purpose, expiryMinutes = 10) {
-  // Delete any existing OTP for this email and purpose
-  await this.deleteMany({ email: email.toLowerCase(), purpose });
+otpSchema.statics.createOTP = async function(email, purpose, expiryMinutes = 10, invitation = null) {
+  // Delete any existing OTP for this email and purpose (and invitation)
+  await this.deleteMany({ email: email.toLowerCase(), purpose, invitation });
   
   const otp = this.generateOTP();
   const expiresAt = new Date(Date.now() + expiryMinutes * 60 * 1000);
@@ -64,6 +71,7 @@ otpSchema.statics.createOTP = async function(email, purpose, expiryMinutes = 10)
     email: email.toLowerCase(),
     otp,
     purpose,
+    invitation,
     expiresAt
   });
   
@@ -72,11 +80,12 @@ otpSchema.statics.createOTP = async function(email, purpose, expiryMinutes = 10)
 };
 
 // Static method to verify OTP
-otpSchema.statics.verifyOTP = async function(email, otp, purpose) {
+otpSchema.statics.verifyOTP = async function(email, otp, purpose, invitation = null) {
   const otpDoc = await this.findOne({
     email: email.toLowerCase(),
     otp,
     purpose,
+    invitation,
     isUsed: false,
     expiresAt: { $gt: new Date() }
   });
@@ -103,10 +112,11 @@ otpSchema.methods.incrementAttempts = async function() {
 };
 
 // Static method to check if OTP can be sent (rate limiting)
-otpSchema.statics.canSendOTP = async function(email, purpose) {
+otpSchema.statics.canSendOTP = async function(email, purpose, invitation = null) {
   const recentOTP = await this.findOne({
     email: email.toLowerCase(),
     purpose,
+    invitation,
     createdAt: { $gt: new Date(Date.now() - 2 * 60 * 1000) } // 2 minutes
   });
   
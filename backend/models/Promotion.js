@@ -0,0 +1,259 @@
+const mongoose = require('mongoose');
+
+const promotionSchema = new mongoose.Schema({
+  // References
+  snookerHouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SnookerHouse',
+    required: true,
+    index: true
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // Basic Information
+  name: {
+    type: String,
+    required: [true, 'Promotion name is required'],
+    trim: true,
+    maxlength: [100, 'Promotion name cannot exceed 100 characters']
+  },
+
+  // Code customers quote at the counter (optional - staff can also apply by ID)
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [30, 'Promo code cannot exceed 30 characters'],
+    default: null
+  },
+
+  description: {
+    type: String,
+    maxlength: [300, 'Description cannot exceed 300 characters'],
+    default: ''
+  },
+
+  // Discount Definition
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed_amount', 'free_minutes', 'item'],
+    required: [true, 'Promotion type is required']
+  },
+
+  // Percent off, NPR off, free minutes, or (for item) percent / NPR per unit off
+  value: {
+    type: Number,
+    required: [true, 'Promotion value is required'],
+    min: [0, 'Promotion value cannot be negative']
+  },
+
+  // Item-specific promotions: products covered and how the value is applied
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+
+  itemDiscountMode: {
+    type: String,
+    enum: ['percentage', 'fixed_amount'],
+    default: 'percentage'
+  },
+
+  // Cap for percentage discounts (null = no cap)
+  maxDiscountAmount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative'],
+    default: null
+  },
+
+  // Bill must reach this amount before the discount applies
+  minimumSpend: {
+    type: Number,
+    min: [0, 'Minimum spend cannot be negative'],
+    default: 0
+  },
+
+  appliesTo: {
+    type: String,
+    enum: ['sessions', 'sales', 'both'],
+    default: 'both'
+  },
+
+  // Validity Window
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+
+  validUntil: {
+    type: Date,
+    default: null
+  },
+
+  // Usage Limits (null = unlimited)
+  usageLimit: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1'],
+    default: null
+  },
+
+  perCustomerLimit: {
+    type: Number,
+    min: [1, 'Per-customer limit must be at least 1'],
+    default: null
+  },
+
+  usageCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Usage count cannot be negative']
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Tracking
+  createdBySession: {
+    type: String, // User session ID
+    default: null
+  },
+
+  lastModifiedBySession: {
+    type: String,
+    default: null
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+promotionSchema.index(
+  { snookerHouse: 1, code: 1 },
+  { unique: true, partialFilterExpression: { code: { $type: 'string' } } }
+);
+promotionSchema.index({ snookerHouse: 1, isActive: 1, validUntil: 1 });
+
+// Method to check if the promotion can be used right now for a target ('sessions' or 'sales')
+promotionSchema.methods.checkAvailability = function(target, at = new Date()) {
+  if (!this.isActive) {
+    return { available: false, reason: 'Promotion is not active' };
+  }
+
+  if (this.validFrom && at < this.validFrom) {
+    return { available: false, reason: 'Promotion has not started yet' };
+  }
+
+  if (this.validUntil && at > this.validUntil) {
+    return { available: false, reason: 'Promotion has expired' };
+  }
+
+  if (this.appliesTo !== 'both' && this.appliesTo !== target) {
+    return { available: false, reason: `Promotion cannot be used on ${target}` };
+  }
+
+  if (target === 'sales' && this.type === 'free_minutes') {
+    return { available: false, reason: 'Free-minutes promotions only apply to game sessions' };
+  }
+
+  if (this.usageLimit !== null && this.usageCount >= this.usageLimit) {
+    return { available: false, reason: 'Promotion usage limit has been reached' };
+  }
+
+  return { available: true };
+};
+
+// Method to build the discount line snapshot stored on sessions and sales
+promotionSchema.methods.toDiscountLine = function() {
+  return {
+    promotion: this._id,
+    code: this.code,
+    name: this.name,
+    type: this.type,
+    value: this.value,
+    products: this.products,
+    itemDiscountMode: this.itemDiscountMode,
+    maxDiscountAmount: this.maxDiscountAmount,
+    minimumSpend: this.minimumSpend,
+    amount: 0
+  };
+};
+
+// Static method to find a promotion by code within a snooker house
+promotionSchema.statics.findByCode = function(snookerHouseId, code) {
+  return this.findOne({
+    snookerHouse: snookerHouseId,
+    code: String(code).trim().toUpperCase()
+  });
+};
+
+// Static method to atomically use up one redemption (null when the limit is reached)
+promotionSchema.statics.claimUsage = function(promotionId) {
+  return this.findOneAndUpdate(
+    {
+      _id: promotionId,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usageCount: 1 } },
+    { new: true }
+  );
+};
+
+// Static method to give back a redemption (discount removed or bill cancelled)
+promotionSchema.statics.releaseUsage = function(promotionId) {
+  return this.updateOne(
+    { _id: promotionId, usageCount: { $gt: 0 } },
+    { $inc: { usageCount: -1 } }
+  );
+};
+
+// Static method to count how often a customer has used a promotion
+promotionSchema.statics.countCustomerUses = async function(promotionId, customerPhone) {
+  const Session = mongoose.model('Session');
+  const Sale = mongoose.model('Sale');
+
+  const [sessionUses, saleUses] = await Promise.all([
+    Session.countDocuments({
+      'discounts.promotion': promotionId,
+      customerPhone,
+      status: { $ne: 'cancelled' }
+    }),
+    Sale.countDocuments({ 'discounts.promotion': promotionId, customerPhone })
+  ]);
+
+  return sessionUses + saleUses;
+};
+
+// Transform output
+promotionSchema.methods.toJSON = function() {
+  const promotion = this.toObject();
+
+  promotion.remainingUses = this.usageLimit !== null ? Math.max(0, this.usageLimit - this.usageCount) : null;
+  promotion.isCurrentlyValid = this.isActive &&
+    (!this.validFrom || this.validFrom <= new Date()) &&
+    (!this.validUntil || this.validUntil >= new Date());
+
+  return promotion;
+};
+
+module.exports = mongoose.model('Promotion', promotionSchema);
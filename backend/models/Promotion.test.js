@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const Promotion = require('./Promotion');
+
+const buildPromotion = (overrides = {}) => new Promotion({
+  snookerHouse: new mongoose.Types.ObjectId(),
+  owner: new mongoose.Types.ObjectId(),
+  name: 'Weekend',
+  code: 'weekend10',
+  type: 'percentage',
+  value: 10,
+  validFrom: new Date(2026, 0, 1),
+  ...overrides
+});
+
+describe('checkAvailability', () => {
+  const at = new Date(2026, 0, 15);
+
+  it('is available inside the validity window', () => {
+    expect(buildPromotion().checkAvailability('sessions', at)).toEqual({ available: true });
+  });
+
+  it('rejects an inactive, future or expired promotion', () => {
+    expect(buildPromotion({ isActive: false }).checkAvailability('sales', at).reason).toBe('Promotion is not active');
+    expect(buildPromotion({ validFrom: new Date(2026, 1, 1) }).checkAvailability('sales', at).reason)
+      .toBe('Promotion has not started yet');
+    expect(buildPromotion({ validUntil: new Date(2026, 0, 10) }).checkAvailability('sales', at).reason)
+      .toBe('Promotion has expired');
+  });
+
+  it('rejects a target the promotion does not apply to', () => {
+    expect(buildPromotion({ appliesTo: 'sessions' }).checkAvailability('sales', at).reason)
+      .toBe('Promotion cannot be used on sales');
+    expect(buildPromotion({ type: 'free_minutes' }).checkAvailability('sales', at).available).toBe(false);
+  });
+
+  it('rejects a promotion that has used up its redemptions', () => {
+    const promotion = buildPromotion({ usageLimit: 5, usageCount: 5 });
+
+    expect(promotion.checkAvailability('sessions', at).reason).toBe('Promotion usage limit has been reached');
+  });
+});
+
+describe('toDiscountLine', () => {
+  it('snapshots the discount terms with no amount yet', () => {
+    const promotion = buildPromotion({ maxDiscountAmount: 200, minimumSpend: 500 });
+
+    expect(promotion.toDiscountLine()).toMatchObject({
+      promotion: promotion._id,
+      code: 'WEEKEND10',
+      type: 'percentage',
+      value: 10,
+      maxDiscountAmount: 200,
+      minimumSpend: 500,
+      amount: 0
+    });
+  });
+});
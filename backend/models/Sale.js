@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { applyDiscountLines } = require('../services/discountService');
+const { calculateTaxes } = require('../services/taxService');
 
 const saleItemSchema = new mongoose.Schema({
   product: {
@@ -39,6 +41,62 @@ const saleItemSchema = new mongoose.Schema({
   }
 });
 
+// Discount line (snapshot of the promotion when it was applied)
+const saleDiscountSchema = new mongoose.Schema({
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    required: true
+  },
+  code: String,
+  name: String,
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed_amount', 'item'],
+    required: true
+  },
+  value: Number,
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  itemDiscountMode: String,
+  maxDiscountAmount: Number,
+  minimumSpend: Number,
+  amount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount amount cannot be negative']
+  }
+});
+
+// Tax settings snapshot from the snooker house at the time of sale
+const saleTaxSnapshotSchema = new mongoose.Schema({
+  vatEnabled: Boolean,
+  vatRate: Number,
+  serviceChargeEnabled: Boolean,
+  serviceChargeRate: Number,
+  pricesIncludeTax: Boolean,
+  applyToGame: Boolean,
+  applyToItems: Boolean
+}, { _id: false });
+
+// Service charge / VAT line on the bill
+const saleTaxLineSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['service_charge', 'vat'],
+    required: true
+  },
+  name: String,
+  rate: Number,
+  taxableAmount: Number,
+  amount: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
 const saleSchema = new mongoose.Schema({
   // Basic Information
   saleNumber: {
@@ -91,11 +149,57 @@ const saleSchema = new mongoose.Schema({
     min: [0, 'Total revenue cannot be negative']
   },
   
+  // Profit after discounts
   totalProfit: {
     type: Number,
     required: true
   },
   
+  // Promotions applied to this sale
+  discounts: [saleDiscountSchema],
+  
+  totalDiscount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Total discount cannot be negative']
+  },
+  
+  // Tax configuration (null = house does not charge VAT or service charge)
+  taxSettings: {
+    type: saleTaxSnapshotSchema,
+    default: null
+  },
+  
+  taxLines: [saleTaxLineSchema],
+  
+  serviceCharge: {
+    type: Number,
+    default: 0
+  },
+  
+  vatAmount: {
+    type: Number,
+    default: 0
+  },
+  
+  totalTax: {
+    type: Number,
+    default: 0
+  },
+  
+  // Tax invoice number
+  invoiceNumber: {
+    type: String,
+    default: null
+  },
+  
+  // Amount charged to the customer (totalRevenue - totalDiscount + tax when prices exclude tax)
+  amountDue: {
+    type: Number,
+    default: 0,
+    min: [0, 'Amount due cannot be negative']
+  },
+  
   // Payment Information
   paymentMethod: {
     type: String,
@@ -103,7 +207,14 @@ const saleSchema = new mongoose.Schema({
     default: 'cash'
   },
   
-  // Customer Information (optional)
+  // Registered customer (null = walk-in)
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
+  
+  // Customer Information (optional, kept as printed on the bill)
   customerName: {
     type: String,
     trim: true,
@@ -149,6 +260,8 @@ saleSchema.index({ snookerHouse: 1, saleDate: -1 });
 saleSchema.index({ owner: 1, saleDate: -1 });
 saleSchema.index({ saleNumber: 1 });
 saleSchema.index({ session: 1 });
+saleSchema.index({ snookerHouse: 1, invoiceNumber: 1 });
+saleSchema.index({ snookerHouse: 1, customer: 1 });
 
 // Static method to generate sale number
 saleSchema.statics.generateSaleNumber = async function(snookerHouseId) {
@@ -191,7 +304,25 @@ saleSchema.methods.calculateTotals = function() {
   this.totalItems = this.items.reduce((sum, item) => sum + item.quantity, 0);
   this.totalCost = this.items.reduce((sum, item) => sum + item.totalCost, 0);
   this.totalRevenue = this.items.reduce((sum, item) => sum + item.totalRevenue, 0);
-  this.totalProfit = this.totalRevenue - this.totalCost;
+  this.totalDiscount = applyDiscountLines(this.discounts, {
+    gameCost: 0,
+    itemsRevenue: this.totalRevenue,
+    items: this.items
+  });
+
+  const taxes = calculateTaxes({
+    gameAmount: 0,
+    itemsAmount: this.totalRevenue,
+    discount: this.totalDiscount
+  }, this.taxSettings);
+  this.taxLines = taxes.lines;
+  this.serviceCharge = taxes.serviceCharge;
+  this.vatAmount = taxes.vatAmount;
+  this.totalTax = taxes.totalTax;
+
+  // Service charge is house income; VAT is owed to the tax office and never counts as profit
+  this.amountDue = this.totalRevenue - this.totalDiscount + taxes.addedToBill;
+  this.totalProfit = this.amountDue - this.vatAmount - this.totalCost;
 };
 
 module.exports = mongoose.model('Sale', saleSchema);
\ No newline at end of file
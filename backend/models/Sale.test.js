@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const Sale = require('./Sale');
+const { buildTaxSnapshot } = require('../services/taxService');
+
+const buildSale = ({ revenue, cost, taxSettings = null, discounts = [] }) => new Sale({
+  snookerHouse: new mongoose.Types.ObjectId(),
+  items: [{
+    product: new mongoose.Types.ObjectId(),
+    productName: 'Cola',
+    quantity: 2,
+    costPrice: cost / 2,
+    sellingPrice: revenue / 2,
+    totalCost: cost,
+    totalRevenue: revenue,
+    profit: revenue - cost
+  }],
+  discounts,
+  taxSettings: buildTaxSnapshot(taxSettings)
+});
+
+describe('Sale.calculateTotals', () => {
+  it('adds exclusive VAT to the amount due but not to the profit', () => {
+    const sale = buildSale({ revenue: 1000, cost: 600, taxSettings: { vatEnabled: true, vatRate: 13 } });
+
+    sale.calculateTotals();
+
+    expect(sale.vatAmount).toBe(130);
+    expect(sale.amountDue).toBe(1130);
+    expect(sale.totalProfit).toBe(400);
+  });
+
+  it('taxes the bill after discount', () => {
+    const sale = buildSale({
+      revenue: 1000,
+      cost: 600,
+      taxSettings: { vatEnabled: true, vatRate: 13 },
+      discounts: [{ promotion: new mongoose.Types.ObjectId(), type: 'fixed_amount', value: 200 }]
+    });
+
+    sale.calculateTotals();
+
+    expect(sale.totalDiscount).toBe(200);
+    expect(sale.vatAmount).toBe(104);
+    expect(sale.amountDue).toBe(904);
+  });
+
+  it('keeps inclusive VAT out of the profit without changing the price', () => {
+    const sale = buildSale({
+      revenue: 1130,
+      cost: 600,
+      taxSettings: { vatEnabled: true, vatRate: 13, pricesIncludeTax: true }
+    });
+
+    sale.calculateTotals();
+
+    expect(sale.amountDue).toBe(1130);
+    expect(sale.vatAmount).toBe(130);
+    expect(sale.totalProfit).toBe(400);
+  });
+});
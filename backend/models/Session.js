@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { getActiveIntervals, splitIntoPricedSegments } = require('../services/pricingService');
+const { applyDiscountLines, describeDiscount } = require('../services/discountService');
+const { calculateTaxes } = require('../services/taxService');
 
 // Schema for items added to session
 const sessionItemSchema = new mongoose.Schema({
@@ -38,17 +41,270 @@ const sessionItemSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Units refunded after the session was completed
+  refundedQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Refunded quantity cannot be negative']
+  },
+  // Player this item is charged to (null = shared by everyone)
+  player: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Player sharing the table (used when the bill is split)
+const playerSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Player name is required'],
+    trim: true,
+    maxlength: [100, 'Player name cannot exceed 100 characters']
+  },
+  phone: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Phone number cannot exceed 20 characters'],
+    default: ''
+  },
+  // Used by the frames_lost split
+  framesLost: {
+    type: Number,
+    default: 0,
+    min: [0, 'Frames lost cannot be negative']
+  },
+  // Relative weight used by the custom split (e.g. 2:1:1)
+  customShare: {
+    type: Number,
+    default: 1,
+    min: [0, 'Custom share cannot be negative']
+  },
   addedAt: {
     type: Date,
     default: Date.now
   }
 });
 
+// A frame or kitti played during the session and who lost it
+// (voided entries stay in the log so disputes can be traced)
+const frameLogSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['frame', 'kitti'],
+    default: 'frame'
+  },
+  players: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  winner: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  loser: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  table: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Table'
+  },
+  // Rate of this game at the table it was played on
+  amount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Game amount cannot be negative']
+  },
+  playedAt: {
+    type: Date,
+    default: Date.now
+  },
+  recordedBySession: {
+    type: String,
+    default: null
+  },
+  correctedAt: {
+    type: Date,
+    default: null
+  },
+  correctionNote: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Correction note cannot exceed 200 characters'],
+    default: ''
+  },
+  voidedAt: {
+    type: Date,
+    default: null
+  },
+  voidReason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Void reason cannot exceed 200 characters'],
+    default: ''
+  }
+});
+
+// Paused interval (end is null while the session is still paused)
+const pauseIntervalSchema = new mongoose.Schema({
+  start: {
+    type: Date,
+    required: true
+  },
+  end: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+// Pricing rule snapshot taken from the table at session start
+const pricingRuleSnapshotSchema = new mongoose.Schema({
+  name: String,
+  daysOfWeek: [Number],
+  startTime: String,
+  endTime: String,
+  minuteRate: Number
+}, { _id: false });
+
+// Time spent on one table (sessions can move between tables).
+// The last segment is open (endTime null) and matches the session's current table.
+const tableSegmentSchema = new mongoose.Schema({
+  table: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Table',
+    required: true
+  },
+  tableName: String,
+  tableNumber: Number,
+  // Rate snapshot of this table
+  pricingMethod: {
+    type: String,
+    enum: ['per_minute', 'frame_kitti'],
+    required: true
+  },
+  minuteRate: Number,
+  frameRate: Number,
+  kittiRate: Number,
+  pricingRules: [pricingRuleSnapshotSchema],
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    default: null
+  },
+  // Frames/kittis played on this table (filled in when the segment closes)
+  frames: {
+    type: Number,
+    default: 0
+  },
+  kittis: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Member pricing snapshot (plan terms of the customer's membership at session start)
+const memberPlanSnapshotSchema = new mongoose.Schema({
+  membership: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Membership'
+  },
+  name: String,
+  // Fixed member rates (null = percentage off the table rate)
+  minuteRate: Number,
+  frameRate: Number,
+  kittiRate: Number,
+  rateDiscountPercent: Number
+}, { _id: false });
+
+// Discount line (snapshot of the promotion when it was applied)
+const discountLineSchema = new mongoose.Schema({
+  // Set for promotions; membership lines carry the membership instead
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    default: null
+  },
+  // Included membership minutes reserved for this session
+  membership: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Membership',
+    default: null
+  },
+  code: String,
+  name: String,
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed_amount', 'free_minutes', 'item'],
+    required: true
+  },
+  value: Number,
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  itemDiscountMode: String,
+  maxDiscountAmount: Number,
+  minimumSpend: Number,
+  // Amount taken off the bill (recalculated as the bill changes)
+  amount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount amount cannot be negative']
+  },
+  appliedAt: {
+    type: Date,
+    default: Date.now
+  },
+  appliedBySession: {
+    type: String,
+    default: null
+  },
+  // Set once the promotion usage or membership minutes have been given back
+  releasedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+// Tax settings snapshot from the snooker house at session start
+const taxSnapshotSchema = new mongoose.Schema({
+  vatEnabled: Boolean,
+  vatRate: Number,
+  serviceChargeEnabled: Boolean,
+  serviceChargeRate: Number,
+  pricesIncludeTax: Boolean,
+  applyToGame: Boolean,
+  applyToItems: Boolean
+}, { _id: false });
+
+// Service charge / VAT line on the bill
+const taxLineSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['service_charge', 'vat'],
+    required: true
+  },
+  name: String,
+  rate: Number,
+  taxableAmount: Number,
+  amount: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
 // 🆕 NEW: Payment tracking schema
 const paymentSchema = new mongoose.Schema({
   method: {
     type: String,
-    enum: ['esewa', 'online_banking', 'cash'],
+    enum: ['esewa', 'online_banking', 'cash', 'points', 'wallet'],
     required: true
   },
   methodLabel: {
@@ -72,6 +328,99 @@ const paymentSchema = new mongoose.Schema({
     type: String,
     trim: true,
     maxlength: [200, 'Payment notes cannot exceed 200 characters']
+  },
+  // Player whose share this payment settles (null = whole session)
+  player: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Loyalty points redeemed for a 'points' payment
+  points: {
+    type: Number,
+    default: 0
+  },
+  // Customer whose wallet or points paid (a player's payment may not be the session customer's)
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  }
+});
+
+// Refunded item line (quantity returned from a session item)
+const refundItemSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  productName: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  amount: {
+    type: Number,
+    default: 0
+  },
+  restocked: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+// Refund / payment reversal on a completed session (money returned to the customer)
+const refundSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Refund amount must be greater than 0']
+  },
+  method: {
+    type: String,
+    enum: ['esewa', 'online_banking', 'cash', 'points', 'wallet'],
+    required: true
+  },
+  methodLabel: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: [true, 'Refund reason is required'],
+    trim: true,
+    maxlength: [300, 'Refund reason cannot exceed 300 characters']
+  },
+  // Payment being reversed (null = general refund)
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  items: [refundItemSchema],
+  transactionId: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Refund notes cannot exceed 200 characters']
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  issuedBySession: {
+    type: String,
+    default: null
+  },
+  refundedAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
@@ -98,7 +447,28 @@ const sessionSchema = new mongoose.Schema({
     index: true
   },
   
-  // Session Details
+  // Reservation this session was started from (if any)
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    default: null
+  },
+  
+  // Reservation that was overridden to seat this walk-in (if any)
+  overriddenBooking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    default: null
+  },
+  
+  // Registered customer (null = walk-in guest)
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
+  
+  // Session Details (name / phone kept as printed on the bill)
   customerName: {
     type: String,
     required: false,
@@ -142,6 +512,9 @@ const sessionSchema = new mongoose.Schema({
     default: 0
   },
   
+  // Individual pauses, so time-of-day pricing can skip them exactly
+  pauseIntervals: [pauseIntervalSchema],
+  
   // Game Tracking (for frame_kitti pricing)
   frames: {
     type: Number,
@@ -155,9 +528,22 @@ const sessionSchema = new mongoose.Schema({
     min: [0, 'Kittis cannot be negative']
   },
   
+  // Per-game log with winner/loser (frames/kittis above stay the billed totals)
+  frameLog: [frameLogSchema],
+  
   // Items purchased during session
   items: [sessionItemSchema],
   
+  // Players sharing the bill
+  players: [playerSchema],
+  
+  // How the game cost is allocated between players (null = single bill)
+  splitMethod: {
+    type: String,
+    enum: ['even', 'frames_lost', 'custom', 'loser_pays', null],
+    default: null
+  },
+  
   // Item totals
   totalItems: {
     type: Number,
@@ -207,6 +593,24 @@ const sessionSchema = new mongoose.Schema({
     min: [0, 'Kitti rate cannot be negative']
   },
   
+  // Time-of-day / weekday rules (per_minute only, snapshot from table)
+  pricingRules: [pricingRuleSnapshotSchema],
+  
+  // Membership the customer played under (member rates replace table rates)
+  membership: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Membership',
+    default: null
+  },
+  
+  memberPlan: {
+    type: memberPlanSnapshotSchema,
+    default: null
+  },
+  
+  // Table history (empty until the session is moved to another table)
+  tableSegments: [tableSegmentSchema],
+  
   // Cost Calculation
   gameCost: {
     type: Number,
@@ -214,6 +618,53 @@ const sessionSchema = new mongoose.Schema({
     min: [0, 'Game cost cannot be negative']
   },
   
+  // Promotions applied to this bill
+  discounts: [discountLineSchema],
+  
+  totalDiscount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Total discount cannot be negative']
+  },
+  
+  // Tax configuration (null = house does not charge VAT or service charge)
+  taxSettings: {
+    type: taxSnapshotSchema,
+    default: null
+  },
+  
+  taxLines: [taxLineSchema],
+  
+  serviceCharge: {
+    type: Number,
+    default: 0
+  },
+  
+  vatAmount: {
+    type: Number,
+    default: 0
+  },
+  
+  // Service charge + VAT (added to the bill only in tax-exclusive mode)
+  totalTax: {
+    type: Number,
+    default: 0
+  },
+  
+  // Customer credit account the unpaid balance is posted to when the session ends
+  creditAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditAccount',
+    default: null
+  },
+  
+  // Tax invoice number, issued when the session is completed
+  invoiceNumber: {
+    type: String,
+    default: null
+  },
+  
+  // Amount due (game + items - discounts + tax when prices exclude tax)
   totalCost: {
     type: Number,
     default: 0,
@@ -227,9 +678,24 @@ const sessionSchema = new mongoose.Schema({
     default: 'pending'
   },
   
+  // Refunds and payment reversals (bill totals stay as charged)
+  refunds: [refundSchema],
+  
+  totalRefunded: {
+    type: Number,
+    default: 0,
+    min: [0, 'Total refunded cannot be negative']
+  },
+  
+  refundStatus: {
+    type: String,
+    enum: ['none', 'partial', 'full'],
+    default: 'none'
+  },
+  
   paymentMethod: {
     type: String,
-    enum: ['esewa', 'online_banking', 'cash', null],
+    enum: ['esewa', 'online_banking', 'cash', 'points', 'wallet', null],
     default: null
   },
   
@@ -263,6 +729,12 @@ const sessionSchema = new mongoose.Schema({
     default: null
   },
   
+  // Loyalty points the customer earned on this session
+  loyaltyPointsEarned: {
+    type: Number,
+    default: 0
+  },
+  
   // Tracking
   createdBySession: {
     type: String, // User session ID
@@ -274,6 +746,17 @@ const sessionSchema = new mongoose.Schema({
     default: null
   },
   
+  // Who billed or cancelled the session (later edits only change lastModifiedBySession)
+  endedBySession: {
+    type: String,
+    default: null
+  },
+  
+  cancelledBySession: {
+    type: String,
+    default: null
+  },
+  
   lastModifiedAt: {
     type: Date,
     default: Date.now
@@ -305,6 +788,10 @@ sessionSchema.index({ snookerHouse: 1, createdAt: -1 });
 sessionSchema.index({ owner: 1, createdAt: -1 });
 sessionSchema.index({ status: 1, createdAt: -1 });
 sessionSchema.index({ paymentStatus: 1, createdAt: -1 }); // 🆕 NEW: Payment status index
+sessionSchema.index({ 'tableSegments.table': 1 });
+sessionSchema.index({ snookerHouse: 1, invoiceNumber: 1 });
+sessionSchema.index({ snookerHouse: 1, customer: 1 });
+sessionSchema.index({ snookerHouse: 1, 'refunds.refundedAt': -1 });
 
 // Method to calculate session duration in minutes
 sessionSchema.methods.getDurationInMinutes = function() {
@@ -321,26 +808,280 @@ sessionSchema.methods.getDurationInMinutes = function() {
   return Math.floor((now - effectiveStartTime - totalPaused - currentPauseDuration) / (1000 * 60));
 };
 
-// Method to calculate game cost only
-sessionSchema.methods.calculateGameCost = function() {
+// Method to pause the session clock
+sessionSchema.methods.pause = function(at = new Date()) {
+  if (this.status !== 'active') return;
+  this.status = 'paused';
+  this.pausedAt = at;
+  this.pauseIntervals.push({ start: at, end: null });
+};
+
+// Method to resume the session clock (also used to close a pause when ending)
+sessionSchema.methods.resume = function(at = new Date()) {
+  if (!this.pausedAt) return;
+  this.totalPausedTime = (this.totalPausedTime || 0) + (at - this.pausedAt);
+  this.pausedAt = null;
+
+  const openPause = this.pauseIntervals.find(pause => !pause.end);
+  if (openPause) openPause.end = at;
+
+  if (this.status === 'paused') {
+    this.status = 'active';
+  }
+};
+
+// Method to snapshot a table's pricing onto the session
+sessionSchema.methods.applyTableRates = function(table) {
+  this.pricingMethod = table.pricingMethod;
+
+  if (table.pricingMethod === 'per_minute') {
+    this.minuteRate = table.hourlyRate;
+    this.frameRate = undefined;
+    this.kittiRate = undefined;
+    // Snapshot active time-of-day rules so later table edits don't reprice this session
+    this.pricingRules = (table.pricingRules || [])
+      .filter(rule => rule.isActive !== false)
+      .map(rule => ({
+        name: rule.name,
+        daysOfWeek: rule.daysOfWeek,
+        startTime: rule.startTime,
+        endTime: rule.endTime,
+        minuteRate: rule.minuteRate
+      }));
+  } else if (table.pricingMethod === 'frame_kitti') {
+    this.frameRate = table.frameRate;
+    this.kittiRate = table.kittiRate;
+    this.minuteRate = undefined;
+    this.pricingRules = [];
+  }
+
+  if (this.memberPlan) {
+    this.applyMemberRates();
+  }
+};
+
+// Method to replace the table rates with member rates
+sessionSchema.methods.applyMemberRates = function() {
+  const plan = this.memberPlan;
+  const factor = 1 - (plan.rateDiscountPercent || 0) / 100;
+  const isSet = (rate) => rate !== null && rate !== undefined;
+  const discounted = (rate) => (isSet(rate) ? Math.round(rate * factor * 100) / 100 : rate);
+
   if (this.pricingMethod === 'per_minute') {
-    const minutes = this.getDurationInMinutes();
-    // Use minuteRate if available, fallback to hourlyRate/60 for backward compatibility
-    if (this.minuteRate !== undefined) {
-      return this.minuteRate * minutes; // Direct per-minute calculation
+    if (isSet(plan.minuteRate)) {
+      // A fixed member rate is flat across the day
+      this.minuteRate = plan.minuteRate;
+      this.pricingRules = [];
     } else {
-      return (this.hourlyRate / 60) * minutes; // Backward compatibility
+      this.minuteRate = discounted(this.minuteRate);
+      this.pricingRules = this.pricingRules.map(rule => ({
+        name: rule.name,
+        daysOfWeek: rule.daysOfWeek,
+        startTime: rule.startTime,
+        endTime: rule.endTime,
+        minuteRate: discounted(rule.minuteRate)
+      }));
     }
   } else if (this.pricingMethod === 'frame_kitti') {
-    return (this.frames * this.frameRate) + (this.kittis * this.kittiRate);
+    this.frameRate = isSet(plan.frameRate) ? plan.frameRate : discounted(this.frameRate);
+    this.kittiRate = isSet(plan.kittiRate) ? plan.kittiRate : discounted(this.kittiRate);
   }
-  return 0;
 };
 
-// Method to calculate current total cost (game + items)
-sessionSchema.methods.calculateCurrentCost = function() {
+// Method to get billable per_minute minutes played so far
+sessionSchema.methods.getBillableMinutes = function() {
+  return this.getPricedSegments().reduce((sum, segment) => sum + segment.minutes, 0);
+};
+
+// Method to get frames/kittis played on the current table
+// (session frames/kittis are running totals across all tables)
+sessionSchema.methods.getCurrentTableGames = function() {
+  const closed = this.tableSegments.filter(segment => segment.endTime);
+  return {
+    frames: Math.max(0, (this.frames || 0) - closed.reduce((sum, segment) => sum + (segment.frames || 0), 0)),
+    kittis: Math.max(0, (this.kittis || 0) - closed.reduce((sum, segment) => sum + (segment.kittis || 0), 0))
+  };
+};
+
+// Method to move the session to another table, closing the current table segment
+sessionSchema.methods.moveToTable = function(fromTable, toTable, at = new Date()) {
+  // First move: record the original table as the opening segment
+  if (this.tableSegments.length === 0) {
+    this.tableSegments.push({
+      table: fromTable._id,
+      tableName: fromTable.name,
+      tableNumber: fromTable.tableNumber,
+      pricingMethod: this.pricingMethod,
+      minuteRate: this.getBaseMinuteRate(),
+      frameRate: this.frameRate,
+      kittiRate: this.kittiRate,
+      pricingRules: this.pricingRules,
+      startTime: this.startTime
+    });
+  }
+
+  const openSegment = this.tableSegments[this.tableSegments.length - 1];
+  const games = this.getCurrentTableGames();
+  openSegment.endTime = at;
+  openSegment.frames = games.frames;
+  openSegment.kittis = games.kittis;
+
+  this.table = toTable._id;
+  this.applyTableRates(toTable);
+
+  this.tableSegments.push({
+    table: toTable._id,
+    tableName: toTable.name,
+    tableNumber: toTable.tableNumber,
+    pricingMethod: this.pricingMethod,
+    minuteRate: this.minuteRate,
+    frameRate: this.frameRate,
+    kittiRate: this.kittiRate,
+    pricingRules: this.pricingRules,
+    startTime: at
+  });
+};
+
+// Method to get the base per-minute rate snapshot
+sessionSchema.methods.getBaseMinuteRate = function() {
+  // Use minuteRate if available, fallback to hourlyRate/60 for backward compatibility
+  return this.minuteRate !== undefined ? this.minuteRate : (this.hourlyRate || 0) / 60;
+};
+
+// Method to split per_minute play time into priced segments
+sessionSchema.methods.getPricedSegments = function() {
+  const end = ['active', 'paused'].includes(this.status) ? new Date() : (this.endTime || new Date());
+
+  // Moved between tables: bill each per_minute table at its own snapshot
+  if (this.tableSegments.length > 0) {
+    const intervals = [];
+    for (const segment of this.tableSegments) {
+      if (segment.pricingMethod !== 'per_minute') continue;
+
+      getActiveIntervals(segment.startTime, segment.endTime || end, this.pauseIntervals || [])
+        .forEach(interval => intervals.push({
+          ...interval,
+          baseRate: segment.minuteRate,
+          rules: segment.pricingRules || [],
+          tableName: segment.tableName
+        }));
+    }
+    return splitIntoPricedSegments(intervals, this.getBaseMinuteRate());
+  }
+
+  if (this.pricingMethod !== 'per_minute') return [];
+
+  const baseRate = this.getBaseMinuteRate();
+  const rules = this.pricingRules || [];
+
+  // No rules: one segment at the base rate (also covers sessions without pause intervals)
+  if (rules.length === 0) {
+    const minutes = Math.max(0, this.getDurationInMinutes());
+    return [{
+      from: this.startTime,
+      to: this.status === 'completed' || this.status === 'cancelled' ? this.endTime : new Date(),
+      ruleName: 'Standard rate',
+      minuteRate: baseRate,
+      minutes,
+      cost: baseRate * minutes
+    }];
+  }
+
+  const intervals = getActiveIntervals(this.startTime, end, this.pauseIntervals || []);
+  return splitIntoPricedSegments(intervals, baseRate, rules);
+};
+
+// Method to get frame & kitti play per table, each at that table's rates
+sessionSchema.methods.getFrameSegments = function() {
+  if (this.tableSegments.length === 0) {
+    return this.pricingMethod === 'frame_kitti'
+      ? [{ frames: this.frames, kittis: this.kittis, frameRate: this.frameRate, kittiRate: this.kittiRate }]
+      : [];
+  }
+
+  const currentGames = this.getCurrentTableGames();
+  return this.tableSegments
+    .filter(segment => segment.pricingMethod === 'frame_kitti')
+    .map(segment => ({
+      tableName: segment.tableName,
+      frames: segment.endTime ? segment.frames : currentGames.frames,
+      kittis: segment.endTime ? segment.kittis : currentGames.kittis,
+      frameRate: segment.frameRate,
+      kittiRate: segment.kittiRate
+    }));
+};
+
+// Method to calculate game cost only
+sessionSchema.methods.calculateGameCost = function() {
+  const timeCost = this.getPricedSegments().reduce((sum, segment) => sum + segment.cost, 0);
+  const frameCost = this.getFrameSegments()
+    .reduce((sum, segment) => sum + (segment.frames * segment.frameRate) + (segment.kittis * segment.kittiRate), 0);
+  return timeCost + frameCost;
+};
+
+// Method to get the context discounts are calculated against
+sessionSchema.methods.getDiscountContext = function(gameCost = this.calculateGameCost()) {
+  return {
+    gameCost,
+    itemsRevenue: this.totalItemsRevenue,
+    items: this.items,
+    pricedSegments: this.getPricedSegments()
+  };
+};
+
+// Method to recalculate discount lines against the current bill
+sessionSchema.methods.applyDiscounts = function(gameCost = this.calculateGameCost()) {
+  this.totalDiscount = applyDiscountLines(this.discounts, this.getDiscountContext(gameCost));
+  return this.totalDiscount;
+};
+
+// Method to calculate the live discount without touching stored line amounts
+sessionSchema.methods.calculateCurrentDiscount = function(gameCost = this.calculateGameCost()) {
+  const lines = this.discounts.map(line => line.toObject());
+  return applyDiscountLines(lines, this.getDiscountContext(gameCost));
+};
+
+// Method to calculate service charge and VAT for a game cost and discount
+sessionSchema.methods.calculateTaxes = function(gameCost, discount) {
+  return calculateTaxes({
+    gameAmount: gameCost,
+    itemsAmount: this.totalItemsRevenue,
+    discount
+  }, this.taxSettings);
+};
+
+// Method to recalculate discounts, taxes and the amount due for a game cost
+sessionSchema.methods.applyCharges = function(gameCost) {
+  this.applyDiscounts(gameCost);
+
+  const taxes = this.calculateTaxes(gameCost, this.totalDiscount);
+  this.taxLines = taxes.lines;
+  this.serviceCharge = taxes.serviceCharge;
+  this.vatAmount = taxes.vatAmount;
+  this.totalTax = taxes.totalTax;
+
+  this.totalCost = gameCost + this.totalItemsRevenue - this.totalDiscount + taxes.addedToBill;
+};
+
+// Method to calculate the live bill without touching stored amounts
+sessionSchema.methods.calculateCurrentCharges = function() {
   const gameCost = this.calculateGameCost();
-  return gameCost + this.totalItemsRevenue;
+  const discountLines = this.discounts.map(line => line.toObject());
+  const discount = applyDiscountLines(discountLines, this.getDiscountContext(gameCost));
+  const taxes = this.calculateTaxes(gameCost, discount);
+
+  return {
+    gameCost,
+    discountLines,
+    discount,
+    taxes,
+    total: gameCost + this.totalItemsRevenue - discount + taxes.addedToBill
+  };
+};
+
+// Method to calculate current total cost (game + items - discounts + tax)
+sessionSchema.methods.calculateCurrentCost = function() {
+  return this.calculateCurrentCharges().total;
 };
 
 // Method to calculate items totals
@@ -355,44 +1096,298 @@ sessionSchema.methods.calculateItemsTotals = function() {
 sessionSchema.methods.updateTotalCost = function() {
   this.calculateItemsTotals();
   this.gameCost = this.calculateGameCost();
-  this.totalCost = this.gameCost + this.totalItemsRevenue;
+  this.applyCharges(this.gameCost);
   this.updatePaymentAmounts(); // 🆕 NEW: Update payment calculations
   return this.save();
 };
 
+// Method to find the closed table segment a game was played in (null = current table)
+sessionSchema.methods.getGameSegment = function(playedAt) {
+  return this.tableSegments.find(segment =>
+    segment.endTime && segment.startTime <= playedAt && segment.endTime > playedAt
+  ) || null;
+};
+
+// Method to log a frame/kitti with its winner and loser, adding it to the game totals
+sessionSchema.methods.logGame = function({ type = 'frame', playerIds, winnerId, loserId, recordedBySession }) {
+  if (this.pricingMethod !== 'frame_kitti') {
+    throw new Error('Games can only be logged on frame/kitti tables');
+  }
+
+  const ids = this.validateGamePlayers(playerIds, winnerId, loserId);
+
+  const entry = this.frameLog.create({
+    type,
+    players: ids.players,
+    winner: ids.winner,
+    loser: ids.loser,
+    table: this.table,
+    amount: (type === 'kitti' ? this.kittiRate : this.frameRate) || 0,
+    playedAt: new Date(),
+    recordedBySession
+  });
+  this.frameLog.push(entry);
+
+  if (type === 'kitti') {
+    this.kittis = (this.kittis || 0) + 1;
+  } else {
+    this.frames = (this.frames || 0) + 1;
+  }
+  this.players.id(ids.loser).framesLost += 1;
+
+  return entry;
+};
+
+// Method to check the players of a logged game belong to the session
+sessionSchema.methods.validateGamePlayers = function(playerIds, winnerId, loserId) {
+  const players = [...new Set((playerIds || []).map(id => id.toString()))];
+  if (!players.includes(loserId)) players.push(loserId);
+  if (winnerId && !players.includes(winnerId)) players.push(winnerId);
+
+  if (players.length < 2) {
+    throw new Error('A game needs at least two players');
+  }
+  if (winnerId && winnerId === loserId) {
+    throw new Error('The winner and loser must be different players');
+  }
+
+  const unknown = players.find(id => !this.players.id(id));
+  if (unknown) {
+    throw new Error(`Player ${unknown} not found in this session`);
+  }
+
+  return { players, winner: winnerId || null, loser: loserId };
+};
+
+// Method to correct the players, winner or loser of a logged game
+sessionSchema.methods.correctGame = function(frameId, { playerIds, winnerId, loserId, note }) {
+  const entry = this.frameLog.id(frameId);
+  if (!entry || entry.voidedAt) {
+    throw new Error('Game not found in the frame log');
+  }
+
+  const ids = this.validateGamePlayers(
+    playerIds || entry.players,
+    winnerId !== undefined ? winnerId : entry.winner?.toString(),
+    loserId || entry.loser.toString()
+  );
+
+  if (ids.loser !== entry.loser.toString()) {
+    const previousLoser = this.players.id(entry.loser);
+    if (previousLoser) previousLoser.framesLost = Math.max(0, previousLoser.framesLost - 1);
+    this.players.id(ids.loser).framesLost += 1;
+  }
+
+  entry.players = ids.players;
+  entry.winner = ids.winner;
+  entry.loser = ids.loser;
+  entry.correctedAt = new Date();
+  entry.correctionNote = note || '';
+
+  return entry;
+};
+
+// Method to void a logged game, taking it off the game totals
+sessionSchema.methods.voidGame = function(frameId, reason) {
+  const entry = this.frameLog.id(frameId);
+  if (!entry || entry.voidedAt) {
+    throw new Error('Game not found in the frame log');
+  }
+
+  const field = entry.type === 'kitti' ? 'kittis' : 'frames';
+  const segment = this.getGameSegment(entry.playedAt);
+  if (segment) {
+    segment[field] = Math.max(0, (segment[field] || 0) - 1);
+  }
+  this[field] = Math.max(0, (this[field] || 0) - 1);
+
+  const loser = this.players.id(entry.loser);
+  if (loser) loser.framesLost = Math.max(0, loser.framesLost - 1);
+
+  entry.voidedAt = new Date();
+  entry.voidReason = reason || '';
+
+  return entry;
+};
+
+// Method to get the games each player lost, with the amount each game is charged
+sessionSchema.methods.getLoserCharges = function() {
+  const round = (amount) => Math.round(amount * 100) / 100;
+  const charges = {};
+
+  for (const entry of this.frameLog) {
+    if (entry.voidedAt) continue;
+
+    const loserId = entry.loser.toString();
+    if (!charges[loserId]) charges[loserId] = { amount: 0, games: [] };
+
+    charges[loserId].amount = round(charges[loserId].amount + entry.amount);
+    charges[loserId].games.push({
+      frameId: entry._id,
+      type: entry.type,
+      amount: entry.amount,
+      winner: entry.winner ? this.players.id(entry.winner)?.name || null : null,
+      playedAt: entry.playedAt
+    });
+  }
+
+  return charges;
+};
+
+// Method to check if the bill is split between players
+sessionSchema.methods.isSplit = function() {
+  return Boolean(this.splitMethod) && this.players.length > 0;
+};
+
+// Method to get each player's share of the bill.
+// Items charged to a player go on that player's share; shared items and the rest
+// of the bill are allocated by the split method. With loser_pays each logged game
+// is charged to its loser and the rest (shared items, unlogged games, discounts,
+// taxes) follows the same proportion. When discounts bring the total below what is
+// charged directly, the game charges (then the player items) are reduced in
+// proportion instead of giving anyone a negative shared amount. Shares are rounded
+// to paisa and the rounding difference goes to the player with the largest weight
+// so the shares add up to the total.
+sessionSchema.methods.getPlayerShares = function(totalCost = this.totalCost) {
+  if (!this.isSplit()) return [];
+
+  const round = (amount) => Math.round(amount * 100) / 100;
+  const playerIds = this.players.map(player => player._id.toString());
+
+  const assignedItems = {};
+  let assignedTotal = 0;
+  for (const item of this.items) {
+    const playerId = item.player?.toString();
+    if (playerId && playerIds.includes(playerId)) {
+      assignedItems[playerId] = (assignedItems[playerId] || 0) + item.totalRevenue;
+      assignedTotal += item.totalRevenue;
+    }
+  }
+
+  const loserCharges = this.getLoserCharges();
+  const gameCharges = {};
+  if (this.splitMethod === 'loser_pays') {
+    for (const playerId of playerIds) {
+      gameCharges[playerId] = loserCharges[playerId]?.amount || 0;
+      assignedTotal += gameCharges[playerId];
+    }
+  }
+
+  // Weights for the shared portion
+  let weights = this.players.map(() => 1);
+  if (this.splitMethod === 'loser_pays') {
+    weights = playerIds.map(playerId => gameCharges[playerId]);
+  } else if (this.splitMethod === 'frames_lost') {
+    weights = this.players.map(player => player.framesLost || 0);
+  } else if (this.splitMethod === 'custom') {
+    weights = this.players.map(player => player.customShare || 0);
+  }
+  let totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  if (totalWeight === 0) {
+    // Nobody has lost a frame / no shares set yet: fall back to an even split
+    weights = this.players.map(() => 1);
+    totalWeight = weights.length;
+  }
+
+  // A discount larger than the shared portion comes off the direct charges instead
+  let deficit = Math.max(0, assignedTotal - totalCost);
+  const sharedPortion = Math.max(0, totalCost - assignedTotal);
+  const reduce = (charges) => {
+    const chargesTotal = Object.values(charges).reduce((sum, amount) => sum + amount, 0);
+    if (deficit <= 0 || chargesTotal <= 0) return;
+
+    const reduction = Math.min(deficit, chargesTotal);
+    const factor = (chargesTotal - reduction) / chargesTotal;
+    Object.keys(charges).forEach(playerId => { charges[playerId] *= factor; });
+    deficit -= reduction;
+  };
+  reduce(gameCharges);
+  reduce(assignedItems);
+
+  const shares = this.players.map((player, index) => {
+    const playerId = player._id.toString();
+    const sharedAmount = round(sharedPortion * weights[index] / totalWeight);
+    const itemsAmount = round(assignedItems[playerId] || 0);
+    const gamesAmount = round(gameCharges[playerId] || 0);
+
+    return {
+      playerId: player._id,
+      name: player.name,
+      phone: player.phone,
+      framesLost: player.framesLost,
+      customShare: player.customShare,
+      gamesLost: loserCharges[playerId]?.games || [],
+      gamesAmount,
+      sharedAmount,
+      itemsAmount,
+      amountDue: round(sharedAmount + itemsAmount + gamesAmount)
+    };
+  });
+
+  const roundingDifference = round(totalCost - shares.reduce((sum, share) => sum + share.amountDue, 0));
+  const largest = weights.indexOf(Math.max(...weights));
+  shares[largest].sharedAmount = round(shares[largest].sharedAmount + roundingDifference);
+  shares[largest].amountDue = round(shares[largest].amountDue + roundingDifference);
+
+  for (const share of shares) {
+    share.amountPaid = round(this.payments
+      .filter(payment => payment.player?.toString() === share.playerId.toString())
+      .reduce((sum, payment) => sum + payment.amount, 0));
+    share.remaining = Math.max(0, round(share.amountDue - share.amountPaid));
+    share.isSettled = share.remaining === 0;
+  }
+
+  return shares;
+};
+
 // 🆕 NEW: Method to update payment amounts
 sessionSchema.methods.updatePaymentAmounts = function() {
   this.totalPaidAmount = this.payments.reduce((sum, payment) => sum + payment.amount, 0);
   this.remainingAmount = Math.max(0, this.totalCost - this.totalPaidAmount);
   
-  // Update payment status based on amounts
+  // Split bills are only paid once every player's share is settled
+  const isFullyPaid = this.isSplit()
+    ? this.getPlayerShares().every(share => share.isSettled)
+    : this.totalPaidAmount >= this.totalCost;
+  
+  // Update payment status based on amounts (a confirmed credit stays credit)
   if (this.totalPaidAmount === 0) {
-    this.paymentStatus = 'pending';
-  } else if (this.totalPaidAmount >= this.totalCost) {
+    this.paymentStatus = this.paymentStatus === 'credit' ? 'credit' : 'pending';
+  } else if (isFullyPaid) {
     this.paymentStatus = 'paid';
     if (!this.paymentCompletedAt) {
       this.paymentCompletedAt = new Date();
     }
   } else {
-    this.paymentStatus = 'credit';
+    // Part-paid: owed on the khata with a credit account, otherwise still due at the counter
+    this.paymentStatus = this.creditAccount ? 'credit' : 'pending';
   }
 };
 
-// 🆕 NEW: Method to record payment
-sessionSchema.methods.recordPayment = function(paymentData) {
-  const { method, amount, transactionId, notes } = paymentData;
+// Payment method labels shown on payments and refunds
+const PAYMENT_METHOD_LABELS = {
+  'esewa': 'eSewa',
+  'online_banking': 'Online Banking',
+  'cash': 'Cash',
+  'points': 'Loyalty Points',
+  'wallet': 'Wallet'
+};
+
+// Method to add a payment record without saving
+sessionSchema.methods.addPaymentRecord = function(paymentData) {
+  const { method, amount, transactionId, notes, playerId, points, customerId } = paymentData;
   
   // Validate payment method
-  const validMethods = {
-    'esewa': 'eSewa',
-    'online_banking': 'Online Banking',
-    'cash': 'Cash'
-  };
+  const validMethods = PAYMENT_METHOD_LABELS;
   
   if (!validMethods[method]) {
     throw new Error('Invalid payment method');
   }
   
+  if (playerId && !this.players.id(playerId)) {
+    throw new Error('Player not found in session');
+  }
+  
   // Add payment record
   this.payments.push({
     method,
@@ -400,6 +1395,9 @@ sessionSchema.methods.recordPayment = function(paymentData) {
     amount,
     transactionId: transactionId || '',
     notes: notes || '',
+    player: playerId || null,
+    points: points || 0,
+    customer: customerId || null,
     paidAt: new Date()
   });
   
@@ -408,6 +1406,11 @@ sessionSchema.methods.recordPayment = function(paymentData) {
     this.paymentMethod = method;
     this.paymentMethodLabel = validMethods[method];
   }
+};
+
+// 🆕 NEW: Method to record payment (pass playerId to settle one player's share)
+sessionSchema.methods.recordPayment = function(paymentData) {
+  this.addPaymentRecord(paymentData);
   
   // Update payment amounts and status
   this.updatePaymentAmounts();
@@ -415,16 +1418,58 @@ sessionSchema.methods.recordPayment = function(paymentData) {
   return this.save();
 };
 
+// Method to record a khata settlement (split bills: across the unpaid shares in order)
+sessionSchema.methods.recordSettlement = function({ method, amount, transactionId }) {
+  const notes = 'Credit settlement';
+  if (!this.isSplit()) {
+    return this.recordPayment({ method, amount, transactionId, notes });
+  }
+
+  let left = amount;
+  for (const share of this.getPlayerShares()) {
+    if (left <= 0) break;
+    if (share.remaining <= 0) continue;
+
+    const applied = Math.min(share.remaining, left);
+    this.addPaymentRecord({ method, amount: applied, transactionId, notes, playerId: share.playerId });
+    left = Math.round((left - applied) * 100) / 100;
+  }
+  if (left > 0) {
+    this.addPaymentRecord({ method, amount: left, transactionId, notes });
+  }
+
+  this.updatePaymentAmounts();
+  return this.save();
+};
+
 // 🆕 NEW: Method to mark session as paid
 sessionSchema.methods.markAsPaid = function(paymentData) {
-  const { method, transactionId, notes } = paymentData;
+  const { method, transactionId, notes, points } = paymentData;
+  
+  // Split bill: settle every outstanding share with the same method
+  if (this.isSplit()) {
+    for (const share of this.getPlayerShares()) {
+      if (share.remaining > 0) {
+        this.addPaymentRecord({
+          method,
+          amount: share.remaining,
+          transactionId,
+          notes,
+          playerId: share.playerId
+        });
+      }
+    }
+    this.updatePaymentAmounts();
+    return this.save();
+  }
   
   // Record full payment
   return this.recordPayment({
     method,
     amount: this.totalCost - this.totalPaidAmount,
     transactionId,
-    notes
+    notes,
+    points
   });
 };
 
@@ -436,6 +1481,84 @@ sessionSchema.methods.markAsCredit = function(notes) {
   return this.save();
 };
 
+// Method to get the amount that can still be refunded (paid minus refunded)
+sessionSchema.methods.getRefundableAmount = function() {
+  return Math.max(0, Math.round((this.totalPaidAmount - this.totalRefunded) * 100) / 100);
+};
+
+// Method to get the amount of a payment not yet reversed
+sessionSchema.methods.getReversibleAmount = function(paymentId) {
+  const payment = this.payments.id(paymentId);
+  if (!payment) return 0;
+
+  const reversed = this.refunds
+    .filter(refund => refund.payment && refund.payment.toString() === payment._id.toString())
+    .reduce((sum, refund) => sum + refund.amount, 0);
+
+  return Math.max(0, Math.round((payment.amount - reversed) * 100) / 100);
+};
+
+// Method to add a refund without saving
+// refundData: { amount, method, reason, paymentId, items: [{ itemId, quantity, restocked }], ... }
+sessionSchema.methods.addRefund = function(refundData) {
+  const { amount, method, reason, paymentId, items = [], transactionId, notes, issuedBy, issuedBySession } = refundData;
+
+  if (this.status !== 'completed') {
+    throw new Error('Only completed sessions can be refunded');
+  }
+
+  if (!PAYMENT_METHOD_LABELS[method]) {
+    throw new Error('Invalid refund method');
+  }
+
+  if (paymentId && amount > this.getReversibleAmount(paymentId)) {
+    throw new Error('Refund exceeds the unreversed amount of this payment');
+  }
+
+  if (amount > this.getRefundableAmount()) {
+    throw new Error('Refund exceeds the amount paid');
+  }
+
+  const refundItems = items.map(({ itemId, quantity, restocked }) => {
+    const item = this.items.id(itemId);
+    if (!item) {
+      throw new Error('Item not found in session');
+    }
+    if (quantity > item.quantity - item.refundedQuantity) {
+      throw new Error(`Only ${item.quantity - item.refundedQuantity} of ${item.productName} can be refunded`);
+    }
+
+    item.refundedQuantity += quantity;
+    return {
+      item: item._id,
+      product: item.product?._id || item.product,
+      productName: item.productName,
+      quantity,
+      amount: item.sellingPrice * quantity,
+      restocked: Boolean(restocked)
+    };
+  });
+
+  this.refunds.push({
+    amount,
+    method,
+    methodLabel: PAYMENT_METHOD_LABELS[method],
+    reason,
+    payment: paymentId || null,
+    items: refundItems,
+    transactionId: transactionId || '',
+    notes: notes || '',
+    issuedBy,
+    issuedBySession,
+    refundedAt: new Date()
+  });
+
+  this.totalRefunded = Math.round((this.totalRefunded + amount) * 100) / 100;
+  this.refundStatus = this.getRefundableAmount() === 0 ? 'full' : 'partial';
+
+  return this.refunds[this.refunds.length - 1];
+};
+
 // 🆕 NEW: Method to get payment summary
 sessionSchema.methods.getPaymentSummary = function() {
   return {
@@ -448,13 +1571,17 @@ sessionSchema.methods.getPaymentSummary = function() {
     isCredited: this.paymentStatus === 'credit',
     isPending: this.paymentStatus === 'pending',
     paymentsCount: this.payments.length,
+    totalRefunded: this.totalRefunded,
+    netPaid: this.totalPaidAmount - this.totalRefunded,
+    refundStatus: this.refundStatus,
+    isSplit: this.isSplit(),
     lastPaymentAt: this.payments.length > 0 ? this.payments[this.payments.length - 1].paidAt : null
   };
 };
 
 // Method to add item to session
 sessionSchema.methods.addItem = function(itemData) {
-  const { product, productName, quantity, costPrice, sellingPrice } = itemData;
+  const { product, productName, quantity, costPrice, sellingPrice, player } = itemData;
   
   const totalCost = costPrice * quantity;
   const totalRevenue = sellingPrice * quantity;
@@ -469,11 +1596,12 @@ sessionSchema.methods.addItem = function(itemData) {
     totalCost,
     totalRevenue,
     profit,
+    player: player || null,
     addedAt: new Date()
   });
   
   this.calculateItemsTotals();
-  this.totalCost = this.calculateGameCost() + this.totalItemsRevenue;
+  this.applyCharges(this.calculateGameCost());
   this.updatePaymentAmounts(); // 🆕 NEW: Update payment amounts when items change
   
   return this.save();
@@ -483,7 +1611,7 @@ sessionSchema.methods.addItem = function(itemData) {
 sessionSchema.methods.removeItem = function(itemId) {
   this.items = this.items.filter(item => item._id.toString() !== itemId);
   this.calculateItemsTotals();
-  this.totalCost = this.calculateGameCost() + this.totalItemsRevenue;
+  this.applyCharges(this.calculateGameCost());
   this.updatePaymentAmounts(); // 🆕 NEW: Update payment amounts when items change
   return this.save();
 };
@@ -554,23 +1682,61 @@ sessionSchema.statics.getPaymentStats = function(snookerHouseId, dateFrom, dateT
   ]);
 };
 
+// Static method to get refund totals by method for a period
+sessionSchema.statics.getRefundStats = function(snookerHouseId, dateFrom, dateTo) {
+  const refundMatch = {};
+  if (dateFrom) refundMatch['refunds.refundedAt'] = { $gte: new Date(dateFrom) };
+  if (dateTo) refundMatch['refunds.refundedAt'] = { ...refundMatch['refunds.refundedAt'], $lte: new Date(dateTo) };
+
+  return this.aggregate([
+    { $match: { snookerHouse: snookerHouseId, 'refunds.0': { $exists: true } } },
+    { $unwind: '$refunds' },
+    { $match: refundMatch },
+    {
+      $group: {
+        _id: '$refunds.method',
+        count: { $sum: 1 },
+        totalAmount: { $sum: '$refunds.amount' }
+      }
+    }
+  ]);
+};
+
 // Transform output
 sessionSchema.methods.toJSON = function() {
   const session = this.toObject();
   
   // Add calculated values for easier frontend consumption
-  session.currentGameCost = this.calculateGameCost();
-  session.currentTotalCost = this.calculateCurrentCost();
+  const charges = this.calculateCurrentCharges();
+  session.currentGameCost = charges.gameCost;
+  session.currentDiscount = charges.discount;
+  session.currentTax = charges.taxes.totalTax;
+  session.currentTotalCost = charges.total;
   session.durationMinutes = this.getDurationInMinutes();
   
   // 🆕 NEW: Add payment summary
   session.paymentSummary = this.getPaymentSummary();
   
+  // Per-player shares when the bill is split (live cost for running sessions)
+  session.playerShares = this.getPlayerShares(
+    ['active', 'paused'].includes(this.status) ? session.currentTotalCost : this.totalCost
+  );
+  
   // Add summary
   session.summary = {
     gameCost: session.currentGameCost,
+    pricedSegments: this.getPricedSegments(),
     itemsRevenue: this.totalItemsRevenue,
     itemsProfit: this.totalItemsProfit,
+    discounts: charges.discountLines.map(line => ({
+      id: line._id,
+      description: describeDiscount(line),
+      amount: line.amount
+    })),
+    totalDiscount: session.currentDiscount,
+    taxLines: charges.taxes.lines,
+    totalTax: charges.taxes.totalTax,
+    taxInclusive: Boolean(this.taxSettings?.pricesIncludeTax),
     totalCost: session.currentTotalCost,
     duration: session.durationMinutes,
     totalItems: this.totalItems,
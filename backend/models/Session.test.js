@@ -0,0 +1,358 @@
+const mongoose = require('mongoose');
+const Session = require('./Session');
+
+const buildSession = ({ players, splitMethod, items = [], frameLog = [], payments = [] }) => {
+  const session = new Session({
+    snookerHouse: new mongoose.Types.ObjectId(),
+    splitMethod,
+    players: players.map(player => (typeof player === 'string' ? { name: player } : player))
+  });
+
+  const idOf = (name) => session.players.find(player => player.name === name)._id;
+
+  items.forEach(({ revenue, player }) => session.items.push({
+    product: new mongoose.Types.ObjectId(),
+    productName: 'Item',
+    quantity: 1,
+    costPrice: 0,
+    sellingPrice: revenue,
+    totalCost: 0,
+    totalRevenue: revenue,
+    profit: revenue,
+    player: player ? idOf(player) : null
+  }));
+
+  frameLog.forEach(({ loser, amount, voided }) => session.frameLog.push({
+    loser: idOf(loser),
+    amount,
+    voidedAt: voided ? new Date() : null
+  }));
+
+  payments.forEach(({ player, amount }) => session.payments.push({
+    method: 'cash',
+    methodLabel: 'Cash',
+    amount,
+    player: idOf(player)
+  }));
+
+  return session;
+};
+
+const dueByName = (shares) => Object.fromEntries(shares.map(share => [share.name, share.amountDue]));
+
+const sumDue = (shares) => Math.round(shares.reduce((sum, share) => sum + share.amountDue, 0) * 100) / 100;
+
+describe('Session.getPlayerShares', () => {
+  it('returns no shares when the bill is not split', () => {
+    const session = buildSession({ players: ['Asha', 'Bikash'], splitMethod: null });
+
+    expect(session.getPlayerShares(100)).toEqual([]);
+  });
+
+  it('splits evenly and gives the rounding difference to one player', () => {
+    const session = buildSession({ players: ['Asha', 'Bikash', 'Chirag'], splitMethod: 'even' });
+    const shares = session.getPlayerShares(100);
+
+    expect(dueByName(shares)).toEqual({ Asha: 33.34, Bikash: 33.33, Chirag: 33.33 });
+    expect(sumDue(shares)).toBe(100);
+  });
+
+  it('splits by frames lost', () => {
+    const session = buildSession({
+      players: [{ name: 'Asha', framesLost: 1 }, { name: 'Bikash', framesLost: 3 }],
+      splitMethod: 'frames_lost'
+    });
+
+    expect(dueByName(session.getPlayerShares(200))).toEqual({ Asha: 50, Bikash: 150 });
+  });
+
+  it('falls back to an even split before anyone has lost a frame', () => {
+    const session = buildSession({ players: ['Asha', 'Bikash'], splitMethod: 'frames_lost' });
+
+    expect(dueByName(session.getPlayerShares(200))).toEqual({ Asha: 100, Bikash: 100 });
+  });
+
+  it('splits by custom shares', () => {
+    const session = buildSession({
+      players: [{ name: 'Asha', customShare: 2 }, { name: 'Bikash', customShare: 1 }, { name: 'Chirag', customShare: 1 }],
+      splitMethod: 'custom'
+    });
+
+    expect(dueByName(session.getPlayerShares(400))).toEqual({ Asha: 200, Bikash: 100, Chirag: 100 });
+  });
+
+  it('charges items assigned to a player to that player only', () => {
+    const session = buildSession({
+      players: ['Asha', 'Bikash'],
+      splitMethod: 'even',
+      items: [{ revenue: 60, player: 'Asha' }, { revenue: 40 }]
+    });
+    const shares = session.getPlayerShares(300);
+
+    expect(dueByName(shares)).toEqual({ Asha: 180, Bikash: 120 });
+    expect(shares[0].itemsAmount).toBe(60);
+  });
+
+  it('tracks what each player has paid', () => {
+    const session = buildSession({
+      players: ['Asha', 'Bikash'],
+      splitMethod: 'even',
+      payments: [{ player: 'Asha', amount: 100 }, { player: 'Bikash', amount: 40 }]
+    });
+    const [asha, bikash] = session.getPlayerShares(200);
+
+    expect(asha).toMatchObject({ amountPaid: 100, remaining: 0, isSettled: true });
+    expect(bikash).toMatchObject({ amountPaid: 40, remaining: 60, isSettled: false });
+  });
+
+  describe('loser_pays', () => {
+    it('charges each logged game to its loser and shares the rest by what they lost', () => {
+      const session = buildSession({
+        players: ['Asha', 'Bikash', 'Chirag'],
+        splitMethod: 'loser_pays',
+        frameLog: [
+          { loser: 'Bikash', amount: 100 },
+          { loser: 'Bikash', amount: 100 },
+          { loser: 'Chirag', amount: 100 },
+          { loser: 'Asha', amount: 100, voided: true }
+        ]
+      });
+      const shares = session.getPlayerShares(360);
+
+      expect(dueByName(shares)).toEqual({ Asha: 0, Bikash: 240, Chirag: 120 });
+      expect(shares[1].gamesAmount).toBe(200);
+      expect(shares[1].gamesLost).toHaveLength(2);
+    });
+
+    it('gives the rounding difference to the biggest loser, not a player who lost nothing', () => {
+      const session = buildSession({
+        players: ['Asha', 'Bikash', 'Chirag', 'Dipesh'],
+        splitMethod: 'loser_pays',
+        frameLog: [
+          { loser: 'Bikash', amount: 100 },
+          { loser: 'Chirag', amount: 100 },
+          { loser: 'Dipesh', amount: 100 },
+          { loser: 'Dipesh', amount: 100 }
+        ]
+      });
+      const shares = session.getPlayerShares(400.01);
+
+      expect(dueByName(shares)).toEqual({ Asha: 0, Bikash: 100, Chirag: 100, Dipesh: 200.01 });
+      expect(sumDue(shares)).toBe(400.01);
+    });
+
+    it('reduces game charges in proportion when a discount takes the total below them', () => {
+      const session = buildSession({
+        players: ['Asha', 'Bikash', 'Chirag'],
+        splitMethod: 'loser_pays',
+        frameLog: [
+          { loser: 'Bikash', amount: 300 },
+          { loser: 'Chirag', amount: 100 }
+        ]
+      });
+      const shares = session.getPlayerShares(200);
+
+      expect(dueByName(shares)).toEqual({ Asha: 0, Bikash: 150, Chirag: 50 });
+      shares.forEach(share => expect(share.sharedAmount).toBeGreaterThanOrEqual(0));
+    });
+
+    it('reduces player items once the game charges are used up', () => {
+      const session = buildSession({
+        players: ['Asha', 'Bikash'],
+        splitMethod: 'loser_pays',
+        items: [{ revenue: 100, player: 'Asha' }],
+        frameLog: [{ loser: 'Bikash', amount: 100 }]
+      });
+      const shares = session.getPlayerShares(50);
+
+      expect(dueByName(shares)).toEqual({ Asha: 50, Bikash: 0 });
+      expect(sumDue(shares)).toBe(50);
+    });
+  });
+});
+
+describe('Session.updatePaymentAmounts', () => {
+  it('leaves a part-paid bill pending when there is no credit account', () => {
+    const session = buildSession({ players: [], splitMethod: null });
+    session.totalCost = 500;
+    session.addPaymentRecord({ method: 'cash', amount: 200 });
+
+    session.updatePaymentAmounts();
+
+    expect(session.paymentStatus).toBe('pending');
+    expect(session.remainingAmount).toBe(300);
+  });
+
+  it('marks a part-paid bill as credit when it is on a credit account', () => {
+    const session = buildSession({ players: [], splitMethod: null });
+    session.totalCost = 500;
+    session.creditAccount = new mongoose.Types.ObjectId();
+    session.addPaymentRecord({ method: 'cash', amount: 200 });
+
+    session.updatePaymentAmounts();
+
+    expect(session.paymentStatus).toBe('credit');
+  });
+});
+
+describe('Session.recordSettlement', () => {
+  beforeEach(() => {
+    jest.spyOn(Session.prototype, 'save').mockImplementation(async function() { return this; });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('spreads a settlement across the unpaid shares of a split bill', async () => {
+    const session = buildSession({
+      players: ['Asha', 'Bikash'],
+      splitMethod: 'even',
+      payments: [{ player: 'Asha', amount: 100 }]
+    });
+    session.totalCost = 400;
+    session.creditAccount = new mongoose.Types.ObjectId();
+    session.updatePaymentAmounts();
+    expect(session.paymentStatus).toBe('credit');
+
+    await session.recordSettlement({ method: 'cash', amount: 300 });
+
+    const paidByName = Object.fromEntries(session.getPlayerShares().map(share => [share.name, share.amountPaid]));
+    expect(paidByName).toEqual({ Asha: 200, Bikash: 200 });
+    expect(session.paymentStatus).toBe('paid');
+  });
+
+  it('records a single payment on a bill that is not split', async () => {
+    const session = buildSession({ players: [], splitMethod: null });
+    session.totalCost = 250;
+
+    await session.recordSettlement({ method: 'esewa', amount: 250, transactionId: 'TX1' });
+
+    expect(session.payments).toHaveLength(1);
+    expect(session.payments[0]).toMatchObject({ method: 'esewa', amount: 250, player: null, notes: 'Credit settlement' });
+    expect(session.paymentStatus).toBe('paid');
+  });
+});
+
+describe('Session.addRefund', () => {
+  const paidSession = () => {
+    const session = buildSession({
+      players: [],
+      splitMethod: null,
+      items: [{ revenue: 50 }]
+    });
+    session.status = 'completed';
+    session.totalCost = 300;
+    session.addPaymentRecord({ method: 'wallet', amount: 300 });
+    session.updatePaymentAmounts();
+    return session;
+  };
+
+  it('reverses part of a payment and tracks what is left to refund', () => {
+    const session = paidSession();
+    const paymentId = session.payments[0]._id;
+
+    const refund = session.addRefund({ amount: 100, method: 'wallet', reason: 'Overcharged', paymentId });
+
+    expect(refund).toMatchObject({ amount: 100, method: 'wallet', methodLabel: 'Wallet' });
+    expect(session.totalRefunded).toBe(100);
+    expect(session.refundStatus).toBe('partial');
+    expect(session.getReversibleAmount(paymentId)).toBe(200);
+  });
+
+  it('refuses to reverse more than is left of the payment', () => {
+    const session = paidSession();
+    const paymentId = session.payments[0]._id;
+    session.addRefund({ amount: 250, method: 'wallet', reason: 'Overcharged', paymentId });
+
+    expect(() => session.addRefund({ amount: 100, method: 'wallet', reason: 'Again', paymentId }))
+      .toThrow('Refund exceeds the unreversed amount of this payment');
+  });
+
+  it('counts returned items and marks a full refund', () => {
+    const session = paidSession();
+    const item = session.items[0];
+
+    session.addRefund({ amount: 300, method: 'cash', reason: 'Closed early', items: [{ itemId: item._id, quantity: 1 }] });
+
+    expect(item.refundedQuantity).toBe(1);
+    expect(session.refundStatus).toBe('full');
+    expect(() => session.addRefund({ amount: 1, method: 'cash', reason: 'Again' })).toThrow('Refund exceeds the amount paid');
+  });
+
+  it('only refunds completed sessions', () => {
+    const session = paidSession();
+    session.status = 'active';
+
+    expect(() => session.addRefund({ amount: 10, method: 'cash', reason: 'Test' }))
+      .toThrow('Only completed sessions can be refunded');
+  });
+});
+
+describe('Session time-of-day pricing', () => {
+  // 5 January 2026 is a Monday
+  const at = (hours, minutes = 0) => new Date(2026, 0, 5, hours, minutes);
+
+  const buildTimedSession = () => new Session({
+    snookerHouse: new mongoose.Types.ObjectId(),
+    pricingMethod: 'per_minute',
+    minuteRate: 5,
+    pricingRules: [{ name: 'Happy hour', startTime: '14:00', endTime: '17:00', minuteRate: 2 }],
+    startTime: at(13)
+  });
+
+  it('bills each part of the session at the rule covering it and skips the pause', () => {
+    const session = buildTimedSession();
+    session.pause(at(13, 30));
+    session.resume(at(14, 30));
+    session.status = 'completed';
+    session.endTime = at(15);
+
+    expect(session.pauseIntervals.map(({ start, end }) => ({ start, end }))).toEqual([{ start: at(13, 30), end: at(14, 30) }]);
+    expect(session.totalPausedTime).toBe(60 * 60 * 1000);
+    expect(session.getPricedSegments().map(({ ruleName, minutes, cost }) => ({ ruleName, minutes, cost }))).toEqual([
+      { ruleName: 'Standard rate', minutes: 30, cost: 150 },
+      { ruleName: 'Happy hour', minutes: 30, cost: 60 }
+    ]);
+    expect(session.calculateGameCost()).toBe(210);
+  });
+
+  it('ignores a second pause or a resume without one', () => {
+    const session = buildTimedSession();
+    session.resume(at(13, 10));
+    session.pause(at(13, 30));
+    session.pause(at(13, 40));
+
+    expect(session.totalPausedTime || 0).toBe(0);
+    expect(session.pauseIntervals).toHaveLength(1);
+    expect(session.pausedAt).toEqual(at(13, 30));
+  });
+});
+
+describe('Session.applyMemberRates', () => {
+  const table = {
+    pricingMethod: 'per_minute',
+    hourlyRate: 5,
+    pricingRules: [{ name: 'Late night', startTime: '22:00', endTime: '02:00', minuteRate: 6 }]
+  };
+
+  const memberSession = (memberPlan) => {
+    const session = new Session({ snookerHouse: new mongoose.Types.ObjectId(), memberPlan });
+    session.applyTableRates(table);
+    return session;
+  };
+
+  it('takes the member discount off the table rate and every time-of-day rate', () => {
+    const session = memberSession({ name: 'Gold', rateDiscountPercent: 20 });
+
+    expect(session.minuteRate).toBe(4);
+    expect(session.pricingRules.map(rule => rule.minuteRate)).toEqual([4.8]);
+  });
+
+  it('charges a fixed member rate across the whole day', () => {
+    const session = memberSession({ name: 'Gold', minuteRate: 3 });
+
+    expect(session.minuteRate).toBe(3);
+    expect(session.pricingRules).toHaveLength(0);
+  });
+});
@@ -0,0 +1,209 @@
+const mongoose = require('mongoose');
+
+// Cash put into or taken out of the drawer outside of bills (change top-up, petty cash, bank drop)
+const cashMovementSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['in', 'out'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Amount must be greater than 0']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  recordedBySession: {
+    type: String,
+    default: null
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Cash drawer totals for the shift (filled in when the shift is closed)
+const cashSummarySchema = new mongoose.Schema({
+  openingFloat: { type: Number, default: 0 },
+  sessionPayments: { type: Number, default: 0 },
+  sessionPaymentsCount: { type: Number, default: 0 },
+  sales: { type: Number, default: 0 },
+  salesCount: { type: Number, default: 0 },
+  refunds: { type: Number, default: 0 },
+  refundsCount: { type: Number, default: 0 },
+  entryFees: { type: Number, default: 0 },
+  entryFeesCount: { type: Number, default: 0 },
+  walletTopUps: { type: Number, default: 0 },
+  walletTopUpsCount: { type: Number, default: 0 },
+  creditSettlements: { type: Number, default: 0 },
+  creditSettlementsCount: { type: Number, default: 0 },
+  cashIn: { type: Number, default: 0 },
+  cashOut: { type: Number, default: 0 },
+  expectedCash: { type: Number, default: 0 }
+}, { _id: false });
+
+const shiftSchema = new mongoose.Schema({
+  // References
+  snookerHouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SnookerHouse',
+    required: true,
+    index: true
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Staff member running the drawer
+  staff: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  staffName: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  staffRole: {
+    type: String,
+    enum: ['owner', 'manager', 'cashier'],
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  closedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Cash in the drawer when the shift starts
+  openingFloat: {
+    type: Number,
+    required: [true, 'Opening float is required'],
+    min: [0, 'Opening float cannot be negative']
+  },
+
+  cashMovements: [cashMovementSchema],
+
+  // Closing reconciliation
+  summary: {
+    type: cashSummarySchema,
+    default: null
+  },
+
+  countedCash: {
+    type: Number,
+    default: null,
+    min: [0, 'Counted cash cannot be negative']
+  },
+
+  // Counted minus expected (negative = drawer is short)
+  variance: {
+    type: Number,
+    default: null
+  },
+
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  openingNotes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters'],
+    default: ''
+  },
+
+  closingNotes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters'],
+    default: ''
+  },
+
+  // Tracking
+  createdBySession: {
+    type: String,
+    default: null
+  },
+
+  lastModifiedBySession: {
+    type: String,
+    default: null
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+shiftSchema.index({ snookerHouse: 1, openedAt: -1 });
+// One drawer per house: only one shift can be open at a time
+shiftSchema.index({ snookerHouse: 1, status: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+
+// Method to total the cash put in / taken out of the drawer
+shiftSchema.methods.getCashMovementTotals = function() {
+  return this.cashMovements.reduce((totals, movement) => {
+    totals[movement.type === 'in' ? 'cashIn' : 'cashOut'] += movement.amount;
+    return totals;
+  }, { cashIn: 0, cashOut: 0 });
+};
+
+// Method to get the shift length in minutes (up to now while open)
+shiftSchema.methods.getDurationMinutes = function() {
+  return Math.round(((this.closedAt || new Date()) - this.openedAt) / (1000 * 60));
+};
+
+// Static method to find the open shift for a house
+shiftSchema.statics.findOpenShift = function(snookerHouseId) {
+  return this.findOne({ snookerHouse: snookerHouseId, status: 'open' });
+};
+
+// Transform output
+shiftSchema.methods.toJSON = function() {
+  const shift = this.toObject();
+
+  shift.durationMinutes = this.getDurationMinutes();
+
+  return shift;
+};
+
+module.exports = mongoose.model('Shift', shiftSchema);
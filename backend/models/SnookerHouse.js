@@ -1,4 +1,140 @@
 const mongoose = require('mongoose');
+const { buildTaxSnapshot } = require('../services/taxService');
+const { APPROVAL_ACTIONS, DEFAULT_APPROVAL_ACTIONS } = require('../services/approvalService');
+
+// VAT and service charge configuration
+const taxSettingsSchema = new mongoose.Schema({
+  // PAN / VAT registration number printed on invoices
+  panNumber: {
+    type: String,
+    trim: true,
+    match: [/^(\d{9})?$/, 'PAN number must be 9 digits'],
+    default: ''
+  },
+  vatEnabled: {
+    type: Boolean,
+    default: false
+  },
+  vatRate: {
+    type: Number,
+    min: [0, 'VAT rate cannot be negative'],
+    max: [100, 'VAT rate cannot exceed 100%'],
+    default: 13
+  },
+  serviceChargeEnabled: {
+    type: Boolean,
+    default: false
+  },
+  serviceChargeRate: {
+    type: Number,
+    min: [0, 'Service charge rate cannot be negative'],
+    max: [100, 'Service charge rate cannot exceed 100%'],
+    default: 10
+  },
+  // true = listed table/product prices already include VAT and service charge
+  pricesIncludeTax: {
+    type: Boolean,
+    default: false
+  },
+  applyToGame: {
+    type: Boolean,
+    default: true
+  },
+  applyToItems: {
+    type: Boolean,
+    default: true
+  },
+  invoicePrefix: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [10, 'Invoice prefix cannot exceed 10 characters'],
+    default: 'INV'
+  }
+}, { _id: false });
+
+// Loyalty points configuration
+const loyaltySettingsSchema = new mongoose.Schema({
+  enabled: {
+    type: Boolean,
+    default: false
+  },
+  // Points earned per NPR 100 paid for game time
+  gamePointsPer100: {
+    type: Number,
+    min: [0, 'Earn rate cannot be negative'],
+    default: 1
+  },
+  // Points earned per NPR 100 paid for items
+  itemPointsPer100: {
+    type: Number,
+    min: [0, 'Earn rate cannot be negative'],
+    default: 1
+  },
+  // NPR value of one point when redeemed
+  pointValue: {
+    type: Number,
+    min: [0.01, 'Point value must be greater than 0'],
+    default: 1
+  },
+  minRedeemPoints: {
+    type: Number,
+    min: [0, 'Minimum redemption cannot be negative'],
+    default: 50
+  },
+  // Days until earned points expire (0 = never)
+  expiryDays: {
+    type: Number,
+    min: [0, 'Expiry days cannot be negative'],
+    default: 365
+  }
+}, { _id: false });
+
+// Staff payroll configuration (hourly rates are set per staff member)
+const payrollSettingsSchema = new mongoose.Schema({
+  // Hours worked in a day before overtime starts
+  overtimeAfterHours: {
+    type: Number,
+    min: [0, 'Overtime threshold cannot be negative'],
+    max: [24, 'Overtime threshold cannot exceed 24 hours'],
+    default: 8
+  },
+  // Overtime rate as a multiple of the hourly rate (unless the staff member has their own)
+  overtimeMultiplier: {
+    type: Number,
+    min: [1, 'Overtime multiplier cannot be less than 1'],
+    default: 1.5
+  },
+  // Whether break time counts as paid time
+  paidBreaks: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+// Manager approval for sensitive counter actions
+const approvalSettingsSchema = new mongoose.Schema({
+  // Off until the house turns it on
+  enabled: {
+    type: Boolean,
+    default: false
+  },
+  // Actions staff below manager need an approval token for
+  actions: {
+    type: [{
+      type: String,
+      enum: Object.keys(APPROVAL_ACTIONS)
+    }],
+    default: () => [...DEFAULT_APPROVAL_ACTIONS]
+  },
+  // Minutes an approval stays usable once granted
+  tokenMinutes: {
+    type: Number,
+    min: [1, 'Approval must last at least 1 minute'],
+    max: [60, 'Approval cannot last more than 60 minutes'],
+    default: 5
+  }
+}, { _id: false });
 
 const snookerHouseSchema = new mongoose.Schema({
   // Basic Information
@@ -41,6 +177,36 @@ const snookerHouseSchema = new mongoose.Schema({
     maxlength: [200, 'Address cannot exceed 200 characters']
   },
   
+  // Tax configuration
+  taxSettings: {
+    type: taxSettingsSchema,
+    default: () => ({})
+  },
+  
+  // Loyalty points configuration
+  loyaltySettings: {
+    type: loyaltySettingsSchema,
+    default: () => ({})
+  },
+  
+  // Staff payroll configuration
+  payrollSettings: {
+    type: payrollSettingsSchema,
+    default: () => ({})
+  },
+  
+  // Manager approval configuration
+  approvalSettings: {
+    type: approvalSettingsSchema,
+    default: () => ({})
+  },
+  
+  // Last invoice number issued (sequential, never reused)
+  invoiceCounter: {
+    type: Number,
+    default: 0
+  },
+  
   // Timestamps
   createdAt: {
     type: Date,
@@ -63,6 +229,23 @@ snookerHouseSchema.statics.findByOwner = function(ownerId) {
   return this.find({ owner: ownerId }).populate('owner', 'firstName lastName email');
 };
 
+// Method to get the tax snapshot stored on new sessions and sales (null = no tax)
+snookerHouseSchema.methods.getTaxSnapshot = function() {
+  return buildTaxSnapshot(this.taxSettings);
+};
+
+// Static method to atomically issue the next invoice number
+snookerHouseSchema.statics.allocateInvoiceNumber = async function(snookerHouseId) {
+  const house = await this.findByIdAndUpdate(
+    snookerHouseId,
+    { $inc: { invoiceCounter: 1 } },
+    { new: true }
+  );
+
+  const prefix = house.taxSettings?.invoicePrefix || 'INV';
+  return `${prefix}-${String(house.invoiceCounter).padStart(6, '0')}`;
+};
+
 // Transform output
 snookerHouseSchema.methods.toJSON = function() {
   const house = this.toObject();
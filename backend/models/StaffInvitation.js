@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+
+const staffInvitationSchema = new mongoose.Schema({
+  // References
+  snookerHouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SnookerHouse',
+    required: true,
+    index: true
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Invitee (may not have an account yet)
+  email: {
+    type: String,
+    required: [true, 'Invitee email is required'],
+    lowercase: true,
+    trim: true,
+    index: true
+  },
+
+  role: {
+    type: String,
+    enum: ['manager', 'cashier'],
+    required: [true, 'Staff role is required']
+  },
+
+  // Expired invitations stay 'pending' until expiresAt is checked (see isExpired)
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Invite emails sent (the first send plus resends)
+  sendCount: {
+    type: Number,
+    default: 1
+  },
+
+  lastSentAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+
+  staffMember: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StaffMember',
+    default: null
+  },
+
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Tracking
+  createdBySession: {
+    type: String,
+    default: null
+  },
+
+  lastModifiedBySession: {
+    type: String,
+    default: null
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+// One open invitation per email per house
+staffInvitationSchema.index(
+  { snookerHouse: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+// Method to check whether a pending invitation has run out
+staffInvitationSchema.methods.isExpired = function() {
+  return this.status === 'pending' && this.expiresAt <= new Date();
+};
+
+// Static method to find an invitation that can still be accepted
+staffInvitationSchema.statics.findPending = function(invitationId) {
+  return this.findOne({
+    _id: invitationId,
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  })
+    .populate('snookerHouse', 'name owner');
+};
+
+// Transform output
+staffInvitationSchema.methods.toJSON = function() {
+  const invitation = this.toObject();
+  invitation.isExpired = this.isExpired();
+  invitation.displayStatus = invitation.isExpired ? 'expired' : this.status;
+  return invitation;
+};
+
+module.exports = mongoose.model('StaffInvitation', staffInvitationSchema);
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+const staffMemberSchema = new mongoose.Schema({
+  // References
+  snookerHouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SnookerHouse',
+    required: true,
+    index: true
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // The house owner is never a staff record; their role comes from SnookerHouse.owner
+  role: {
+    type: String,
+    enum: ['manager', 'cashier'],
+    required: [true, 'Staff role is required']
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'suspended', 'removed'],
+    default: 'active'
+  },
+
+  // Pay rates for attendance-based payroll (NPR per hour)
+  hourlyRate: {
+    type: Number,
+    min: [0, 'Hourly rate cannot be negative'],
+    default: 0
+  },
+
+  // Overtime hourly rate (null = hourly rate x the house overtime multiplier)
+  overtimeRate: {
+    type: Number,
+    min: [0, 'Overtime rate cannot be negative'],
+    default: null
+  },
+
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  removedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Tracking
+  createdBySession: {
+    type: String,
+    default: null
+  },
+
+  lastModifiedBySession: {
+    type: String,
+    default: null
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+staffMemberSchema.index({ snookerHouse: 1, user: 1 }, { unique: true });
+
+// Static method to find a user's first active staff record
+staffMemberSchema.statics.findActiveForUser = function(userId) {
+  return this.findOne({ user: userId, status: 'active' }).sort({ createdAt: 1 }).populate('snookerHouse');
+};
+
+// Static method to list a house's staff
+staffMemberSchema.statics.getByHouse = function(snookerHouseId, options = {}) {
+  const query = { snookerHouse: snookerHouseId };
+  query.status = options.includeRemoved ? { $exists: true } : { $ne: 'removed' };
+
+  return this.find(query)
+    .populate('user', 'firstName lastName email lastLogin')
+    .sort({ role: 1, createdAt: 1 });
+};
+
+module.exports = mongoose.model('StaffMember', staffMemberSchema);
@@ -1,4 +1,36 @@
 const mongoose = require('mongoose');
+const { validateRules } = require('../services/pricingService');
+
+// Time-of-day / weekday rate for per_minute tables
+const pricingRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Pricing rule name is required'],
+    trim: true,
+    maxlength: [50, 'Pricing rule name cannot exceed 50 characters']
+  },
+  daysOfWeek: {
+    type: [Number], // 0 = Sunday ... 6 = Saturday, empty = every day
+    default: []
+  },
+  startTime: {
+    type: String, // HH:mm
+    required: [true, 'Pricing rule start time is required']
+  },
+  endTime: {
+    type: String, // HH:mm (earlier than startTime = runs past midnight)
+    required: [true, 'Pricing rule end time is required']
+  },
+  minuteRate: {
+    type: Number,
+    required: [true, 'Pricing rule minute rate is required'],
+    min: [0, 'Minute rate cannot be negative']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
 
 const tableSchema = new mongoose.Schema({
   // Basic Information
@@ -38,6 +70,13 @@ const tableSchema = new mongoose.Schema({
     default: 'active'
   },
   
+  // Kind of table (walk-in waitlist entries can ask for one)
+  tableType: {
+    type: String,
+    enum: ['snooker', 'pool', 'billiards'],
+    default: 'snooker'
+  },
+  
   // Pricing method and rates
   pricingMethod: {
     type: String,
@@ -99,6 +138,16 @@ const tableSchema = new mongoose.Schema({
     }
   },
   
+  // Time-of-day / weekday rules for per_minute pricing (first match wins)
+  pricingRules: {
+    type: [pricingRuleSchema],
+    default: [],
+    validate: {
+      validator: validateRules,
+      message: 'Pricing rules need valid HH:mm start and end times that differ'
+    }
+  },
+  
   // Description (optional)
   description: {
     type: String,
@@ -112,12 +161,19 @@ const tableSchema = new mongoose.Schema({
     default: false
   },
   
+  // Reservation currently seated at the table (if the session came from a booking)
   currentBooking: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Booking',
     default: null
   },
   
+  currentSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  },
+  
   // Timestamps
   createdAt: {
     type: Date,
@@ -139,6 +195,7 @@ tableSchema.index({ owner: 1 });
 tableSchema.index({ status: 1 });
 tableSchema.index({ isOccupied: 1 });
 tableSchema.index({ pricingMethod: 1 });
+tableSchema.index({ snookerHouse: 1, tableType: 1 });
 
 // Static method to find tables by snooker house
 tableSchema.statics.findBySnookerHouse = function(snookerHouseId) {
@@ -165,6 +222,7 @@ tableSchema.methods.getPricingInfo = function() {
     return {
       method: 'per_minute',
       hourlyRate: this.hourlyRate,
+      pricingRules: (this.pricingRules || []).filter(rule => rule.isActive !== false),
       displayText: `NPR ${this.hourlyRate}/hour`
     };
   } else {
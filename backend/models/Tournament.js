@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const { entrantSchema, fixtureSchema, prizeSchema, addCompetitionMethods } = require('./competitionSchemas');
+
+const tournamentSchema = new mongoose.Schema({
+  // References
+  snookerHouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SnookerHouse',
+    required: true,
+    index: true
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // Basic Information
+  name: {
+    type: String,
+    required: [true, 'Tournament name is required'],
+    trim: true,
+    maxlength: [100, 'Tournament name cannot exceed 100 characters']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+
+  format: {
+    type: String,
+    enum: ['single_elimination', 'round_robin'],
+    default: 'single_elimination'
+  },
+
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+
+  entryFee: {
+    type: Number,
+    default: 0,
+    min: [0, 'Entry fee cannot be negative']
+  },
+
+  maxEntrants: {
+    type: Number,
+    min: [2, 'A tournament needs at least 2 entrants'],
+    max: [128, 'A tournament cannot exceed 128 entrants'],
+    default: null
+  },
+
+  // Frames per match (best of)
+  bestOf: {
+    type: Number,
+    min: [1, 'Matches must be at least one frame'],
+    default: 3
+  },
+
+  // Round robin points
+  pointsForWin: {
+    type: Number,
+    default: 2
+  },
+
+  pointsForLoss: {
+    type: Number,
+    default: 0
+  },
+
+  status: {
+    type: String,
+    enum: ['registration', 'in_progress', 'completed', 'cancelled'],
+    default: 'registration'
+  },
+
+  entrants: [entrantSchema],
+  fixtures: [fixtureSchema],
+  prizes: [prizeSchema],
+
+  winner: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
+  completedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Tracking
+  createdBySession: {
+    type: String,
+    default: null
+  },
+
+  lastModifiedBySession: {
+    type: String,
+    default: null
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+tournamentSchema.index({ snookerHouse: 1, status: 1, startDate: -1 });
+
+addCompetitionMethods(tournamentSchema);
+
+// Method to get finishing positions (knockout: winner, runner-up, losing semi-finalists)
+tournamentSchema.methods.getFinishingOrder = function() {
+  if (this.format === 'round_robin') {
+    return this.getStandings().map(row => ({ position: row.position, entrantId: row.entrantId }));
+  }
+
+  const finalRound = Math.max(0, ...this.fixtures.map(fixture => fixture.round));
+  const order = [];
+  for (let round = finalRound; round >= 1; round--) {
+    const position = order.length + 1;
+    for (const fixture of this.fixtures.filter(f => f.round === round && f.status === 'completed')) {
+      if (round === finalRound) {
+        order.push({ position: 1, entrantId: fixture.winner });
+      }
+      const loser = fixture.winner?.toString() === fixture.home?.toString() ? fixture.away : fixture.home;
+      order.push({ position: round === finalRound ? 2 : position, entrantId: loser });
+    }
+  }
+  return order;
+};
+
+// Method to close the tournament once every fixture is played
+tournamentSchema.methods.checkCompletion = function(at = new Date()) {
+  const finished = this.fixtures.length > 0 &&
+    this.fixtures.every(fixture => ['completed', 'walkover'].includes(fixture.status));
+  if (!finished) return false;
+
+  const [first] = this.getFinishingOrder();
+  this.status = 'completed';
+  this.winner = first?.entrantId || null;
+  this.completedAt = at;
+  return true;
+};
+
+// Transform output
+tournamentSchema.methods.toJSON = function() {
+  const tournament = this.toObject();
+  tournament.fixtures = this.describeFixtures();
+  tournament.standings = this.format === 'round_robin' ? this.getStandings() : undefined;
+  tournament.winnerName = this.getEntrantName(this.winner);
+  tournament.financialSummary = this.getFinancialSummary();
+  return tournament;
+};
+
+module.exports = mongoose.model('Tournament', tournamentSchema);
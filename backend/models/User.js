@@ -72,6 +72,19 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Hashed PIN managers enter to approve sensitive counter actions
+  approvalPin: {
+    type: String,
+    default: null
+  },
+  approvalPinAttempts: {
+    type: Number,
+    default: 0
+  },
+  approvalPinLockedUntil: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -174,6 +187,10 @@ userSchema.methods.toJSON = function() {
   delete user.otpAttempts;
   delete user.accountLocked;
   delete user.lockUntil;
+  delete user.approvalPin;
+  delete user.approvalPinAttempts;
+  delete user.approvalPinLockedUntil;
+  user.hasApprovalPin = !!this.approvalPin;
   return user;
 };
 
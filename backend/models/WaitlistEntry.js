@@ -0,0 +1,234 @@
+const mongoose = require('mongoose');
+
+const waitlistEntrySchema = new mongoose.Schema({
+  // References
+  snookerHouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SnookerHouse',
+    required: true,
+    index: true
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Registered customer (optional; walk-ins can just leave a name and phone)
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
+
+  // Customer Information
+  customerName: {
+    type: String,
+    required: [true, 'Customer name is required'],
+    trim: true,
+    maxlength: [100, 'Customer name cannot exceed 100 characters']
+  },
+
+  customerPhone: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Phone number cannot exceed 20 characters'],
+    default: ''
+  },
+
+  partySize: {
+    type: Number,
+    min: [1, 'Party size must be at least 1'],
+    max: [20, 'Party size cannot exceed 20'],
+    default: 2
+  },
+
+  // Table type the party wants (null = any table)
+  preferredTableType: {
+    type: String,
+    enum: ['snooker', 'pool', 'billiards', null],
+    default: null
+  },
+
+  // Entry Status
+  status: {
+    type: String,
+    enum: ['waiting', 'notified', 'seated', 'abandoned', 'cancelled'],
+    default: 'waiting'
+  },
+
+  // Wait quoted to the customer when they joined
+  quotedWaitMinutes: {
+    type: Number,
+    default: null
+  },
+
+  // Table freed for this party and when they were told
+  notifiedTable: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Table',
+    default: null
+  },
+
+  notifiedAt: {
+    type: Date,
+    default: null
+  },
+
+  notificationCount: {
+    type: Number,
+    default: 0
+  },
+
+  // How long a notified party has to claim the table before losing their turn
+  holdMinutes: {
+    type: Number,
+    min: [1, 'Hold time must be at least 1 minute'],
+    max: [60, 'Hold time cannot exceed 60 minutes'],
+    default: 10
+  },
+
+  // Session started when the party was seated
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  },
+
+  table: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Table',
+    default: null
+  },
+
+  seatedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Party gave up (left) or never came back after being notified (no_show)
+  abandonedAt: {
+    type: Date,
+    default: null
+  },
+
+  abandonReason: {
+    type: String,
+    enum: ['left', 'no_show', 'other', null],
+    default: null
+  },
+
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+
+  notes: {
+    type: String,
+    maxlength: [300, 'Notes cannot exceed 300 characters'],
+    default: ''
+  },
+
+  // Tracking
+  createdBySession: {
+    type: String,
+    default: null
+  },
+
+  lastModifiedBySession: {
+    type: String,
+    default: null
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+waitlistEntrySchema.index({ snookerHouse: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ status: 1, notifiedAt: 1 });
+
+// Statuses still in the queue
+const QUEUED_STATUSES = ['waiting', 'notified'];
+
+// Method to check the entry is still in the queue
+waitlistEntrySchema.methods.isQueued = function() {
+  return QUEUED_STATUSES.includes(this.status);
+};
+
+// Method to check a table suits the party
+waitlistEntrySchema.methods.acceptsTable = function(table) {
+  return !this.preferredTableType || this.preferredTableType === (table.tableType || 'snooker');
+};
+
+// Method to get minutes waited so far (or until the entry left the queue)
+waitlistEntrySchema.methods.getWaitedMinutes = function(at = new Date()) {
+  const endedAt = this.seatedAt || this.abandonedAt || this.cancelledAt || at;
+  return Math.max(0, Math.round((endedAt - this.createdAt) / (1000 * 60)));
+};
+
+// Method to get the latest time a notified party can claim their table
+waitlistEntrySchema.methods.getHoldDeadline = function() {
+  if (!this.notifiedAt) return null;
+  return new Date(this.notifiedAt.getTime() + this.holdMinutes * 60 * 1000);
+};
+
+// Static method to get a house's queue in arrival order
+waitlistEntrySchema.statics.getQueue = function(snookerHouseId) {
+  return this.find({
+    snookerHouse: snookerHouseId,
+    status: { $in: QUEUED_STATUSES }
+  }).sort({ createdAt: 1 });
+};
+
+// Static method to find the first waiting party that accepts a table
+waitlistEntrySchema.statics.findNextForTable = function(table) {
+  return this.findOne({
+    snookerHouse: table.snookerHouse._id || table.snookerHouse,
+    status: 'waiting',
+    preferredTableType: { $in: [null, table.tableType || 'snooker'] }
+  }).sort({ createdAt: 1 });
+};
+
+// Static method to drop notified parties who did not claim their table in time
+waitlistEntrySchema.statics.expireUnclaimed = async function() {
+  const now = new Date();
+  const candidates = await this.find({ status: 'notified' });
+  const expired = candidates.filter(entry => now > entry.getHoldDeadline());
+
+  if (expired.length === 0) {
+    return { expiredCount: 0, tableIds: [] };
+  }
+
+  await this.updateMany(
+    { _id: { $in: expired.map(entry => entry._id) } },
+    { $set: { status: 'abandoned', abandonReason: 'no_show', abandonedAt: now } }
+  );
+
+  return {
+    expiredCount: expired.length,
+    tableIds: [...new Set(expired.map(entry => entry.notifiedTable?.toString()).filter(Boolean))]
+  };
+};
+
+// Transform output
+waitlistEntrySchema.methods.toJSON = function() {
+  const entry = this.toObject();
+
+  entry.waitedMinutes = this.getWaitedMinutes();
+  entry.holdDeadline = this.getHoldDeadline();
+
+  return entry;
+};
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
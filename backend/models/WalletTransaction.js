@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const walletTransactionSchema = new mongoose.Schema({
+  // References
+  snookerHouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SnookerHouse',
+    required: true,
+    index: true
+  },
+
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+
+  // topup / refund add money, spend removes it, adjust can go either way
+  type: {
+    type: String,
+    enum: ['topup', 'spend', 'adjust', 'refund'],
+    required: true
+  },
+
+  // Signed change to the balance (positive = money into the wallet)
+  amount: {
+    type: Number,
+    required: true
+  },
+
+  balanceAfter: {
+    type: Number,
+    required: true,
+    min: [0, 'Wallet balance cannot be negative']
+  },
+
+  // How a top-up was paid
+  method: {
+    type: String,
+    enum: ['esewa', 'online_banking', 'cash', null],
+    default: null
+  },
+
+  methodLabel: {
+    type: String,
+    default: null
+  },
+
+  transactionId: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot exceed 300 characters'],
+    default: ''
+  },
+
+  transactionDate: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Tracking
+  createdBySession: {
+    type: String,
+    default: null
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+walletTransactionSchema.index({ customer: 1, transactionDate: -1 });
+walletTransactionSchema.index({ snookerHouse: 1, type: 1, transactionDate: -1 });
+walletTransactionSchema.index({ session: 1 });
+
+// Static method to move money in or out of a customer's wallet (null = balance would go below zero)
+walletTransactionSchema.statics.post = async function(snookerHouseId, customerId, { type, amount, method, methodLabel, transactionId, session, description, createdBySession }) {
+  const Customer = mongoose.model('Customer');
+  const change = round(amount);
+
+  // Guard the balance atomically so concurrent payments can't overdraw it
+  const filter = { _id: customerId, snookerHouse: snookerHouseId };
+  if (change < 0) {
+    filter.walletBalance = { $gte: -change };
+  }
+
+  const customer = await Customer.findOneAndUpdate(
+    filter,
+    {
+      $inc: {
+        walletBalance: change,
+        ...(type === 'topup' ? { totalToppedUp: change } : {})
+      }
+    },
+    { new: true }
+  );
+  if (!customer) return null;
+
+  const transaction = await this.create({
+    snookerHouse: snookerHouseId,
+    customer: customerId,
+    type,
+    amount: change,
+    balanceAfter: round(customer.walletBalance),
+    method: method || null,
+    methodLabel: methodLabel || null,
+    transactionId: transactionId || '',
+    session: session || null,
+    description: description || '',
+    createdBySession
+  });
+
+  return { transaction, customer };
+};
+
+// Static method to summarise wallet activity for a house over a period
+walletTransactionSchema.statics.getStats = function(snookerHouseId, dateFrom, dateTo) {
+  return this.aggregate([
+    {
+      $match: {
+        snookerHouse: snookerHouseId,
+        transactionDate: { $gte: dateFrom, $lte: dateTo }
+      }
+    },
+    {
+      $group: {
+        _id: { type: '$type', method: '$method' },
+        amount: { $sum: '$amount' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+};
+
+module.exports = mongoose.model('WalletTransaction', walletTransactionSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const WalletTransaction = require('./WalletTransaction');
+const Customer = require('./Customer');
+
+describe('WalletTransaction.post', () => {
+  const snookerHouse = new mongoose.Types.ObjectId();
+  const customerId = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    jest.spyOn(WalletTransaction, 'create').mockImplementation(async (doc) => doc);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('only takes money out when the balance covers it', async () => {
+    const update = jest.spyOn(Customer, 'findOneAndUpdate').mockResolvedValue({ walletBalance: 150 });
+
+    const { transaction } = await WalletTransaction.post(snookerHouse, customerId, { type: 'spend', amount: -350.004 });
+
+    const [filter, change] = update.mock.calls[0];
+    expect(filter).toEqual({ _id: customerId, snookerHouse, walletBalance: { $gte: 350 } });
+    expect(change.$inc).toEqual({ walletBalance: -350 });
+    expect(transaction).toMatchObject({ type: 'spend', amount: -350, balanceAfter: 150 });
+  });
+
+  it('records nothing when the balance is short', async () => {
+    jest.spyOn(Customer, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(WalletTransaction.post(snookerHouse, customerId, { type: 'spend', amount: -350 })).resolves.toBeNull();
+    expect(WalletTransaction.create).not.toHaveBeenCalled();
+  });
+
+  it('counts top-ups towards the total topped up, but not refunds', async () => {
+    const update = jest.spyOn(Customer, 'findOneAndUpdate').mockResolvedValue({ walletBalance: 500 });
+
+    await WalletTransaction.post(snookerHouse, customerId, { type: 'topup', amount: 500, method: 'cash' });
+    await WalletTransaction.post(snookerHouse, customerId, { type: 'refund', amount: 200 });
+
+    expect(update.mock.calls[0][0]).not.toHaveProperty('walletBalance');
+    expect(update.mock.calls[0][1].$inc).toEqual({ walletBalance: 500, totalToppedUp: 500 });
+    expect(update.mock.calls[1][1].$inc).toEqual({ walletBalance: 200 });
+  });
+});
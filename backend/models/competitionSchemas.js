@@ -0,0 +1,273 @@
+const mongoose = require('mongoose');
+const { computeStandings } = require('../services/bracketService');
+
+// Sub-schemas and methods shared by Tournament and League
+
+// Registered entrant
+const entrantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Entrant name is required'],
+    trim: true,
+    maxlength: [100, 'Entrant name cannot exceed 100 characters']
+  },
+  phone: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Phone number cannot exceed 20 characters'],
+    default: ''
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
+  // Lower seeds are kept apart in knockout brackets (null = unseeded)
+  seed: {
+    type: Number,
+    min: [1, 'Seed must be at least 1'],
+    default: null
+  },
+  entryFee: {
+    type: Number,
+    default: 0,
+    min: [0, 'Entry fee cannot be negative']
+  },
+  feePaid: {
+    type: Boolean,
+    default: false
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['esewa', 'online_banking', 'cash', 'wallet', null],
+    default: null
+  },
+  paidAt: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['registered', 'withdrawn', 'eliminated'],
+    default: 'registered'
+  },
+  registeredAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Fixture between two entrants, optionally booked on a table
+const fixtureSchema = new mongoose.Schema({
+  round: {
+    type: Number,
+    required: true
+  },
+  roundName: {
+    type: String,
+    default: ''
+  },
+  slot: {
+    type: Number,
+    default: 0
+  },
+  // Entrant IDs (null = still to be decided in a knockout)
+  home: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  away: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  isBye: {
+    type: Boolean,
+    default: false
+  },
+  // Knockout: where the winner goes next
+  nextFixture: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  nextSlot: {
+    type: String,
+    enum: ['home', 'away', null],
+    default: null
+  },
+  // Scheduling
+  table: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Table',
+    default: null
+  },
+  scheduledAt: {
+    type: Date,
+    default: null
+  },
+  durationMinutes: {
+    type: Number,
+    default: 60
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    default: null
+  },
+  // Result
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  },
+  match: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Match',
+    default: null
+  },
+  homeFrames: {
+    type: Number,
+    default: 0,
+    min: [0, 'Frames cannot be negative']
+  },
+  awayFrames: {
+    type: Number,
+    default: 0,
+    min: [0, 'Frames cannot be negative']
+  },
+  homeHighestBreak: {
+    type: Number,
+    default: 0
+  },
+  awayHighestBreak: {
+    type: Number,
+    default: 0
+  },
+  winner: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'scheduled', 'completed', 'walkover'],
+    default: 'pending'
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+// Prize for a finishing position, recorded as an expense once paid
+const prizeSchema = new mongoose.Schema({
+  position: {
+    type: Number,
+    required: true,
+    min: [1, 'Position must be at least 1']
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Prize amount cannot be negative']
+  },
+  entrant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['esewa', 'online_banking', 'cash', null],
+    default: null
+  },
+  paidAt: {
+    type: Date,
+    default: null
+  },
+  expense: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expense',
+    default: null
+  }
+}, { _id: false });
+
+// Add the entrant, fixture and prize methods both competition models use
+function addCompetitionMethods(schema) {
+  // Method to get entrants still taking part
+  schema.methods.getActiveEntrants = function() {
+    return this.entrants.filter(entrant => entrant.status !== 'withdrawn');
+  };
+
+  // Method to get an entrant's name by ID
+  schema.methods.getEntrantName = function(entrantId) {
+    if (!entrantId) return null;
+    return this.entrants.id(entrantId)?.name || null;
+  };
+
+  // Method to register an entrant (throws if registration is closed or full)
+  schema.methods.registerEntrant = function({ name, phone, customer, seed }) {
+    if (this.status !== 'registration') {
+      throw new Error('Registration is closed');
+    }
+    if (this.maxEntrants && this.getActiveEntrants().length >= this.maxEntrants) {
+      throw new Error(`Entry is full (${this.maxEntrants} entrants)`);
+    }
+    if (phone && this.getActiveEntrants().some(entrant => entrant.phone === phone)) {
+      throw new Error('An entrant with this phone number is already registered');
+    }
+
+    const entrant = this.entrants.create({
+      name,
+      phone: phone || '',
+      customer: customer || null,
+      seed: seed || null,
+      entryFee: this.entryFee
+    });
+    this.entrants.push(entrant);
+    return entrant;
+  };
+
+  // Method to describe fixtures with entrant names
+  schema.methods.describeFixtures = function() {
+    return this.fixtures.map(fixture => ({
+      ...fixture.toObject(),
+      homeName: this.getEntrantName(fixture.home),
+      awayName: this.getEntrantName(fixture.away),
+      winnerName: this.getEntrantName(fixture.winner)
+    }));
+  };
+
+  // Method to get the standings table from completed fixtures
+  schema.methods.getStandings = function() {
+    return computeStandings(this.entrants, this.fixtures, {
+      pointsForWin: this.pointsForWin,
+      pointsForLoss: this.pointsForLoss
+    });
+  };
+
+  // Method to summarise entry fees taken and prizes paid
+  schema.methods.getFinancialSummary = function() {
+    const round = (amount) => Math.round(amount * 100) / 100;
+    const paying = this.entrants.filter(entrant => entrant.feePaid);
+    const feesCollected = round(paying.reduce((sum, entrant) => sum + entrant.entryFee, 0));
+    const prizesPaid = round(this.prizes
+      .filter(prize => prize.paidAt)
+      .reduce((sum, prize) => sum + prize.amount, 0));
+
+    return {
+      feesCollected,
+      feesOutstanding: round(this.getActiveEntrants()
+        .filter(entrant => !entrant.feePaid)
+        .reduce((sum, entrant) => sum + entrant.entryFee, 0)),
+      paidEntrants: paying.length,
+      prizeFund: round(this.prizes.reduce((sum, prize) => sum + prize.amount, 0)),
+      prizesPaid,
+      net: round(feesCollected - prizesPaid)
+    };
+  };
+}
+
+module.exports = {
+  entrantSchema,
+  fixtureSchema,
+  prizeSchema,
+  addCompetitionMethods
+};
@@ -1,10 +1,13 @@
 const express = require('express');
 const BusinessAnalyticsController = require('../controllers/businessAnalyticsController'); // Import class
 const { auth, requireEmailVerification } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
 const {
   validateFinancialReportQuery,
   validateCustomerAnalyticsQuery,
-  validateDashboardQuery
+  validateDashboardQuery,
+  validateSalesRegisterQuery,
+  validateLoyaltyQuery
 } = require('../middleware/analyticsValidation');
 
 const router = express.Router();
@@ -35,35 +38,86 @@ router.use((req, res, next) => {
 
 // @route   GET /api/analytics/dashboard
 // @desc    Get comprehensive business dashboard
-// @access  Private
+// @access  Private (reports.financial)
 // @query   refresh: boolean, includeComparisons: boolean, trendDays: number
 router.get('/dashboard', 
   auth, 
   requireEmailVerification,
+  requirePermission('reports.financial'),
   validateDashboardQuery, 
   businessAnalyticsController.getDashboard.bind(businessAnalyticsController)
 );
 
+// @route   GET /api/analytics/branches
+// @desc    Consolidated dashboard across all of the owner's snooker houses
+// @access  Private (reports.branches)
+// @query   period: today|week|month|year|custom, startDate, endDate
+router.get('/branches', 
+  auth, 
+  requireEmailVerification,
+  requirePermission('reports.branches'),
+  validateFinancialReportQuery, 
+  businessAnalyticsController.getBranchesDashboard.bind(businessAnalyticsController)
+);
+
+// @route   GET /api/analytics/staff-performance
+// @desc    Revenue, sessions, cancellations, discounts, credit and item upsell per staff member
+// @access  Private (reports.staff)
+// @query   period: today|week|month|year|custom, startDate, endDate
+router.get('/staff-performance', 
+  auth, 
+  requireEmailVerification,
+  requirePermission('reports.staff'),
+  validateFinancialReportQuery, 
+  businessAnalyticsController.getStaffPerformance.bind(businessAnalyticsController)
+);
+
 // @route   GET /api/analytics/financial-report
 // @desc    Get detailed financial reports
-// @access  Private
+// @access  Private (reports.financial)
 // @query   period: today|week|month|year|custom, startDate, endDate, format: json|csv|pdf
 router.get('/financial-report', 
   auth, 
   requireEmailVerification,
+  requirePermission('reports.financial'),
   validateFinancialReportQuery, 
   businessAnalyticsController.getFinancialReport.bind(businessAnalyticsController)
 );
 
+// @route   GET /api/analytics/sales-register
+// @desc    Export the sales register (invoice-wise VAT and service charge)
+// @access  Private (reports.financial)
+// @query   startDate, endDate, type: all|sessions|sales, format: json|csv
+router.get('/sales-register', 
+  auth, 
+  requireEmailVerification,
+  requirePermission('reports.financial'),
+  validateSalesRegisterQuery, 
+  businessAnalyticsController.getSalesRegister.bind(businessAnalyticsController)
+);
+
 // @route   GET /api/analytics/customer-analytics
 // @desc    Get customer analytics and insights
-// @access  Private
+// @access  Private (reports.financial)
 // @query   segment: all|vip|premium|regular|frequent|new, timeframe: week|month|quarter|year|all
 router.get('/customer-analytics', 
   auth, 
   requireEmailVerification,
+  requirePermission('reports.financial'),
   validateCustomerAnalyticsQuery, 
   businessAnalyticsController.getCustomerAnalytics.bind(businessAnalyticsController)
 );
 
+// @route   GET /api/analytics/loyalty
+// @desc    Get loyalty points activity and outstanding points liability
+// @access  Private (reports.financial)
+// @query   startDate, endDate (default: last 30 days)
+router.get('/loyalty', 
+  auth, 
+  requireEmailVerification,
+  requirePermission('reports.financial'),
+  validateLoyaltyQuery, 
+  businessAnalyticsController.getLoyaltyAnalytics.bind(businessAnalyticsController)
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,63 @@
+const express = require('express');
+const approvalController = require('../controllers/approvalController');
+const { auth, requireEmailVerification } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const {
+  validateSetPin,
+  validateApproveWithPin,
+  validateRequestApproval,
+  validateDecision,
+  validateApprovalQuery
+} = require('../middleware/approvalValidation');
+
+const router = express.Router();
+
+// ===========================================
+// PIN APPROVAL ROUTES
+// ===========================================
+
+// @route   GET /api/approvals/approvers
+// @desc    Get who can approve in this house, and which actions need approval
+// @access  Private (approvals.request)
+router.get('/approvers', auth, requirePermission('approvals.request'), approvalController.getApprovers);
+
+// @route   PUT /api/approvals/pin
+// @desc    Set or change your own approval PIN (requires current password)
+// @access  Private (approvals.grant)
+router.put('/pin', auth, requireEmailVerification, requirePermission('approvals.grant'), validateSetPin, approvalController.setPin);
+
+// @route   POST /api/approvals/pin
+// @desc    Approve an action on the spot with a manager's PIN and get a single-use token
+// @access  Private (approvals.request)
+router.post('/pin', auth, requireEmailVerification, requirePermission('approvals.request'), validateApproveWithPin, approvalController.approveWithPin);
+
+// ===========================================
+// REMOTE APPROVAL ROUTES
+// ===========================================
+
+// @route   POST /api/approvals
+// @desc    Ask a manager to approve an action from their own device
+// @access  Private (approvals.request)
+router.post('/', auth, requireEmailVerification, requirePermission('approvals.request'), validateRequestApproval, approvalController.requestApproval);
+
+// @route   GET /api/approvals
+// @desc    Get approvals (?status=pending|approved|rejected|used|expired|all, limit, skip)
+// @access  Private (approvals.request; staff who can't approve only see their own)
+router.get('/', auth, requirePermission('approvals.request'), validateApprovalQuery, approvalController.getApprovals);
+
+// @route   GET /api/approvals/:approvalId
+// @desc    Get an approval (to check whether a request has been decided)
+// @access  Private (approvals.request; staff who can't approve only see their own)
+router.get('/:approvalId', auth, requirePermission('approvals.request'), approvalController.getApprovalById);
+
+// @route   POST /api/approvals/:approvalId/approve
+// @desc    Approve a pending request
+// @access  Private (approvals.grant)
+router.post('/:approvalId/approve', auth, requireEmailVerification, requirePermission('approvals.grant'), validateDecision, approvalController.approveRequest);
+
+// @route   POST /api/approvals/:approvalId/reject
+// @desc    Reject a pending request
+// @access  Private (approvals.grant)
+router.post('/:approvalId/reject', auth, requireEmailVerification, requirePermission('approvals.grant'), validateDecision, approvalController.rejectRequest);
+
+module.exports = router;
@@ -0,0 +1,78 @@
+const express = require('express');
+const attendanceController = require('../controllers/attendanceController');
+const { auth, requireEmailVerification } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const {
+  validateClock,
+  validateManualRecord,
+  validateCorrectRecord,
+  validateAttendanceQuery,
+  validatePayrollQuery,
+  validateRecordPayroll
+} = require('../middleware/attendanceValidation');
+
+const router = express.Router();
+
+// ===========================================
+// CLOCK ROUTES
+// ===========================================
+
+// @route   POST /api/attendance/clock-in
+// @desc    Clock in (managers can pass staffId to clock in a staff member)
+// @access  Private (attendance.clock)
+router.post('/clock-in', auth, requireEmailVerification, requirePermission('attendance.clock'), validateClock, attendanceController.clockIn);
+
+// @route   POST /api/attendance/clock-out
+// @desc    Clock out, ending any break in progress
+// @access  Private (attendance.clock)
+router.post('/clock-out', auth, requireEmailVerification, requirePermission('attendance.clock'), validateClock, attendanceController.clockOut);
+
+// @route   POST /api/attendance/break/start
+// @desc    Start a break
+// @access  Private (attendance.clock)
+router.post('/break/start', auth, requireEmailVerification, requirePermission('attendance.clock'), validateClock, attendanceController.startBreak);
+
+// @route   POST /api/attendance/break/end
+// @desc    End the break in progress
+// @access  Private (attendance.clock)
+router.post('/break/end', auth, requireEmailVerification, requirePermission('attendance.clock'), validateClock, attendanceController.endBreak);
+
+// @route   GET /api/attendance/current
+// @desc    Get who is clocked in right now
+// @access  Private (attendance.clock; staff see themselves)
+router.get('/current', auth, requirePermission('attendance.clock'), attendanceController.getCurrentAttendance);
+
+// ===========================================
+// PAYROLL ROUTES
+// ===========================================
+
+// @route   GET /api/attendance/payroll
+// @desc    Get hours, overtime and wages per staff member (?startDate=&endDate=&format=json|csv)
+// @access  Private (payroll.manage)
+router.get('/payroll', auth, requirePermission('payroll.manage'), validatePayrollQuery, attendanceController.getPayrollReport);
+
+// @route   POST /api/attendance/payroll/expenses
+// @desc    Record a period's payroll as expenses
+// @access  Private (payroll.manage)
+router.post('/payroll/expenses', auth, requireEmailVerification, requirePermission('payroll.manage'), validateRecordPayroll, attendanceController.recordPayroll);
+
+// ===========================================
+// RECORD ROUTES
+// ===========================================
+
+// @route   GET /api/attendance
+// @desc    Get attendance records (?staffId=&status=&startDate=&endDate=&limit=&skip=)
+// @access  Private (attendance.clock; staff see their own records)
+router.get('/', auth, requirePermission('attendance.clock'), validateAttendanceQuery, attendanceController.getRecords);
+
+// @route   POST /api/attendance
+// @desc    Add a missed attendance record for a staff member
+// @access  Private (attendance.manage)
+router.post('/', auth, requireEmailVerification, requirePermission('attendance.manage'), validateManualRecord, attendanceController.createRecord);
+
+// @route   PUT /api/attendance/:recordId
+// @desc    Correct an attendance record (reason required)
+// @access  Private (attendance.manage)
+router.put('/:recordId', auth, requireEmailVerification, requirePermission('attendance.manage'), validateCorrectRecord, attendanceController.correctRecord);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const auditController = require('../controllers/auditController');
+const { auth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const {
+  validateAuditQuery,
+  validateAuditExportQuery
+} = require('../middleware/auditValidation');
+
+const router = express.Router();
+
+// ===========================================
+// AUDIT LOG ROUTES
+// ===========================================
+
+// @route   GET /api/audit
+// @desc    Get audit events (?entityType=&entityId=&actorId=&action=&startDate=&endDate=&limit=&skip=)
+// @access  Private (audit.view)
+router.get('/', auth, requirePermission('audit.view'), validateAuditQuery, auditController.getAuditEvents);
+
+// @route   GET /api/audit/export
+// @desc    Export audit events as CSV (same filters, one row per changed field)
+// @access  Private (audit.view)
+router.get('/export', auth, requirePermission('audit.view'), validateAuditExportQuery, auditController.exportAuditEvents);
+
+module.exports = router;
@@ -0,0 +1,47 @@
+const express = require('express');
+const bookingController = require('../controllers/bookingController');
+const { auth, requireEmailVerification } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const {
+  validateCreateBooking,
+  validateUpdateBooking,
+  validateCancelBooking
+} = require('../middleware/bookingValidation');
+
+const router = express.Router();
+
+// ===========================================
+// BOOKING MANAGEMENT ROUTES
+// ===========================================
+
+// @route   POST /api/bookings
+// @desc    Create a table reservation
+// @access  Private (bookings.manage)
+router.post('/', auth, requireEmailVerification, requirePermission('bookings.manage'), validateCreateBooking, bookingController.createBooking);
+
+// @route   GET /api/bookings
+// @desc    Get bookings for user's snooker house with filtering and pagination
+// @access  Private (bookings.manage)
+router.get('/', auth, requirePermission('bookings.manage'), bookingController.getMyBookings);
+
+// @route   GET /api/bookings/:bookingId
+// @desc    Get specific booking details
+// @access  Private (bookings.manage)
+router.get('/:bookingId', auth, requirePermission('bookings.manage'), bookingController.getBookingById);
+
+// @route   PUT /api/bookings/:bookingId
+// @desc    Update a confirmed booking
+// @access  Private (bookings.manage)
+router.put('/:bookingId', auth, requireEmailVerification, requirePermission('bookings.manage'), validateUpdateBooking, bookingController.updateBooking);
+
+// @route   DELETE /api/bookings/:bookingId
+// @desc    Cancel a confirmed booking
+// @access  Private (bookings.manage)
+router.delete('/:bookingId', auth, requireEmailVerification, requirePermission('bookings.manage'), validateCancelBooking, bookingController.cancelBooking);
+
+// @route   POST /api/bookings/:bookingId/no-show
+// @desc    Mark a booking as no-show
+// @access  Private (bookings.manage)
+router.post('/:bookingId/no-show', auth, requireEmailVerification, requirePermission('bookings.manage'), bookingController.markNoShow);
+
+module.exports = router;
@@ -0,0 +1,47 @@
+const express = require('express');
+const creditController = require('../controllers/creditController');
+const { auth, requireEmailVerification } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const {
+  validateCreateCreditAccount,
+  validateUpdateCreditAccount,
+  validateSettlement
+} = require('../middleware/creditValidation');
+
+const router = express.Router();
+
+// ===========================================
+// CREDIT LEDGER (KHATA) ROUTES
+// ===========================================
+
+// @route   GET /api/credit/balance
+// @desc    Look up a customer's outstanding balance (?phone=...&name=...)
+// @access  Private (credit.view)
+router.get('/balance', auth, requirePermission('credit.view'), creditController.getOutstandingBalance);
+
+// @route   POST /api/credit/accounts
+// @desc    Open a credit account for a customer (optional credit limit)
+// @access  Private (credit.manage)
+router.post('/accounts', auth, requireEmailVerification, requirePermission('credit.manage'), validateCreateCreditAccount, creditController.createAccount);
+
+// @route   GET /api/credit/accounts
+// @desc    Get credit accounts (?search=...&outstanding=true)
+// @access  Private (credit.view)
+router.get('/accounts', auth, requirePermission('credit.view'), creditController.getAccounts);
+
+// @route   GET /api/credit/accounts/:accountId
+// @desc    Get credit account with ledger entries and running balance
+// @access  Private (credit.view)
+router.get('/accounts/:accountId', auth, requirePermission('credit.view'), creditController.getAccountById);
+
+// @route   PUT /api/credit/accounts/:accountId
+// @desc    Update credit account details or credit limit
+// @access  Private (credit.manage)
+router.put('/accounts/:accountId', auth, requireEmailVerification, requirePermission('credit.manage'), validateUpdateCreditAccount, creditController.updateAccount);
+
+// @route   POST /api/credit/accounts/:accountId/settlements
+// @desc    Record a settlement against the oldest outstanding debts
+// @access  Private (credit.settle)
+router.post('/accounts/:accountId/settlements', auth, requireEmailVerification, requirePermission('credit.settle'), validateSettlement, creditController.recordSettlement);
+
+module.exports = router;
@@ -0,0 +1,76 @@
+const express = require('express');
+const customerController = require('../controllers/customerController');
+const walletController = require('../controllers/walletController');
+const { auth, requireEmailVerification } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const {
+  validateCreateCustomer,
+  validateUpdateCustomer
+} = require('../middleware/customerValidation');
+const {
+  validateTopUp,
+  validateWalletAdjustment
+} = require('../middleware/walletValidation');
+
+const router = express.Router();
+
+// ===========================================
+// CUSTOMER DIRECTORY ROUTES
+// ===========================================
+
+// @route   GET /api/customers/search
+// @desc    Autocomplete customers by name or phone prefix (?q=...)
+// @access  Private (customers.view)
+router.get('/search', auth, requirePermission('customers.view'), customerController.searchCustomers);
+
+// @route   GET /api/customers/wallets/summary
+// @desc    Get total prepaid wallet balance held for customers
+// @access  Private (reports.financial)
+router.get('/wallets/summary', auth, requirePermission('reports.financial'), walletController.getWalletSummary);
+
+// @route   POST /api/customers/import-history
+// @desc    Register customers from past sessions and sales with a phone number
+// @access  Private (customers.import)
+router.post('/import-history', auth, requireEmailVerification, requirePermission('customers.import'), customerController.importFromHistory);
+
+// @route   POST /api/customers
+// @desc    Register a customer
+// @access  Private (customers.manage)
+router.post('/', auth, requireEmailVerification, requirePermission('customers.manage'), validateCreateCustomer, customerController.createCustomer);
+
+// @route   GET /api/customers
+// @desc    Get customers (?search=...&sortBy=lastVisitAt|totalSpent|totalVisits|name)
+// @access  Private (customers.view)
+router.get('/', auth, requirePermission('customers.view'), customerController.getCustomers);
+
+// @route   GET /api/customers/:customerId
+// @desc    Get customer with recent sessions and purchases
+// @access  Private (customers.view)
+router.get('/:customerId', auth, requirePermission('customers.view'), customerController.getCustomerById);
+
+// @route   GET /api/customers/:customerId/loyalty
+// @desc    Get loyalty points statement with running balance (?from=...&to=...)
+// @access  Private (customers.view)
+router.get('/:customerId/loyalty', auth, requirePermission('customers.view'), customerController.getLoyaltyStatement);
+
+// @route   GET /api/customers/:customerId/wallet
+// @desc    Get wallet balance and transaction history (?type=topup|spend|adjust|refund)
+// @access  Private (customers.view)
+router.get('/:customerId/wallet', auth, requirePermission('customers.view'), walletController.getWallet);
+
+// @route   POST /api/customers/:customerId/wallet/topups
+// @desc    Top up a customer's prepaid wallet
+// @access  Private (wallet.topup)
+router.post('/:customerId/wallet/topups', auth, requireEmailVerification, requirePermission('wallet.topup'), validateTopUp, walletController.topUp);
+
+// @route   POST /api/customers/:customerId/wallet/adjustments
+// @desc    Correct a wallet balance (positive adds, negative removes)
+// @access  Private (wallet.adjust)
+router.post('/:customerId/wallet/adjustments', auth, requireEmailVerification, requirePermission('wallet.adjust'), validateWalletAdjustment, walletController.adjustBalance);
+
+// @route   PUT /api/customers/:customerId
+// @desc    Update customer details
+// @access  Private (customers.manage)
+router.put('/:customerId', auth, requireEmailVerification, requirePermission('customers.manage'), validateUpdateCustomer, customerController.updateCustomer);
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const inventoryController = require('../controllers/inventoryController');
 const { auth, requireEmailVerification } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { requireApproval, stockUpdateAction } = require('../middleware/approval');
 
 const router = express.Router();
 
@@ -26,38 +28,38 @@ router.use((req, res, next) => {
 
 // @route   POST /api/inventory/products
 // @desc    Create a new product
-// @access  Private (snooker house owner only)
-router.post('/products', auth, requireEmailVerification, inventoryController.createProduct);
+// @access  Private (products.manage)
+router.post('/products', auth, requireEmailVerification, requirePermission('products.manage'), inventoryController.createProduct);
 
 // @route   GET /api/inventory/products
 // @desc    Get all products for user's snooker house
-// @access  Private
-router.get('/products', auth, inventoryController.getMyProducts);
+// @access  Private (products.view)
+router.get('/products', auth, requirePermission('products.view'), inventoryController.getMyProducts);
 
 // @route   GET /api/inventory/products/search
 // @desc    Search products
-// @access  Private
-router.get('/products/search', auth, inventoryController.searchProducts);
+// @access  Private (products.view)
+router.get('/products/search', auth, requirePermission('products.view'), inventoryController.searchProducts);
 
 // @route   GET /api/inventory/products/low-stock
 // @desc    Get low stock products
-// @access  Private
-router.get('/products/low-stock', auth, inventoryController.getLowStockProducts);
+// @access  Private (products.view)
+router.get('/products/low-stock', auth, requirePermission('products.view'), inventoryController.getLowStockProducts);
 
 // @route   PUT /api/inventory/products/:productId
 // @desc    Update product
-// @access  Private (owner only)
-router.put('/products/:productId', auth, requireEmailVerification, inventoryController.updateProduct);
+// @access  Private (products.manage)
+router.put('/products/:productId', auth, requireEmailVerification, requirePermission('products.manage'), inventoryController.updateProduct);
 
 // @route   PUT /api/inventory/products/:productId/stock
 // @desc    Update product stock
-// @access  Private (owner only)
-router.put('/products/:productId/stock', auth, requireEmailVerification, inventoryController.updateStock);
+// @access  Private (products.manage, or a manager's approval token for 'set' when the house requires one)
+router.put('/products/:productId/stock', auth, requireEmailVerification, requireApproval(stockUpdateAction, { permission: 'products.manage', target: req => req.params.productId }), inventoryController.updateStock);
 
 // @route   DELETE /api/inventory/products/:productId
 // @desc    Delete product
-// @access  Private (owner only)
-router.delete('/products/:productId', auth, requireEmailVerification, inventoryController.deleteProduct);
+// @access  Private (products.delete)
+router.delete('/products/:productId', auth, requireEmailVerification, requirePermission('products.delete'), inventoryController.deleteProduct);
 
 // ===========================================
 // SALES MANAGEMENT ROUTES
@@ -65,13 +67,18 @@ router.delete('/products/:productId', auth, requireEmailVerification, inventoryC
 
 // @route   POST /api/inventory/sales
 // @desc    Record a sale
-// @access  Private
-router.post('/sales', auth, requireEmailVerification, inventoryController.recordSale);
+// @access  Private (sales.record)
+router.post('/sales', auth, requireEmailVerification, requirePermission('sales.record'), inventoryController.recordSale);
 
 // @route   GET /api/inventory/sales
 // @desc    Get sales history
-// @access  Private
-router.get('/sales', auth, inventoryController.getSalesHistory);
+// @access  Private (sales.view)
+router.get('/sales', auth, requirePermission('sales.view'), inventoryController.getSalesHistory);
+
+// @route   GET /api/inventory/sales/:saleId/receipt
+// @desc    Get printable sale receipt (?format=text|html|escpos|json&paper=58|80)
+// @access  Private (sales.view)
+router.get('/sales/:saleId/receipt', auth, requirePermission('sales.view'), inventoryController.getSaleReceipt);
 
 // ===========================================
 // STATISTICS ROUTES
@@ -79,7 +86,7 @@ router.get('/sales', auth, inventoryController.getSalesHistory);
 
 // @route   GET /api/inventory/stats
 // @desc    Get inventory statistics
-// @access  Private
-router.get('/stats', auth, inventoryController.getInventoryStats);
+// @access  Private (reports.operations)
+router.get('/stats', auth, requirePermission('reports.operations'), inventoryController.getInventoryStats);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,99 @@
+const express = require('express');
+const competitionController = require('../controllers/competitionController');
+const { auth, requireEmailVerification } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const {
+  validateCreateLeague,
+  validateUpdateLeague,
+  validateRegisterEntrant,
+  validateEntryFee,
+  validateScheduleFixture,
+  validateFixtureResult,
+  validatePayPrizes
+} = require('../middleware/competitionValidation');
+
+const router = express.Router();
+
+// Shared competition controller works on leagues for this router
+router.use((req, res, next) => {
+  req.competitionKind = 'league';
+  next();
+});
+
+// ===========================================
+// LEAGUE ROUTES
+// ===========================================
+
+// @route   POST /api/leagues
+// @desc    Create a league season with entry fee and prizes
+// @access  Private (competitions.manage)
+router.post('/', auth, requireEmailVerification, requirePermission('competitions.manage'), validateCreateLeague, competitionController.createCompetition);
+
+// @route   GET /api/leagues
+// @desc    Get leagues (?status=in_progress)
+// @access  Private (competitions.view)
+router.get('/', auth, requirePermission('competitions.view'), competitionController.getCompetitions);
+
+// @route   GET /api/leagues/:competitionId
+// @desc    Get league with entrants, fixtures, standings and money summary
+// @access  Private (competitions.view)
+router.get('/:competitionId', auth, requirePermission('competitions.view'), competitionController.getCompetitionById);
+
+// @route   PUT /api/leagues/:competitionId
+// @desc    Update league details and prizes (dates, fee, legs and entry limit only during registration)
+// @access  Private (competitions.manage)
+router.put('/:competitionId', auth, requireEmailVerification, requirePermission('competitions.manage'), validateUpdateLeague, competitionController.updateCompetition);
+
+// ===========================================
+// ENTRANT ROUTES
+// ===========================================
+
+// @route   POST /api/leagues/:competitionId/entrants
+// @desc    Register an entrant (customerId or name/phone), optionally paying the fee
+// @access  Private (competitions.run)
+router.post('/:competitionId/entrants', auth, requireEmailVerification, requirePermission('competitions.run'), validateRegisterEntrant, competitionController.registerEntrant);
+
+// @route   POST /api/leagues/:competitionId/entrants/:entrantId/fee
+// @desc    Record an entrant's entry fee payment
+// @access  Private (competitions.run)
+router.post('/:competitionId/entrants/:entrantId/fee', auth, requireEmailVerification, requirePermission('competitions.run'), validateEntryFee, competitionController.payEntryFee);
+
+// @route   POST /api/leagues/:competitionId/entrants/:entrantId/withdraw
+// @desc    Withdraw an entrant before fixtures are drawn
+// @access  Private (competitions.manage)
+router.post('/:competitionId/entrants/:entrantId/withdraw', auth, requireEmailVerification, requirePermission('competitions.manage'), competitionController.withdrawEntrant);
+
+// ===========================================
+// FIXTURE ROUTES
+// ===========================================
+
+// @route   POST /api/leagues/:competitionId/fixtures
+// @desc    Close registration and draw the season fixture list
+// @access  Private (competitions.manage)
+router.post('/:competitionId/fixtures', auth, requireEmailVerification, requirePermission('competitions.manage'), competitionController.generateFixtures);
+
+// @route   PUT /api/leagues/:competitionId/fixtures/:fixtureId/schedule
+// @desc    Schedule a fixture on a table (creates a booking)
+// @access  Private (competitions.run)
+router.put('/:competitionId/fixtures/:fixtureId/schedule', auth, requireEmailVerification, requirePermission('competitions.run'), validateScheduleFixture, competitionController.scheduleFixture);
+
+// @route   POST /api/leagues/:competitionId/fixtures/:fixtureId/result
+// @desc    Record a fixture result from its session (scored match or frame score)
+// @access  Private (competitions.run)
+router.post('/:competitionId/fixtures/:fixtureId/result', auth, requireEmailVerification, requirePermission('competitions.run'), validateFixtureResult, competitionController.recordFixtureResult);
+
+// @route   GET /api/leagues/:competitionId/standings
+// @desc    Get league table and fixture rounds
+// @access  Private (competitions.view)
+router.get('/:competitionId/standings', auth, requirePermission('competitions.view'), competitionController.getStandings);
+
+// ===========================================
+// PRIZE ROUTES
+// ===========================================
+
+// @route   POST /api/leagues/:competitionId/prizes/pay
+// @desc    Pay out prizes by finishing position (recorded as expenses)
+// @access  Private (competitions.manage)
+router.post('/:competitionId/prizes/pay', auth, requireEmailVerification, requirePermission('competitions.manage'), validatePayPrizes, competitionController.payPrizes);
+
+module.exports = router;
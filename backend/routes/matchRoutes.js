@@ -0,0 +1,57 @@
+const express = require('express');
+const matchController = require('../controllers/matchController');
+const { auth, requireEmailVerification } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { validateCreateMatch, validateScoreEvent } = require('../middleware/matchValidation');
+
+const router = express.Router();
+
+// ===========================================
+// PUBLIC SPECTATOR ROUTES
+// ===========================================
+
+// @route   GET /api/matches/live/:token
+// @desc    Get the live scoreboard of a match
+// @access  Public (spectator token)
+router.get('/live/:token', matchController.getLiveScoreboard);
+
+// @route   GET /api/matches/live/:token/stream
+// @desc    Stream the live scoreboard (Server-Sent Events, "scoreboard" events)
+// @access  Public (spectator token)
+router.get('/live/:token/stream', matchController.streamScoreboard);
+
+// ===========================================
+// MATCH SCORING ROUTES
+// ===========================================
+
+// @route   POST /api/matches
+// @desc    Start a scored match on a running session
+// @access  Private (matches.score)
+router.post('/', auth, requireEmailVerification, requirePermission('matches.score'), validateCreateMatch, matchController.createMatch);
+
+// @route   GET /api/matches
+// @desc    Get matches (?sessionId=...&status=in_progress)
+// @access  Private (matches.view)
+router.get('/', auth, requirePermission('matches.view'), matchController.getMatches);
+
+// @route   GET /api/matches/:matchId
+// @desc    Get a match with frames, breaks and scoring events
+// @access  Private (matches.view)
+router.get('/:matchId', auth, requirePermission('matches.view'), matchController.getMatchById);
+
+// @route   POST /api/matches/:matchId/events
+// @desc    Record a pot, foul, end of visit or concession
+// @access  Private (matches.score)
+router.post('/:matchId/events', auth, requireEmailVerification, requirePermission('matches.score'), validateScoreEvent, matchController.recordEvent);
+
+// @route   POST /api/matches/:matchId/events/undo
+// @desc    Undo the last scoring event
+// @access  Private (matches.score)
+router.post('/:matchId/events/undo', auth, requireEmailVerification, requirePermission('matches.score'), matchController.undoEvent);
+
+// @route   POST /api/matches/:matchId/abandon
+// @desc    Abandon a match
+// @access  Private (matches.score)
+router.post('/:matchId/abandon', auth, requireEmailVerification, requirePermission('matches.score'), matchController.abandonMatch);
+
+module.exports = router;
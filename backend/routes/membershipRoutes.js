@@ -0,0 +1,57 @@
+const express = require('express');
+const membershipController = require('../controllers/membershipController');
+const { auth, requireEmailVerification } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const {
+  validateCreatePlan,
+  validateUpdatePlan,
+  validateSellMembership,
+  validateCancelMembership
+} = require('../middleware/membershipValidation');
+
+const router = express.Router();
+
+// ===========================================
+// MEMBERSHIP PLAN ROUTES
+// ===========================================
+
+// @route   POST /api/memberships/plans
+// @desc    Create a membership plan (price, duration, member rates, included minutes)
+// @access  Private (memberships.plans)
+router.post('/plans', auth, requireEmailVerification, requirePermission('memberships.plans'), validateCreatePlan, membershipController.createPlan);
+
+// @route   GET /api/memberships/plans
+// @desc    Get membership plans (?includeInactive=true)
+// @access  Private (memberships.view)
+router.get('/plans', auth, requirePermission('memberships.view'), membershipController.getPlans);
+
+// @route   PUT /api/memberships/plans/:planId
+// @desc    Update a membership plan (applies to memberships sold afterwards)
+// @access  Private (memberships.plans)
+router.put('/plans/:planId', auth, requireEmailVerification, requirePermission('memberships.plans'), validateUpdatePlan, membershipController.updatePlan);
+
+// ===========================================
+// MEMBERSHIP ROUTES
+// ===========================================
+
+// @route   POST /api/memberships
+// @desc    Sell or renew a membership for a customer
+// @access  Private (memberships.sell)
+router.post('/', auth, requireEmailVerification, requirePermission('memberships.sell'), validateSellMembership, membershipController.sellMembership);
+
+// @route   GET /api/memberships
+// @desc    Get memberships (?status=active&customerId=...&expiringWithinDays=7)
+// @access  Private (memberships.view)
+router.get('/', auth, requirePermission('memberships.view'), membershipController.getMemberships);
+
+// @route   GET /api/memberships/:membershipId
+// @desc    Get membership with the sessions played under it
+// @access  Private (memberships.view)
+router.get('/:membershipId', auth, requirePermission('memberships.view'), membershipController.getMembershipById);
+
+// @route   POST /api/memberships/:membershipId/cancel
+// @desc    Cancel a membership
+// @access  Private (memberships.cancel)
+router.post('/:membershipId/cancel', auth, requireEmailVerification, requirePermission('memberships.cancel'), validateCancelMembership, membershipController.cancelMembership);
+
+module.exports = router;
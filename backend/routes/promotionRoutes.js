@@ -0,0 +1,41 @@
+const express = require('express');
+const promotionController = require('../controllers/promotionController');
+const { auth, requireEmailVerification } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const {
+  validateCreatePromotion,
+  validateUpdatePromotion
+} = require('../middleware/promotionValidation');
+
+const router = express.Router();
+
+// ===========================================
+// PROMOTION MANAGEMENT ROUTES
+// ===========================================
+
+// @route   POST /api/promotions
+// @desc    Create a promotion (percentage, fixed amount, free minutes, item)
+// @access  Private (promotions.manage)
+router.post('/', auth, requireEmailVerification, requirePermission('promotions.manage'), validateCreatePromotion, promotionController.createPromotion);
+
+// @route   GET /api/promotions
+// @desc    Get promotions for user's snooker house (?status=active|expired|inactive)
+// @access  Private (promotions.view)
+router.get('/', auth, requirePermission('promotions.view'), promotionController.getMyPromotions);
+
+// @route   GET /api/promotions/:promotionId
+// @desc    Get specific promotion details
+// @access  Private (promotions.view)
+router.get('/:promotionId', auth, requirePermission('promotions.view'), promotionController.getPromotionById);
+
+// @route   PUT /api/promotions/:promotionId
+// @desc    Update promotion validity, limits or activation
+// @access  Private (promotions.manage)
+router.put('/:promotionId', auth, requireEmailVerification, requirePermission('promotions.manage'), validateUpdatePromotion, promotionController.updatePromotion);
+
+// @route   DELETE /api/promotions/:promotionId
+// @desc    Delete an unused promotion (used ones are deactivated)
+// @access  Private (promotions.manage)
+router.delete('/:promotionId', auth, requireEmailVerification, requirePermission('promotions.manage'), promotionController.deletePromotion);
+
+module.exports = router;
@@ -1,13 +1,25 @@
 const express = require('express');
 const sessionController = require('../controllers/sessionController');
 const { auth, requireEmailVerification } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { requireApproval, sessionCancelAction } = require('../middleware/approval');
 const {
   validateStartSession,
   validateUpdateSession,
   validateEndSession,
+  validateTransferSession,
   validateAddItemToSession,
-  validateConfirmPayment // 🆕 NEW: Payment validation
+  validateConfirmPayment, // 🆕 NEW: Payment validation
+  validateAddPlayer,
+  validateUpdateSplit,
+  validateAssignItemPlayer,
+  validatePlayerPayment,
+  validateLogGame,
+  validateCorrectGame,
+  validateVoidGame,
+  validateRefundSession
 } = require('../middleware/validation');
+const { validateApplyPromotion } = require('../middleware/promotionValidation');
 
 const router = express.Router();
 
@@ -33,71 +45,112 @@ router.use((req, res, next) => {
   next();
 });
 
+// ===========================================
+// SESSION HISTORY & ANALYTICS ROUTES
+// ===========================================
+
+// Static paths go before the /:sessionId routes, which would otherwise match them
+
+// @route   GET /api/sessions/table/:tableId/history
+// @desc    Get session history for a specific table
+// @access  Private (sessions.view)
+router.get('/table/:tableId/history', auth, requirePermission('sessions.view'), sessionController.getTableSessionHistory);
+
+// @route   GET /api/sessions/my-sessions
+// @desc    Get all sessions for user's snooker house with filtering and pagination
+// @access  Private (sessions.view)
+router.get('/my-sessions', auth, requirePermission('sessions.view'), sessionController.getMySessions);
+
+// @route   GET /api/sessions/stats
+// @desc    Get session statistics for user's snooker house
+// @access  Private (reports.operations)
+router.get('/stats', auth, requirePermission('reports.operations'), sessionController.getSessionStats);
+
+// 🆕 NEW: Payment summary route
+// @route   GET /api/sessions/payment-summary
+// @desc    Get payment summary and statistics
+// @access  Private (reports.financial)
+router.get('/payment-summary', auth, requirePermission('reports.financial'), sessionController.getPaymentSummary);
+
+// @route   GET /api/sessions/export
+// @desc    Export session data (CSV/JSON) with payment information
+// @access  Private (sessions.export)
+router.get('/export', auth, requirePermission('sessions.export'), sessionController.exportSessions);
+
+// @route   POST /api/sessions/bulk-action
+// @desc    Perform bulk actions on multiple sessions
+// @access  Private (sessions.cancel)
+router.post('/bulk-action', auth, requireEmailVerification, requirePermission('sessions.cancel'), sessionController.bulkSessionAction);
+
 // ===========================================
 // SESSION MANAGEMENT ROUTES
 // ===========================================
 
 // @route   POST /api/sessions/start
 // @desc    Start a new session
-// @access  Private (table owner only)
-router.post('/start', auth, requireEmailVerification, validateStartSession, sessionController.startSession);
+// @access  Private (sessions.run)
+router.post('/start', auth, requireEmailVerification, requirePermission('sessions.run'), validateStartSession, sessionController.startSession);
 
 // @route   GET /api/sessions/active/:tableId
 // @desc    Get active session for a table
-// @access  Private (table owner only)
-router.get('/active/:tableId', auth, sessionController.getActiveSession);
+// @access  Private (sessions.view)
+router.get('/active/:tableId', auth, requirePermission('sessions.view'), sessionController.getActiveSession);
 
 // @route   PUT /api/sessions/:sessionId
 // @desc    Update session (add frames/kittis, pause/resume, add notes)
-// @access  Private (session owner only)
-router.put('/:sessionId', auth, requireEmailVerification, validateUpdateSession, sessionController.updateSession);
+// @access  Private (sessions.run)
+router.put('/:sessionId', auth, requireEmailVerification, requirePermission('sessions.run'), validateUpdateSession, sessionController.updateSession);
 
 // 🆕 NEW: Payment confirmation route
 // @route   POST /api/sessions/:sessionId/confirm-payment
 // @desc    Confirm payment details before ending session
-// @access  Private (session owner only)
-router.post('/:sessionId/confirm-payment', auth, requireEmailVerification, validateConfirmPayment, sessionController.confirmPayment);
+// @access  Private (sessions.run)
+router.post('/:sessionId/confirm-payment', auth, requireEmailVerification, requirePermission('sessions.run'), validateConfirmPayment, sessionController.confirmPayment);
 
 // @route   POST /api/sessions/:sessionId/end
 // @desc    End a session (requires payment confirmation)
-// @access  Private (session owner only)
-router.post('/:sessionId/end', auth, requireEmailVerification, validateEndSession, sessionController.endSession);
+// @access  Private (sessions.run)
+router.post('/:sessionId/end', auth, requireEmailVerification, requirePermission('sessions.run'), validateEndSession, sessionController.endSession);
 
-// @route   GET /api/sessions/my-sessions
-// @desc    Get all sessions for user's snooker house with filtering and pagination
-// @access  Private
-router.get('/my-sessions', auth, sessionController.getMySessions);
+// @route   POST /api/sessions/:sessionId/refunds
+// @desc    Refund or reverse a payment on a completed session (optionally restock items)
+// @access  Private (sessions.refund)
+router.post('/:sessionId/refunds', auth, requireEmailVerification, requirePermission('sessions.refund'), validateRefundSession, sessionController.refundSession);
+
+// @route   GET /api/sessions/:sessionId/refunds
+// @desc    Get refunds recorded on a session
+// @access  Private (sessions.view)
+router.get('/:sessionId/refunds', auth, requirePermission('sessions.view'), sessionController.getSessionRefunds);
 
 // @route   DELETE /api/sessions/:sessionId
 // @desc    Cancel/Delete a session (only if not completed)
-// @access  Private
-router.delete('/:sessionId', auth, requireEmailVerification, sessionController.cancelSession);
-
-// @route   GET /api/sessions/stats
-// @desc    Get session statistics for user's snooker house
-// @access  Private
-router.get('/stats', auth, sessionController.getSessionStats);
-
-// 🆕 NEW: Payment summary route
-// @route   GET /api/sessions/payment-summary
-// @desc    Get payment summary and statistics
-// @access  Private
-router.get('/payment-summary', auth, sessionController.getPaymentSummary);
+// @access  Private (sessions.cancel, or a manager's approval token when the house requires one)
+router.delete('/:sessionId', auth, requireEmailVerification, requireApproval(sessionCancelAction, { permission: 'sessions.cancel', target: req => req.params.sessionId }), sessionController.cancelSession);
 
 // @route   GET /api/sessions/:sessionId
 // @desc    Get specific session details
-// @access  Private (session owner only)
-router.get('/:sessionId', auth, sessionController.getSessionById);
+// @access  Private (sessions.view)
+router.get('/:sessionId', auth, requirePermission('sessions.view'), sessionController.getSessionById);
+
+// @route   GET /api/sessions/:sessionId/receipt
+// @desc    Get printable receipt (?format=text|html|escpos|json&paper=58|80)
+// @access  Private (sessions.view)
+router.get('/:sessionId/receipt', auth, requirePermission('sessions.view'), sessionController.getSessionReceipt);
 
 // @route   POST /api/sessions/:sessionId/pause
 // @desc    Pause an active session
-// @access  Private (session owner only)
-router.post('/:sessionId/pause', auth, requireEmailVerification, sessionController.pauseSession);
+// @access  Private (sessions.run)
+router.post('/:sessionId/pause', auth, requireEmailVerification, requirePermission('sessions.run'), sessionController.pauseSession);
 
 // @route   POST /api/sessions/:sessionId/resume
 // @desc    Resume a paused session
-// @access  Private (session owner only)
-router.post('/:sessionId/resume', auth, requireEmailVerification, sessionController.resumeSession);
+// @access  Private (sessions.run)
+router.post('/:sessionId/resume', auth, requireEmailVerification, requirePermission('sessions.run'), sessionController.resumeSession);
+
+// @route   POST /api/sessions/:sessionId/transfer
+// @desc    Move session to another table (keeps items and elapsed time)
+// @access  Private (sessions.run)
+router.post('/:sessionId/transfer', auth, requireEmailVerification, requirePermission('sessions.run'), validateTransferSession, sessionController.transferSession);
 
 // ===========================================
 // SESSION ITEM MANAGEMENT ROUTES
@@ -105,31 +158,84 @@ router.post('/:sessionId/resume', auth, requireEmailVerification, sessionControl
 
 // @route   POST /api/sessions/:sessionId/items
 // @desc    Add item to active session
-// @access  Private (session owner only)
-router.post('/:sessionId/items', auth, requireEmailVerification, validateAddItemToSession, sessionController.addItemToSession);
+// @access  Private (sessions.run)
+router.post('/:sessionId/items', auth, requireEmailVerification, requirePermission('sessions.run'), validateAddItemToSession, sessionController.addItemToSession);
 
 // @route   DELETE /api/sessions/:sessionId/items/:itemId
 // @desc    Remove item from active session
-// @access  Private (session owner only)
-router.delete('/:sessionId/items/:itemId', auth, requireEmailVerification, sessionController.removeItemFromSession);
+// @access  Private (sessions.run; staff below manager need an approval token when the house requires one)
+router.delete('/:sessionId/items/:itemId', auth, requireEmailVerification, requireApproval('session.remove_item', { permission: 'sessions.run', target: req => req.params.sessionId }), sessionController.removeItemFromSession);
+
+// @route   PUT /api/sessions/:sessionId/items/:itemId/player
+// @desc    Charge an item to a player or mark it as shared
+// @access  Private (sessions.run)
+router.put('/:sessionId/items/:itemId/player', auth, requireEmailVerification, requirePermission('sessions.run'), validateAssignItemPlayer, sessionController.assignItemToPlayer);
 
 // ===========================================
-// SESSION HISTORY & ANALYTICS ROUTES
+// DISCOUNT ROUTES
 // ===========================================
 
-// @route   GET /api/sessions/table/:tableId/history
-// @desc    Get session history for a specific table
-// @access  Private (table owner only)
-router.get('/table/:tableId/history', auth, sessionController.getTableSessionHistory);
+// @route   POST /api/sessions/:sessionId/discounts
+// @desc    Apply a promotion (promo code or promotion ID) to the session bill
+// @access  Private (sessions.run)
+router.post('/:sessionId/discounts', auth, requireEmailVerification, requirePermission('sessions.run'), validateApplyPromotion, sessionController.applyPromotion);
 
-// @route   GET /api/sessions/export
-// @desc    Export session data (CSV/JSON) with payment information
-// @access  Private
-router.get('/export', auth, sessionController.exportSessions);
+// @route   DELETE /api/sessions/:sessionId/discounts/:discountId
+// @desc    Remove a discount from the session bill
+// @access  Private (sessions.run)
+router.delete('/:sessionId/discounts/:discountId', auth, requireEmailVerification, requirePermission('sessions.run'), sessionController.removeDiscount);
 
-// @route   POST /api/sessions/bulk-action
-// @desc    Perform bulk actions on multiple sessions
-// @access  Private
-router.post('/bulk-action', auth, requireEmailVerification, sessionController.bulkSessionAction);
+// ===========================================
+// SPLIT BILL ROUTES
+// ===========================================
+
+// @route   POST /api/sessions/:sessionId/players
+// @desc    Add a player to the session
+// @access  Private (sessions.run)
+router.post('/:sessionId/players', auth, requireEmailVerification, requirePermission('sessions.run'), validateAddPlayer, sessionController.addPlayer);
+
+// @route   DELETE /api/sessions/:sessionId/players/:playerId
+// @desc    Remove a player who has not paid yet
+// @access  Private (sessions.run)
+router.delete('/:sessionId/players/:playerId', auth, requireEmailVerification, requirePermission('sessions.run'), sessionController.removePlayer);
+
+// @route   GET /api/sessions/:sessionId/split
+// @desc    Get each player's share of the bill
+// @access  Private (sessions.view)
+router.get('/:sessionId/split', auth, requirePermission('sessions.view'), sessionController.getSplitSummary);
+
+// @route   PUT /api/sessions/:sessionId/split
+// @desc    Set the split method (even, frames_lost, custom, loser_pays) and player shares
+// @access  Private (sessions.run)
+router.put('/:sessionId/split', auth, requireEmailVerification, requirePermission('sessions.run'), validateUpdateSplit, sessionController.updateSplit);
+
+// @route   POST /api/sessions/:sessionId/players/:playerId/payments
+// @desc    Record a player's payment towards their share
+// @access  Private (sessions.run)
+router.post('/:sessionId/players/:playerId/payments', auth, requireEmailVerification, requirePermission('sessions.run'), validatePlayerPayment, sessionController.recordPlayerPayment);
+
+// ===========================================
+// FRAME LOG ROUTES
+// ===========================================
+
+// @route   POST /api/sessions/:sessionId/frames
+// @desc    Log a frame/kitti with its players, winner and loser
+// @access  Private (sessions.run)
+router.post('/:sessionId/frames', auth, requireEmailVerification, requirePermission('sessions.run'), validateLogGame, sessionController.logGame);
+
+// @route   GET /api/sessions/:sessionId/frames
+// @desc    Get the frame log with each player's wins, losses and charges (?includeVoided=true)
+// @access  Private (sessions.view)
+router.get('/:sessionId/frames', auth, requirePermission('sessions.view'), sessionController.getFrameLog);
+
+// @route   PUT /api/sessions/:sessionId/frames/:frameId
+// @desc    Correct the players, winner or loser of a logged game
+// @access  Private (sessions.run)
+router.put('/:sessionId/frames/:frameId', auth, requireEmailVerification, requirePermission('sessions.run'), validateCorrectGame, sessionController.correctGame);
+
+// @route   POST /api/sessions/:sessionId/frames/:frameId/void
+// @desc    Void a logged game (stays in the log, comes off the bill)
+// @access  Private (sessions.run)
+router.post('/:sessionId/frames/:frameId/void', auth, requireEmailVerification, requirePermission('sessions.run'), validateVoidGame, sessionController.voidGame);
 
 module.exports = router;
\ No newline at end of file
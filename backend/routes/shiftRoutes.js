@@ -0,0 +1,52 @@
+const express = require('express');
+const shiftController = require('../controllers/shiftController');
+const { auth, requireEmailVerification } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const {
+  validateOpenShift,
+  validateCashMovement,
+  validateCloseShift
+} = require('../middleware/shiftValidation');
+
+const router = express.Router();
+
+// ===========================================
+// SHIFT ROUTES
+// ===========================================
+
+// @route   POST /api/shifts
+// @desc    Open a shift with the drawer's opening float
+// @access  Private (shifts.run)
+router.post('/', auth, requireEmailVerification, requirePermission('shifts.run'), validateOpenShift, shiftController.openShift);
+
+// @route   GET /api/shifts
+// @desc    Get shifts with variance totals (?status=&staffId=&dateFrom=&dateTo=&limit=&skip=)
+// @access  Private (shifts.run; cashiers see their own shifts)
+router.get('/', auth, requirePermission('shifts.run'), shiftController.getShifts);
+
+// @route   GET /api/shifts/current
+// @desc    Get the open shift with running cash totals
+// @access  Private (shifts.run)
+router.get('/current', auth, requirePermission('shifts.run'), shiftController.getCurrentShift);
+
+// @route   GET /api/shifts/:shiftId
+// @desc    Get a shift with cash totals and collections by payment method
+// @access  Private (shifts.run)
+router.get('/:shiftId', auth, requirePermission('shifts.run'), shiftController.getShiftById);
+
+// @route   POST /api/shifts/:shiftId/cash-movements
+// @desc    Record cash put into or taken out of the drawer
+// @access  Private (shifts.run)
+router.post('/:shiftId/cash-movements', auth, requireEmailVerification, requirePermission('shifts.run'), validateCashMovement, shiftController.addCashMovement);
+
+// @route   POST /api/shifts/:shiftId/close
+// @desc    Close a shift with the counted drawer cash
+// @access  Private (shifts.run)
+router.post('/:shiftId/close', auth, requireEmailVerification, requirePermission('shifts.run'), validateCloseShift, shiftController.closeShift);
+
+// @route   GET /api/shifts/:shiftId/report
+// @desc    Get printable shift report (?format=text|html|escpos|json&paper=58|80)
+// @access  Private (shifts.run)
+router.get('/:shiftId/report', auth, requirePermission('shifts.run'), shiftController.getShiftReport);
+
+module.exports = router;
@@ -1,9 +1,14 @@
 const express = require('express');
 const snookerController = require('../controllers/snookerController');
 const { auth, requireEmailVerification } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
 const {
   validateCreateSnookerHouse,
-  validateUpdateSnookerHouse
+  validateUpdateSnookerHouse,
+  validateUpdateTaxSettings,
+  validateUpdateLoyaltySettings,
+  validateUpdatePayrollSettings,
+  validateUpdateApprovalSettings
 } = require('../middleware/validation');
 
 const router = express.Router();
@@ -17,20 +22,65 @@ const router = express.Router();
 // @access  Private (logged-in users only)
 router.post('/create', auth, requireEmailVerification, validateCreateSnookerHouse, snookerController.createSnookerHouse);
 
+// @route   GET /api/snooker/my-houses
+// @desc    Get every snooker house the user owns or works at (branch picker)
+// @access  Private (logged-in users only)
+router.get('/my-houses', auth, snookerController.getMySnookerHouses);
+
 // @route   GET /api/snooker/my-house
 // @desc    Get user's snooker house
-// @access  Private
-router.get('/my-house', auth, snookerController.getMySnookerHouse);
+// @access  Private (house.view)
+router.get('/my-house', auth, requirePermission('house.view'), snookerController.getMySnookerHouse);
 
 // @route   PUT /api/snooker/my-house
 // @desc    Update user's snooker house
-// @access  Private
-router.put('/my-house', auth, requireEmailVerification, validateUpdateSnookerHouse, snookerController.updateMySnookerHouse);
+// @access  Private (house.settings)
+router.put('/my-house', auth, requireEmailVerification, requirePermission('house.settings'), validateUpdateSnookerHouse, snookerController.updateMySnookerHouse);
 
 // @route   DELETE /api/snooker/my-house
 // @desc    Delete user's snooker house
-// @access  Private
-router.delete('/my-house', auth, requireEmailVerification, snookerController.deleteMySnookerHouse);
+// @access  Private (house.delete)
+router.delete('/my-house', auth, requireEmailVerification, requirePermission('house.delete'), snookerController.deleteMySnookerHouse);
+
+// @route   GET /api/snooker/my-house/tax-settings
+// @desc    Get VAT / service charge settings
+// @access  Private (house.view)
+router.get('/my-house/tax-settings', auth, requirePermission('house.view'), snookerController.getTaxSettings);
+
+// @route   PUT /api/snooker/my-house/tax-settings
+// @desc    Update VAT / service charge settings (applies to new sessions and sales)
+// @access  Private (house.settings)
+router.put('/my-house/tax-settings', auth, requireEmailVerification, requirePermission('house.settings'), validateUpdateTaxSettings, snookerController.updateTaxSettings);
+
+// @route   GET /api/snooker/my-house/loyalty-settings
+// @desc    Get loyalty points settings
+// @access  Private (house.view)
+router.get('/my-house/loyalty-settings', auth, requirePermission('house.view'), snookerController.getLoyaltySettings);
+
+// @route   PUT /api/snooker/my-house/loyalty-settings
+// @desc    Update loyalty earn rates, point value and expiry
+// @access  Private (house.settings)
+router.put('/my-house/loyalty-settings', auth, requireEmailVerification, requirePermission('house.settings'), validateUpdateLoyaltySettings, snookerController.updateLoyaltySettings);
+
+// @route   GET /api/snooker/my-house/payroll-settings
+// @desc    Get staff overtime and break pay settings
+// @access  Private (house.view)
+router.get('/my-house/payroll-settings', auth, requirePermission('house.view'), snookerController.getPayrollSettings);
+
+// @route   PUT /api/snooker/my-house/payroll-settings
+// @desc    Update the overtime threshold, overtime multiplier and break pay
+// @access  Private (house.settings)
+router.put('/my-house/payroll-settings', auth, requireEmailVerification, requirePermission('house.settings'), validateUpdatePayrollSettings, snookerController.updatePayrollSettings);
+
+// @route   GET /api/snooker/my-house/approval-settings
+// @desc    Get which counter actions need a manager's approval
+// @access  Private (house.view)
+router.get('/my-house/approval-settings', auth, requirePermission('house.view'), snookerController.getApprovalSettings);
+
+// @route   PUT /api/snooker/my-house/approval-settings
+// @desc    Turn manager approval on or off, choose the actions it covers and how long tokens last
+// @access  Private (house.settings)
+router.put('/my-house/approval-settings', auth, requireEmailVerification, requirePermission('house.settings'), validateUpdateApprovalSettings, snookerController.updateApprovalSettings);
 
 // ===========================================
 // PUBLIC ROUTES (No Authentication Required)
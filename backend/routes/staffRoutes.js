@@ -0,0 +1,82 @@
+const express = require('express');
+const staffController = require('../controllers/staffController');
+const { auth, requireEmailVerification } = require('../middleware/auth');
+const { houseAccess, requirePermission } = require('../middleware/permissions');
+const {
+  validateAddStaff,
+  validateUpdateStaff,
+  validateInviteStaff,
+  validateAcceptInvitation,
+  validateInvitationQuery
+} = require('../middleware/staffValidation');
+
+const router = express.Router();
+
+// ===========================================
+// ACCESS ROUTES
+// ===========================================
+
+// @route   GET /api/staff/me
+// @desc    Get the current user's role and permissions
+// @access  Private (any house member)
+router.get('/me', auth, houseAccess, staffController.getMyAccess);
+
+// @route   GET /api/staff/roles
+// @desc    Get the role permission matrix
+// @access  Private (house.view)
+router.get('/roles', auth, requirePermission('house.view'), staffController.getRoles);
+
+// ===========================================
+// INVITATION ROUTES
+// ===========================================
+
+// @route   POST /api/staff/invitations/accept
+// @desc    Accept an invitation with the emailed code (creates the account if needed) and log in
+// @access  Public
+router.post('/invitations/accept', validateAcceptInvitation, staffController.acceptInvitation);
+
+// @route   POST /api/staff/invitations
+// @desc    Invite a staff member (manager or cashier) by email
+// @access  Private (staff.manage)
+router.post('/invitations', auth, requireEmailVerification, requirePermission('staff.manage'), validateInviteStaff, staffController.inviteStaff);
+
+// @route   GET /api/staff/invitations
+// @desc    Get invitations (?status=pending|expired|accepted|revoked|all)
+// @access  Private (staff.manage)
+router.get('/invitations', auth, requirePermission('staff.manage'), validateInvitationQuery, staffController.getInvitations);
+
+// @route   POST /api/staff/invitations/:invitationId/resend
+// @desc    Resend an invitation with a new code
+// @access  Private (staff.manage)
+router.post('/invitations/:invitationId/resend', auth, requireEmailVerification, requirePermission('staff.manage'), staffController.resendInvitation);
+
+// @route   DELETE /api/staff/invitations/:invitationId
+// @desc    Revoke a pending invitation
+// @access  Private (staff.manage)
+router.delete('/invitations/:invitationId', auth, requireEmailVerification, requirePermission('staff.manage'), staffController.revokeInvitation);
+
+// ===========================================
+// STAFF MANAGEMENT ROUTES
+// ===========================================
+
+// @route   POST /api/staff
+// @desc    Add a staff member (manager or cashier) by account email
+// @access  Private (staff.manage)
+router.post('/', auth, requireEmailVerification, requirePermission('staff.manage'), validateAddStaff, staffController.addStaff);
+
+// @route   GET /api/staff
+// @desc    Get staff members (?includeRemoved=true)
+// @access  Private (staff.manage)
+router.get('/', auth, requirePermission('staff.manage'), staffController.getStaff);
+
+// @route   PUT /api/staff/:staffId
+// @desc    Change a staff member's role or pay rates, or suspend / reinstate them
+// @access  Private (staff.manage)
+router.put('/:staffId', auth, requireEmailVerification, requirePermission('staff.manage'), validateUpdateStaff, staffController.updateStaff);
+
+// @route   DELETE /api/staff/:staffId
+// @desc    Remove a staff member
+// @access  Private (staff.manage)
+router.delete('/:staffId', auth, requireEmailVerification, requirePermission('staff.manage'), staffController.removeStaff);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const tableController = require('../controllers/tableController');
 const { auth, requireEmailVerification } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
 const {
   validateCreateTable,
   validateUpdateTable
@@ -14,33 +15,33 @@ const router = express.Router();
 
 // @route   POST /api/tables/create
 // @desc    Create a new table
-// @access  Private (snooker house owner only)
-router.post('/create', auth, requireEmailVerification, validateCreateTable, tableController.createTable);
+// @access  Private (tables.manage)
+router.post('/create', auth, requireEmailVerification, requirePermission('tables.manage'), validateCreateTable, tableController.createTable);
 
 // @route   GET /api/tables/my-tables
 // @desc    Get all tables for user's snooker house
-// @access  Private
-router.get('/my-tables', auth, tableController.getMyTables);
+// @access  Private (tables.view)
+router.get('/my-tables', auth, requirePermission('tables.view'), tableController.getMyTables);
 
 // @route   GET /api/tables/:id
 // @desc    Get single table by ID
-// @access  Private (owner only)
-router.get('/:id', auth, tableController.getTableById);
+// @access  Private (tables.view)
+router.get('/:id', auth, requirePermission('tables.view'), tableController.getTableById);
 
 // @route   PUT /api/tables/:id
 // @desc    Update table
-// @access  Private (owner only)
-router.put('/:id', auth, requireEmailVerification, validateUpdateTable, tableController.updateTable);
+// @access  Private (tables.manage)
+router.put('/:id', auth, requireEmailVerification, requirePermission('tables.manage'), validateUpdateTable, tableController.updateTable);
 
 // @route   DELETE /api/tables/:id
 // @desc    Delete table
-// @access  Private (owner only)
-router.delete('/:id', auth, requireEmailVerification, tableController.deleteTable);
+// @access  Private (tables.delete)
+router.delete('/:id', auth, requireEmailVerification, requirePermission('tables.delete'), tableController.deleteTable);
 
 // @route   GET /api/tables/stats/my-stats
 // @desc    Get table statistics for user's snooker house
-// @access  Private
-router.get('/stats/my-stats', auth, tableController.getMyTableStats);
+// @access  Private (reports.operations)
+router.get('/stats/my-stats', auth, requirePermission('reports.operations'), tableController.getMyTableStats);
 
 // ===========================================
 // PUBLIC ROUTES (No Authentication Required)
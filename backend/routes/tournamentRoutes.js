@@ -0,0 +1,99 @@
+const express = require('express');
+const competitionController = require('../controllers/competitionController');
+const { auth, requireEmailVerification } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const {
+  validateCreateTournament,
+  validateUpdateTournament,
+  validateRegisterEntrant,
+  validateEntryFee,
+  validateScheduleFixture,
+  validateFixtureResult,
+  validatePayPrizes
+} = require('../middleware/competitionValidation');
+
+const router = express.Router();
+
+// Shared competition controller works on tournaments for this router
+router.use((req, res, next) => {
+  req.competitionKind = 'tournament';
+  next();
+});
+
+// ===========================================
+// TOURNAMENT ROUTES
+// ===========================================
+
+// @route   POST /api/tournaments
+// @desc    Create a tournament (knockout or round robin) with entry fee and prizes
+// @access  Private (competitions.manage)
+router.post('/', auth, requireEmailVerification, requirePermission('competitions.manage'), validateCreateTournament, competitionController.createCompetition);
+
+// @route   GET /api/tournaments
+// @desc    Get tournaments (?status=in_progress)
+// @access  Private (competitions.view)
+router.get('/', auth, requirePermission('competitions.view'), competitionController.getCompetitions);
+
+// @route   GET /api/tournaments/:competitionId
+// @desc    Get tournament with entrants, fixtures, standings and money summary
+// @access  Private (competitions.view)
+router.get('/:competitionId', auth, requirePermission('competitions.view'), competitionController.getCompetitionById);
+
+// @route   PUT /api/tournaments/:competitionId
+// @desc    Update tournament details and prizes (format, fee and entry limit only during registration)
+// @access  Private (competitions.manage)
+router.put('/:competitionId', auth, requireEmailVerification, requirePermission('competitions.manage'), validateUpdateTournament, competitionController.updateCompetition);
+
+// ===========================================
+// ENTRANT ROUTES
+// ===========================================
+
+// @route   POST /api/tournaments/:competitionId/entrants
+// @desc    Register an entrant (customerId or name/phone), optionally paying the fee
+// @access  Private (competitions.run)
+router.post('/:competitionId/entrants', auth, requireEmailVerification, requirePermission('competitions.run'), validateRegisterEntrant, competitionController.registerEntrant);
+
+// @route   POST /api/tournaments/:competitionId/entrants/:entrantId/fee
+// @desc    Record an entrant's entry fee payment
+// @access  Private (competitions.run)
+router.post('/:competitionId/entrants/:entrantId/fee', auth, requireEmailVerification, requirePermission('competitions.run'), validateEntryFee, competitionController.payEntryFee);
+
+// @route   POST /api/tournaments/:competitionId/entrants/:entrantId/withdraw
+// @desc    Withdraw an entrant before fixtures are drawn
+// @access  Private (competitions.manage)
+router.post('/:competitionId/entrants/:entrantId/withdraw', auth, requireEmailVerification, requirePermission('competitions.manage'), competitionController.withdrawEntrant);
+
+// ===========================================
+// FIXTURE ROUTES
+// ===========================================
+
+// @route   POST /api/tournaments/:competitionId/fixtures
+// @desc    Close registration and draw the bracket or round robin fixtures
+// @access  Private (competitions.manage)
+router.post('/:competitionId/fixtures', auth, requireEmailVerification, requirePermission('competitions.manage'), competitionController.generateFixtures);
+
+// @route   PUT /api/tournaments/:competitionId/fixtures/:fixtureId/schedule
+// @desc    Schedule a fixture on a table (creates a booking)
+// @access  Private (competitions.run)
+router.put('/:competitionId/fixtures/:fixtureId/schedule', auth, requireEmailVerification, requirePermission('competitions.run'), validateScheduleFixture, competitionController.scheduleFixture);
+
+// @route   POST /api/tournaments/:competitionId/fixtures/:fixtureId/result
+// @desc    Record a fixture result from its session (scored match or frame score)
+// @access  Private (competitions.run)
+router.post('/:competitionId/fixtures/:fixtureId/result', auth, requireEmailVerification, requirePermission('competitions.run'), validateFixtureResult, competitionController.recordFixtureResult);
+
+// @route   GET /api/tournaments/:competitionId/standings
+// @desc    Get standings table or bracket rounds
+// @access  Private (competitions.view)
+router.get('/:competitionId/standings', auth, requirePermission('competitions.view'), competitionController.getStandings);
+
+// ===========================================
+// PRIZE ROUTES
+// ===========================================
+
+// @route   POST /api/tournaments/:competitionId/prizes/pay
+// @desc    Pay out prizes by finishing position (recorded as expenses)
+// @access  Private (competitions.manage)
+router.post('/:competitionId/prizes/pay', auth, requireEmailVerification, requirePermission('competitions.manage'), validatePayPrizes, competitionController.payPrizes);
+
+module.exports = router;
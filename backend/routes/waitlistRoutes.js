@@ -0,0 +1,53 @@
+const express = require('express');
+const waitlistController = require('../controllers/waitlistController');
+const { auth, requireEmailVerification } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const {
+  validateAddToWaitlist,
+  validateUpdateWaitlistEntry,
+  validateNotifyEntry,
+  validateAbandonEntry
+} = require('../middleware/waitlistValidation');
+
+const router = express.Router();
+
+// ===========================================
+// WAITLIST ROUTES
+// ===========================================
+
+// @route   POST /api/waitlist
+// @desc    Add a walk-in party to the waitlist (returns quoted wait)
+// @access  Private (waitlist.manage)
+router.post('/', auth, requireEmailVerification, requirePermission('waitlist.manage'), validateAddToWaitlist, waitlistController.addToWaitlist);
+
+// @route   GET /api/waitlist
+// @desc    Get the queue with positions and estimated wait times
+// @access  Private (waitlist.manage)
+router.get('/', auth, requirePermission('waitlist.manage'), waitlistController.getWaitlist);
+
+// @route   GET /api/waitlist/analytics
+// @desc    Waitlist abandonment analytics (?dateFrom=&dateTo=)
+// @access  Private (reports.operations)
+router.get('/analytics', auth, requirePermission('reports.operations'), waitlistController.getWaitlistAnalytics);
+
+// @route   PUT /api/waitlist/:entryId
+// @desc    Update a waitlist entry
+// @access  Private (waitlist.manage)
+router.put('/:entryId', auth, requireEmailVerification, requirePermission('waitlist.manage'), validateUpdateWaitlistEntry, waitlistController.updateEntry);
+
+// @route   POST /api/waitlist/:entryId/notify
+// @desc    Tell a party a table is ready (seat them with POST /api/sessions/start and waitlistEntryId)
+// @access  Private (waitlist.manage)
+router.post('/:entryId/notify', auth, requireEmailVerification, requirePermission('waitlist.manage'), validateNotifyEntry, waitlistController.notifyEntry);
+
+// @route   POST /api/waitlist/:entryId/abandon
+// @desc    Mark a party as gone without being seated
+// @access  Private (waitlist.manage)
+router.post('/:entryId/abandon', auth, requireEmailVerification, requirePermission('waitlist.manage'), validateAbandonEntry, waitlistController.abandonEntry);
+
+// @route   POST /api/waitlist/:entryId/cancel
+// @desc    Cancel an entry added by mistake
+// @access  Private (waitlist.manage)
+router.post('/:entryId/cancel', auth, requireEmailVerification, requirePermission('waitlist.manage'), waitlistController.cancelEntry);
+
+module.exports = router;
@@ -13,6 +13,21 @@ const tableRoutes = require('./routes/tableRoutes');
 const sessionRoutes = require('./routes/sessionRoutes');
 const inventoryRoutes = require('./routes/inventoryRoutes');
 const analyticsRoutes = require('./routes/analyticsRoutes'); // 📊 NEW: Analytics routes
+const bookingRoutes = require('./routes/bookingRoutes');
+const promotionRoutes = require('./routes/promotionRoutes');
+const creditRoutes = require('./routes/creditRoutes');
+const customerRoutes = require('./routes/customerRoutes');
+const membershipRoutes = require('./routes/membershipRoutes');
+const matchRoutes = require('./routes/matchRoutes');
+const tournamentRoutes = require('./routes/tournamentRoutes');
+const leagueRoutes = require('./routes/leagueRoutes');
+const waitlistRoutes = require('./routes/waitlistRoutes');
+const staffRoutes = require('./routes/staffRoutes');
+const shiftRoutes = require('./routes/shiftRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const attendanceRoutes = require('./routes/attendanceRoutes');
+const approvalRoutes = require('./routes/approvalRoutes');
+const { houseFromPath } = require('./middleware/permissions');
 
 const app = express();
 
@@ -20,7 +35,8 @@ const app = express();
 app.use(helmet());
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['X-Snooker-House-Id']
 }));
 
 // Rate limiting
@@ -69,6 +85,80 @@ const cleanupExpiredSessions = async () => {
 // Run cleanup every hour
 setInterval(cleanupExpiredSessions, 60 * 60 * 1000);
 
+// Booking no-show expiry job (run every 5 minutes)
+const Booking = require('./models/Booking');
+const expireNoShowBookings = async () => {
+  try {
+    const result = await Booking.expireNoShows();
+    if (result.expiredCount > 0) {
+      console.log(`📅 Marked ${result.expiredCount} bookings as no-show`);
+    }
+  } catch (error) {
+    console.error('❌ Booking expiry error:', error);
+  }
+};
+
+setInterval(expireNoShowBookings, 5 * 60 * 1000);
+
+// Waitlist job: drop notified parties who did not claim their table and offer it to the next (run every minute)
+const WaitlistEntry = require('./models/WaitlistEntry');
+const processWaitlistHolds = async () => {
+  try {
+    const result = await WaitlistEntry.expireUnclaimed();
+    if (result.expiredCount === 0) return;
+    console.log(`⏳ Marked ${result.expiredCount} waitlist parties as no-show`);
+
+    const Table = require('./models/Table');
+    const { notifyTableFree } = require('./services/waitlistService');
+    for (const tableId of result.tableIds) {
+      const table = await Table.findById(tableId);
+      const notification = table ? await notifyTableFree(table) : null;
+      if (notification) {
+        console.log(`📣 ${table.name} offered to ${notification.entry.customerName}`);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Waitlist hold error:', error);
+  }
+};
+
+setInterval(processWaitlistHolds, 60 * 1000);
+
+// Membership expiry and renewal reminder job (run every hour)
+const Membership = require('./models/Membership');
+const processMembershipExpiry = async () => {
+  try {
+    const result = await Membership.expireLapsed();
+    if (result.expiredCount > 0) {
+      console.log(`🎫 Marked ${result.expiredCount} memberships as expired`);
+    }
+
+    const emailService = require('./services/emailService');
+    const dueForReminder = await Membership.findDueForReminder(3);
+    for (const membership of dueForReminder) {
+      const recipient = membership.customer?.email || membership.snookerHouse?.owner?.email;
+      if (!recipient) continue;
+
+      const endDate = membership.endDate.toDateString();
+      const sent = await emailService.sendNotification(
+        recipient,
+        `${membership.planSnapshot.name} membership expires on ${endDate}`,
+        `<p>The ${membership.planSnapshot.name} membership of <strong>${membership.customer?.name}</strong> ` +
+        `(${membership.customer?.phone}) at ${membership.snookerHouse?.name} expires on <strong>${endDate}</strong>.</p>` +
+        `<p>Renew before then to keep member rates.</p>`
+      );
+      if (sent.success) {
+        membership.expiryReminderSentAt = new Date();
+        await membership.save();
+      }
+    }
+  } catch (error) {
+    console.error('❌ Membership expiry error:', error);
+  }
+};
+
+setInterval(processMembershipExpiry, 60 * 60 * 1000);
+
 // Test email endpoint (only for development)
 if (process.env.NODE_ENV === 'development') {
   app.get('/test-email', async (req, res) => {
@@ -167,7 +257,8 @@ if (process.env.NODE_ENV === 'development') {
   console.log('   - Cleanup sessions: POST /cleanup-sessions');
 }
 
-// Routes
+// Routes (any /api route can also be reached as /api/houses/:houseId/... to pick the branch)
+app.use(houseFromPath);
 app.use('/api/auth', authLimiter, authRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/snooker', snookerRoutes);
@@ -175,6 +266,20 @@ app.use('/api/tables', tableRoutes);
 app.use('/api/sessions', sessionRoutes);
 app.use('/api/inventory', inventoryRoutes);
 app.use('/api/analytics', analyticsRoutes); // 📊 NEW: Analytics routes
+app.use('/api/bookings', bookingRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/credit', creditRoutes);
+app.use('/api/customers', customerRoutes);
+app.use('/api/memberships', membershipRoutes);
+app.use('/api/matches', matchRoutes);
+app.use('/api/tournaments', tournamentRoutes);
+app.use('/api/leagues', leagueRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/staff', staffRoutes);
+app.use('/api/shifts', shiftRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/attendance', attendanceRoutes);
+app.use('/api/approvals', approvalRoutes);
 
 // Health check endpoint
 app.get('/health', async (req, res) => {
@@ -231,7 +336,21 @@ app.get('/', (req, res) => {
       '✅ Enhanced Security',
       '🔧 Fixed: ObjectId Authentication Bug',
       '📦 Inventory Management System',
-      '📊 NEW: Business Analytics Dashboard' // ← Added analytics feature
+      '📊 NEW: Business Analytics Dashboard', // ← Added analytics feature
+      '📅 Table Reservations',
+      '🏷️ Promotions & Discounts',
+      '📒 Customer Credit Ledger (Khata)',
+      '👥 Customer Directory',
+      '🎫 Membership Plans',
+      '🎱 Live Match Scoring',
+      '🏆 Tournaments & Brackets',
+      '📊 Leagues & Standings',
+      '⏳ Walk-in Waitlist',
+      '👷 Staff Roles & Permissions',
+      '💵 Shifts & Cash Drawer',
+      '📜 Audit Log',
+      '🕐 Staff Attendance & Payroll',
+      '🔏 Manager PIN Approvals'
     ],
     endpoints: {
       health: '/health',
@@ -242,6 +361,20 @@ app.get('/', (req, res) => {
       sessions: '/api/sessions/* (Game Sessions)',
       inventory: '/api/inventory/* (Inventory & Sales)',
       analytics: '/api/analytics/* (Business Analytics)', // ← NEW endpoint
+      bookings: '/api/bookings/* (Table Reservations)',
+      promotions: '/api/promotions/* (Promotions)',
+      credit: '/api/credit/* (Credit Ledger)',
+      customers: '/api/customers/* (Customers)',
+      memberships: '/api/memberships/* (Memberships)',
+      matches: '/api/matches/* (Matches)',
+      tournaments: '/api/tournaments/* (Tournaments)',
+      leagues: '/api/leagues/* (Leagues)',
+      waitlist: '/api/waitlist/* (Waitlist)',
+      staff: '/api/staff/* (Staff)',
+      shifts: '/api/shifts/* (Shifts)',
+      audit: '/api/audit/* (Audit Log)',
+      attendance: '/api/attendance/* (Attendance & Payroll)',
+      approvals: '/api/approvals/* (Approvals)',
       ...(process.env.NODE_ENV === 'development' && {
         testEmail: '/test-email?email=your@email.com',
         checkConfig: '/check-email-config',
@@ -383,7 +516,21 @@ app.use('*', (req, res) => {
       tables: '/api/tables/*',
       sessions: '/api/sessions/*',
       inventory: '/api/inventory/*',
-      analytics: '/api/analytics/*' // ← NEW endpoint
+      analytics: '/api/analytics/*', // ← NEW endpoint
+      bookings: '/api/bookings/*',
+      promotions: '/api/promotions/*',
+      credit: '/api/credit/*',
+      customers: '/api/customers/*',
+      memberships: '/api/memberships/*',
+      matches: '/api/matches/*',
+      tournaments: '/api/tournaments/*',
+      leagues: '/api/leagues/*',
+      waitlist: '/api/waitlist/*',
+      staff: '/api/staff/*',
+      shifts: '/api/shifts/*',
+      audit: '/api/audit/*',
+      attendance: '/api/attendance/*',
+      approvals: '/api/approvals/*'
     },
     timestamp: new Date().toISOString()
   });
@@ -425,6 +572,20 @@ app.listen(PORT, () => {
   console.log(`   ⏱️  Sessions: http://localhost:${PORT}/api/sessions/*`);
   console.log(`   📦 Inventory: http://localhost:${PORT}/api/inventory/*`);
   console.log(`   📊 Analytics: http://localhost:${PORT}/api/analytics/*`); // ← NEW endpoint
+  console.log(`   📅 Bookings: http://localhost:${PORT}/api/bookings/*`);
+  console.log(`   🏷️ Promotions: http://localhost:${PORT}/api/promotions/*`);
+  console.log(`   📒 Credit Ledger: http://localhost:${PORT}/api/credit/*`);
+  console.log(`   👥 Customers: http://localhost:${PORT}/api/customers/*`);
+  console.log(`   🎫 Memberships: http://localhost:${PORT}/api/memberships/*`);
+  console.log(`   🎱 Matches: http://localhost:${PORT}/api/matches/*`);
+  console.log(`   🏆 Tournaments: http://localhost:${PORT}/api/tournaments/*`);
+  console.log(`   📊 Leagues: http://localhost:${PORT}/api/leagues/*`);
+  console.log(`   ⏳ Waitlist: http://localhost:${PORT}/api/waitlist/*`);
+  console.log(`   👷 Staff: http://localhost:${PORT}/api/staff/*`);
+  console.log(`   💵 Shifts: http://localhost:${PORT}/api/shifts/*`);
+  console.log(`   📜 Audit Log: http://localhost:${PORT}/api/audit/*`);
+  console.log(`   🕐 Attendance & Payroll: http://localhost:${PORT}/api/attendance/*`);
+  console.log(`   🔏 Approvals: http://localhost:${PORT}/api/approvals/*`);
   
   if (process.env.NODE_ENV === 'development') {
     console.log(`\n🧪 Development Tools:`);
@@ -454,4 +615,5 @@ app.listen(PORT, () => {
   
   // Run initial session cleanup
   setTimeout(cleanupExpiredSessions, 5000);
+  setTimeout(expireNoShowBookings, 5000);
 });
\ No newline at end of file
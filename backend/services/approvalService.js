@@ -0,0 +1,166 @@
+// Manager approval for sensitive counter actions.
+//
+// A house lists the actions that need approval. Owners and managers do them on
+// their own authority; anyone else sends a single-use approval token with the
+// request. The token comes from a manager entering their PIN on the same
+// device, or from a remote request a manager approves from their own device.
+// Tokens are bound to the house, the action and (usually) the record and
+// expire after a few minutes. A token is claimed when the gated request reaches
+// the controller and handed back if the action fails, so it is only used up by
+// an action that goes through.
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const Approval = require('../models/Approval');
+
+const APPROVAL_TOKEN_HEADER = 'X-Approval-Token';
+
+// Action -> description shown to staff
+const APPROVAL_ACTIONS = {
+  'session.cancel': 'Cancel a session',
+  'session.cancel_with_items': 'Cancel a session that has items on it',
+  'session.remove_item': 'Remove an item from a session',
+  'inventory.stock_set': 'Set a product\'s stock to an exact count'
+};
+
+const DEFAULT_APPROVAL_ACTIONS = ['session.cancel_with_items', 'session.remove_item', 'inventory.stock_set'];
+
+// How long a remote request waits for a manager
+const REQUEST_EXPIRY_MINUTES = 10;
+
+// Wrong PINs before the approver's PIN is locked, and for how long
+const MAX_PIN_ATTEMPTS = 5;
+const PIN_LOCK_MINUTES = 15;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Whether a house requires approval for an action
+function isApprovalRequired(snookerHouse, action) {
+  const settings = snookerHouse.approvalSettings;
+  return !!settings?.enabled && (settings.actions || []).includes(action);
+}
+
+// Minutes an approved token stays usable
+function getTokenMinutes(snookerHouse) {
+  return snookerHouse.approvalSettings?.tokenMinutes || 5;
+}
+
+// Set a user's approval PIN (stored hashed; does not save)
+async function setPin(user, pin) {
+  const salt = await bcrypt.genSalt(10);
+  user.approvalPin = await bcrypt.hash(pin, salt);
+  user.approvalPinAttempts = 0;
+  user.approvalPinLockedUntil = null;
+  return user;
+}
+
+// Check an approver's PIN, locking it after repeated failures (returns { valid, message })
+async function verifyPin(user, pin) {
+  if (!user.approvalPin) {
+    return { valid: false, message: 'This approver has not set an approval PIN' };
+  }
+
+  if (user.approvalPinLockedUntil && user.approvalPinLockedUntil > new Date()) {
+    return { valid: false, message: 'Too many wrong PINs. Try again later or approve remotely.' };
+  }
+
+  const valid = await bcrypt.compare(pin, user.approvalPin);
+  if (valid) {
+    if (user.approvalPinAttempts > 0) {
+      user.approvalPinAttempts = 0;
+      user.approvalPinLockedUntil = null;
+      await user.save();
+    }
+    return { valid: true };
+  }
+
+  user.approvalPinAttempts = (user.approvalPinAttempts || 0) + 1;
+  if (user.approvalPinAttempts >= MAX_PIN_ATTEMPTS) {
+    user.approvalPinAttempts = 0;
+    user.approvalPinLockedUntil = new Date(Date.now() + PIN_LOCK_MINUTES * 60 * 1000);
+  }
+  await user.save();
+
+  return { valid: false, message: 'Incorrect PIN' };
+}
+
+// Create an approval (pending, or already approved for a PIN) and its token (does not save)
+function createApproval(req, { action, targetId = null, reason = '', method, approver = null }) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = Date.now();
+  const snookerHouse = req.snookerHouse;
+
+  const approval = new Approval({
+    snookerHouse: snookerHouse._id,
+    owner: snookerHouse.owner,
+    action,
+    targetId,
+    reason,
+    method,
+    requestedBy: req.user.id,
+    requestedByName: `${req.user.firstName || ''} ${req.user.lastName || ''}`.trim(),
+    requestedBySession: req.session?.id || null,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(now + REQUEST_EXPIRY_MINUTES * 60 * 1000)
+  });
+
+  if (approver) {
+    approveRequest(approval, snookerHouse, approver);
+  }
+
+  return { approval, token };
+}
+
+// Mark an approval as approved (does not save)
+// approver: { user, name, role, sessionId, note }
+function approveRequest(approval, snookerHouse, approver) {
+  approval.status = 'approved';
+  approval.approvedBy = approver.user;
+  approval.approverName = approver.name;
+  approval.approverRole = approver.role;
+  approval.decidedAt = new Date();
+  approval.decidedBySession = approver.sessionId || null;
+  approval.decisionNote = approver.note || '';
+  approval.expiresAt = new Date(Date.now() + getTokenMinutes(snookerHouse) * 60 * 1000);
+  return approval;
+}
+
+// Use up an approval token for an action (null if it isn't valid for it)
+function consumeApprovalToken(token, { snookerHouseId, action, targetId = null, usedBySession = null }) {
+  const query = {
+    tokenHash: hashToken(token),
+    snookerHouse: snookerHouseId,
+    action,
+    status: 'approved',
+    expiresAt: { $gt: new Date() }
+  };
+  // Tokens for a specific record only work on that record
+  query.targetId = targetId ? { $in: [targetId, null] } : null;
+
+  return Approval.findOneAndUpdate(
+    query,
+    { $set: { status: 'used', usedAt: new Date(), usedBySession } },
+    { new: true }
+  );
+}
+
+// Hand back a token claimed by a request whose action failed (usable again until it expires)
+function releaseApprovalToken(approval) {
+  return Approval.updateOne(
+    { _id: approval._id, status: 'used' },
+    { $set: { status: 'approved', usedAt: null, usedBySession: null } }
+  );
+}
+
+module.exports = {
+  APPROVAL_TOKEN_HEADER,
+  APPROVAL_ACTIONS,
+  DEFAULT_APPROVAL_ACTIONS,
+  isApprovalRequired,
+  setPin,
+  verifyPin,
+  createApproval,
+  approveRequest,
+  consumeApprovalToken,
+  releaseApprovalToken
+};
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const Approval = require('../models/Approval');
+const {
+  isApprovalRequired,
+  setPin,
+  verifyPin,
+  createApproval,
+  consumeApprovalToken,
+  releaseApprovalToken
+} = require('./approvalService');
+
+describe('isApprovalRequired', () => {
+  it('only gates the actions a house has switched on', () => {
+    const house = { approvalSettings: { enabled: true, actions: ['session.remove_item'] } };
+
+    expect(isApprovalRequired(house, 'session.remove_item')).toBe(true);
+    expect(isApprovalRequired(house, 'session.cancel')).toBe(false);
+    expect(isApprovalRequired({ approvalSettings: { ...house.approvalSettings, enabled: false } }, 'session.remove_item')).toBe(false);
+    expect(isApprovalRequired({}, 'session.remove_item')).toBe(false);
+  });
+});
+
+describe('verifyPin', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = { save: jest.fn().mockResolvedValue() };
+    await setPin(user, '4321');
+  });
+
+  it('accepts the right PIN and clears earlier failures', async () => {
+    user.approvalPinAttempts = 2;
+
+    await expect(verifyPin(user, '4321')).resolves.toEqual({ valid: true });
+    expect(user.approvalPinAttempts).toBe(0);
+  });
+
+  it('locks the PIN after five wrong attempts', async () => {
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+      await expect(verifyPin(user, '0000')).resolves.toEqual({ valid: false, message: 'Incorrect PIN' });
+    }
+
+    expect(user.approvalPinLockedUntil).toBeInstanceOf(Date);
+    await expect(verifyPin(user, '4321')).resolves.toMatchObject({ valid: false, message: expect.stringMatching('Too many wrong PINs') });
+  });
+});
+
+describe('approval tokens', () => {
+  const snookerHouse = {
+    _id: new mongoose.Types.ObjectId(),
+    owner: new mongoose.Types.ObjectId(),
+    approvalSettings: { tokenMinutes: 3 }
+  };
+  const req = { snookerHouse, user: { id: new mongoose.Types.ObjectId(), firstName: 'Bikram' }, session: { id: 'login-1' } };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('issues an approved token for a PIN approval that expires with the house setting', () => {
+    const before = Date.now();
+
+    const { approval, token } = createApproval(req, {
+      action: 'session.remove_item',
+      method: 'pin',
+      approver: { user: snookerHouse.owner, name: 'Asha', role: 'owner' }
+    });
+
+    expect(token).toMatch(/^[0-9a-f]{64}$/);
+    expect(approval.tokenHash).not.toBe(token);
+    expect(approval.status).toBe('approved');
+    expect(approval.expiresAt.getTime() - before).toBeGreaterThanOrEqual(3 * 60 * 1000);
+    expect(approval.expiresAt.getTime() - before).toBeLessThan(4 * 60 * 1000);
+  });
+
+  it('claims a token only for its house, action and record', async () => {
+    const claim = jest.spyOn(Approval, 'findOneAndUpdate').mockResolvedValue(null);
+    const { approval, token } = createApproval(req, { action: 'session.cancel', method: 'remote' });
+    const sessionId = new mongoose.Types.ObjectId().toString();
+
+    await consumeApprovalToken(token, { snookerHouseId: snookerHouse._id, action: 'session.cancel', targetId: sessionId });
+
+    const [query, update] = claim.mock.calls[0];
+    expect(query).toMatchObject({
+      tokenHash: approval.tokenHash,
+      snookerHouse: snookerHouse._id,
+      action: 'session.cancel',
+      status: 'approved',
+      targetId: { $in: [sessionId, null] }
+    });
+    expect(update.$set.status).toBe('used');
+  });
+
+  it('hands back only a token that was used', async () => {
+    const release = jest.spyOn(Approval, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const approval = { _id: new mongoose.Types.ObjectId() };
+
+    await releaseApprovalToken(approval);
+
+    expect(release).toHaveBeenCalledWith(
+      { _id: approval._id, status: 'used' },
+      { $set: { status: 'approved', usedAt: null, usedBySession: null } }
+    );
+  });
+});
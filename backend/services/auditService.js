@@ -0,0 +1,165 @@
+// Append-only audit log of business changes.
+//
+// Controllers take a snapshot of a record before changing it and record an
+// event after saving, with the acting user, their device and the fields that
+// changed. Writing the audit event never fails the request: errors are logged
+// and the change itself stands. An optional reason comes from the request body
+// or the X-Audit-Reason header, and a manager approval the request carried
+// (req.approval) is recorded with the event.
+
+const AuditEvent = require('../models/AuditEvent');
+
+const AUDIT_REASON_HEADER = 'X-Audit-Reason';
+
+const idOf = (value) => (value?._id || value || null)?.toString() || null;
+
+// Plain JSON copy so Dates, ObjectIds and subdocuments compare by value
+const plain = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+const pick = (doc, fields) => fields.reduce((snapshot, field) => {
+  snapshot[field] = plain(doc[field]);
+  return snapshot;
+}, {});
+
+// Audited fields per record type (arrays are summarised to keep events readable)
+const SNAPSHOTS = {
+  session: (session) => ({
+    ...pick(session, [
+      'status', 'customerName', 'customerPhone', 'startTime', 'endTime', 'totalPausedTime',
+      'frames', 'kittis', 'gameCost', 'totalItemsRevenue', 'totalDiscount', 'totalTax',
+      'totalCost', 'paymentStatus', 'totalPaidAmount', 'remainingAmount', 'totalRefunded', 'notes'
+    ]),
+    table: idOf(session.table),
+    items: session.items.map(item => `${item.productName} x${item.quantity}`),
+    players: session.players.map(player => player.name),
+    frameLog: session.frameLog.map((game, index) =>
+      `#${index + 1} ${game.type} ${game.amount}${game.voidedAt ? ' (void)' : ''}${game.correctedAt ? ' (corrected)' : ''}`),
+    discounts: session.discounts.map(line => `${line.name || line.type} ${line.amount}`),
+    payments: session.payments.map(payment => `${payment.methodLabel} ${payment.amount}`),
+    refunds: session.refunds.map(refund => `${refund.methodLabel} ${refund.amount}`)
+  }),
+
+  product: (product) => pick(product, [
+    'name', 'barcode', 'category', 'costPrice', 'sellingPrice', 'currentStock',
+    'minStockLevel', 'unit', 'status', 'description'
+  ]),
+
+  table: (table) => pick(table, [
+    'tableNumber', 'name', 'status', 'tableType', 'pricingMethod', 'hourlyRate',
+    'frameRate', 'kittiRate', 'pricingRules', 'description'
+  ]),
+
+  snooker_house: (snookerHouse) => pick(snookerHouse, [
+    'name', 'address', 'profilePicture', 'taxSettings', 'loyaltySettings', 'payrollSettings', 'approvalSettings'
+  ])
+};
+
+const LABELS = {
+  session: (session) => `${session.customerName || 'Walk-in'} (${session.table?.name || idOf(session.table)})`,
+  product: (product) => product.name,
+  table: (table) => table.name,
+  snooker_house: (snookerHouse) => snookerHouse.name
+};
+
+// Snapshot of the audited fields of a record (null for a record that doesn't exist yet)
+function snapshot(entityType, doc) {
+  return doc ? SNAPSHOTS[entityType](doc) : null;
+}
+
+// Fields that differ between two snapshots
+function diff(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  return [...fields]
+    .map(field => ({
+      field,
+      before: before ? before[field] ?? null : null,
+      after: after ? after[field] ?? null : null
+    }))
+    .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+}
+
+// Write an audit event for a change made by the request (never throws)
+// options: { entityType, entity, action, before, after, reason, snookerHouse }
+async function recordAuditEvent(req, options) {
+  try {
+    const { entityType, entity, action, before = null, reason } = options;
+    const after = options.after !== undefined ? options.after : snapshot(entityType, entity);
+    const snookerHouse = options.snookerHouse || req.snookerHouse;
+
+    const event = new AuditEvent({
+      snookerHouse: snookerHouse._id,
+      owner: snookerHouse.owner,
+      entityType,
+      entityId: entity._id,
+      entityLabel: LABELS[entityType](entity) || '',
+      action,
+      actor: {
+        user: req.user?.id || null,
+        name: `${req.user?.firstName || ''} ${req.user?.lastName || ''}`.trim(),
+        email: req.user?.email || '',
+        role: req.staffRole || null
+      },
+      sessionId: req.session?.id || null,
+      deviceInfo: req.session?.deviceInfo || {},
+      changes: diff(before, after),
+      approval: req.approval
+        ? {
+          id: req.approval._id,
+          approvedBy: req.approval.approvedBy,
+          approverName: req.approval.approverName,
+          method: req.approval.method
+        }
+        : undefined,
+      reason: (reason || req.body?.reason || req.get?.(AUDIT_REASON_HEADER) || '').toString().slice(0, 500)
+    });
+
+    await event.save();
+    return event;
+  } catch (error) {
+    console.error('❌ Audit event failed:', { action: options.action, error: error.message });
+    return null;
+  }
+}
+
+// Flatten audit events into CSV rows (one row per changed field)
+function toCsvRows(events) {
+  const rows = [];
+  const value = (field) => (field === null || field === undefined ? '' : typeof field === 'object' ? JSON.stringify(field) : field);
+
+  events.forEach(event => {
+    const base = {
+      date: event.createdAt.toISOString(),
+      action: event.action,
+      entityType: event.entityType,
+      entityId: event.entityId.toString(),
+      entityLabel: event.entityLabel,
+      actorName: event.actor.name,
+      actorEmail: event.actor.email,
+      actorRole: event.actor.role || '',
+      ip: event.deviceInfo?.ip || '',
+      device: [event.deviceInfo?.browser, event.deviceInfo?.os].filter(Boolean).join(' / '),
+      reason: event.reason,
+      approvedBy: event.approval?.approverName || ''
+    };
+
+    if (event.changes.length === 0) {
+      rows.push({ ...base, field: '', before: '', after: '' });
+      return;
+    }
+
+    event.changes.forEach(change => {
+      rows.push({ ...base, field: change.field, before: value(change.before), after: value(change.after) });
+    });
+  });
+
+  return rows;
+}
+
+module.exports = {
+  AUDIT_REASON_HEADER,
+  snapshot,
+  diff,
+  recordAuditEvent,
+  toCsvRows
+};
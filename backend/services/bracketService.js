@@ -0,0 +1,214 @@
+// Fixture generation and standings for tournaments and leagues.
+//
+// Single elimination uses a standard seeded bracket padded to a power of two;
+// top seeds get the byes and can only meet in later rounds. Every fixture knows
+// which fixture and slot its winner goes to. Round robin uses the circle method
+// so each entrant plays once per round, with an optional return leg.
+
+const mongoose = require('mongoose');
+
+// Bracket positions for seeds 1..size (1 and 2 can only meet in the final)
+function getSeedPositions(size) {
+  let positions = [1];
+  while (positions.length < size) {
+    const round = positions.length * 2 + 1;
+    positions = positions.flatMap(seed => [seed, round - seed]);
+  }
+  return positions;
+}
+
+// Entrants in seed order: seeded first, then by registration
+function orderBySeed(entrants) {
+  return [...entrants].sort((a, b) => {
+    const seedA = a.seed || Number.MAX_SAFE_INTEGER;
+    const seedB = b.seed || Number.MAX_SAFE_INTEGER;
+    if (seedA !== seedB) return seedA - seedB;
+    return new Date(a.registeredAt) - new Date(b.registeredAt);
+  });
+}
+
+// Name of a knockout round
+function getRoundName(round, totalRounds) {
+  const fromEnd = totalRounds - round;
+  if (fromEnd === 0) return 'Final';
+  if (fromEnd === 1) return 'Semi-final';
+  if (fromEnd === 2) return 'Quarter-final';
+  return `Round of ${Math.pow(2, fromEnd + 1)}`;
+}
+
+// Single elimination bracket (returns fixtures with their own _ids)
+function generateSingleElimination(entrants) {
+  if (entrants.length < 2) {
+    throw new Error('At least two entrants are needed for a bracket');
+  }
+
+  const ordered = orderBySeed(entrants);
+  const size = Math.pow(2, Math.ceil(Math.log2(ordered.length)));
+  const totalRounds = Math.log2(size);
+  const positions = getSeedPositions(size);
+
+  // Build rounds from the final backwards so each fixture can point at the next
+  const rounds = [];
+  for (let round = totalRounds; round >= 1; round--) {
+    const count = size / Math.pow(2, round);
+    rounds[round] = Array.from({ length: count }, (_, slot) => ({
+      _id: new mongoose.Types.ObjectId(),
+      round,
+      roundName: getRoundName(round, totalRounds),
+      slot,
+      home: null,
+      away: null,
+      isBye: false,
+      status: 'pending',
+      nextFixture: round < totalRounds ? rounds[round + 1][Math.floor(slot / 2)]._id : null,
+      nextSlot: round < totalRounds ? (slot % 2 === 0 ? 'home' : 'away') : null
+    }));
+  }
+
+  // Seat entrants in the first round; missing opponents are byes
+  rounds[1].forEach((fixture, slot) => {
+    const home = ordered[positions[slot * 2] - 1];
+    const away = ordered[positions[slot * 2 + 1] - 1];
+    fixture.home = home ? home._id : null;
+    fixture.away = away ? away._id : null;
+
+    if (!home || !away) {
+      fixture.isBye = true;
+      fixture.status = 'walkover';
+      fixture.winner = (home || away)._id;
+    }
+  });
+
+  const fixtures = rounds.slice(1).flat();
+  rounds[1].filter(fixture => fixture.isBye).forEach(fixture => advanceWinner(fixtures, fixture));
+
+  return fixtures;
+}
+
+// Round robin fixtures (legs = 2 plays everyone home and away)
+function generateRoundRobin(entrants, legs = 1) {
+  if (entrants.length < 2) {
+    throw new Error('At least two entrants are needed for fixtures');
+  }
+
+  const ids = entrants.map(entrant => entrant._id);
+  if (ids.length % 2 === 1) ids.push(null);
+
+  const roundsPerLeg = ids.length - 1;
+  const half = ids.length / 2;
+  const fixtures = [];
+  let rotation = [...ids];
+
+  for (let round = 1; round <= roundsPerLeg; round++) {
+    for (let slot = 0; slot < half; slot++) {
+      const home = rotation[slot];
+      const away = rotation[ids.length - 1 - slot];
+      if (!home || !away) continue;
+
+      // Alternate home/away for the fixed entrant so nobody is always home
+      const swap = slot === 0 && round % 2 === 0;
+      fixtures.push({
+        _id: new mongoose.Types.ObjectId(),
+        round,
+        roundName: `Round ${round}`,
+        slot,
+        home: swap ? away : home,
+        away: swap ? home : away,
+        isBye: false,
+        status: 'pending'
+      });
+    }
+
+    // Keep the first entrant fixed and rotate the rest
+    rotation = [rotation[0], rotation[rotation.length - 1], ...rotation.slice(1, -1)];
+  }
+
+  if (legs === 2) {
+    const firstLeg = [...fixtures];
+    for (const fixture of firstLeg) {
+      fixtures.push({
+        ...fixture,
+        _id: new mongoose.Types.ObjectId(),
+        round: fixture.round + roundsPerLeg,
+        roundName: `Round ${fixture.round + roundsPerLeg}`,
+        home: fixture.away,
+        away: fixture.home
+      });
+    }
+  }
+
+  return fixtures;
+}
+
+// Put a fixture's winner into the slot it feeds (knockout only)
+function advanceWinner(fixtures, fixture) {
+  if (!fixture.nextFixture || !fixture.winner) return null;
+
+  const next = fixtures.find(candidate => candidate._id.toString() === fixture.nextFixture.toString());
+  if (!next) return null;
+
+  next[fixture.nextSlot] = fixture.winner;
+  return next;
+}
+
+// League-style table from completed fixtures
+function computeStandings(entrants, fixtures, { pointsForWin = 2, pointsForLoss = 0 } = {}) {
+  const rows = new Map(entrants.map(entrant => [entrant._id.toString(), {
+    entrantId: entrant._id,
+    name: entrant.name,
+    status: entrant.status,
+    played: 0,
+    won: 0,
+    lost: 0,
+    framesFor: 0,
+    framesAgainst: 0,
+    frameDifference: 0,
+    highestBreak: 0,
+    points: 0
+  }]));
+
+  for (const fixture of fixtures) {
+    if (fixture.status !== 'completed' || fixture.isBye) continue;
+
+    const home = rows.get(fixture.home?.toString());
+    const away = rows.get(fixture.away?.toString());
+    if (!home || !away) continue;
+
+    const homeWon = fixture.winner?.toString() === fixture.home.toString();
+    [[home, fixture.homeFrames, fixture.awayFrames, homeWon], [away, fixture.awayFrames, fixture.homeFrames, !homeWon]]
+      .forEach(([row, framesFor, framesAgainst, won]) => {
+        row.played += 1;
+        row.won += won ? 1 : 0;
+        row.lost += won ? 0 : 1;
+        row.framesFor += framesFor || 0;
+        row.framesAgainst += framesAgainst || 0;
+        row.points += won ? pointsForWin : pointsForLoss;
+      });
+
+    home.highestBreak = Math.max(home.highestBreak, fixture.homeHighestBreak || 0);
+    away.highestBreak = Math.max(away.highestBreak, fixture.awayHighestBreak || 0);
+  }
+
+  const standings = [...rows.values()].map(row => ({
+    ...row,
+    frameDifference: row.framesFor - row.framesAgainst
+  }));
+
+  standings.sort((a, b) =>
+    b.points - a.points ||
+    b.frameDifference - a.frameDifference ||
+    b.framesFor - a.framesFor ||
+    a.name.localeCompare(b.name)
+  );
+
+  return standings.map((row, index) => ({ position: index + 1, ...row }));
+}
+
+module.exports = {
+  getSeedPositions,
+  getRoundName,
+  generateSingleElimination,
+  generateRoundRobin,
+  advanceWinner,
+  computeStandings
+};
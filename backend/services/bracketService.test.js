@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const {
+  getSeedPositions,
+  getRoundName,
+  generateSingleElimination,
+  generateRoundRobin,
+  advanceWinner,
+  computeStandings
+} = require('./bracketService');
+
+const makeEntrants = (count) => Array.from({ length: count }, (_, index) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: `Player ${index + 1}`,
+  seed: index + 1,
+  registeredAt: new Date(2026, 0, 1, 10, index)
+}));
+
+const pairKey = (a, b) => [a.toString(), b.toString()].sort().join(':');
+
+describe('getSeedPositions', () => {
+  it('keeps the top two seeds apart until the final', () => {
+    expect(getSeedPositions(8)).toEqual([1, 8, 4, 5, 2, 7, 3, 6]);
+  });
+});
+
+describe('getRoundName', () => {
+  it('names rounds from the final backwards', () => {
+    expect([1, 2, 3, 4].map(round => getRoundName(round, 4))).toEqual([
+      'Round of 16', 'Quarter-final', 'Semi-final', 'Final'
+    ]);
+  });
+});
+
+describe('generateSingleElimination', () => {
+  it('pads to a power of two and gives the byes to the top seeds', () => {
+    const entrants = makeEntrants(6);
+    const fixtures = generateSingleElimination(entrants);
+    const firstRound = fixtures.filter(fixture => fixture.round === 1);
+    const byes = firstRound.filter(fixture => fixture.isBye);
+
+    expect(fixtures).toHaveLength(7);
+    expect(firstRound).toHaveLength(4);
+    expect(byes.map(fixture => fixture.winner)).toEqual(
+      expect.arrayContaining([entrants[0]._id, entrants[1]._id])
+    );
+    expect(byes).toHaveLength(2);
+    byes.forEach(fixture => expect(fixture.status).toBe('walkover'));
+  });
+
+  it('moves bye winners straight into the next round', () => {
+    const entrants = makeEntrants(3);
+    const fixtures = generateSingleElimination(entrants);
+    const final = fixtures.find(fixture => fixture.roundName === 'Final');
+
+    // Seed 1 has the bye on the home side of the final
+    expect(final.home).toEqual(entrants[0]._id);
+    expect(final.away).toBeNull();
+  });
+
+  it('links every fixture to the slot its winner fills', () => {
+    const fixtures = generateSingleElimination(makeEntrants(8));
+    const [first, second] = fixtures.filter(fixture => fixture.round === 1);
+
+    expect(first.nextFixture).toEqual(second.nextFixture);
+    expect(first.nextSlot).toBe('home');
+    expect(second.nextSlot).toBe('away');
+
+    first.winner = first.away;
+    const next = advanceWinner(fixtures, first);
+    expect(next._id).toEqual(first.nextFixture);
+    expect(next.home).toEqual(first.away);
+  });
+
+  it('needs at least two entrants', () => {
+    expect(() => generateSingleElimination(makeEntrants(1))).toThrow('At least two entrants');
+  });
+});
+
+describe('generateRoundRobin', () => {
+  it.each([4, 5])('pairs each of %i entrants once, one match per round', (count) => {
+    const entrants = makeEntrants(count);
+    const fixtures = generateRoundRobin(entrants);
+    const pairs = fixtures.map(fixture => pairKey(fixture.home, fixture.away));
+
+    expect(fixtures).toHaveLength(count * (count - 1) / 2);
+    expect(new Set(pairs).size).toBe(pairs.length);
+
+    const rounds = new Set(fixtures.map(fixture => fixture.round));
+    for (const round of rounds) {
+      const playing = fixtures
+        .filter(fixture => fixture.round === round)
+        .flatMap(fixture => [fixture.home.toString(), fixture.away.toString()]);
+      expect(new Set(playing).size).toBe(playing.length);
+    }
+  });
+
+  it('plays the return leg with home and away swapped', () => {
+    const fixtures = generateRoundRobin(makeEntrants(4), 2);
+    const firstLeg = fixtures.filter(fixture => fixture.round <= 3);
+    const secondLeg = fixtures.filter(fixture => fixture.round > 3);
+
+    expect(fixtures).toHaveLength(12);
+    expect(secondLeg.map(fixture => `${fixture.home}:${fixture.away}`).sort())
+      .toEqual(firstLeg.map(fixture => `${fixture.away}:${fixture.home}`).sort());
+  });
+});
+
+describe('computeStandings', () => {
+  it('ranks by points, then frame difference, then frames won', () => {
+    const [a, b, c] = makeEntrants(3);
+    const result = (home, away, homeFrames, awayFrames) => ({
+      home: home._id,
+      away: away._id,
+      homeFrames,
+      awayFrames,
+      winner: homeFrames > awayFrames ? home._id : away._id,
+      status: 'completed'
+    });
+
+    const standings = computeStandings([a, b, c], [
+      result(a, b, 3, 2),
+      result(b, c, 3, 0),
+      result(c, a, 3, 1)
+    ]);
+
+    expect(standings.map(row => [row.name, row.points, row.frameDifference])).toEqual([
+      ['Player 2', 2, 2],
+      ['Player 1', 2, -1],
+      ['Player 3', 2, -1]
+    ]);
+  });
+});
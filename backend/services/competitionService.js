@@ -0,0 +1,360 @@
+// Table bookings, results and money for tournaments and leagues.
+//
+// Scheduling a fixture books its table like any reservation, so walk-ins are
+// held off and the session can be started from the booking. Results come from
+// the linked session: a completed scored match on it gives the frame score,
+// otherwise the score is entered by hand. Entry fees can be taken from a
+// customer's wallet and count as house income (cash ones go in the drawer);
+// prize payouts are recorded as house expenses. Fees and prizes are claimed on
+// the stored competition before any money moves, so two requests can't both
+// take the same fee or pay the same prize.
+
+const Booking = require('../models/Booking');
+const Tournament = require('../models/Tournament');
+const League = require('../models/League');
+const Table = require('../models/Table');
+const Session = require('../models/Session');
+const Match = require('../models/Match');
+const Expense = require('../models/Expense');
+const WalletTransaction = require('../models/WalletTransaction');
+const { advanceWinner } = require('./bracketService');
+
+// Book a fixture's table (returns { scheduled, reason, conflicts })
+async function scheduleFixture(competition, fixture, { tableId, scheduledAt, durationMinutes = 60 }, { createdBySession } = {}) {
+  if (!fixture.home || !fixture.away) {
+    return { scheduled: false, reason: 'Both players must be known before the fixture can be scheduled' };
+  }
+  if (['completed', 'walkover'].includes(fixture.status)) {
+    return { scheduled: false, reason: 'Fixture has already been played' };
+  }
+
+  const table = await Table.findById(tableId);
+  if (!table || table.snookerHouse.toString() !== competition.snookerHouse.toString()) {
+    return { scheduled: false, reason: 'Table not found in this snooker house' };
+  }
+  if (table.status !== 'active') {
+    return { scheduled: false, reason: 'Table is not available for booking' };
+  }
+
+  const start = new Date(scheduledAt);
+  const end = new Date(start.getTime() + durationMinutes * 60 * 1000);
+
+  const conflicts = await Booking.findOverlapping(table._id, start, end, fixture.booking);
+  if (conflicts.length > 0) {
+    return {
+      scheduled: false,
+      reason: 'Table is already booked for this time',
+      conflicts: conflicts.map(booking => ({
+        bookingId: booking._id,
+        customerName: booking.customerName,
+        startTime: booking.startTime,
+        endTime: booking.endTime
+      }))
+    };
+  }
+
+  const home = competition.entrants.id(fixture.home);
+  const away = competition.entrants.id(fixture.away);
+  const booking = await Booking.create({
+    table: table._id,
+    snookerHouse: competition.snookerHouse,
+    owner: competition.owner,
+    customerName: `${home.name} vs ${away.name}`.slice(0, 100),
+    customerPhone: home.phone || away.phone || '',
+    partySize: 2,
+    startTime: start,
+    endTime: end,
+    notes: `${competition.name} - ${fixture.roundName}`.slice(0, 300),
+    createdBySession
+  });
+
+  // The old slot is only released once the fixture is saved (see cancelFixtureBooking)
+  const previousBooking = fixture.booking;
+
+  fixture.table = table._id;
+  fixture.scheduledAt = start;
+  fixture.durationMinutes = durationMinutes;
+  fixture.booking = booking._id;
+  fixture.status = 'scheduled';
+
+  return { scheduled: true, booking, previousBooking };
+}
+
+// Cancel a fixture's booking that is no longer needed (rescheduled, or the fixture failed to save)
+function cancelFixtureBooking(bookingId, reason) {
+  return Booking.updateOne(
+    { _id: bookingId, status: 'confirmed' },
+    { status: 'cancelled', cancelledAt: new Date(), cancellationReason: reason }
+  );
+}
+
+// Work out a fixture's score from its session (returns { resolved, reason, ... })
+async function resolveFixtureResult(competition, fixture, { sessionId, homeFrames, awayFrames }) {
+  // The session seated from the fixture's booking, unless one is named
+  let session = null;
+  if (sessionId) {
+    session = await Session.findById(sessionId);
+  } else if (fixture.booking) {
+    session = await Session.findOne({ booking: fixture.booking });
+  }
+
+  if (!session) {
+    return { resolved: false, reason: 'No session linked to this fixture. Start the session from its booking or pass a session ID.' };
+  }
+  if (session.snookerHouse.toString() !== competition.snookerHouse.toString()) {
+    return { resolved: false, reason: 'Session belongs to another snooker house' };
+  }
+  if (session.status === 'cancelled') {
+    return { resolved: false, reason: 'Linked session was cancelled' };
+  }
+
+  // One session is one match, so it can only settle one fixture
+  const otherFixture = { fixtures: { $elemMatch: { session: session._id, _id: { $ne: fixture._id } } } };
+  const [inTournament, inLeague] = await Promise.all([
+    Tournament.exists(otherFixture),
+    League.exists(otherFixture)
+  ]);
+  if (inTournament || inLeague) {
+    return { resolved: false, reason: 'Session is already the result of another fixture' };
+  }
+
+  const homeName = competition.getEntrantName(fixture.home);
+  const awayName = competition.getEntrantName(fixture.away);
+  const match = await Match.findOne({ session: session._id, status: 'completed' }).sort({ completedAt: -1 });
+  if (match) {
+    // Match players are matched to entrants by name, in either order
+    const sameName = (a, b) => (a || '').trim().toLowerCase() === (b || '').trim().toLowerCase();
+    const [first, second] = match.players;
+    let homeIndex = -1;
+    if (sameName(first.name, homeName) && sameName(second.name, awayName)) homeIndex = 0;
+    if (sameName(second.name, homeName) && sameName(first.name, awayName)) homeIndex = 1;
+    if (homeIndex === -1) {
+      return {
+        resolved: false,
+        reason: `Scored match is between ${first.name} and ${second.name}, not ${homeName} and ${awayName}. Enter the frame score.`
+      };
+    }
+
+    return {
+      resolved: true,
+      session,
+      match,
+      homeFrames: match.players[homeIndex].framesWon,
+      awayFrames: match.players[1 - homeIndex].framesWon,
+      homeHighestBreak: match.players[homeIndex].highestBreak,
+      awayHighestBreak: match.players[1 - homeIndex].highestBreak
+    };
+  }
+
+  if (homeFrames === undefined || awayFrames === undefined) {
+    return { resolved: false, reason: 'No completed scored match on the session. Enter the frame score.' };
+  }
+  if (homeFrames === awayFrames) {
+    return { resolved: false, reason: 'A fixture cannot end level' };
+  }
+
+  return { resolved: true, session, match: null, homeFrames, awayFrames };
+}
+
+// Write a result onto a fixture and move the competition on
+function applyFixtureResult(competition, fixture, result, at = new Date()) {
+  fixture.session = result.session._id;
+  fixture.match = result.match?._id || null;
+  fixture.homeFrames = result.homeFrames;
+  fixture.awayFrames = result.awayFrames;
+  fixture.homeHighestBreak = result.homeHighestBreak || 0;
+  fixture.awayHighestBreak = result.awayHighestBreak || 0;
+  fixture.winner = result.homeFrames > result.awayFrames ? fixture.home : fixture.away;
+  fixture.status = 'completed';
+  fixture.completedAt = at;
+
+  // Knockout: loser is out, winner takes the next slot
+  if (competition.format === 'single_elimination') {
+    const loserId = fixture.winner.toString() === fixture.home.toString() ? fixture.away : fixture.home;
+    const loser = competition.entrants.id(loserId);
+    if (loser) loser.status = 'eliminated';
+    advanceWinner(competition.fixtures, fixture);
+  }
+
+  competition.checkCompletion(at);
+}
+
+// Atomically flip a stored entrant's fee between unpaid and paid (false when it already was)
+async function setStoredFee(competition, entrant, feePaid, { paymentMethod = null, paidAt = null } = {}) {
+  // A newly registered entrant isn't stored yet, so no other request can reach it
+  if (entrant.isNew) return true;
+
+  const result = await competition.constructor.updateOne(
+    { _id: competition._id, entrants: { $elemMatch: { _id: entrant._id, feePaid: !feePaid } } },
+    {
+      $set: {
+        'entrants.$.feePaid': feePaid,
+        'entrants.$.paymentMethod': paymentMethod,
+        'entrants.$.paidAt': paidAt
+      }
+    }
+  );
+  return result.modifiedCount > 0;
+}
+
+// Take an entrant's fee (returns { paid, reason })
+async function collectEntryFee(competition, entrant, { paymentMethod, createdBySession }) {
+  if (entrant.feePaid) {
+    return { paid: false, reason: 'Entry fee already paid' };
+  }
+  if (paymentMethod === 'wallet' && !entrant.customer) {
+    return { paid: false, reason: 'Only registered customers can pay from a wallet' };
+  }
+
+  const paidAt = new Date();
+  if (!await setStoredFee(competition, entrant, true, { paymentMethod, paidAt })) {
+    return { paid: false, reason: 'Entry fee already paid' };
+  }
+
+  if (paymentMethod === 'wallet') {
+    const result = await WalletTransaction.post(competition.snookerHouse, entrant.customer, {
+      type: 'spend',
+      amount: -entrant.entryFee,
+      description: `${competition.name} entry fee`,
+      createdBySession
+    });
+    if (!result) {
+      await setStoredFee(competition, entrant, false);
+      return { paid: false, reason: `Insufficient wallet balance for the NPR ${entrant.entryFee} entry fee` };
+    }
+  }
+
+  entrant.feePaid = true;
+  entrant.paymentMethod = paymentMethod;
+  entrant.paidAt = paidAt;
+  return { paid: true };
+}
+
+// Undo an entrant's fee, refunding it to the wallet when it was paid from one
+// (returns { reversed, refunded }; cash and transfer fees are handed back at the counter)
+async function reverseEntryFee(competition, entrant, { createdBySession, description } = {}) {
+  if (!entrant.feePaid) {
+    return { reversed: false, refunded: false };
+  }
+  if (!await setStoredFee(competition, entrant, false)) {
+    return { reversed: false, refunded: false };
+  }
+
+  const refunded = entrant.paymentMethod === 'wallet';
+  if (refunded) {
+    await WalletTransaction.post(competition.snookerHouse, entrant.customer, {
+      type: 'refund',
+      amount: entrant.entryFee,
+      description: description || `${competition.name} entry fee refund`,
+      createdBySession
+    });
+  }
+
+  entrant.feePaid = false;
+  entrant.paymentMethod = null;
+  entrant.paidAt = null;
+  return { reversed: true, refunded };
+}
+
+// Pay prizes by finishing position and record each as an expense
+async function payPrizes(competition, kind, { paymentMethod = 'cash', createdBySession } = {}) {
+  const Model = competition.constructor;
+  const order = competition.getFinishingOrder();
+  const paid = [];
+
+  for (const prize of competition.prizes) {
+    if (prize.paidAt || prize.amount <= 0) continue;
+
+    const place = order.find(row => row.position === prize.position);
+    if (!place?.entrantId) continue;
+
+    // Claim the prize before the expense is recorded
+    const paidAt = new Date();
+    const claimed = await Model.updateOne(
+      { _id: competition._id, prizes: { $elemMatch: { position: prize.position, paidAt: null } } },
+      {
+        $set: {
+          'prizes.$.entrant': place.entrantId,
+          'prizes.$.paymentMethod': paymentMethod,
+          'prizes.$.paidAt': paidAt
+        }
+      }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    const entrantName = competition.getEntrantName(place.entrantId);
+    let expense;
+    try {
+      expense = await Expense.create({
+        snookerHouse: competition.snookerHouse,
+        owner: competition.owner,
+        category: 'prize_payout',
+        amount: prize.amount,
+        description: `${competition.name}: prize for position ${prize.position} (${entrantName})`.slice(0, 300),
+        paymentMethod,
+        expenseDate: paidAt,
+        source: { kind, id: competition._id },
+        createdBySession
+      });
+    } catch (expenseError) {
+      await Model.updateOne(
+        { _id: competition._id, 'prizes.position': prize.position },
+        { $set: { 'prizes.$.entrant': null, 'prizes.$.paymentMethod': null, 'prizes.$.paidAt': null } }
+      );
+      throw expenseError;
+    }
+    await Model.updateOne(
+      { _id: competition._id, 'prizes.position': prize.position },
+      { $set: { 'prizes.$.expense': expense._id } }
+    );
+
+    prize.entrant = place.entrantId;
+    prize.paymentMethod = paymentMethod;
+    prize.paidAt = paidAt;
+    prize.expense = expense._id;
+    paid.push({ position: prize.position, entrantName, amount: prize.amount, expenseId: expense._id });
+  }
+
+  return paid;
+}
+
+// Entry fees taken by a house's tournaments and leagues, grouped by payment method
+async function getEntryFeeTotals(snookerHouseId, dateFrom, dateTo) {
+  const pipeline = [
+    { $match: { snookerHouse: snookerHouseId, 'entrants.paidAt': { $gte: dateFrom, $lte: dateTo } } },
+    { $unwind: '$entrants' },
+    { $match: { 'entrants.feePaid': true, 'entrants.paidAt': { $gte: dateFrom, $lte: dateTo } } },
+    {
+      $group: {
+        _id: '$entrants.paymentMethod',
+        amount: { $sum: '$entrants.entryFee' },
+        count: { $sum: 1 }
+      }
+    }
+  ];
+
+  const [tournamentFees, leagueFees] = await Promise.all([
+    Tournament.aggregate(pipeline),
+    League.aggregate(pipeline)
+  ]);
+
+  const byMethod = new Map();
+  [...tournamentFees, ...leagueFees].forEach(row => {
+    const total = byMethod.get(row._id) || { _id: row._id, amount: 0, count: 0 };
+    total.amount += row.amount;
+    total.count += row.count;
+    byMethod.set(row._id, total);
+  });
+  return [...byMethod.values()];
+}
+
+module.exports = {
+  scheduleFixture,
+  cancelFixtureBooking,
+  resolveFixtureResult,
+  applyFixtureResult,
+  collectEntryFee,
+  reverseEntryFee,
+  payPrizes,
+  getEntryFeeTotals
+};
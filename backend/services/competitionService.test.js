@@ -0,0 +1,260 @@
+const mongoose = require('mongoose');
+const Tournament = require('../models/Tournament');
+const Session = require('../models/Session');
+const Match = require('../models/Match');
+const League = require('../models/League');
+const Booking = require('../models/Booking');
+const Table = require('../models/Table');
+const Expense = require('../models/Expense');
+const WalletTransaction = require('../models/WalletTransaction');
+const {
+  scheduleFixture,
+  resolveFixtureResult,
+  collectEntryFee,
+  reverseEntryFee,
+  payPrizes
+} = require('./competitionService');
+
+describe('resolveFixtureResult', () => {
+  const snookerHouse = new mongoose.Types.ObjectId();
+  let competition;
+  let fixture;
+  let session;
+
+  const scoredMatch = (players) => {
+    jest.spyOn(Match, 'findOne').mockReturnValue({ sort: () => Promise.resolve({ players }) });
+  };
+
+  beforeEach(() => {
+    competition = new Tournament({
+      snookerHouse,
+      owner: new mongoose.Types.ObjectId(),
+      name: 'Winter Cup',
+      entrants: [{ name: 'Asha' }, { name: 'Bikram' }]
+    });
+    const [home, away] = competition.entrants;
+    fixture = { home: home._id, away: away._id, booking: null };
+
+    session = { _id: new mongoose.Types.ObjectId(), snookerHouse, status: 'completed' };
+    jest.spyOn(Session, 'findById').mockResolvedValue(session);
+    jest.spyOn(Tournament, 'exists').mockResolvedValue(null);
+    jest.spyOn(League, 'exists').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reads the score from the scored match with the players in either order', async () => {
+    scoredMatch([
+      { name: 'bikram', framesWon: 1, highestBreak: 22 },
+      { name: 'Asha', framesWon: 3, highestBreak: 41 }
+    ]);
+
+    const result = await resolveFixtureResult(competition, fixture, { sessionId: session._id });
+
+    expect(result).toMatchObject({ resolved: true, homeFrames: 3, awayFrames: 1, homeHighestBreak: 41 });
+  });
+
+  it('rejects a scored match between other players', async () => {
+    scoredMatch([
+      { name: 'Asha', framesWon: 3 },
+      { name: 'Chandra', framesWon: 1 }
+    ]);
+
+    const result = await resolveFixtureResult(competition, fixture, { sessionId: session._id });
+
+    expect(result.resolved).toBe(false);
+    expect(result.reason).toMatch('not Asha and Bikram');
+  });
+
+  it('rejects a session from another snooker house', async () => {
+    session.snookerHouse = new mongoose.Types.ObjectId();
+
+    const result = await resolveFixtureResult(competition, fixture, { sessionId: session._id });
+
+    expect(result).toEqual({ resolved: false, reason: 'Session belongs to another snooker house' });
+  });
+
+  it('rejects a session that already settled another fixture', async () => {
+    League.exists.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+    const result = await resolveFixtureResult(competition, fixture, { sessionId: session._id });
+
+    expect(result).toEqual({ resolved: false, reason: 'Session is already the result of another fixture' });
+  });
+});
+
+describe('scheduleFixture', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('keeps the old booking until the rescheduled fixture is saved', async () => {
+    const competition = new Tournament({
+      snookerHouse: new mongoose.Types.ObjectId(),
+      owner: new mongoose.Types.ObjectId(),
+      name: 'Winter Cup',
+      entrants: [{ name: 'Asha' }, { name: 'Bikram' }]
+    });
+    const [home, away] = competition.entrants;
+    const oldBooking = new mongoose.Types.ObjectId();
+    const fixture = { home: home._id, away: away._id, booking: oldBooking, status: 'scheduled' };
+    const table = { _id: new mongoose.Types.ObjectId(), snookerHouse: competition.snookerHouse, status: 'active' };
+    jest.spyOn(Table, 'findById').mockResolvedValue(table);
+    jest.spyOn(Booking, 'findOverlapping').mockResolvedValue([]);
+    jest.spyOn(Booking, 'create').mockImplementation(async (doc) => ({ _id: new mongoose.Types.ObjectId(), ...doc }));
+    const cancel = jest.spyOn(Booking, 'updateOne');
+
+    const result = await scheduleFixture(competition, fixture, { tableId: table._id, scheduledAt: new Date(2026, 0, 5, 18) });
+
+    expect(result.scheduled).toBe(true);
+    expect(result.previousBooking).toBe(oldBooking);
+    expect(fixture.booking).toBe(result.booking._id);
+    expect(cancel).not.toHaveBeenCalled();
+  });
+});
+
+describe('entry fees', () => {
+  let competition;
+  let entrant;
+
+  const storedCompetition = () => {
+    const doc = new Tournament({
+      snookerHouse: new mongoose.Types.ObjectId(),
+      owner: new mongoose.Types.ObjectId(),
+      name: 'Winter Cup',
+      entryFee: 500,
+      entrants: [{ name: 'Asha', customer: new mongoose.Types.ObjectId(), entryFee: 500 }]
+    });
+    return Tournament.hydrate(doc.toObject());
+  };
+
+  beforeEach(() => {
+    competition = storedCompetition();
+    entrant = competition.entrants[0];
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('claims the stored fee before taking it from the wallet', async () => {
+    const claim = jest.spyOn(Tournament, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const post = jest.spyOn(WalletTransaction, 'post').mockResolvedValue({ transaction: {} });
+
+    const result = await collectEntryFee(competition, entrant, { paymentMethod: 'wallet' });
+
+    expect(result).toEqual({ paid: true });
+    expect(claim.mock.calls[0][0].entrants.$elemMatch).toEqual({ _id: entrant._id, feePaid: false });
+    expect(claim.mock.invocationCallOrder[0]).toBeLessThan(post.mock.invocationCallOrder[0]);
+    expect(post).toHaveBeenCalledWith(competition.snookerHouse, entrant.customer, expect.objectContaining({ type: 'spend', amount: -500 }));
+    expect(entrant).toMatchObject({ feePaid: true, paymentMethod: 'wallet' });
+  });
+
+  it('takes nothing when another request already claimed the fee', async () => {
+    jest.spyOn(Tournament, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+    const post = jest.spyOn(WalletTransaction, 'post');
+
+    const result = await collectEntryFee(competition, entrant, { paymentMethod: 'wallet' });
+
+    expect(result).toEqual({ paid: false, reason: 'Entry fee already paid' });
+    expect(post).not.toHaveBeenCalled();
+  });
+
+  it('releases the claim when the wallet is short', async () => {
+    const update = jest.spyOn(Tournament, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(WalletTransaction, 'post').mockResolvedValue(null);
+
+    const result = await collectEntryFee(competition, entrant, { paymentMethod: 'wallet' });
+
+    expect(result.paid).toBe(false);
+    expect(update).toHaveBeenCalledTimes(2);
+    expect(update.mock.calls[1][1].$set['entrants.$.feePaid']).toBe(false);
+    expect(entrant.feePaid).toBe(false);
+  });
+
+  it('refunds a wallet fee when it is reversed', async () => {
+    entrant.set({ feePaid: true, paymentMethod: 'wallet', paidAt: new Date() });
+    jest.spyOn(Tournament, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const post = jest.spyOn(WalletTransaction, 'post').mockResolvedValue({ transaction: {} });
+
+    const result = await reverseEntryFee(competition, entrant);
+
+    expect(result).toEqual({ reversed: true, refunded: true });
+    expect(post).toHaveBeenCalledWith(competition.snookerHouse, entrant.customer, expect.objectContaining({ type: 'refund', amount: 500 }));
+    expect(entrant).toMatchObject({ feePaid: false, paymentMethod: null, paidAt: null });
+  });
+
+  it('refunds a wallet fee only once', async () => {
+    entrant.set({ feePaid: true, paymentMethod: 'wallet', paidAt: new Date() });
+    jest.spyOn(Tournament, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+    const post = jest.spyOn(WalletTransaction, 'post');
+
+    const result = await reverseEntryFee(competition, entrant);
+
+    expect(result).toEqual({ reversed: false, refunded: false });
+    expect(post).not.toHaveBeenCalled();
+  });
+
+  it('refunds a new entrant without touching the stored competition', async () => {
+    const newcomer = competition.registerEntrant({ name: 'Bikram', customer: new mongoose.Types.ObjectId() });
+    newcomer.set({ feePaid: true, paymentMethod: 'wallet', paidAt: new Date() });
+    const update = jest.spyOn(Tournament, 'updateOne');
+    jest.spyOn(WalletTransaction, 'post').mockResolvedValue({ transaction: {} });
+
+    const result = await reverseEntryFee(competition, newcomer);
+
+    expect(result.refunded).toBe(true);
+    expect(update).not.toHaveBeenCalled();
+  });
+});
+
+describe('payPrizes', () => {
+  let competition;
+
+  beforeEach(() => {
+    const doc = new Tournament({
+      snookerHouse: new mongoose.Types.ObjectId(),
+      owner: new mongoose.Types.ObjectId(),
+      name: 'Winter Cup',
+      entrants: [{ name: 'Asha' }, { name: 'Bikram' }],
+      prizes: [{ position: 1, amount: 5000 }, { position: 2, amount: 2000 }]
+    });
+    competition = Tournament.hydrate(doc.toObject());
+    const [first, second] = competition.entrants;
+    jest.spyOn(competition, 'getFinishingOrder').mockReturnValue([
+      { position: 1, entrantId: first._id },
+      { position: 2, entrantId: second._id }
+    ]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('records an expense only for prizes it managed to claim', async () => {
+    jest.spyOn(Tournament, 'updateOne').mockImplementation(async (filter) => ({
+      modifiedCount: filter.prizes?.$elemMatch.position === 2 ? 0 : 1
+    }));
+    const create = jest.spyOn(Expense, 'create').mockImplementation(async (doc) => ({ _id: new mongoose.Types.ObjectId(), ...doc }));
+
+    const paid = await payPrizes(competition, 'tournament');
+
+    expect(paid.map(({ position, amount }) => ({ position, amount }))).toEqual([{ position: 1, amount: 5000 }]);
+    expect(create).toHaveBeenCalledTimes(1);
+    expect(competition.prizes[0].paidAt).toBeInstanceOf(Date);
+    expect(competition.prizes[1].paidAt).toBeNull();
+  });
+
+  it('releases the claim when the expense cannot be recorded', async () => {
+    const update = jest.spyOn(Tournament, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Expense, 'create').mockRejectedValue(new Error('write failed'));
+
+    await expect(payPrizes(competition, 'tournament')).rejects.toThrow('write failed');
+
+    expect(update).toHaveBeenCalledTimes(2);
+    expect(update.mock.calls[1][1].$set['prizes.$.paidAt']).toBeNull();
+    expect(competition.prizes[0].paidAt).toBeNull();
+  });
+});
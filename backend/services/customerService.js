@@ -0,0 +1,108 @@
+// Registering customers from past sessions and sales.
+//
+// Sessions and sales recorded before the Customer model only carry a free-text
+// name and phone. Importing groups the unlinked records by normalised phone,
+// registers a customer for each phone (or matches an existing one), links the
+// records to it and adds their visits and spend to the customer's totals.
+// Records without a phone can't be matched and stay unlinked; customer
+// analytics group those by name instead.
+
+const Customer = require('../models/Customer');
+const Session = require('../models/Session');
+const Sale = require('../models/Sale');
+
+// Register and link customers for a house's unlinked history (returns counts)
+async function importCustomersFromHistory(snookerHouse, { createdBySession = null } = {}) {
+  const unlinked = {
+    snookerHouse: snookerHouse._id,
+    customer: null,
+    customerPhone: { $gt: '' }
+  };
+
+  const [sessionGroups, saleGroups] = await Promise.all([
+    Session.aggregate([
+      { $match: { ...unlinked, status: 'completed' } },
+      { $sort: { startTime: 1 } },
+      {
+        $group: {
+          _id: '$customerPhone',
+          name: { $last: '$customerName' },
+          visits: { $sum: 1 },
+          spent: { $sum: '$totalCost' },
+          lastVisitAt: { $max: '$endTime' }
+        }
+      }
+    ]),
+    Sale.aggregate([
+      { $match: unlinked },
+      { $sort: { saleDate: 1 } },
+      {
+        $group: {
+          _id: '$customerPhone',
+          name: { $last: '$customerName' },
+          spent: { $sum: '$amountDue' },
+          lastVisitAt: { $max: '$saleDate' }
+        }
+      }
+    ])
+  ]);
+
+  // Merge by normalised phone so "98-4111 2222" and "9841112222" are one customer
+  const byPhone = new Map();
+  [...sessionGroups, ...saleGroups].forEach(group => {
+    const phone = Customer.normalizePhone(group._id);
+    const entry = byPhone.get(phone) || { rawPhones: [], name: '', visits: 0, spent: 0, lastVisitAt: null };
+    entry.rawPhones.push(group._id);
+    if (group.name && group.name !== 'Guest') entry.name = group.name;
+    entry.visits += group.visits || 0;
+    entry.spent += group.spent || 0;
+    if (group.lastVisitAt && (!entry.lastVisitAt || group.lastVisitAt > entry.lastVisitAt)) {
+      entry.lastVisitAt = group.lastVisitAt;
+    }
+    byPhone.set(phone, entry);
+  });
+
+  let created = 0;
+  let sessionsLinked = 0;
+  let salesLinked = 0;
+
+  for (const [phone, entry] of byPhone) {
+    const existing = await Customer.findByPhone(snookerHouse._id, phone);
+    const customer = existing || await Customer.findOrCreateByPhone(snookerHouse, {
+      name: entry.name,
+      phone,
+      createdBySession
+    });
+    if (!existing) created++;
+
+    // Cancelled and active sessions get linked too; only completed ones count as visits
+    const linkQuery = { ...unlinked, customerPhone: { $in: entry.rawPhones } };
+    const [sessionResult, saleResult] = await Promise.all([
+      Session.updateMany(linkQuery, { $set: { customer: customer._id } }),
+      Sale.updateMany(linkQuery, { $set: { customer: customer._id } })
+    ]);
+    sessionsLinked += sessionResult.modifiedCount;
+    salesLinked += saleResult.modifiedCount;
+
+    if (entry.visits > 0 || entry.spent > 0) {
+      await Customer.updateOne(
+        { _id: customer._id },
+        {
+          $inc: { totalVisits: entry.visits, totalSpent: entry.spent },
+          ...(entry.lastVisitAt ? { $max: { lastVisitAt: entry.lastVisitAt } } : {})
+        }
+      );
+    }
+  }
+
+  return {
+    customersCreated: created,
+    customersMatched: byPhone.size - created,
+    sessionsLinked,
+    salesLinked
+  };
+}
+
+module.exports = {
+  importCustomersFromHistory
+};
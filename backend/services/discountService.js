@@ -0,0 +1,105 @@
+// Discount calculation shared by game sessions and direct sales.
+//
+// A discount line is a snapshot of the promotion taken when it was applied, so
+// editing or expiring the promotion later never changes an existing bill. Line
+// amounts are recalculated whenever the bill changes (time played, items added),
+// and the combined discount never exceeds the bill.
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const productIdOf = (item) => (item.product?._id || item.product).toString();
+
+// Value of the first `freeMinutes` billable minutes, at the rates actually charged
+function freeMinutesValue(pricedSegments = [], freeMinutes) {
+  let minutesLeft = freeMinutes;
+  let value = 0;
+
+  for (const segment of pricedSegments) {
+    if (minutesLeft <= 0) break;
+    const minutes = Math.min(segment.minutes, minutesLeft);
+    value += minutes * segment.minuteRate;
+    minutesLeft -= minutes;
+  }
+
+  return value;
+}
+
+// Discount on the items covered by an item-specific promotion
+function itemDiscountValue(line, items = []) {
+  const productIds = (line.products || []).map(id => id.toString());
+
+  return items
+    .filter(item => productIds.includes(productIdOf(item)))
+    .reduce((sum, item) => {
+      const discount = line.itemDiscountMode === 'fixed_amount'
+        ? line.value * item.quantity
+        : item.totalRevenue * line.value / 100;
+      return sum + Math.min(discount, item.totalRevenue);
+    }, 0);
+}
+
+// Amount a single line takes off the bill
+// context: { gameCost, itemsRevenue, items, pricedSegments }
+function calculateLineAmount(line, context) {
+  const subtotal = (context.gameCost || 0) + (context.itemsRevenue || 0);
+
+  if (line.minimumSpend && subtotal < line.minimumSpend) {
+    return 0;
+  }
+
+  let amount = 0;
+  switch (line.type) {
+    case 'percentage':
+      amount = subtotal * line.value / 100;
+      break;
+    case 'fixed_amount':
+      amount = line.value;
+      break;
+    case 'free_minutes':
+      amount = freeMinutesValue(context.pricedSegments, line.value);
+      break;
+    case 'item':
+      amount = itemDiscountValue(line, context.items);
+      break;
+  }
+
+  if (line.maxDiscountAmount !== null && line.maxDiscountAmount !== undefined) {
+    amount = Math.min(amount, line.maxDiscountAmount);
+  }
+
+  return round(Math.max(0, Math.min(amount, subtotal)));
+}
+
+// Recalculate every line in place and return the total discount
+function applyDiscountLines(lines = [], context) {
+  let remaining = round((context.gameCost || 0) + (context.itemsRevenue || 0));
+  let total = 0;
+
+  for (const line of lines) {
+    line.amount = Math.min(calculateLineAmount(line, context), remaining);
+    remaining = round(remaining - line.amount);
+    total = round(total + line.amount);
+  }
+
+  return total;
+}
+
+// Human readable label for a discount line ("WEEKEND10 - 10% off")
+function describeDiscount(line) {
+  const labels = {
+    percentage: `${line.value}% off`,
+    fixed_amount: `NPR ${line.value} off`,
+    free_minutes: `${line.value} free minutes`,
+    item: line.itemDiscountMode === 'fixed_amount'
+      ? `NPR ${line.value} off per item`
+      : `${line.value}% off selected items`
+  };
+
+  return `${line.code || line.name} - ${labels[line.type]}`;
+}
+
+module.exports = {
+  calculateLineAmount,
+  applyDiscountLines,
+  describeDiscount
+};
@@ -0,0 +1,72 @@
+const { calculateLineAmount, applyDiscountLines, describeDiscount } = require('./discountService');
+
+const line = (overrides) => ({
+  code: 'WEEKEND10',
+  name: 'Weekend',
+  type: 'percentage',
+  value: 10,
+  products: [],
+  itemDiscountMode: 'percentage',
+  maxDiscountAmount: null,
+  minimumSpend: 0,
+  amount: 0,
+  ...overrides
+});
+
+describe('calculateLineAmount', () => {
+  it('takes a percentage of the game and items together', () => {
+    expect(calculateLineAmount(line(), { gameCost: 300, itemsRevenue: 200 })).toBe(50);
+  });
+
+  it('caps a percentage at the maximum discount', () => {
+    expect(calculateLineAmount(line({ maxDiscountAmount: 30 }), { gameCost: 500 })).toBe(30);
+  });
+
+  it('gives nothing below the minimum spend', () => {
+    expect(calculateLineAmount(line({ type: 'fixed_amount', value: 100, minimumSpend: 500 }), { gameCost: 400 })).toBe(0);
+  });
+
+  it('never takes more than the bill', () => {
+    expect(calculateLineAmount(line({ type: 'fixed_amount', value: 100 }), { gameCost: 60 })).toBe(60);
+  });
+
+  it('values free minutes at the rates actually charged', () => {
+    const pricedSegments = [
+      { minutes: 20, minuteRate: 2 },
+      { minutes: 40, minuteRate: 6 }
+    ];
+
+    expect(calculateLineAmount(line({ type: 'free_minutes', value: 30 }), { gameCost: 280, pricedSegments })).toBe(100);
+  });
+
+  it('discounts only the products an item promotion covers', () => {
+    const items = [
+      { product: 'cola', quantity: 2, totalRevenue: 200 },
+      { product: 'chips', quantity: 1, totalRevenue: 80 }
+    ];
+    const perUnit = line({ type: 'item', value: 150, itemDiscountMode: 'fixed_amount', products: ['cola'] });
+
+    expect(calculateLineAmount(perUnit, { itemsRevenue: 280, items })).toBe(200);
+  });
+});
+
+describe('applyDiscountLines', () => {
+  it('stores each line amount and stops the combined discount at the bill', () => {
+    const lines = [
+      line({ type: 'fixed_amount', value: 80 }),
+      line({ type: 'fixed_amount', value: 80 })
+    ];
+
+    const total = applyDiscountLines(lines, { gameCost: 100 });
+
+    expect(total).toBe(100);
+    expect(lines.map(({ amount }) => amount)).toEqual([80, 20]);
+  });
+});
+
+describe('describeDiscount', () => {
+  it('labels a line by its code, falling back to the name', () => {
+    expect(describeDiscount(line())).toBe('WEEKEND10 - 10% off');
+    expect(describeDiscount(line({ code: null, type: 'free_minutes', value: 30 }))).toBe('Weekend - 30 free minutes');
+  });
+});
@@ -1,5 +1,12 @@
 const nodemailer = require('nodemailer');
 
+// Escape user-entered text (house names, ...) placed in email HTML
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
 class EmailService {
   constructor() {
     console.log('🔧 Initializing Email Service...');
@@ -34,7 +41,8 @@ class EmailService {
     });
   }
 
-  async sendOTP(email, otp, purpose = 'signup') {
+  // details (optional): { expiresIn: '72 hours', houseName, role } for the email text
+  async sendOTP(email, otp, purpose = 'signup', details = {}) {
     try {
       console.log('📧 Attempting to send OTP email...');
       console.log('To:', email);
@@ -50,7 +58,7 @@ class EmailService {
         from: `"🇳🇵 Nepal App" <${process.env.EMAIL_USER}>`,
         to: email,
         subject: this.getSubject(purpose),
-        html: this.generateHTML(otp, purpose)
+        html: this.generateHTML(otp, purpose, details)
       };
 
       console.log('📮 Sending email with options:', {
@@ -102,12 +110,13 @@ class EmailService {
       signup: '🇳🇵 Nepal App - Verify Your Account',
       login: '🔐 Nepal App - Login Code', 
       email_verification: '📧 Nepal App - Email Verification',
-      password_reset: '🔑 Nepal App - Password Reset'
+      password_reset: '🔑 Nepal App - Password Reset',
+      staff_invite: '👷 Nepal App - You\'re Invited to Join the Team'
     };
     return subjects[purpose] || '🇳🇵 Nepal App - Verification Code';
   }
 
-  generateHTML(otp, purpose) {
+  generateHTML(otp, purpose, details = {}) {
     return `
     <!DOCTYPE html>
     <html>
@@ -132,12 +141,12 @@ class EmailService {
                 
                 <div style="background-color: #eff6ff; border-left: 4px solid #3b82f6; padding: 16px; margin: 30px 0; text-align: left;">
                     <p style="margin: 0; color: #1e40af; font-size: 14px;">
-                        <strong>⚠️ Important:</strong> This code expires in 10 minutes. 
+                        <strong>⚠️ Important:</strong> This code expires in ${details.expiresIn || '10 minutes'}. 
                         Do not share with anyone.
                     </p>
                 </div>
                 
-                ${this.getAdditionalMessage(purpose)}
+                ${this.getAdditionalMessage(purpose, details)}
             </div>
             
             <div style="background-color: #f8f9fa; padding: 20px; text-align: center; border-top: 1px solid #e5e7eb;">
@@ -156,12 +165,13 @@ class EmailService {
       signup: 'Welcome! Please verify your email to complete registration',
       login: 'Login verification required',
       email_verification: 'Please verify your email address', 
-      password_reset: 'Password reset verification'
+      password_reset: 'Password reset verification',
+      staff_invite: 'You have been invited to join a snooker house'
     };
     return texts[purpose] || 'Email verification';
   }
 
-  getAdditionalMessage(purpose) {
+  getAdditionalMessage(purpose, details = {}) {
     const messages = {
       signup: `
         <div style="background-color: #f0f9ff; border-left: 4px solid #0ea5e9; padding: 16px; margin: 20px 0; text-align: left;">
@@ -186,6 +196,15 @@ class EmailService {
             Complete your account setup by verifying your email address.
           </p>
         </div>
+      `,
+      staff_invite: `
+        <div style="background-color: #f0f9ff; border-left: 4px solid #0ea5e9; padding: 16px; margin: 20px 0; text-align: left;">
+          <p style="margin: 0; color: #0c4a6e; font-size: 14px;">
+            <strong>Staff Invitation</strong> 👷<br>
+            You have been invited to join ${details.houseName ? escapeHtml(details.houseName) : 'a snooker house'} as ${details.role ? escapeHtml(details.role) : 'staff'}.
+            Enter this code in the app to accept. If you don't have an account yet, you can create one while accepting.
+          </p>
+        </div>
       `
     };
     return messages[purpose] || '';
@@ -0,0 +1,68 @@
+// Server-Sent Events broadcast of live match scoreboards.
+//
+// Spectator screens hold an open response per match; every scoring change is
+// pushed to all of them as a "scoreboard" event. Subscribers live in memory,
+// so a screen reconnects (EventSource does this itself) after a server restart.
+
+const HEARTBEAT_MS = 25 * 1000;
+
+// matchId -> Set of open responses
+const subscribers = new Map();
+
+// Write one SSE event to a response
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Open an SSE stream for a match and send the current scoreboard straight away
+function subscribe(matchId, req, res, scoreboard) {
+  const key = matchId.toString();
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+  sendEvent(res, 'scoreboard', scoreboard);
+
+  if (!subscribers.has(key)) {
+    subscribers.set(key, new Set());
+  }
+  subscribers.get(key).add(res);
+
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const set = subscribers.get(key);
+    if (set) {
+      set.delete(res);
+      if (set.size === 0) subscribers.delete(key);
+    }
+  });
+}
+
+// Push an event to every screen watching a match
+function publish(matchId, event, data) {
+  const set = subscribers.get(matchId.toString());
+  if (!set) return 0;
+
+  for (const res of set) {
+    sendEvent(res, event, data);
+  }
+  return set.size;
+}
+
+// Number of screens watching a match
+function getSpectatorCount(matchId) {
+  return subscribers.get(matchId.toString())?.size || 0;
+}
+
+module.exports = {
+  subscribe,
+  publish,
+  getSpectatorCount
+};
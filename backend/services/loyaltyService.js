@@ -0,0 +1,112 @@
+// Loyalty points for registered customers.
+//
+// Points are earned when a paid session ends, at the house's rates per NPR 100
+// of game time and items. The part of a bill paid with points earns nothing.
+// Each earning is a lot that expires on its own date; redemptions spend the
+// oldest lots first.
+
+const SnookerHouse = require('../models/SnookerHouse');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+
+// Points needed to cover an amount (part points round up)
+function pointsForAmount(settings, amount) {
+  return Math.ceil(Math.round((amount / settings.pointValue) * 100) / 100);
+}
+
+// Award points for a completed, paid session (returns points earned)
+async function awardSessionPoints(session, { createdBySession } = {}) {
+  if (!session.customer || session.paymentStatus !== 'paid' || session.loyaltyPointsEarned > 0) {
+    return 0;
+  }
+
+  const snookerHouse = await SnookerHouse.findById(session.snookerHouse);
+  const settings = snookerHouse?.loyaltySettings;
+  if (!settings?.enabled) return 0;
+
+  const grossAmount = (session.gameCost || 0) + (session.totalItemsRevenue || 0);
+  if (grossAmount <= 0 || session.totalCost <= 0) return 0;
+
+  const paidWithPoints = session.payments
+    .filter(payment => payment.method === 'points')
+    .reduce((sum, payment) => sum + payment.amount, 0);
+  const eligibleAmount = Math.max(0, session.totalCost - paidWithPoints);
+
+  const points = LoyaltyTransaction.calculateEarnedPoints(settings, {
+    gameAmount: eligibleAmount * (session.gameCost || 0) / grossAmount,
+    itemsAmount: eligibleAmount * (session.totalItemsRevenue || 0) / grossAmount
+  });
+  if (points <= 0) return 0;
+
+  await LoyaltyTransaction.addPoints(snookerHouse, session.customer, {
+    type: 'earn',
+    points,
+    session: session._id,
+    description: `Session on ${session.table?.name || 'table'}`,
+    createdBySession
+  });
+
+  session.loyaltyPointsEarned = points;
+  await session.save();
+
+  return points;
+}
+
+// Redeem points to pay part or all of a session bill (from another customer's
+// balance when a split-bill player pays their share)
+async function redeemForPayment(session, amount, { createdBySession, customer = session.customer } = {}) {
+  if (!customer) {
+    return { redeemed: false, reason: 'Points can only be redeemed by a registered customer' };
+  }
+
+  const snookerHouse = await SnookerHouse.findById(session.snookerHouse);
+  const settings = snookerHouse?.loyaltySettings;
+  if (!settings?.enabled) {
+    return { redeemed: false, reason: 'Loyalty points are not enabled for this snooker house' };
+  }
+
+  const points = pointsForAmount(settings, amount);
+  if (points < settings.minRedeemPoints) {
+    return { redeemed: false, reason: `At least ${settings.minRedeemPoints} points must be redeemed at a time` };
+  }
+
+  const result = await LoyaltyTransaction.redeem(snookerHouse, customer, {
+    points,
+    value: amount,
+    session: session._id,
+    description: `Payment for session on ${session.table?.name || 'table'}`,
+    createdBySession
+  });
+  if (!result) {
+    return { redeemed: false, reason: `Not enough points. ${points} points are needed to pay NPR ${amount}` };
+  }
+
+  return { redeemed: true, points, balance: result.customer.pointsBalance };
+}
+
+// Give back points when a points payment is refunded
+async function restoreForRefund(session, refund, payment, { createdBySession } = {}) {
+  const snookerHouse = await SnookerHouse.findById(session.snookerHouse);
+
+  const points = payment?.points
+    ? Math.round(payment.points * refund.amount / payment.amount)
+    : pointsForAmount(snookerHouse.loyaltySettings, refund.amount);
+  if (points <= 0) return 0;
+
+  await LoyaltyTransaction.addPoints(snookerHouse, payment?.customer || session.customer, {
+    type: 'restore',
+    points,
+    value: refund.amount,
+    session: session._id,
+    description: `Refund: ${refund.reason}`,
+    createdBySession
+  });
+
+  return points;
+}
+
+module.exports = {
+  pointsForAmount,
+  awardSessionPoints,
+  redeemForPayment,
+  restoreForRefund
+};
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const SnookerHouse = require('../models/SnookerHouse');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const {
+  pointsForAmount,
+  awardSessionPoints,
+  redeemForPayment,
+  restoreForRefund
+} = require('./loyaltyService');
+
+const loyaltySettings = {
+  enabled: true,
+  gamePointsPer100: 2,
+  itemPointsPer100: 1,
+  pointValue: 0.5,
+  minRedeemPoints: 50,
+  expiryDays: 365
+};
+
+describe('loyaltyService', () => {
+  let house;
+  let session;
+
+  beforeEach(() => {
+    house = { _id: new mongoose.Types.ObjectId(), loyaltySettings: { ...loyaltySettings } };
+    session = {
+      _id: new mongoose.Types.ObjectId(),
+      snookerHouse: house._id,
+      customer: new mongoose.Types.ObjectId(),
+      table: { name: 'Table 1' },
+      paymentStatus: 'paid',
+      loyaltyPointsEarned: 0,
+      gameCost: 600,
+      totalItemsRevenue: 400,
+      totalCost: 1000,
+      payments: [{ method: 'cash', amount: 1000 }],
+      save: jest.fn().mockResolvedValue()
+    };
+    jest.spyOn(SnookerHouse, 'findById').mockResolvedValue(house);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('pointsForAmount', () => {
+    it('rounds part points up', () => {
+      expect(pointsForAmount(loyaltySettings, 100)).toBe(200);
+      expect(pointsForAmount(loyaltySettings, 100.2)).toBe(201);
+    });
+  });
+
+  describe('awardSessionPoints', () => {
+    it('earns at the game and item rates', async () => {
+      const addPoints = jest.spyOn(LoyaltyTransaction, 'addPoints').mockResolvedValue({});
+
+      await expect(awardSessionPoints(session)).resolves.toBe(16);
+      expect(addPoints).toHaveBeenCalledWith(house, session.customer, expect.objectContaining({ type: 'earn', points: 16 }));
+      expect(session.loyaltyPointsEarned).toBe(16);
+    });
+
+    it('earns nothing on the part paid with points', async () => {
+      session.payments = [{ method: 'points', amount: 500 }, { method: 'cash', amount: 500 }];
+      jest.spyOn(LoyaltyTransaction, 'addPoints').mockResolvedValue({});
+
+      await expect(awardSessionPoints(session)).resolves.toBe(8);
+    });
+
+    it('awards a session only once', async () => {
+      session.loyaltyPointsEarned = 16;
+      const addPoints = jest.spyOn(LoyaltyTransaction, 'addPoints');
+
+      await expect(awardSessionPoints(session)).resolves.toBe(0);
+      expect(addPoints).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('redeemForPayment', () => {
+    it('refuses less than the minimum redemption', async () => {
+      const result = await redeemForPayment(session, 20);
+
+      expect(result).toEqual({ redeemed: false, reason: 'At least 50 points must be redeemed at a time' });
+    });
+
+    it('reports the points needed when the balance is short', async () => {
+      jest.spyOn(LoyaltyTransaction, 'redeem').mockResolvedValue(null);
+
+      const result = await redeemForPayment(session, 100);
+
+      expect(result).toEqual({ redeemed: false, reason: 'Not enough points. 200 points are needed to pay NPR 100' });
+    });
+
+    it('spends from the balance of the player paying a split-bill share', async () => {
+      const player = new mongoose.Types.ObjectId();
+      const redeem = jest.spyOn(LoyaltyTransaction, 'redeem').mockResolvedValue({ customer: { pointsBalance: 40 } });
+
+      const result = await redeemForPayment(session, 100, { customer: player });
+
+      expect(result).toEqual({ redeemed: true, points: 200, balance: 40 });
+      expect(redeem).toHaveBeenCalledWith(house, player, expect.objectContaining({ points: 200, value: 100 }));
+    });
+  });
+
+  describe('restoreForRefund', () => {
+    it('gives back the share of the points the refunded amount was paid with', async () => {
+      const addPoints = jest.spyOn(LoyaltyTransaction, 'addPoints').mockResolvedValue({});
+      const payment = { amount: 300, points: 600, customer: new mongoose.Types.ObjectId() };
+
+      const points = await restoreForRefund(session, { amount: 100, reason: 'Table fault' }, payment);
+
+      expect(points).toBe(200);
+      expect(addPoints).toHaveBeenCalledWith(house, payment.customer, expect.objectContaining({ type: 'restore', points: 200 }));
+    });
+  });
+});
@@ -0,0 +1,226 @@
+// Staff attendance hours and payroll.
+//
+// Staff clock in and out with breaks; a manager can correct the times later.
+// Payroll counts closed attendance records that started in the period. Paid
+// time is worked time (plus breaks if the house pays for them), split per
+// calendar day: hours beyond the house overtime threshold are overtime, paid at
+// the staff member's overtime rate or their hourly rate x the house multiplier.
+// Recording a payroll run adds one 'payroll' expense per paid staff member.
+
+const AttendanceRecord = require('../models/AttendanceRecord');
+const StaffMember = require('../models/StaffMember');
+const Expense = require('../models/Expense');
+
+const round = (amount) => Math.round((amount || 0) * 100) / 100;
+
+const toHours = (minutes) => round(minutes / 60);
+
+// Local calendar day a record belongs to (the day it was clocked in)
+const dayKey = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Check clock-in, clock-out and break times fit together (returns an error message or null)
+function checkRecordTimes({ clockInAt, clockOutAt, breaks = [] }, now = new Date()) {
+  if (clockInAt > now) return 'Clock-in time cannot be in the future';
+  if (clockOutAt && clockOutAt > now) return 'Clock-out time cannot be in the future';
+  if (clockOutAt && clockOutAt <= clockInAt) return 'Clock-out time must be after clock-in time';
+
+  const sorted = [...breaks].sort((a, b) => a.startAt - b.startAt);
+  for (let index = 0; index < sorted.length; index++) {
+    const entry = sorted[index];
+    const end = clockOutAt || now;
+
+    if (entry.startAt < clockInAt || entry.startAt > end) return 'Breaks must start while clocked in';
+    if (!entry.endAt && (clockOutAt || index < sorted.length - 1)) return 'Only the latest break of an open record can be in progress';
+    if (entry.endAt && (entry.endAt <= entry.startAt || entry.endAt > end)) return 'Breaks must end after they start and before clock-out';
+    if (index > 0 && sorted[index - 1].endAt > entry.startAt) return 'Breaks cannot overlap';
+  }
+
+  return null;
+}
+
+// Paid minutes for a closed record
+function getPaidMinutes(record, payrollSettings) {
+  const worked = record.getWorkedMinutes();
+  return payrollSettings?.paidBreaks ? worked + record.getBreakMinutes() : worked;
+}
+
+// Hourly and overtime rates for a staff member
+function getRates(staffMember, payrollSettings) {
+  const hourlyRate = staffMember?.hourlyRate || 0;
+  const overtimeRate = staffMember?.overtimeRate ?? hourlyRate * (payrollSettings?.overtimeMultiplier ?? 1.5);
+
+  return { hourlyRate: round(hourlyRate), overtimeRate: round(overtimeRate) };
+}
+
+// Hours and wages per staff member from attendance records
+function buildPayrollReport(records, staffMembers, payrollSettings, period) {
+  const thresholdMinutes = (payrollSettings?.overtimeAfterHours ?? 8) * 60;
+  const staffById = new Map(staffMembers.map(staffMember => [staffMember._id.toString(), staffMember]));
+  const rows = new Map();
+
+  records.forEach(record => {
+    const staffId = record.staffMember.toString();
+    if (!rows.has(staffId)) {
+      const staffMember = staffById.get(staffId);
+      rows.set(staffId, {
+        staffMember: staffMember || null,
+        staffName: record.staffName,
+        role: staffMember?.role || record.staffRole,
+        days: new Map(),
+        records: 0,
+        openRecords: 0,
+        breakMinutes: 0
+      });
+    }
+
+    const row = rows.get(staffId);
+    if (record.status === 'open') {
+      row.openRecords += 1;
+      return;
+    }
+
+    const day = dayKey(record.clockInAt);
+    row.records += 1;
+    row.breakMinutes += record.getBreakMinutes();
+    row.days.set(day, (row.days.get(day) || 0) + getPaidMinutes(record, payrollSettings));
+  });
+
+  const staff = [...rows.entries()].map(([staffId, row]) => {
+    let regularMinutes = 0;
+    let overtimeMinutes = 0;
+    row.days.forEach(minutes => {
+      regularMinutes += Math.min(minutes, thresholdMinutes);
+      overtimeMinutes += Math.max(0, minutes - thresholdMinutes);
+    });
+
+    const { hourlyRate, overtimeRate } = getRates(row.staffMember, payrollSettings);
+    const regularHours = toHours(regularMinutes);
+    const overtimeHours = toHours(overtimeMinutes);
+    const regularPay = round(regularHours * hourlyRate);
+    const overtimePay = round(overtimeHours * overtimeRate);
+
+    return {
+      staffMemberId: staffId,
+      staffName: row.staffName,
+      role: row.role,
+      daysWorked: row.days.size,
+      records: row.records,
+      openRecords: row.openRecords,
+      breakHours: toHours(row.breakMinutes),
+      regularHours,
+      overtimeHours,
+      totalHours: round(regularHours + overtimeHours),
+      hourlyRate,
+      overtimeRate,
+      regularPay,
+      overtimePay,
+      totalPay: round(regularPay + overtimePay)
+    };
+  }).sort((a, b) => a.staffName.localeCompare(b.staffName));
+
+  const totals = staff.reduce((sum, row) => ({
+    regularHours: round(sum.regularHours + row.regularHours),
+    overtimeHours: round(sum.overtimeHours + row.overtimeHours),
+    regularPay: round(sum.regularPay + row.regularPay),
+    overtimePay: round(sum.overtimePay + row.overtimePay),
+    totalPay: round(sum.totalPay + row.totalPay),
+    openRecords: sum.openRecords + row.openRecords
+  }), { regularHours: 0, overtimeHours: 0, regularPay: 0, overtimePay: 0, totalPay: 0, openRecords: 0 });
+
+  return {
+    period,
+    settings: {
+      overtimeAfterHours: payrollSettings?.overtimeAfterHours ?? 8,
+      overtimeMultiplier: payrollSettings?.overtimeMultiplier ?? 1.5,
+      paidBreaks: !!payrollSettings?.paidBreaks
+    },
+    staff,
+    totals
+  };
+}
+
+// Payroll report for a house over a period (records clocked in between start and end)
+async function getPayrollReport(snookerHouse, start, end) {
+  const records = await AttendanceRecord.find({
+    snookerHouse: snookerHouse._id,
+    clockInAt: { $gte: start, $lte: end }
+  }).sort({ clockInAt: 1 });
+
+  const staffIds = [...new Set(records.map(record => record.staffMember.toString()))];
+  const staffMembers = await StaffMember.find({ _id: { $in: staffIds } });
+
+  return buildPayrollReport(records, staffMembers, snookerHouse.payrollSettings, { start, end });
+}
+
+// Flatten a payroll report into CSV rows (one per staff member)
+function toCsvRows(report) {
+  const periodStart = report.period.start.toISOString();
+  const periodEnd = report.period.end.toISOString();
+
+  return report.staff.map(row => ({
+    periodStart,
+    periodEnd,
+    staffName: row.staffName,
+    role: row.role || '',
+    daysWorked: row.daysWorked,
+    records: row.records,
+    openRecords: row.openRecords,
+    breakHours: row.breakHours,
+    regularHours: row.regularHours,
+    overtimeHours: row.overtimeHours,
+    hourlyRate: row.hourlyRate,
+    overtimeRate: row.overtimeRate,
+    regularPay: row.regularPay,
+    overtimePay: row.overtimePay,
+    totalPay: row.totalPay
+  }));
+}
+
+// Payroll expense already recorded for a period overlapping this one (null if none)
+function findOverlappingPayroll(snookerHouseId, start, end) {
+  return Expense.findOne({
+    snookerHouse: snookerHouseId,
+    'source.kind': 'payroll',
+    'period.start': { $lte: end },
+    'period.end': { $gte: start }
+  });
+}
+
+// Record a payroll report as expenses, one per staff member with pay due
+async function recordPayrollExpenses(snookerHouse, report, { paymentMethod = 'cash', createdBySession } = {}) {
+  const { start, end } = report.period;
+  const expenseDate = end < new Date() ? end : new Date();
+  const expenses = [];
+
+  for (const row of report.staff) {
+    if (row.totalPay <= 0) continue;
+
+    const expense = await Expense.create({
+      snookerHouse: snookerHouse._id,
+      owner: snookerHouse.owner,
+      category: 'payroll',
+      amount: row.totalPay,
+      description: `Payroll ${dayKey(start)} to ${dayKey(end)}: ${row.staffName} (${row.totalHours}h, ${row.overtimeHours}h overtime)`.slice(0, 300),
+      paymentMethod,
+      expenseDate,
+      source: { kind: 'payroll', id: row.staffMemberId },
+      period: { start, end },
+      createdBySession
+    });
+    expenses.push(expense);
+  }
+
+  return expenses;
+}
+
+module.exports = {
+  checkRecordTimes,
+  buildPayrollReport,
+  getPayrollReport,
+  toCsvRows,
+  findOverlappingPayroll,
+  recordPayrollExpenses
+};
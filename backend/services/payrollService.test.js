@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const AttendanceRecord = require('../models/AttendanceRecord');
+const { buildPayrollReport, checkRecordTimes } = require('./payrollService');
+
+// Local time, like the report's calendar days
+const at = (day, hours, minutes = 0) => new Date(2026, 0, day, hours, minutes);
+
+const settings = { overtimeAfterHours: 8, overtimeMultiplier: 1.5, paidBreaks: false };
+const period = { start: at(1, 0), end: at(31, 23, 59) };
+
+describe('buildPayrollReport', () => {
+  let staffMember;
+
+  const record = (clockInAt, clockOutAt, breaks = []) => new AttendanceRecord({
+    snookerHouse: new mongoose.Types.ObjectId(),
+    staffMember: staffMember._id,
+    staffName: 'Asha',
+    staffRole: 'cashier',
+    clockInAt,
+    clockOutAt,
+    breaks,
+    status: clockOutAt ? 'closed' : 'open'
+  });
+
+  beforeEach(() => {
+    staffMember = { _id: new mongoose.Types.ObjectId(), role: 'cashier', hourlyRate: 100, overtimeRate: null };
+  });
+
+  it('splits overtime per calendar day, not across the period', () => {
+    const report = buildPayrollReport([
+      record(at(5, 9), at(5, 19)), // 10 hours: 2 overtime
+      record(at(6, 9), at(6, 15)) // 6 hours: no overtime
+    ], [staffMember], settings, period);
+    const [row] = report.staff;
+
+    expect(row).toMatchObject({
+      daysWorked: 2,
+      regularHours: 14,
+      overtimeHours: 2,
+      hourlyRate: 100,
+      overtimeRate: 150,
+      regularPay: 1400,
+      overtimePay: 300,
+      totalPay: 1700
+    });
+  });
+
+  it('adds up several records on the same day before applying the threshold', () => {
+    const report = buildPayrollReport([
+      record(at(5, 8), at(5, 13)),
+      record(at(5, 17), at(5, 22))
+    ], [staffMember], settings, period);
+
+    expect(report.staff[0]).toMatchObject({ daysWorked: 1, regularHours: 8, overtimeHours: 2 });
+  });
+
+  it('leaves unpaid breaks out unless breaks are paid', () => {
+    const records = [record(at(5, 9), at(5, 18), [{ startAt: at(5, 13), endAt: at(5, 14) }])];
+
+    expect(buildPayrollReport(records, [staffMember], settings, period).staff[0])
+      .toMatchObject({ regularHours: 8, overtimeHours: 0, breakHours: 1 });
+    expect(buildPayrollReport(records, [staffMember], { ...settings, paidBreaks: true }, period).staff[0])
+      .toMatchObject({ regularHours: 8, overtimeHours: 1 });
+  });
+
+  it('uses the staff member\'s own overtime rate when set', () => {
+    staffMember.overtimeRate = 250;
+    const report = buildPayrollReport([record(at(5, 9), at(5, 19))], [staffMember], settings, period);
+
+    expect(report.staff[0]).toMatchObject({ overtimeRate: 250, overtimePay: 500, totalPay: 1300 });
+  });
+
+  it('counts open records without paying them', () => {
+    const report = buildPayrollReport([record(at(5, 9), null)], [staffMember], settings, period);
+
+    expect(report.staff[0]).toMatchObject({ openRecords: 1, records: 0, totalPay: 0 });
+    expect(report.totals.openRecords).toBe(1);
+  });
+});
+
+describe('checkRecordTimes', () => {
+  it('accepts breaks inside the shift', () => {
+    expect(checkRecordTimes({
+      clockInAt: at(5, 9),
+      clockOutAt: at(5, 17),
+      breaks: [{ startAt: at(5, 12), endAt: at(5, 12, 30) }]
+    })).toBeNull();
+  });
+
+  it('rejects overlapping breaks', () => {
+    expect(checkRecordTimes({
+      clockInAt: at(5, 9),
+      clockOutAt: at(5, 17),
+      breaks: [
+        { startAt: at(5, 12), endAt: at(5, 13) },
+        { startAt: at(5, 12, 30), endAt: at(5, 14) }
+      ]
+    })).toBe('Breaks cannot overlap');
+  });
+});
@@ -0,0 +1,189 @@
+// Time-of-day / weekday pricing for per_minute sessions.
+//
+// Rules are evaluated in the server's local time. A rule applies on the listed
+// days of week (0 = Sunday ... 6 = Saturday, empty = every day) between its
+// startTime and endTime ("HH:mm"). A rule whose endTime is earlier than its
+// startTime runs past midnight and belongs to the day it starts on.
+// When several rules match, the first one in the list wins; time that no rule
+// covers is billed at the session's base minute rate.
+
+const MINUTE_MS = 60 * 1000;
+
+// Convert "HH:mm" to minutes after midnight
+function parseTimeOfDay(value) {
+  const [hours, minutes] = String(value).split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function atMinuteOfDay(day, minuteOfDay) {
+  return new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minuteOfDay);
+}
+
+function appliesOnDay(rule, dayOfWeek) {
+  return !rule.daysOfWeek || rule.daysOfWeek.length === 0 || rule.daysOfWeek.includes(dayOfWeek);
+}
+
+// Check whether a rule covers a specific instant
+function ruleCovers(rule, date) {
+  const start = parseTimeOfDay(rule.startTime);
+  const end = parseTimeOfDay(rule.endTime);
+  const minuteOfDay = date.getHours() * 60 + date.getMinutes() + date.getSeconds() / 60;
+  const today = date.getDay();
+  const yesterday = (today + 6) % 7;
+
+  if (start < end) {
+    return appliesOnDay(rule, today) && minuteOfDay >= start && minuteOfDay < end;
+  }
+
+  // Overnight rule: evening part belongs to today, early-morning part to yesterday
+  return (appliesOnDay(rule, today) && minuteOfDay >= start) ||
+    (appliesOnDay(rule, yesterday) && minuteOfDay < end);
+}
+
+// Find the rule that prices a specific instant (first match wins)
+function findRule(rules, date) {
+  return (rules || []).find(rule => rule.isActive !== false && ruleCovers(rule, date)) || null;
+}
+
+// Next instant after `date` at which the applicable rule could change
+function nextBoundary(rules, date) {
+  const today = startOfDay(date);
+  let next = addDays(today, 1); // Midnight always changes the weekday
+
+  for (const rule of rules || []) {
+    for (const minuteOfDay of [parseTimeOfDay(rule.startTime), parseTimeOfDay(rule.endTime)]) {
+      for (const day of [today, addDays(today, 1)]) {
+        const candidate = atMinuteOfDay(day, minuteOfDay);
+        if (candidate > date && candidate < next) {
+          next = candidate;
+        }
+      }
+    }
+  }
+
+  return next;
+}
+
+// Subtract paused intervals from [start, end] and return the billable intervals
+function getActiveIntervals(start, end, pauseIntervals = []) {
+  const pauses = pauseIntervals
+    .map(pause => ({
+      start: Math.max(new Date(pause.start).getTime(), start.getTime()),
+      end: Math.min(pause.end ? new Date(pause.end).getTime() : end.getTime(), end.getTime())
+    }))
+    .filter(pause => pause.end > pause.start)
+    .sort((a, b) => a.start - b.start);
+
+  const intervals = [];
+  let cursor = start.getTime();
+
+  for (const pause of pauses) {
+    if (pause.start > cursor) {
+      intervals.push({ start: new Date(cursor), end: new Date(pause.start) });
+    }
+    cursor = Math.max(cursor, pause.end);
+  }
+
+  if (end.getTime() > cursor) {
+    intervals.push({ start: new Date(cursor), end });
+  }
+
+  return intervals;
+}
+
+// Split billable intervals at rule boundaries and price each piece.
+// Whole minutes are allocated cumulatively so the segment minutes always add up
+// to the floored total duration, matching how sessions have always been billed.
+// An interval may carry its own baseRate/rules/tableName (sessions moved between tables).
+function splitIntoPricedSegments(intervals, baseRate, rules = []) {
+  const pieces = [];
+
+  for (const interval of intervals) {
+    const intervalRules = interval.rules || rules;
+    const intervalRate = interval.baseRate !== undefined ? interval.baseRate : baseRate;
+    let cursor = interval.start;
+
+    while (cursor < interval.end) {
+      const boundary = nextBoundary(intervalRules, cursor);
+      const pieceEnd = boundary < interval.end ? boundary : interval.end;
+      const rule = findRule(intervalRules, cursor);
+
+      pieces.push({
+        from: cursor,
+        to: pieceEnd,
+        ms: pieceEnd - cursor,
+        tableName: interval.tableName,
+        ruleName: rule ? rule.name : 'Standard rate',
+        minuteRate: rule ? rule.minuteRate : intervalRate
+      });
+
+      cursor = pieceEnd;
+    }
+  }
+
+  // Merge consecutive pieces priced by the same rule
+  const merged = [];
+  for (const piece of pieces) {
+    const last = merged[merged.length - 1];
+    if (last && last.tableName === piece.tableName &&
+      last.ruleName === piece.ruleName && last.minuteRate === piece.minuteRate) {
+      last.to = piece.to;
+      last.ms += piece.ms;
+    } else {
+      merged.push({ ...piece });
+    }
+  }
+
+  let elapsedMs = 0;
+  return merged.map(piece => {
+    const minutesBefore = Math.floor(elapsedMs / MINUTE_MS);
+    elapsedMs += piece.ms;
+    const minutes = Math.floor(elapsedMs / MINUTE_MS) - minutesBefore;
+
+    const segment = {
+      from: piece.from,
+      to: piece.to,
+      ruleName: piece.ruleName,
+      minuteRate: piece.minuteRate,
+      minutes,
+      cost: piece.minuteRate * minutes
+    };
+    if (piece.tableName) segment.tableName = piece.tableName;
+    return segment;
+  });
+}
+
+// Validate that a rule list is well formed (used by the Table model)
+function validateRules(rules = []) {
+  const pattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+  return rules.every(rule =>
+    pattern.test(rule.startTime) &&
+    pattern.test(rule.endTime) &&
+    rule.startTime !== rule.endTime
+  );
+}
+
+// Human readable label for a priced segment ("Happy hour: 30 min @ NPR 4/min = NPR 120",
+// prefixed with the table name for sessions that moved tables)
+function formatSegment(segment) {
+  const label = segment.tableName ? `${segment.tableName} - ${segment.ruleName}` : segment.ruleName;
+  return `${label}: ${segment.minutes} min @ NPR ${segment.minuteRate}/min = NPR ${Math.round(segment.cost * 100) / 100}`;
+}
+
+module.exports = {
+  parseTimeOfDay,
+  findRule,
+  nextBoundary,
+  getActiveIntervals,
+  splitIntoPricedSegments,
+  validateRules,
+  formatSegment
+};
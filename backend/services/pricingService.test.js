@@ -0,0 +1,171 @@
+const {
+  findRule,
+  nextBoundary,
+  getActiveIntervals,
+  splitIntoPricedSegments,
+  validateRules,
+  formatSegment
+} = require('./pricingService');
+
+// Local time, like the rules themselves. 5 January 2026 is a Monday.
+const at = (day, hours, minutes = 0, seconds = 0) => new Date(2026, 0, day, hours, minutes, seconds);
+
+const happyHour = { name: 'Happy hour', startTime: '14:00', endTime: '17:00', minuteRate: 2 };
+const lateNight = { name: 'Late night', startTime: '22:00', endTime: '02:00', minuteRate: 6 };
+
+const summarize = (segments) => segments.map(({ ruleName, minutes, cost }) => ({ ruleName, minutes, cost }));
+
+describe('splitIntoPricedSegments', () => {
+  it('bills the whole interval at the base rate when no rule applies', () => {
+    const segments = splitIntoPricedSegments([{ start: at(5, 10), end: at(5, 11, 30) }], 5, [happyHour]);
+
+    expect(summarize(segments)).toEqual([
+      { ruleName: 'Standard rate', minutes: 90, cost: 450 }
+    ]);
+  });
+
+  it('splits at the start and end of a rule', () => {
+    const segments = splitIntoPricedSegments([{ start: at(5, 13, 30), end: at(5, 17, 15) }], 5, [happyHour]);
+
+    expect(summarize(segments)).toEqual([
+      { ruleName: 'Standard rate', minutes: 30, cost: 150 },
+      { ruleName: 'Happy hour', minutes: 180, cost: 360 },
+      { ruleName: 'Standard rate', minutes: 15, cost: 75 }
+    ]);
+    expect(segments[1].from).toEqual(at(5, 14));
+    expect(segments[1].to).toEqual(at(5, 17));
+  });
+
+  it('keeps an overnight rule running past midnight', () => {
+    const segments = splitIntoPricedSegments([{ start: at(5, 21), end: at(6, 3) }], 5, [lateNight]);
+
+    expect(summarize(segments)).toEqual([
+      { ruleName: 'Standard rate', minutes: 60, cost: 300 },
+      { ruleName: 'Late night', minutes: 240, cost: 1440 },
+      { ruleName: 'Standard rate', minutes: 60, cost: 300 }
+    ]);
+  });
+
+  it('applies the early-morning part of an overnight rule to the day it started on', () => {
+    const mondayNights = { ...lateNight, daysOfWeek: [1] };
+
+    // Sunday night into Monday: the 00:00-02:00 part belongs to Sunday, which isn't listed
+    const sunday = splitIntoPricedSegments([{ start: at(4, 23), end: at(5, 1) }], 5, [mondayNights]);
+    expect(summarize(sunday)).toEqual([
+      { ruleName: 'Standard rate', minutes: 120, cost: 600 }
+    ]);
+
+    // Monday night into Tuesday: all of it is Monday's late night
+    const monday = splitIntoPricedSegments([{ start: at(5, 23), end: at(6, 1) }], 5, [mondayNights]);
+    expect(summarize(monday)).toEqual([
+      { ruleName: 'Late night', minutes: 120, cost: 720 }
+    ]);
+  });
+
+  it('uses the first matching rule when rules overlap', () => {
+    const allAfternoon = { name: 'Afternoon', startTime: '12:00', endTime: '18:00', minuteRate: 3 };
+    const segments = splitIntoPricedSegments([{ start: at(5, 15), end: at(5, 16) }], 5, [allAfternoon, happyHour]);
+
+    expect(summarize(segments)).toEqual([
+      { ruleName: 'Afternoon', minutes: 60, cost: 180 }
+    ]);
+  });
+
+  it('ignores inactive rules', () => {
+    const segments = splitIntoPricedSegments(
+      [{ start: at(5, 15), end: at(5, 16) }], 5, [{ ...happyHour, isActive: false }]
+    );
+
+    expect(summarize(segments)).toEqual([
+      { ruleName: 'Standard rate', minutes: 60, cost: 300 }
+    ]);
+  });
+
+  it('leaves paused time out and merges the same rule across a pause', () => {
+    const intervals = getActiveIntervals(at(5, 14), at(5, 16), [{ start: at(5, 14, 30), end: at(5, 15) }]);
+    const segments = splitIntoPricedSegments(intervals, 5, [happyHour]);
+
+    expect(summarize(segments)).toEqual([
+      { ruleName: 'Happy hour', minutes: 90, cost: 180 }
+    ]);
+  });
+
+  it('allocates whole minutes so segments add up to the floored total', () => {
+    // 20.5 + 20.5 minutes = 41 billable minutes
+    const segments = splitIntoPricedSegments(
+      [{ start: at(5, 13, 39, 30), end: at(5, 14, 20, 30) }], 5, [happyHour]
+    );
+
+    expect(segments.reduce((sum, segment) => sum + segment.minutes, 0)).toBe(41);
+    expect(summarize(segments)).toEqual([
+      { ruleName: 'Standard rate', minutes: 20, cost: 100 },
+      { ruleName: 'Happy hour', minutes: 21, cost: 42 }
+    ]);
+  });
+
+  it('prices each interval with its own table rate and rules after a transfer', () => {
+    const segments = splitIntoPricedSegments([
+      { start: at(5, 13), end: at(5, 14), tableName: 'Table 1', baseRate: 5, rules: [] },
+      { start: at(5, 14), end: at(5, 15), tableName: 'Table 2', baseRate: 8, rules: [happyHour] }
+    ], 5, []);
+
+    expect(segments.map(({ tableName, ruleName, cost }) => ({ tableName, ruleName, cost }))).toEqual([
+      { tableName: 'Table 1', ruleName: 'Standard rate', cost: 300 },
+      { tableName: 'Table 2', ruleName: 'Happy hour', cost: 120 }
+    ]);
+  });
+});
+
+describe('getActiveIntervals', () => {
+  it('clips pauses to the session and treats an open pause as running to the end', () => {
+    const intervals = getActiveIntervals(at(5, 10), at(5, 12), [
+      { start: at(5, 9), end: at(5, 10, 15) },
+      { start: at(5, 11, 30) }
+    ]);
+
+    expect(intervals).toEqual([
+      { start: at(5, 10, 15), end: at(5, 11, 30) }
+    ]);
+  });
+});
+
+describe('findRule', () => {
+  const weekendDay = { name: 'Weekend day', daysOfWeek: [0, 6], startTime: '10:00', endTime: '18:00', minuteRate: 8 };
+
+  it('only applies a weekday rule on its days', () => {
+    expect(findRule([weekendDay], at(10, 12))).toBe(weekendDay);
+    expect(findRule([weekendDay], at(5, 12))).toBeNull();
+  });
+
+  it('gives the early hours of an overnight rule to the day it started on', () => {
+    const fridayNight = { ...lateNight, daysOfWeek: [5] };
+
+    expect(findRule([fridayNight], at(10, 1))).toBe(fridayNight);
+    expect(findRule([fridayNight], at(11, 1))).toBeNull();
+  });
+});
+
+describe('nextBoundary', () => {
+  it('stops at the next rule edge, or midnight when none is closer', () => {
+    expect(nextBoundary([happyHour], at(5, 15))).toEqual(at(5, 17));
+    expect(nextBoundary([happyHour], at(5, 20))).toEqual(at(6, 0));
+  });
+});
+
+describe('validateRules', () => {
+  it('needs HH:mm times that differ', () => {
+    expect(validateRules([happyHour, lateNight])).toBe(true);
+    expect(validateRules([{ ...happyHour, startTime: '24:00' }])).toBe(false);
+    expect(validateRules([{ ...happyHour, endTime: '9:00' }])).toBe(false);
+    expect(validateRules([{ ...happyHour, endTime: '14:00' }])).toBe(false);
+  });
+});
+
+describe('formatSegment', () => {
+  it('labels the rule, prefixed with the table after a transfer', () => {
+    const segment = { ruleName: 'Happy hour', minutes: 30, minuteRate: 4, cost: 120 };
+
+    expect(formatSegment(segment)).toBe('Happy hour: 30 min @ NPR 4/min = NPR 120');
+    expect(formatSegment({ ...segment, tableName: 'Table 2' })).toBe('Table 2 - Happy hour: 30 min @ NPR 4/min = NPR 120');
+  });
+});
@@ -0,0 +1,540 @@
+// Printable receipts for game sessions and direct sales, and shift reports.
+//
+// A receipt is first built as a plain document (header, meta rows, sections,
+// totals, payments) and then rendered as plain text, HTML or raw ESC/POS bytes.
+// Thermal printers fit 32 characters per line on 58mm paper and 48 on 80mm.
+
+const { describeDiscount } = require('./discountService');
+
+const PAPER_WIDTHS = {
+  58: 32,
+  80: 48
+};
+
+const FORMATS = ['json', 'text', 'html', 'escpos'];
+
+const round = (amount) => Math.round((amount || 0) * 100) / 100;
+
+const money = (amount) => round(amount).toFixed(2);
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const formatDate = (date) => {
+  if (!date) return '';
+  const d = new Date(date);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
+
+const formatDuration = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+};
+
+// House name, address and PAN printed at the top of every receipt
+function buildHeader(snookerHouse) {
+  return {
+    name: snookerHouse?.name || '',
+    address: snookerHouse?.address || '',
+    panNumber: snookerHouse?.taxSettings?.panNumber || ''
+  };
+}
+
+// Discount, service charge and VAT rows shared by sessions and sales
+function buildChargeTotals(subtotal, discounts, taxLines, taxInclusive, total) {
+  const totals = [{ label: 'Subtotal', amount: subtotal }];
+
+  discounts.forEach(line => {
+    totals.push({ label: describeDiscount(line), amount: -line.amount });
+  });
+
+  if (taxLines.length > 0) {
+    totals.push({ label: 'Taxable Amount', amount: taxLines[0].taxableAmount });
+    taxLines.forEach(line => {
+      totals.push({ label: taxInclusive ? `${line.name} incl.` : line.name, amount: line.amount });
+    });
+  }
+
+  totals.push({ label: 'TOTAL', amount: total, bold: true });
+  return totals;
+}
+
+// Build the receipt document for a session (table populated)
+function buildSessionReceipt(session, snookerHouse) {
+  const completed = session.status === 'completed';
+  const charges = session.calculateCurrentCharges();
+
+  const gameCost = completed ? session.gameCost : charges.gameCost;
+  const discounts = completed ? session.discounts : charges.discountLines;
+  const taxLines = completed ? session.taxLines : charges.taxes.lines;
+  const total = completed ? session.totalCost : charges.total;
+  const durationMinutes = session.getDurationInMinutes();
+
+  // Game time, one row per priced segment (rate band / table)
+  const gameLines = session.getPricedSegments().map(segment => ({
+    label: segment.tableName ? `${segment.tableName} - ${segment.ruleName}` : segment.ruleName,
+    detail: `${segment.minutes} min x ${money(segment.minuteRate)}`,
+    amount: segment.cost
+  }));
+
+  session.getFrameSegments().forEach(segment => {
+    const prefix = segment.tableName ? `${segment.tableName} - ` : '';
+    if (segment.frames > 0) {
+      gameLines.push({
+        label: `${prefix}Frames`,
+        detail: `${segment.frames} x ${money(segment.frameRate)}`,
+        amount: segment.frames * segment.frameRate
+      });
+    }
+    if (segment.kittis > 0) {
+      gameLines.push({
+        label: `${prefix}Kittis`,
+        detail: `${segment.kittis} x ${money(segment.kittiRate)}`,
+        amount: segment.kittis * segment.kittiRate
+      });
+    }
+  });
+
+  const itemLines = session.items.map(item => ({
+    label: item.productName,
+    detail: `${item.quantity} x ${money(item.sellingPrice)}`,
+    amount: item.totalRevenue
+  }));
+
+  const playerNames = new Map(session.players.map(player => [player._id.toString(), player.name]));
+  const payments = session.payments.map(payment => ({
+    label: payment.player && playerNames.has(payment.player.toString())
+      ? `${payment.methodLabel} (${playerNames.get(payment.player.toString())})`
+      : payment.methodLabel,
+    amount: payment.amount,
+    paidAt: payment.paidAt
+  }));
+
+  (session.refunds || []).forEach(refund => {
+    payments.push({ label: `Refund (${refund.methodLabel})`, amount: -refund.amount, paidAt: refund.refundedAt });
+  });
+
+  const totalPaid = session.payments.reduce((sum, payment) => sum + payment.amount, 0) - (session.totalRefunded || 0);
+  const remaining = Math.max(0, round(total - totalPaid - (session.totalRefunded || 0)));
+
+  const taxInvoice = Boolean(session.invoiceNumber);
+  const meta = [];
+  if (session.invoiceNumber) meta.push(['Invoice No', session.invoiceNumber]);
+  meta.push(['Bill No', session._id.toString().slice(-8).toUpperCase()]);
+  meta.push(['Date', formatDate(session.endTime || new Date())]);
+  if (session.table?.tableNumber) meta.push(['Table', session.table.name || `Table ${session.table.tableNumber}`]);
+  if (session.customerName) meta.push(['Customer', session.customerName]);
+  if (session.customerPhone) meta.push(['Phone', session.customerPhone]);
+  meta.push(['Start', formatDate(session.startTime)]);
+  if (session.endTime) meta.push(['End', formatDate(session.endTime)]);
+  meta.push(['Played', formatDuration(durationMinutes)]);
+
+  const sections = [{ heading: 'Game', lines: gameLines }];
+  if (itemLines.length > 0) sections.push({ heading: 'Items', lines: itemLines });
+
+  return {
+    header: buildHeader(snookerHouse),
+    title: completed ? (taxInvoice ? 'TAX INVOICE' : 'RECEIPT') : 'ESTIMATE',
+    meta,
+    sections,
+    totals: buildChargeTotals(gameCost + session.totalItemsRevenue, discounts, taxLines, Boolean(session.taxSettings?.pricesIncludeTax), total),
+    payments,
+    totalPaid: round(totalPaid),
+    remaining,
+    remainingLabel: session.paymentStatus === 'credit' ? 'CREDIT DUE' : 'BALANCE DUE',
+    footer: session.loyaltyPointsEarned > 0
+      ? [`You earned ${session.loyaltyPointsEarned} loyalty points`, 'Thank you for playing!']
+      : ['Thank you for playing!']
+  };
+}
+
+// Build the receipt document for a direct sale
+function buildSaleReceipt(sale, snookerHouse) {
+  const total = sale.amountDue ?? sale.totalRevenue;
+  const onCredit = sale.paymentMethod === 'credit';
+
+  const meta = [];
+  if (sale.invoiceNumber) meta.push(['Invoice No', sale.invoiceNumber]);
+  meta.push(['Bill No', sale.saleNumber]);
+  meta.push(['Date', formatDate(sale.saleDate)]);
+  if (sale.customerName) meta.push(['Customer', sale.customerName]);
+  if (sale.customerPhone) meta.push(['Phone', sale.customerPhone]);
+
+  const itemLines = sale.items.map(item => ({
+    label: item.productName,
+    detail: `${item.quantity} x ${money(item.sellingPrice)}`,
+    amount: item.totalRevenue
+  }));
+
+  const methodLabels = { cash: 'Cash', card: 'Card', mobile: 'Mobile', credit: 'Credit' };
+  const payments = onCredit ? [] : [{ label: methodLabels[sale.paymentMethod] || sale.paymentMethod, amount: total, paidAt: sale.saleDate }];
+
+  return {
+    header: buildHeader(snookerHouse),
+    title: sale.invoiceNumber ? 'TAX INVOICE' : 'RECEIPT',
+    meta,
+    sections: [{ heading: 'Items', lines: itemLines }],
+    totals: buildChargeTotals(sale.totalRevenue, sale.discounts, sale.taxLines || [], Boolean(sale.taxSettings?.pricesIncludeTax), total),
+    payments,
+    totalPaid: onCredit ? 0 : round(total),
+    remaining: onCredit ? round(total) : 0,
+    remainingLabel: 'CREDIT DUE',
+    footer: ['Thank you!']
+  };
+}
+
+// Payment method names across sessions and sales
+const SHIFT_METHOD_LABELS = {
+  cash: 'Cash',
+  card: 'Card',
+  mobile: 'Mobile',
+  credit: 'Credit',
+  esewa: 'eSewa',
+  online_banking: 'Online Banking',
+  points: 'Loyalty Points',
+  wallet: 'Wallet'
+};
+
+// Build the shift report (cash drawer reconciliation) for printing at close
+function buildShiftReport(shift, snookerHouse, summary, collections) {
+  const closed = shift.status === 'closed';
+  const label = (method) => SHIFT_METHOD_LABELS[method] || method;
+  const count = (value, noun) => `${value} ${noun}${value === 1 ? '' : 's'}`;
+
+  const meta = [
+    ['Staff', shift.staffName || '-'],
+    ['Role', shift.staffRole],
+    ['Opened', formatDate(shift.openedAt)]
+  ];
+  if (closed) meta.push(['Closed', formatDate(shift.closedAt)]);
+  meta.push(['Duration', formatDuration(shift.getDurationMinutes())]);
+
+  const drawerLines = [
+    { label: 'Opening float', detail: '', amount: summary.openingFloat },
+    { label: 'Cash session payments', detail: count(summary.sessionPaymentsCount, 'payment'), amount: summary.sessionPayments },
+    { label: 'Cash sales', detail: count(summary.salesCount, 'sale'), amount: summary.sales },
+    { label: 'Cash entry fees', detail: count(summary.entryFeesCount, 'fee'), amount: summary.entryFees },
+    { label: 'Cash wallet top-ups', detail: count(summary.walletTopUpsCount, 'top-up'), amount: summary.walletTopUps },
+    { label: 'Cash credit settlements', detail: count(summary.creditSettlementsCount, 'settlement'), amount: summary.creditSettlements },
+    { label: 'Cash refunds', detail: count(summary.refundsCount, 'refund'), amount: -summary.refunds },
+    { label: 'Cash in', detail: '', amount: summary.cashIn },
+    { label: 'Cash out', detail: '', amount: -summary.cashOut }
+  ];
+
+  const collectionLines = [
+    ...collections.sessionPayments.map(row => ({
+      label: `Sessions - ${label(row.method)}`,
+      detail: count(row.count, 'payment'),
+      amount: row.amount
+    })),
+    ...collections.sales.map(row => ({
+      label: `Sales - ${label(row.method)}`,
+      detail: count(row.count, 'sale'),
+      amount: row.amount
+    })),
+    ...collections.entryFees.map(row => ({
+      label: `Entry fees - ${label(row.method)}`,
+      detail: count(row.count, 'fee'),
+      amount: row.amount
+    })),
+    ...collections.walletTopUps.map(row => ({
+      label: `Wallet top-ups - ${label(row.method)}`,
+      detail: count(row.count, 'top-up'),
+      amount: row.amount
+    })),
+    ...collections.creditSettlements.map(row => ({
+      label: `Credit settlements - ${label(row.method)}`,
+      detail: count(row.count, 'settlement'),
+      amount: row.amount
+    })),
+    ...collections.sessionRefunds.map(row => ({
+      label: `Refunds - ${label(row.method)}`,
+      detail: count(row.count, 'refund'),
+      amount: -row.amount
+    }))
+  ];
+
+  const sections = [{ heading: 'Cash Drawer', lines: drawerLines }];
+  if (collectionLines.length > 0) {
+    sections.push({ heading: 'Collections by Method', lines: collectionLines });
+  }
+  if (shift.cashMovements.length > 0) {
+    sections.push({
+      heading: 'Cash Movements',
+      lines: shift.cashMovements.map(movement => ({
+        label: movement.reason,
+        detail: `${movement.type === 'in' ? 'In' : 'Out'} ${formatDate(movement.recordedAt)}`,
+        amount: movement.type === 'in' ? movement.amount : -movement.amount
+      }))
+    });
+  }
+
+  const totals = [{ label: closed ? 'Expected Cash' : 'Expected Cash (so far)', amount: summary.expectedCash, bold: !closed }];
+  if (closed) {
+    totals.push({ label: 'Counted Cash', amount: shift.countedCash });
+    totals.push({ label: shift.variance < 0 ? 'SHORT' : shift.variance > 0 ? 'OVER' : 'VARIANCE', amount: shift.variance, bold: true });
+  }
+
+  const footer = [];
+  if (shift.closingNotes) footer.push(shift.closingNotes);
+  footer.push('Counted by: ________________');
+  footer.push('Checked by: ________________');
+
+  return {
+    header: buildHeader(snookerHouse),
+    title: closed ? 'SHIFT REPORT' : 'SHIFT REPORT (OPEN)',
+    meta,
+    sections,
+    totals,
+    payments: [],
+    totalPaid: 0,
+    remaining: 0,
+    remainingLabel: '',
+    footer
+  };
+}
+
+// ===========================================
+// PLAIN TEXT LAYOUT
+// ===========================================
+
+// Split text into lines of at most `width` characters, breaking on spaces
+function wrap(text, width) {
+  const lines = [];
+  let current = '';
+
+  String(text).split(' ').filter(Boolean).forEach(word => {
+    while (word.length > width) {
+      if (current) {
+        lines.push(current);
+        current = '';
+      }
+      lines.push(word.slice(0, width));
+      word = word.slice(width);
+    }
+    if (!current) {
+      current = word;
+    } else if (current.length + 1 + word.length <= width) {
+      current += ` ${word}`;
+    } else {
+      lines.push(current);
+      current = word;
+    }
+  });
+
+  if (current) lines.push(current);
+  return lines;
+}
+
+// Left text and right-aligned amount on one line (left text wraps above if too long)
+function row(left, right, width, indent = 0) {
+  const space = width - right.length - 1 - indent;
+
+  // Long values (customer names) go on their own right-aligned lines
+  if (space < 8) {
+    return [
+      ...wrap(left, width - indent).map(text => ' '.repeat(indent) + text),
+      ...wrap(right, width).map(text => text.padStart(width))
+    ];
+  }
+
+  const leftLines = wrap(left, space).map(text => ' '.repeat(indent) + text);
+  const last = leftLines.pop() || ' '.repeat(indent);
+  return [...leftLines, `${last.padEnd(space + indent)} ${right}`];
+}
+
+// Receipt as a list of printable lines: { text, align, bold, large }
+function layout(receipt, width) {
+  const lines = [];
+  const divider = () => lines.push({ text: '-'.repeat(width) });
+  const push = (text, style = {}) => lines.push({ text, ...style });
+
+  wrap(receipt.header.name, width).forEach(text => push(text, { align: 'center', bold: true, large: true }));
+  wrap(receipt.header.address, width).forEach(text => push(text, { align: 'center' }));
+  if (receipt.header.panNumber) push(`PAN: ${receipt.header.panNumber}`, { align: 'center' });
+  divider();
+  push(receipt.title, { align: 'center', bold: true });
+  divider();
+
+  receipt.meta.forEach(([label, value]) => {
+    row(`${label}:`, String(value), width).forEach(text => push(text));
+  });
+
+  receipt.sections.forEach(section => {
+    divider();
+    push(section.heading, { bold: true });
+    section.lines.forEach(line => {
+      wrap(line.label, width).forEach(text => push(text));
+      row(line.detail, money(line.amount), width, 2).forEach(text => push(text));
+    });
+  });
+
+  divider();
+  receipt.totals.forEach(total => {
+    row(total.label, money(total.amount), width).forEach(text => push(text, { bold: total.bold }));
+  });
+
+  if (receipt.payments.length > 0) {
+    divider();
+    push('Payments', { bold: true });
+    receipt.payments.forEach(payment => {
+      row(payment.label, money(payment.amount), width).forEach(text => push(text));
+    });
+    row('Paid', money(receipt.totalPaid), width).forEach(text => push(text));
+  }
+
+  if (receipt.remaining > 0) {
+    row(receipt.remainingLabel, money(receipt.remaining), width).forEach(text => push(text, { bold: true }));
+  }
+
+  divider();
+  receipt.footer.forEach(text => push(text, { align: 'center' }));
+
+  return lines;
+}
+
+// Render receipt as plain text
+function renderText(receipt, paper = 80) {
+  const width = PAPER_WIDTHS[paper];
+
+  return layout(receipt, width)
+    .map(line => {
+      if (line.align !== 'center') return line.text;
+      const padding = Math.floor((width - line.text.length) / 2);
+      return ' '.repeat(Math.max(0, padding)) + line.text;
+    })
+    .join('\n') + '\n';
+}
+
+// ===========================================
+// HTML LAYOUT
+// ===========================================
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Render receipt as a standalone HTML page sized for the paper roll
+function renderHtml(receipt, paper = 80) {
+  const amountRow = (label, amount, className = '') =>
+    `<tr class="${className}"><td>${escapeHtml(label)}</td><td class="amount">${money(amount)}</td></tr>`;
+
+  const sections = receipt.sections.map(section => `
+    <h3>${escapeHtml(section.heading)}</h3>
+    <table>
+      ${section.lines.map(line => `
+      <tr><td colspan="2">${escapeHtml(line.label)}</td></tr>
+      ${amountRow(line.detail, line.amount, 'detail')}`).join('')}
+    </table>`).join('');
+
+  const payments = receipt.payments.length > 0 ? `
+    <h3>Payments</h3>
+    <table>
+      ${receipt.payments.map(payment => amountRow(payment.label, payment.amount)).join('')}
+      ${amountRow('Paid', receipt.totalPaid)}
+    </table>` : '';
+
+  const remaining = receipt.remaining > 0
+    ? `<table>${amountRow(receipt.remainingLabel, receipt.remaining, 'bold')}</table>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(receipt.title)}</title>
+<style>
+  @page { size: ${paper}mm auto; margin: 0; }
+  body { width: ${paper - 8}mm; margin: 0 auto; padding: 4mm 0; font-family: monospace; font-size: 12px; }
+  .center { text-align: center; }
+  h1 { font-size: 16px; margin: 0; }
+  h2 { font-size: 13px; margin: 4px 0; }
+  h3 { font-size: 12px; margin: 6px 0 2px; }
+  hr { border: none; border-top: 1px dashed #000; }
+  table { width: 100%; border-collapse: collapse; }
+  td { padding: 1px 0; vertical-align: top; }
+  .amount { text-align: right; white-space: nowrap; }
+  .detail td:first-child { padding-left: 8px; }
+  .bold td { font-weight: bold; }
+</style>
+</head>
+<body>
+  <div class="center">
+    <h1>${escapeHtml(receipt.header.name)}</h1>
+    <div>${escapeHtml(receipt.header.address)}</div>
+    ${receipt.header.panNumber ? `<div>PAN: ${escapeHtml(receipt.header.panNumber)}</div>` : ''}
+    <hr>
+    <h2>${escapeHtml(receipt.title)}</h2>
+  </div>
+  <hr>
+  <table>
+    ${receipt.meta.map(([label, value]) => `<tr><td>${escapeHtml(label)}</td><td class="amount">${escapeHtml(value)}</td></tr>`).join('')}
+  </table>
+  <hr>
+  ${sections}
+  <hr>
+  <table>
+    ${receipt.totals.map(total => amountRow(total.label, total.amount, total.bold ? 'bold' : '')).join('')}
+  </table>
+  ${payments}
+  ${remaining}
+  <hr>
+  <div class="center">${receipt.footer.map(escapeHtml).join('<br>')}</div>
+</body>
+</html>
+`;
+}
+
+// ===========================================
+// ESC/POS LAYOUT
+// ===========================================
+
+const ESC = 0x1b;
+const GS = 0x1d;
+
+// Render receipt as raw ESC/POS bytes (init, aligned text, feed and partial cut)
+function renderEscPos(receipt, paper = 80) {
+  const chunks = [Buffer.from([ESC, 0x40])]; // Initialise printer
+
+  layout(receipt, PAPER_WIDTHS[paper]).forEach(line => {
+    chunks.push(Buffer.from([ESC, 0x61, line.align === 'center' ? 1 : 0])); // Alignment
+    chunks.push(Buffer.from([ESC, 0x45, line.bold ? 1 : 0])); // Bold
+    chunks.push(Buffer.from([GS, 0x21, line.large ? 0x01 : 0x00])); // Double height
+
+    // Printer code pages only cover ASCII reliably
+    chunks.push(Buffer.from(`${line.text.replace(/[^\x20-\x7E]/g, '?')}\n`, 'ascii'));
+  });
+
+  chunks.push(Buffer.from([ESC, 0x61, 0, GS, 0x21, 0x00, ESC, 0x45, 0]));
+  chunks.push(Buffer.from([ESC, 0x64, 4])); // Feed 4 lines
+  chunks.push(Buffer.from([GS, 0x56, 0x42, 0x00])); // Partial cut
+
+  return Buffer.concat(chunks);
+}
+
+// Render a receipt document in the requested format
+function renderReceipt(receipt, format = 'json', paper = 80) {
+  switch (format) {
+    case 'text':
+      return { contentType: 'text/plain; charset=utf-8', body: renderText(receipt, paper) };
+    case 'html':
+      return { contentType: 'text/html; charset=utf-8', body: renderHtml(receipt, paper) };
+    case 'escpos':
+      return { contentType: 'application/octet-stream', body: renderEscPos(receipt, paper) };
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  PAPER_WIDTHS,
+  FORMATS,
+  buildSessionReceipt,
+  buildSaleReceipt,
+  buildShiftReport,
+  renderText,
+  renderHtml,
+  renderEscPos,
+  renderReceipt
+};
@@ -0,0 +1,96 @@
+const {
+  buildSaleReceipt,
+  renderText,
+  renderHtml,
+  renderEscPos,
+  renderReceipt
+} = require('./receiptService');
+
+const house = {
+  name: 'Cue Corner Snooker',
+  address: 'Lakeside, Pokhara',
+  taxSettings: { panNumber: '601234567' }
+};
+
+const sale = (overrides = {}) => ({
+  saleNumber: 'SALE-0001',
+  invoiceNumber: 'INV-000042',
+  saleDate: new Date(2026, 0, 5, 18, 30),
+  customerName: 'Asha',
+  items: [{ productName: 'Cola', quantity: 2, sellingPrice: 100, totalRevenue: 200 }],
+  discounts: [],
+  taxLines: [{ name: 'VAT (13%)', taxableAmount: 200, amount: 26 }],
+  taxSettings: { pricesIncludeTax: false },
+  totalRevenue: 200,
+  amountDue: 226,
+  paymentMethod: 'cash',
+  ...overrides
+});
+
+describe('buildSaleReceipt', () => {
+  it('prints a tax invoice with the taxable amount and VAT', () => {
+    const receipt = buildSaleReceipt(sale(), house);
+
+    expect(receipt.title).toBe('TAX INVOICE');
+    expect(receipt.header.panNumber).toBe('601234567');
+    expect(receipt.totals).toEqual([
+      { label: 'Subtotal', amount: 200 },
+      { label: 'Taxable Amount', amount: 200 },
+      { label: 'VAT (13%)', amount: 26 },
+      { label: 'TOTAL', amount: 226, bold: true }
+    ]);
+    expect(receipt.totalPaid).toBe(226);
+  });
+
+  it('shows a credit sale as due rather than paid', () => {
+    const receipt = buildSaleReceipt(sale({ invoiceNumber: null, paymentMethod: 'credit' }), house);
+
+    expect(receipt.title).toBe('RECEIPT');
+    expect(receipt.payments).toEqual([]);
+    expect(receipt.remaining).toBe(226);
+  });
+});
+
+describe('renderText', () => {
+  it('keeps every line within the paper width', () => {
+    const receipt = buildSaleReceipt(sale({
+      customerName: 'A customer with a very long name that needs more than one line'
+    }), house);
+
+    [58, 80].forEach(paper => {
+      const width = paper === 58 ? 32 : 48;
+      const lines = renderText(receipt, paper).trimEnd().split('\n');
+
+      expect(lines.every(line => line.length <= width)).toBe(true);
+      expect(lines.some(line => line.startsWith('TOTAL') && line.endsWith('226.00'))).toBe(true);
+    });
+  });
+});
+
+describe('renderHtml', () => {
+  it('escapes names taken from the bill', () => {
+    const html = renderHtml(buildSaleReceipt(sale({ customerName: '<b>Asha</b>' }), house));
+
+    expect(html).toContain('&lt;b&gt;Asha&lt;/b&gt;');
+    expect(html).not.toContain('<b>Asha</b>');
+  });
+});
+
+describe('renderEscPos', () => {
+  it('initialises the printer, cuts the paper and replaces characters it cannot print', () => {
+    const bytes = renderEscPos(buildSaleReceipt(sale({ customerName: 'Ashà' }), house), 58);
+
+    expect([...bytes.subarray(0, 2)]).toEqual([0x1b, 0x40]);
+    expect([...bytes.subarray(-4)]).toEqual([0x1d, 0x56, 0x42, 0x00]);
+    expect(bytes.toString('ascii')).toContain('Ash?');
+  });
+});
+
+describe('renderReceipt', () => {
+  it('returns null for JSON so the caller sends the document itself', () => {
+    const receipt = buildSaleReceipt(sale(), house);
+
+    expect(renderReceipt(receipt, 'json')).toBeNull();
+    expect(renderReceipt(receipt, 'escpos').contentType).toBe('application/octet-stream');
+  });
+});
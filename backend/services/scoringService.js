@@ -0,0 +1,258 @@
+// Snooker frame scoring.
+//
+// A frame is stored as the list of events entered at the table (pots, fouls,
+// ended visits and concessions) and its state is rebuilt by replaying them, so
+// undoing a mistake is just dropping the last event. Every event is checked
+// against the rules as it is replayed: a red must be followed by a colour while
+// reds remain, the colours are then cleared in order, and a foul is worth 4 to
+// 7 points but never less than the value of the ball on. A tie after the final
+// black is played off on a re-spotted black.
+
+const BALL_VALUES = {
+  red: 1,
+  yellow: 2,
+  green: 3,
+  brown: 4,
+  blue: 5,
+  pink: 6,
+  black: 7
+};
+
+const COLOURS = ['yellow', 'green', 'brown', 'blue', 'pink', 'black'];
+const COLOURS_TOTAL = 27;
+const MIN_FOUL = 4;
+const MAX_FOUL = 7;
+
+// Fresh state for a frame
+function createFrameState({ reds = 15, startingPlayer = 0 } = {}) {
+  return {
+    reds,
+    ballOn: 'red',
+    striker: startingPlayer,
+    scores: [0, 0],
+    currentBreak: { player: startingPlayer, points: 0, balls: [] },
+    breaks: [],
+    highestBreaks: [0, 0],
+    fouls: [0, 0],
+    respottedBlack: false,
+    status: 'in_progress',
+    winner: null,
+    concededBy: null
+  };
+}
+
+// Points still on the table for the ball on
+function getPointsRemaining(state) {
+  if (state.status !== 'in_progress') return 0;
+  if (state.respottedBlack) return BALL_VALUES.black;
+  if (state.ballOn === 'red') return state.reds * 8 + COLOURS_TOTAL;
+  if (state.ballOn === 'colour') return BALL_VALUES.black + state.reds * 8 + COLOURS_TOTAL;
+
+  return COLOURS.slice(COLOURS.indexOf(state.ballOn))
+    .reduce((sum, colour) => sum + BALL_VALUES[colour], 0);
+}
+
+// Lowest foul value allowed with the current ball on
+function getMinimumFoul(state) {
+  if (COLOURS.includes(state.ballOn)) {
+    return Math.max(MIN_FOUL, BALL_VALUES[state.ballOn]);
+  }
+  return MIN_FOUL;
+}
+
+// Ball on as shown in messages
+function describeBallOn(ballOn) {
+  return ballOn === 'colour' ? 'a colour' : `the ${ballOn}`;
+}
+
+// Close the striker's break and hand the table to the other player
+function endVisit(state, { switchStriker = true } = {}) {
+  const current = state.currentBreak;
+  if (current.points > 0) {
+    state.breaks.push({ player: current.player, points: current.points, balls: current.balls });
+    state.highestBreaks[current.player] = Math.max(state.highestBreaks[current.player], current.points);
+  }
+
+  // A missed colour after a red: the next player is on a red (or the yellow)
+  if (state.ballOn === 'colour') {
+    state.ballOn = state.reds > 0 ? 'red' : 'yellow';
+  }
+
+  if (switchStriker) {
+    state.striker = 1 - state.striker;
+  }
+  state.currentBreak = { player: state.striker, points: 0, balls: [] };
+}
+
+// End the frame, higher score wins (a tie goes to a re-spotted black)
+function finishFrame(state, winner = null) {
+  endVisit(state, { switchStriker: false });
+
+  if (winner === null && state.scores[0] === state.scores[1]) {
+    state.respottedBlack = true;
+    state.ballOn = 'black';
+    return;
+  }
+
+  state.status = 'completed';
+  state.winner = winner !== null ? winner : (state.scores[0] > state.scores[1] ? 0 : 1);
+}
+
+function applyPot(state, { ball, count = 1 }) {
+  if (!BALL_VALUES[ball]) {
+    throw new Error(`Unknown ball "${ball}"`);
+  }
+
+  let endsFrame = false;
+  if (ball === 'red') {
+    if (state.ballOn !== 'red') {
+      throw new Error(`Ball on is ${describeBallOn(state.ballOn)}, not a red`);
+    }
+    if (count < 1 || count > state.reds) {
+      throw new Error(`Only ${state.reds} reds left on the table`);
+    }
+    state.reds -= count;
+    state.ballOn = 'colour';
+  } else if (state.ballOn === 'colour') {
+    // Colour after a red is re-spotted; next ball on is a red (or the yellow)
+    state.ballOn = state.reds > 0 ? 'red' : 'yellow';
+    count = 1;
+  } else if (ball === state.ballOn) {
+    // Clearing the colours in order; the final black ends the frame
+    count = 1;
+    const next = COLOURS[COLOURS.indexOf(ball) + 1];
+    if (next) {
+      state.ballOn = next;
+    } else {
+      endsFrame = true;
+    }
+  } else {
+    throw new Error(`Ball on is ${describeBallOn(state.ballOn)}, not the ${ball}`);
+  }
+
+  const points = BALL_VALUES[ball] * count;
+  state.scores[state.striker] += points;
+  state.currentBreak.points += points;
+  for (let i = 0; i < count; i++) {
+    state.currentBreak.balls.push(ball);
+  }
+
+  if (endsFrame) {
+    finishFrame(state, state.respottedBlack ? state.striker : null);
+  }
+}
+
+function applyFoul(state, { value, redsPotted = 0 }) {
+  const minimum = getMinimumFoul(state);
+  if (!Number.isInteger(value) || value < MIN_FOUL || value > MAX_FOUL) {
+    throw new Error(`Foul value must be between ${MIN_FOUL} and ${MAX_FOUL}`);
+  }
+  if (value < minimum) {
+    throw new Error(`Foul on the ${state.ballOn} is worth at least ${minimum}`);
+  }
+  if (redsPotted > state.reds) {
+    throw new Error(`Only ${state.reds} reds left on the table`);
+  }
+
+  const opponent = 1 - state.striker;
+  state.scores[opponent] += value;
+  state.fouls[state.striker] += 1;
+
+  // Reds potted in a foul stay down
+  state.reds -= redsPotted;
+  if (state.ballOn === 'red' && state.reds === 0) {
+    state.ballOn = 'yellow';
+  }
+
+  // A foul on the re-spotted black loses the frame
+  if (state.respottedBlack) {
+    finishFrame(state, opponent);
+    return;
+  }
+
+  endVisit(state);
+}
+
+// Apply one event to the frame state (throws if it breaks the rules)
+function applyEvent(state, event) {
+  if (state.status !== 'in_progress') {
+    throw new Error('Frame is already over');
+  }
+
+  switch (event.type) {
+    case 'pot':
+      applyPot(state, event);
+      break;
+
+    case 'foul':
+      applyFoul(state, event);
+      break;
+
+    case 'end_visit':
+      endVisit(state);
+      break;
+
+    case 'concede': {
+      const conceding = event.player !== undefined && event.player !== null ? event.player : state.striker;
+      state.concededBy = conceding;
+      finishFrame(state, 1 - conceding);
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown scoring event "${event.type}"`);
+  }
+
+  return state;
+}
+
+// Rebuild a frame's state from its events
+function replayFrame(events, options) {
+  const state = createFrameState(options);
+  events.forEach((event, index) => {
+    try {
+      applyEvent(state, event);
+    } catch (error) {
+      error.message = `Event ${index + 1}: ${error.message}`;
+      throw error;
+    }
+  });
+  return state;
+}
+
+// Live view of a frame for scoreboards
+function describeFrameState(state) {
+  const pointsRemaining = getPointsRemaining(state);
+  const leader = state.scores[0] === state.scores[1] ? null : (state.scores[0] > state.scores[1] ? 0 : 1);
+  const deficit = Math.abs(state.scores[0] - state.scores[1]);
+
+  return {
+    status: state.status,
+    winner: state.winner,
+    concededBy: state.concededBy,
+    scores: state.scores,
+    striker: state.striker,
+    ballOn: state.ballOn,
+    redsRemaining: state.reds,
+    pointsRemaining,
+    respottedBlack: state.respottedBlack,
+    // Trailing player needs snookers once the deficit exceeds what is left
+    snookersRequired: leader !== null && state.status === 'in_progress' && deficit > pointsRemaining
+      ? 1 - leader
+      : null,
+    currentBreak: state.currentBreak,
+    highestBreaks: state.highestBreaks,
+    fouls: state.fouls
+  };
+}
+
+module.exports = {
+  BALL_VALUES,
+  COLOURS,
+  createFrameState,
+  getPointsRemaining,
+  getMinimumFoul,
+  applyEvent,
+  replayFrame,
+  describeFrameState
+};
@@ -0,0 +1,128 @@
+const { replayFrame, describeFrameState } = require('./scoringService');
+
+const pot = (ball, count) => (count ? { type: 'pot', ball, count } : { type: 'pot', ball });
+const foul = (value, redsPotted) => ({ type: 'foul', value, redsPotted });
+const endVisit = { type: 'end_visit' };
+const clearColours = ['yellow', 'green', 'brown', 'blue', 'pink', 'black'].map(ball => pot(ball));
+
+describe('replayFrame', () => {
+  it('alternates reds and colours, re-spotting colours while reds remain', () => {
+    const state = replayFrame([pot('red'), pot('black'), pot('red'), pot('pink')], { reds: 3 });
+
+    expect(state.scores).toEqual([15, 0]);
+    expect(state.reds).toBe(1);
+    expect(state.ballOn).toBe('red');
+    expect(state.currentBreak.balls).toEqual(['red', 'black', 'red', 'pink']);
+  });
+
+  it('counts several reds potted in one shot', () => {
+    const state = replayFrame([pot('red', 2), pot('blue')], { reds: 5 });
+
+    expect(state.scores).toEqual([7, 0]);
+    expect(state.reds).toBe(3);
+  });
+
+  it('rejects a colour when a red is on', () => {
+    expect(() => replayFrame([pot('black')])).toThrow('Event 1: Ball on is the red, not the black');
+  });
+
+  it('rejects a red straight after a red', () => {
+    expect(() => replayFrame([pot('red'), pot('red')])).toThrow('Event 2: Ball on is a colour, not a red');
+  });
+
+  it('moves to the yellow after the last red and its colour, then clears in order', () => {
+    const state = replayFrame([pot('red'), pot('black'), ...clearColours], { reds: 1 });
+
+    expect(state.status).toBe('completed');
+    expect(state.winner).toBe(0);
+    expect(state.scores).toEqual([35, 0]);
+    expect(state.highestBreaks).toEqual([35, 0]);
+  });
+
+  it('rejects colours potted out of order', () => {
+    expect(() => replayFrame([pot('red'), pot('black'), pot('green')], { reds: 1 }))
+      .toThrow('Event 3: Ball on is the yellow, not the green');
+  });
+
+  it('gives the table to the yellow when the colour after the last red is missed', () => {
+    const state = replayFrame([pot('red'), endVisit], { reds: 1 });
+
+    expect(state.ballOn).toBe('yellow');
+    expect(state.striker).toBe(1);
+  });
+
+  it('awards fouls to the opponent and ends the visit', () => {
+    const state = replayFrame([pot('red'), pot('blue'), foul(4)], { reds: 5 });
+
+    expect(state.scores).toEqual([6, 4]);
+    expect(state.fouls).toEqual([1, 0]);
+    expect(state.striker).toBe(1);
+    expect(state.breaks).toEqual([{ player: 0, points: 6, balls: ['red', 'blue'] }]);
+  });
+
+  it('enforces the foul minimum of the ball on', () => {
+    const onBlue = [pot('red'), pot('black'), pot('yellow'), pot('green'), pot('brown')];
+
+    expect(() => replayFrame([...onBlue, foul(4)], { reds: 1 })).toThrow('Foul on the blue is worth at least 5');
+    expect(replayFrame([...onBlue, foul(5)], { reds: 1 }).scores).toEqual([17, 5]);
+  });
+
+  it('rejects foul values outside 4 to 7', () => {
+    expect(() => replayFrame([foul(3)])).toThrow('Foul value must be between 4 and 7');
+    expect(() => replayFrame([foul(8)])).toThrow('Foul value must be between 4 and 7');
+  });
+
+  it('keeps reds potted in a foul off the table', () => {
+    const state = replayFrame([foul(4, 1)], { reds: 1 });
+
+    expect(state.reds).toBe(0);
+    expect(state.ballOn).toBe('yellow');
+  });
+
+  describe('re-spotted black', () => {
+    // Player 0 trails by 7 on the final black: red + black, a 5-point foul by player 1,
+    // then player 1 takes yellow to pink
+    const tiedOnBlack = [
+      pot('red'), pot('black'), endVisit,
+      foul(5), endVisit,
+      ...clearColours.slice(0, 5), endVisit,
+      pot('black')
+    ];
+
+    it('re-spots the black when the frame ends level', () => {
+      const state = replayFrame(tiedOnBlack, { reds: 1 });
+
+      expect(state.scores).toEqual([20, 20]);
+      expect(state.status).toBe('in_progress');
+      expect(state.respottedBlack).toBe(true);
+      expect(state.ballOn).toBe('black');
+      expect(describeFrameState(state).pointsRemaining).toBe(7);
+    });
+
+    it('gives the frame to whoever pots the re-spotted black', () => {
+      const state = replayFrame([...tiedOnBlack, endVisit, pot('black')], { reds: 1 });
+
+      expect(state.status).toBe('completed');
+      expect(state.winner).toBe(1);
+    });
+
+    it('loses the frame on a foul', () => {
+      const state = replayFrame([...tiedOnBlack, foul(7)], { reds: 1 });
+
+      expect(state.status).toBe('completed');
+      expect(state.winner).toBe(1);
+    });
+  });
+
+  it('ends the frame on a concession', () => {
+    const state = replayFrame([pot('red'), pot('black'), { type: 'concede', player: 0 }]);
+
+    expect(state.status).toBe('completed');
+    expect(state.winner).toBe(1);
+    expect(state.concededBy).toBe(0);
+  });
+
+  it('rejects events after the frame is over', () => {
+    expect(() => replayFrame([{ type: 'concede' }, pot('red')])).toThrow('Event 2: Frame is already over');
+  });
+});
@@ -0,0 +1,187 @@
+// Cash drawer reconciliation for staff shifts.
+//
+// A house has one drawer, so only one shift is open at a time and everything
+// collected at the house while it is open belongs to that shift. Expected cash
+// is the opening float plus cash session payments, cash sales, cash
+// competition entry fees, cash wallet top-ups and cash credit settlements,
+// minus cash refunds, plus / minus cash put in or taken out of the drawer by hand.
+
+const Session = require('../models/Session');
+const Sale = require('../models/Sale');
+const WalletTransaction = require('../models/WalletTransaction');
+const CreditEntry = require('../models/CreditEntry');
+const { getEntryFeeTotals } = require('./competitionService');
+
+const round = (amount) => Math.round((amount || 0) * 100) / 100;
+
+// Money collected and refunded during the shift, grouped by payment method
+async function getShiftCollections(shift, until = new Date()) {
+  const from = shift.openedAt;
+  const to = shift.closedAt || until;
+
+  const [sessionPayments, sessionRefunds, sales, entryFees, walletTopUps, creditSettlements] = await Promise.all([
+    Session.aggregate([
+      { $match: { snookerHouse: shift.snookerHouse, 'payments.paidAt': { $gte: from, $lte: to } } },
+      { $unwind: '$payments' },
+      { $match: { 'payments.paidAt': { $gte: from, $lte: to } } },
+      {
+        $group: {
+          _id: '$payments.method',
+          amount: { $sum: '$payments.amount' },
+          count: { $sum: 1 }
+        }
+      }
+    ]),
+
+    Session.aggregate([
+      { $match: { snookerHouse: shift.snookerHouse, 'refunds.refundedAt': { $gte: from, $lte: to } } },
+      { $unwind: '$refunds' },
+      { $match: { 'refunds.refundedAt': { $gte: from, $lte: to } } },
+      {
+        $group: {
+          _id: '$refunds.method',
+          amount: { $sum: '$refunds.amount' },
+          count: { $sum: 1 }
+        }
+      }
+    ]),
+
+    Sale.aggregate([
+      { $match: { snookerHouse: shift.snookerHouse, saleDate: { $gte: from, $lte: to } } },
+      {
+        $group: {
+          _id: '$paymentMethod',
+          amount: { $sum: { $ifNull: ['$amountDue', '$totalRevenue'] } },
+          count: { $sum: 1 }
+        }
+      }
+    ]),
+
+    getEntryFeeTotals(shift.snookerHouse, from, to),
+
+    WalletTransaction.aggregate([
+      { $match: { snookerHouse: shift.snookerHouse, type: 'topup', transactionDate: { $gte: from, $lte: to } } },
+      {
+        $group: {
+          _id: '$method',
+          amount: { $sum: '$amount' },
+          count: { $sum: 1 }
+        }
+      }
+    ]),
+
+    CreditEntry.aggregate([
+      { $match: { snookerHouse: shift.snookerHouse, type: 'settlement', entryDate: { $gte: from, $lte: to } } },
+      // The part that cleared session charges is already a session payment
+      { $lookup: { from: 'creditentries', localField: 'allocations.entry', foreignField: '_id', as: 'charges' } },
+      {
+        $addFields: {
+          sessionChargeIds: {
+            $map: {
+              input: { $filter: { input: '$charges', cond: { $ne: [{ $ifNull: ['$$this.session', null] }, null] } } },
+              in: '$$this._id'
+            }
+          }
+        }
+      },
+      {
+        $addFields: {
+          amount: {
+            $subtract: ['$amount', {
+              $sum: {
+                $map: {
+                  input: { $filter: { input: '$allocations', cond: { $in: ['$$this.entry', '$sessionChargeIds'] } } },
+                  in: '$$this.amount'
+                }
+              }
+            }]
+          }
+        }
+      },
+      { $match: { amount: { $gt: 0 } } },
+      {
+        $group: {
+          _id: '$method',
+          amount: { $sum: '$amount' },
+          count: { $sum: 1 }
+        }
+      }
+    ])
+  ]);
+
+  const byMethod = (rows) => rows.map(row => ({
+    method: row._id,
+    amount: round(row.amount),
+    count: row.count
+  }));
+
+  return {
+    sessionPayments: byMethod(sessionPayments),
+    sessionRefunds: byMethod(sessionRefunds),
+    sales: byMethod(sales),
+    entryFees: byMethod(entryFees),
+    walletTopUps: byMethod(walletTopUps),
+    creditSettlements: byMethod(creditSettlements)
+  };
+}
+
+// Expected drawer cash for the shift (up to now while it is still open)
+async function computeCashSummary(shift, until = new Date()) {
+  const collections = await getShiftCollections(shift, until);
+  const cashRow = (rows) => rows.find(row => row.method === 'cash') || { amount: 0, count: 0 };
+
+  const sessionPayments = cashRow(collections.sessionPayments);
+  const sales = cashRow(collections.sales);
+  const refunds = cashRow(collections.sessionRefunds);
+  const entryFees = cashRow(collections.entryFees);
+  const walletTopUps = cashRow(collections.walletTopUps);
+  const creditSettlements = cashRow(collections.creditSettlements);
+  const { cashIn, cashOut } = shift.getCashMovementTotals();
+
+  const summary = {
+    openingFloat: round(shift.openingFloat),
+    sessionPayments: sessionPayments.amount,
+    sessionPaymentsCount: sessionPayments.count,
+    sales: sales.amount,
+    salesCount: sales.count,
+    refunds: refunds.amount,
+    refundsCount: refunds.count,
+    entryFees: entryFees.amount,
+    entryFeesCount: entryFees.count,
+    walletTopUps: walletTopUps.amount,
+    walletTopUpsCount: walletTopUps.count,
+    creditSettlements: creditSettlements.amount,
+    creditSettlementsCount: creditSettlements.count,
+    cashIn: round(cashIn),
+    cashOut: round(cashOut)
+  };
+  summary.expectedCash = round(
+    summary.openingFloat + summary.sessionPayments + summary.sales + summary.entryFees
+      + summary.walletTopUps + summary.creditSettlements
+      - summary.refunds + summary.cashIn - summary.cashOut
+  );
+
+  return { summary, collections };
+}
+
+// Close the shift against the counted drawer cash (does not save)
+async function closeShift(shift, { countedCash, notes, closedBy, closedBySession }) {
+  shift.closedAt = new Date();
+  const { summary, collections } = await computeCashSummary(shift);
+
+  shift.status = 'closed';
+  shift.summary = summary;
+  shift.countedCash = round(countedCash);
+  shift.variance = round(countedCash - summary.expectedCash);
+  shift.closingNotes = notes || '';
+  shift.closedBy = closedBy;
+  shift.lastModifiedBySession = closedBySession || shift.lastModifiedBySession;
+
+  return { shift, summary, collections };
+}
+
+module.exports = {
+  getShiftCollections,
+  computeCashSummary,
+  closeShift
+};
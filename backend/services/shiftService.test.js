@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const Shift = require('../models/Shift');
+const Session = require('../models/Session');
+const Sale = require('../models/Sale');
+const Tournament = require('../models/Tournament');
+const League = require('../models/League');
+const WalletTransaction = require('../models/WalletTransaction');
+const CreditEntry = require('../models/CreditEntry');
+const { computeCashSummary, closeShift } = require('./shiftService');
+
+const rows = (byMethod) => Object.entries(byMethod).map(([method, amount]) => ({ _id: method, amount, count: 1 }));
+
+describe('shift cash reconciliation', () => {
+  let shift;
+
+  beforeEach(() => {
+    shift = new Shift({
+      snookerHouse: new mongoose.Types.ObjectId(),
+      owner: new mongoose.Types.ObjectId(),
+      staff: new mongoose.Types.ObjectId(),
+      staffRole: 'cashier',
+      openedAt: new Date(2026, 0, 5, 10),
+      openingFloat: 2000,
+      cashMovements: [
+        { type: 'in', amount: 500, reason: 'Change from bank' },
+        { type: 'out', amount: 300, reason: 'Milk for the kitchen' }
+      ]
+    });
+
+    // Session payments, then session refunds
+    jest.spyOn(Session, 'aggregate')
+      .mockResolvedValueOnce(rows({ cash: 4000, esewa: 2500, wallet: 800 }))
+      .mockResolvedValueOnce(rows({ cash: 250, wallet: 100 }));
+    jest.spyOn(Sale, 'aggregate').mockResolvedValue(rows({ cash: 1200, online_banking: 600 }));
+    jest.spyOn(Tournament, 'aggregate').mockResolvedValue(rows({ cash: 500 }));
+    jest.spyOn(League, 'aggregate').mockResolvedValue(rows({ cash: 300, wallet: 300 }));
+    jest.spyOn(WalletTransaction, 'aggregate').mockResolvedValue(rows({ cash: 1000, esewa: 2000 }));
+    jest.spyOn(CreditEntry, 'aggregate').mockResolvedValue(rows({ cash: 700 }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('expects the float plus cash taken, minus cash refunded, adjusted by drawer movements', async () => {
+    const { summary } = await computeCashSummary(shift, new Date(2026, 0, 5, 18));
+
+    expect(summary).toMatchObject({
+      openingFloat: 2000,
+      sessionPayments: 4000,
+      sales: 1200,
+      refunds: 250,
+      entryFees: 800,
+      entryFeesCount: 2,
+      walletTopUps: 1000,
+      creditSettlements: 700,
+      cashIn: 500,
+      cashOut: 300
+    });
+    expect(summary.expectedCash).toBe(2000 + 4000 + 1200 + 800 + 1000 + 700 - 250 + 500 - 300);
+  });
+
+  it('records the variance between counted and expected cash on close', async () => {
+    const { summary } = await closeShift(shift, { countedCash: 9600, notes: 'Short by 50' });
+
+    expect(summary.expectedCash).toBe(9650);
+    expect(shift).toMatchObject({ status: 'closed', countedCash: 9600, variance: -50, closingNotes: 'Short by 50' });
+    expect(shift.closedAt).toBeInstanceOf(Date);
+  });
+
+  it('only reads collections from the shift window', async () => {
+    shift.closedAt = new Date(2026, 0, 5, 18);
+
+    await computeCashSummary(shift);
+
+    expect(Sale.aggregate.mock.calls[0][0][0].$match.saleDate).toEqual({ $gte: shift.openedAt, $lte: shift.closedAt });
+  });
+});
@@ -0,0 +1,331 @@
+// Per-staff performance from the login session IDs stored on records.
+//
+// Sessions, sales and credit entries keep the ID of the login that created or
+// last changed them. Those IDs are mapped back to users through UserSession,
+// falling back to the audit log for logins that have since expired. A game
+// session counts for whoever started it (sessions started, item upsell) and for
+// whoever ended or cancelled it (billed revenue, cancellations); sessions from
+// before those were recorded fall back to whoever last touched them.
+// Discounts count for whoever applied them, refunds for whoever issued them.
+// Staff whose discount, cancellation, refund or credit rate is well above the
+// house average are flagged for review.
+
+const Session = require('../models/Session');
+const Sale = require('../models/Sale');
+const CreditEntry = require('../models/CreditEntry');
+const UserSession = require('../models/UserSession');
+const AuditEvent = require('../models/AuditEvent');
+const User = require('../models/User');
+const StaffMember = require('../models/StaffMember');
+
+const UNKNOWN = 'unknown';
+
+// Flag when a rate is this many times the house average
+const FLAG_MULTIPLIER = 2;
+// ...and the staff member did it at least this many times
+const FLAG_MIN_COUNT = 3;
+
+const round = (amount) => Math.round((amount || 0) * 100) / 100;
+
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0);
+
+// Map login session IDs to user IDs (unresolvable IDs are left out)
+async function resolveSessionUsers(sessionIds) {
+  const ids = [...new Set(sessionIds.filter(Boolean))];
+  const users = new Map();
+  if (ids.length === 0) return users;
+
+  const logins = await UserSession.find({ sessionId: { $in: ids } }).select('sessionId user');
+  logins.forEach(login => users.set(login.sessionId, login.user.toString()));
+
+  // Expired logins are removed from UserSession, but the audit log keeps who used them
+  const missing = ids.filter(id => !users.has(id));
+  if (missing.length > 0) {
+    const audited = await AuditEvent.aggregate([
+      { $match: { sessionId: { $in: missing }, 'actor.user': { $ne: null } } },
+      { $group: { _id: '$sessionId', user: { $first: '$actor.user' } } }
+    ]);
+    audited.forEach(row => users.set(row._id, row.user.toString()));
+  }
+
+  return users;
+}
+
+// Record activity aggregates for the period, keyed by login session ID (refunds by user ID)
+async function getActivity(snookerHouseId, dateRange) {
+  const range = { $gte: dateRange.start, $lte: dateRange.end };
+
+  const [started, billed, cancelled, sessionDiscounts, sales, credit, refunds] = await Promise.all([
+    Session.aggregate([
+      { $match: { snookerHouse: snookerHouseId, startTime: range } },
+      {
+        $group: {
+          _id: '$createdBySession',
+          sessions: { $sum: 1 },
+          itemsRevenue: { $sum: '$totalItemsRevenue' },
+          itemLines: { $sum: { $size: '$items' } },
+          sessionsWithItems: { $sum: { $cond: [{ $gt: [{ $size: '$items' }, 0] }, 1, 0] } }
+        }
+      }
+    ]),
+
+    Session.aggregate([
+      { $match: { snookerHouse: snookerHouseId, status: 'completed', endTime: range } },
+      {
+        $group: {
+          _id: { $ifNull: ['$endedBySession', '$lastModifiedBySession'] },
+          sessions: { $sum: 1 },
+          revenue: { $sum: '$totalCost' }
+        }
+      }
+    ]),
+
+    Session.aggregate([
+      { $match: { snookerHouse: snookerHouseId, status: 'cancelled', endTime: range } },
+      {
+        $group: {
+          _id: { $ifNull: ['$cancelledBySession', '$lastModifiedBySession'] },
+          sessions: { $sum: 1 },
+          value: { $sum: { $ifNull: ['$gameCost', 0] } }
+        }
+      }
+    ]),
+
+    Session.aggregate([
+      { $match: { snookerHouse: snookerHouseId, 'discounts.appliedAt': range } },
+      { $unwind: '$discounts' },
+      { $match: { 'discounts.appliedAt': range } },
+      {
+        $group: {
+          _id: '$discounts.appliedBySession',
+          count: { $sum: 1 },
+          amount: { $sum: '$discounts.amount' }
+        }
+      }
+    ]),
+
+    Sale.aggregate([
+      { $match: { snookerHouse: snookerHouseId, saleDate: range } },
+      {
+        $group: {
+          _id: '$createdBySession',
+          count: { $sum: 1 },
+          revenue: { $sum: { $ifNull: ['$amountDue', '$totalRevenue'] } },
+          discountCount: { $sum: { $cond: [{ $gt: ['$totalDiscount', 0] }, 1, 0] } },
+          discountAmount: { $sum: { $ifNull: ['$totalDiscount', 0] } }
+        }
+      }
+    ]),
+
+    CreditEntry.aggregate([
+      { $match: { snookerHouse: snookerHouseId, type: 'charge', createdAt: range } },
+      {
+        $group: {
+          _id: '$createdBySession',
+          count: { $sum: 1 },
+          amount: { $sum: '$amount' }
+        }
+      }
+    ]),
+
+    Session.aggregate([
+      { $match: { snookerHouse: snookerHouseId, 'refunds.refundedAt': range } },
+      { $unwind: '$refunds' },
+      { $match: { 'refunds.refundedAt': range } },
+      {
+        $group: {
+          _id: '$refunds.issuedBy',
+          count: { $sum: 1 },
+          amount: { $sum: '$refunds.amount' }
+        }
+      }
+    ])
+  ]);
+
+  return { started, billed, cancelled, sessionDiscounts, sales, credit, refunds };
+}
+
+const emptyTotals = () => ({
+  sessionsStarted: 0,
+  itemsRevenue: 0,
+  itemLines: 0,
+  sessionsWithItems: 0,
+  sessionsBilled: 0,
+  billedRevenue: 0,
+  cancellations: 0,
+  cancelledValue: 0,
+  discountCount: 0,
+  discountAmount: 0,
+  counterSales: 0,
+  counterSalesRevenue: 0,
+  creditCount: 0,
+  creditAmount: 0,
+  refundCount: 0,
+  refundAmount: 0
+});
+
+// Shape one staff member's totals for the response
+function buildStaffRow(totals) {
+  const revenue = totals.billedRevenue + totals.counterSalesRevenue;
+  const transactions = totals.sessionsBilled + totals.counterSales;
+
+  return {
+    sessions: {
+      started: totals.sessionsStarted,
+      billed: totals.sessionsBilled,
+      cancelled: totals.cancellations,
+      cancelledValue: round(totals.cancelledValue),
+      cancellationRate: percent(totals.cancellations, totals.sessionsStarted)
+    },
+    revenue: {
+      sessions: round(totals.billedRevenue),
+      counterSales: round(totals.counterSalesRevenue),
+      total: round(revenue),
+      averageBill: transactions > 0 ? round(revenue / transactions) : 0
+    },
+    discounts: {
+      count: totals.discountCount,
+      amount: round(totals.discountAmount),
+      rate: percent(totals.discountAmount, revenue + totals.discountAmount)
+    },
+    credit: {
+      count: totals.creditCount,
+      amount: round(totals.creditAmount),
+      rate: percent(totals.creditAmount, revenue)
+    },
+    upsell: {
+      itemsRevenue: round(totals.itemsRevenue),
+      itemLines: totals.itemLines,
+      attachRate: percent(totals.sessionsWithItems, totals.sessionsStarted),
+      itemsRevenuePerSession: totals.sessionsStarted > 0 ? round(totals.itemsRevenue / totals.sessionsStarted) : 0,
+      counterSales: totals.counterSales
+    },
+    refunds: {
+      count: totals.refundCount,
+      amount: round(totals.refundAmount),
+      rate: percent(totals.refundAmount, revenue)
+    }
+  };
+}
+
+// Flags for rates well above the house average
+function getFlags(row, house) {
+  const flags = [];
+  const check = (rate, houseRate, count, message) => {
+    if (count >= FLAG_MIN_COUNT && rate > 0 && rate >= houseRate * FLAG_MULTIPLIER) flags.push(message);
+  };
+
+  check(row.discounts.rate, house.discounts.rate, row.discounts.count,
+    `Discount rate ${row.discounts.rate}% vs house ${house.discounts.rate}%`);
+  check(row.sessions.cancellationRate, house.sessions.cancellationRate, row.sessions.cancelled,
+    `Cancellation rate ${row.sessions.cancellationRate}% vs house ${house.sessions.cancellationRate}%`);
+  check(row.refunds.rate, house.refunds.rate, row.refunds.count,
+    `Refunds ${row.refunds.rate}% of revenue vs house ${house.refunds.rate}%`);
+  check(row.credit.rate, house.credit.rate, row.credit.count,
+    `Credit issued ${row.credit.rate}% of revenue vs house ${house.credit.rate}%`);
+
+  return flags;
+}
+
+// Staff performance for a house over a period, best revenue first
+async function getStaffPerformance(snookerHouse, dateRange) {
+  const activity = await getActivity(snookerHouse._id, dateRange);
+
+  const sessionIds = [
+    ...activity.started, ...activity.billed, ...activity.cancelled,
+    ...activity.sessionDiscounts, ...activity.sales, ...activity.credit
+  ].map(row => row._id);
+  const sessionUsers = await resolveSessionUsers(sessionIds);
+
+  const byUser = new Map();
+  const totalsFor = (userId) => {
+    const key = userId || UNKNOWN;
+    if (!byUser.has(key)) byUser.set(key, emptyTotals());
+    return byUser.get(key);
+  };
+  const add = (rows, apply, keyedByUser = false) => {
+    rows.forEach(row => {
+      const userId = keyedByUser ? row._id?.toString() : sessionUsers.get(row._id);
+      apply(totalsFor(userId), row);
+    });
+  };
+
+  add(activity.started, (totals, row) => {
+    totals.sessionsStarted += row.sessions;
+    totals.itemsRevenue += row.itemsRevenue;
+    totals.itemLines += row.itemLines;
+    totals.sessionsWithItems += row.sessionsWithItems;
+  });
+  add(activity.billed, (totals, row) => {
+    totals.sessionsBilled += row.sessions;
+    totals.billedRevenue += row.revenue;
+  });
+  add(activity.cancelled, (totals, row) => {
+    totals.cancellations += row.sessions;
+    totals.cancelledValue += row.value;
+  });
+  add(activity.sessionDiscounts, (totals, row) => {
+    totals.discountCount += row.count;
+    totals.discountAmount += row.amount;
+  });
+  add(activity.sales, (totals, row) => {
+    totals.counterSales += row.count;
+    totals.counterSalesRevenue += row.revenue;
+    totals.discountCount += row.discountCount;
+    totals.discountAmount += row.discountAmount;
+  });
+  add(activity.credit, (totals, row) => {
+    totals.creditCount += row.count;
+    totals.creditAmount += row.amount;
+  });
+  add(activity.refunds, (totals, row) => {
+    totals.refundCount += row.count;
+    totals.refundAmount += row.amount;
+  }, true);
+
+  const userIds = [...byUser.keys()].filter(key => key !== UNKNOWN);
+  const [users, staffMembers] = await Promise.all([
+    User.find({ _id: { $in: userIds } }).select('firstName lastName email'),
+    StaffMember.find({ snookerHouse: snookerHouse._id, user: { $in: userIds } }).select('user role status')
+  ]);
+  const userById = new Map(users.map(user => [user._id.toString(), user]));
+  const staffByUser = new Map(staffMembers.map(staffMember => [staffMember.user.toString(), staffMember]));
+
+  const houseTotals = [...byUser.values()].reduce((sum, totals) => {
+    Object.keys(sum).forEach(field => { sum[field] += totals[field]; });
+    return sum;
+  }, emptyTotals());
+  const house = buildStaffRow(houseTotals);
+
+  const staff = [...byUser.entries()].map(([userId, totals]) => {
+    const row = buildStaffRow(totals);
+    const user = userById.get(userId);
+    const staffMember = staffByUser.get(userId);
+
+    let role = staffMember?.role || null;
+    if (userId === snookerHouse.owner.toString()) role = 'owner';
+
+    let name = 'Unknown (login no longer on record)';
+    if (userId !== UNKNOWN) name = user ? `${user.firstName || ''} ${user.lastName || ''}`.trim() : 'Deleted user';
+
+    return {
+      userId: userId === UNKNOWN ? null : userId,
+      name,
+      email: user?.email || '',
+      role,
+      staffStatus: staffMember?.status || null,
+      ...row,
+      revenueShare: percent(row.revenue.total, house.revenue.total),
+      flags: userId === UNKNOWN ? [] : getFlags(row, house)
+    };
+  })
+    .sort((a, b) => b.revenue.total - a.revenue.total)
+    .map((row, index) => ({ rank: index + 1, ...row }));
+
+  return { staff, house };
+}
+
+module.exports = {
+  resolveSessionUsers,
+  getStaffPerformance
+};
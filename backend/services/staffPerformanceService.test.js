@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const Sale = require('../models/Sale');
+const CreditEntry = require('../models/CreditEntry');
+const UserSession = require('../models/UserSession');
+const AuditEvent = require('../models/AuditEvent');
+const User = require('../models/User');
+const StaffMember = require('../models/StaffMember');
+const { resolveSessionUsers, getStaffPerformance } = require('./staffPerformanceService');
+
+const selectResolving = (docs) => ({ select: () => Promise.resolve(docs) });
+
+describe('resolveSessionUsers', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('falls back to the audit log for logins that have expired', async () => {
+    const live = new mongoose.Types.ObjectId();
+    const expired = new mongoose.Types.ObjectId();
+    jest.spyOn(UserSession, 'find').mockReturnValue(selectResolving([{ sessionId: 'login-1', user: live }]));
+    const audit = jest.spyOn(AuditEvent, 'aggregate').mockResolvedValue([{ _id: 'login-2', user: expired }]);
+
+    const users = await resolveSessionUsers(['login-1', 'login-2', 'login-1', null]);
+
+    expect(Object.fromEntries(users)).toEqual({ 'login-1': live.toString(), 'login-2': expired.toString() });
+    expect(audit.mock.calls[0][0][0].$match.sessionId).toEqual({ $in: ['login-2'] });
+  });
+});
+
+describe('getStaffPerformance', () => {
+  const owner = new mongoose.Types.ObjectId();
+  const cashier = new mongoose.Types.ObjectId();
+  const snookerHouse = { _id: new mongoose.Types.ObjectId(), owner };
+  const dateRange = { start: new Date(2026, 0, 1), end: new Date(2026, 0, 31) };
+
+  beforeEach(() => {
+    // Started, billed, cancelled, session discounts, refunds
+    jest.spyOn(Session, 'aggregate')
+      .mockResolvedValueOnce([
+        { _id: 'owner-login', sessions: 10, itemsRevenue: 2000, itemLines: 8, sessionsWithItems: 5 },
+        { _id: 'cashier-login', sessions: 10, itemsRevenue: 500, itemLines: 2, sessionsWithItems: 2 }
+      ])
+      .mockResolvedValueOnce([
+        { _id: 'owner-login', sessions: 10, revenue: 10000 },
+        { _id: 'cashier-login', sessions: 6, revenue: 4000 }
+      ])
+      .mockResolvedValueOnce([{ _id: 'cashier-login', sessions: 4, value: 1200 }])
+      .mockResolvedValueOnce([
+        { _id: 'owner-login', count: 1, amount: 100 },
+        { _id: 'cashier-login', count: 4, amount: 800 }
+      ])
+      .mockResolvedValueOnce([{ _id: cashier, count: 1, amount: 200 }]);
+    jest.spyOn(Sale, 'aggregate').mockResolvedValue([
+      { _id: 'gone-login', count: 2, revenue: 600, discountCount: 0, discountAmount: 0 }
+    ]);
+    jest.spyOn(CreditEntry, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(UserSession, 'find').mockReturnValue(selectResolving([
+      { sessionId: 'owner-login', user: owner },
+      { sessionId: 'cashier-login', user: cashier }
+    ]));
+    jest.spyOn(AuditEvent, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(User, 'find').mockReturnValue(selectResolving([
+      { _id: owner, firstName: 'Asha', lastName: 'Gurung' },
+      { _id: cashier, firstName: 'Bikram', lastName: 'Rai' }
+    ]));
+    jest.spyOn(StaffMember, 'find').mockReturnValue(selectResolving([{ user: cashier, role: 'cashier', status: 'active' }]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('ranks staff by revenue and keeps unresolvable logins apart', async () => {
+    const { staff, house } = await getStaffPerformance(snookerHouse, dateRange);
+
+    expect(staff.map(({ rank, name, role }) => ({ rank, name, role }))).toEqual([
+      { rank: 1, name: 'Asha Gurung', role: 'owner' },
+      { rank: 2, name: 'Bikram Rai', role: 'cashier' },
+      { rank: 3, name: 'Unknown (login no longer on record)', role: null }
+    ]);
+    expect(house.revenue.total).toBe(14600);
+    expect(staff[1]).toMatchObject({
+      sessions: { started: 10, billed: 6, cancelled: 4, cancellationRate: 40 },
+      refunds: { count: 1, amount: 200, rate: 5 },
+      upsell: { attachRate: 20, itemsRevenuePerSession: 50 }
+    });
+  });
+
+  it('flags rates well above the house average', async () => {
+    const { staff } = await getStaffPerformance(snookerHouse, dateRange);
+    const [ownerRow, cashierRow] = staff;
+
+    expect(cashierRow.flags).toEqual([
+      'Discount rate 16.7% vs house 5.8%',
+      'Cancellation rate 40% vs house 20%'
+    ]);
+    expect(ownerRow.flags).toEqual([]);
+  });
+});
@@ -0,0 +1,91 @@
+// VAT and service charge calculation for session and sale bills.
+//
+// Service charge is levied on the taxable amount and VAT on the taxable amount
+// plus service charge, as on Nepali tax invoices. Discounts reduce the taxable
+// amount and are spread over game and items in proportion to their value.
+//
+// Exclusive mode adds the charges on top of the bill. Inclusive mode treats the
+// listed prices as already containing them and only extracts the tax lines, so
+// the amount due does not change.
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Snapshot of the house settings that matter for billing (null = no tax)
+function buildTaxSnapshot(taxSettings) {
+  if (!taxSettings || (!taxSettings.vatEnabled && !taxSettings.serviceChargeEnabled)) {
+    return null;
+  }
+
+  return {
+    vatEnabled: Boolean(taxSettings.vatEnabled),
+    vatRate: taxSettings.vatRate,
+    serviceChargeEnabled: Boolean(taxSettings.serviceChargeEnabled),
+    serviceChargeRate: taxSettings.serviceChargeRate,
+    pricesIncludeTax: Boolean(taxSettings.pricesIncludeTax),
+    applyToGame: taxSettings.applyToGame !== false,
+    applyToItems: taxSettings.applyToItems !== false
+  };
+}
+
+// Calculate tax lines for a bill
+// amounts: { gameAmount, itemsAmount, discount }
+function calculateTaxes(amounts, settings) {
+  const empty = { lines: [], taxableAmount: 0, serviceCharge: 0, vatAmount: 0, totalTax: 0, addedToBill: 0 };
+  if (!settings) return empty;
+
+  const gameAmount = amounts.gameAmount || 0;
+  const itemsAmount = amounts.itemsAmount || 0;
+  const subtotal = gameAmount + itemsAmount;
+  if (subtotal <= 0) return empty;
+
+  // Spread the discount over game and items, then keep only the taxable parts
+  const discountRatio = Math.min(1, (amounts.discount || 0) / subtotal);
+  const chargeable = (settings.applyToGame ? gameAmount : 0) + (settings.applyToItems ? itemsAmount : 0);
+  const grossTaxable = chargeable * (1 - discountRatio);
+
+  const serviceRate = settings.serviceChargeEnabled ? (settings.serviceChargeRate || 0) / 100 : 0;
+  const vatRate = settings.vatEnabled ? (settings.vatRate || 0) / 100 : 0;
+
+  // Inclusive prices contain both charges: back out the pre-tax amount first
+  const taxableAmount = settings.pricesIncludeTax
+    ? grossTaxable / ((1 + serviceRate) * (1 + vatRate))
+    : grossTaxable;
+
+  const serviceCharge = round(taxableAmount * serviceRate);
+  const vatAmount = round((taxableAmount + serviceCharge) * vatRate);
+  const totalTax = round(serviceCharge + vatAmount);
+
+  const lines = [];
+  if (settings.serviceChargeEnabled) {
+    lines.push({
+      type: 'service_charge',
+      name: `Service Charge (${settings.serviceChargeRate}%)`,
+      rate: settings.serviceChargeRate,
+      taxableAmount: round(taxableAmount),
+      amount: serviceCharge
+    });
+  }
+  if (settings.vatEnabled) {
+    lines.push({
+      type: 'vat',
+      name: `VAT (${settings.vatRate}%)`,
+      rate: settings.vatRate,
+      taxableAmount: round(taxableAmount + serviceCharge),
+      amount: vatAmount
+    });
+  }
+
+  return {
+    lines,
+    taxableAmount: round(taxableAmount),
+    serviceCharge,
+    vatAmount,
+    totalTax,
+    addedToBill: settings.pricesIncludeTax ? 0 : totalTax
+  };
+}
+
+module.exports = {
+  buildTaxSnapshot,
+  calculateTaxes
+};
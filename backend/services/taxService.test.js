@@ -0,0 +1,56 @@
+const { buildTaxSnapshot, calculateTaxes } = require('./taxService');
+
+const settings = (overrides) => buildTaxSnapshot({
+  vatEnabled: true,
+  vatRate: 13,
+  serviceChargeEnabled: true,
+  serviceChargeRate: 10,
+  pricesIncludeTax: false,
+  ...overrides
+});
+
+describe('buildTaxSnapshot', () => {
+  it('returns null when neither charge is enabled', () => {
+    expect(buildTaxSnapshot(null)).toBeNull();
+    expect(buildTaxSnapshot({ vatEnabled: false, serviceChargeEnabled: false, vatRate: 13 })).toBeNull();
+  });
+
+  it('applies to game and items unless turned off', () => {
+    expect(settings()).toMatchObject({ applyToGame: true, applyToItems: true });
+    expect(settings({ applyToItems: false }).applyToItems).toBe(false);
+  });
+});
+
+describe('calculateTaxes', () => {
+  it('adds service charge, then VAT on the amount plus service charge', () => {
+    const taxes = calculateTaxes({ gameAmount: 1000 }, settings());
+
+    expect(taxes).toMatchObject({ taxableAmount: 1000, serviceCharge: 100, vatAmount: 143, totalTax: 243, addedToBill: 243 });
+    expect(taxes.lines.map(({ type, taxableAmount, amount }) => ({ type, taxableAmount, amount }))).toEqual([
+      { type: 'service_charge', taxableAmount: 1000, amount: 100 },
+      { type: 'vat', taxableAmount: 1100, amount: 143 }
+    ]);
+  });
+
+  it('extracts the charges from inclusive prices without changing the bill', () => {
+    const taxes = calculateTaxes({ gameAmount: 1243 }, settings({ pricesIncludeTax: true }));
+
+    expect(taxes).toMatchObject({ taxableAmount: 1000, serviceCharge: 100, vatAmount: 143, addedToBill: 0 });
+  });
+
+  it('spreads the discount and only taxes the parts the house charges on', () => {
+    const taxes = calculateTaxes(
+      { gameAmount: 600, itemsAmount: 400, discount: 100 },
+      settings({ serviceChargeEnabled: false, applyToItems: false })
+    );
+
+    expect(taxes.taxableAmount).toBe(540);
+    expect(taxes.vatAmount).toBe(70.2);
+    expect(taxes.lines).toHaveLength(1);
+  });
+
+  it('charges nothing on an empty or untaxed bill', () => {
+    expect(calculateTaxes({ gameAmount: 0 }, settings()).totalTax).toBe(0);
+    expect(calculateTaxes({ gameAmount: 500 }, null)).toMatchObject({ lines: [], totalTax: 0, addedToBill: 0 });
+  });
+});
@@ -0,0 +1,212 @@
+// Walk-in waitlist: wait estimates, table-free notifications and reporting.
+//
+// Wait times are estimated by replaying the queue against the tables: each
+// occupied table is expected to free up once its session reaches the table's
+// usual session length (from the last 30 days of completed sessions), and each
+// party takes the first suitable table to free up, which then stays busy for
+// another usual session. When a table frees up the first waiting party that
+// accepts it is sent a message and holds the table for a short time.
+
+const Table = require('../models/Table');
+const Session = require('../models/Session');
+const Booking = require('../models/Booking');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const smsService = require('./smsService');
+
+// Tables about to be claimed by a reservation are not offered to the queue
+const RESERVATION_HOLD_MINUTES = parseInt(process.env.RESERVATION_HOLD_MINUTES) || 30;
+
+// Used when a table has no completed sessions to learn from
+const DEFAULT_SESSION_MINUTES = 60;
+
+// A running session past its usual length is still expected to take a few more minutes
+const MIN_REMAINING_MINUTES = 5;
+
+const HISTORY_DAYS = 30;
+
+// Usual session length per table over the last 30 days (wall clock, pauses included)
+async function getTypicalSessionMinutes(snookerHouseId) {
+  const since = new Date(Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000);
+  const rows = await Session.aggregate([
+    {
+      $match: {
+        snookerHouse: snookerHouseId,
+        status: 'completed',
+        endTime: { $gte: since }
+      }
+    },
+    {
+      $group: {
+        _id: '$table',
+        averageMs: { $avg: { $subtract: ['$endTime', '$startTime'] } },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const byTable = new Map(rows.map(row => [row._id.toString(), Math.round(row.averageMs / (1000 * 60))]));
+  const totalCount = rows.reduce((sum, row) => sum + row.count, 0);
+  const houseAverage = totalCount > 0
+    ? Math.round(rows.reduce((sum, row) => sum + row.averageMs * row.count, 0) / totalCount / (1000 * 60))
+    : DEFAULT_SESSION_MINUTES;
+
+  return { byTable, houseAverage };
+}
+
+// Estimated minutes until each queued entry gets a table (null = no suitable table)
+async function estimateWaits(snookerHouseId, queue, at = new Date()) {
+  const [tables, activeSessions, typical] = await Promise.all([
+    Table.find({ snookerHouse: snookerHouseId, status: 'active' }),
+    Session.find({ snookerHouse: snookerHouseId, status: { $in: ['active', 'paused'] } }).select('table startTime'),
+    getTypicalSessionMinutes(snookerHouseId)
+  ]);
+
+  const sessionByTable = new Map(activeSessions.map(session => [session.table.toString(), session]));
+  const heldTables = new Set(queue
+    .filter(entry => entry.status === 'notified' && entry.notifiedTable)
+    .map(entry => entry.notifiedTable.toString()));
+
+  // When each table is next free, in minutes from now
+  const slots = tables.map(table => {
+    const tableId = table._id.toString();
+    const usualMinutes = typical.byTable.get(tableId) || typical.houseAverage;
+    const session = sessionByTable.get(tableId);
+    let freeIn = 0;
+
+    if (session) {
+      const elapsed = (at - session.startTime) / (1000 * 60);
+      freeIn = Math.max(usualMinutes - elapsed, MIN_REMAINING_MINUTES);
+    } else if (heldTables.has(tableId)) {
+      // Held for a notified party, then busy for a usual session
+      freeIn = usualMinutes;
+    }
+
+    return { table, usualMinutes, freeIn };
+  });
+
+  const estimates = new Map();
+  for (const entry of queue) {
+    if (entry.status === 'notified') {
+      estimates.set(entry._id.toString(), 0);
+      continue;
+    }
+
+    const slot = slots
+      .filter(candidate => entry.acceptsTable(candidate.table))
+      .sort((a, b) => a.freeIn - b.freeIn)[0];
+
+    if (!slot) {
+      estimates.set(entry._id.toString(), null);
+      continue;
+    }
+
+    estimates.set(entry._id.toString(), Math.ceil(slot.freeIn));
+    slot.freeIn += slot.usualMinutes;
+  }
+
+  return {
+    estimates,
+    freeTables: slots
+      .filter(slot => slot.freeIn === 0)
+      .map(slot => ({ _id: slot.table._id, name: slot.table.name, tableType: slot.table.tableType })),
+    typicalSessionMinutes: typical.houseAverage
+  };
+}
+
+// Tell a party their table is ready (marks the entry notified)
+async function notifyEntry(entry, table, { createdBySession, snookerHouseName } = {}) {
+  entry.status = 'notified';
+  entry.notifiedTable = table._id;
+  entry.notifiedAt = new Date();
+  entry.notificationCount += 1;
+  entry.lastModifiedBySession = createdBySession || entry.lastModifiedBySession;
+  await entry.save();
+
+  let messageSent = false;
+  if (entry.customerPhone) {
+    const result = await smsService.sendMessage(
+      entry.customerPhone,
+      `Hi ${entry.customerName}, ${table.name}${snookerHouseName ? ` at ${snookerHouseName}` : ''} is ready for you. ` +
+      `Please come to the counter within ${entry.holdMinutes} minutes to keep your turn.`
+    );
+    messageSent = result.success;
+    if (!result.success) {
+      console.log('❌ Waitlist notification failed:', { entryId: entry._id, error: result.error });
+    }
+  }
+
+  return { entry, messageSent };
+}
+
+// Offer a freed table to the first waiting party that accepts it (returns null if nobody is notified)
+async function notifyTableFree(table, { createdBySession, snookerHouseName } = {}) {
+  if (table.status !== 'active' || table.isOccupied) return null;
+
+  const alreadyHeld = await WaitlistEntry.exists({ notifiedTable: table._id, status: 'notified' });
+  if (alreadyHeld) return null;
+
+  const imminentBooking = await Booking.getImminentBooking(table._id, RESERVATION_HOLD_MINUTES);
+  if (imminentBooking) return null;
+
+  const entry = await WaitlistEntry.findNextForTable(table);
+  if (!entry) return null;
+
+  return notifyEntry(entry, table, { createdBySession, snookerHouseName });
+}
+
+// Summarise waitlist entries for abandonment reporting
+function summarizeEntries(entries) {
+  const round = (value) => Math.round(value * 10) / 10;
+  const average = (values) => values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : 0;
+
+  const seated = entries.filter(entry => entry.status === 'seated');
+  const abandoned = entries.filter(entry => entry.status === 'abandoned');
+  const finished = seated.length + abandoned.length;
+
+  const byHour = Array.from({ length: 24 }, (_, hour) => ({ hour, joined: 0, seated: 0, abandoned: 0 }));
+  const byTableType = {};
+  for (const entry of entries) {
+    const hour = byHour[new Date(entry.createdAt).getHours()];
+    const type = entry.preferredTableType || 'any';
+    byTableType[type] = byTableType[type] || { joined: 0, seated: 0, abandoned: 0 };
+
+    hour.joined += 1;
+    byTableType[type].joined += 1;
+    if (entry.status === 'seated' || entry.status === 'abandoned') {
+      hour[entry.status] += 1;
+      byTableType[type][entry.status] += 1;
+    }
+  }
+
+  const quoted = seated.filter(entry => entry.quotedWaitMinutes !== null);
+
+  return {
+    totalEntries: entries.length,
+    seated: seated.length,
+    abandoned: abandoned.length,
+    abandonedLeft: abandoned.filter(entry => entry.abandonReason === 'left').length,
+    abandonedNoShow: abandoned.filter(entry => entry.abandonReason === 'no_show').length,
+    cancelled: entries.filter(entry => entry.status === 'cancelled').length,
+    stillQueued: entries.filter(entry => entry.isQueued()).length,
+    abandonmentRate: finished > 0 ? round((abandoned.length / finished) * 100) : 0,
+    averageWaitSeatedMinutes: average(seated.map(entry => entry.getWaitedMinutes())),
+    averageWaitAbandonedMinutes: average(abandoned.map(entry => entry.getWaitedMinutes())),
+    // Positive = parties waited longer than they were told
+    averageQuoteErrorMinutes: average(quoted.map(entry => entry.getWaitedMinutes() - entry.quotedWaitMinutes)),
+    byHour: byHour.filter(hour => hour.joined > 0).map(hour => ({
+      ...hour,
+      abandonmentRate: hour.seated + hour.abandoned > 0
+        ? round((hour.abandoned / (hour.seated + hour.abandoned)) * 100)
+        : 0
+    })),
+    byTableType
+  };
+}
+
+module.exports = {
+  getTypicalSessionMinutes,
+  estimateWaits,
+  notifyEntry,
+  notifyTableFree,
+  summarizeEntries
+};
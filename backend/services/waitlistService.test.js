@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const Table = require('../models/Table');
+const Session = require('../models/Session');
+const Booking = require('../models/Booking');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { estimateWaits, notifyTableFree, summarizeEntries } = require('./waitlistService');
+
+const now = new Date(2026, 0, 5, 19, 0);
+const minutesAgo = (minutes) => new Date(now.getTime() - minutes * 60 * 1000);
+
+const buildEntry = (overrides = {}) => new WaitlistEntry({
+  snookerHouse: new mongoose.Types.ObjectId(),
+  owner: new mongoose.Types.ObjectId(),
+  customerName: 'Asha',
+  ...overrides
+});
+
+describe('estimateWaits', () => {
+  const snookerHouse = new mongoose.Types.ObjectId();
+  const snooker = { _id: new mongoose.Types.ObjectId(), name: 'Table 1', tableType: 'snooker' };
+  const pool = { _id: new mongoose.Types.ObjectId(), name: 'Table 2', tableType: 'pool' };
+
+  beforeEach(() => {
+    jest.spyOn(Table, 'find').mockResolvedValue([snooker, pool]);
+    jest.spyOn(Session, 'find').mockReturnValue({
+      select: () => Promise.resolve([
+        { table: snooker._id, startTime: minutesAgo(40) },
+        { table: pool._id, startTime: minutesAgo(90) }
+      ])
+    });
+    // Snooker sessions usually run an hour, pool ones 45 minutes
+    jest.spyOn(Session, 'aggregate').mockResolvedValue([
+      { _id: snooker._id, averageMs: 60 * 60 * 1000, count: 10 },
+      { _id: pool._id, averageMs: 45 * 60 * 1000, count: 10 }
+    ]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('queues parties behind the first suitable table to free up', async () => {
+    const queue = [
+      buildEntry({ customerName: 'Asha', preferredTableType: 'snooker' }),
+      buildEntry({ customerName: 'Bikram' }),
+      buildEntry({ customerName: 'Chandra', preferredTableType: 'snooker' })
+    ];
+
+    const { estimates, freeTables } = await estimateWaits(snookerHouse, queue, now);
+
+    // Pool ran over its usual length, so it is due in the minimum 5 minutes
+    expect(queue.map(entry => estimates.get(entry._id.toString()))).toEqual([20, 5, 80]);
+    expect(freeTables).toEqual([]);
+  });
+
+  it('gives no estimate when no table suits the party', async () => {
+    const entry = buildEntry({ preferredTableType: 'carom' });
+
+    const { estimates } = await estimateWaits(snookerHouse, [entry], now);
+
+    expect(estimates.get(entry._id.toString())).toBeNull();
+  });
+});
+
+describe('notifyTableFree', () => {
+  const table = { _id: new mongoose.Types.ObjectId(), snookerHouse: new mongoose.Types.ObjectId(), status: 'active', isOccupied: false };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('leaves a table alone while a notified party holds it', async () => {
+    jest.spyOn(WaitlistEntry, 'exists').mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+    const findNext = jest.spyOn(WaitlistEntry, 'findNextForTable');
+
+    await expect(notifyTableFree(table)).resolves.toBeNull();
+    expect(findNext).not.toHaveBeenCalled();
+  });
+
+  it('keeps a table for a reservation that is about to start', async () => {
+    jest.spyOn(WaitlistEntry, 'exists').mockResolvedValue(null);
+    jest.spyOn(Booking, 'getImminentBooking').mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+    const findNext = jest.spyOn(WaitlistEntry, 'findNextForTable');
+
+    await expect(notifyTableFree(table)).resolves.toBeNull();
+    expect(findNext).not.toHaveBeenCalled();
+  });
+});
+
+describe('summarizeEntries', () => {
+  it('reports abandonment against the parties that left the queue', () => {
+    const joined = new Date(2026, 0, 5, 19, 0);
+    const after = (minutes) => new Date(joined.getTime() + minutes * 60 * 1000);
+    const entries = [
+      buildEntry({ status: 'seated', createdAt: joined, seatedAt: after(20), quotedWaitMinutes: 15 }),
+      buildEntry({ status: 'seated', createdAt: joined, seatedAt: after(30), quotedWaitMinutes: 30 }),
+      buildEntry({ status: 'abandoned', abandonReason: 'no_show', createdAt: joined, abandonedAt: after(40) }),
+      buildEntry({ status: 'waiting', createdAt: joined })
+    ];
+
+    const summary = summarizeEntries(entries);
+
+    expect(summary).toMatchObject({
+      totalEntries: 4,
+      seated: 2,
+      abandoned: 1,
+      abandonedNoShow: 1,
+      stillQueued: 1,
+      abandonmentRate: 33.3,
+      averageWaitSeatedMinutes: 25,
+      averageQuoteErrorMinutes: 2.5
+    });
+    expect(summary.byHour).toEqual([{ hour: 19, joined: 4, seated: 2, abandoned: 1, abandonmentRate: 33.3 }]);
+  });
+});